@@ -11,8 +11,14 @@ import { CollectionItems } from '../imports/lib/collections/collectionItems.js';
 import { MainLayout } from '../imports/ui/layouts/MainLayout.js';
 import { HomePage } from '../imports/ui/pages/HomePage.js';
 import { CollectionPage } from '../imports/ui/pages/CollectionPage.js';
+import { TrashPage } from '../imports/ui/pages/TrashPage.js';
+import { DuplicatesPage } from '../imports/ui/pages/DuplicatesPage.js';
+import { MatchReviewPage } from '../imports/ui/pages/MatchReviewPage.js';
+import { SeriesPage } from '../imports/ui/pages/SeriesPage.js';
+import { PreferencesPage } from '../imports/ui/pages/PreferencesPage.js';
 import { BrowsePage } from '../imports/ui/pages/BrowsePage.js';
 import { StatisticsPage } from '../imports/ui/pages/StatisticsPage.js';
+import { YearReviewPage } from '../imports/ui/pages/YearReviewPage.js';
 import { ImportPage } from '../imports/ui/pages/ImportPage.js';
 import { NotLoggedIn } from '../imports/ui/pages/NotLoggedIn.js';
 import { NoSubscription } from '../imports/ui/pages/NoSubscription.js';
@@ -67,9 +73,16 @@ function initializeApp() {
   m.route(root, '/', {
     '/': layoutRoute(HomePage),
     '/collection': layoutRoute(CollectionPage),
+    '/collection/trash': layoutRoute(TrashPage),
+    '/collection/duplicates': layoutRoute(DuplicatesPage),
+    '/collection/match-review': layoutRoute(MatchReviewPage),
+    '/series': layoutRoute(SeriesPage),
+    '/series/:kind/:igdbId': layoutRoute(SeriesPage),
     '/browse': layoutRoute(BrowsePage),
     '/statistics': layoutRoute(StatisticsPage),
+    '/statistics/year/:year': layoutRoute(YearReviewPage),
     '/import': layoutRoute(ImportPage),
+    '/preferences': layoutRoute(PreferencesPage),
     '/not-logged-in': layoutRoute(NotLoggedIn),
     '/no-subscription': layoutRoute(NoSubscription),
     '/session-expired': layoutRoute(SessionExpired),
@@ -82,6 +95,13 @@ function initializeApp() {
 }
 
 Meteor.startup(() => {
+  // Preferences such as the rating scale live on the user document
+  Tracker.autorun(() => {
+    if (Meteor.userId()) {
+      Meteor.subscribe('userData');
+    }
+  });
+
   initializeTheme();
   initializeApp();
 });
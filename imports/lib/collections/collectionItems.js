@@ -11,23 +11,88 @@ export const CollectionItems = new Mongo.Collection('collectionItems');
 //   game: {                   // Denormalized game data for fast queries (no $lookup)
 //     title: String,          // Game title (for display and sorting)
 //     releaseYear: Number,    // Year of first release
+//     rating: Number,         // IGDB rating (0-100), used for sorting
 //     ownerId: String,        // null = IGDB game, set = custom game (privacy)
 //     genres: [String],       // Array of genre names
 //     localCoverUrl: String,  // Local WebP cover (highest priority)
 //     coverImageId: String,   // IGDB image_id to construct URL
-//     igdbCoverUrl: String    // Pre-built IGDB CDN URL
+//     igdbCoverUrl: String,   // Pre-built IGDB CDN URL
+//     editionOf: Number,      // IGDB ID of the base game when this is an edition, else null
+//     franchises: [{ igdbId: Number, title: String }], // IGDB franchises
+//     series: [{ igdbId: Number, title: String }],     // IGDB collections (series)
+//     timeToBeat: Object,     // Same as Games.timeToBeat
+//     hoursToBeat: Number     // Single estimate for filters and the backlog forecast, else null
 //   },
-//   platforms: [String],      // All platforms user owns it on
-//   storefronts: [String],    // Storefront IDs where purchased (steam, gog, epic, etc.)
+//   ownedCopies: [{           // One entry per copy owned (source of truth for platforms/storefronts)
+//     _id: String,            // Random ID for addressing a single copy
+//     platform: String,       // Platform the copy is for (null if unknown)
+//     storefront: String,     // Storefront ID it came from (null if unknown)
+//     format: String,         // 'physical', 'digital' or null
+//     edition: String,        // Free-form edition label, e.g. "Deluxe" (optional)
+//     purchaseDate: Date,     // When it was bought (optional)
+//     price: Number,          // Price paid, in currency (optional)
+//     currency: String,       // ISO 4217 code, required with price
+//     source: String,         // How it was acquired, e.g. "Humble Bundle", "Gift" (optional)
+//     createdAt: Date
+//   }],
+//   platforms: [String],      // Derived from ownedCopies: every platform owned on
+//   storefronts: [String],    // Derived from ownedCopies: storefront IDs (steam, gog, epic, etc.)
+//   tags: [String],           // User-defined tag names (see Tags collection)
 //   status: String,           // 'backlog', 'playing', 'completed', 'abandoned', 'wishlist'
-//   rating: Number,           // 1-5 stars (optional)
-//   hoursPlayed: Number,      // Estimated hours (optional)
+//   rating: Number,           // 0.05-5 stars in steps of 0.05 (optional), shown on the user's rating scale
+//   hoursPlayed: Number,      // Derived: hoursBaseline + play sessions + importedHours (see
+//                             // server/lib/playSessions.js); null when nothing is recorded
+//   hoursBaseline: Number,    // Hours entered by the user that no session covers (optional)
+//   importedHours: Object,    // Playtime reported by each import source, e.g. { steam: 12.5 }
+//   playSessions: [{          // Play session log (optional)
+//     _id: String,            // Random ID for addressing a single session
+//     date: Date,             // When the session started
+//     minutes: Number,        // Length of the session
+//     platform: String,       // Platform played on (optional)
+//     note: String,           // Journal note (optional)
+//     createdAt: Date
+//   }],
+//   activeSession: {          // Running session timer; unset when none is running
+//     startedAt: Date,
+//     platform: String
+//   },
+//   lastPlayed: Date,         // Latest play date from imports or sessions (optional)
 //   notes: String,            // User notes (optional)
 //   dateAdded: Date,          // When added to collection
 //   dateStarted: Date,        // When started playing (optional)
 //   dateCompleted: Date,      // When completed (optional)
+//   playthroughs: [{          // One entry per run through the game (optional)
+//     _id: String,            // Random ID for addressing a single playthrough
+//     dateStarted: Date,      // When this run started (optional)
+//     dateCompleted: Date,    // When this run ended (optional)
+//     platform: String,       // Platform played on (optional)
+//     difficulty: String,     // Free-form difficulty label (optional)
+//     outcome: String,        // 'completed', 'abandoned' or null while in progress
+//     hoursPlayed: Number,    // Hours spent on this run (optional)
+//     notes: String,          // Notes for this run (optional)
+//     createdAt: Date
+//   }],
 //   favorite: Boolean,        // Marked as favorite
 //   physical: Boolean,        // Physical or digital copy
+//   queueRank: String,        // Position in the Up Next queue, ascending (see server/lib/queueRanks.js);
+//                             // unset when the item is not queued
+//   notDuplicateOf: [String], // Item IDs the user said are not duplicates of this one
+//   igdbMatch: {              // How an imported item was matched to IGDB (see server/lib/matchReview.js)
+//     query: String,          // Title searched with
+//     score: Number,          // 0-100 match score, null when nothing matched
+//     candidates: [{          // Best other IGDB results
+//       igdbId: Number,
+//       title: String,
+//       releaseYear: Number,
+//       coverImageId: String,
+//       score: Number
+//     }],
+//     needsReview: Boolean,   // In the match review queue until the owner checks it
+//     reviewedAt: Date        // When the owner confirmed or changed the match
+//   },
+//   ownedEditions: [Number],  // IGDB IDs of other editions of the game the user owns
+//   ownedDlc: [Number],       // IGDB IDs of DLC and expansions the user owns
+//   deletedAt: Date,          // Set while the item is in the trash; purged after the retention period
 //   createdAt: Date,          // Record creation timestamp
 //   updatedAt: Date           // Last update timestamp
 // }
@@ -48,6 +113,16 @@ export const STATUS_LABELS = {
   wishlist: 'Wishlist'
 };
 
+export const PLAYTHROUGH_OUTCOMES = {
+  COMPLETED: 'completed',
+  ABANDONED: 'abandoned'
+};
+
+export const PLAYTHROUGH_OUTCOME_LABELS = {
+  completed: 'Completed',
+  abandoned: 'Abandoned'
+};
+
 export const STATUS_ICONS = {
   backlog: '📚',
   playing: '🎮',
@@ -56,4 +131,41 @@ export const STATUS_ICONS = {
   wishlist: '⭐'
 };
 
+// Most items collection.bulkUpdate changes in one call
+export const MAX_BULK_ITEMS = 1000;
+
+export const COPY_FORMATS = {
+  PHYSICAL: 'physical',
+  DIGITAL: 'digital'
+};
+
+export const COPY_FORMAT_LABELS = {
+  physical: 'Physical',
+  digital: 'Digital'
+};
+
+export const MAX_OWNED_COPIES = 50;
+
+export const MAX_PLAYTHROUGHS = 100;
+
+// Most items the Up Next queue holds
+export const MAX_QUEUE_SIZE = 100;
+
+function uniqueValues(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Flat platform and storefront lists for a set of copies, in the order the copies list them.
+ * Items store these alongside ownedCopies so existing queries and filters keep working.
+ * @param {Array<Object>} copies
+ * @returns {{ platforms: string[], storefronts: string[] }}
+ */
+export function deriveOwnershipIndex(copies) {
+  return {
+    platforms: uniqueValues((copies || []).map(copy => copy.platform)),
+    storefronts: uniqueValues((copies || []).map(copy => copy.storefront))
+  };
+}
+
 // Indexes are created in server/main.js
@@ -32,6 +32,24 @@ export const Games = new Mongo.Collection('games');
 //   aggregatedRatingCount: Number,
 //   igdbUpdatedAt: Number,    // IGDB updated_at timestamp
 //   igdbChecksum: String,     // IGDB checksum for change detection
+//   versionParent: {          // Base game when this is an edition (IGDB version_parent), else null
+//     igdbId: Number,
+//     title: String
+//   },
+//   versionTitle: String,     // Edition name, e.g. "Deluxe Edition" (IGDB version_title)
+//   parentGame: {             // Base game when this is a DLC or expansion, else null
+//     igdbId: Number,
+//     title: String
+//   },
+//   dlcs: [{ igdbId: Number, title: String }],       // DLC for this game
+//   expansions: [{ igdbId: Number, title: String }], // Expansions for this game
+//   franchises: [{ igdbId: Number, title: String }], // IGDB franchises the game belongs to
+//   series: [{ igdbId: Number, title: String }],     // IGDB collections (series) the game belongs to
+//   timeToBeat: {             // IGDB time-to-beat estimates in hours, null when IGDB has none
+//     hastily: Number,        // Each may be null
+//     normally: Number,
+//     completely: Number
+//   },
 //   createdAt: Date,          // When added to our database
 //   updatedAt: Date           // Last local update
 // }
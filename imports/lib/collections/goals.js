@@ -0,0 +1,25 @@
+import { Mongo } from 'meteor/mongo';
+
+export const Goals = new Mongo.Collection('goals');
+
+// Schema documentation:
+// {
+//   _id: String,              // MongoDB ID
+//   userId: String,           // Meteor user ID (owner) - goals are private per user
+//   year: Number,             // Calendar year the goal is for
+//   type: String,             // One of GOAL_TYPES (imports/lib/constants/goals.js)
+//   target: Number,           // Games, hours, or the most to spend, depending on the type
+//   params: {                 // Extra settings some types need
+//     minYearsOwned: Number,  // complete-old-backlog: years in the collection before completion
+//     releasedBefore: Number, // play-old-games: release year the games must be before
+//     currency: String        // spend-at-most: ISO 4217 code of the budget
+//   },
+//   createdAt: Date,
+//   updatedAt: Date
+// }
+//
+// Progress is not stored; it is worked out from the collection whenever goals are shown
+// (see server/lib/goals.js). Index on { userId, year } is created in migration
+// 20_create_goal_indexes.js
+
+export const MAX_GOALS_PER_YEAR = 20;
@@ -0,0 +1,70 @@
+import { Mongo } from 'meteor/mongo';
+import { HISTORY_FIELDS, HISTORY_FIELD_LABELS } from './itemHistory.js';
+
+export const ImportPlans = new Mongo.Collection('importPlans');
+
+// Schema documentation:
+// {
+//   _id: String,              // MongoDB ID
+//   userId: String,           // Meteor user ID (owner) - plans are private per user
+//   source: String,           // Importer name, also the item history source ('steam', 'darkadia', ...)
+//   progressType: String,     // importProgress type the import reports to ('storefront', 'simple', ...)
+//   counts: {                 // Rows per action
+//     add: Number,
+//     update: Number,
+//     skip: Number,
+//     unmatched: Number
+//   },
+//   rows: [{
+//     rowId: String,          // Position in the import, used to leave rows out when committing
+//     name: String,           // Title as the source has it
+//     matchedName: String,    // Title of the matched game, null when nothing matched
+//     action: String,         // One of IMPORT_PLAN_ACTIONS
+//     reason: String,         // Why a row is skipped or unmatched
+//     error: Boolean,         // The row could not be matched because of an error
+//     gameId: String,         // games._id to add or link, null when nothing matched
+//     igdbId: Number,
+//     itemId: String,         // collectionItems._id an update or skip refers to
+//     itemUpdatedAt: Date,    // updatedAt of that item when the plan was made
+//     restore: Boolean,       // update: the item is in the trash and importing brings it back
+//     item: Object,           // add: fields of the new item, without the owner or embedded game
+//     set: Object,            // update: fields to set on the item
+//     match: Object,          // add: igdbMatch of the new item (see collectionItems), only with IGDB configured
+//     changes: [{             // Shown for review: IMPORT_PLAN_FIELDS that the row sets or changes
+//       field: String,
+//       from: Any,
+//       to: Any
+//     }]
+//   }],
+//   createdAt: Date
+// }
+//
+// A user has at most one plan per progress type; matching again replaces it. Committing
+// removes the plan. TTL index on createdAt is created in migration 21_create_import_plan_indexes.js
+
+export const IMPORT_PLAN_ACTIONS = {
+  ADD: 'add',
+  UPDATE: 'update',
+  SKIP: 'skip',
+  UNMATCHED: 'unmatched'
+};
+
+export const IMPORT_PLAN_ACTION_LABELS = {
+  add: 'New',
+  update: 'Update',
+  skip: 'Skipped',
+  unmatched: 'Not found'
+};
+
+// Plans nobody commits are removed after a day
+export const IMPORT_PLAN_TTL_SECONDS = 24 * 60 * 60;
+
+// Item fields shown in a plan: the tracked history fields plus the ones importers also write
+export const IMPORT_PLAN_FIELDS = [...HISTORY_FIELDS, 'lastPlayed', 'dateAdded', 'notes'];
+
+export const IMPORT_PLAN_FIELD_LABELS = {
+  ...HISTORY_FIELD_LABELS,
+  lastPlayed: 'Last played',
+  dateAdded: 'Date added',
+  notes: 'Notes'
+};
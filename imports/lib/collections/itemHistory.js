@@ -0,0 +1,77 @@
+import { Mongo } from 'meteor/mongo';
+
+export const ItemHistory = new Mongo.Collection('itemHistory');
+
+// Schema documentation:
+// {
+//   _id: String,              // MongoDB ID
+//   userId: String,           // Meteor user ID (owner of the collection item)
+//   itemId: String,           // collectionItems._id
+//   gameId: String,           // games._id (may be null for unmatched imports)
+//   gameTitle: String,        // Game title at the time of the change, for the activity feed
+//   type: String,             // 'added' or 'updated'
+//   source: String,           // 'manual', 'merge' or the importer name ('steam', 'darkadia', ...)
+//   changes: [{               // Only tracked fields that actually changed
+//     field: String,
+//     from: Any,
+//     to: Any
+//   }],
+//   createdAt: Date
+// }
+//
+// Entries are append-only. Indexes are created in migration 14_create_item_history_indexes.js
+
+export const HISTORY_TYPES = {
+  ADDED: 'added',
+  UPDATED: 'updated'
+};
+
+export const HISTORY_SOURCE_MANUAL = 'manual';
+
+// Changes made by merging a duplicate item into this one
+export const HISTORY_SOURCE_MERGE = 'merge';
+
+// Item fields recorded in the history, in display order
+export const HISTORY_FIELDS = [
+  'status',
+  'rating',
+  'hoursPlayed',
+  'platforms',
+  'storefronts',
+  'favorite',
+  'physical',
+  'dateStarted',
+  'dateCompleted'
+];
+
+export const HISTORY_FIELD_LABELS = {
+  status: 'Status',
+  rating: 'Rating',
+  hoursPlayed: 'Hours played',
+  platforms: 'Platforms',
+  storefronts: 'Storefronts',
+  favorite: 'Favorite',
+  physical: 'Physical copy',
+  dateStarted: 'Date started',
+  dateCompleted: 'Date completed'
+};
+
+export const HISTORY_SOURCE_LABELS = {
+  manual: 'Manual',
+  merge: 'Merged duplicate',
+  darkadia: 'Darkadia import',
+  'backlog-beacon': 'Backlog Beacon CSV import',
+  simple: 'Simple import',
+  steam: 'Steam import',
+  gog: 'GOG import',
+  epic: 'Epic import',
+  amazon: 'Amazon import',
+  oculus: 'Oculus import',
+  ea: 'EA import',
+  xbox: 'Xbox import',
+  psn: 'PlayStation import',
+  battlenet: 'Battle.net import',
+  ubisoft: 'Ubisoft import',
+  legacygames: 'Legacy Games import',
+  retroachievements: 'RetroAchievements import'
+};
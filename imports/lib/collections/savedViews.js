@@ -0,0 +1,45 @@
+import { Mongo } from 'meteor/mongo';
+
+export const SavedViews = new Mongo.Collection('savedViews');
+
+// Schema documentation:
+// {
+//   _id: String,              // MongoDB ID
+//   userId: String,           // Meteor user ID (owner) - views are private per user
+//   name: String,             // Tab label
+//   filters: {                // Same shape as CollectionContent filters
+//     status: [String],       // Views saved before list filters store a String or null
+//     platform: [String],     // (same as status)
+//     storefront: [String],
+//     genre: [String],
+//     favorite: Boolean|null,
+//     physical: Boolean|null, // true = physical, false = digital, null = either
+//     rated: Boolean|null,
+//     queued: Boolean|null,   // In the Up Next queue or not
+//     yearMin: Number|null,   // Release year range, inclusive
+//     yearMax: Number|null,
+//     hoursMin: Number|null,  // Hours played range, inclusive
+//     hoursMax: Number|null,
+//     beatMin: Number|null,   // Time-to-beat estimate range in hours, inclusive
+//     beatMax: Number|null,
+//     search: String,
+//     tags: [String],
+//     tagMode: String,        // 'any' | 'all'
+//     sort: String
+//   },
+//   viewMode: String,         // One of SAVED_VIEW_MODES
+//   bookshelfTheme: String|null, // One of SAVED_VIEW_THEMES, only applied in bookshelf mode
+//   order: Number,            // Tab position, ascending
+//   isDefault: Boolean,       // At most one view per user is the default
+//   createdAt: Date,
+//   updatedAt: Date
+// }
+//
+// Index on { userId, order } is created in migration 12_create_saved_view_indexes.js
+
+export const MAX_SAVED_VIEWS = 30;
+export const MAX_VIEW_NAME_LENGTH = 60;
+
+// Mirrors VIEW_MODES and BOOKSHELF_THEMES in the UI so the server can validate without importing components
+export const SAVED_VIEW_MODES = ['pages', 'infinite', 'bookshelf', 'beanstalk'];
+export const SAVED_VIEW_THEMES = ['brown', 'gray'];
@@ -0,0 +1,31 @@
+import { Mongo } from 'meteor/mongo';
+
+export const Tags = new Mongo.Collection('tags');
+
+// Schema documentation:
+// {
+//   _id: String,              // MongoDB ID
+//   userId: String,           // Meteor user ID (owner) - tags are private per user
+//   name: String,             // Display name, also stored on collectionItems.tags
+//   normalizedName: String,   // Lowercased name for case-insensitive uniqueness
+//   createdAt: Date,
+//   updatedAt: Date
+// }
+//
+// Unique index on { userId, normalizedName } is created in migration 11_create_tag_indexes.js
+
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS_PER_USER = 200;
+export const MAX_TAGS_PER_ITEM = 30;
+
+// Trim and collapse whitespace so "  couch   co-op " and "couch co-op" are the same tag
+export function cleanTagName(name) {
+  if (!name || typeof name !== 'string') {
+    return '';
+  }
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+export function normalizeTagName(name) {
+  return cleanTagName(name).toLowerCase();
+}
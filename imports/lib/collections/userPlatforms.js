@@ -1,4 +1,4 @@
 import { Mongo } from 'meteor/mongo';
 
-// Client-only collection for receiving aggregated platform data from publication
+// Client-only collection for receiving the platforms, storefronts and genres used as filter options
 export const UserPlatforms = new Mongo.Collection('userPlatforms');
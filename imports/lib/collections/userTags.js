@@ -0,0 +1,4 @@
+import { Mongo } from 'meteor/mongo';
+
+// Client-only collection for receiving the user's tag vocabulary and counts from publication
+export const UserTags = new Mongo.Collection('userTags');
@@ -0,0 +1,31 @@
+// Why two collection items were flagged as duplicates
+export const DUPLICATE_REASONS = {
+  SAME_IGDB_GAME: 'same-igdb-game',
+  SAME_TITLE: 'same-title'
+};
+
+export const DUPLICATE_REASON_LABELS = {
+  'same-igdb-game': 'Same IGDB game',
+  'same-title': 'Same title'
+};
+
+// How each field is combined when two items are merged, in the order the review page lists them
+export const MERGE_RULES = [
+  { field: 'game', label: 'Game', rule: 'From the item you keep' },
+  { field: 'status', label: 'Status', rule: 'The furthest along: completed, playing, abandoned, backlog, wishlist' },
+  { field: 'rating', label: 'Rating', rule: 'From the item you keep, or the other one if it has none' },
+  { field: 'hoursPlayed', label: 'Hours played', rule: 'Sessions from both, plus the higher entered and imported hours, since both usually count the same play time' },
+  { field: 'dateAdded', label: 'Date added', rule: 'The earlier' },
+  { field: 'dateStarted', label: 'Date started', rule: 'The earlier' },
+  { field: 'dateCompleted', label: 'Date completed', rule: 'The later' },
+  { field: 'ownedCopies', label: 'Copies', rule: 'All copies; a copy for the same platform and storefront is kept once, from the item you keep' },
+  { field: 'playthroughs', label: 'Playthroughs', rule: 'All playthroughs from both' },
+  { field: 'playSessions', label: 'Play sessions', rule: 'All sessions from both' },
+  { field: 'notes', label: 'Notes', rule: 'Both, the kept item\'s notes first' },
+  { field: 'tags', label: 'Tags', rule: 'All tags from both' },
+  { field: 'ownedEditions', label: 'Owned editions', rule: 'Every edition owned on either' },
+  { field: 'ownedDlc', label: 'Owned DLC', rule: 'Every DLC owned on either' },
+  { field: 'favorite', label: 'Favorite', rule: 'Set if either is' },
+  { field: 'physical', label: 'Physical copy', rule: 'Set if either is' },
+  { field: 'queueRank', label: 'Up Next', rule: 'The kept item\'s place, or the other one\'s' }
+];
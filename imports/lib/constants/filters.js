@@ -0,0 +1,19 @@
+// Collection filters that take several values; an item matches when it has any of them
+export const LIST_FILTERS = ['status', 'platform', 'storefront', 'genre'];
+
+// Inclusive ranges, either end of which may be left open
+export const RANGE_FILTERS = ['yearMin', 'yearMax', 'hoursMin', 'hoursMax', 'beatMin', 'beatMax'];
+
+export const MAX_FILTER_VALUES = 50;
+
+/**
+ * Values of a list filter. Single strings are accepted too, as saved before filters took lists.
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function toFilterList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(entry => typeof entry === 'string' && entry.length > 0);
+  }
+  return typeof value === 'string' && value.length > 0 ? [value] : [];
+}
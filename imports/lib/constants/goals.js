@@ -0,0 +1,35 @@
+// Kinds of yearly goal; each is evaluated against the collection in server/lib/goals.js
+export const GOAL_TYPES = {
+  COMPLETE_GAMES: 'complete-games',
+  COMPLETE_OLD_BACKLOG: 'complete-old-backlog',
+  PLAY_OLD_GAMES: 'play-old-games',
+  PLAY_HOURS: 'play-hours',
+  SPEND_AT_MOST: 'spend-at-most'
+};
+
+export const GOAL_TYPE_LABELS = {
+  'complete-games': 'Complete games',
+  'complete-old-backlog': 'Finish old backlog games',
+  'play-old-games': 'Play older games',
+  'play-hours': 'Log hours of play',
+  'spend-at-most': 'Stay within a budget'
+};
+
+// How a goal stands; 'achieved' and 'missed' are final once the year is over
+export const GOAL_PACES = {
+  ACHIEVED: 'achieved',
+  AHEAD: 'ahead',
+  ON_TRACK: 'on-track',
+  BEHIND: 'behind',
+  MISSED: 'missed',
+  UPCOMING: 'upcoming'
+};
+
+export const GOAL_PACE_LABELS = {
+  achieved: 'Achieved',
+  ahead: 'Ahead of pace',
+  'on-track': 'On track',
+  behind: 'Behind pace',
+  missed: 'Missed',
+  upcoming: 'Not started'
+};
@@ -0,0 +1,6 @@
+// Imported games whose IGDB match scores below this (0-100, see calculateMatchScore)
+// are queued for the owner to check
+export const MATCH_REVIEW_THRESHOLD = 90;
+
+// Runner-up IGDB results kept with each imported item
+export const MAX_MATCH_CANDIDATES = 5;
@@ -0,0 +1,138 @@
+// Ratings are stored on a 0-5 star scale at a resolution of 1/20 star, which is exactly one point
+// on the 100-point scale. Whole-star ratings saved before scales existed are already valid values.
+export const RATING_MAX = 5;
+export const RATING_STEPS_PER_STAR = 20;
+export const RATING_MIN = 1 / RATING_STEPS_PER_STAR;
+
+export const RATING_SCALES = {
+  STARS: 'stars',
+  HALF_STARS: 'half-stars',
+  TEN_POINT: 'ten-point',
+  HUNDRED_POINT: 'hundred-point'
+};
+
+export const DEFAULT_RATING_SCALE = RATING_SCALES.STARS;
+
+// max and step are in the scale's own units
+export const RATING_SCALE_OPTIONS = {
+  [RATING_SCALES.STARS]: { label: '5 stars', max: 5, step: 1 },
+  [RATING_SCALES.HALF_STARS]: { label: '5 stars with halves', max: 5, step: 0.5 },
+  [RATING_SCALES.TEN_POINT]: { label: '10 points', max: 10, step: 1 },
+  [RATING_SCALES.HUNDRED_POINT]: { label: '100 points', max: 100, step: 1 }
+};
+
+const EPSILON = 1e-9;
+
+function getScaleOptions(scale) {
+  return RATING_SCALE_OPTIONS[scale] || RATING_SCALE_OPTIONS[DEFAULT_RATING_SCALE];
+}
+
+export function isValidRatingScale(scale) {
+  return Object.values(RATING_SCALES).includes(scale);
+}
+
+export function isStarScale(scale) {
+  return getScaleOptions(scale).max === RATING_MAX;
+}
+
+/**
+ * Check that a stored rating is within range and on the internal 1/20 star grid
+ * @param {number} rating
+ * @returns {boolean}
+ */
+export function isValidRating(rating) {
+  if (typeof rating !== 'number' || !Number.isFinite(rating)) {
+    return false;
+  }
+  if (rating < RATING_MIN - EPSILON || rating > RATING_MAX + EPSILON) {
+    return false;
+  }
+  const steps = rating * RATING_STEPS_PER_STAR;
+  return Math.abs(steps - Math.round(steps)) < EPSILON;
+}
+
+/**
+ * Snap a stored rating to the internal grid, removing floating point noise
+ * @param {number} rating
+ * @returns {number}
+ */
+export function normalizeRating(rating) {
+  return Math.round(rating * RATING_STEPS_PER_STAR) / RATING_STEPS_PER_STAR;
+}
+
+/**
+ * Convert a value entered on a display scale to a stored rating
+ * @param {number} value - Value in the scale's units, e.g. 7 on the 10-point scale
+ * @param {string} scale - One of RATING_SCALES
+ * @returns {number|null} - Stored rating, or null when the value is not valid on the scale
+ */
+export function toStoredRating(value, scale) {
+  const options = getScaleOptions(scale);
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < options.step || value > options.max) {
+    return null;
+  }
+
+  const stepCount = value / options.step;
+  if (Math.abs(stepCount - Math.round(stepCount)) > EPSILON) {
+    return null;
+  }
+
+  return normalizeRating(value * RATING_MAX / options.max);
+}
+
+/**
+ * Convert a stored rating to a display scale, rounded to the scale's step.
+ * Any rating rounds to at least the lowest value on the scale.
+ * @param {number} rating - Stored rating
+ * @param {string} scale - One of RATING_SCALES
+ * @returns {number|null}
+ */
+export function toDisplayRating(rating, scale) {
+  if (!rating) {
+    return null;
+  }
+
+  const options = getScaleOptions(scale);
+  const value = rating * options.max / RATING_MAX;
+  const rounded = Math.round(value / options.step) * options.step;
+  return Math.min(Math.max(rounded, options.step), options.max);
+}
+
+/**
+ * Format a value already on a display scale, e.g. "3.5 ★" or "7/10"
+ * @param {number} value
+ * @param {string} scale
+ * @returns {string}
+ */
+export function formatScaleValue(value, scale) {
+  const options = getScaleOptions(scale);
+  if (isStarScale(scale)) {
+    return `${value} ★`;
+  }
+  return `${value}/${options.max}`;
+}
+
+/**
+ * Format a stored rating for display on a scale
+ * @param {number} rating - Stored rating
+ * @param {string} scale
+ * @returns {string}
+ */
+export function formatRating(rating, scale) {
+  const value = toDisplayRating(rating, scale);
+  return value === null ? '' : formatScaleValue(value, scale);
+}
+
+/**
+ * Every selectable value on a scale, lowest first
+ * @param {string} scale
+ * @returns {number[]}
+ */
+export function getScaleValues(scale) {
+  const options = getScaleOptions(scale);
+  const values = [];
+  for (let value = options.step; value <= options.max + EPSILON; value += options.step) {
+    values.push(Math.round(value / options.step) * options.step);
+  }
+  return values;
+}
@@ -0,0 +1,11 @@
+// IGDB groups games two ways: franchises (e.g. "Final Fantasy") and collections, which are
+// shown as series (e.g. the mainline "Final Fantasy" games)
+export const SERIES_KINDS = {
+  FRANCHISE: 'franchise',
+  SERIES: 'series'
+};
+
+export const SERIES_KIND_LABELS = {
+  franchise: 'Franchise',
+  series: 'Series'
+};
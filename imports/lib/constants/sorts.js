@@ -0,0 +1,32 @@
+// Collection sort orders, in the order they are offered in the sort menu
+export const SORT_OPTIONS = [
+  { value: 'name-asc', label: 'Name (A-Z)' },
+  { value: 'name-desc', label: 'Name (Z-A)' },
+  { value: 'date-desc', label: 'Recently Added' },
+  { value: 'date-asc', label: 'Oldest Added' },
+  { value: 'rating-desc', label: 'Highest Rated' },
+  { value: 'rating-asc', label: 'Lowest Rated' },
+  { value: 'hours-desc', label: 'Most Played' },
+  { value: 'hours-asc', label: 'Least Played' },
+  { value: 'release-desc', label: 'Newest Release' },
+  { value: 'release-asc', label: 'Oldest Release' },
+  { value: 'started-desc', label: 'Recently Started' },
+  { value: 'started-asc', label: 'First Started' },
+  { value: 'completed-desc', label: 'Recently Completed' },
+  { value: 'completed-asc', label: 'First Completed' },
+  { value: 'updated-desc', label: 'Recently Updated' },
+  { value: 'updated-asc', label: 'Least Recently Updated' },
+  { value: 'igdb-rating-desc', label: 'Highest IGDB Rating' },
+  { value: 'igdb-rating-asc', label: 'Lowest IGDB Rating' },
+  { value: 'queue-asc', label: 'Up Next Order' },
+  { value: 'random', label: 'Random' }
+];
+
+export const DEFAULT_SORT = 'name-asc';
+
+// Shuffled with a seed, so the same seed always gives the same order
+export const RANDOM_SORT = 'random';
+
+export function isValidSort(sort) {
+  return SORT_OPTIONS.some(option => option.value === sort);
+}
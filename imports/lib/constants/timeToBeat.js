@@ -0,0 +1,27 @@
+// IGDB's time-to-beat figures, stored in hours on Games and the embedded game of items
+export const TIME_TO_BEAT_LABELS = {
+  hastily: 'Hastily',
+  normally: 'Normally',
+  completely: 'Completely'
+};
+
+/**
+ * The single estimate used for filters, cards and the backlog forecast: the normal playthrough,
+ * or the rushed or completionist figure when that is all IGDB has
+ * @param {Object|null} timeToBeat - { hastily, normally, completely }
+ * @returns {number|null} - Hours
+ */
+export function estimateHoursToBeat(timeToBeat) {
+  return timeToBeat?.normally ?? timeToBeat?.hastily ?? timeToBeat?.completely ?? null;
+}
+
+/**
+ * @param {number} hours
+ * @returns {string} - e.g. "12 h"
+ */
+export function formatHoursToBeat(hours) {
+  if (hours < 1) {
+    return '< 1 h';
+  }
+  return `${Math.round(hours)} h`;
+}
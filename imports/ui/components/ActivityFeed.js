@@ -0,0 +1,72 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { describeHistoryChange, formatHistorySource } from '../lib/itemHistory.js';
+
+const FEED_PAGE_SIZE = 10;
+
+// Recent changes across the user's collection, with "Show more" paging
+export const ActivityFeed = {
+  oninit(vnode) {
+    this.entries = [];
+    this.loading = true;
+    this.hasMore = false;
+    this.error = null;
+    this.loadMore();
+  },
+
+  async loadMore() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    const options = { limit: FEED_PAGE_SIZE };
+    const lastEntry = this.entries[this.entries.length - 1];
+    if (lastEntry) {
+      options.before = lastEntry.createdAt;
+      options.beforeId = lastEntry._id;
+    }
+
+    try {
+      const entries = await Meteor.callAsync('activity.getFeed', options);
+      this.entries = [...this.entries, ...entries];
+      this.hasMore = entries.length === FEED_PAGE_SIZE;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load activity';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    if (this.error) {
+      return m('div.activity-feed', m('p.error-message', this.error));
+    }
+
+    if (!this.loading && this.entries.length === 0) {
+      return m('div.activity-feed', m('p', 'No activity yet. Changes to your collection will show up here.'));
+    }
+
+    return m('div.activity-feed', [
+      m('ul.activity-list', this.entries.map(entry =>
+        m('li', { key: entry._id }, [
+          m('div.history-meta', [
+            m('strong', entry.gameTitle || 'Unknown Game'),
+            m('time', { datetime: new Date(entry.createdAt).toISOString() }, new Date(entry.createdAt).toLocaleString()),
+            m('span.badge.secondary', formatHistorySource(entry.source))
+          ]),
+          entry.type === 'added'
+            ? m('div.history-change', 'Added to collection')
+            : entry.changes.map(change => m('div.history-change', describeHistoryChange(change)))
+        ])
+      )),
+
+      this.loading && m('p', 'Loading activity...'),
+
+      !this.loading && this.hasMore && m('button.outline.secondary.small', {
+        type: 'button',
+        onclick: () => this.loadMore()
+      }, 'Show more')
+    ]);
+  }
+};
@@ -1,9 +1,10 @@
 import m from 'mithril';
 import { getCoverSources, noCoverSvgSmall as noCoverSvg } from '../lib/coverUrls.js';
+import { itemDragAttrs } from '../lib/upNext.js';
 
 export const BookshelfItem = {
   view(vnode) {
-    const { game, collectionItem, onUpdateItem } = vnode.attrs;
+    const { game, collectionItem, onUpdateItem, selectable = false, selected = false, onSelect } = vnode.attrs;
 
     if (!game && !collectionItem) {
       return null;
@@ -27,12 +28,17 @@ export const BookshelfItem = {
     }
 
     return m('div.bookshelf-item', {
-      onclick: () => {
-        if (collectionItem && onUpdateItem) {
+      class: selectable && selected ? 'selected' : '',
+      'aria-selected': selectable ? String(selected) : undefined,
+      onclick: (event) => {
+        if (selectable && collectionItem && onSelect) {
+          onSelect(collectionItem, event);
+        } else if (collectionItem && onUpdateItem) {
           onUpdateItem(collectionItem);
         }
       },
-      title: displayName
+      title: displayName,
+      ...(collectionItem && !selectable ? itemDragAttrs(collectionItem) : {})
     }, [
       m('img', {
         src: initialCoverUrl,
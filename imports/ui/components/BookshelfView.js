@@ -216,7 +216,7 @@ export const BookshelfView = {
 
   view(vnode) {
     this.attrs = vnode.attrs;
-    const { items, totalCount, theme, onUpdateItem, loading } = vnode.attrs;
+    const { items, totalCount, theme, onUpdateItem, loading, selectable, isSelected, onSelect } = vnode.attrs;
 
     const totalRows = Math.ceil(totalCount / this.itemsPerRow);
     const totalHeight = totalRows * this.shelfHeight;
@@ -275,7 +275,10 @@ export const BookshelfView = {
                 key: item._id,
                 game,
                 collectionItem: item,
-                onUpdateItem
+                onUpdateItem,
+                selectable,
+                selected: selectable && isSelected ? isSelected(item) : false,
+                onSelect
               })
             )
           )
@@ -0,0 +1,176 @@
+import m from 'mithril';
+import { COLLECTION_STATUSES, STATUS_LABELS, MAX_BULK_ITEMS } from '../../lib/collections/collectionItems.js';
+import { getStorefronts } from '../../lib/constants/storefronts.js';
+
+const BULK_ACTION_OPTIONS = [
+  { action: 'setStatus', label: 'Set status', input: 'status' },
+  { action: 'addPlatform', label: 'Add platform', input: 'platform' },
+  { action: 'removePlatform', label: 'Remove platform', input: 'platform' },
+  { action: 'addStorefront', label: 'Add storefront', input: 'storefront' },
+  { action: 'removeStorefront', label: 'Remove storefront', input: 'storefront' },
+  { action: 'setFavorite', label: 'Set favorite', input: 'boolean' },
+  { action: 'setPhysical', label: 'Set physical copy', input: 'boolean' },
+  { action: 'addTag', label: 'Add tag', input: 'tag' },
+  { action: 'delete', label: 'Move to trash', input: null }
+];
+
+// Toolbar shown while selecting collection items: selection summary plus one change to apply
+export const BulkActionBar = {
+  oninit(vnode) {
+    this.action = 'setStatus';
+    this.value = COLLECTION_STATUSES.BACKLOG;
+    this.storefronts = [];
+
+    try {
+      this.storefronts = getStorefronts();
+    } catch (error) {
+      console.error('Failed to load storefronts:', error);
+    }
+  },
+
+  selectAction(action) {
+    const option = BULK_ACTION_OPTIONS.find(entry => entry.action === action);
+    this.action = action;
+
+    if (option.input === 'status') {
+      this.value = COLLECTION_STATUSES.BACKLOG;
+    } else if (option.input === 'storefront') {
+      this.value = this.storefronts[0]?.id || '';
+    } else if (option.input === 'boolean') {
+      this.value = true;
+    } else {
+      this.value = '';
+    }
+  },
+
+  renderValueInput(option, vnode) {
+    const { platforms = [], tags = [], busy } = vnode.attrs;
+
+    switch (option.input) {
+      case 'status':
+        return m('select', {
+          'aria-label': 'Status',
+          value: this.value,
+          disabled: busy,
+          onchange: (event) => { this.value = event.target.value; }
+        }, Object.values(COLLECTION_STATUSES).map(status =>
+          m('option', { value: status }, STATUS_LABELS[status] || status)
+        ));
+
+      case 'storefront':
+        return m('select', {
+          'aria-label': 'Storefront',
+          value: this.value,
+          disabled: busy,
+          onchange: (event) => { this.value = event.target.value; }
+        }, this.storefronts.map(storefront =>
+          m('option', { value: storefront.id }, storefront.name)
+        ));
+
+      case 'boolean':
+        return m('select', {
+          'aria-label': option.label,
+          value: this.value ? 'yes' : 'no',
+          disabled: busy,
+          onchange: (event) => { this.value = event.target.value === 'yes'; }
+        }, [
+          m('option', { value: 'yes' }, 'Yes'),
+          m('option', { value: 'no' }, 'No')
+        ]);
+
+      case 'platform':
+      case 'tag': {
+        const listId = `bulk-${option.input}-options`;
+        const suggestions = option.input === 'platform' ? platforms : tags.map(tag => tag.name);
+        return [
+          m('input[type=text]', {
+            'aria-label': option.input === 'platform' ? 'Platform' : 'Tag',
+            placeholder: option.input === 'platform' ? 'Platform' : 'Tag',
+            list: listId,
+            value: this.value,
+            disabled: busy,
+            oninput: (event) => { this.value = event.target.value; }
+          }),
+          m('datalist', { id: listId }, suggestions.map(name => m('option', { value: name })))
+        ];
+      }
+
+      default:
+        return null;
+    }
+  },
+
+  apply(vnode) {
+    const { onApply } = vnode.attrs;
+    const option = BULK_ACTION_OPTIONS.find(entry => entry.action === this.action);
+
+    if ((option.input === 'platform' || option.input === 'tag') && !this.value.trim()) {
+      return;
+    }
+
+    onApply({
+      action: this.action,
+      value: option.input ? this.value : null
+    });
+  },
+
+  view(vnode) {
+    const {
+      selectedCount,
+      totalCount,
+      allMatching,
+      busy,
+      onSelectAllMatching,
+      onClear,
+      onDone
+    } = vnode.attrs;
+    const option = BULK_ACTION_OPTIONS.find(entry => entry.action === this.action);
+    const count = allMatching ? totalCount : selectedCount;
+    const overLimit = count > MAX_BULK_ITEMS;
+
+    return m('div.bulk-action-bar', { role: 'toolbar', 'aria-label': 'Bulk edit' }, [
+      m('div.bulk-selection-summary', [
+        m('strong', allMatching
+          ? `All ${totalCount.toLocaleString()} matching games selected`
+          : `${selectedCount.toLocaleString()} selected`),
+        !allMatching && totalCount > selectedCount && m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: busy,
+          onclick: onSelectAllMatching
+        }, `Select all ${totalCount.toLocaleString()} matching`),
+        count > 0 && m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: busy,
+          onclick: onClear
+        }, 'Clear'),
+        m('button.outline.small', {
+          type: 'button',
+          onclick: onDone
+        }, 'Done')
+      ]),
+
+      m('div.bulk-action-controls', [
+        m('select', {
+          'aria-label': 'Bulk action',
+          value: this.action,
+          disabled: busy,
+          onchange: (event) => this.selectAction(event.target.value)
+        }, BULK_ACTION_OPTIONS.map(entry =>
+          m('option', { value: entry.action }, entry.label)
+        )),
+        this.renderValueInput(option, vnode),
+        m('button.small', {
+          type: 'button',
+          class: this.action === 'delete' ? 'contrast' : '',
+          disabled: busy || count === 0 || overLimit,
+          'aria-busy': busy ? 'true' : undefined,
+          onclick: () => this.apply(vnode)
+        }, 'Apply')
+      ]),
+
+      overLimit && m('small.bulk-limit-warning', `You can change at most ${MAX_BULK_ITEMS.toLocaleString()} games at once. Narrow your filters to continue.`),
+
+      m('small.bulk-selection-hint', 'Click covers to select. Shift-click to select a range.')
+    ]);
+  }
+};
@@ -1,62 +1,148 @@
 import m from 'mithril';
 import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { SORT_OPTIONS, DEFAULT_SORT } from '../../lib/constants/sorts.js';
+import { LIST_FILTERS, RANGE_FILTERS, toFilterList } from '../../lib/constants/filters.js';
+import { getStorefrontById } from '../../lib/constants/storefronts.js';
+
+const MULTIPLE = '__multiple';
+
+// Labels for the either/true/false choices of yes-or-no filters
+const BOOLEAN_FILTER_LABELS = {
+  physical: { any: 'Physical or digital', true: 'Physical', false: 'Digital' },
+  rated: { any: 'Rated or not', true: 'Rated', false: 'Unrated' },
+  queued: { any: 'Up Next or not', true: 'In Up Next', false: 'Not in Up Next' }
+};
+
+// Quick single-value select for a list filter; shows a count when several values are chosen
+function renderQuickSelect(filters, key, allLabel, options, onFilterChange) {
+  const selected = toFilterList(filters[key]);
+  return m('select', {
+    value: selected.length > 1 ? MULTIPLE : (selected[0] || ''),
+    onchange(event) {
+      onFilterChange({ ...filters, [key]: event.target.value ? [event.target.value] : [] });
+    }
+  }, [
+    m('option', { value: '' }, allLabel),
+    selected.length > 1 && m('option', { value: MULTIPLE, disabled: true }, `${selected.length} selected`),
+    ...options.map(option => m('option', { value: option.value }, option.label))
+  ]);
+}
+
+// Checkbox list for picking several values of a list filter
+function renderCheckboxGroup(filters, key, legend, options, onFilterChange) {
+  if (options.length === 0) {
+    return null;
+  }
+
+  const selected = toFilterList(filters[key]);
+  return m('fieldset.filter-checkbox-group', [
+    m('legend', legend),
+    options.map(option =>
+      m('label', { key: option.value }, [
+        m('input[type=checkbox]', {
+          checked: selected.includes(option.value),
+          onchange(event) {
+            const values = event.target.checked
+              ? [...selected, option.value]
+              : selected.filter(value => value !== option.value);
+            onFilterChange({ ...filters, [key]: values });
+          }
+        }),
+        ` ${option.label}`
+      ])
+    )
+  ]);
+}
+
+function renderRangeInputs(filters, label, minKey, maxKey, step, onFilterChange) {
+  const rangeInput = (key, placeholder) => m('input[type=number]', {
+    min: 0,
+    step,
+    placeholder,
+    value: filters[key] ?? '',
+    onchange(event) {
+      const value = event.target.value === '' ? null : Number(event.target.value);
+      onFilterChange({ ...filters, [key]: Number.isFinite(value) ? value : null });
+    }
+  });
+
+  return m('div.filter-range', [
+    m('span', label),
+    rangeInput(minKey, 'From'),
+    m('span', '–'),
+    rangeInput(maxKey, 'To')
+  ]);
+}
+
+// Select for a yes-or-no filter such as physical or digital; null matches either
+function renderBooleanSelect(filters, key, onFilterChange) {
+  const labels = BOOLEAN_FILTER_LABELS[key];
+  const current = typeof filters[key] === 'boolean' ? String(filters[key]) : '';
+  return m('select', {
+    value: current,
+    onchange(event) {
+      const value = event.target.value;
+      onFilterChange({ ...filters, [key]: value === '' ? null : value === 'true' });
+    }
+  }, [
+    m('option', { value: '' }, labels.any),
+    m('option', { value: 'true' }, labels.true),
+    m('option', { value: 'false' }, labels.false)
+  ]);
+}
 
 export const CollectionFilters = {
   view(vnode) {
     const { 
       filters, 
       platforms = [], 
+      storefronts = [],
+      genres = [],
+      tags = [],
       onFilterChange,
       onClearFilters 
     } = vnode.attrs;
     
-    const hasActiveFilters = filters.status || filters.platform || filters.favorite || filters.search;
+    const selectedTags = filters.tags || [];
+    const hasMoreFilters = LIST_FILTERS.some(key => toFilterList(filters[key]).length > 1) ||
+                           toFilterList(filters.storefront).length > 0 ||
+                           toFilterList(filters.genre).length > 0 ||
+                           RANGE_FILTERS.some(key => filters[key] !== null && filters[key] !== undefined) ||
+                           typeof filters.physical === 'boolean' ||
+                           typeof filters.rated === 'boolean' ||
+                           typeof filters.queued === 'boolean';
+    const hasActiveFilters = LIST_FILTERS.some(key => toFilterList(filters[key]).length > 0) ||
+                             hasMoreFilters || filters.favorite || filters.search || selectedTags.length > 0;
+
+    const statusOptions = Object.entries(STATUS_LABELS).map(([value, label]) => ({ value, label }));
+    const platformOptions = platforms.map(platform => ({ value: platform, label: platform }));
+    const storefrontOptions = storefronts.map(id => ({ value: id, label: getStorefrontById(id)?.name || id }));
+    const genreOptions = genres.map(genre => ({ value: genre, label: genre }));
+    const availableTags = tags.filter(tag => !selectedTags.includes(tag.name));
     
     return m('div.collection-filters', [
       m('div.filter-row', [
         m('input[type=search]', {
-          placeholder: 'Search your collection...',
+          placeholder: 'Search, e.g. zelda status:playing rating>=4',
+          'aria-describedby': 'search-syntax-help',
           value: filters.search || '',
           oninput(event) {
             onFilterChange({ ...filters, search: event.target.value });
           }
         }),
         
-        m('select', {
-          value: filters.status || '',
-          onchange(event) {
-            onFilterChange({ ...filters, status: event.target.value || null });
-          }
-        }, [
-          m('option', { value: '' }, 'All Statuses'),
-          ...Object.entries(STATUS_LABELS).map(([value, label]) =>
-            m('option', { value }, label)
-          )
-        ]),
+        renderQuickSelect(filters, 'status', 'All Statuses', statusOptions, onFilterChange),
         
-        m('select', {
-          value: filters.platform || '',
-          onchange(event) {
-            onFilterChange({ ...filters, platform: event.target.value || null });
-          }
-        }, [
-          m('option', { value: '' }, 'All Platforms'),
-          ...platforms.map(platform =>
-            m('option', { value: platform }, platform)
-          )
-        ]),
+        renderQuickSelect(filters, 'platform', 'All Platforms', platformOptions, onFilterChange),
 
         m('select.sort-select', {
-          value: filters.sort || 'name-asc',
+          value: filters.sort || DEFAULT_SORT,
           onchange(event) {
             onFilterChange({ ...filters, sort: event.target.value });
           }
-        }, [
-          m('option', { value: 'name-asc' }, 'Name (A-Z)'),
-          m('option', { value: 'name-desc' }, 'Name (Z-A)'),
-          m('option', { value: 'date-desc' }, 'Recently Added'),
-          m('option', { value: 'date-asc' }, 'Oldest Added')
-        ]),
+        }, SORT_OPTIONS.map(option =>
+          m('option', { value: option.value }, option.label)
+        )),
 
         m('label.favorites-toggle', [
           m('input[type=checkbox]', {
@@ -68,6 +154,89 @@ export const CollectionFilters = {
           ' Favorites only'
         ])
       ]),
+
+      m('details.more-filters', { open: hasMoreFilters }, [
+        m('summary', 'More filters'),
+        m('div.more-filters-grid', [
+          renderCheckboxGroup(filters, 'status', 'Status', statusOptions, onFilterChange),
+          renderCheckboxGroup(filters, 'platform', 'Platform', platformOptions, onFilterChange),
+          renderCheckboxGroup(filters, 'storefront', 'Storefront', storefrontOptions, onFilterChange),
+          renderCheckboxGroup(filters, 'genre', 'Genre', genreOptions, onFilterChange)
+        ]),
+        m('div.filter-row', [
+          renderRangeInputs(filters, 'Release year', 'yearMin', 'yearMax', 1, onFilterChange),
+          renderRangeInputs(filters, 'Hours played', 'hoursMin', 'hoursMax', 0.5, onFilterChange),
+          renderRangeInputs(filters, 'Time to beat (hours)', 'beatMin', 'beatMax', 1, onFilterChange),
+          renderBooleanSelect(filters, 'physical', onFilterChange),
+          renderBooleanSelect(filters, 'rated', onFilterChange),
+          renderBooleanSelect(filters, 'queued', onFilterChange)
+        ])
+      ]),
+
+      m('details.search-syntax-help#search-syntax-help', [
+        m('summary', 'Search syntax'),
+        m('p', [
+          'Combine free text with fields: ',
+          m('code', 'status:playing'), ' ',
+          m('code', 'platform:"Nintendo Switch"'), ' ',
+          m('code', 'store:steam'), ' ',
+          m('code', 'genre:RPG'), ' ',
+          m('code', 'tag:co-op'), ' ',
+          m('code', 'rating>=4'), ' ',
+          m('code', 'hours<10'), ' ',
+          m('code', 'beat<10'), ' ',
+          m('code', 'year:2015..2020'), ' ',
+          m('code', 'fav:yes'), ' ',
+          m('code', 'physical:no'), ' ',
+          m('code', 'notes:"boss"'), ' ',
+          m('code', 'title:"star wars"'),
+          '. Statuses can be combined with commas, e.g. ', m('code', 'status:backlog,playing'), '.',
+          ' Ratings use your rating scale, e.g. ', m('code', 'rating>=7'), ' on the 10-point scale; ',
+          m('code', 'beat'), ' is the estimated hours to beat the game.'
+        ])
+      ]),
+
+      tags.length > 0 && m('div.filter-row.tag-filter-row', [
+        m('select.tag-filter-select', {
+          value: '',
+          disabled: availableTags.length === 0,
+          onchange(event) {
+            const name = event.target.value;
+            event.target.value = '';
+            if (name) {
+              onFilterChange({ ...filters, tags: [...selectedTags, name] });
+            }
+          }
+        }, [
+          m('option', { value: '' }, 'Filter by tag...'),
+          ...availableTags.map(tag =>
+            m('option', { value: tag.name }, `${tag.name} (${tag.count})`)
+          )
+        ]),
+
+        selectedTags.length > 1 && m('select.tag-mode-select', {
+          value: filters.tagMode || 'any',
+          onchange(event) {
+            onFilterChange({ ...filters, tagMode: event.target.value });
+          }
+        }, [
+          m('option', { value: 'any' }, 'Any of these tags'),
+          m('option', { value: 'all' }, 'All of these tags')
+        ]),
+
+        selectedTags.length > 0 && m('div.tag-chips', selectedTags.map(name =>
+          m('span.tag-chip', { key: name }, [
+            name,
+            m('button.chip-remove', {
+              type: 'button',
+              'aria-label': `Remove tag filter ${name}`,
+              onclick() {
+                onFilterChange({ ...filters, tags: selectedTags.filter(tag => tag !== name) });
+              }
+            }, '×')
+          ])
+        ))
+      ]),
       
       hasActiveFilters && m('div.filter-actions', [
         m('button.outline.secondary.small', {
@@ -1,5 +1,6 @@
 import m from 'mithril';
 import { Meteor } from 'meteor/meteor';
+import { formatScaleValue } from '../../lib/constants/ratings.js';
 
 export const CollectionStats = {
   oninit(vnode) {
@@ -62,7 +63,7 @@ export const CollectionStats = {
           m('span.stat-label', 'Hours Played')
         ]),
         stats.averageRating && m('div.stat-card', [
-          m('span.stat-value', `${stats.averageRating} ★`),
+          m('span.stat-value', formatScaleValue(stats.averageRating, stats.ratingScale)),
           m('span.stat-label', 'Avg Rating')
         ])
       ])
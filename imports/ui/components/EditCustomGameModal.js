@@ -3,6 +3,10 @@ import { Meteor } from 'meteor/meteor';
 import { COLLECTION_STATUSES, STATUS_LABELS } from '../../lib/collections/collectionItems.js';
 import { PlatformSelect } from './PlatformSelect.js';
 import { StorefrontSelect } from './StorefrontSelect.js';
+import { TagInput } from './TagInput.js';
+import { RatingInput } from './RatingInput.js';
+import { ItemHistoryTimeline } from './ItemHistoryTimeline.js';
+import { UpNextButton } from './UpNextButton.js';
 
 const MAX_TITLE_LENGTH = 512;
 
@@ -23,6 +27,7 @@ export const EditCustomGameModal = {
     // Collection item fields
     this.itemPlatforms = collectionItem?.platforms || [];
     this.storefronts = collectionItem?.storefronts || [];
+    this.tags = [...(collectionItem?.tags || [])];
     this.status = collectionItem?.status || COLLECTION_STATUSES.BACKLOG;
     this.rating = collectionItem?.rating || null;
     this.hoursPlayed = collectionItem?.hoursPlayed || '';
@@ -148,6 +153,13 @@ export const EditCustomGameModal = {
         }
 
         await Meteor.callAsync('collection.updateItem', collectionItem._id, itemUpdates);
+
+        const originalTags = collectionItem.tags || [];
+        const tagsChanged = this.tags.length !== originalTags.length ||
+                            this.tags.some((tag, index) => tag !== originalTags[index]);
+        if (tagsChanged) {
+          itemUpdates.tags = await Meteor.callAsync('collection.setTags', collectionItem._id, this.tags);
+        }
       }
 
       if (onSuccess) {
@@ -165,33 +177,13 @@ export const EditCustomGameModal = {
   },
 
   view(vnode) {
-    const { game, collectionItem, onClose } = vnode.attrs;
+    const { game, collectionItem, tagSuggestions = [], onClose } = vnode.attrs;
     const remainingChars = MAX_TITLE_LENGTH - this.title.length;
 
     if (!game) {
       return null;
     }
 
-    const renderRatingSelect = () => {
-      return m('div.rating-select', [
-        m('label', 'Rating'),
-        m('div.star-buttons', [
-          m('button.star-btn', {
-            type: 'button',
-            class: this.rating === null ? 'selected' : '',
-            onclick: () => { this.rating = null; }
-          }, 'None'),
-          [1, 2, 3, 4, 5].map(num =>
-            m('button.star-btn', {
-              type: 'button',
-              class: this.rating === num ? 'selected' : '',
-              onclick: () => { this.rating = num; }
-            }, '\u2605'.repeat(num))
-          )
-        ])
-      ]);
-    };
-
     return m('dialog[open]', {
       onclick(event) {
         if (event.target.tagName === 'DIALOG') {
@@ -210,6 +202,8 @@ export const EditCustomGameModal = {
 
         m('span.badge.custom-badge', 'Custom'),
 
+        collectionItem && m(UpNextButton, { item: collectionItem, disabled: this.saving }),
+
         this.error && m('p.error-message', this.error),
 
         m('form', {
@@ -330,7 +324,7 @@ export const EditCustomGameModal = {
               gamePlatforms: this.gamePlatforms
             }),
 
-            renderRatingSelect(),
+            m(RatingInput, { value: this.rating, onChange: (rating) => { this.rating = rating; } }),
 
             m('label', [
               'Hours Played',
@@ -354,6 +348,15 @@ export const EditCustomGameModal = {
               label: 'Purchased From'
             }),
 
+            m(TagInput, {
+              value: this.tags,
+              suggestions: tagSuggestions,
+              disabled: this.saving,
+              onChange: (newValue) => {
+                this.tags = newValue;
+              }
+            }),
+
             m('label', [
               'Notes',
               m('textarea', {
@@ -391,6 +394,8 @@ export const EditCustomGameModal = {
             ])
           ]),
 
+          collectionItem && m(ItemHistoryTimeline, { itemId: collectionItem._id }),
+
           m('footer', [
             m('button.secondary', {
               type: 'button',
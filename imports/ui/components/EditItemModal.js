@@ -1,9 +1,38 @@
 import m from 'mithril';
 import { Meteor } from 'meteor/meteor';
-import { COLLECTION_STATUSES, STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { COLLECTION_STATUSES, STATUS_LABELS, deriveOwnershipIndex } from '../../lib/collections/collectionItems.js';
+import { TIME_TO_BEAT_LABELS, formatHoursToBeat } from '../../lib/constants/timeToBeat.js';
+import { HISTORY_SOURCE_LABELS } from '../../lib/collections/itemHistory.js';
 import { StorefrontSelect } from './StorefrontSelect.js';
 import { PlatformSelect } from './PlatformSelect.js';
 import { ExternalGameLinks } from './ExternalGameLinks.js';
+import { PlaythroughList } from './PlaythroughList.js';
+import { RelatedContentList } from './RelatedContentList.js';
+import { OwnedCopyList } from './OwnedCopyList.js';
+import { TagInput } from './TagInput.js';
+import { RatingInput } from './RatingInput.js';
+import { ItemHistoryTimeline } from './ItemHistoryTimeline.js';
+import { UpNextButton } from './UpNextButton.js';
+import { PlaySessionList, formatSessionLength } from './PlaySessionList.js';
+import { SessionTimerButton } from './SessionTimerButton.js';
+
+// What the hours played is made of, when it is more than the hours entered by hand
+function renderPlaytimeSources(item) {
+  const sessionMinutes = (item.playSessions || []).reduce((total, session) => total + session.minutes, 0);
+  const imported = Object.entries(item.importedHours || {}).filter(([, hours]) => typeof hours === 'number');
+  if (sessionMinutes === 0 && imported.length === 0) {
+    return null;
+  }
+
+  const parts = [];
+  if (sessionMinutes > 0) {
+    parts.push(`${formatSessionLength(sessionMinutes)} from sessions`);
+  }
+  for (const [source, hours] of imported) {
+    parts.push(`${hours}h from ${HISTORY_SOURCE_LABELS[source] || source}`);
+  }
+  return m('small.playtime-sources', `Includes ${parts.join(', ')}. Changing the total keeps these.`);
+}
 
 export const EditItemModal = {
   oninit(vnode) {
@@ -13,10 +42,13 @@ export const EditItemModal = {
     this.status = item?.status || COLLECTION_STATUSES.BACKLOG;
     this.rating = item?.rating || null;
     this.hoursPlayed = item?.hoursPlayed || '';
+    // Total as last saved; hours are only sent when the field is changed from it
+    this.savedHours = item?.hoursPlayed ?? null;
     this.notes = item?.notes || '';
     this.favorite = item?.favorite || false;
     this.physical = item?.physical || false;
     this.storefronts = item?.storefronts || [];
+    this.tags = [...(item?.tags || [])];
     
     // Handle platforms - support both old single platform and new array format
     if (item?.platforms && item.platforms.length > 0) {
@@ -32,8 +64,34 @@ export const EditItemModal = {
     
     this.saving = false;
     this.error = null;
+
+    // The collection grid leaves out copies, playthroughs and sessions
+    this.detailsLoaded = false;
+    if (item) {
+      this.loadDetails(item);
+    }
+  },
+
+  async loadDetails(item) {
+    try {
+      Object.assign(item, await Meteor.callAsync('collection.getItemDetails', item._id));
+      this.detailsLoaded = true;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load copies and sessions';
+    }
+    m.redraw();
   },
   
+  // Sessions change the total on the server; follow it unless the field was edited
+  applyHours(item, hoursPlayed) {
+    const edited = (this.hoursPlayed ? parseFloat(this.hoursPlayed) : null) !== this.savedHours;
+    item.hoursPlayed = hoursPlayed;
+    this.savedHours = hoursPlayed;
+    if (!edited) {
+      this.hoursPlayed = hoursPlayed || '';
+    }
+  },
+
   async save(vnode) {
     const { item, onClose, onSuccess } = vnode.attrs;
     
@@ -49,7 +107,6 @@ export const EditItemModal = {
     const updates = {
       status: this.status,
       rating: this.rating,
-      hoursPlayed: this.hoursPlayed ? parseFloat(this.hoursPlayed) : null,
       notes: this.notes,
       favorite: this.favorite,
       physical: this.physical,
@@ -57,6 +114,11 @@ export const EditItemModal = {
       platforms: this.platforms
     };
     
+    const hoursPlayed = this.hoursPlayed ? parseFloat(this.hoursPlayed) : null;
+    if (hoursPlayed !== this.savedHours) {
+      updates.hoursPlayed = hoursPlayed;
+    }
+
     if (this.status === COLLECTION_STATUSES.COMPLETED && item.status !== COLLECTION_STATUSES.COMPLETED) {
       updates.dateCompleted = new Date();
     }
@@ -65,8 +127,15 @@ export const EditItemModal = {
       updates.dateStarted = new Date();
     }
     
+    const originalTags = item.tags || [];
+    const tagsChanged = this.tags.length !== originalTags.length ||
+                        this.tags.some((tag, index) => tag !== originalTags[index]);
+
     try {
       await Meteor.callAsync('collection.updateItem', item._id, updates);
+      if (tagsChanged) {
+        updates.tags = await Meteor.callAsync('collection.setTags', item._id, this.tags);
+      }
       if (onSuccess) {
         onSuccess(item._id, updates);
       }
@@ -82,32 +151,12 @@ export const EditItemModal = {
   },
   
   view(vnode) {
-    const { item, game, onClose } = vnode.attrs;
+    const { item, game, tagSuggestions = [], onClose } = vnode.attrs;
     
     if (!item) {
       return null;
     }
     
-    const renderRatingSelect = () => {
-      return m('div.rating-select', [
-        m('label', 'Rating'),
-        m('div.star-buttons', [
-          m('button.star-btn', {
-            type: 'button',
-            class: this.rating === null ? 'selected' : '',
-            onclick: () => { this.rating = null; }
-          }, 'None'),
-          [1, 2, 3, 4, 5].map(num =>
-            m('button.star-btn', {
-              type: 'button',
-              class: this.rating === num ? 'selected' : '',
-              onclick: () => { this.rating = num; }
-            }, '★'.repeat(num))
-          )
-        ])
-      ]);
-    };
-    
     return m('dialog[open]', {
       onclick(event) {
         if (event.target.tagName === 'DIALOG') {
@@ -130,6 +179,24 @@ export const EditItemModal = {
 
         m(ExternalGameLinks, { game }),
 
+        game?.timeToBeat && m('p.time-to-beat', m('small', [
+          'Time to beat (IGDB): ',
+          Object.entries(TIME_TO_BEAT_LABELS)
+            .filter(([key]) => game.timeToBeat[key])
+            .map(([key, label]) => `${label} ${formatHoursToBeat(game.timeToBeat[key])}`)
+            .join(' · ')
+        ])),
+
+        m('div.item-quick-actions', [
+          m(UpNextButton, { item, disabled: this.saving }),
+          m(SessionTimerButton, {
+            item,
+            platform: this.platforms[0],
+            disabled: this.saving,
+            onLogged: (session, hoursPlayed) => this.applyHours(item, hoursPlayed)
+          })
+        ]),
+
         this.error && m('p.error-message', this.error),
         
         m('form', {
@@ -161,7 +228,7 @@ export const EditItemModal = {
             gamePlatforms: this.gamePlatforms
           }),
           
-          renderRatingSelect(),
+          m(RatingInput, { value: this.rating, onChange: (rating) => { this.rating = rating; } }),
           
           m('label', [
             'Hours Played',
@@ -173,7 +240,8 @@ export const EditItemModal = {
               oninput: (event) => {
                 this.hoursPlayed = event.target.value;
               }
-            })
+            }),
+            this.detailsLoaded && renderPlaytimeSources(item)
           ]),
           
           m(StorefrontSelect, {
@@ -185,6 +253,15 @@ export const EditItemModal = {
             label: 'Purchased From'
           }),
           
+          m(TagInput, {
+            value: this.tags,
+            suggestions: tagSuggestions,
+            disabled: this.saving,
+            onChange: (newValue) => {
+              this.tags = newValue;
+            }
+          }),
+
           m('label', [
             'Notes',
             m('textarea', {
@@ -197,6 +274,49 @@ export const EditItemModal = {
               }
             })
           ]),
+
+          !this.detailsLoaded && m('p', { 'aria-busy': 'true' }, 'Loading copies, playthroughs and sessions...'),
+
+          // Copies are saved as they are edited; the platform and storefront lists follow them
+          this.detailsLoaded && m(OwnedCopyList, {
+            itemId: item._id,
+            copies: item.ownedCopies,
+            platforms: this.gamePlatforms,
+            disabled: this.saving,
+            onChange: (copies) => {
+              item.ownedCopies = copies;
+              const { platforms, storefronts } = deriveOwnershipIndex(copies);
+              item.platforms = platforms;
+              item.storefronts = storefronts;
+              this.platforms = [...platforms];
+              this.storefronts = [...storefronts];
+            }
+          }),
+
+          // Playthroughs are saved as they are edited, independent of Save Changes
+          this.detailsLoaded && m(PlaythroughList, {
+            itemId: item._id,
+            playthroughs: item.playthroughs,
+            platforms: this.platforms,
+            disabled: this.saving,
+            onChange: (playthroughs) => {
+              item.playthroughs = playthroughs;
+            }
+          }),
+
+          // Sessions are saved as they are edited and update the hours played
+          this.detailsLoaded && m(PlaySessionList, {
+            itemId: item._id,
+            sessions: item.playSessions,
+            platforms: this.platforms,
+            disabled: this.saving,
+            onChange: (sessions, hoursPlayed) => {
+              item.playSessions = sessions;
+              this.applyHours(item, hoursPlayed);
+            }
+          }),
+
+          item.igdbId && m(RelatedContentList, { itemId: item._id, disabled: this.saving }),
           
           m('fieldset', [
             m('label', [
@@ -220,6 +340,8 @@ export const EditItemModal = {
               ' Physical Copy'
             ])
           ]),
+
+          m(ItemHistoryTimeline, { itemId: item._id }),
           
           m('footer', [
             m('button.secondary', {
@@ -1,10 +1,15 @@
 import m from 'mithril';
 import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { isStarScale, formatRating, toDisplayRating } from '../../lib/constants/ratings.js';
+import { estimateHoursToBeat, formatHoursToBeat } from '../../lib/constants/timeToBeat.js';
 import { getCoverSources, noCoverSvg } from '../lib/coverUrls.js';
+import { getRatingScale } from '../lib/preferences.js';
+import { itemDragAttrs } from '../lib/upNext.js';
+import { SessionTimerButton } from './SessionTimerButton.js';
 
 export const GameCard = {
   view(vnode) {
-    const { game, collectionItem, onAddToCollection, onUpdateItem, onRemoveItem, showActions = true } = vnode.attrs;
+    const { game, collectionItem, onAddToCollection, onUpdateItem, onRemoveItem, showActions = true, selectable = false, selected = false, onSelect } = vnode.attrs;
     
     if (!game && !collectionItem) {
       return m('article.game-card', m('p', 'Game not found'));
@@ -13,6 +18,9 @@ export const GameCard = {
     // Handle case where game is not in IGDB but collection item exists
     const displayName = game?.title || 'Unknown Game';
 
+    // Embedded games carry the estimate; full games from Browse carry the figures it comes from
+    const hoursToBeat = game?.hoursToBeat ?? estimateHoursToBeat(game?.timeToBeat);
+
     // Check if this is a custom game (has ownerId)
     const isCustomGame = game?.ownerId;
 
@@ -34,12 +42,24 @@ export const GameCard = {
       initialSource = 'placeholder';
     }
     
-    const renderStars = (rating) => {
+    const renderRating = (rating) => {
+      const scale = getRatingScale();
+      if (!isStarScale(scale)) {
+        return m('span.rating-score', formatRating(rating, scale));
+      }
+
+      const value = toDisplayRating(rating, scale);
       const stars = [];
       for (let index = 1; index <= 5; index++) {
-        stars.push(m('span.star', { class: index <= rating ? 'filled' : '' }, '★'));
+        let starClass = '';
+        if (index <= value) {
+          starClass = 'filled';
+        } else if (index - 0.5 === value) {
+          starClass = 'half';
+        }
+        stars.push(m('span.star', { class: starClass }, '★'));
       }
-      return m('span.rating-stars', stars);
+      return m('span.rating-stars', { title: formatRating(rating, scale) }, stars);
     };
     
     const renderStatusBadge = (status) => {
@@ -64,11 +84,31 @@ export const GameCard = {
       return [];
     };
     
-    return m('article.game-card', [
+    // In selection mode the cover toggles selection instead of opening the editor
+    const isSelecting = selectable && collectionItem && onSelect;
+    let coverClick = null;
+    if (isSelecting) {
+      coverClick = (event) => onSelect(collectionItem, event);
+    } else if (collectionItem && onUpdateItem) {
+      coverClick = () => onUpdateItem(collectionItem);
+    }
+
+    // Collection items can be dragged onto the Up Next queue
+    const dragAttrs = collectionItem && !isSelecting ? itemDragAttrs(collectionItem) : {};
+
+    return m('article.game-card', { class: isSelecting && selected ? 'selected' : '', ...dragAttrs }, [
       m('div.game-cover', {
-        class: collectionItem && onUpdateItem ? 'clickable' : '',
-        onclick: collectionItem && onUpdateItem ? () => onUpdateItem(collectionItem) : null
+        class: coverClick ? 'clickable' : '',
+        onclick: coverClick
       }, [
+        isSelecting && m('input.select-checkbox[type=checkbox]', {
+          checked: selected,
+          'aria-label': `Select ${displayName}`,
+          onclick(event) {
+            event.stopPropagation();
+            onSelect(collectionItem, event);
+          }
+        }),
         m('img', {
           src: initialCoverUrl,
           alt: displayName,
@@ -118,15 +158,24 @@ export const GameCard = {
         game?.genres && game.genres.length > 0 && m('p.game-genres', [
           m('small', game.genres.slice(0, 2).join(', '))
         ]),
+
+        hoursToBeat && m('p.game-time-to-beat', [
+          m('small', { title: 'Time to beat (IGDB)' }, `${formatHoursToBeat(hoursToBeat)} to beat`)
+        ]),
         
         collectionItem && m('div.collection-info', [
           m('div.status-row', [
             renderStatusBadge(collectionItem.status),
             collectionItem.favorite && m('span.favorite-badge', '❤️'),
-            collectionItem.physical && m('span.physical-badge', '📀')
+            collectionItem.physical && m('span.physical-badge', '📀'),
+            collectionItem.queueRank && m('span.badge.up-next-badge', { title: 'In Up Next' }, 'Up Next'),
+            // Editions of this game in the collection are shown on its card (see gameRelations.js)
+            collectionItem.editions?.length > 0 && m('span.badge.secondary.editions-badge', {
+              title: collectionItem.editions.map(edition => edition.game?.title).join('\n')
+            }, `+${collectionItem.editions.length} edition${collectionItem.editions.length === 1 ? '' : 's'}`)
           ]),
           
-          collectionItem.rating && m('div.rating-row', renderStars(collectionItem.rating)),
+          collectionItem.rating && m('div.rating-row', renderRating(collectionItem.rating)),
           
           collectionItem.hoursPlayed && m('p.hours-played', [
             m('small', `${collectionItem.hoursPlayed} hours played`)
@@ -156,10 +205,14 @@ export const GameCard = {
             onUpdateItem(collectionItem);
           }
         }, 'Edit'),
+
+        // Quick session timer for games being played, and for any game with a timer running
+        collectionItem && onUpdateItem && (collectionItem.status === 'playing' || collectionItem.activeSession) &&
+          m(SessionTimerButton, { item: collectionItem, platform: getItemPlatforms(collectionItem)[0] }),
         
         collectionItem && onRemoveItem && m('button.outline.contrast', {
           onclick() {
-            if (confirm(`Remove "${displayName}" from your collection?`)) {
+            if (confirm(`Move "${displayName}" to the trash? You can restore it from the trash later.`)) {
               onRemoveItem(collectionItem._id);
             }
           }
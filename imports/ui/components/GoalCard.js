@@ -0,0 +1,92 @@
+import m from 'mithril';
+import { GOAL_TYPES, GOAL_PACES, GOAL_PACE_LABELS } from '../../lib/constants/goals.js';
+import { formatMoney } from '../lib/money.js';
+
+function countOf(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * One-line description of a goal, e.g. "Complete 24 games in 2026"
+ * @param {Object} goal
+ * @returns {string}
+ */
+export function describeGoal(goal) {
+  const { target, year, params = {} } = goal;
+
+  switch (goal.type) {
+    case GOAL_TYPES.COMPLETE_GAMES:
+      return `Complete ${countOf(target, 'game')} in ${year}`;
+    case GOAL_TYPES.COMPLETE_OLD_BACKLOG:
+      return `Finish ${countOf(target, 'backlog game')} owned for ${params.minYearsOwned}+ years`;
+    case GOAL_TYPES.PLAY_OLD_GAMES:
+      return `Play ${countOf(target, 'game')} released before ${params.releasedBefore}`;
+    case GOAL_TYPES.PLAY_HOURS:
+      return `Log ${countOf(target, 'hour')} of play sessions`;
+    case GOAL_TYPES.SPEND_AT_MOST:
+      return `Spend no more than ${formatMoney(target, params.currency)} in ${year}`;
+    default:
+      return goal.type;
+  }
+}
+
+// A progress figure in the goal's unit
+function formatGoalValue(goal, value) {
+  if (goal.type === GOAL_TYPES.SPEND_AT_MOST) {
+    return formatMoney(value, goal.params.currency);
+  }
+  if (goal.type === GOAL_TYPES.PLAY_HOURS) {
+    return `${value}h`;
+  }
+  return String(value);
+}
+
+// What the pace is based on, for goals of a year in progress
+function describePace(goal, progress) {
+  if (progress.projected === null || progress.pace === GOAL_PACES.ACHIEVED || progress.pace === GOAL_PACES.MISSED) {
+    return null;
+  }
+  if (goal.type === GOAL_TYPES.SPEND_AT_MOST) {
+    return `On pace to spend ${formatGoalValue(goal, progress.projected)} this year`;
+  }
+  return `${formatGoalValue(goal, progress.expected)} expected by now · on pace for ${formatGoalValue(goal, progress.projected)}`;
+}
+
+// A goal with its progress bar and pace; edit and remove buttons when handlers are given
+export const GoalCard = {
+  view(vnode) {
+    const { goal, onEdit, onRemove, disabled } = vnode.attrs;
+    const progress = goal.progress;
+    const isBudget = goal.type === GOAL_TYPES.SPEND_AT_MOST;
+    const paceNote = describePace(goal, progress);
+
+    return m('article.goal-card', { class: `goal-${progress.pace}` }, [
+      m('div.goal-card-header', [
+        m('strong', describeGoal(goal)),
+        m('span.badge.goal-pace', { class: progress.pace }, GOAL_PACE_LABELS[progress.pace] || progress.pace)
+      ]),
+      m('progress', {
+        value: Math.min(progress.current, progress.target),
+        max: progress.target || 1,
+        'aria-label': describeGoal(goal)
+      }),
+      m('p.goal-figures', m('small', isBudget
+        ? `${formatGoalValue(goal, progress.current)} spent of ${formatGoalValue(goal, progress.target)}`
+        : `${formatGoalValue(goal, progress.current)} of ${formatGoalValue(goal, progress.target)} (${progress.percent}%)`
+      )),
+      paceNote && m('p.goal-pace-note', m('small', paceNote)),
+      (onEdit || onRemove) && m('div.goal-card-actions', [
+        onEdit && m('button.outline.secondary.small', {
+          type: 'button',
+          disabled,
+          onclick: () => onEdit(goal)
+        }, 'Edit'),
+        onRemove && m('button.outline.contrast.small', {
+          type: 'button',
+          disabled,
+          onclick: () => onRemove(goal)
+        }, 'Remove')
+      ])
+    ]);
+  }
+};
@@ -0,0 +1,41 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { GoalCard } from './GoalCard.js';
+
+// Results of goals set for past years, most recent year first
+export const GoalHistory = {
+  oninit(vnode) {
+    this.history = [];
+    this.loading = true;
+    this.error = null;
+    this.load();
+  },
+
+  async load() {
+    try {
+      this.history = await Meteor.callAsync('goals.getHistory');
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load past goals';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    if (this.loading || (this.history.length === 0 && !this.error)) {
+      return null;
+    }
+
+    return m('div.goal-history', [
+      m('h3', 'Past Years'),
+      this.error && m('p.error-message', this.error),
+      this.history.map(entry =>
+        m('details.goal-history-year', { key: entry.year }, [
+          m('summary', `${entry.year}: ${entry.achieved} of ${entry.goals.length} ${entry.goals.length === 1 ? 'goal' : 'goals'} achieved`),
+          m('div.goal-cards', entry.goals.map(goal => m(GoalCard, { key: goal._id, goal })))
+        ])
+      )
+    ]);
+  }
+};
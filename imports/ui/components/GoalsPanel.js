@@ -0,0 +1,257 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { GOAL_TYPES, GOAL_TYPE_LABELS } from '../../lib/constants/goals.js';
+import { GoalCard } from './GoalCard.js';
+
+const DEFAULT_TARGETS = {
+  'complete-games': 12,
+  'complete-old-backlog': 5,
+  'play-old-games': 5,
+  'play-hours': 100,
+  'spend-at-most': 200
+};
+
+function emptyDraft() {
+  return {
+    goalId: null,
+    type: GOAL_TYPES.COMPLETE_GAMES,
+    target: String(DEFAULT_TARGETS[GOAL_TYPES.COMPLETE_GAMES]),
+    minYearsOwned: '3',
+    releasedBefore: '2000',
+    currency: 'USD'
+  };
+}
+
+function draftFromGoal(goal) {
+  return {
+    ...emptyDraft(),
+    goalId: goal._id,
+    type: goal.type,
+    target: String(goal.target),
+    minYearsOwned: String(goal.params.minYearsOwned ?? 3),
+    releasedBefore: String(goal.params.releasedBefore ?? 2000),
+    currency: goal.params.currency || 'USD'
+  };
+}
+
+// Params the draft's type uses
+function draftParams(draft) {
+  switch (draft.type) {
+    case GOAL_TYPES.COMPLETE_OLD_BACKLOG:
+      return { minYearsOwned: parseInt(draft.minYearsOwned, 10) };
+    case GOAL_TYPES.PLAY_OLD_GAMES:
+      return { releasedBefore: parseInt(draft.releasedBefore, 10) };
+    case GOAL_TYPES.SPEND_AT_MOST:
+      return { currency: draft.currency.trim().toUpperCase() };
+    default:
+      return {};
+  }
+}
+
+// Goals for one year with their progress. Editable panels can add, change and remove goals.
+export const GoalsPanel = {
+  oninit(vnode) {
+    this.goals = [];
+    this.draft = null;
+    this.loading = true;
+    this.busy = false;
+    this.error = null;
+    this.load(vnode);
+  },
+
+  async load(vnode) {
+    this.loading = true;
+    m.redraw();
+
+    try {
+      this.goals = await Meteor.callAsync('goals.getForYear', vnode.attrs.year);
+      this.error = null;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load goals';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  async saveDraft(vnode) {
+    const draft = this.draft;
+    const target = parseFloat(draft.target);
+    if (!Number.isFinite(target)) {
+      this.error = 'Enter a target';
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      if (draft.goalId) {
+        await Meteor.callAsync('goals.update', draft.goalId, { target, params: draftParams(draft) });
+      } else {
+        await Meteor.callAsync('goals.create', {
+          year: vnode.attrs.year,
+          type: draft.type,
+          target,
+          params: draftParams(draft)
+        });
+      }
+      this.draft = null;
+      await this.load(vnode);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to save goal';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async remove(vnode, goal) {
+    if (!confirm('Remove this goal?')) {
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('goals.remove', goal._id);
+      this.goals = this.goals.filter(entry => entry._id !== goal._id);
+      if (this.draft?.goalId === goal._id) {
+        this.draft = null;
+      }
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to remove goal';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  renderDraft(vnode) {
+    const draft = this.draft;
+    const isNew = !draft.goalId;
+    const isWholeNumber = draft.type !== GOAL_TYPES.PLAY_HOURS && draft.type !== GOAL_TYPES.SPEND_AT_MOST;
+
+    const targetLabel = {
+      'play-hours': 'Hours',
+      'spend-at-most': 'Budget'
+    }[draft.type] || 'Games';
+
+    return m('form.goal-form', {
+      onsubmit: (event) => {
+        event.preventDefault();
+        this.saveDraft(vnode);
+      }
+    }, [
+      m('div.grid', [
+        m('label', [
+          'Goal',
+          m('select', {
+            value: draft.type,
+            disabled: !isNew || this.busy,
+            onchange: (event) => {
+              draft.type = event.target.value;
+              draft.target = String(DEFAULT_TARGETS[draft.type]);
+            }
+          }, Object.entries(GOAL_TYPE_LABELS).map(([value, label]) => m('option', { value }, label)))
+        ]),
+        m('label', [
+          targetLabel,
+          m('input[type=number]', {
+            value: draft.target,
+            min: isWholeNumber ? 1 : 0,
+            step: isWholeNumber ? 1 : 'any',
+            required: true,
+            disabled: this.busy,
+            oninput: (event) => { draft.target = event.target.value; }
+          })
+        ]),
+        draft.type === GOAL_TYPES.COMPLETE_OLD_BACKLOG && m('label', [
+          'Owned for at least (years)',
+          m('input[type=number]', {
+            value: draft.minYearsOwned,
+            min: 1,
+            max: 50,
+            step: 1,
+            required: true,
+            disabled: this.busy,
+            oninput: (event) => { draft.minYearsOwned = event.target.value; }
+          })
+        ]),
+        draft.type === GOAL_TYPES.PLAY_OLD_GAMES && m('label', [
+          'Released before',
+          m('input[type=number]', {
+            value: draft.releasedBefore,
+            step: 1,
+            required: true,
+            disabled: this.busy,
+            oninput: (event) => { draft.releasedBefore = event.target.value; }
+          })
+        ]),
+        draft.type === GOAL_TYPES.SPEND_AT_MOST && m('label', [
+          'Currency',
+          m('input[type=text]', {
+            value: draft.currency,
+            maxlength: 3,
+            placeholder: 'USD',
+            required: true,
+            disabled: this.busy,
+            oninput: (event) => { draft.currency = event.target.value; }
+          })
+        ])
+      ]),
+      draft.type === GOAL_TYPES.PLAY_HOURS && m('p', m('small', 'Counts hours from logged play sessions.')),
+      draft.type === GOAL_TYPES.SPEND_AT_MOST &&
+        m('p', m('small', 'Counts prices of copies with a purchase date in the year, in this currency.')),
+      m('div.goal-form-actions', [
+        m('button.secondary.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => { this.draft = null; this.error = null; }
+        }, 'Cancel'),
+        m('button.small[type=submit]', {
+          disabled: this.busy,
+          'aria-busy': this.busy
+        }, isNew ? 'Add Goal' : 'Update Goal')
+      ])
+    ]);
+  },
+
+  view(vnode) {
+    const { year, editable } = vnode.attrs;
+
+    if (this.loading && this.goals.length === 0) {
+      return m('p', m('small', 'Loading goals...'));
+    }
+
+    return m('div.goals-panel', [
+      this.error && m('p.error-message', this.error),
+
+      this.goals.length > 0
+        ? m('div.goal-cards', this.goals.map(goal => m(GoalCard, {
+            key: goal._id,
+            goal,
+            disabled: this.busy,
+            onEdit: editable ? (entry) => { this.draft = draftFromGoal(entry); } : null,
+            onRemove: editable ? (entry) => this.remove(vnode, entry) : null
+          })))
+        : m('p.goals-empty', editable
+          ? m('small', `No goals for ${year} yet.`)
+          : m('small', [
+              `No goals for ${year} yet. `,
+              m('a', { href: '/statistics', oncreate: m.route.link }, 'Set some on the statistics page.')
+            ])),
+
+      editable && (this.draft
+        ? this.renderDraft(vnode)
+        : m('button.outline.small', {
+            type: 'button',
+            disabled: this.busy,
+            onclick: () => { this.draft = emptyDraft(); }
+          }, 'Add Goal'))
+    ]);
+  }
+};
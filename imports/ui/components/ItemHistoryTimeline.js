@@ -0,0 +1,56 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { describeHistoryChange, formatHistorySource } from '../lib/itemHistory.js';
+
+// Status/rating/hours timeline for one collection item; loaded the first time it is opened
+export const ItemHistoryTimeline = {
+  oninit(vnode) {
+    this.entries = null;
+    this.loading = false;
+    this.error = null;
+  },
+
+  async load(vnode) {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.entries = await Meteor.callAsync('collection.getItemHistory', vnode.attrs.itemId);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load history';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    return m('details.item-history', {
+      ontoggle: (event) => {
+        if (event.target.open && this.entries === null && !this.loading) {
+          this.load(vnode);
+        }
+      }
+    }, [
+      m('summary', 'History'),
+
+      this.loading && m('p', m('small', 'Loading history...')),
+
+      this.error && m('p.error-message', this.error),
+
+      this.entries && this.entries.length === 0 && m('p', m('small', 'No changes recorded yet.')),
+
+      this.entries && this.entries.length > 0 && m('ol.history-timeline', this.entries.map(entry =>
+        m('li', { key: entry._id }, [
+          m('div.history-meta', [
+            m('time', { datetime: new Date(entry.createdAt).toISOString() }, new Date(entry.createdAt).toLocaleString()),
+            m('span.badge.secondary', formatHistorySource(entry.source))
+          ]),
+          entry.type === 'added' && m('div', m('strong', 'Added to collection')),
+          entry.changes.map(change => m('div.history-change', describeHistoryChange(change)))
+        ])
+      ))
+    ]);
+  }
+};
@@ -0,0 +1,206 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { MAX_TAG_LENGTH } from '../../lib/collections/tags.js';
+
+// Create, rename, merge and delete the user's tags
+export const ManageTagsModal = {
+  oninit(vnode) {
+    this.newTagName = '';
+    this.renaming = null;  // { tagId, name }
+    this.busy = false;
+    this.error = null;
+  },
+
+  async run(vnode, methodName, ...args) {
+    const { onChange } = vnode.attrs;
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync(methodName, ...args);
+      if (onChange) {
+        onChange();
+      }
+      this.busy = false;
+      m.redraw();
+      return true;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to update tags';
+      this.busy = false;
+      m.redraw();
+      return false;
+    }
+  },
+
+  async createTag(vnode) {
+    const name = this.newTagName.trim();
+    if (!name) {
+      return;
+    }
+
+    if (await this.run(vnode, 'tags.create', name)) {
+      this.newTagName = '';
+    }
+  },
+
+  async renameTag(vnode) {
+    const { tagId, name } = this.renaming;
+    if (!name.trim()) {
+      return;
+    }
+
+    if (await this.run(vnode, 'tags.rename', tagId, name)) {
+      this.renaming = null;
+    }
+  },
+
+  async mergeTag(vnode, sourceTag, targetTagId) {
+    const { tags = [] } = vnode.attrs;
+    const targetTag = tags.find(tag => tag._id === targetTagId);
+    if (!targetTag) {
+      return;
+    }
+
+    if (!confirm(`Merge "${sourceTag.name}" into "${targetTag.name}"? Items tagged "${sourceTag.name}" will be tagged "${targetTag.name}" instead.`)) {
+      return;
+    }
+
+    await this.run(vnode, 'tags.merge', sourceTag._id, targetTag._id);
+  },
+
+  async deleteTag(vnode, tag) {
+    const usage = tag.count > 0 ? ` It will be removed from ${tag.count} ${tag.count === 1 ? 'game' : 'games'}.` : '';
+    if (!confirm(`Delete the tag "${tag.name}"?${usage}`)) {
+      return;
+    }
+
+    await this.run(vnode, 'tags.delete', tag._id);
+  },
+
+  view(vnode) {
+    const { tags = [], onClose } = vnode.attrs;
+
+    const renderTag = (tag) => {
+      const isRenaming = this.renaming?.tagId === tag._id;
+      const otherTags = tags.filter(other => other._id !== tag._id);
+
+      return m('li.manage-tag-row', { key: tag._id }, [
+        isRenaming
+          ? m('input[type=text]', {
+              value: this.renaming.name,
+              maxlength: MAX_TAG_LENGTH,
+              disabled: this.busy,
+              oncreate: (inputVnode) => inputVnode.dom.focus(),
+              oninput: (event) => {
+                this.renaming.name = event.target.value;
+              },
+              onkeydown: (event) => {
+                if (event.key === 'Enter') {
+                  event.preventDefault();
+                  this.renameTag(vnode);
+                } else if (event.key === 'Escape') {
+                  this.renaming = null;
+                }
+              }
+            })
+          : m('span.manage-tag-name', [
+              tag.name,
+              m('small.manage-tag-count', ` ${tag.count} ${tag.count === 1 ? 'game' : 'games'}`)
+            ]),
+
+        m('span.manage-tag-actions', isRenaming
+          ? [
+              m('button.secondary.small', {
+                type: 'button',
+                disabled: this.busy,
+                onclick: () => { this.renaming = null; }
+              }, 'Cancel'),
+              m('button.small', {
+                type: 'button',
+                disabled: this.busy,
+                onclick: () => this.renameTag(vnode)
+              }, 'Save')
+            ]
+          : [
+              m('button.outline.secondary.small', {
+                type: 'button',
+                disabled: this.busy,
+                onclick: () => { this.renaming = { tagId: tag._id, name: tag.name }; }
+              }, 'Rename'),
+              otherTags.length > 0 && m('select.manage-tag-merge', {
+                value: '',
+                disabled: this.busy,
+                'aria-label': `Merge ${tag.name} into another tag`,
+                onchange: (event) => {
+                  const targetTagId = event.target.value;
+                  event.target.value = '';
+                  this.mergeTag(vnode, tag, targetTagId);
+                }
+              }, [
+                m('option', { value: '' }, 'Merge into...'),
+                ...otherTags.map(other => m('option', { value: other._id }, other.name))
+              ]),
+              m('button.outline.contrast.small', {
+                type: 'button',
+                disabled: this.busy,
+                onclick: () => this.deleteTag(vnode, tag)
+              }, 'Delete')
+            ]
+        )
+      ]);
+    };
+
+    return m('dialog[open]', {
+      onclick(event) {
+        if (event.target.tagName === 'DIALOG') {
+          onClose();
+        }
+      }
+    }, [
+      m('article.manage-tags-modal', [
+        m('header', [
+          m('button.close', {
+            'aria-label': 'Close',
+            onclick: onClose
+          }),
+          m('h3', 'Manage Tags')
+        ]),
+
+        this.error && m('p.error-message', this.error),
+
+        m('form.manage-tag-create', {
+          onsubmit: (event) => {
+            event.preventDefault();
+            this.createTag(vnode);
+          }
+        }, m('fieldset[role=group]', [
+          m('input[type=text]', {
+            placeholder: 'New tag name',
+            value: this.newTagName,
+            maxlength: MAX_TAG_LENGTH,
+            disabled: this.busy,
+            oninput: (event) => {
+              this.newTagName = event.target.value;
+            }
+          }),
+          m('button[type=submit]', {
+            disabled: this.busy || !this.newTagName.trim()
+          }, 'Add')
+        ])),
+
+        tags.length > 0
+          ? m('ul.manage-tag-list', tags.map(renderTag))
+          : m('p.manage-tag-empty', 'You have no tags yet. Add one above or tag games from the edit dialog.'),
+
+        m('footer', [
+          m('button.secondary', {
+            type: 'button',
+            onclick: onClose
+          }, 'Done')
+        ])
+      ])
+    ]);
+  }
+};
@@ -0,0 +1,290 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { COPY_FORMAT_LABELS } from '../../lib/collections/collectionItems.js';
+import { getStorefronts, getStorefrontById } from '../../lib/constants/storefronts.js';
+import { toDateInputValue, fromDateInputValue } from '../lib/dates.js';
+import { formatMoney } from '../lib/money.js';
+
+function emptyDraft(defaultPlatform) {
+  return {
+    copyId: null,
+    platform: defaultPlatform || '',
+    storefront: '',
+    format: '',
+    edition: '',
+    purchaseDate: '',
+    price: '',
+    currency: '',
+    source: ''
+  };
+}
+
+function draftFromCopy(copy) {
+  return {
+    copyId: copy._id,
+    platform: copy.platform || '',
+    storefront: copy.storefront || '',
+    format: copy.format || '',
+    edition: copy.edition || '',
+    purchaseDate: toDateInputValue(copy.purchaseDate),
+    price: copy.price ?? '',
+    currency: copy.currency || '',
+    source: copy.source || ''
+  };
+}
+
+function formatPrice(copy) {
+  if (copy.price === null || copy.price === undefined) {
+    return null;
+  }
+  return formatMoney(copy.price, copy.currency);
+}
+
+// Copies owned of a collection item; changes are saved immediately
+export const OwnedCopyList = {
+  oninit(vnode) {
+    this.copies = [...(vnode.attrs.copies || [])];
+    this.storefronts = getStorefronts();
+    this.draft = null;
+    this.busy = false;
+    this.error = null;
+  },
+
+  notifyChange(vnode) {
+    if (vnode.attrs.onChange) {
+      vnode.attrs.onChange(this.copies);
+    }
+  },
+
+  async saveDraft(vnode) {
+    const { itemId } = vnode.attrs;
+    const draft = this.draft;
+
+    const copy = {
+      platform: draft.platform.trim() || null,
+      storefront: draft.storefront || null,
+      format: draft.format || null,
+      edition: draft.edition.trim() || null,
+      purchaseDate: fromDateInputValue(draft.purchaseDate),
+      price: draft.price !== '' ? parseFloat(draft.price) : null,
+      currency: draft.currency.trim().toUpperCase() || null,
+      source: draft.source.trim() || null
+    };
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      if (draft.copyId) {
+        await Meteor.callAsync('collection.updateCopy', itemId, draft.copyId, copy);
+        const index = this.copies.findIndex(entry => entry._id === draft.copyId);
+        if (index !== -1) {
+          this.copies[index] = { ...this.copies[index], ...copy };
+        }
+      } else {
+        const copyId = await Meteor.callAsync('collection.addCopy', itemId, copy);
+        this.copies.push({ _id: copyId, ...copy });
+      }
+      this.draft = null;
+      this.notifyChange(vnode);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to save copy';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async remove(vnode, copy) {
+    if (!confirm('Remove this copy?')) {
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.removeCopy', vnode.attrs.itemId, copy._id);
+      this.copies = this.copies.filter(entry => entry._id !== copy._id);
+      if (this.draft?.copyId === copy._id) {
+        this.draft = null;
+      }
+      this.notifyChange(vnode);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to remove copy';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { platforms = [], disabled } = vnode.attrs;
+    const isDisabled = disabled || this.busy;
+
+    const renderSummary = (copy) => {
+      const parts = [
+        copy.platform || 'Any platform',
+        copy.storefront ? (getStorefrontById(copy.storefront)?.name || copy.storefront) : null,
+        COPY_FORMAT_LABELS[copy.format],
+        copy.edition,
+        toDateInputValue(copy.purchaseDate) || null,
+        formatPrice(copy),
+        copy.source
+      ].filter(Boolean);
+
+      return m('li.owned-copy-entry', { key: copy._id }, [
+        m('span.owned-copy-summary', parts.join(' · ')),
+        m('span.owned-copy-actions', [
+          m('button.outline.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = draftFromCopy(copy); }
+          }, 'Edit'),
+          m('button.outline.contrast.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => this.remove(vnode, copy)
+          }, 'Remove')
+        ])
+      ]);
+    };
+
+    const renderDraft = () => {
+      const draft = this.draft;
+      return m('div.owned-copy-form', {
+        // Keep Enter inside these inputs from submitting the surrounding item form
+        onkeydown(event) {
+          if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+            event.preventDefault();
+          }
+        }
+      }, [
+        m('div.grid', [
+          m('label', [
+            'Platform',
+            m('input[type=text]', {
+              value: draft.platform,
+              list: 'owned-copy-platforms',
+              maxlength: 100,
+              disabled: isDisabled,
+              oninput: (event) => { draft.platform = event.target.value; }
+            }),
+            m('datalist#owned-copy-platforms', platforms.map(platform => m('option', { value: platform })))
+          ]),
+          m('label', [
+            'Storefront',
+            m('select', {
+              value: draft.storefront,
+              disabled: isDisabled,
+              onchange: (event) => { draft.storefront = event.target.value; }
+            }, [
+              m('option', { value: '' }, 'None'),
+              ...this.storefronts.map(storefront =>
+                m('option', { value: storefront.id }, storefront.name)
+              )
+            ])
+          ])
+        ]),
+        m('div.grid', [
+          m('label', [
+            'Format',
+            m('select', {
+              value: draft.format,
+              disabled: isDisabled,
+              onchange: (event) => { draft.format = event.target.value; }
+            }, [
+              m('option', { value: '' }, 'Unknown'),
+              ...Object.entries(COPY_FORMAT_LABELS).map(([value, label]) =>
+                m('option', { value }, label)
+              )
+            ])
+          ]),
+          m('label', [
+            'Edition',
+            m('input[type=text]', {
+              value: draft.edition,
+              maxlength: 100,
+              placeholder: 'e.g. Deluxe, GOTY',
+              disabled: isDisabled,
+              oninput: (event) => { draft.edition = event.target.value; }
+            })
+          ])
+        ]),
+        m('div.grid', [
+          m('label', [
+            'Purchased',
+            m('input[type=date]', {
+              value: draft.purchaseDate,
+              disabled: isDisabled,
+              oninput: (event) => { draft.purchaseDate = event.target.value; }
+            })
+          ]),
+          m('label', [
+            'Price',
+            m('input[type=number]', {
+              value: draft.price,
+              min: 0,
+              step: 0.01,
+              disabled: isDisabled,
+              oninput: (event) => { draft.price = event.target.value; }
+            })
+          ]),
+          m('label', [
+            'Currency',
+            m('input[type=text]', {
+              value: draft.currency,
+              maxlength: 3,
+              placeholder: 'USD',
+              disabled: isDisabled,
+              oninput: (event) => { draft.currency = event.target.value; }
+            })
+          ])
+        ]),
+        m('label', [
+          'Acquired from',
+          m('input[type=text]', {
+            value: draft.source,
+            maxlength: 100,
+            placeholder: 'e.g. Gift, Humble Bundle',
+            disabled: isDisabled,
+            oninput: (event) => { draft.source = event.target.value; }
+          })
+        ]),
+        m('div.owned-copy-form-actions', [
+          m('button.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = null; }
+          }, 'Cancel'),
+          m('button.small', {
+            type: 'button',
+            disabled: isDisabled,
+            'aria-busy': this.busy,
+            onclick: () => this.saveDraft(vnode)
+          }, draft.copyId ? 'Update Copy' : 'Add Copy')
+        ])
+      ]);
+    };
+
+    return m('details.owned-copy-list', [
+      m('summary', `Owned Copies (${this.copies.length})`),
+
+      this.error && m('p.error-message', this.error),
+
+      this.copies.length > 0
+        ? m('ul.owned-copy-entries', this.copies.map(renderSummary))
+        : m('p.owned-copy-empty', m('small', 'No copies recorded yet.')),
+
+      this.draft
+        ? renderDraft()
+        : m('button.outline.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = emptyDraft(platforms[0]); }
+          }, 'Add Copy')
+    ]);
+  }
+};
@@ -0,0 +1,240 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { toDateInputValue, fromDateInputValue } from '../lib/dates.js';
+
+/**
+ * Format a session length, e.g. 95 -> "1h 35m"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatSessionLength(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) {
+    return `${rest}m`;
+  }
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+function emptyDraft(defaultPlatform) {
+  return {
+    sessionId: null,
+    date: toDateInputValue(new Date()),
+    minutes: '',
+    platform: defaultPlatform || '',
+    note: ''
+  };
+}
+
+function draftFromSession(session) {
+  return {
+    sessionId: session._id,
+    date: toDateInputValue(session.date),
+    minutes: session.minutes,
+    platform: session.platform || '',
+    note: session.note || ''
+  };
+}
+
+// Play session log for a collection item, newest first. Changes are saved immediately; the
+// parent keeps the list, so sessions logged by the timer show up too, and gets the new hours
+// played through onChange.
+export const PlaySessionList = {
+  oninit(vnode) {
+    this.draft = null;
+    this.busy = false;
+    this.error = null;
+  },
+
+  notifyChange(vnode, sessions, hoursPlayed) {
+    if (vnode.attrs.onChange) {
+      vnode.attrs.onChange(sessions, hoursPlayed);
+    }
+  },
+
+  async saveDraft(vnode) {
+    const { itemId, sessions = [] } = vnode.attrs;
+    const draft = this.draft;
+
+    const session = {
+      date: fromDateInputValue(draft.date),
+      minutes: parseInt(draft.minutes, 10),
+      platform: draft.platform.trim() || null,
+      note: draft.note
+    };
+
+    if (!session.date) {
+      this.error = 'Choose the day you played';
+      return;
+    }
+    if (!Number.isInteger(session.minutes) || session.minutes < 1) {
+      this.error = 'Enter how many minutes you played';
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      if (draft.sessionId) {
+        const result = await Meteor.callAsync('sessions.update', itemId, draft.sessionId, session);
+        const updated = sessions.map(entry => (entry._id === draft.sessionId ? result.session : entry));
+        this.notifyChange(vnode, updated, result.hoursPlayed);
+      } else {
+        const result = await Meteor.callAsync('sessions.add', itemId, session);
+        this.notifyChange(vnode, [...sessions, result.session], result.hoursPlayed);
+      }
+      this.draft = null;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to save session';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async remove(vnode, session) {
+    if (!confirm('Remove this session?')) {
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const result = await Meteor.callAsync('sessions.remove', vnode.attrs.itemId, session._id);
+      if (this.draft?.sessionId === session._id) {
+        this.draft = null;
+      }
+      const remaining = (vnode.attrs.sessions || []).filter(entry => entry._id !== session._id);
+      this.notifyChange(vnode, remaining, result.hoursPlayed);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to remove session';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { sessions = [], platforms = [], disabled } = vnode.attrs;
+    const isDisabled = disabled || this.busy;
+
+    const sorted = [...sessions].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const totalMinutes = sessions.reduce((total, session) => total + session.minutes, 0);
+
+    const renderSession = (session) =>
+      m('li.play-session-entry', { key: session._id }, [
+        m('span.play-session-summary', [
+          m('strong', toDateInputValue(session.date)),
+          ` ${[formatSessionLength(session.minutes), session.platform].filter(Boolean).join(' · ')}`,
+          session.note && m('small.play-session-note', session.note)
+        ]),
+        m('span.play-session-actions', [
+          m('button.outline.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = draftFromSession(session); }
+          }, 'Edit'),
+          m('button.outline.contrast.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => this.remove(vnode, session)
+          }, 'Remove')
+        ])
+      ]);
+
+    const renderDraft = () => {
+      const draft = this.draft;
+      return m('div.play-session-form', {
+        // Keep Enter inside these inputs from submitting the surrounding item form
+        onkeydown(event) {
+          if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+            event.preventDefault();
+          }
+        }
+      }, [
+        m('div.grid', [
+          m('label', [
+            'Date',
+            m('input[type=date]', {
+              value: draft.date,
+              required: true,
+              disabled: isDisabled,
+              oninput: (event) => { draft.date = event.target.value; }
+            })
+          ]),
+          m('label', [
+            'Minutes',
+            m('input[type=number]', {
+              value: draft.minutes,
+              min: 1,
+              max: 1440,
+              step: 1,
+              required: true,
+              disabled: isDisabled,
+              oninput: (event) => { draft.minutes = event.target.value; }
+            })
+          ]),
+          m('label', [
+            'Platform',
+            m('input[type=text]', {
+              value: draft.platform,
+              list: 'play-session-platforms',
+              maxlength: 100,
+              disabled: isDisabled,
+              oninput: (event) => { draft.platform = event.target.value; }
+            }),
+            m('datalist#play-session-platforms', platforms.map(platform => m('option', { value: platform })))
+          ])
+        ]),
+        m('label', [
+          'Journal',
+          m('textarea', {
+            value: draft.note,
+            rows: 2,
+            maxlength: 10000,
+            placeholder: 'What happened this session? (optional)',
+            disabled: isDisabled,
+            oninput: (event) => { draft.note = event.target.value; }
+          })
+        ]),
+        m('div.play-session-form-actions', [
+          m('button.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = null; this.error = null; }
+          }, 'Cancel'),
+          m('button.small', {
+            type: 'button',
+            disabled: isDisabled,
+            'aria-busy': this.busy,
+            onclick: () => this.saveDraft(vnode)
+          }, draft.sessionId ? 'Update Session' : 'Log Session')
+        ])
+      ]);
+    };
+
+    return m('details.play-session-list', [
+      m('summary', sessions.length > 0
+        ? `Play sessions (${sessions.length}, ${formatSessionLength(totalMinutes)})`
+        : 'Play sessions'),
+
+      this.error && m('p.error-message', this.error),
+
+      sorted.length > 0
+        ? m('ul.play-session-entries', sorted.map(renderSession))
+        : m('p.play-session-empty', m('small', 'No sessions logged yet.')),
+
+      this.draft
+        ? renderDraft()
+        : m('button.outline.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = emptyDraft(platforms[0]); }
+          }, 'Log Session')
+    ]);
+  }
+};
@@ -0,0 +1,273 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { PLAYTHROUGH_OUTCOME_LABELS } from '../../lib/collections/collectionItems.js';
+import { toDateInputValue, fromDateInputValue } from '../lib/dates.js';
+
+function emptyDraft(defaultPlatform) {
+  return {
+    playthroughId: null,
+    dateStarted: '',
+    dateCompleted: '',
+    platform: defaultPlatform || '',
+    difficulty: '',
+    outcome: '',
+    hoursPlayed: '',
+    notes: ''
+  };
+}
+
+function draftFromPlaythrough(playthrough) {
+  return {
+    playthroughId: playthrough._id,
+    dateStarted: toDateInputValue(playthrough.dateStarted),
+    dateCompleted: toDateInputValue(playthrough.dateCompleted),
+    platform: playthrough.platform || '',
+    difficulty: playthrough.difficulty || '',
+    outcome: playthrough.outcome || '',
+    hoursPlayed: playthrough.hoursPlayed ?? '',
+    notes: playthrough.notes || ''
+  };
+}
+
+// Playthrough history for a collection item; changes are saved immediately
+export const PlaythroughList = {
+  oninit(vnode) {
+    this.playthroughs = [...(vnode.attrs.playthroughs || [])];
+    this.draft = null;
+    this.busy = false;
+    this.error = null;
+  },
+
+  notifyChange(vnode) {
+    if (vnode.attrs.onChange) {
+      vnode.attrs.onChange(this.playthroughs);
+    }
+  },
+
+  async saveDraft(vnode) {
+    const { itemId } = vnode.attrs;
+    const draft = this.draft;
+
+    const playthrough = {
+      dateStarted: fromDateInputValue(draft.dateStarted),
+      dateCompleted: fromDateInputValue(draft.dateCompleted),
+      platform: draft.platform.trim() || null,
+      difficulty: draft.difficulty.trim() || null,
+      outcome: draft.outcome || null,
+      hoursPlayed: draft.hoursPlayed !== '' ? parseFloat(draft.hoursPlayed) : null,
+      notes: draft.notes
+    };
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      if (draft.playthroughId) {
+        await Meteor.callAsync('collection.updatePlaythrough', itemId, draft.playthroughId, playthrough);
+        const index = this.playthroughs.findIndex(entry => entry._id === draft.playthroughId);
+        if (index !== -1) {
+          this.playthroughs[index] = { ...this.playthroughs[index], ...playthrough };
+        }
+      } else {
+        const playthroughId = await Meteor.callAsync('collection.addPlaythrough', itemId, playthrough);
+        this.playthroughs.push({ _id: playthroughId, ...playthrough });
+      }
+      this.draft = null;
+      this.notifyChange(vnode);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to save playthrough';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async remove(vnode, playthrough) {
+    if (!confirm('Remove this playthrough?')) {
+      return;
+    }
+
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.removePlaythrough', vnode.attrs.itemId, playthrough._id);
+      this.playthroughs = this.playthroughs.filter(entry => entry._id !== playthrough._id);
+      if (this.draft?.playthroughId === playthrough._id) {
+        this.draft = null;
+      }
+      this.notifyChange(vnode);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to remove playthrough';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { platforms = [], disabled } = vnode.attrs;
+    const isDisabled = disabled || this.busy;
+
+    const renderSummary = (playthrough, index) => {
+      const parts = [];
+      if (playthrough.platform) {
+        parts.push(playthrough.platform);
+      }
+      if (playthrough.difficulty) {
+        parts.push(playthrough.difficulty);
+      }
+      parts.push(PLAYTHROUGH_OUTCOME_LABELS[playthrough.outcome] || 'In progress');
+
+      const started = toDateInputValue(playthrough.dateStarted) || '?';
+      const ended = toDateInputValue(playthrough.dateCompleted) || '…';
+      if (playthrough.dateStarted || playthrough.dateCompleted) {
+        parts.push(`${started} → ${ended}`);
+      }
+      if (playthrough.hoursPlayed) {
+        parts.push(`${playthrough.hoursPlayed}h`);
+      }
+
+      return m('li.playthrough-entry', { key: playthrough._id }, [
+        m('span.playthrough-summary', [
+          m('strong', `#${index + 1}`),
+          ` ${parts.join(' · ')}`
+        ]),
+        m('span.playthrough-actions', [
+          m('button.outline.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = draftFromPlaythrough(playthrough); }
+          }, 'Edit'),
+          m('button.outline.contrast.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => this.remove(vnode, playthrough)
+          }, 'Remove')
+        ])
+      ]);
+    };
+
+    const renderDraft = () => {
+      const draft = this.draft;
+      return m('div.playthrough-form', {
+        // Keep Enter inside these inputs from submitting the surrounding item form
+        onkeydown(event) {
+          if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+            event.preventDefault();
+          }
+        }
+      }, [
+        m('div.grid', [
+          m('label', [
+            'Started',
+            m('input[type=date]', {
+              value: draft.dateStarted,
+              disabled: isDisabled,
+              oninput: (event) => { draft.dateStarted = event.target.value; }
+            })
+          ]),
+          m('label', [
+            'Finished',
+            m('input[type=date]', {
+              value: draft.dateCompleted,
+              disabled: isDisabled,
+              oninput: (event) => { draft.dateCompleted = event.target.value; }
+            })
+          ])
+        ]),
+        m('div.grid', [
+          m('label', [
+            'Platform',
+            m('input[type=text]', {
+              value: draft.platform,
+              list: 'playthrough-platforms',
+              maxlength: 100,
+              disabled: isDisabled,
+              oninput: (event) => { draft.platform = event.target.value; }
+            }),
+            m('datalist#playthrough-platforms', platforms.map(platform => m('option', { value: platform })))
+          ]),
+          m('label', [
+            'Difficulty',
+            m('input[type=text]', {
+              value: draft.difficulty,
+              maxlength: 100,
+              placeholder: 'e.g. Normal, Hard',
+              disabled: isDisabled,
+              oninput: (event) => { draft.difficulty = event.target.value; }
+            })
+          ])
+        ]),
+        m('div.grid', [
+          m('label', [
+            'Outcome',
+            m('select', {
+              value: draft.outcome,
+              disabled: isDisabled,
+              onchange: (event) => { draft.outcome = event.target.value; }
+            }, [
+              m('option', { value: '' }, 'In progress'),
+              ...Object.entries(PLAYTHROUGH_OUTCOME_LABELS).map(([value, label]) =>
+                m('option', { value }, label)
+              )
+            ])
+          ]),
+          m('label', [
+            'Hours',
+            m('input[type=number]', {
+              value: draft.hoursPlayed,
+              min: 0,
+              step: 0.5,
+              disabled: isDisabled,
+              oninput: (event) => { draft.hoursPlayed = event.target.value; }
+            })
+          ])
+        ]),
+        m('label', [
+          'Notes',
+          m('textarea', {
+            value: draft.notes,
+            rows: 2,
+            maxlength: 10000,
+            disabled: isDisabled,
+            oninput: (event) => { draft.notes = event.target.value; }
+          })
+        ]),
+        m('div.playthrough-form-actions', [
+          m('button.secondary.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = null; }
+          }, 'Cancel'),
+          m('button.small', {
+            type: 'button',
+            disabled: isDisabled,
+            'aria-busy': this.busy,
+            onclick: () => this.saveDraft(vnode)
+          }, draft.playthroughId ? 'Update Playthrough' : 'Add Playthrough')
+        ])
+      ]);
+    };
+
+    return m('details.playthrough-list', [
+      m('summary', `Playthroughs (${this.playthroughs.length})`),
+
+      this.error && m('p.error-message', this.error),
+
+      this.playthroughs.length > 0
+        ? m('ol.playthrough-entries', this.playthroughs.map(renderSummary))
+        : m('p.playthrough-empty', m('small', 'No playthroughs recorded yet.')),
+
+      this.draft
+        ? renderDraft()
+        : m('button.outline.small', {
+            type: 'button',
+            disabled: isDisabled,
+            onclick: () => { this.draft = emptyDraft(platforms[0]); }
+          }, 'Add Playthrough')
+    ]);
+  }
+};
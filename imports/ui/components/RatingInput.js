@@ -0,0 +1,63 @@
+import m from 'mithril';
+import {
+  RATING_SCALES,
+  RATING_SCALE_OPTIONS,
+  formatScaleValue,
+  getScaleValues,
+  toDisplayRating,
+  toStoredRating
+} from '../../lib/constants/ratings.js';
+import { getRatingScale } from '../lib/preferences.js';
+
+// Rating picker on the user's chosen scale. `value` and `onChange` use the stored star rating,
+// so an untouched rating is saved back exactly as it was loaded.
+export const RatingInput = {
+  view(vnode) {
+    const { value, onChange } = vnode.attrs;
+    const scale = getRatingScale();
+    const displayValue = toDisplayRating(value, scale);
+
+    const noneButton = m('button.star-btn', {
+      type: 'button',
+      class: value === null ? 'selected' : '',
+      onclick: () => onChange(null)
+    }, 'None');
+
+    if (scale === RATING_SCALES.HUNDRED_POINT) {
+      return m('div.rating-select', [
+        m('label', 'Rating'),
+        m('div.star-buttons', [
+          noneButton,
+          m('input.rating-number[type=number]', {
+            min: 1,
+            max: RATING_SCALE_OPTIONS[scale].max,
+            step: 1,
+            placeholder: '1-100',
+            value: displayValue === null ? '' : displayValue,
+            oninput: (event) => {
+              const rating = toStoredRating(parseFloat(event.target.value), scale);
+              if (rating !== null) {
+                onChange(rating);
+              }
+            }
+          }),
+          m('span', `/ ${RATING_SCALE_OPTIONS[scale].max}`)
+        ])
+      ]);
+    }
+
+    return m('div.rating-select', [
+      m('label', 'Rating'),
+      m('div.star-buttons', [
+        noneButton,
+        getScaleValues(scale).map(scaleValue =>
+          m('button.star-btn', {
+            type: 'button',
+            class: displayValue === scaleValue ? 'selected' : '',
+            onclick: () => onChange(toStoredRating(scaleValue, scale))
+          }, scale === RATING_SCALES.STARS ? '★'.repeat(scaleValue) : formatScaleValue(scaleValue, scale))
+        )
+      ])
+    ]);
+  }
+};
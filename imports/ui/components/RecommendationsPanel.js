@@ -0,0 +1,106 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { Tracker } from 'meteor/tracker';
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { UserPlatforms } from '../../lib/collections/userPlatforms.js';
+import { UpNextButton } from './UpNextButton.js';
+
+// "What should I play next?" suggestions from the user's backlog, with the reasons for each
+export const RecommendationsPanel = {
+  oninit(vnode) {
+    this.recommendations = [];
+    this.platforms = [];
+    this.platform = '';
+    this.shortSession = false;
+    this.loading = true;
+    this.error = null;
+
+    this.platformsSubscription = Meteor.subscribe('collectionPlatforms');
+    this.platformsComputation = Tracker.autorun(() => {
+      if (this.platformsSubscription.ready()) {
+        this.platforms = UserPlatforms.findOne(Meteor.userId())?.platforms || [];
+        m.redraw();
+      }
+    });
+
+    this.load();
+  },
+
+  onremove(vnode) {
+    this.platformsComputation.stop();
+    this.platformsSubscription.stop();
+  },
+
+  async load() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    const options = { shortSession: this.shortSession };
+    if (this.platform) {
+      options.platform = this.platform;
+    }
+
+    try {
+      this.recommendations = await Meteor.callAsync('collection.getRecommendations', options);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load suggestions';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    return m('div.recommendations-panel', [
+      m('div.recommendation-controls', [
+        m('label', [
+          m('input[type=checkbox][role=switch]', {
+            checked: this.shortSession,
+            onchange: (event) => {
+              this.shortSession = event.target.checked;
+              this.load();
+            }
+          }),
+          ' Short session'
+        ]),
+        m('select', {
+          value: this.platform,
+          'aria-label': 'Platform',
+          onchange: (event) => {
+            this.platform = event.target.value;
+            this.load();
+          }
+        }, [
+          m('option', { value: '' }, 'Any platform'),
+          ...this.platforms.map(platform => m('option', { value: platform }, `On ${platform}`))
+        ])
+      ]),
+
+      this.error && m('p.error-message', this.error),
+
+      this.loading && m('p', 'Finding something to play...'),
+
+      !this.loading && !this.error && this.recommendations.length === 0 && m('p',
+        this.platform
+          ? `Nothing in your backlog on ${this.platform}.`
+          : 'Nothing to suggest yet. Games in your backlog will show up here.'
+      ),
+
+      !this.loading && this.recommendations.length > 0 && m('ol.recommendation-list',
+        this.recommendations.map(({ item, reasons }) =>
+          m('li.recommendation', { key: item._id }, [
+            m('div.recommendation-header', [
+              m('strong', item.game?.title || 'Unknown Game'),
+              m('small', [STATUS_LABELS[item.status] || item.status, ...(item.platforms || []).slice(0, 2)].join(' · ')),
+              m(UpNextButton, { item })
+            ]),
+            reasons.length > 0 && m('ul.recommendation-reasons',
+              reasons.map(reason => m('li', reason))
+            )
+          ])
+        )
+      )
+    ]);
+  }
+};
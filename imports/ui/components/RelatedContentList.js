@@ -0,0 +1,117 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+
+const ADDON_TYPE_LABELS = {
+  dlc: 'DLC',
+  expansion: 'Expansion'
+};
+
+// Editions, DLC and expansions of an item's game; loaded when opened, changes saved immediately
+export const RelatedContentList = {
+  oninit(vnode) {
+    this.related = null;
+    this.loading = false;
+    this.busy = false;
+    this.error = null;
+  },
+
+  async load(vnode) {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.related = await Meteor.callAsync('collection.getRelatedContent', vnode.attrs.itemId);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load editions and DLC';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  async toggleOwned(vnode, entry, owned) {
+    const previous = entry.owned;
+    entry.owned = owned;
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.setOwnedExtras', vnode.attrs.itemId, {
+        editions: this.related.editions.filter(edition => edition.owned).map(edition => edition.igdbId),
+        // DLC that is an item of its own counts as owned without being recorded here
+        dlc: this.related.addons.filter(addon => addon.owned && !addon.inCollection).map(addon => addon.igdbId)
+      });
+    } catch (err) {
+      entry.owned = previous;
+      this.error = err.reason || err.message || 'Failed to save';
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { disabled } = vnode.attrs;
+    const isDisabled = disabled || this.busy;
+    const related = this.related;
+
+    const renderEntry = (list, entry, label) =>
+      m('li.related-entry', { key: entry.igdbId }, [
+        m('label', [
+          m('input[type=checkbox]', {
+            checked: entry.owned,
+            // DLC added to the collection as a game of its own is always owned
+            disabled: isDisabled || (list === 'addons' && entry.inCollection),
+            onchange: (event) => this.toggleOwned(vnode, entry, event.target.checked)
+          }),
+          ' ',
+          entry.title || `IGDB #${entry.igdbId}`,
+          label && m('small', ` ${label}`)
+        ]),
+        m('small.related-state', { class: entry.owned ? 'owned' : 'missing' },
+          entry.inCollection ? 'In your collection' : (entry.owned ? 'Owned' : 'Missing'))
+      ]);
+
+    const ownedAddons = related ? related.addons.filter(addon => addon.owned).length : 0;
+
+    return m('details.related-content', {
+      ontoggle: (event) => {
+        if (event.target.open && !this.related && !this.loading) {
+          this.load(vnode);
+        }
+      }
+    }, [
+      m('summary', related && related.addons.length > 0
+        ? `Editions & DLC (${ownedAddons} of ${related.addons.length} DLC owned)`
+        : 'Editions & DLC'),
+
+      this.error && m('p.error-message', this.error),
+
+      this.loading && m('p', m('small', 'Loading...')),
+
+      related && [
+        related.parentGame && m('p.related-parent', m('small', `DLC for ${related.parentGame.title || 'another game'}`)),
+        related.baseGame && m('p.related-parent', m('small', `An edition of ${related.baseGame.title || 'another game'}`)),
+
+        related.editions.length > 0 && [
+          m('h6', 'Other editions'),
+          m('ul.related-entries', related.editions.map(edition =>
+            renderEntry('editions', edition, edition.versionTitle && `(${edition.versionTitle})`)
+          ))
+        ],
+
+        related.addons.length > 0 && [
+          m('h6', 'DLC and expansions'),
+          m('ul.related-entries', related.addons.map(addon =>
+            renderEntry('addons', addon, `(${ADDON_TYPE_LABELS[addon.type] || addon.type})`)
+          ))
+        ],
+
+        related.editions.length === 0 && related.addons.length === 0 &&
+          m('p.related-empty', m('small', 'IGDB lists no other editions or DLC for this game.'))
+      ]
+    ]);
+  }
+};
@@ -0,0 +1,175 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { MAX_SAVED_VIEWS, MAX_VIEW_NAME_LENGTH } from '../../lib/collections/savedViews.js';
+
+// Quick tabs for the user's saved collection views, with controls for the active view
+export const SavedViewTabs = {
+  oninit(vnode) {
+    this.busy = false;
+    this.error = null;
+  },
+
+  async run(methodName, ...args) {
+    this.busy = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const result = await Meteor.callAsync(methodName, ...args);
+      this.busy = false;
+      m.redraw();
+      return result;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to update saved views';
+      this.busy = false;
+      m.redraw();
+      return null;
+    }
+  },
+
+  promptName(defaultName) {
+    const name = prompt(`View name (max ${MAX_VIEW_NAME_LENGTH} characters):`, defaultName);
+    if (name === null || !name.trim()) {
+      return null;
+    }
+    return name.trim();
+  },
+
+  async saveAsNew(vnode) {
+    const { currentState, onSaved } = vnode.attrs;
+    const name = this.promptName('');
+    if (!name) {
+      return;
+    }
+
+    const viewId = await this.run('savedViews.create', {
+      name,
+      filters: currentState.filters,
+      viewMode: currentState.viewMode,
+      bookshelfTheme: currentState.bookshelfTheme
+    });
+
+    if (viewId && onSaved) {
+      onSaved(viewId);
+    }
+  },
+
+  async updateView(vnode, view) {
+    const { currentState } = vnode.attrs;
+    await this.run('savedViews.update', view._id, {
+      filters: currentState.filters,
+      viewMode: currentState.viewMode,
+      bookshelfTheme: currentState.bookshelfTheme
+    });
+  },
+
+  async renameView(view) {
+    const name = this.promptName(view.name);
+    if (!name || name === view.name) {
+      return;
+    }
+    await this.run('savedViews.update', view._id, { name });
+  },
+
+  async toggleDefault(view) {
+    await this.run('savedViews.setDefault', view.isDefault ? null : view._id);
+  },
+
+  async moveView(vnode, view, offset) {
+    const { views } = vnode.attrs;
+    const viewIds = views.map(entry => entry._id);
+    const index = viewIds.indexOf(view._id);
+    const targetIndex = index + offset;
+
+    if (index === -1 || targetIndex < 0 || targetIndex >= viewIds.length) {
+      return;
+    }
+
+    viewIds.splice(index, 1);
+    viewIds.splice(targetIndex, 0, view._id);
+    await this.run('savedViews.reorder', viewIds);
+  },
+
+  async deleteView(vnode, view) {
+    const { onSelect } = vnode.attrs;
+    if (!confirm(`Delete the saved view "${view.name}"?`)) {
+      return;
+    }
+
+    const removed = await this.run('savedViews.remove', view._id);
+    if (removed && onSelect) {
+      onSelect(null);
+    }
+  },
+
+  view(vnode) {
+    const { views = [], activeViewId, isModified, onSelect } = vnode.attrs;
+    const activeView = views.find(view => view._id === activeViewId);
+    const activeIndex = views.indexOf(activeView);
+
+    return m('div.saved-views', [
+      m('nav.saved-view-tabs', { 'aria-label': 'Saved views' }, [
+        m('button.saved-view-tab', {
+          type: 'button',
+          class: activeView ? '' : 'selected',
+          onclick: () => onSelect(null)
+        }, 'All Games'),
+        views.map(view =>
+          m('button.saved-view-tab', {
+            key: view._id,
+            type: 'button',
+            class: view._id === activeViewId ? 'selected' : '',
+            title: view.isDefault ? 'Default view' : undefined,
+            onclick: () => onSelect(view)
+          }, [
+            view.isDefault && m('span.saved-view-default', { 'aria-label': 'Default' }, '★ '),
+            view.name,
+            view._id === activeViewId && isModified && m('span.saved-view-modified', { title: 'Unsaved changes' }, ' •')
+          ])
+        ),
+        views.length < MAX_SAVED_VIEWS && m('button.saved-view-add.outline.secondary.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => this.saveAsNew(vnode)
+        }, '+ Save View')
+      ]),
+
+      activeView && m('div.saved-view-actions', [
+        isModified && m('button.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => this.updateView(vnode, activeView)
+        }, 'Update View'),
+        m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => this.renameView(activeView)
+        }, 'Rename'),
+        m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => this.toggleDefault(activeView)
+        }, activeView.isDefault ? 'Unset Default' : 'Make Default'),
+        m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: this.busy || activeIndex <= 0,
+          'aria-label': 'Move view left',
+          onclick: () => this.moveView(vnode, activeView, -1)
+        }, '←'),
+        m('button.outline.secondary.small', {
+          type: 'button',
+          disabled: this.busy || activeIndex >= views.length - 1,
+          'aria-label': 'Move view right',
+          onclick: () => this.moveView(vnode, activeView, 1)
+        }, '→'),
+        m('button.outline.contrast.small', {
+          type: 'button',
+          disabled: this.busy,
+          onclick: () => this.deleteView(vnode, activeView)
+        }, 'Delete')
+      ]),
+
+      this.error && m('p.error-message', this.error)
+    ]);
+  }
+};
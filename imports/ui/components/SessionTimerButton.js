@@ -0,0 +1,123 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { showToast } from '../lib/toast.js';
+import { formatSessionLength } from './PlaySessionList.js';
+
+// How often the elapsed time of a running session is redrawn
+const TICK_MS = 30 * 1000;
+
+function elapsedMinutes(startedAt) {
+  return Math.max(Math.floor((Date.now() - new Date(startedAt).getTime()) / 60000), 0);
+}
+
+// Starts and stops a play session timer for a collection item. The timer runs on the server,
+// so it keeps going when the page is closed; stopping it logs a session.
+export const SessionTimerButton = {
+  oninit(vnode) {
+    this.busy = false;
+    this.interval = setInterval(() => {
+      if (vnode.attrs.item.activeSession) {
+        m.redraw();
+      }
+    }, TICK_MS);
+  },
+
+  onremove(vnode) {
+    clearInterval(this.interval);
+  },
+
+  async start(vnode) {
+    const { item, platform } = vnode.attrs;
+
+    this.busy = true;
+    m.redraw();
+
+    try {
+      item.activeSession = await Meteor.callAsync('sessions.start', item._id, platform || null);
+      showToast('Session started');
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to start session', 4000);
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async stop(vnode) {
+    const { item, onLogged } = vnode.attrs;
+
+    const note = prompt('Journal note for this session (optional)', '');
+    if (note === null) {
+      return;
+    }
+
+    this.busy = true;
+    m.redraw();
+
+    try {
+      const result = await Meteor.callAsync('sessions.stop', item._id, note);
+      item.activeSession = null;
+      item.playSessions = [...(item.playSessions || []), result.session];
+      item.hoursPlayed = result.hoursPlayed;
+      showToast(`Logged ${formatSessionLength(result.session.minutes)}`);
+      if (onLogged) {
+        onLogged(result.session, result.hoursPlayed);
+      }
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to stop session', 4000);
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  async discard(vnode) {
+    const { item } = vnode.attrs;
+    if (!confirm('Discard this session without logging it?')) {
+      return;
+    }
+
+    this.busy = true;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('sessions.cancel', item._id);
+      item.activeSession = null;
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to discard session', 4000);
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { item, disabled } = vnode.attrs;
+    const isDisabled = disabled || this.busy;
+    const active = item.activeSession;
+
+    if (!active) {
+      return m('button.outline.secondary.small.session-timer-button', {
+        type: 'button',
+        disabled: isDisabled,
+        'aria-busy': this.busy,
+        onclick: () => this.start(vnode)
+      }, 'Start Session');
+    }
+
+    return m('span.session-timer', [
+      m('button.small.session-timer-button', {
+        type: 'button',
+        disabled: isDisabled,
+        'aria-busy': this.busy,
+        title: active.platform ? `Playing on ${active.platform}` : undefined,
+        onclick: () => this.stop(vnode)
+      }, `Stop Session (${formatSessionLength(elapsedMinutes(active.startedAt))})`),
+      m('button.outline.contrast.small', {
+        type: 'button',
+        disabled: isDisabled,
+        onclick: () => this.discard(vnode)
+      }, 'Discard')
+    ]);
+  }
+};
@@ -0,0 +1,209 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RATING_SCALES, formatScaleValue } from '../../lib/constants/ratings.js';
+import { StatsChart } from './StatsChart.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Preset ranges in months back from the current month; null is all time
+const RANGE_PRESETS = [
+  { value: '12', label: 'Last 12 months', months: 12 },
+  { value: '24', label: 'Last 2 years', months: 24 },
+  { value: '60', label: 'Last 5 years', months: 60 },
+  { value: 'all', label: 'All time', months: null },
+  { value: 'custom', label: 'Custom' }
+];
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function monthsBefore(month, count) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 - count, 1)).toISOString().slice(0, 7);
+}
+
+function formatMonth(month) {
+  const [year, monthNumber] = month.split('-');
+  return `${MONTH_NAMES[parseInt(monthNumber, 10) - 1]} ${year}`;
+}
+
+function formatCount(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function renderChart(title, chartAttrs, note) {
+  return m('article.stats-trend', [
+    m('h3', title),
+    m(StatsChart, { title, ...chartAttrs }),
+    note && m('p', m('small', note))
+  ]);
+}
+
+// Share of games per genre, as bars like the status breakdown
+function renderGenres(stats) {
+  const total = stats.genres.reduce((sum, row) => sum + row.count, 0);
+
+  return m('article.stats-trend', [
+    m('h3', 'Genres'),
+    stats.genres.length === 0
+      ? m('p', m('small', 'No genre information for these games.'))
+      : m('div.status-bars', stats.genres.map(row => {
+          const percentage = total > 0 ? (row.count / total) * 100 : 0;
+          return m('div.status-bar-item', { key: row.genre }, [
+            m('div.status-bar-label', [m('span', row.genre), m('span', row.count)]),
+            m('div.status-bar-track', m('div.status-bar-fill.genre', { style: { width: `${percentage}%` } }))
+          ]);
+        })),
+    stats.otherGenres > 0 && m('p', m('small', `And ${plural(stats.otherGenres, 'more genre')}...`))
+  ]);
+}
+
+// Monthly charts and breakdowns for a chosen range of months
+export const StatisticsTrends = {
+  oninit() {
+    this.preset = '12';
+    this.customFrom = monthsBefore(currentMonth(), 11);
+    this.customTo = currentMonth();
+    this.stats = null;
+    this.loading = true;
+    this.error = null;
+    this.requestId = 0;
+    this.load();
+  },
+
+  range() {
+    if (this.preset === 'custom') {
+      return { from: this.customFrom || null, to: this.customTo || null };
+    }
+    const preset = RANGE_PRESETS.find(entry => entry.value === this.preset);
+    return preset.months ? { from: monthsBefore(currentMonth(), preset.months - 1), to: null } : {};
+  },
+
+  async load() {
+    // Only the latest request updates the charts when the range changes quickly
+    const requestId = ++this.requestId;
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const stats = await Meteor.callAsync('collection.getTimeSeriesStats', this.range());
+      if (requestId === this.requestId) {
+        this.stats = stats;
+      }
+    } catch (err) {
+      if (requestId === this.requestId) {
+        this.error = err.reason || err.message || 'Failed to load trends';
+      }
+    }
+
+    if (requestId === this.requestId) {
+      this.loading = false;
+      m.redraw();
+    }
+  },
+
+  renderRangeSelector() {
+    return m('div.stats-range', [
+      m('select', {
+        'aria-label': 'Date range',
+        value: this.preset,
+        onchange: (event) => {
+          this.preset = event.target.value;
+          this.load();
+        }
+      }, RANGE_PRESETS.map(preset => m('option', { value: preset.value }, preset.label))),
+      this.preset === 'custom' && [
+        m('input[type=month]', {
+          'aria-label': 'From month',
+          value: this.customFrom,
+          max: this.customTo || currentMonth(),
+          onchange: (event) => {
+            this.customFrom = event.target.value;
+            this.load();
+          }
+        }),
+        m('input[type=month]', {
+          'aria-label': 'To month',
+          value: this.customTo,
+          min: this.customFrom,
+          max: currentMonth(),
+          onchange: (event) => {
+            this.customTo = event.target.value;
+            this.load();
+          }
+        })
+      ]
+    ]);
+  },
+
+  view() {
+    const stats = this.stats;
+
+    return m('section.stats-trends', [
+      m('div.stats-trends-header', [
+        m('h2', 'Trends'),
+        this.renderRangeSelector()
+      ]),
+
+      this.error && m('p.error-message', this.error),
+      !stats && this.loading && m('div.loading-container', [
+        m('div.loading'),
+        m('p', 'Loading trends...')
+      ]),
+
+      stats && m('div.stats-trends-body', { 'aria-busy': this.loading ? 'true' : 'false' }, [
+        stats.from !== stats.to && m('p', m('small', `${formatMonth(stats.from)} to ${formatMonth(stats.to)}`)),
+
+        m('div.stats-trend-grid', [
+          renderChart('Games Added per Month', {
+            points: stats.months.map(row => ({ label: row.month, value: row.added })),
+            formatLabel: formatMonth,
+            formatValue: formatCount
+          }),
+          renderChart('Completions per Month', {
+            points: stats.months.map(row => ({ label: row.month, value: row.completed })),
+            formatLabel: formatMonth,
+            formatValue: formatCount
+          }),
+          renderChart('Backlog Size', {
+            type: 'line',
+            points: stats.months.map(row => ({ label: row.month, value: row.backlog })),
+            formatLabel: formatMonth,
+            formatValue: formatCount
+          }, 'Games owned but not yet started, at the end of each month.'),
+          renderChart('Days from Purchase to Completion', {
+            type: 'line',
+            points: stats.months.map(row => ({ label: row.month, value: row.averageDaysToComplete })),
+            formatLabel: formatMonth,
+            formatValue: formatCount
+          }, stats.purchaseToCompletion.games > 0
+            ? `${stats.purchaseToCompletion.averageDays} days on average across ${plural(stats.purchaseToCompletion.games, 'game')} completed in this range. Games without a purchase date count from when they were added.`
+            : 'No games completed in this range.')
+        ]),
+
+        m('h3', 'Games Added in This Range'),
+        m('div.stats-trend-grid', [
+          renderChart('Rating Distribution', {
+            points: stats.ratings.map(row => ({ label: row.label, value: row.count })),
+            formatLabel: label => (stats.ratingScale === RATING_SCALES.HUNDRED_POINT
+              ? label
+              : formatScaleValue(label, stats.ratingScale)),
+            formatValue: formatCount
+          }),
+          renderChart('Release Decades', {
+            points: stats.decades.map(row => ({ label: String(row.decade), value: row.count })),
+            formatLabel: label => `${label}s`,
+            formatValue: formatCount
+          }),
+          renderGenres(stats)
+        ])
+      ])
+    ]);
+  }
+};
@@ -0,0 +1,119 @@
+import m from 'mithril';
+
+// Drawing area in SVG units; the chart scales to the width of its container
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 40 };
+const MAX_AXIS_LABELS = 12;
+
+function niceMax(value) {
+  if (value <= 0) {
+    return 1;
+  }
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Bar or line chart of labelled values. Hovering or focusing a point shows its value.
+ *
+ * attrs:
+ *   points: [{ label, value }] - value may be null for a gap in a line
+ *   type: 'bar' (default) or 'line'
+ *   formatValue: (value) => string for the tooltip and axis, defaults to String
+ *   formatLabel: (label) => string for the axis and tooltip, defaults to the label
+ *   title: accessible name of the chart
+ */
+export const StatsChart = {
+  oninit() {
+    this.active = null;
+  },
+
+  view(vnode) {
+    const { points, type = 'bar', title } = vnode.attrs;
+    const formatValue = vnode.attrs.formatValue || String;
+    const formatLabel = vnode.attrs.formatLabel || (label => label);
+
+    const max = niceMax(Math.max(0, ...points.map(point => point.value || 0)));
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const slot = plotWidth / Math.max(points.length, 1);
+    const x = (index) => PADDING.left + slot * index + slot / 2;
+    const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+    const labelEvery = Math.ceil(points.length / MAX_AXIS_LABELS);
+
+    const activePoint = this.active === null ? null : points[this.active];
+    const setActive = (index) => () => { this.active = index; };
+    const clearActive = () => { this.active = null; };
+
+    // Line segments break at missing values
+    const segments = [];
+    if (type === 'line') {
+      let current = [];
+      points.forEach((point, index) => {
+        if (point.value === null || point.value === undefined) {
+          if (current.length > 0) {
+            segments.push(current);
+          }
+          current = [];
+        } else {
+          current.push(`${x(index)},${y(point.value)}`);
+        }
+      });
+      if (current.length > 0) {
+        segments.push(current);
+      }
+    }
+
+    return m('figure.stats-chart', [
+      m('div.stats-chart-tooltip', { 'aria-live': 'polite' }, activePoint
+        ? [m('strong', formatLabel(activePoint.label)), ': ', activePoint.value === null ? 'no data' : formatValue(activePoint.value)]
+        : m.trust('&nbsp;')),
+      m('svg.stats-chart-svg', {
+        viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+        role: 'img',
+        'aria-label': title,
+        onmouseleave: clearActive
+      }, [
+        // Gridlines at zero, half and the top of the scale
+        [0, max / 2, max].map(value => [
+          m('line.stats-chart-grid', { x1: PADDING.left, x2: WIDTH - PADDING.right, y1: y(value), y2: y(value) }),
+          m('text.stats-chart-axis', { x: PADDING.left - 6, y: y(value) + 4, 'text-anchor': 'end' }, formatValue(value))
+        ]),
+
+        type === 'line' && segments.map(segment =>
+          m('polyline.stats-chart-line', { points: segment.join(' ') })
+        ),
+
+        points.map((point, index) => {
+          const hasValue = point.value !== null && point.value !== undefined;
+          const isActive = this.active === index;
+          return m('g.stats-chart-point', {
+            key: point.label,
+            class: isActive ? 'active' : '',
+            tabindex: 0,
+            onmouseenter: setActive(index),
+            onfocus: setActive(index),
+            onblur: clearActive
+          }, [
+            // Full-height target so thin bars and single points are easy to hover
+            m('rect.stats-chart-target', { x: x(index) - slot / 2, y: PADDING.top, width: slot, height: plotHeight }),
+            hasValue && type === 'bar' && m('rect.stats-chart-bar', {
+              x: x(index) - slot * 0.4,
+              y: y(point.value),
+              width: slot * 0.8,
+              height: Math.max(y(0) - y(point.value), 0)
+            }),
+            hasValue && type === 'line' && m('circle.stats-chart-dot', { cx: x(index), cy: y(point.value), r: isActive ? 5 : 3 }),
+            index % labelEvery === 0 && m('text.stats-chart-axis', {
+              x: x(index),
+              y: HEIGHT - 6,
+              'text-anchor': 'middle'
+            }, formatLabel(point.label))
+          ]);
+        })
+      ])
+    ]);
+  }
+};
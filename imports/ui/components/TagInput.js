@@ -0,0 +1,93 @@
+import m from 'mithril';
+import { MAX_TAG_LENGTH, MAX_TAGS_PER_ITEM, cleanTagName, normalizeTagName } from '../../lib/collections/tags.js';
+
+// Chip input for an item's tags, suggesting names from the user's existing tags
+export const TagInput = {
+  oninit(vnode) {
+    this.input = '';
+  },
+
+  addTag(vnode) {
+    const { value = [], onChange, disabled } = vnode.attrs;
+
+    if (disabled) {
+      return;
+    }
+
+    const name = cleanTagName(this.input);
+    this.input = '';
+    if (!name || value.length >= MAX_TAGS_PER_ITEM) {
+      return;
+    }
+
+    if (value.some(tag => normalizeTagName(tag) === normalizeTagName(name))) {
+      return;
+    }
+
+    // Reuse the existing spelling when the tag is already in the vocabulary
+    const { suggestions = [] } = vnode.attrs;
+    const existing = suggestions.find(tag => normalizeTagName(tag.name) === normalizeTagName(name));
+
+    if (onChange) {
+      onChange([...value, existing ? existing.name : name]);
+    }
+  },
+
+  removeTag(vnode, name) {
+    const { value = [], onChange, disabled } = vnode.attrs;
+
+    if (disabled) {
+      return;
+    }
+
+    if (onChange) {
+      onChange(value.filter(tag => tag !== name));
+    }
+  },
+
+  view(vnode) {
+    const { value = [], suggestions = [], disabled = false } = vnode.attrs;
+    const remaining = suggestions.filter(tag => !value.includes(tag.name));
+
+    return m('div.tag-input', { class: disabled ? 'disabled' : '' }, [
+      m('label.tag-input-label', { for: 'tag-input-field' }, 'Tags'),
+      m('div.tag-chips', [
+        value.map(name =>
+          m('span.tag-chip', { key: name }, [
+            name,
+            !disabled && m('button.chip-remove', {
+              type: 'button',
+              onclick: () => this.removeTag(vnode, name),
+              'aria-label': `Remove tag ${name}`
+            }, '×')
+          ])
+        ),
+        m('input#tag-input-field[type=text]', {
+          value: this.input,
+          list: 'tag-input-suggestions',
+          maxlength: MAX_TAG_LENGTH,
+          placeholder: value.length === 0 ? 'Add tags...' : '',
+          disabled: disabled || value.length >= MAX_TAGS_PER_ITEM,
+          oninput: (event) => {
+            this.input = event.target.value;
+          },
+          onkeydown: (event) => {
+            if (event.key === 'Enter' || event.key === ',') {
+              event.preventDefault();
+              this.addTag(vnode);
+            } else if (event.key === 'Backspace' && this.input === '' && value.length > 0) {
+              this.removeTag(vnode, value[value.length - 1]);
+            }
+          },
+          onchange: () => {
+            // Picking from the datalist fires change without a key press
+            if (remaining.some(tag => tag.name === this.input)) {
+              this.addTag(vnode);
+            }
+          }
+        }),
+        m('datalist#tag-input-suggestions', remaining.map(tag => m('option', { value: tag.name })))
+      ])
+    ]);
+  }
+};
@@ -0,0 +1,47 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { showToast } from '../lib/toast.js';
+
+// Adds a collection item to the Up Next queue or takes it off; saved immediately
+export const UpNextButton = {
+  oninit(vnode) {
+    this.busy = false;
+  },
+
+  async toggle(vnode) {
+    const { item } = vnode.attrs;
+    const queued = Boolean(item.queueRank);
+
+    this.busy = true;
+    m.redraw();
+
+    try {
+      if (queued) {
+        await Meteor.callAsync('queue.dequeue', item._id);
+        item.queueRank = null;
+        showToast('Removed from Up Next');
+      } else {
+        item.queueRank = await Meteor.callAsync('queue.enqueue', item._id);
+        showToast('Added to Up Next');
+      }
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to update Up Next', 4000);
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const { item, disabled } = vnode.attrs;
+    const queued = Boolean(item.queueRank);
+
+    return m('button.outline.secondary.small.up-next-button', {
+      type: 'button',
+      disabled: disabled || this.busy,
+      'aria-busy': this.busy,
+      'aria-pressed': String(queued),
+      onclick: () => this.toggle(vnode)
+    }, queued ? 'Remove from Up Next' : 'Add to Up Next');
+  }
+};
@@ -0,0 +1,58 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { showToast } from '../lib/toast.js';
+import { isItemDrag, getDraggedItemId } from '../lib/upNext.js';
+
+// Drop target on the collection page: games dragged here go to the bottom of Up Next
+export const UpNextDropZone = {
+  oninit(vnode) {
+    this.dragOver = false;
+    this.busy = false;
+  },
+
+  async enqueue(vnode, itemId) {
+    this.busy = true;
+    m.redraw();
+
+    try {
+      const queueRank = await Meteor.callAsync('queue.enqueue', itemId);
+      showToast('Added to Up Next');
+      if (vnode.attrs.onQueued) {
+        vnode.attrs.onQueued(itemId, queueRank);
+      }
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to add to Up Next', 4000);
+    }
+
+    this.busy = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    return m('div.up-next-drop-zone', {
+      class: this.dragOver ? 'drag-over' : '',
+      'aria-busy': this.busy,
+      ondragover: (event) => {
+        if (isItemDrag(event)) {
+          event.preventDefault();
+          event.dataTransfer.dropEffect = 'copy';
+          this.dragOver = true;
+        } else {
+          event.redraw = false;
+        }
+      },
+      ondragleave: () => { this.dragOver = false; },
+      ondrop: (event) => {
+        event.preventDefault();
+        this.dragOver = false;
+        const itemId = getDraggedItemId(event);
+        if (itemId) {
+          this.enqueue(vnode, itemId);
+        }
+      }
+    }, [
+      m('span', 'Drag games here to add them to Up Next'),
+      m('a', { href: '/', oncreate: m.route.link }, 'View queue')
+    ]);
+  }
+};
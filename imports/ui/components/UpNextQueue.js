@@ -0,0 +1,158 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { showToast } from '../lib/toast.js';
+import { itemDragAttrs, isItemDrag, getDraggedItemId } from '../lib/upNext.js';
+
+// The Up Next queue in order. Rows are reordered by dragging or with the arrow buttons, and
+// the queue is reloaded after every change so edits from other devices show up.
+export const UpNextQueue = {
+  oninit(vnode) {
+    this.items = [];
+    this.loading = true;
+    this.busy = false;
+    this.error = null;
+    this.dropTargetId = null;
+    this.load();
+  },
+
+  async load() {
+    try {
+      this.items = await Meteor.callAsync('queue.getItems');
+      this.error = null;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load Up Next';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  async run(methodName, args, successMessage) {
+    this.busy = true;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync(methodName, ...args);
+      if (successMessage) {
+        showToast(successMessage);
+      }
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to update Up Next', 4000);
+    }
+
+    await this.load();
+    this.busy = false;
+    m.redraw();
+  },
+
+  // Move an item to just above beforeItemId (null for the bottom), showing the new order
+  // before the server confirms it
+  move(itemId, beforeItemId) {
+    const moving = this.items.find(item => item._id === itemId);
+    if (!moving || itemId === beforeItemId) {
+      return;
+    }
+
+    const remaining = this.items.filter(item => item._id !== itemId);
+    const index = beforeItemId ? remaining.findIndex(item => item._id === beforeItemId) : -1;
+    remaining.splice(index === -1 ? remaining.length : index, 0, moving);
+    this.items = remaining;
+
+    this.run('queue.move', [itemId, beforeItemId]);
+  },
+
+  // Drop target that moves the dragged item above beforeItemId; targetKey marks it while hovered
+  dropHandlers(beforeItemId, targetKey = beforeItemId) {
+    return {
+      ondragover: (event) => {
+        if (!isItemDrag(event)) {
+          event.redraw = false;
+          return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.dropTargetId = targetKey;
+      },
+      ondrop: (event) => {
+        event.preventDefault();
+        this.dropTargetId = null;
+        const itemId = getDraggedItemId(event);
+        if (itemId) {
+          this.move(itemId, beforeItemId);
+        }
+      }
+    };
+  },
+
+  view(vnode) {
+    if (this.loading) {
+      return m('div.up-next-queue', m('p', 'Loading Up Next...'));
+    }
+
+    if (this.error) {
+      return m('div.up-next-queue', m('p.error-message', this.error));
+    }
+
+    if (this.items.length === 0) {
+      return m('div.up-next-queue', m('p', [
+        'Nothing queued yet. Drag games onto the Up Next bar in your ',
+        m('a', { href: '/collection', oncreate: m.route.link }, 'collection'),
+        ', or choose Add to Up Next when editing a game.'
+      ]));
+    }
+
+    const renderRow = (item, index) => {
+      const title = item.game?.title || 'Unknown Game';
+      const next = this.items[index + 2];
+
+      return m('li.up-next-entry', {
+        key: item._id,
+        class: this.dropTargetId === item._id ? 'drop-before' : '',
+        ...itemDragAttrs(item),
+        ondragend: () => { this.dropTargetId = null; },
+        ...this.dropHandlers(item._id)
+      }, [
+        m('span.up-next-handle', { 'aria-hidden': 'true' }, '⋮⋮'),
+        m('span.up-next-position', index + 1),
+        m('span.up-next-title', [
+          m('strong', title),
+          m('small', [STATUS_LABELS[item.status] || item.status, ...(item.platforms || []).slice(0, 2)].join(' · '))
+        ]),
+        m('span.up-next-actions', [
+          index === 0 && m('button.small', {
+            type: 'button',
+            disabled: this.busy,
+            onclick: () => this.run('queue.startPlaying', [item._id], `Now playing ${title}`)
+          }, 'Start Playing'),
+          m('button.outline.secondary.small', {
+            type: 'button',
+            'aria-label': `Move ${title} up`,
+            disabled: this.busy || index === 0,
+            onclick: () => this.move(item._id, this.items[index - 1]._id)
+          }, '↑'),
+          m('button.outline.secondary.small', {
+            type: 'button',
+            'aria-label': `Move ${title} down`,
+            disabled: this.busy || index === this.items.length - 1,
+            onclick: () => this.move(item._id, next ? next._id : null)
+          }, '↓'),
+          m('button.outline.contrast.small', {
+            type: 'button',
+            disabled: this.busy,
+            onclick: () => this.run('queue.dequeue', [item._id])
+          }, 'Remove')
+        ])
+      ]);
+    };
+
+    return m('div.up-next-queue', [
+      m('ol.up-next-list', this.items.map(renderRow)),
+      // Dropping below the last row moves a game to the bottom
+      m('div.up-next-end', {
+        class: this.dropTargetId === 'end' ? 'drop-before' : '',
+        ...this.dropHandlers(null, 'end')
+      }, m('small', `${this.items.length} queued · drag to reorder`))
+    ]);
+  }
+};
@@ -310,7 +310,7 @@ export const VirtualScrollGrid = {
 
   view(vnode) {
     this.attrs = vnode.attrs;
-    const { items, totalCount, onUpdateItem, onRemoveItem, loading } = vnode.attrs;
+    const { items, totalCount, onUpdateItem, onRemoveItem, loading, selectable, isSelected, onSelect } = vnode.attrs;
 
     // Use fallback height if not measured
     const itemHeight = this.itemHeight || 450;
@@ -370,7 +370,10 @@ export const VirtualScrollGrid = {
               game: item.game,
               collectionItem: item,
               onUpdateItem,
-              onRemoveItem
+              onRemoveItem,
+              selectable,
+              selected: selectable && isSelected ? isSelected(item) : false,
+              onSelect
             })
           )
         )
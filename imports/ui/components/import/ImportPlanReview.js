@@ -0,0 +1,188 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import {
+  IMPORT_PLAN_ACTIONS,
+  IMPORT_PLAN_ACTION_LABELS,
+  IMPORT_PLAN_FIELD_LABELS
+} from '../../../lib/collections/importPlans.js';
+import { describeHistoryChange } from '../../lib/itemHistory.js';
+
+function displayName(row) {
+  return row.matchedName && row.matchedName !== row.name
+    ? `${row.name} → ${row.matchedName}`
+    : row.name;
+}
+
+function renderReasonList(rows, summary) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return m('details', [
+    m('summary', summary),
+    m('ul', rows.map(row => m('li', { key: row.rowId },
+      `${displayName(row)}${row.reason ? ` - ${row.reason}` : ''}`
+    )))
+  ]);
+}
+
+// Review of a stored import plan: untick the games to leave out, then import or cancel
+export const ImportPlanReview = {
+  oninit(vnode) {
+    this.planId = vnode.attrs.plan._id;
+    this.excluded = new Set();
+    this.committing = false;
+    this.error = null;
+  },
+
+  onbeforeupdate(vnode) {
+    // Matching again gives a new plan with every row ticked
+    if (vnode.attrs.plan._id !== this.planId) {
+      this.planId = vnode.attrs.plan._id;
+      this.excluded = new Set();
+      this.error = null;
+    }
+  },
+
+  setIncluded(rows, included) {
+    for (const row of rows) {
+      if (included) {
+        this.excluded.delete(row.rowId);
+      } else {
+        this.excluded.add(row.rowId);
+      }
+    }
+  },
+
+  async commit(vnode) {
+    const { plan, onCommitted } = vnode.attrs;
+
+    this.committing = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const result = await Meteor.callAsync('import.commitPlan', plan._id, [...this.excluded]);
+      onCommitted(result);
+    } catch (error) {
+      this.error = error.reason || error.message || 'Import failed';
+    }
+
+    this.committing = false;
+    m.redraw();
+  },
+
+  async discard(vnode) {
+    const { plan, onDiscarded } = vnode.attrs;
+
+    try {
+      await Meteor.callAsync('import.discardPlan', plan._id);
+    } catch (error) {
+      console.error('Failed to discard import plan:', error);
+    }
+
+    onDiscarded();
+    m.redraw();
+  },
+
+  renderRowTable(title, rows) {
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return m('div.import-plan-group', [
+      m('h4', `${title} (${rows.length})`),
+      m('table', [
+        m('thead', m('tr', [
+          m('th', { scope: 'col' }, m('input[type=checkbox]', {
+            'aria-label': `Import all ${title.toLowerCase()}`,
+            checked: rows.every(row => !this.excluded.has(row.rowId)),
+            disabled: this.committing,
+            onchange: (event) => this.setIncluded(rows, event.target.checked)
+          })),
+          m('th', { scope: 'col' }, 'Game'),
+          m('th', { scope: 'col' }, 'Changes')
+        ])),
+        m('tbody', rows.map(row => m('tr', {
+          key: row.rowId,
+          class: this.excluded.has(row.rowId) ? 'excluded' : ''
+        }, [
+          m('td', m('input[type=checkbox]', {
+            'aria-label': `Import ${row.name}`,
+            checked: !this.excluded.has(row.rowId),
+            disabled: this.committing,
+            onchange: (event) => this.setIncluded([row], event.target.checked)
+          })),
+          m('td', [
+            displayName(row),
+            row.needsReview && m('small.import-plan-review-flag', {
+              title: 'This match will be added to your match review queue'
+            }, row.matchedName ? 'Uncertain match' : 'No match')
+          ]),
+          m('td', [
+            row.restore && m('div.import-plan-change', 'Restore from the trash'),
+            row.changes.map(change =>
+              m('div.import-plan-change', describeHistoryChange(change, IMPORT_PLAN_FIELD_LABELS))
+            )
+          ])
+        ])))
+      ])
+    ]);
+  },
+
+  view(vnode) {
+    const { plan } = vnode.attrs;
+    const rowsFor = action => plan.rows.filter(row => row.action === action);
+    const addRows = rowsFor(IMPORT_PLAN_ACTIONS.ADD);
+    const updateRows = rowsFor(IMPORT_PLAN_ACTIONS.UPDATE);
+    const selectable = [...addRows, ...updateRows];
+    const selectedCount = selectable.filter(row => !this.excluded.has(row.rowId)).length;
+
+    return m('div.import-plan', [
+      m('h3', 'Review Import'),
+      m('p', Object.values(IMPORT_PLAN_ACTIONS)
+        .map(action => `${IMPORT_PLAN_ACTION_LABELS[action]}: ${plan.counts[action]}`)
+        .join(', ')),
+
+      selectable.length === 0
+        ? m('p', 'Nothing to import: every game is already in your collection or could not be matched.')
+        : [
+            m('p', m('small', 'Nothing has been imported yet. Untick the games you want to leave out.')),
+            m('div.import-plan-select', [
+              m('button.outline.secondary.small', {
+                disabled: this.committing,
+                onclick: () => this.setIncluded(selectable, true)
+              }, 'Select all'),
+              m('button.outline.secondary.small', {
+                disabled: this.committing,
+                onclick: () => this.setIncluded(selectable, false)
+              }, 'Select none')
+            ])
+          ],
+
+      this.renderRowTable('New games', addRows),
+      this.renderRowTable('Updates', updateRows),
+
+      renderReasonList(rowsFor(IMPORT_PLAN_ACTIONS.UNMATCHED),
+        `${plan.counts.unmatched} games not found in the game database`),
+      renderReasonList(rowsFor(IMPORT_PLAN_ACTIONS.SKIP), `${plan.counts.skip} games skipped`),
+
+      this.error && m('div.error-message', { role: 'alert' }, [
+        m('strong', 'Error: '),
+        this.error
+      ]),
+
+      m('div.import-plan-actions', [
+        m('button', {
+          disabled: selectedCount === 0 || this.committing,
+          'aria-busy': this.committing ? 'true' : 'false',
+          onclick: () => this.commit(vnode)
+        }, this.committing ? 'Importing...' : `Import ${selectedCount} games`),
+        m('button.secondary', {
+          disabled: this.committing,
+          onclick: () => this.discard(vnode)
+        }, 'Cancel')
+      ])
+    ]);
+  }
+};
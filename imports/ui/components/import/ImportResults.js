@@ -27,7 +27,11 @@ export const ImportResults = {
           `Imported: ${result.imported} games`,
           result.updated > 0 ? `, Updated: ${result.updated}` : '',
           `, Skipped: ${result.skipped}`
-        ])
+        ]),
+        result.needsReview > 0 && m('p', m('a', {
+          href: '/collection/match-review',
+          oncreate: m.route.link
+        }, `${result.needsReview} games may have been matched to the wrong game. Review them`))
       ]),
       importedGames.length > 0 &&
         m('div.import-imported', [
@@ -47,11 +51,12 @@ export const ImportResults = {
           m('details', { open: true }, [
             m('summary', `${result.updated} games updated`),
             m('ul', [
-              updatedGames.map((game, index) => m('li', { key: index },
+              updatedGames.map((game, index) => m('li', { key: index }, [
                 game.matchedName && game.matchedName !== game.name
                   ? `${game.name} → ${game.matchedName}`
-                  : game.name
-              ))
+                  : game.name,
+                game.reason ? ` - ${game.reason}` : ''
+              ]))
             ])
           ])
         ]),
@@ -1,4 +1,5 @@
 import { Meteor } from 'meteor/meteor';
+import { downloadFile } from '../../lib/download.js';
 
 export function readFile(file) {
   return new Promise((resolve, reject) => {
@@ -10,15 +11,7 @@ export function readFile(file) {
 }
 
 export function downloadCSV(content, filename) {
-  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadFile(content, filename, 'text/csv;charset=utf-8;');
 }
 
 export function clearProgressAfterDelay(methodName, ...args) {
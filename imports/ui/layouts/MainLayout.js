@@ -12,6 +12,7 @@ export const MainLayout = {
     const navLinks = user ? [
       { path: '/', label: 'Home' },
       { path: '/collection', label: 'Collection' },
+      { path: '/series', label: 'Series' },
       { path: '/browse', label: 'Browse' },
       { path: '/statistics', label: 'Statistics' },
       { path: '/import', label: 'Import' }
@@ -44,6 +45,11 @@ export const MainLayout = {
               m('li', m('span', 'Loading...')) :
             user ? [
               m('li', m('span.username', user.username || 'User')),
+              m('li', m('a', {
+                href: '/preferences',
+                oncreate: m.route.link,
+                class: currentRoute === '/preferences' ? 'active' : ''
+              }, 'Preferences')),
               m('li', m('a', { href: hubUrl }, 'Hub')),
               m('li', m('a.logout', {
                 href: '#',
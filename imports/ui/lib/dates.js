@@ -0,0 +1,35 @@
+/**
+ * dates.js - Helpers for moving dates in and out of <input type="date"> fields
+ */
+
+/**
+ * Format a date as the YYYY-MM-DD value an <input type="date"> expects
+ * @param {Date|string|null} date - Date to format
+ * @returns {string} - Input value, or '' when there is no valid date
+ */
+export function toDateInputValue(date) {
+  if (!date) {
+    return '';
+  }
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) {
+    return '';
+  }
+  return parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Parse the value of an <input type="date"> back into a Date
+ * @param {string} value - YYYY-MM-DD string from the input
+ * @returns {Date|null} - Parsed date (UTC midnight) or null when empty/invalid
+ */
+export function fromDateInputValue(value) {
+  if (!value) {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+  return parsed;
+}
@@ -0,0 +1,72 @@
+/**
+ * itemHistory.js - Display helpers for collection item history entries
+ */
+
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { HISTORY_FIELD_LABELS, HISTORY_SOURCE_LABELS } from '../../lib/collections/itemHistory.js';
+import { getStorefrontNames } from '../../lib/constants/storefronts.js';
+import { formatRating } from '../../lib/constants/ratings.js';
+import { getRatingScale } from './preferences.js';
+
+// Notes are cut short when shown as a change
+const NOTES_PREVIEW_LENGTH = 60;
+
+/**
+ * Format one recorded value for display
+ * @param {string} field - Tracked field name
+ * @param {*} value - Recorded value
+ * @returns {string}
+ */
+export function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+
+  switch (field) {
+    case 'status':
+      return STATUS_LABELS[value] || value;
+    case 'rating':
+      return formatRating(value, getRatingScale());
+    case 'hoursPlayed':
+      return `${value}h`;
+    case 'storefronts':
+      return getStorefrontNames(value).join(', ');
+    case 'platforms':
+      return value.join(', ');
+    case 'favorite':
+    case 'physical':
+      return value ? 'yes' : 'no';
+    case 'dateStarted':
+    case 'dateCompleted':
+    case 'dateAdded':
+    case 'lastPlayed':
+      return new Date(value).toLocaleDateString();
+    case 'notes':
+      return value.length > NOTES_PREVIEW_LENGTH ? `${value.slice(0, NOTES_PREVIEW_LENGTH)}…` : value;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Describe one field change, e.g. "Status: Backlog → Playing"
+ * @param {Object} change - { field, from, to }
+ * @param {Object} labels - Field labels, the tracked history fields by default
+ * @returns {string}
+ */
+export function describeHistoryChange(change, labels = HISTORY_FIELD_LABELS) {
+  const label = labels[change.field] || change.field;
+  if (change.from === null || change.from === undefined) {
+    return `${label}: ${formatHistoryValue(change.field, change.to)}`;
+  }
+  return `${label}: ${formatHistoryValue(change.field, change.from)} → ${formatHistoryValue(change.field, change.to)}`;
+}
+
+/**
+ * Label for where a change came from
+ * @param {string} source - 'manual' or an importer name
+ * @returns {string}
+ */
+export function formatHistorySource(source) {
+  return HISTORY_SOURCE_LABELS[source] || source;
+}
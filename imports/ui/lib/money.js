@@ -0,0 +1,18 @@
+/**
+ * money.js - Display amounts recorded on owned copies
+ */
+
+/**
+ * Format an amount in its currency, e.g. "$59.99" or "59.99 XYZ" for codes the browser
+ * does not know
+ * @param {number} amount
+ * @param {string} currency - Three-letter currency code
+ * @returns {string}
+ */
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * preferences.js - Read the logged-in user's display preferences
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { DEFAULT_RATING_SCALE, isValidRatingScale } from '../../lib/constants/ratings.js';
+
+/**
+ * Rating scale chosen in preferences, or the default 5-star scale
+ * @returns {string}
+ */
+export function getRatingScale() {
+  const scale = Meteor.user()?.preferences?.ratingScale;
+  return isValidRatingScale(scale) ? scale : DEFAULT_RATING_SCALE;
+}
@@ -0,0 +1,30 @@
+/**
+ * upNext.js - Dragging collection items into and around the Up Next queue
+ */
+
+// Custom type so drops of links, text or files are ignored
+const DRAG_TYPE = 'application/x-backlog-beacon-item';
+
+/**
+ * Attributes that make an element drag a collection item
+ * @param {Object} collectionItem
+ * @returns {Object}
+ */
+export function itemDragAttrs(collectionItem) {
+  return {
+    draggable: true,
+    ondragstart(event) {
+      event.dataTransfer.setData(DRAG_TYPE, collectionItem._id);
+      event.dataTransfer.effectAllowed = 'copyMove';
+    }
+  };
+}
+
+// Whether a drag event carries a collection item (the ID itself is only readable on drop)
+export function isItemDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes(DRAG_TYPE);
+}
+
+export function getDraggedItemId(event) {
+  return event.dataTransfer?.getData(DRAG_TYPE) || null;
+}
@@ -0,0 +1,143 @@
+/**
+ * yearReviewExport.js - Year in review as a standalone HTML page
+ *
+ * The page carries its own styles and draws the charts as plain HTML bars, so it can be
+ * opened or shared without the app or any network access.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { formatRating } from '../../lib/constants/ratings.js';
+import { getStorefrontById } from '../../lib/constants/storefronts.js';
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Month-by-month series shown as charts, in display order
+export const YEAR_REVIEW_CHARTS = [
+  { field: 'added', title: 'Games Added' },
+  { field: 'completed', title: 'Games Completed' },
+  { field: 'hours', title: 'Hours Played' }
+];
+
+const STYLES = `
+body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 2rem 1rem; background: #f6f7f9; color: #1f2430; }
+main { max-width: 56rem; margin: 0 auto; }
+h1 { margin: 0 0 1.5rem; }
+h2 { font-size: 1.15rem; margin: 2rem 0 0.75rem; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(8rem, 1fr)); gap: 0.75rem; }
+.card { background: #fff; border-radius: 0.5rem; padding: 1rem; text-align: center; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+.card strong { display: block; font-size: 1.6rem; }
+.card span { font-size: 0.85rem; color: #5d6575; }
+.chart { display: grid; grid-template-columns: repeat(12, 1fr); gap: 0.35rem; align-items: end; height: 9rem; background: #fff; border-radius: 0.5rem; padding: 1rem 1rem 0.5rem; }
+.month { display: flex; flex-direction: column; justify-content: flex-end; align-items: center; height: 100%; font-size: 0.7rem; color: #5d6575; }
+.bar { width: 100%; background: #3f7fd9; border-radius: 0.2rem 0.2rem 0 0; min-height: 1px; }
+.value { margin-bottom: 0.2rem; }
+.label { margin-top: 0.3rem; }
+ol, ul { background: #fff; border-radius: 0.5rem; padding: 1rem 1rem 1rem 2.5rem; margin: 0; }
+li { margin: 0.25rem 0; }
+.muted { color: #5d6575; }
+footer { margin-top: 2rem; font-size: 0.8rem; color: #5d6575; text-align: center; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Game title with its release year, as shown in the review
+ * @param {Object} entry - Review entry with title and releaseYear
+ * @returns {string}
+ */
+export function reviewGameTitle(entry) {
+  return entry.releaseYear ? `${entry.title} (${entry.releaseYear})` : entry.title;
+}
+
+/**
+ * Display name of the review's top storefront
+ * @param {Object} topStorefront - { storefront, games }
+ * @returns {string}
+ */
+export function reviewStorefrontName(topStorefront) {
+  return getStorefrontById(topStorefront.storefront)?.name || topStorefront.storefront;
+}
+
+function renderChart(review, field, title) {
+  const max = Math.max(...review.months.map(month => month[field]));
+  const bars = review.months.map(month => {
+    const height = max > 0 ? (month[field] / max) * 100 : 0;
+    return `<div class="month"><span class="value">${month[field] || ''}</span>` +
+      `<div class="bar" style="height: ${height}%"></div>` +
+      `<span class="label">${MONTH_NAMES[month.month - 1]}</span></div>`;
+  });
+
+  return `<h2>${escapeHtml(title)}</h2>\n<div class="chart">${bars.join('')}</div>`;
+}
+
+/**
+ * Build the standalone page for a review from statistics.getYearReview
+ * @param {Object} review
+ * @returns {string} - Complete HTML document
+ */
+export function buildYearReviewHtml(review) {
+  const { totals } = review;
+  const cards = [
+    [totals.added, 'Added'],
+    [totals.started, 'Started'],
+    [totals.completed, 'Completed'],
+    [totals.abandoned, 'Abandoned'],
+    [totals.hours, 'Hours Played']
+  ].map(([value, label]) => `<div class="card"><strong>${value}</strong><span>${label}</span></div>`);
+
+  const sections = [
+    `<div class="cards">${cards.join('')}</div>`,
+    ...YEAR_REVIEW_CHARTS.map(chart => renderChart(review, chart.field, chart.title))
+  ];
+
+  if (review.topRated.length > 0) {
+    const entries = review.topRated.map(entry =>
+      `<li>${escapeHtml(reviewGameTitle(entry))} <span class="muted">${escapeHtml(formatRating(entry.rating, review.ratingScale))}</span></li>`
+    );
+    sections.push(`<h2>Top Rated Completions</h2>\n<ol>${entries.join('')}</ol>`);
+  }
+
+  const highlights = [];
+  if (review.topPlatform) {
+    const detail = review.topPlatform.hours > 0
+      ? `${review.topPlatform.hours} hours`
+      : `${review.topPlatform.games} ${review.topPlatform.games === 1 ? 'game' : 'games'}`;
+    highlights.push(`<li>Most played platform: ${escapeHtml(review.topPlatform.name)} <span class="muted">${detail}</span></li>`);
+  }
+  if (review.topStorefront) {
+    highlights.push(`<li>Most played storefront: ${escapeHtml(reviewStorefrontName(review.topStorefront))} ` +
+      `<span class="muted">${review.topStorefront.games} ${review.topStorefront.games === 1 ? 'game' : 'games'}</span></li>`);
+  }
+  if (review.longestWait) {
+    highlights.push(`<li>Longest wait: ${escapeHtml(reviewGameTitle(review.longestWait))} ` +
+      `<span class="muted">finished after ${review.longestWait.days} days in the collection</span></li>`);
+  }
+  if (highlights.length > 0) {
+    sections.push(`<h2>Highlights</h2>\n<ul>${highlights.join('')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>My ${review.year} in Games</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>My ${review.year} in Games</h1>
+${sections.join('\n')}
+<footer>Made with ${escapeHtml(Meteor.settings.public?.appName || 'Backlog Beacon')}</footer>
+</main>
+</body>
+</html>
+`;
+}
@@ -1,6 +1,7 @@
 import m from 'mithril';
 import { Meteor } from 'meteor/meteor';
 import { Tracker } from 'meteor/tracker';
+import { Random } from 'meteor/random';
 import { RequireAuth } from '../components/RequireAuth.js';
 import { GameCard } from '../components/GameCard.js';
 import { EditItemModal } from '../components/EditItemModal.js';
@@ -12,31 +13,75 @@ import { PositionIndicator } from '../components/PositionIndicator.js';
 import { BeanstalkView } from '../components/beanstalk/BeanstalkView.js';
 import { BookshelfView } from '../components/BookshelfView.js';
 import { BookshelfThemeSelector, loadBookshelfTheme, saveBookshelfTheme } from '../components/BookshelfThemeSelector.js';
+import { ManageTagsModal } from '../components/ManageTagsModal.js';
+import { SavedViewTabs } from '../components/SavedViewTabs.js';
+import { UpNextDropZone } from '../components/UpNextDropZone.js';
+import { BulkActionBar } from '../components/BulkActionBar.js';
 import { UserPlatforms } from '../../lib/collections/userPlatforms.js';
+import { UserTags } from '../../lib/collections/userTags.js';
+import { SavedViews } from '../../lib/collections/savedViews.js';
+import { showToast } from '../lib/toast.js';
+import { DEFAULT_SORT, RANDOM_SORT } from '../../lib/constants/sorts.js';
+import { LIST_FILTERS, RANGE_FILTERS, toFilterList } from '../../lib/constants/filters.js';
 
 const PAGE_SIZE = 24;
 const INFINITE_CHUNK_SIZE = 100;
 
+function defaultFilters() {
+  return {
+    status: [],
+    platform: [],
+    storefront: [],
+    genre: [],
+    favorite: null,
+    physical: null,
+    rated: null,
+    queued: null,
+    yearMin: null,
+    yearMax: null,
+    hoursMin: null,
+    hoursMax: null,
+    beatMin: null,
+    beatMax: null,
+    search: '',
+    tags: [],
+    tagMode: 'any',
+    sort: DEFAULT_SORT
+  };
+}
+
+// Filters of a saved view with defaults filled in; views saved before list filters existed
+// store a single status or platform string
+function filtersFromView(view) {
+  const filters = { ...defaultFilters(), ...view.filters };
+  for (const key of LIST_FILTERS) {
+    filters[key] = toFilterList(filters[key]);
+  }
+  return filters;
+}
+
 const CollectionContent = {
   oninit(vnode) {
     this.items = [];
     this.platforms = [];
-    this.filters = {
-      status: null,
-      platform: null,
-      favorite: null,
-      search: '',
-      sort: 'name-asc'
-    };
+    this.storefronts = [];
+    this.genres = [];
+    this.filters = defaultFilters();
+    this.randomSeed = Random.id();  // Keeps the random sort in the same order across chunks
     this.currentPage = 1;
     this.totalCount = 0;
     this.loading = true;
     this.loadingMore = false;
     this.editingItem = null;
     this.platformsSubscription = null;
+    this.tags = [];
+    this.tagsSubscription = null;
+    this.tagsComputation = null;
+    this.managingTags = false;
     this.searchDebounceTimer = null;
     this.searchFeedbackTimer = null;
     this.isSearchPending = false;
+    this.searchError = null;  // Message for an invalid search query
     this.viewMode = loadViewMode();
     this.loadedCount = 0;  // Track how many items are loaded in infinite mode
     this.loadedRanges = [];  // Track loaded ranges for sparse loading: [[start, end], ...]
@@ -45,18 +90,42 @@ const CollectionContent = {
     this.bookshelfTheme = loadBookshelfTheme();  // Load saved theme preference
     this.pendingChunks = new Set();  // Track in-flight prefetch requests
     this.prefetchDebounceTimer = null;  // Debounce rapid scroll events
+    this.savedViews = [];
+    this.activeViewId = null;
+    this.savedViewsComputation = null;
+    this.initialLoadDone = false;
+    this.selectionMode = false;
+    this.selectedIds = new Set();
+    this.selectAllMatching = false;  // Selection is every item matching the current filters
+    this.lastSelectedId = null;      // Anchor for shift-click range selection
+    this.bulkBusy = false;
+
+    // Hold the first load until saved views arrive so a default view replaces the defaults above
+    this.savedViewsSubscription = Meteor.subscribe('savedViews', {
+      onReady: () => this.loadInitialView(),
+      onStop: (error) => {
+        if (error) {
+          this.loadInitialView();
+        }
+      }
+    });
   },
 
   oncreate(vnode) {
-    this.setupSubscriptions();
+    this.setupSavedViewsTracking();
     this.setupPlatformsSubscription();
-    this.fetchTotalCount();
+    this.setupTagsSubscription();
   },
 
   onremove(vnode) {
     if (this.platformsSubscription) {
       this.platformsSubscription.stop();
     }
+    this.stopTagsSubscription();
+    if (this.savedViewsComputation) {
+      this.savedViewsComputation.stop();
+    }
+    this.savedViewsSubscription.stop();
     if (this.searchDebounceTimer) {
       clearTimeout(this.searchDebounceTimer);
     }
@@ -68,6 +137,84 @@ const CollectionContent = {
     }
   },
 
+  setupSavedViewsTracking() {
+    this.savedViewsComputation = Tracker.autorun(() => {
+      this.savedViews = SavedViews.find({ userId: Meteor.userId() }, { sort: { order: 1 } }).fetch();
+      m.redraw();
+    });
+  },
+
+  loadInitialView() {
+    if (this.initialLoadDone) {
+      return;
+    }
+    this.initialLoadDone = true;
+
+    const defaultView = SavedViews.findOne({ userId: Meteor.userId(), isDefault: true });
+    if (defaultView) {
+      this.applyView(defaultView);
+      return;
+    }
+
+    this.setupSubscriptions();
+    this.fetchTotalCount();
+  },
+
+  // Apply a saved view's filters, sort and view mode; null returns to the unfiltered collection
+  applyView(view) {
+    if (this.searchDebounceTimer) {
+      clearTimeout(this.searchDebounceTimer);
+      this.searchDebounceTimer = null;
+    }
+    if (this.searchFeedbackTimer) {
+      clearTimeout(this.searchFeedbackTimer);
+      this.searchFeedbackTimer = null;
+    }
+    this.isSearchPending = false;
+
+    this.clearSelection();
+    this.activeViewId = view ? view._id : null;
+    this.filters = view ? filtersFromView(view) : defaultFilters();
+    if (view) {
+      this.viewMode = view.viewMode;
+      if (view.bookshelfTheme) {
+        this.bookshelfTheme = view.bookshelfTheme;
+      }
+    }
+
+    this.items = [];
+    this.loadedRanges = [];
+    this.loadedCount = 0;
+    this.currentPage = 1;
+    this.pendingChunks.clear();
+    window.scrollTo(0, 0);
+    this.setupSubscriptions();
+    this.fetchTotalCount();
+  },
+
+  getCurrentViewState() {
+    return {
+      filters: this.filters,
+      viewMode: this.viewMode,
+      bookshelfTheme: this.viewMode === VIEW_MODES.BOOKSHELF ? this.bookshelfTheme : null
+    };
+  },
+
+  isActiveViewModified() {
+    const view = this.savedViews.find(entry => entry._id === this.activeViewId);
+    if (!view) {
+      return false;
+    }
+
+    const savedFilters = filtersFromView(view);
+    const filtersDiffer = Object.keys(savedFilters).some(key =>
+      JSON.stringify(savedFilters[key] ?? null) !== JSON.stringify(this.filters[key] ?? null)
+    );
+    const themeDiffers = Boolean(view.bookshelfTheme) && view.bookshelfTheme !== this.bookshelfTheme;
+
+    return filtersDiffer || view.viewMode !== this.viewMode || themeDiffers;
+  },
+
   setupPlatformsSubscription() {
     // Separate lightweight subscription just for platform filter options
     this.platformsSubscription = Meteor.subscribe('collectionPlatforms');
@@ -75,33 +222,79 @@ const CollectionContent = {
       if (this.platformsSubscription.ready()) {
         const platformsDoc = UserPlatforms.findOne(Meteor.userId());
         this.platforms = platformsDoc?.platforms || [];
+        this.storefronts = platformsDoc?.storefronts || [];
+        this.genres = platformsDoc?.genres || [];
         m.redraw();
       }
     });
   },
 
-  async fetchTotalCount() {
-    const countFilters = {};
-    if (this.filters.status) {
-      countFilters.status = this.filters.status;
+  setupTagsSubscription() {
+    // Tag counts are computed once per subscription, so re-subscribe after tags change
+    this.tagsSubscription = Meteor.subscribe('collectionTags');
+    this.tagsComputation = Tracker.autorun(() => {
+      if (this.tagsSubscription.ready()) {
+        const tagsDoc = UserTags.findOne(Meteor.userId());
+        this.tags = tagsDoc?.tags || [];
+        m.redraw();
+      }
+    });
+  },
+
+  stopTagsSubscription() {
+    if (this.tagsComputation) {
+      this.tagsComputation.stop();
+      this.tagsComputation = null;
     }
-    if (this.filters.platform) {
-      countFilters.platform = this.filters.platform;
+    if (this.tagsSubscription) {
+      this.tagsSubscription.stop();
+      this.tagsSubscription = null;
     }
-    if (this.filters.favorite) {
-      countFilters.favorite = true;
+  },
+
+  refreshTags() {
+    this.stopTagsSubscription();
+    this.setupTagsSubscription();
+  },
+
+  // Renamed, merged or deleted tags may no longer match the active tag filter
+  handleTagsChanged() {
+    this.refreshTags();
+    if (this.filters.tags.length > 0) {
+      this.handleFilterChange({ ...this.filters, tags: [] });
+    } else {
+      this.setupSubscriptions();
     }
-    if (this.filters.search && this.filters.search.trim().length >= 3) {
-      countFilters.search = this.filters.search.trim();
+  },
+
+  addTagFilterOptions(options) {
+    if (this.filters.tags.length === 0) {
+      return;
     }
+    if (this.filters.tagMode === 'all') {
+      options.tagsAll = [...this.filters.tags];
+    } else {
+      options.tagsAny = [...this.filters.tags];
+    }
+  },
+
+  async fetchTotalCount() {
+    // Same filters as the items, so the total always matches the grid
+    const { sort, seed, ...countFilters } = this.buildFilterOptions();
 
     try {
       const count = await Meteor.callAsync('collection.getCount', countFilters);
       this.totalCount = count;
+      this.searchError = null;
       m.redraw();
     } catch (error) {
-      console.error('Failed to fetch count:', error);
       this.totalCount = 0;
+      if (error.error === 'invalid-query') {
+        this.searchError = error.reason;
+        m.redraw();
+        return;
+      }
+      console.error('Failed to fetch count:', error);
     }
   },
 
@@ -132,7 +325,11 @@ const CollectionContent = {
       this.loading = false;
       m.redraw();
     } catch (error) {
-      console.error('Failed to load pages data:', error);
+      if (error.error === 'invalid-query') {
+        this.items = [];
+      } else {
+        console.error('Failed to load pages data:', error);
+      }
       this.loading = false;
       m.redraw();
     }
@@ -159,7 +356,9 @@ const CollectionContent = {
       this.loading = false;
       m.redraw();
     } catch (error) {
-      console.error('Failed to load initial data:', error);
+      if (error.error !== 'invalid-query') {
+        console.error('Failed to load initial data:', error);
+      }
       this.loading = false;
       m.redraw();
     }
@@ -167,20 +366,38 @@ const CollectionContent = {
 
   buildFilterOptions() {
     const options = {
-      sort: this.filters.sort || 'name-asc'
+      sort: this.filters.sort || DEFAULT_SORT
     };
-    if (this.filters.status) {
-      options.status = this.filters.status;
+    if (options.sort === RANDOM_SORT) {
+      options.seed = this.randomSeed;
     }
-    if (this.filters.platform) {
-      options.platform = this.filters.platform;
+    for (const key of LIST_FILTERS) {
+      const values = toFilterList(this.filters[key]);
+      if (values.length > 0) {
+        options[key] = values;
+      }
+    }
+    for (const key of RANGE_FILTERS) {
+      if (typeof this.filters[key] === 'number') {
+        options[key] = this.filters[key];
+      }
     }
     if (this.filters.favorite) {
       options.favorite = true;
     }
+    if (typeof this.filters.physical === 'boolean') {
+      options.physical = this.filters.physical;
+    }
+    if (typeof this.filters.rated === 'boolean') {
+      options.rated = this.filters.rated;
+    }
+    if (typeof this.filters.queued === 'boolean') {
+      options.queued = this.filters.queued;
+    }
     if (this.filters.search && this.filters.search.trim().length >= 3) {
       options.search = this.filters.search.trim();
     }
+    this.addTagFilterOptions(options);
     return options;
   },
 
@@ -220,14 +437,20 @@ const CollectionContent = {
 
   handleFilterChange(newFilters) {
     const searchChanged = newFilters.search !== this.filters.search;
-    const filtersChanged = newFilters.status !== this.filters.status ||
-                          newFilters.platform !== this.filters.platform ||
-                          newFilters.favorite !== this.filters.favorite;
+    // Anything other than the search text and the sort order
+    const filtersChanged = Object.keys(defaultFilters())
+      .filter(key => key !== 'search' && key !== 'sort')
+      .some(key => JSON.stringify(newFilters[key] ?? null) !== JSON.stringify(this.filters[key] ?? null));
 
     // Check if we had an active search before (3+ chars) - must do this before updating filters
     const previousSearch = (this.filters.search || '').trim();
     const hadActiveSearch = previousSearch.length >= 3;
 
+    // Choosing the random sort again deals a new order
+    if (newFilters.sort === RANDOM_SORT && this.filters.sort !== RANDOM_SORT) {
+      this.randomSeed = Random.id();
+    }
+
     this.filters = newFilters;
     this.pendingChunks.clear();
 
@@ -246,6 +469,7 @@ const CollectionContent = {
     if (searchChanged || filtersChanged) {
       this.currentPage = 1;
       this.loadedCount = 0;
+      this.clearSelection();
       // Scroll to top when filters change in infinite/bookshelf mode
       if (this.viewMode === VIEW_MODES.INFINITE || this.viewMode === VIEW_MODES.BOOKSHELF) {
         window.scrollTo(0, 0);
@@ -299,15 +523,10 @@ const CollectionContent = {
       this.searchFeedbackTimer = null;
     }
     this.isSearchPending = false;
-    this.filters = {
-      status: null,
-      platform: null,
-      favorite: null,
-      search: '',
-      sort: 'name-asc'
-    };
+    this.filters = defaultFilters();
     this.currentPage = 1;
     this.loadedCount = 0;
+    this.clearSelection();
     // Scroll to top when filters are cleared (especially useful in infinite/bookshelf mode)
     if (this.viewMode === VIEW_MODES.INFINITE || this.viewMode === VIEW_MODES.BOOKSHELF) {
       window.scrollTo(0, 0);
@@ -331,6 +550,10 @@ const CollectionContent = {
     }
     this.viewMode = newMode;
     saveViewMode(newMode);
+    this.clearSelection();
+    if (newMode === VIEW_MODES.BEANSTALK) {
+      this.selectionMode = false;
+    }
     this.items = [];
     this.loadedRanges = [];
     this.loadedCount = 0;
@@ -488,9 +711,98 @@ const CollectionContent = {
     }
   },
 
+  toggleSelectionMode() {
+    this.selectionMode = !this.selectionMode;
+    this.clearSelection();
+  },
+
+  clearSelection() {
+    this.selectedIds = new Set();
+    this.selectAllMatching = false;
+    this.lastSelectedId = null;
+  },
+
+  isItemSelected(item) {
+    return this.selectAllMatching || this.selectedIds.has(item._id);
+  },
+
+  // Click toggles one item; shift-click sets every loaded item between the last clicked
+  // item and this one to the state of the last clicked item
+  handleSelectItem(collectionItem, event) {
+    if (this.selectAllMatching) {
+      // Narrowing an "all matching" selection continues from the loaded items
+      this.selectAllMatching = false;
+      this.selectedIds = new Set(this.items.filter(item => item).map(item => item._id));
+    }
+
+    const index = this.items.findIndex(item => item && item._id === collectionItem._id);
+    const anchorIndex = this.lastSelectedId
+      ? this.items.findIndex(item => item && item._id === this.lastSelectedId)
+      : -1;
+
+    if (event && event.shiftKey && index !== -1 && anchorIndex !== -1) {
+      const select = this.selectedIds.has(this.lastSelectedId);
+      const from = Math.min(index, anchorIndex);
+      const to = Math.max(index, anchorIndex);
+      for (let itemIndex = from; itemIndex <= to; itemIndex++) {
+        const item = this.items[itemIndex];
+        if (!item) {
+          continue;
+        }
+        if (select) {
+          this.selectedIds.add(item._id);
+        } else {
+          this.selectedIds.delete(item._id);
+        }
+      }
+    } else if (this.selectedIds.has(collectionItem._id)) {
+      this.selectedIds.delete(collectionItem._id);
+    } else {
+      this.selectedIds.add(collectionItem._id);
+    }
+
+    this.lastSelectedId = collectionItem._id;
+  },
+
+  async handleBulkApply(change) {
+    const count = this.selectAllMatching ? this.totalCount : this.selectedIds.size;
+    if (change.action === 'delete' && !confirm(`Move ${count} game${count === 1 ? '' : 's'} to the trash? You can restore them from the trash later.`)) {
+      return;
+    }
+
+    let selection;
+    if (this.selectAllMatching) {
+      const { sort, seed, ...filters } = this.buildFilterOptions();
+      selection = { filters };
+    } else {
+      selection = { itemIds: [...this.selectedIds] };
+    }
+
+    this.bulkBusy = true;
+    m.redraw();
+
+    try {
+      const updated = await Meteor.callAsync('collection.bulkUpdate', selection, change);
+      const noun = `game${updated === 1 ? '' : 's'}`;
+      showToast(change.action === 'delete' ? `Moved ${updated} ${noun} to trash` : `Updated ${updated} ${noun}`);
+      this.clearSelection();
+      if (change.action === 'addTag') {
+        this.refreshTags();
+      }
+      this.setupSubscriptions();
+      this.fetchTotalCount();
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to update the selected games');
+    }
+
+    this.bulkBusy = false;
+    m.redraw();
+  },
+
   async handleRemoveItem(itemId) {
     try {
       await Meteor.callAsync('collection.removeItem', itemId);
+      showToast('Moved to trash');
       this.setupSubscriptions();
       this.fetchTotalCount();
     } catch (err) {
@@ -500,8 +812,8 @@ const CollectionContent = {
 
   view(vnode) {
     const trimmedSearch = (this.filters.search || '').trim();
-    const hasActiveFilters = this.filters.status || this.filters.platform ||
-                             this.filters.favorite || trimmedSearch.length >= 3;
+    const { sort, seed, ...activeFilters } = this.buildFilterOptions();
+    const hasActiveFilters = Object.keys(activeFilters).length > 0;
     const maxPages = Math.ceil(this.totalCount / PAGE_SIZE) || 1;
     const startIndex = this.totalCount > 0 ? ((this.currentPage - 1) * PAGE_SIZE) + 1 : 0;
     const endIndex = Math.min(this.currentPage * PAGE_SIZE, this.totalCount);
@@ -510,12 +822,36 @@ const CollectionContent = {
     return m('div.collection-page', [
       m('header.page-header', [
         m('h1', 'My Collection'),
-        m('a.button.outline', { href: '/browse', oncreate: m.route.link }, 'Add Games')
+        m('div.page-header-actions', [
+          this.viewMode !== VIEW_MODES.BEANSTALK && m('button.outline.secondary', {
+            'aria-pressed': String(this.selectionMode),
+            onclick: () => this.toggleSelectionMode()
+          }, this.selectionMode ? 'Cancel Selection' : 'Select'),
+          m('button.outline.secondary', {
+            onclick: () => { this.managingTags = true; }
+          }, 'Manage Tags'),
+          m('a.button.outline.secondary', { href: '/collection/duplicates', oncreate: m.route.link }, 'Duplicates'),
+          m('a.button.outline.secondary', { href: '/collection/match-review', oncreate: m.route.link }, 'Match Review'),
+          m('a.button.outline.secondary', { href: '/collection/trash', oncreate: m.route.link }, 'Trash'),
+          m('a.button.outline', { href: '/browse', oncreate: m.route.link }, 'Add Games')
+        ])
       ]),
 
+      m(SavedViewTabs, {
+        views: this.savedViews,
+        activeViewId: this.activeViewId,
+        currentState: this.getCurrentViewState(),
+        isModified: this.isActiveViewModified(),
+        onSelect: (view) => this.applyView(view),
+        onSaved: (viewId) => { this.activeViewId = viewId; }
+      }),
+
       m(CollectionFilters, {
         filters: this.filters,
         platforms: this.platforms,
+        storefronts: this.storefronts,
+        genres: this.genres,
+        tags: this.tags,
         onFilterChange: (newFilters) => this.handleFilterChange(newFilters),
         onClearFilters: () => this.handleClearFilters()
       }),
@@ -535,9 +871,35 @@ const CollectionContent = {
         }
       }),
 
+      // Drag and drop needs HTML cards, so the 3D view queues games from the edit dialog instead
+      !this.selectionMode && this.viewMode !== VIEW_MODES.BEANSTALK && m(UpNextDropZone, {
+        onQueued: (itemId, queueRank) => {
+          const item = this.items.find(entry => entry && entry._id === itemId);
+          if (item) {
+            item.queueRank = queueRank;
+          }
+        }
+      }),
+
+      this.selectionMode && m(BulkActionBar, {
+        selectedCount: this.selectedIds.size,
+        totalCount: this.totalCount,
+        allMatching: this.selectAllMatching,
+        busy: this.bulkBusy,
+        platforms: this.platforms,
+        tags: this.tags,
+        onSelectAllMatching: () => { this.selectAllMatching = true; },
+        onClear: () => this.clearSelection(),
+        onDone: () => this.toggleSelectionMode(),
+        onApply: (change) => this.handleBulkApply(change)
+      }),
+
       // Hint when search is 1-2 characters
       showSearchHint && m('p.search-hint', 'Type at least 3 characters to search.'),
 
+      // Invalid search query syntax
+      !showSearchHint && this.searchError && m('p.search-error', this.searchError),
+
       // Searching indicator
       this.isSearchPending && m('div.search-pending', [
         m('p', 'Searching...')
@@ -549,7 +911,7 @@ const CollectionContent = {
       ]),
 
       // No results due to filters
-      !this.isSearchPending && !this.loading && this.items.length === 0 && hasActiveFilters && m('div.empty-state', [
+      !this.isSearchPending && !this.loading && !this.searchError && this.items.length === 0 && hasActiveFilters && m('div.empty-state', [
         m('h3', 'No games match your filters'),
         m('p', 'Try adjusting your search or filter criteria.'),
         m('button', { onclick: () => this.handleClearFilters() }, 'Clear Filters'),
@@ -572,7 +934,10 @@ const CollectionContent = {
             game: item.game,
             collectionItem: item,
             onUpdateItem: (collectionItem) => { this.editingItem = collectionItem; },
-            onRemoveItem: (id) => this.handleRemoveItem(id)
+            onRemoveItem: (id) => this.handleRemoveItem(id),
+            selectable: this.selectionMode,
+            selected: this.selectionMode && this.isItemSelected(item),
+            onSelect: (collectionItem, event) => this.handleSelectItem(collectionItem, event)
           })
         )
       ),
@@ -599,6 +964,9 @@ const CollectionContent = {
         loading: this.loadingMore,
         onUpdateItem: (collectionItem) => { this.editingItem = collectionItem; },
         onRemoveItem: (id) => this.handleRemoveItem(id),
+        selectable: this.selectionMode,
+        isSelected: (item) => this.isItemSelected(item),
+        onSelect: (collectionItem, event) => this.handleSelectItem(collectionItem, event),
         onVisibleRangeChange: (start, end, loaded) => this.handleVisibleRangeChange(start, end, loaded)
       }),
 
@@ -617,6 +985,9 @@ const CollectionContent = {
         theme: this.bookshelfTheme,
         loading: this.loadingMore,
         onUpdateItem: (collectionItem) => { this.editingItem = collectionItem; },
+        selectable: this.selectionMode,
+        isSelected: (item) => this.isItemSelected(item),
+        onSelect: (collectionItem, event) => this.handleSelectItem(collectionItem, event),
         onVisibleRangeChange: (start, end, loaded) => this.handleVisibleRangeChange(start, end, loaded)
       }),
 
@@ -637,12 +1008,19 @@ const CollectionContent = {
         onModeChange: (mode) => this.handleModeChange(mode)
       }),
 
+      this.managingTags && m(ManageTagsModal, {
+        tags: this.tags,
+        onChange: () => this.handleTagsChanged(),
+        onClose: () => { this.managingTags = false; }
+      }),
+
       // Show appropriate modal based on whether it's a custom game
       this.editingItem && (
         this.editingItem.game?.ownerId
           ? m(EditCustomGameModal, {
               game: this.editingItem.game,
               collectionItem: this.editingItem,
+              tagSuggestions: this.tags,
               onClose: () => { this.editingItem = null; },
               onSuccess: (itemId, itemUpdates, gameId, gameUpdates) => {
                 // Update local item data
@@ -652,6 +1030,9 @@ const CollectionContent = {
                     Object.assign(this.items[index], itemUpdates);
                   }
                 }
+                if (itemUpdates?.tags) {
+                  this.refreshTags();
+                }
                 // Update local game data (embedded in item)
                 if (this.editingItem && this.editingItem.game) {
                   Object.assign(this.editingItem.game, gameUpdates);
@@ -662,6 +1043,7 @@ const CollectionContent = {
           : m(EditItemModal, {
               item: this.editingItem,
               game: this.editingItem.game,
+              tagSuggestions: this.tags,
               onClose: () => { this.editingItem = null; },
               onSuccess: (itemId, updates) => {
                 // Update local item data so 3D view reflects changes
@@ -669,6 +1051,9 @@ const CollectionContent = {
                 if (index !== -1) {
                   Object.assign(this.items[index], updates);
                 }
+                if (updates.tags) {
+                  this.refreshTags();
+                }
                 this.editingItem = null;
               }
             })
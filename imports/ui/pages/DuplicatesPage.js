@@ -0,0 +1,285 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { DUPLICATE_REASON_LABELS, MERGE_RULES } from '../../lib/constants/duplicates.js';
+import { getStorefrontNames } from '../../lib/constants/storefronts.js';
+import { formatHistoryValue } from '../lib/itemHistory.js';
+import { getCoverUrl } from '../lib/coverUrls.js';
+import { showToast } from '../lib/toast.js';
+
+const NOTES_PREVIEW_LENGTH = 80;
+
+function pairKey(pair) {
+  return pair.items.map(item => item._id).join('|');
+}
+
+// One value of a merge preview row, for either item or the merged result
+function formatMergeValue(field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+
+  switch (field) {
+    case 'game':
+      return value.releaseYear ? `${value.title} (${value.releaseYear})` : (value.title || 'Unknown Game');
+    case 'dateAdded':
+      return new Date(value).toLocaleDateString();
+    case 'ownedCopies':
+      return value
+        .map(copy => [copy.platform, ...getStorefrontNames(copy.storefront ? [copy.storefront] : [])].join(' · ') || 'Unknown copy')
+        .join(', ');
+    case 'playthroughs':
+    case 'playSessions':
+    case 'ownedEditions':
+    case 'ownedDlc':
+      return `${value.length}`;
+    case 'notes':
+      return value.length > NOTES_PREVIEW_LENGTH ? `${value.slice(0, NOTES_PREVIEW_LENGTH)}…` : value;
+    case 'tags':
+      return value.join(', ');
+    case 'queueRank':
+      return 'Queued';
+    default:
+      return formatHistoryValue(field, value);
+  }
+}
+
+const DuplicatesContent = {
+  oninit(vnode) {
+    this.pairs = [];
+    this.keepers = new Map();
+    this.previews = new Map();
+    this.openPairKey = null;
+    this.busyPairKey = null;
+    this.loading = true;
+    this.error = null;
+    this.loadDuplicates();
+  },
+
+  async loadDuplicates() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.pairs = await Meteor.callAsync('duplicates.find');
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to find duplicates';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  // The pair's items as [keeper, other]; the server lists its suggested keeper first
+  orderedItems(pair) {
+    const keeperId = this.keepers.get(pairKey(pair)) || pair.items[0]._id;
+    return keeperId === pair.items[0]._id ? pair.items : [pair.items[1], pair.items[0]];
+  },
+
+  async loadPreview(pair) {
+    const key = pairKey(pair);
+    const [keeper, other] = this.orderedItems(pair);
+    this.previews.delete(key);
+    m.redraw();
+
+    try {
+      const preview = await Meteor.callAsync('duplicates.previewMerge', keeper._id, other._id);
+      this.previews.set(key, { keeperId: keeper._id, fields: preview });
+    } catch (err) {
+      showToast(err.reason || err.message || 'Failed to preview merge');
+    }
+
+    m.redraw();
+  },
+
+  togglePreview(pair) {
+    const key = pairKey(pair);
+    if (this.openPairKey === key) {
+      this.openPairKey = null;
+      return;
+    }
+    this.openPairKey = key;
+    this.loadPreview(pair);
+  },
+
+  chooseKeeper(pair, itemId) {
+    this.keepers.set(pairKey(pair), itemId);
+    if (this.openPairKey === pairKey(pair)) {
+      this.loadPreview(pair);
+    }
+  },
+
+  removePair(pair) {
+    const key = pairKey(pair);
+    this.previews.delete(key);
+    this.keepers.delete(key);
+    if (this.openPairKey === key) {
+      this.openPairKey = null;
+    }
+  },
+
+  async merge(pair) {
+    const [keeper, other] = this.orderedItems(pair);
+    const title = keeper.game?.title || 'this game';
+    if (!confirm(`Merge the other "${other.game?.title || 'game'}" into "${title}"? The merged item moves to the trash.`)) {
+      return;
+    }
+
+    this.busyPairKey = pairKey(pair);
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('duplicates.merge', keeper._id, other._id);
+      this.removePair(pair);
+      // Drops this pair too, and any other pair with the merged item
+      this.pairs = this.pairs.filter(entry => !entry.items.some(item => item._id === other._id));
+      showToast(`Merged into "${title}"`);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to merge items');
+    }
+
+    this.busyPairKey = null;
+    m.redraw();
+  },
+
+  async dismiss(pair) {
+    this.busyPairKey = pairKey(pair);
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('duplicates.dismiss', pair.items[0]._id, pair.items[1]._id);
+      this.removePair(pair);
+      this.pairs = this.pairs.filter(entry => entry !== pair);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to dismiss pair');
+    }
+
+    this.busyPairKey = null;
+    m.redraw();
+  },
+
+  viewItem(pair, item, isKeeper) {
+    return m('label.duplicate-item', { class: isKeeper ? 'keeper' : '' }, [
+      m('input[type=radio]', {
+        name: `keeper-${pairKey(pair)}`,
+        checked: isKeeper,
+        onchange: () => this.chooseKeeper(pair, item._id)
+      }),
+      m('img.duplicate-cover', {
+        src: getCoverUrl(item.game),
+        alt: '',
+        loading: 'lazy'
+      }),
+      m('div.duplicate-details', [
+        m('strong', formatMergeValue('game', item.game)),
+        m('small', [
+          STATUS_LABELS[item.status] || item.status,
+          item.game?.ownerId ? ' · Custom game' : '',
+          (item.platforms || []).length > 0 && ` · ${item.platforms.join(', ')}`
+        ]),
+        m('small', isKeeper ? 'Keep this one' : 'Merge into the other')
+      ])
+    ]);
+  },
+
+  viewPreview(pair, keeper, other) {
+    const preview = this.previews.get(pairKey(pair));
+    if (!preview || preview.keeperId !== keeper._id) {
+      return m('p.duplicate-preview-loading', 'Loading preview...');
+    }
+
+    return m('div.duplicate-preview', m('table', [
+      m('thead', m('tr', [
+        m('th', 'Field'),
+        m('th', 'Keep'),
+        m('th', 'Merge'),
+        m('th', 'Result')
+      ])),
+      m('tbody', MERGE_RULES.map(({ field, label, rule }) =>
+        m('tr', { key: field }, [
+          m('th', { scope: 'row', title: rule }, label),
+          m('td', formatMergeValue(field, keeper[field])),
+          m('td', formatMergeValue(field, other[field])),
+          m('td', m('strong', formatMergeValue(field, preview.fields[field])))
+        ])
+      ))
+    ]));
+  },
+
+  view(vnode) {
+    const header = m('header.page-header', [
+      m('h1', 'Duplicates'),
+      m('div.page-header-actions', [
+        m('a.button.outline', { href: '/collection', oncreate: m.route.link }, 'Back to Collection')
+      ])
+    ]);
+
+    if (this.loading) {
+      return m('div.duplicates-page', [
+        header,
+        m('div.loading-container', [
+          m('div.loading'),
+          m('p', 'Looking for duplicates...')
+        ])
+      ]);
+    }
+
+    if (this.error) {
+      return m('div.duplicates-page', [
+        header,
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.loadDuplicates() }, 'Retry')
+      ]);
+    }
+
+    return m('div.duplicates-page', [
+      header,
+
+      m('p.duplicates-info', 'Games that look like they are in your collection twice. Choose the one to keep; the other is merged into it and moves to the trash. Hover a field name to see how it is merged.'),
+
+      this.pairs.length === 0
+        ? m('div.empty-state', [
+            m('h3', 'No duplicates found'),
+            m('p', 'Games with the same IGDB entry or the same title will appear here.')
+          ])
+        : m('ul.duplicate-list', this.pairs.map(pair => {
+            const key = pairKey(pair);
+            const [keeper, other] = this.orderedItems(pair);
+            const busy = this.busyPairKey === key;
+
+            return m('li.duplicate-pair', { key }, [
+              m('div.duplicate-pair-header', [
+                m('span.badge', DUPLICATE_REASON_LABELS[pair.reason] || pair.reason)
+              ]),
+              m('div.duplicate-items', pair.items.map(item =>
+                this.viewItem(pair, item, item._id === keeper._id)
+              )),
+              this.openPairKey === key && this.viewPreview(pair, keeper, other),
+              m('div.duplicate-actions', [
+                m('button.outline.secondary.small', {
+                  disabled: busy,
+                  onclick: () => this.togglePreview(pair)
+                }, this.openPairKey === key ? 'Hide Preview' : 'Preview Merge'),
+                m('button.small', {
+                  disabled: busy,
+                  'aria-busy': busy,
+                  onclick: () => this.merge(pair)
+                }, 'Merge'),
+                m('button.outline.contrast.small', {
+                  disabled: busy,
+                  onclick: () => this.dismiss(pair)
+                }, 'Not Duplicates')
+              ])
+            ]);
+          }))
+    ]);
+  }
+};
+
+export const DuplicatesPage = {
+  view() {
+    return m(RequireAuth, m(DuplicatesContent));
+  }
+};
@@ -2,6 +2,10 @@ import m from 'mithril';
 import { Meteor } from 'meteor/meteor';
 import { RequireAuth } from '../components/RequireAuth.js';
 import { CollectionStats } from '../components/CollectionStats.js';
+import { ActivityFeed } from '../components/ActivityFeed.js';
+import { UpNextQueue } from '../components/UpNextQueue.js';
+import { RecommendationsPanel } from '../components/RecommendationsPanel.js';
+import { GoalsPanel } from '../components/GoalsPanel.js';
 
 const HomeContent = {
   oninit(vnode) {
@@ -14,11 +18,31 @@ const HomeContent = {
       m('h1', 'Welcome to Backlog Beacon'),
       m('p', 'Track your video game collection, import from Darkadia, and browse your games on a beautiful 3D bookshelf.'),
       
+      m('article', [
+        m('header', m('h2', 'Up Next')),
+        m(UpNextQueue)
+      ]),
+      
+      m('article', [
+        m('header', m('h2', 'What Should I Play Next?')),
+        m(RecommendationsPanel)
+      ]),
+      
+      m('article', [
+        m('header', m('h2', `Goals for ${new Date().getUTCFullYear()}`)),
+        m(GoalsPanel, { year: new Date().getUTCFullYear() })
+      ]),
+      
       m('article', [
         m('header', m('h2', 'Your Collection Stats')),
         m(CollectionStats)
       ]),
       
+      m('article', [
+        m('header', m('h2', 'Recent Activity')),
+        m(ActivityFeed)
+      ]),
+      
       m('article', [
         m('header', m('h2', 'Quick Actions')),
         m('div.button-group', [
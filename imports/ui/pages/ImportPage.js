@@ -9,13 +9,15 @@ import { BacklogBeaconTab } from './import/BacklogBeaconTab.js';
 import { SimpleTab } from './import/SimpleTab.js';
 import { StorefrontTab } from './import/StorefrontTab.js';
 import { ExportTab } from './import/ExportTab.js';
+import { BackupTab } from './import/BackupTab.js';
 
 const TAB_COMPONENTS = {
   [TABS.DARKADIA]: { component: DarkadiaTab, progressType: 'darkadia' },
   [TABS.BACKLOG_BEACON]: { component: BacklogBeaconTab, progressType: 'backlog' },
   [TABS.SIMPLE]: { component: SimpleTab, progressType: 'simple' },
   [TABS.STOREFRONT]: { component: StorefrontTab, progressType: 'storefront' },
-  [TABS.EXPORT]: { component: ExportTab, progressType: 'export' }
+  [TABS.EXPORT]: { component: ExportTab, progressType: 'export' },
+  [TABS.BACKUP]: { component: BackupTab, progressType: null }
 };
 
 const ImportContent = {
@@ -0,0 +1,252 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import { getStorefrontNames } from '../../lib/constants/storefronts.js';
+import { getCoverUrl } from '../lib/coverUrls.js';
+import { showToast } from '../lib/toast.js';
+
+const SEARCH_RESULT_LIMIT = 10;
+
+function gameLabel(title, releaseYear) {
+  return releaseYear ? `${title} (${releaseYear})` : title;
+}
+
+const MatchReviewContent = {
+  oninit() {
+    this.items = [];
+    this.busyItemId = null;
+    this.searchItemId = null;
+    this.searchQuery = '';
+    this.searchResults = null;
+    this.searching = false;
+    this.loading = true;
+    this.error = null;
+    this.loadQueue();
+  },
+
+  async loadQueue() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.items = await Meteor.callAsync('matchReview.getQueue');
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load the review queue';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  // Call a review method for the item; once it succeeds the item leaves the queue
+  async review(item, method, args, message) {
+    this.busyItemId = item._id;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync(method, item._id, ...args);
+      this.items = this.items.filter(entry => entry._id !== item._id);
+      if (this.searchItemId === item._id) {
+        this.closeSearch();
+      }
+      showToast(message);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to update the match');
+    }
+
+    this.busyItemId = null;
+    m.redraw();
+  },
+
+  confirmMatch(item) {
+    return this.review(item, 'matchReview.confirm', [], `Kept "${item.game.title}"`);
+  },
+
+  chooseGame(item, igdbId, title) {
+    return this.review(item, 'matchReview.chooseGame', [igdbId], `Matched to "${title}"`);
+  },
+
+  makeCustom(item) {
+    const title = prompt('Title of the custom game', item.igdbMatch.query || item.game?.title || '');
+    if (title === null || title.trim().length === 0) {
+      return null;
+    }
+    return this.review(item, 'matchReview.makeCustom', [title], `Made "${title.trim()}" a custom game`);
+  },
+
+  openSearch(item) {
+    this.searchItemId = item._id;
+    this.searchQuery = item.igdbMatch.query || '';
+    this.searchResults = null;
+  },
+
+  closeSearch() {
+    this.searchItemId = null;
+    this.searchQuery = '';
+    this.searchResults = null;
+  },
+
+  async search() {
+    const query = this.searchQuery.trim();
+    if (query.length < 3) {
+      return;
+    }
+
+    this.searching = true;
+    m.redraw();
+
+    try {
+      this.searchResults = await Meteor.callAsync('igdb.searchAndCache', query, SEARCH_RESULT_LIMIT, 0);
+    } catch (err) {
+      showToast(err.reason || err.message || 'Search failed');
+    }
+
+    this.searching = false;
+    m.redraw();
+  },
+
+  viewChoice(item, { igdbId, title, releaseYear, cover, score }) {
+    const busy = this.busyItemId === item._id;
+
+    return m('li.match-choice', { key: igdbId }, [
+      m('img.match-cover', { src: cover, alt: '', loading: 'lazy' }),
+      m('div.match-details', [
+        m('span', gameLabel(title, releaseYear)),
+        typeof score === 'number' && m('small', `${score}% match`)
+      ]),
+      m('button.outline.small', {
+        disabled: busy || igdbId === item.igdbId,
+        onclick: () => this.chooseGame(item, igdbId, title)
+      }, igdbId === item.igdbId ? 'Current' : 'Use this')
+    ]);
+  },
+
+  viewSearch(item) {
+    return m('div.match-search', [
+      m('form[role=search]', {
+        onsubmit: (event) => {
+          event.preventDefault();
+          this.search();
+        }
+      }, [
+        m('input[type=search]', {
+          'aria-label': 'Search IGDB',
+          placeholder: 'Search IGDB...',
+          value: this.searchQuery,
+          oninput: (event) => { this.searchQuery = event.target.value; }
+        }),
+        m('button.small[type=submit]', {
+          disabled: this.searching || this.searchQuery.trim().length < 3,
+          'aria-busy': this.searching ? 'true' : 'false'
+        }, 'Search')
+      ]),
+      this.searchResults && (this.searchResults.length === 0
+        ? m('p.match-empty', 'No games found.')
+        : m('ul.match-choices', this.searchResults.map(game => this.viewChoice(item, {
+            igdbId: game.igdbId,
+            title: game.title,
+            releaseYear: game.releaseYear,
+            cover: getCoverUrl(game)
+          }))))
+    ]);
+  },
+
+  viewItem(item) {
+    const match = item.igdbMatch;
+    const busy = this.busyItemId === item._id;
+    const searchOpen = this.searchItemId === item._id;
+    const details = [
+      ...(item.platforms || []),
+      ...getStorefrontNames(item.storefronts || [])
+    ].join(' · ');
+
+    return m('li.match-review-item', { key: item._id }, [
+      m('div.match-current', [
+        m('img.match-cover', { src: getCoverUrl(item.game), alt: '', loading: 'lazy' }),
+        m('div.match-details', [
+          m('small', `Imported as "${match.query}"${details ? ` · ${details}` : ''}`),
+          item.gameId
+            ? m('strong', gameLabel(item.game.title, item.game.releaseYear))
+            : m('strong', 'No game matched'),
+          item.gameId && typeof match.score === 'number' && m('small', `${match.score}% match`)
+        ])
+      ]),
+
+      match.candidates.length > 0 && m('div.match-candidates', [
+        m('h4', 'Other possible games'),
+        m('ul.match-choices', match.candidates.map(candidate => this.viewChoice(item, {
+          igdbId: candidate.igdbId,
+          title: candidate.title,
+          releaseYear: candidate.releaseYear,
+          cover: getCoverUrl({ coverImageId: candidate.coverImageId }),
+          score: candidate.score
+        })))
+      ]),
+
+      searchOpen && this.viewSearch(item),
+
+      m('div.match-actions', [
+        item.gameId && m('button.small', {
+          disabled: busy,
+          'aria-busy': busy ? 'true' : 'false',
+          onclick: () => this.confirmMatch(item)
+        }, 'Correct Match'),
+        m('button.outline.secondary.small', {
+          disabled: busy,
+          onclick: () => (searchOpen ? this.closeSearch() : this.openSearch(item))
+        }, searchOpen ? 'Close Search' : 'Search IGDB'),
+        m('button.outline.contrast.small', {
+          disabled: busy,
+          onclick: () => this.makeCustom(item)
+        }, 'Make Custom Game')
+      ])
+    ]);
+  },
+
+  view() {
+    const header = m('header.page-header', [
+      m('h1', 'Match Review'),
+      m('div.page-header-actions', [
+        m('a.button.outline', { href: '/collection', oncreate: m.route.link }, 'Back to Collection')
+      ])
+    ]);
+
+    if (this.loading) {
+      return m('div.match-review-page', [
+        header,
+        m('div.loading-container', [
+          m('div.loading'),
+          m('p', 'Loading matches...')
+        ])
+      ]);
+    }
+
+    if (this.error) {
+      return m('div.match-review-page', [
+        header,
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.loadQueue() }, 'Retry')
+      ]);
+    }
+
+    return m('div.match-review-page', [
+      header,
+
+      m('p.match-review-info', 'Imported games that may have been matched to the wrong game, or that nothing matched. Keep the match, pick another game, or make it a custom game.'),
+
+      this.items.length === 0
+        ? m('div.empty-state', [
+            m('h3', 'Nothing to review'),
+            m('p', 'Imported games with an uncertain match will appear here.')
+          ])
+        : m('ul.match-review-list', this.items.map(item => this.viewItem(item)))
+    ]);
+  }
+};
+
+export const MatchReviewPage = {
+  view() {
+    return m(RequireAuth, m(MatchReviewContent));
+  }
+};
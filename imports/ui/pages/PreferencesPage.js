@@ -0,0 +1,73 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import {
+  RATING_SCALES,
+  RATING_SCALE_OPTIONS,
+  formatRating
+} from '../../lib/constants/ratings.js';
+import { getRatingScale } from '../lib/preferences.js';
+import { showToast } from '../lib/toast.js';
+
+// Example shown next to each scale: a stored rating of 3.5 stars
+const SAMPLE_RATING = 3.5;
+
+const PreferencesContent = {
+  oninit(vnode) {
+    this.saving = false;
+    this.error = null;
+  },
+
+  async setRatingScale(ratingScale) {
+    this.saving = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('user.setPreferences', { ratingScale });
+      showToast('Preferences saved');
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to save preferences';
+    }
+
+    this.saving = false;
+    m.redraw();
+  },
+
+  view(vnode) {
+    const currentScale = getRatingScale();
+
+    return m('div.preferences-page', [
+      m('h1', 'Preferences'),
+
+      this.error && m('p.error-message', this.error),
+
+      m('article', [
+        m('fieldset', [
+          m('legend', 'Rating scale'),
+          Object.values(RATING_SCALES).map(scale =>
+            m('label', { key: scale }, [
+              m('input', {
+                type: 'radio',
+                name: 'rating-scale',
+                value: scale,
+                checked: currentScale === scale,
+                disabled: this.saving,
+                onchange: () => this.setRatingScale(scale)
+              }),
+              ` ${RATING_SCALE_OPTIONS[scale].label} `,
+              m('small', `(e.g. ${formatRating(SAMPLE_RATING, scale)})`)
+            ])
+          )
+        ]),
+        m('small', 'Ratings are converted for display, so switching scales never changes the ratings you have already saved.')
+      ])
+    ]);
+  }
+};
+
+export const PreferencesPage = {
+  view() {
+    return m(RequireAuth, m(PreferencesContent));
+  }
+};
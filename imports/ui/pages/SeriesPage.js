@@ -0,0 +1,213 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { SERIES_KIND_LABELS } from '../../lib/constants/series.js';
+import { getCoverUrl } from '../lib/coverUrls.js';
+import { showToast } from '../lib/toast.js';
+
+const STATUS_BADGE_CLASSES = {
+  backlog: 'secondary',
+  playing: 'primary',
+  completed: 'success',
+  abandoned: 'warning',
+  wishlist: 'wishlist'
+};
+
+function seriesPath(kind, igdbId) {
+  return `/series/${kind}/${igdbId}`;
+}
+
+function progressText({ total, owned, completed }) {
+  return `You own ${owned} of ${total} and completed ${completed}`;
+}
+
+// Franchises and series the user has games from
+const SeriesList = {
+  oninit() {
+    this.series = [];
+    this.kind = 'all';
+    this.loading = true;
+    this.error = null;
+    this.load();
+  },
+
+  async load() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.series = await Meteor.callAsync('series.getMine');
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load series';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  view() {
+    if (this.loading) {
+      return m('div.loading-container', [
+        m('div.loading'),
+        m('p', 'Loading series...')
+      ]);
+    }
+
+    if (this.error) {
+      return [
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.load() }, 'Retry')
+      ];
+    }
+
+    if (this.series.length === 0) {
+      return m('div.empty-state', [
+        m('h3', 'No series yet'),
+        m('p', 'Franchises and series of the games in your collection will appear here as game details are updated from IGDB.')
+      ]);
+    }
+
+    const shown = this.kind === 'all' ? this.series : this.series.filter(entry => entry.kind === this.kind);
+
+    return [
+      m('div.series-kind-filter', { role: 'group' }, ['all', ...Object.keys(SERIES_KIND_LABELS)].map(kind =>
+        m('button.small', {
+          class: this.kind === kind ? '' : 'outline',
+          onclick: () => { this.kind = kind; }
+        }, kind === 'all' ? 'All' : `${SERIES_KIND_LABELS[kind]}s`)
+      )),
+      m('ul.series-list', shown.map(entry =>
+        m('li.series-list-entry', { key: `${entry.kind}:${entry.igdbId}` }, [
+          m('a', { href: seriesPath(entry.kind, entry.igdbId), oncreate: m.route.link },
+            entry.title || `IGDB #${entry.igdbId}`),
+          m('small', [
+            SERIES_KIND_LABELS[entry.kind],
+            ` · ${entry.itemCount} in your collection`,
+            ` · ${entry.ownedCount} owned`,
+            ` · ${entry.completedCount} completed`
+          ])
+        ])
+      ))
+    ];
+  }
+};
+
+// Every entry of one franchise or series in release order
+const SeriesDetail = {
+  oninit(vnode) {
+    this.series = null;
+    this.addingGameId = null;
+    this.loading = true;
+    this.error = null;
+    this.load(vnode);
+  },
+
+  async load(vnode) {
+    const { kind, igdbId } = vnode.attrs;
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.series = await Meteor.callAsync('series.getEntries', kind, igdbId);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load series';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  async addToWishlist(entry) {
+    this.addingGameId = entry.game._id;
+    m.redraw();
+
+    try {
+      const itemId = await Meteor.callAsync('collection.addItem', entry.game._id, '', 'wishlist', { platforms: [] });
+      entry.item = { _id: itemId, gameId: entry.game._id, status: 'wishlist', platforms: [] };
+      showToast(`Added "${entry.game.title}" to your wishlist`);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to add game');
+    }
+
+    this.addingGameId = null;
+    m.redraw();
+  },
+
+  view(vnode) {
+    if (this.loading) {
+      return m('div.loading-container', [
+        m('div.loading'),
+        m('p', 'Loading entries...')
+      ]);
+    }
+
+    if (this.error) {
+      return [
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.load(vnode) }, 'Retry')
+      ];
+    }
+
+    const series = this.series;
+    const owned = series.entries.filter(entry => entry.item && entry.item.status !== 'wishlist').length;
+    const completed = series.entries.filter(entry => entry.item?.status === 'completed').length;
+
+    return [
+      m('h2', [
+        series.title || `IGDB #${series.igdbId}`,
+        ' ',
+        m('small.badge.secondary', SERIES_KIND_LABELS[series.kind])
+      ]),
+      m('p.series-progress', progressText({ total: series.entries.length, owned, completed })),
+
+      series.entries.length === 0
+        ? m('p', 'IGDB lists no games for this series.')
+        : m('ol.series-entries', series.entries.map(entry =>
+            m('li.series-entry', { key: entry.game._id, class: entry.item ? '' : 'missing' }, [
+              m('img.series-cover', { src: getCoverUrl(entry.game), alt: '', loading: 'lazy' }),
+              m('div.series-entry-details', [
+                m('strong', entry.game.title),
+                m('small', entry.game.releaseYear || 'Unreleased')
+              ]),
+              entry.item
+                ? m(`span.badge.${STATUS_BADGE_CLASSES[entry.item.status] || 'secondary'}`,
+                    STATUS_LABELS[entry.item.status] || entry.item.status)
+                : m('button.outline.small', {
+                    disabled: this.addingGameId !== null,
+                    'aria-busy': this.addingGameId === entry.game._id,
+                    onclick: () => this.addToWishlist(entry)
+                  }, 'Add to Wishlist')
+            ])
+          ))
+    ];
+  }
+};
+
+const SeriesContent = {
+  view() {
+    const kind = m.route.param('kind');
+    const igdbId = parseInt(m.route.param('igdbId'), 10);
+    const isDetail = SERIES_KIND_LABELS[kind] && Number.isInteger(igdbId);
+
+    return m('div.series-page', [
+      m('header.page-header', [
+        m('h1', 'Series'),
+        isDetail && m('div.page-header-actions', [
+          m('a.button.outline', { href: '/series', oncreate: m.route.link }, 'All Series')
+        ])
+      ]),
+      isDetail
+        ? m(SeriesDetail, { key: `${kind}:${igdbId}`, kind, igdbId })
+        : m(SeriesList)
+    ]);
+  }
+};
+
+export const SeriesPage = {
+  view() {
+    return m(RequireAuth, m(SeriesContent));
+  }
+};
@@ -2,10 +2,108 @@ import m from 'mithril';
 import { Meteor } from 'meteor/meteor';
 import { RequireAuth } from '../components/RequireAuth.js';
 import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { formatScaleValue } from '../../lib/constants/ratings.js';
+import { getStorefrontById } from '../../lib/constants/storefronts.js';
+import { formatMoney } from '../lib/money.js';
+import { GoalsPanel } from '../components/GoalsPanel.js';
+import { GoalHistory } from '../components/GoalHistory.js';
+import { StatisticsTrends } from '../components/StatisticsTrends.js';
+
+const BREAKDOWN_LIMIT = 10;
+
+// One breakdown list (storefront, platform or year) in the order the server returns it
+function renderBreakdown(title, rows, currency, getLabel) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return m('div.spending-breakdown', [
+    m('h4', title),
+    m('div.platform-list',
+      rows.slice(0, BREAKDOWN_LIMIT).map(row => {
+        const label = getLabel(row);
+        return m('div.platform-item', { key: label }, [
+          m('span.platform-name', `${label} (${row.count})`),
+          m('span.platform-count', formatMoney(row.total, currency))
+        ]);
+      })
+    ),
+    rows.length > BREAKDOWN_LIMIT && m('p', m('small', `And ${rows.length - BREAKDOWN_LIMIT} more...`))
+  ]);
+}
+
+// All figures for one currency; amounts in other currencies are shown separately
+function renderCurrencySpending(spending) {
+  const { currency } = spending;
+
+  return m('article.spending-currency', { key: currency }, [
+    m('h3', currency),
+    m('div.stats-grid', [
+      m('article.stat-card.highlight', [
+        m('span.stat-value', formatMoney(spending.total, currency)),
+        m('span.stat-label', `Spent on ${spending.gameCount} ${spending.gameCount === 1 ? 'game' : 'games'}`)
+      ]),
+      m('article.stat-card', [
+        m('span.stat-value', formatMoney(spending.averagePerGame, currency)),
+        m('span.stat-label', 'Average per Game')
+      ]),
+      m('article.stat-card', {
+        title: `${spending.hoursPlayed} hours played across these games`
+      }, [
+        m('span.stat-value', spending.costPerHour === null ? 'N/A' : formatMoney(spending.costPerHour, currency)),
+        m('span.stat-label', 'Cost per Hour')
+      ]),
+      m('article.stat-card', {
+        title: `${spending.backlogGameCount} backlog games never started`
+      }, [
+        m('span.stat-value', formatMoney(spending.backlogSpend, currency)),
+        m('span.stat-label', 'Unplayed Backlog')
+      ])
+    ]),
+    m('div.spending-breakdowns', [
+      renderBreakdown('By Storefront', spending.byStorefront, currency,
+        row => (row.storefront ? (getStorefrontById(row.storefront)?.name || row.storefront) : 'No storefront')),
+      renderBreakdown('By Platform', spending.byPlatform, currency,
+        row => row.platform || 'No platform'),
+      renderBreakdown('By Year', spending.byYear, currency,
+        row => (row.year === null ? 'No purchase date' : String(row.year)))
+    ])
+  ]);
+}
+
+// Hours left in the backlog from IGDB's time-to-beat estimates, and when it would be cleared
+function renderBacklogForecast(forecast) {
+  const unestimated = forecast.games - forecast.estimatedGames;
+
+  return m('section.stats-backlog-forecast', [
+    m('h2', 'Backlog Forecast'),
+    m('div.stats-grid', [
+      m('article.stat-card', [
+        m('span.stat-value', forecast.hours),
+        m('span.stat-label', 'Hours to Clear')
+      ]),
+      m('article.stat-card', { title: `Hours of games completed in the last ${forecast.windowDays} days` }, [
+        m('span.stat-value', forecast.hoursPerWeek),
+        m('span.stat-label', 'Hours per Week')
+      ]),
+      m('article.stat-card', [
+        m('span.stat-value', forecast.forecastDate ? new Date(forecast.forecastDate).toLocaleDateString() : 'N/A'),
+        m('span.stat-label', 'Backlog Cleared')
+      ])
+    ]),
+    !forecast.forecastDate && forecast.hours > 0 && m('p', m('small',
+      `Complete a game to get a forecast; the pace comes from the last ${forecast.windowDays} days.`
+    )),
+    unestimated > 0 && m('p', m('small',
+      `${unestimated} of ${forecast.games} backlog and playing games have no time-to-beat estimate and are not included.`
+    ))
+  ]);
+}
 
 const StatisticsContent = {
   oninit(vnode) {
     this.stats = null;
+    this.spending = null;
     this.loading = true;
     this.error = null;
     this.loadStats();
@@ -17,7 +115,10 @@ const StatisticsContent = {
     m.redraw();
     
     try {
-      this.stats = await Meteor.callAsync('collection.getStats');
+      [this.stats, this.spending] = await Promise.all([
+        Meteor.callAsync('collection.getStats'),
+        Meteor.callAsync('collection.getSpendingStats')
+      ]);
     } catch (err) {
       this.error = err.reason || err.message || 'Failed to load statistics';
     }
@@ -65,8 +166,15 @@ const StatisticsContent = {
     const sortedPlatforms = Object.entries(stats.platformCounts)
       .sort((a, b) => b[1] - a[1]);
     
+    const currentYear = new Date().getUTCFullYear();
+
     return m('div.statistics-page', [
-      m('h1', 'Collection Statistics'),
+      m('header.page-header', [
+        m('h1', 'Collection Statistics'),
+        m('div.page-header-actions', [
+          m('a.button.outline', { href: `/statistics/year/${currentYear}`, oncreate: m.route.link }, `${currentYear} in Review`)
+        ])
+      ]),
       
       m('section.stats-overview', [
         m('h2', 'Overview'),
@@ -84,16 +192,28 @@ const StatisticsContent = {
             m('span.stat-label', 'Hours Played')
           ]),
           m('article.stat-card', [
-            m('span.stat-value', stats.averageRating ? `${stats.averageRating} ★` : 'N/A'),
+            m('span.stat-value', stats.averageRating ? formatScaleValue(stats.averageRating, stats.ratingScale) : 'N/A'),
             m('span.stat-label', 'Average Rating')
           ]),
           m('article.stat-card', [
             m('span.stat-value', stats.favorites),
             m('span.stat-label', 'Favorites')
+          ]),
+          stats.replays > 0 && m('article.stat-card', {
+            title: `${stats.replayedGames} games finished more than once`
+          }, [
+            m('span.stat-value', stats.replays),
+            m('span.stat-label', 'Replays')
           ])
         ])
       ]),
       
+      m('section.stats-goals', [
+        m('h2', `Goals for ${currentYear}`),
+        m(GoalsPanel, { year: currentYear, editable: true }),
+        m(GoalHistory)
+      ]),
+
       m('section.stats-status', [
         m('h2', 'By Status'),
         m('div.status-bars', 
@@ -115,6 +235,20 @@ const StatisticsContent = {
         )
       ]),
       
+      m(StatisticsTrends),
+
+      stats.backlogForecast && stats.backlogForecast.games > 0 && renderBacklogForecast(stats.backlogForecast),
+
+      this.spending && this.spending.currencies.length > 0 && m('section.stats-spending', [
+        m('h2', 'Spending'),
+        this.spending.currencies.length > 1 &&
+          m('p', m('small', 'Totals are kept separate for each currency you have recorded prices in.')),
+        this.spending.currencies.map(renderCurrencySpending),
+        this.spending.unpricedCopies > 0 && m('p', m('small',
+          `${this.spending.unpricedCopies} owned ${this.spending.unpricedCopies === 1 ? 'copy has' : 'copies have'} no price recorded and ${this.spending.unpricedCopies === 1 ? 'is' : 'are'} not included.`
+        ))
+      ]),
+
       sortedPlatforms.length > 0 && m('section.stats-platforms', [
         m('h2', 'By Platform'),
         m('div.platform-list',
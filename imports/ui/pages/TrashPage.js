@@ -0,0 +1,178 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import { STATUS_LABELS } from '../../lib/collections/collectionItems.js';
+import { getCoverUrl } from '../lib/coverUrls.js';
+import { showToast } from '../lib/toast.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TrashContent = {
+  oninit(vnode) {
+    this.items = [];
+    this.retentionDays = null;
+    this.loading = true;
+    this.busyItemId = null;
+    this.emptying = false;
+    this.error = null;
+    this.loadTrash();
+  },
+
+  async loadTrash() {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const result = await Meteor.callAsync('collection.getTrash');
+      this.items = result.items;
+      this.retentionDays = result.retentionDays;
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load trash';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  async restore(item) {
+    this.busyItemId = item._id;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.restoreItem', item._id);
+      this.items = this.items.filter(entry => entry._id !== item._id);
+      showToast(`Restored "${item.game?.title || 'game'}"`);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to restore item');
+    }
+
+    this.busyItemId = null;
+    m.redraw();
+  },
+
+  async deleteForever(item) {
+    const title = item.game?.title || 'this game';
+    if (!confirm(`Permanently delete "${title}"? Its rating, notes, hours and dates cannot be recovered.`)) {
+      return;
+    }
+
+    this.busyItemId = item._id;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.deleteForever', item._id);
+      this.items = this.items.filter(entry => entry._id !== item._id);
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to delete item');
+    }
+
+    this.busyItemId = null;
+    m.redraw();
+  },
+
+  async emptyTrash() {
+    if (!confirm(`Permanently delete all ${this.items.length} items in the trash? This cannot be undone.`)) {
+      return;
+    }
+
+    this.emptying = true;
+    m.redraw();
+
+    try {
+      await Meteor.callAsync('collection.emptyTrash');
+      this.items = [];
+    } catch (err) {
+      alert(err.reason || err.message || 'Failed to empty trash');
+    }
+
+    this.emptying = false;
+    m.redraw();
+  },
+
+  daysLeft(item) {
+    const expiresAt = new Date(item.deletedAt).getTime() + this.retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((expiresAt - Date.now()) / DAY_MS));
+  },
+
+  view(vnode) {
+    const header = m('header.page-header', [
+      m('h1', 'Trash'),
+      m('div.page-header-actions', [
+        this.items.length > 0 && m('button.outline.contrast', {
+          disabled: this.emptying,
+          'aria-busy': this.emptying,
+          onclick: () => this.emptyTrash()
+        }, 'Empty Trash'),
+        m('a.button.outline', { href: '/collection', oncreate: m.route.link }, 'Back to Collection')
+      ])
+    ]);
+
+    if (this.loading) {
+      return m('div.trash-page', [
+        header,
+        m('div.loading-container', [
+          m('div.loading'),
+          m('p', 'Loading trash...')
+        ])
+      ]);
+    }
+
+    if (this.error) {
+      return m('div.trash-page', [
+        header,
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.loadTrash() }, 'Retry')
+      ]);
+    }
+
+    return m('div.trash-page', [
+      header,
+
+      m('p.trash-info', `Removed games stay here for ${this.retentionDays} days before they are deleted permanently.`),
+
+      this.items.length === 0
+        ? m('div.empty-state', [
+            m('h3', 'The trash is empty'),
+            m('p', 'Games you remove from your collection will appear here.')
+          ])
+        : m('ul.trash-list', this.items.map(item => {
+            const busy = this.busyItemId === item._id || this.emptying;
+            const daysLeft = this.daysLeft(item);
+
+            return m('li.trash-item', { key: item._id }, [
+              m('img.trash-cover', {
+                src: getCoverUrl(item.game),
+                alt: '',
+                loading: 'lazy'
+              }),
+              m('div.trash-details', [
+                m('strong', item.game?.title || 'Unknown Game'),
+                m('small', [
+                  STATUS_LABELS[item.status] || item.status,
+                  (item.platforms || []).length > 0 && ` · ${item.platforms.join(', ')}`,
+                  ` · Removed ${new Date(item.deletedAt).toLocaleDateString()}`,
+                  ` · Deleted in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`
+                ])
+              ]),
+              m('div.trash-actions', [
+                m('button.small', {
+                  disabled: busy,
+                  onclick: () => this.restore(item)
+                }, 'Restore'),
+                m('button.outline.contrast.small', {
+                  disabled: busy,
+                  onclick: () => this.deleteForever(item)
+                }, 'Delete Forever')
+              ])
+            ]);
+          }))
+    ]);
+  }
+};
+
+export const TrashPage = {
+  view() {
+    return m(RequireAuth, m(TrashContent));
+  }
+};
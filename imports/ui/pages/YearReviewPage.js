@@ -0,0 +1,200 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { RequireAuth } from '../components/RequireAuth.js';
+import { formatRating } from '../../lib/constants/ratings.js';
+import { downloadFile } from '../lib/download.js';
+import {
+  MONTH_NAMES,
+  YEAR_REVIEW_CHARTS,
+  buildYearReviewHtml,
+  reviewGameTitle,
+  reviewStorefrontName
+} from '../lib/yearReviewExport.js';
+
+function yearPath(year) {
+  return `/statistics/year/${year}`;
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+// Twelve bars scaled to the busiest month
+function renderMonthChart(review, field, title) {
+  const max = Math.max(...review.months.map(month => month[field]));
+
+  return m('div.year-review-chart', { key: field }, [
+    m('h3', title),
+    m('div.year-review-bars', review.months.map(month => {
+      const value = month[field];
+      return m('div.year-review-month', { key: month.month, title: `${MONTH_NAMES[month.month - 1]}: ${value}` }, [
+        m('span.year-review-value', value || ''),
+        m('div.year-review-bar', { style: { height: `${max > 0 ? (value / max) * 100 : 0}%` } }),
+        m('span.year-review-label', MONTH_NAMES[month.month - 1])
+      ]);
+    }))
+  ]);
+}
+
+function renderHighlights(review) {
+  const { topPlatform, topStorefront, longestWait } = review;
+  if (!topPlatform && !topStorefront && !longestWait) {
+    return null;
+  }
+
+  return m('section.year-review-highlights', [
+    m('h2', 'Highlights'),
+    m('div.stats-grid', [
+      topPlatform && m('article.stat-card', [
+        m('span.stat-value', topPlatform.name),
+        m('span.stat-label', topPlatform.hours > 0
+          ? `Most Played Platform (${topPlatform.hours} hours)`
+          : `Most Played Platform (${plural(topPlatform.games, 'game')})`)
+      ]),
+      topStorefront && m('article.stat-card', [
+        m('span.stat-value', reviewStorefrontName(topStorefront)),
+        m('span.stat-label', `Most Played Storefront (${plural(topStorefront.games, 'game')})`)
+      ]),
+      longestWait && m('article.stat-card', {
+        title: `Added ${new Date(longestWait.dateAdded).toLocaleDateString()}, finished ${new Date(longestWait.completedAt).toLocaleDateString()}`
+      }, [
+        m('span.stat-value', reviewGameTitle(longestWait)),
+        m('span.stat-label', `Longest Wait (${plural(longestWait.days, 'day')} in the collection)`)
+      ])
+    ])
+  ]);
+}
+
+// The review for one year, loaded when created; the page keys it on the year
+const YearReview = {
+  oninit(vnode) {
+    this.review = null;
+    this.loading = true;
+    this.error = null;
+    this.load(vnode);
+  },
+
+  async load(vnode) {
+    this.loading = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      this.review = await Meteor.callAsync('statistics.getYearReview', vnode.attrs.year);
+    } catch (err) {
+      this.error = err.reason || err.message || 'Failed to load the year in review';
+    }
+
+    this.loading = false;
+    m.redraw();
+  },
+
+  exportHtml() {
+    downloadFile(buildYearReviewHtml(this.review), `year_in_review_${this.review.year}.html`, 'text/html;charset=utf-8;');
+  },
+
+  view(vnode) {
+    if (this.loading) {
+      return m('div.loading-container', [
+        m('div.loading'),
+        m('p', 'Loading the year in review...')
+      ]);
+    }
+
+    if (this.error) {
+      return m('div', [
+        m('p.error-message', this.error),
+        m('button', { onclick: () => this.load(vnode) }, 'Retry')
+      ]);
+    }
+
+    const review = this.review;
+    const { totals } = review;
+
+    if (totals.added + totals.started + totals.completed + totals.abandoned + totals.sessions === 0) {
+      return m('div.empty-state', [
+        m('h3', `Nothing recorded in ${review.year}`),
+        m('p', 'Games you add, start, finish or log sessions for during the year will show up here.')
+      ]);
+    }
+
+    return m('div.year-review', [
+      m('div.page-header-actions', [
+        m('button.outline', { onclick: () => this.exportHtml() }, 'Export HTML')
+      ]),
+
+      m('section.stats-overview', [
+        m('div.stats-grid', [
+          m('article.stat-card.highlight', [
+            m('span.stat-value', totals.completed),
+            m('span.stat-label', 'Completed')
+          ]),
+          m('article.stat-card', [
+            m('span.stat-value', totals.added),
+            m('span.stat-label', 'Added')
+          ]),
+          m('article.stat-card', [
+            m('span.stat-value', totals.started),
+            m('span.stat-label', 'Started')
+          ]),
+          m('article.stat-card', [
+            m('span.stat-value', totals.abandoned),
+            m('span.stat-label', 'Abandoned')
+          ]),
+          m('article.stat-card', { title: `${plural(totals.sessions, 'play session')} logged` }, [
+            m('span.stat-value', totals.hours),
+            m('span.stat-label', 'Hours Played')
+          ])
+        ])
+      ]),
+
+      m('section.year-review-charts', [
+        m('h2', 'Month by Month'),
+        YEAR_REVIEW_CHARTS.map(chart => renderMonthChart(review, chart.field, chart.title)),
+        totals.sessions === 0 && m('p', m('small', 'Hours come from logged play sessions.'))
+      ]),
+
+      review.topRated.length > 0 && m('section.year-review-top-rated', [
+        m('h2', 'Top Rated Completions'),
+        m('ol', review.topRated.map(entry =>
+          m('li', { key: entry.itemId }, [
+            m('span', reviewGameTitle(entry)),
+            ' ',
+            m('small.year-review-rating', formatRating(entry.rating, review.ratingScale))
+          ])
+        ))
+      ]),
+
+      renderHighlights(review)
+    ]);
+  }
+};
+
+const YearReviewContent = {
+  view() {
+    const currentYear = new Date().getUTCFullYear();
+    const year = parseInt(m.route.param('year'), 10);
+    const isValidYear = Number.isInteger(year) && year <= currentYear;
+
+    return m('div.statistics-page.year-review-page', [
+      m('header.page-header', [
+        m('h1', isValidYear ? `${year} in Review` : 'Year in Review'),
+        m('div.page-header-actions', [
+          isValidYear && m('a.button.outline', { href: yearPath(year - 1), oncreate: m.route.link }, `← ${year - 1}`),
+          isValidYear && year < currentYear &&
+            m('a.button.outline', { href: yearPath(year + 1), oncreate: m.route.link }, `${year + 1} →`),
+          m('a.button.outline', { href: '/statistics', oncreate: m.route.link }, 'All Statistics')
+        ])
+      ]),
+      isValidYear
+        ? [m(YearReview, { key: year, year })]
+        : m('p.error-message', `Pick a year up to ${currentYear}.`)
+    ]);
+  }
+};
+
+export const YearReviewPage = {
+  view() {
+    return m(RequireAuth, m(YearReviewContent));
+  }
+};
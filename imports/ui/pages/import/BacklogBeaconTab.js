@@ -3,6 +3,7 @@ import { Meteor } from 'meteor/meteor';
 import { readFile, clearProgressAfterDelay } from '../../components/import/importHelpers.js';
 import { ImportProgress } from '../../components/import/ImportProgress.js';
 import { ImportResults } from '../../components/import/ImportResults.js';
+import { ImportPlanReview } from '../../components/import/ImportPlanReview.js';
 import { ImportOptionsFieldset } from '../../components/import/ImportOptionsFieldset.js';
 
 export const BacklogBeaconTab = {
@@ -11,6 +12,7 @@ export const BacklogBeaconTab = {
     this.preview = null;
     this.importing = false;
     this.result = null;
+    this.plan = null;
     this.error = null;
     this.options = {
       updateExisting: true
@@ -23,6 +25,7 @@ export const BacklogBeaconTab = {
       this.file = file;
       this.preview = null;
       this.result = null;
+      this.plan = null;
       this.error = null;
       this.previewFile();
     }
@@ -51,11 +54,12 @@ export const BacklogBeaconTab = {
     this.importing = true;
     this.error = null;
     this.result = null;
+    this.plan = null;
     m.redraw();
 
     try {
       const content = await readFile(this.file);
-      this.result = await Meteor.callAsync('import.backlogBeacon', content, this.options);
+      this.plan = await Meteor.callAsync('import.backlogBeacon', content, this.options);
       this.file = null;
       this.preview = null;
       clearProgressAfterDelay('import.clearProgress', 'backlog');
@@ -125,6 +129,18 @@ export const BacklogBeaconTab = {
         this.error
       ]),
 
+      this.plan && m(ImportPlanReview, {
+        plan: this.plan,
+        onCommitted: (result) => {
+          this.plan = null;
+          this.result = result;
+          clearProgressAfterDelay('import.clearProgress', 'backlog');
+        },
+        onDiscarded: () => {
+          this.plan = null;
+        }
+      }),
+
       m(ImportResults, { result: this.result }),
 
       m('button', {
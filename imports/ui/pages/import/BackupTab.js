@@ -0,0 +1,189 @@
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { readFile } from '../../components/import/importHelpers.js';
+import { downloadFile } from '../../lib/download.js';
+
+const RESTORE_MODE_LABELS = {
+  merge: 'Merge: add games and settings you do not have yet, keep everything you have',
+  replace: 'Replace everything: remove your current collection and restore the backup exactly'
+};
+
+// Rows of the restore summary, in display order
+const REPORT_ROWS = [
+  ['items', 'Games in collection'],
+  ['customGames', 'Custom games'],
+  ['covers', 'Custom covers'],
+  ['tags', 'Tags'],
+  ['savedViews', 'Saved views'],
+  ['goals', 'Goals'],
+  ['history', 'History entries']
+];
+
+function renderTitleList(titles, summary, open = false) {
+  if (titles.length === 0) {
+    return null;
+  }
+
+  return m('details', { open }, [
+    m('summary', summary),
+    m('ul', titles.map((title, index) => m('li', { key: index }, title)))
+  ]);
+}
+
+function renderReport(report) {
+  const isReplace = report.mode === 'replace';
+
+  return m('div.import-results.backup-report', [
+    m('div.import-results-summary', { class: report.warnings.length > 0 ? 'has-errors' : '' }, [
+      m('strong', 'Restore Complete!'),
+      m('p', `${report.added.items} games restored${report.skipped.items > 0 ? `, ${report.skipped.items} already in your collection` : ''}.`)
+    ]),
+
+    m('table', [
+      m('thead', m('tr', [
+        m('th', ''),
+        isReplace && m('th', 'Removed'),
+        m('th', 'Added'),
+        !isReplace && m('th', 'Skipped')
+      ])),
+      m('tbody', REPORT_ROWS.map(([key, label]) => m('tr', { key }, [
+        m('td', label),
+        isReplace && m('td', report.removed[key]),
+        m('td', report.added[key]),
+        !isReplace && m('td', report.skipped[key] ?? '-')
+      ])))
+    ]),
+
+    report.preferencesRestored && m('p', m('small', 'Your preferences were restored from the backup.')),
+
+    renderTitleList(report.addedTitles, `${report.addedTitles.length} games added`),
+    renderTitleList(report.skippedTitles, `${report.skippedTitles.length} games skipped (already in your collection)`),
+    renderTitleList(report.unmatchedTitles,
+      `${report.unmatchedTitles.length} games not found on this server, restored with the details saved in the backup`, true),
+
+    report.warnings.length > 0 && m('div.import-errors', [
+      m('h4', 'Warnings'),
+      m('ul', report.warnings.map((warning, index) => m('li', { key: index }, warning)))
+    ])
+  ]);
+}
+
+export const BackupTab = {
+  oninit() {
+    this.exporting = false;
+    this.file = null;
+    this.mode = 'merge';
+    this.restoring = false;
+    this.report = null;
+    this.error = null;
+  },
+
+  async downloadBackup() {
+    this.exporting = true;
+    this.error = null;
+    m.redraw();
+
+    try {
+      const content = await Meteor.callAsync('export.backup');
+      const date = new Date().toISOString().split('T')[0];
+      downloadFile(content, `backlog_beacon_backup_${date}.json`, 'application/json;charset=utf-8;');
+    } catch (error) {
+      this.error = error.reason || error.message || 'Backup failed';
+    }
+
+    this.exporting = false;
+    m.redraw();
+  },
+
+  async restore() {
+    if (!this.file) {
+      return;
+    }
+
+    if (this.mode === 'replace' &&
+      !confirm('Replace everything? Your current collection, custom games, tags, saved views, goals and history will be removed and replaced by the backup.')) {
+      return;
+    }
+
+    this.restoring = true;
+    this.error = null;
+    this.report = null;
+    m.redraw();
+
+    try {
+      const content = await readFile(this.file);
+      this.report = await Meteor.callAsync('import.restoreBackup', content, { mode: this.mode });
+      this.file = null;
+    } catch (error) {
+      this.error = error.reason || error.message || 'Restore failed';
+    }
+
+    this.restoring = false;
+    m.redraw();
+  },
+
+  view() {
+    const busy = this.exporting || this.restoring;
+
+    return m('div.backup-section', [
+      m('header', [
+        m('h2', 'Backup & Restore'),
+        m('p', 'A backup holds everything in your account: every game with its copies, sessions, playthroughs and notes, custom games and their covers, tags, saved views, goals, history and preferences.')
+      ]),
+
+      m('button', {
+        disabled: busy,
+        'aria-busy': this.exporting ? 'true' : 'false',
+        onclick: () => this.downloadBackup()
+      }, this.exporting ? 'Preparing backup...' : 'Download Backup'),
+
+      m('h3', 'Restore a Backup'),
+
+      m('div.form-group', [
+        m('label', { for: 'backup-file' }, 'Select Backup File'),
+        m('input', {
+          type: 'file',
+          id: 'backup-file',
+          accept: '.json,application/json',
+          disabled: busy,
+          onchange: (event) => {
+            this.file = event.target.files[0] || null;
+            this.report = null;
+            this.error = null;
+          }
+        })
+      ]),
+
+      m('fieldset', [
+        m('legend', 'Restore Mode'),
+        Object.entries(RESTORE_MODE_LABELS).map(([mode, label]) =>
+          m('label', { key: mode }, [
+            m('input', {
+              type: 'radio',
+              name: 'restore-mode',
+              value: mode,
+              checked: this.mode === mode,
+              disabled: busy,
+              onchange: () => { this.mode = mode; }
+            }),
+            ` ${label}`
+          ])
+        )
+      ]),
+
+      this.error && m('div.error-message', { role: 'alert' }, [
+        m('strong', 'Error: '),
+        this.error
+      ]),
+
+      this.report && renderReport(this.report),
+
+      m('button', {
+        class: this.mode === 'replace' ? 'contrast' : '',
+        disabled: !this.file || busy,
+        'aria-busy': this.restoring ? 'true' : 'false',
+        onclick: () => this.restore()
+      }, this.restoring ? 'Restoring...' : 'Restore')
+    ]);
+  }
+};
@@ -31,7 +31,7 @@ export const ExportTab = {
     return m('div.export-section', [
       m('header', [
         m('h2', 'Export Collection'),
-        m('p', 'Download your entire game collection as a CSV file. You can use this to backup your data or import it later.')
+        m('p', 'Download your entire game collection as a CSV file to use in a spreadsheet or import it later. For a complete copy of your account, including custom games, covers, sessions and settings, use Backup & Restore.')
       ]),
 
       progress && progress.status === 'processing' && m('div.import-progress', [
@@ -5,7 +5,8 @@ const TAB_LABELS = {
   backlog_beacon: 'Backlog Beacon CSV',
   simple: 'Simple Import',
   storefront: 'Storefront',
-  export: 'Export'
+  export: 'Export',
+  backup: 'Backup & Restore'
 };
 
 export const TABS = {
@@ -13,7 +14,8 @@ export const TABS = {
   BACKLOG_BEACON: 'backlog_beacon',
   SIMPLE: 'simple',
   STOREFRONT: 'storefront',
-  EXPORT: 'export'
+  EXPORT: 'export',
+  BACKUP: 'backup'
 };
 
 export const ImportTabs = {
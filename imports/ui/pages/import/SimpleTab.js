@@ -4,6 +4,7 @@ import { getStorefronts } from '../../../lib/constants/storefronts.js';
 import { clearProgressAfterDelay } from '../../components/import/importHelpers.js';
 import { ImportProgress } from '../../components/import/ImportProgress.js';
 import { ImportResults } from '../../components/import/ImportResults.js';
+import { ImportPlanReview } from '../../components/import/ImportPlanReview.js';
 import { ImportOptionsFieldset } from '../../components/import/ImportOptionsFieldset.js';
 
 export const SimpleTab = {
@@ -11,6 +12,7 @@ export const SimpleTab = {
     this.games = [{ name: '', storefront: '', platform: '' }];
     this.importing = false;
     this.result = null;
+    this.plan = null;
     this.error = null;
     this.bulkText = '';
     this.inputMode = 'form';
@@ -80,10 +82,11 @@ export const SimpleTab = {
     this.importing = true;
     this.error = null;
     this.result = null;
+    this.plan = null;
     m.redraw();
 
     try {
-      this.result = await Meteor.callAsync('import.simple', games, this.options);
+      this.plan = await Meteor.callAsync('import.simple', games, this.options);
       this.games = [{ name: '', storefront: '', platform: '' }];
       this.bulkText = '';
       clearProgressAfterDelay('import.clearProgress', 'simple');
@@ -218,6 +221,18 @@ export const SimpleTab = {
         this.error
       ]),
 
+      this.plan && m(ImportPlanReview, {
+        plan: this.plan,
+        onCommitted: (result) => {
+          this.plan = null;
+          this.result = result;
+          clearProgressAfterDelay('import.clearProgress', 'simple');
+        },
+        onDiscarded: () => {
+          this.plan = null;
+        }
+      }),
+
       m(ImportResults, { result: this.result }),
 
       m('button', {
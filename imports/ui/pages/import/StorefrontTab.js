@@ -1,7 +1,8 @@
 import m from 'mithril';
-import { formatDate } from '../../components/import/importHelpers.js';
+import { formatDate, clearProgressAfterDelay } from '../../components/import/importHelpers.js';
 import { ImportProgress } from '../../components/import/ImportProgress.js';
 import { ImportResults } from '../../components/import/ImportResults.js';
+import { ImportPlanReview } from '../../components/import/ImportPlanReview.js';
 import { SteamForm } from './storefronts/SteamForm.js';
 import { GogForm } from './storefronts/GogForm.js';
 import { EpicForm } from './storefronts/EpicForm.js';
@@ -36,6 +37,7 @@ export const StorefrontTab = {
     this.importing = false;
     this.previewing = false;
     this.preview = null;
+    this.plan = null;
     this.result = null;
     this.error = null;
     this.options = {
@@ -48,6 +50,7 @@ export const StorefrontTab = {
   selectStorefront(type) {
     this.storefrontType = type;
     this.preview = null;
+    this.plan = null;
     this.result = null;
     this.error = null;
   },
@@ -67,7 +70,7 @@ export const StorefrontTab = {
         m('select', {
           id: 'storefront-select',
           value: this.storefrontType || '',
-          disabled: this.importing || this.previewing,
+          disabled: this.importing || this.previewing || !!this.plan,
           onchange: (event) => this.selectStorefront(event.target.value || null)
         }, [
           m('option', { value: '' }, '-- Select a storefront --'),
@@ -118,6 +121,18 @@ export const StorefrontTab = {
         ])
       ]),
 
+      this.plan && m(ImportPlanReview, {
+        plan: this.plan,
+        onCommitted: (result) => {
+          this.plan = null;
+          this.result = result;
+          clearProgressAfterDelay('import.clearStorefrontProgress');
+        },
+        onDiscarded: () => {
+          this.plan = null;
+        }
+      }),
+
       m(ImportResults, { result: this.result })
     ]);
   }
@@ -92,6 +92,7 @@ export const AmazonForm = {
     }
     this.loginWindow = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -106,10 +107,11 @@ export const AmazonForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.amazon', this.authCode, this.codeVerifier, this.deviceSerial, {
+      storefront.plan = await Meteor.callAsync('import.amazon', this.authCode, this.codeVerifier, this.deviceSerial, {
         updateExisting: storefront.options.updateExisting
       });
       this.authCode = null;
@@ -199,7 +201,7 @@ export const AmazonForm = {
         disabled: storefront.importing
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasAuthCode || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Amazon')
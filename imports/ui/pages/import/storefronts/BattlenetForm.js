@@ -15,6 +15,7 @@ export const BattlenetForm = {
     this.gamesJson = null;
     this.classicGamesJson = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -29,10 +30,11 @@ export const BattlenetForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.battlenet', this.gamesJson, this.classicGamesJson || null, {
+      storefront.plan = await Meteor.callAsync('import.battlenet', this.gamesJson, this.classicGamesJson || null, {
         updateExisting: storefront.options.updateExisting
       });
       this.gamesJson = null;
@@ -127,7 +129,7 @@ export const BattlenetForm = {
         showPlaytime: false
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasData || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Battle.net')
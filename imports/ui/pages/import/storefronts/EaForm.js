@@ -13,6 +13,7 @@ export const EaForm = {
   clearAuth(storefront) {
     this.bearerToken = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -27,10 +28,11 @@ export const EaForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.ea', this.bearerToken, {
+      storefront.plan = await Meteor.callAsync('import.ea', this.bearerToken, {
         updateExisting: storefront.options.updateExisting,
         importPlaytime: storefront.options.importPlaytime
       });
@@ -102,7 +104,7 @@ export const EaForm = {
         showPlaytime: true
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasBearerToken || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from EA App')
@@ -13,6 +13,7 @@ export const EpicForm = {
   clearAuth(storefront) {
     this.authCode = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -27,10 +28,11 @@ export const EpicForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.epic', this.authCode, {
+      storefront.plan = await Meteor.callAsync('import.epic', this.authCode, {
         updateExisting: storefront.options.updateExisting,
         importPlaytime: storefront.options.importPlaytime
       });
@@ -92,7 +94,7 @@ export const EpicForm = {
         showPlaytime: true
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasAuthCode || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Epic')
@@ -26,6 +26,7 @@ export const GogForm = {
     this.method = method;
     storefront.preview = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
   },
 
@@ -68,6 +69,7 @@ export const GogForm = {
     this.sessionCookie = null;
     storefront.preview = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -81,6 +83,7 @@ export const GogForm = {
     storefront.error = null;
     storefront.preview = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
@@ -104,6 +107,7 @@ export const GogForm = {
     storefront.error = null;
     storefront.preview = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
@@ -124,10 +128,11 @@ export const GogForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.storefront', 'gog', this.username, storefront.options);
+      storefront.plan = await Meteor.callAsync('import.storefront', 'gog', this.username, storefront.options);
       this.username = '';
       storefront.preview = null;
       clearProgressAfterDelay('import.clearStorefrontProgress');
@@ -149,10 +154,11 @@ export const GogForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.gogAuth', this.sessionCookie, {
+      storefront.plan = await Meteor.callAsync('import.gogAuth', this.sessionCookie, {
         updateExisting: storefront.options.updateExisting
       });
       this.sessionCookie = null;
@@ -285,12 +291,12 @@ export const GogForm = {
         showLastPlayed: isPublicMethod
       }),
 
-      !storefront.preview && !storefront.result && m('button', {
+      !storefront.preview && !storefront.result && !storefront.plan && m('button', {
         disabled: !canPreview || storefront.previewing || storefront.importing,
         onclick: () => isPublicMethod ? this.previewPublic(storefront) : this.previewAuth(storefront)
       }, storefront.previewing ? 'Loading...' : 'Preview Library'),
 
-      storefront.preview && !storefront.importing && !storefront.result && m('div.import-actions', { style: 'margin-top: 1rem;' }, [
+      storefront.preview && !storefront.importing && !storefront.result && !storefront.plan && m('div.import-actions', { style: 'margin-top: 1rem;' }, [
         m('button', {
           disabled: storefront.importing || !canImport,
           onclick: () => isPublicMethod ? this.importPublic(storefront) : this.importAuth(storefront)
@@ -20,10 +20,11 @@ export const LegacyGamesForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.legacygames', this.email, this.password, {
+      storefront.plan = await Meteor.callAsync('import.legacygames', this.email, this.password, {
         updateExisting: storefront.options.updateExisting
       });
       this.email = '';
@@ -78,7 +79,7 @@ export const LegacyGamesForm = {
         disabled: storefront.importing
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasCredentials || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Legacy Games')
@@ -14,6 +14,7 @@ export const OculusForm = {
   clearAuth(storefront) {
     this.accessToken = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -28,10 +29,11 @@ export const OculusForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.oculus', this.accessToken, this.platform, {
+      storefront.plan = await Meteor.callAsync('import.oculus', this.accessToken, this.platform, {
         updateExisting: storefront.options.updateExisting
       });
       this.accessToken = null;
@@ -134,7 +136,7 @@ export const OculusForm = {
         disabled: storefront.importing
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasAccessToken || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Oculus')
@@ -13,6 +13,7 @@ export const PsnForm = {
   clearAuth(storefront) {
     this.npssoToken = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -27,10 +28,11 @@ export const PsnForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.psn', this.npssoToken, {
+      storefront.plan = await Meteor.callAsync('import.psn', this.npssoToken, {
         updateExisting: storefront.options.updateExisting,
         importPlaytime: storefront.options.importPlaytime
       });
@@ -108,7 +110,7 @@ export const PsnForm = {
         showPlaytime: true
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasToken || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from PlayStation')
@@ -20,10 +20,11 @@ export const RetroAchievementsForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.retroachievements', this.username, this.apiKey, {
+      storefront.plan = await Meteor.callAsync('import.retroachievements', this.username, this.apiKey, {
         updateExisting: storefront.options.updateExisting
       });
       this.username = '';
@@ -81,7 +82,7 @@ export const RetroAchievementsForm = {
         disabled: storefront.importing
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasCredentials || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from RetroAchievements')
@@ -17,6 +17,7 @@ export const SteamForm = {
     storefront.error = null;
     storefront.preview = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
@@ -37,10 +38,11 @@ export const SteamForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.storefront', 'steam', this.username, storefront.options);
+      storefront.plan = await Meteor.callAsync('import.storefront', 'steam', this.username, storefront.options);
       this.username = '';
       storefront.preview = null;
       clearProgressAfterDelay('import.clearStorefrontProgress');
@@ -87,12 +89,12 @@ export const SteamForm = {
         showLastPlayed: true
       }),
 
-      !storefront.preview && !storefront.result && m('button', {
+      !storefront.preview && !storefront.result && !storefront.plan && m('button', {
         disabled: !hasUsername || storefront.previewing || storefront.importing,
         onclick: () => this.preview(storefront)
       }, storefront.previewing ? 'Loading...' : 'Preview Library'),
 
-      storefront.preview && !storefront.importing && !storefront.result && m('div.import-actions', { style: 'margin-top: 1rem;' }, [
+      storefront.preview && !storefront.importing && !storefront.result && !storefront.plan && m('div.import-actions', { style: 'margin-top: 1rem;' }, [
         m('button', {
           disabled: storefront.importing || storefront.preview.total === 0,
           onclick: () => this.importLibrary(storefront)
@@ -20,6 +20,7 @@ export const UbisoftForm = {
     this.twoFactorCode = '';
     this.needs2FA = false;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -34,10 +35,11 @@ export const UbisoftForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.ubisoft', this.email, this.password, {
+      storefront.plan = await Meteor.callAsync('import.ubisoft', this.email, this.password, {
         updateExisting: storefront.options.updateExisting
       });
       this.email = '';
@@ -67,10 +69,11 @@ export const UbisoftForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.ubisoft2fa', this.twoFactorTicket, this.twoFactorCode, {
+      storefront.plan = await Meteor.callAsync('import.ubisoft2fa', this.twoFactorTicket, this.twoFactorCode, {
         updateExisting: storefront.options.updateExisting
       });
       this.email = '';
@@ -147,12 +150,12 @@ export const UbisoftForm = {
         disabled: storefront.importing
       }),
 
-      !storefront.result && !this.needs2FA && m('button', {
+      !storefront.result && !storefront.plan && !this.needs2FA && m('button', {
         disabled: !hasCredentials || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Authenticating...' : 'Import from Ubisoft Connect'),
 
-      !storefront.result && this.needs2FA && m('div.ubisoft-2fa-actions', [
+      !storefront.result && !storefront.plan && this.needs2FA && m('div.ubisoft-2fa-actions', [
         m('button', {
           disabled: !hasCode || storefront.importing,
           onclick: () => this.import2FA(storefront)
@@ -28,6 +28,7 @@ export const XboxForm = {
   clearAuth(storefront) {
     this.authCode = null;
     storefront.result = null;
+    storefront.plan = null;
     storefront.error = null;
     m.redraw();
   },
@@ -42,10 +43,11 @@ export const XboxForm = {
     storefront.importing = true;
     storefront.error = null;
     storefront.result = null;
+    storefront.plan = null;
     m.redraw();
 
     try {
-      storefront.result = await Meteor.callAsync('import.xbox', this.authCode, {
+      storefront.plan = await Meteor.callAsync('import.xbox', this.authCode, {
         updateExisting: storefront.options.updateExisting,
         importPlaytime: storefront.options.importPlaytime
       });
@@ -122,7 +124,7 @@ export const XboxForm = {
         showPlaytime: true
       }),
 
-      !storefront.result && m('button', {
+      !storefront.result && !storefront.plan && m('button', {
         disabled: !hasAuthCode || storefront.importing,
         onclick: () => this.importLibrary(storefront)
       }, storefront.importing ? 'Importing...' : 'Import from Xbox')
@@ -1,4 +1,4 @@
-import { PutObjectCommand, DeleteObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { PutObjectCommand, DeleteObjectCommand, HeadObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
 import { getS3Client, getStorageConfig } from './storageClient.js';
 
@@ -62,6 +62,23 @@ export async function deleteFromB2(key) {
   }));
 }
 
+// Download file from B2 into a buffer
+export async function downloadFromB2(key) {
+  const s3 = getS3Client();
+  const config = getStorageConfig();
+
+  if (!s3 || !config.b2) {
+    throw new Error('B2 storage not configured');
+  }
+
+  const response = await s3.send(new GetObjectCommand({
+    Bucket: config.b2.bucketName,
+    Key: key
+  }));
+
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
 // Check if file exists in B2
 export async function checkB2FileExists(key) {
   const s3 = getS3Client();
@@ -0,0 +1,106 @@
+import { Meteor } from 'meteor/meteor';
+import sharp from 'sharp';
+import fs from 'fs';
+import { isUsingB2 } from './storageClient.js';
+import { uploadToB2, deleteFromB2, downloadFromB2, extractKeyFromB2Url } from './b2Storage.js';
+import { GameCovers } from './coversCollection.js';
+
+export const MAX_COVER_SIZE = 2 * 1024 * 1024; // 2MB
+
+// Process an uploaded cover image: resize to 264x352 and convert to WebP
+export async function processCustomCover(base64Data, gameId) {
+  // Extract actual base64 data if data URL format
+  let imageData = base64Data;
+  if (base64Data.startsWith('data:')) {
+    const matches = base64Data.match(/^data:image\/\w+;base64,(.+)$/);
+    if (!matches) {
+      throw new Meteor.Error('invalid-image', 'Invalid image data format');
+    }
+    imageData = matches[1];
+  }
+
+  const buffer = Buffer.from(imageData, 'base64');
+
+  if (buffer.length > MAX_COVER_SIZE) {
+    throw new Meteor.Error('image-too-large', `Image must be less than ${MAX_COVER_SIZE / 1024 / 1024}MB`);
+  }
+
+  // Validate image format and resize using sharp
+  const processedBuffer = await sharp(buffer)
+    .resize(264, 352, {
+      fit: 'cover',
+      position: 'center'
+    })
+    .webp({
+      quality: 80,
+      effort: 4
+    })
+    .toBuffer();
+
+  const fileName = `custom_${gameId}.webp`;
+
+  if (isUsingB2()) {
+    // Upload to B2
+    const key = `covers/custom/${gameId.slice(0, 2)}/${fileName}`;
+    const coverUrl = await uploadToB2(processedBuffer, key, 'image/webp');
+    return { localCoverUrl: coverUrl, localCoverId: null };
+  } else {
+    // Store locally
+    const fileObj = await GameCovers.writeAsync(processedBuffer, {
+      fileName: fileName,
+      type: 'image/webp',
+      meta: {
+        gameId: gameId,
+        isCustom: true,
+        uploadedAt: new Date()
+      }
+    });
+
+    return {
+      localCoverId: fileObj._id,
+      localCoverUrl: GameCovers.link(fileObj)
+    };
+  }
+}
+
+// Delete cover file (B2 or local)
+export async function deleteCustomCover(game) {
+  if (!game.localCoverUrl && !game.localCoverId) {
+    return;
+  }
+
+  if (isUsingB2() && game.localCoverUrl) {
+    const key = extractKeyFromB2Url(game.localCoverUrl);
+    if (key) {
+      try {
+        await deleteFromB2(key);
+      } catch (error) {
+        console.error('Error deleting cover from B2:', error);
+      }
+    }
+  } else if (game.localCoverId) {
+    try {
+      const coverDoc = await GameCovers.findOneAsync(game.localCoverId);
+      if (coverDoc) {
+        await GameCovers.removeAsync(game.localCoverId);
+      }
+    } catch (error) {
+      console.error('Error deleting local cover:', error);
+    }
+  }
+}
+
+// Read a custom game's cover image (B2 or local), or null when it has none
+export async function readCustomCover(game) {
+  if (game.localCoverUrl && isUsingB2()) {
+    const key = extractKeyFromB2Url(game.localCoverUrl);
+    return key ? downloadFromB2(key) : null;
+  }
+
+  if (game.localCoverId) {
+    const coverDoc = await GameCovers.findOneAsync(game.localCoverId);
+    return coverDoc ? fs.promises.readFile(coverDoc.path) : null;
+  }
+
+  return null;
+}
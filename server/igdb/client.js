@@ -1,5 +1,6 @@
 import { Meteor } from 'meteor/meteor';
 import { waitForRateLimit } from '../lib/distributedRateLimit.js';
+import { MAX_MATCH_CANDIDATES } from '../../imports/lib/constants/matchReview.js';
 
 // Strip trademark/legal symbols from search queries
 // These symbols often appear in imported game titles but don't exist in IGDB
@@ -19,6 +20,11 @@ const RATE_LIMIT_REQUESTS = 4;
 const RATE_LIMIT_WINDOW_MS = 1000;
 const MAX_BATCH_SIZE = 500;
 
+// Editions, DLC, expansions, franchises and series, requested with every game that may be
+// cached (see transformIgdbGame)
+const RELATION_FIELDS = 'version_parent.name, version_title, parent_game.name, dlcs.name, expansions.name, ' +
+  'franchises.name, collections.name';
+
 let accessToken = null;
 let tokenExpiresAt = null;
 
@@ -98,7 +104,7 @@ export async function searchGames(query, limit = 20, offset = 0) {
     fields name, slug, summary, cover.image_id, platforms.name, genres.name,
            first_release_date, involved_companies.company.name, involved_companies.developer,
            involved_companies.publisher, rating, rating_count, aggregated_rating,
-           aggregated_rating_count, updated_at, checksum;
+           aggregated_rating_count, updated_at, checksum, ${RELATION_FIELDS};
     limit ${Math.min(limit, 50)};
     offset ${offset};
   `;
@@ -117,7 +123,7 @@ export async function getGameById(igdbId) {
            involved_companies.company.id, involved_companies.company.name, 
            involved_companies.developer, involved_companies.publisher,
            rating, rating_count, aggregated_rating, aggregated_rating_count,
-           updated_at, checksum;
+           updated_at, checksum, ${RELATION_FIELDS};
     where id = ${igdbId};
   `;
   
@@ -147,7 +153,7 @@ export async function getGamesByIds(igdbIds) {
              involved_companies.company.id, involved_companies.company.name, 
              involved_companies.developer, involved_companies.publisher,
              rating, rating_count, aggregated_rating, aggregated_rating_count,
-             updated_at, checksum;
+             updated_at, checksum, ${RELATION_FIELDS};
       where id = (${idsString});
       limit ${MAX_BATCH_SIZE};
     `;
@@ -159,6 +165,47 @@ export async function getGamesByIds(igdbIds) {
   return allResults;
 }
 
+// Time-to-beat records (hastily, normally, completely, in seconds) for games by IGDB ID
+export async function getTimeToBeats(igdbIds) {
+  if (!igdbIds || igdbIds.length === 0) {
+    return [];
+  }
+
+  const allResults = [];
+
+  for (let i = 0; i < igdbIds.length; i += MAX_BATCH_SIZE) {
+    const batchIds = igdbIds.slice(i, i + MAX_BATCH_SIZE);
+
+    const body = `
+      fields game_id, hastily, normally, completely;
+      where game_id = (${batchIds.join(',')});
+      limit ${MAX_BATCH_SIZE};
+    `;
+
+    const results = await makeRequest('game_time_to_beats', body);
+    allResults.push(...results);
+  }
+
+  return allResults;
+}
+
+// IGDB game categories listed as entries of a series: main games, remakes and remasters
+const SERIES_ENTRY_CATEGORIES = '0, 8, 9';
+
+// IDs of the games in an IGDB franchise or collection (series), editions and DLC excluded
+export async function getSeriesGameIds(kind, igdbId) {
+  const field = kind === 'franchise' ? 'franchises' : 'collections';
+
+  const body = `
+    fields id;
+    where ${field} = (${igdbId}) & version_parent = null & category = (${SERIES_ENTRY_CATEGORIES});
+    limit ${MAX_BATCH_SIZE};
+  `;
+
+  const results = await makeRequest('games', body);
+  return results.map(game => game.id);
+}
+
 // Levenshtein distance for fuzzy string matching
 export function levenshteinDistance(str1, str2) {
   const m = str1.length;
@@ -330,10 +377,32 @@ export function getSearchPatterns(name) {
   return patterns;
 }
 
+// Runner-up shown in the match review queue
+function summarizeCandidate({ game, score }) {
+  return {
+    igdbId: game.id,
+    title: game.name,
+    releaseYear: game.first_release_date
+      ? new Date(game.first_release_date * 1000).getUTCFullYear()
+      : null,
+    coverImageId: game.cover?.image_id || null,
+    score: Math.round(score)
+  };
+}
+
 // Search for game by name with fuzzy matching (for imports)
 export async function findGameByName(name, platform = null) {
+  const { game } = await findGameMatches(name, platform);
+  return game;
+}
+
+// Like findGameByName, but also reports the match score and the best other candidates.
+// game and score are null when nothing scores 50 or more.
+export async function findGameMatches(name, platform = null, maxCandidates = MAX_MATCH_CANDIDATES) {
+  const noMatch = { game: null, score: null, candidates: [] };
+
   if (!name || name.trim().length === 0) {
-    return null;
+    return noMatch;
   }
 
   const originalName = sanitizeSearchQuery(name.trim());
@@ -349,7 +418,7 @@ export async function findGameByName(name, platform = null) {
     const sortedBody = `
       fields name, slug, summary, cover.image_id, platforms.name, genres.name,
              first_release_date, involved_companies.company.name, involved_companies.developer,
-             involved_companies.publisher, rating, rating_count, updated_at, checksum;
+             involved_companies.publisher, rating, rating_count, updated_at, checksum, ${RELATION_FIELDS};
       where name ~ *"${searchPatterns[0].value}"*;
       sort name asc;
       limit 25;
@@ -375,7 +444,7 @@ export async function findGameByName(name, platform = null) {
           search "${pattern.value}";
           fields name, slug, summary, cover.image_id, platforms.name, genres.name,
                  first_release_date, involved_companies.company.name, involved_companies.developer,
-                 involved_companies.publisher, rating, rating_count, updated_at, checksum;
+                 involved_companies.publisher, rating, rating_count, updated_at, checksum, ${RELATION_FIELDS};
           limit 25;
         `;
         const results = await makeRequest('games', body);
@@ -395,7 +464,7 @@ export async function findGameByName(name, platform = null) {
   }
 
   if (allResults.length === 0) {
-    return null;
+    return noMatch;
   }
 
   // Deduplicate by IGDB ID
@@ -426,6 +495,15 @@ export async function findGameByName(name, platform = null) {
   // });
   // console.log(`  → Selected: "${bestMatch.game.name}"\n`);
 
+  const withCandidates = (chosen) => ({
+    game: chosen?.game || null,
+    score: chosen ? chosen.score : null,
+    candidates: scoredResults
+      .filter(result => result !== chosen)
+      .slice(0, maxCandidates)
+      .map(summarizeCandidate)
+  });
+
   // Accept if score is good enough (> 50%)
   if (bestMatch.score >= 50) {
     // Platform matching: only consider if best match score is < 95
@@ -444,15 +522,15 @@ export async function findGameByName(name, platform = null) {
         );
         if (platformMatch) {
           // console.log(`  → Platform override: "${platformMatch.game.name}" has platform "${platform}"`);
-          return platformMatch.game;
+          return withCandidates(platformMatch);
         }
       }
     }
 
-    return bestMatch.game;
+    return withCandidates(bestMatch);
   }
 
-  return null;
+  return withCandidates(null);
 }
 
 // Get cover image URL from IGDB
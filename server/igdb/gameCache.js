@@ -1,12 +1,16 @@
 import { Meteor } from 'meteor/meteor';
+import { EJSON } from 'meteor/ejson';
 import fs from 'fs';
 import { Games } from '../../imports/lib/collections/games.js';
 import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { getGameById, getGamesByIds, getCoverUrl, findGameByName, sanitizeSearchQuery } from './client.js';
+import { getGameById, getGamesByIds, getTimeToBeats, getCoverUrl, findGameMatches, sanitizeSearchQuery } from './client.js';
 import { queueCoverDownload, CoverQueue, QueueStatus } from '../covers/coverQueue.js';
 import { GameCovers } from '../covers/coversCollection.js';
 import { isUsingB2, isB2Url, isLocalUrl } from '../covers/storageClient.js';
 import { checkB2FileExists, extractKeyFromB2Url } from '../covers/b2Storage.js';
+import { transformGameRelations } from '../lib/gameRelations.js';
+import { transformTimeToBeat } from '../lib/timeToBeat.js';
+import { estimateHoursToBeat } from '../../imports/lib/constants/timeToBeat.js';
 
 // Transform IGDB game data to our schema
 function transformIgdbGame(igdbGame) {
@@ -42,10 +46,30 @@ function transformIgdbGame(igdbGame) {
     aggregatedRatingCount: igdbGame.aggregated_rating_count || 0,
     igdbUpdatedAt: igdbGame.updated_at || null,
     igdbChecksum: igdbGame.checksum || null,
+    ...transformGameRelations(igdbGame),
+    // Left out when the time-to-beat lookup failed, so a refresh keeps the stored figures
+    ...(igdbGame.time_to_beat !== undefined && { timeToBeat: transformTimeToBeat(igdbGame.time_to_beat) }),
     updatedAt: new Date()
   };
 }
 
+// Add IGDB's time-to-beat records to games before they are transformed, as time_to_beat.
+// Time to beat comes from a separate endpoint; games are still cached when it fails.
+async function withTimeToBeat(igdbGames) {
+  if (igdbGames.length === 0) {
+    return igdbGames;
+  }
+
+  try {
+    const records = await getTimeToBeats(igdbGames.map(igdbGame => igdbGame.id));
+    const byGameId = new Map(records.map(record => [record.game_id, record]));
+    return igdbGames.map(igdbGame => ({ ...igdbGame, time_to_beat: byGameId.get(igdbGame.id) || null }));
+  } catch (error) {
+    console.warn('Time-to-beat lookup failed:', error.message);
+    return igdbGames;
+  }
+}
+
 // Helper to escape regex special characters
 function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -73,6 +97,22 @@ async function propagateGameUpdates(gameId, gameData) {
   if (gameData.slug !== undefined) {
     updates['game.slug'] = gameData.slug;
   }
+  if (gameData.rating !== undefined) {
+    updates['game.rating'] = gameData.rating;
+  }
+  if (gameData.versionParent !== undefined) {
+    updates['game.editionOf'] = gameData.versionParent?.igdbId || null;
+  }
+  if (gameData.franchises !== undefined) {
+    updates['game.franchises'] = gameData.franchises;
+  }
+  if (gameData.series !== undefined) {
+    updates['game.series'] = gameData.series;
+  }
+  if (gameData.timeToBeat !== undefined) {
+    updates['game.timeToBeat'] = gameData.timeToBeat;
+    updates['game.hoursToBeat'] = estimateHoursToBeat(gameData.timeToBeat);
+  }
   // Note: localCoverUrl is propagated separately by coverProcessor when cover is downloaded
 
   if (Object.keys(updates).length > 0) {
@@ -130,13 +170,14 @@ export async function getOrFetchGame(igdbId) {
   }
   
   // Fetch from IGDB
-  const igdbGame = await getGameById(igdbId);
+  const fetchedGame = await getGameById(igdbId);
   
-  if (!igdbGame) {
+  if (!fetchedGame) {
     return null;
   }
   
   // Transform and save
+  const [igdbGame] = await withTimeToBeat([fetchedGame]);
   const gameData = transformIgdbGame(igdbGame);
   gameData.createdAt = new Date();
   
@@ -180,7 +221,7 @@ export async function getOrFetchGames(igdbIds) {
   }
   
   // Fetch missing games from IGDB
-  const igdbGames = await getGamesByIds(missingIds);
+  const igdbGames = await withTimeToBeat(await getGamesByIds(missingIds));
   
   // Transform and save
   const now = new Date();
@@ -217,8 +258,15 @@ export async function getOrFetchGames(igdbIds) {
 
 // Search for a game by name, checking cache first
 export async function searchAndCacheGame(name, platform = null) {
+  const { game } = await searchAndCacheGameMatch(name, platform);
+  return game;
+}
+
+// Like searchAndCacheGame, but also returns the IGDB match score and runner-up candidates.
+// A title already in the cache counts as an exact match.
+export async function searchAndCacheGameMatch(name, platform = null) {
   if (!name || name.trim().length === 0) {
-    return null;
+    return { game: null, score: null, candidates: [] };
   }
 
   const searchName = sanitizeSearchQuery(name.trim());
@@ -230,16 +278,16 @@ export async function searchAndCacheGame(name, platform = null) {
 
   if (game) {
     // console.log(`[Cache] Title match for "${name}" → "${game.title}" (igdbId: ${game.igdbId})`);
-    return game;
+    return { game, score: 100, candidates: [] };
   }
 
   // Search IGDB
   // console.log(`[Cache] No cache hit for "${name}", searching IGDB...`);
-  const igdbGame = await findGameByName(name, platform);
+  const { game: igdbGame, score, candidates } = await findGameMatches(name, platform);
 
   if (!igdbGame) {
     // console.log(`[Cache] IGDB returned null for "${name}"`);
-    return null;
+    return { game: null, score: null, candidates };
   }
 
   // console.log(`[Cache] IGDB found "${igdbGame.name}" (id: ${igdbGame.id}) for "${name}"`);
@@ -249,11 +297,12 @@ export async function searchAndCacheGame(name, platform = null) {
 
   if (game) {
     // console.log(`[Cache] Found existing game by igdbId: "${game.name}"`);
-    return game;
+    return { game, score, candidates };
   }
   
   // Transform and save
-  const gameData = transformIgdbGame(igdbGame);
+  const [gameWithTimeToBeat] = await withTimeToBeat([igdbGame]);
+  const gameData = transformIgdbGame(gameWithTimeToBeat);
   gameData.createdAt = new Date();
 
   // console.log(`[Cache] Inserting new game: "${gameData.name}" (igdbId: ${gameData.igdbId})`);
@@ -271,12 +320,12 @@ export async function searchAndCacheGame(name, platform = null) {
       });
     }
 
-    return newGame;
+    return { game: newGame, score, candidates };
   } catch (error) {
     // Handle duplicate key error (race condition)
     if (error.message.includes('duplicate key')) {
       // console.log(`[Cache] Duplicate key, fetching existing game by igdbId: ${igdbGame.id}`);
-      return Games.findOneAsync({ igdbId: igdbGame.id });
+      return { game: await Games.findOneAsync({ igdbId: igdbGame.id }), score, candidates };
     }
     throw error;
   }
@@ -290,20 +339,33 @@ export async function refreshGame(gameId) {
     return null;
   }
   
-  const igdbGame = await getGameById(game.igdbId);
+  const fetchedGame = await getGameById(game.igdbId);
   
-  if (!igdbGame) {
+  if (!fetchedGame) {
     return game;
   }
+
+  const [igdbGame] = await withTimeToBeat([fetchedGame]);
   
   // Check if update is needed based on checksum
   const checksumChanged = game.igdbChecksum !== igdbGame.checksum;
   
   if (!checksumChanged) {
-    // Just update the timestamp
+    // Just update the timestamp, and time to beat, which the game's checksum does not cover
+    const timeToBeatData = igdbGame.time_to_beat !== undefined
+      ? { timeToBeat: transformTimeToBeat(igdbGame.time_to_beat) }
+      : {};
     await Games.updateAsync(gameId, { 
-      $set: { updatedAt: new Date() } 
+      $set: { ...timeToBeatData, updatedAt: new Date() } 
     });
+
+    // Items embed timeToBeat and the hoursToBeat estimate made from it, so they only need
+    // rewriting when it changed
+    const timeToBeatChanged = timeToBeatData.timeToBeat !== undefined &&
+      !EJSON.equals(timeToBeatData.timeToBeat, game.timeToBeat ?? null);
+    if (timeToBeatChanged) {
+      await propagateGameUpdates(gameId, timeToBeatData);
+    }
     return Games.findOneAsync(gameId);
   }
   
@@ -378,7 +440,7 @@ export async function refreshStaleGames(maxAgeMs = 24 * 60 * 60 * 1000) {
 
     if (igdbIds.length > 0) {
       // Fetch fresh data from IGDB
-      const igdbGames = await getGamesByIds(igdbIds);
+      const igdbGames = await withTimeToBeat(await getGamesByIds(igdbIds));
 
       for (const igdbGame of igdbGames) {
         const existingGame = staleGames.find(g => g.igdbId === igdbGame.id);
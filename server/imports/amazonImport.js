@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // Amazon API endpoints and constants (from Playnite's implementation)
 const AMAZON_REGISTER_URL = 'https://api.amazon.com/auth/register';
@@ -180,23 +177,8 @@ function filterEntitlements(entitlements) {
   });
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importAmazonLibrary(userId, authCode, codeVerifier, deviceSerial, options = {}) {
+// Match an Amazon Games library against the collection and store an import plan for review
+export async function planAmazonImport(userId, authCode, codeVerifier, deviceSerial, options = {}) {
   const { updateExisting = true } = options;
 
   // Exchange auth code for access token
@@ -209,14 +191,7 @@ export async function importAmazonLibrary(userId, authCode, codeVerifier, device
   const gameEntitlements = filterEntitlements(allEntitlements);
 
   if (gameEntitlements.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'amazon', progressType: 'storefront', entries: [] });
   }
 
   // Build games array
@@ -229,174 +204,15 @@ export async function importAmazonLibrary(userId, authCode, codeVerifier, device
   // Sort alphabetically for consistent UX
   games.sort((a, b) => a.title.localeCompare(b.title));
 
-  // Process the import
-  return processAmazonImport(userId, games, { updateExisting });
-}
-
-// Process import - common logic following Epic/GOG pattern
-async function processAmazonImport(userId, games, options) {
-  const { updateExisting } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'amazon',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(amazonGame => storefrontEntry({
+      name: amazonGame.title,
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'amazon'),
+      playtimeSource: 'amazon'
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const amazonGame = games[gameIndex];
-      const gameName = amazonGame.title;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add amazon if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('amazon')
-              ? existingStorefronts
-              : [...existingStorefronts, 'amazon'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['amazon'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: null,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
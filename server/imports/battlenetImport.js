@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // Normalize Battle.net game name for better IGDB matching
 function normalizeBattlenetGameName(name) {
@@ -84,23 +81,8 @@ function deduplicateGames(games) {
   return unique;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importBattlenetLibrary(userId, gamesJson, classicGamesJson, options = {}) {
+// Match a Battle.net library against the collection and store an import plan for review
+export async function planBattlenetImport(userId, gamesJson, classicGamesJson, options = {}) {
   const { updateExisting = true } = options;
 
   // Parse main games
@@ -116,177 +98,18 @@ export async function importBattlenetLibrary(userId, gamesJson, classicGamesJson
   const allGames = deduplicateGames([...mainGames, ...classicGames]);
 
   if (allGames.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'battlenet', progressType: 'storefront', entries: [] });
   }
 
-  // Process the import
-  const results = {
-    total: allGames.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: allGames.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'battlenet',
+    progressType: 'storefront',
+    updateExisting,
+    entries: allGames.map(battlenetGame => storefrontEntry({
+      name: battlenetGame.name,
+      searchName: normalizeBattlenetGameName(battlenetGame.name),
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'battlenet')
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < allGames.length; gameIndex++) {
-      const battlenetGame = allGames[gameIndex];
-      const gameName = battlenetGame.name;
-      const normalizedName = normalizeBattlenetGameName(gameName);
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: allGames.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(normalizedName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add battlenet if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('battlenet')
-              ? existingStorefronts
-              : [...existingStorefronts, 'battlenet'];
-
-            await CollectionItems.updateAsync(existing._id, {
-              $set: {
-                platforms: mergedPlatforms,
-                storefronts: mergedStorefronts,
-                updatedAt: new Date()
-              }
-            });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['battlenet'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: null,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: allGames.length,
-      total: allGames.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
@@ -4,8 +4,19 @@ import { Games } from '../../imports/lib/collections/games.js';
 import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
 import { getStorefrontById, findStorefrontByName } from '../../imports/lib/constants/storefronts.js';
 import { parseCSVToObjects } from './csvParser.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { searchAndCacheGameMatch } from '../igdb/gameCache.js';
+import { createImportPlan } from '../lib/importPlans.js';
+import { getOwnedCopies, ownershipFields, pairOwnership, appendCopies } from '../lib/ownedCopies.js';
+import { NOT_TRASHED } from '../lib/trash.js';
+import { getUserRatingScale } from '../lib/userPreferences.js';
+import {
+  DEFAULT_RATING_SCALE,
+  RATING_SCALES,
+  isValidRatingScale,
+  normalizeRating,
+  toDisplayRating,
+  toStoredRating
+} from '../../imports/lib/constants/ratings.js';
 
 // Update progress for export
 async function updateExportProgress(userId, progressData) {
@@ -22,21 +33,6 @@ async function updateExportProgress(userId, progressData) {
   );
 }
 
-// Update progress for Backlog Beacon import
-async function updateBacklogProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'backlog' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'backlog',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
 // Escape a value for CSV
 export function escapeCSV(value) {
   if (value === null || value === undefined) {
@@ -69,6 +65,36 @@ export function formatDate(date) {
 }
 
 
+// Parse a Rating cell written on the given scale; values that don't fit the scale are dropped
+export function parseCSVRating(value, scale) {
+  if (!value) {
+    return null;
+  }
+
+  return toStoredRating(parseFloat(value), scale);
+}
+
+// Write a rating on the user's scale when it fits exactly, otherwise on the 100-point scale,
+// which fits every stored rating, so importing the file gives back the same rating
+export function toCSVRating(rating, scale) {
+  if (!rating) {
+    return { value: '', scale: '' };
+  }
+
+  const value = toDisplayRating(rating, scale);
+  if (toStoredRating(value, scale) === normalizeRating(rating)) {
+    return { value, scale };
+  }
+
+  return { value: toDisplayRating(rating, RATING_SCALES.HUNDRED_POINT), scale: RATING_SCALES.HUNDRED_POINT };
+}
+
+// Files exported before the Rating Scale column existed always used whole stars
+export function getCSVRatingScale(row) {
+  const scale = row['Rating Scale'];
+  return isValidRatingScale(scale) ? scale : DEFAULT_RATING_SCALE;
+}
+
 // Helper to escape regex special characters
 export function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -83,12 +109,14 @@ export async function exportCollectionCSV(userId) {
   const rawCollection = CollectionItems.rawCollection();
 
   // Count total items first
-  const totalCount = await CollectionItems.countDocuments({ userId });
+  const totalCount = await CollectionItems.countDocuments({ userId, ...NOT_TRASHED });
 
   if (totalCount === 0) {
     throw new Meteor.Error('no-data', 'No collection items to export');
   }
 
+  const ratingScale = await getUserRatingScale(userId);
+
   // CSV headers
   const headers = [
     'Name',
@@ -98,6 +126,7 @@ export async function exportCollectionCSV(userId) {
     'Status',
     'Favorite',
     'Rating',
+    'Rating Scale',
     'Hours Played',
     'Date Added',
     'Date Started',
@@ -119,7 +148,7 @@ export async function exportCollectionCSV(userId) {
   });
 
   const pipeline = [
-    { $match: { userId } },
+    { $match: { userId, ...NOT_TRASHED } },
     { $sort: { _id: 1 } },
     { $project: {
       gameId: 1, igdbId: 1, platforms: 1, storefronts: 1,
@@ -153,6 +182,7 @@ export async function exportCollectionCSV(userId) {
 
     // Get platforms
     const platforms = item.platforms || [];
+    const rating = toCSVRating(item.rating, ratingScale);
 
     const row = [
       game?.title || 'Unknown Game',
@@ -161,7 +191,8 @@ export async function exportCollectionCSV(userId) {
       storefrontNames,
       item.status || '',
       item.favorite ? 'Yes' : 'No',
-      item.rating || '',
+      rating.value,
+      rating.scale,
       item.hoursPlayed || '',
       formatDate(item.dateAdded),
       formatDate(item.dateStarted),
@@ -195,8 +226,8 @@ export async function exportCollectionCSV(userId) {
   return rows.join('\n');
 }
 
-// Import from Backlog Beacon CSV format
-export async function importBacklogBeaconCSV(userId, csvContent, options = {}) {
+// Match a Backlog Beacon CSV export against the collection and store an import plan for review
+export async function planBacklogBeaconImport(userId, csvContent, options = {}) {
   if (!userId) {
     throw new Meteor.Error('not-authorized', 'Must be logged in to import');
   }
@@ -212,95 +243,22 @@ export async function importBacklogBeaconCSV(userId, csvContent, options = {}) {
     throw new Meteor.Error('invalid-csv', 'Missing required header: Name');
   }
 
-  const results = {
-    total: rows.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  // Initialize progress
-  await updateBacklogProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: rows.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'backlog-beacon',
+    progressType: 'backlog',
+    entries: rows.map(backlogBeaconEntry),
+    updateExisting: options.updateExisting === true,
+    // Rows keep their IGDB ID, so games missing from the database are still imported
+    requireMatch: false
   });
-
-  try {
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-
-      // Update progress before processing each row
-      await updateBacklogProgress(userId, {
-        status: 'processing',
-        current: i + 1,
-        total: rows.length,
-        currentGame: row.Name || 'Unknown',
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        const result = await importBacklogBeaconRow(userId, row, options);
-
-        if (result.success) {
-          if (result.action === 'updated') {
-            results.updated++;
-            results.games.push({ name: row.Name, matchedName: result.matchedName, action: 'updated' });
-          } else {
-            results.imported++;
-            results.games.push({ name: row.Name, matchedName: result.matchedName, action: 'imported' });
-          }
-        } else {
-          results.skipped++;
-          results.games.push({ name: row.Name, action: 'skipped', reason: result.error || 'Duplicate' });
-        }
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          row: i + 2, // +2 for header row and 0-indexing
-          name: row.Name,
-          error: error.message
-        });
-        results.games.push({ name: row.Name, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateBacklogProgress(userId, {
-      status: 'complete',
-      current: rows.length,
-      total: rows.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateBacklogProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
 
-// Import a single row from Backlog Beacon CSV
-async function importBacklogBeaconRow(userId, row, options = {}) {
+// Describe a single row from Backlog Beacon CSV as an import plan entry
+function backlogBeaconEntry(row) {
   const gameName = row.Name;
 
   if (!gameName || gameName.trim() === '') {
-    return { success: false, error: 'No game name' };
+    return { name: gameName || '', skipReason: 'No game name' };
   }
 
   // Parse IGDB ID if present
@@ -310,40 +268,6 @@ async function importBacklogBeaconRow(userId, row, options = {}) {
   const platforms = row.Platforms ? row.Platforms.split(',').map(p => p.trim()) : [];
   const primaryPlatform = platforms[0] || null;
 
-  // Try to find the game in cache first
-  let game = null;
-  if (igdbId) {
-    game = await Games.findOneAsync({ igdbId });
-  }
-  if (!game) {
-    // Try to find by title match
-    game = await Games.findOneAsync({
-      title: { $regex: new RegExp(`^${escapeRegex(gameName)}$`, 'i') }
-    });
-  }
-
-  // If game not found locally, search IGDB and cache it (like Darkadia import does)
-  if (!game) {
-    try {
-      game = await searchAndCacheGame(gameName, primaryPlatform);
-    } catch (error) {
-      console.warn(`IGDB search failed for "${gameName}":`, error.message);
-    }
-  }
-
-  // Check for existing collection item
-  let existing = null;
-  if (game) {
-    existing = await CollectionItems.findOneAsync({ userId, gameId: game._id });
-  }
-  if (!existing && igdbId) {
-    existing = await CollectionItems.findOneAsync({ userId, igdbId });
-  }
-
-  if (existing && options.updateExisting !== true) {
-    return { success: false, error: 'Duplicate' };
-  }
-
   // Parse storefronts
   const storefrontNames = row.Storefronts ? row.Storefronts.split(',').map(s => s.trim()) : [];
   const storefronts = [];
@@ -355,45 +279,66 @@ async function importBacklogBeaconRow(userId, row, options = {}) {
     }
   }
 
-  // Build collection item - only include gameId/igdbId if they have values (sparse index)
-  const collectionItem = {
-    userId,
-    platforms: platforms,
-    storefronts: storefronts,
+  // The CSV has flat lists, so copies are only paired when unambiguous
+  const importedOwnership = pairOwnership(platforms, storefronts);
+
+  const itemFields = {
     status: row.Status || 'backlog',
     favorite: row.Favorite === 'Yes',
     hoursPlayed: row['Hours Played'] ? parseFloat(row['Hours Played']) : null,
     dateStarted: row['Date Started'] ? new Date(row['Date Started']) : null,
     dateCompleted: row['Date Completed'] ? new Date(row['Date Completed']) : null,
-    rating: row.Rating ? parseInt(row.Rating, 10) : null,
+    rating: parseCSVRating(row.Rating, getCSVRatingScale(row)),
     notes: row.Notes || '',
-    physical: false,
-    dateAdded: row['Date Added'] ? new Date(row['Date Added']) : new Date(),
-    createdAt: new Date(),
-    updatedAt: new Date()
+    physical: false
   };
-
-  // Only set gameId/igdbId if found - omitting allows sparse index to work
-  if (game?._id) {
-    collectionItem.gameId = game._id;
-    collectionItem.game = buildEmbeddedGame(game);
-  }
-  if (igdbId) {
-    collectionItem.igdbId = igdbId;
-  }
-
-  if (existing && options.updateExisting === true) {
-    await CollectionItems.updateAsync(existing._id, {
-      $set: {
-        ...collectionItem,
-        createdAt: existing.createdAt
+  const dateAdded = row['Date Added'] ? new Date(row['Date Added']) : null;
+
+  return {
+    name: gameName,
+    platform: primaryPlatform,
+    igdbId,
+    findGame: async () => {
+      // Try to find the game in cache first; a known igdbId or exact title needs no review
+      let game = null;
+      if (igdbId) {
+        game = await Games.findOneAsync({ igdbId });
+      }
+      if (!game) {
+        // Try to find by title match
+        game = await Games.findOneAsync({
+          title: { $regex: new RegExp(`^${escapeRegex(gameName)}$`, 'i') }
+        });
+      }
+      if (game) {
+        return { game, score: 100, candidates: [] };
       }
-    });
-    return { success: true, action: 'updated', matchedName: game?.title || null };
-  }
 
-  await CollectionItems.insertAsync(collectionItem);
-  return { success: true, action: 'inserted', matchedName: game?.title || null };
+      // If game not found locally, search IGDB and cache it (like Darkadia import does)
+      try {
+        return await searchAndCacheGameMatch(gameName, primaryPlatform);
+      } catch (error) {
+        console.warn(`IGDB search failed for "${gameName}":`, error.message);
+        return null;
+      }
+    },
+    newItem: () => ({
+      ...ownershipFields(importedOwnership),
+      ...itemFields,
+      dateAdded
+    }),
+    update: (existing) => {
+      const updateFields = {
+        ...itemFields,
+        // Keep the copies already on record and add any the import doesn't match
+        ...ownershipFields(appendCopies(getOwnedCopies(existing), importedOwnership))
+      };
+      if (dateAdded) {
+        updateFields.dateAdded = dateAdded;
+      }
+      return updateFields;
+    }
+  };
 }
 
 // Preview Backlog Beacon CSV import without actually importing
@@ -1,10 +1,11 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
+import { searchAndCacheGameMatch } from '../igdb/gameCache.js';
 import { findStorefrontByName } from '../../imports/lib/constants/storefronts.js';
 import { parseCSVToObjects } from './csvParser.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { parseCSVRating } from './csvExport.js';
+import { createImportPlan } from '../lib/importPlans.js';
+import { getOwnedCopies, ownershipFields, pairOwnership, appendCopies } from '../lib/ownedCopies.js';
+import { RATING_SCALES } from '../../imports/lib/constants/ratings.js';
 
 // Map Darkadia status to our status
 export function mapStatus(darkadiaRow) {
@@ -54,6 +55,11 @@ export function parsePlatforms(platformsString) {
   return platformsString.split(',').map(p => p.trim()).filter(Boolean);
 }
 
+// Parse a Darkadia rating, given in stars with halves
+export function parseRating(ratingString) {
+  return parseCSVRating(ratingString, RATING_SCALES.HALF_STARS);
+}
+
 // Parse date from Darkadia format (YYYY-MM-DD)
 export function parseDate(dateString) {
   if (!dateString || dateString === '') {
@@ -69,61 +75,18 @@ export function parseDate(dateString) {
   return date;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'darkadia' },
-    { 
-      $set: {
-        ...progressData,
-        userId,
-        type: 'darkadia',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Import a single Darkadia row
-async function importRow(userId, row, options = {}) {
+// Describe a single Darkadia row as an import plan entry
+function rowEntry(row) {
   const gameName = row.Name;
   
   if (!gameName || gameName.trim() === '') {
-    return { success: false, error: 'No game name', row };
+    return { name: gameName || '', skipReason: 'No game name' };
   }
   
   // Get primary platform for better IGDB matching
   const platforms = parsePlatforms(row.Platforms);
   const primaryPlatform = platforms[0] || null;
   
-  // Search for game in IGDB (with caching)
-  let game = null;
-  let igdbId = null;
-  let gameId = null;
-  
-  try {
-    game = await searchAndCacheGame(gameName, primaryPlatform);
-    if (game) {
-      igdbId = game.igdbId;
-      gameId = game._id;
-    }
-  } catch (error) {
-    console.warn(`IGDB search failed for "${gameName}":`, error.message);
-  }
-  
-  // Check for existing collection item (by gameId or igdbId)
-  let existing = null;
-  if (gameId) {
-    existing = await CollectionItems.findOneAsync({ userId, gameId });
-  }
-  if (!existing && igdbId) {
-    existing = await CollectionItems.findOneAsync({ userId, igdbId });
-  }
-  
-  if (existing && options.updateExisting !== true) {
-    return { success: false, error: 'Duplicate', existing: existing._id, row };
-  }
-  
   // Parse storefronts from Tags and Copy source
   let storefronts = parseStorefronts(row.Tags);
   
@@ -135,6 +98,9 @@ async function importRow(userId, row, options = {}) {
     }
   }
   
+  // Darkadia doesn't pair platforms with storefronts, so copies are only paired when unambiguous
+  const importedOwnership = pairOwnership(platforms, storefronts);
+  
   // Build notes from various fields
   const notesParts = [];
   
@@ -150,53 +116,52 @@ async function importRow(userId, row, options = {}) {
   
   const notes = notesParts.join('\n\n');
   
-  // Create collection item
-  // Note: Only include gameId/igdbId if they have values, so sparse unique index works
-  const collectionItem = {
-    userId,
-    platforms: platforms,
-    storefronts: storefronts,
+  const itemFields = {
     status: mapStatus(row),
     favorite: row.Loved === '1',
     hoursPlayed: parseFloat(row['Time played']) || null,
     dateStarted: null,
     dateCompleted: parseDate(row['Date completed']) || parseDate(row['Date mastered']),
-    rating: parseInt(row.Rating, 10) || null,
+    rating: parseRating(row.Rating),
     notes: notes || '',
-    physical: false,
-    dateAdded: parseDate(row.Added) || new Date(),
-    createdAt: new Date(),
-    updatedAt: new Date()
+    physical: false
   };
-
-  // Only set gameId/igdbId if found - omitting allows sparse index to work
-  if (gameId) {
-    collectionItem.gameId = gameId;
-    collectionItem.game = buildEmbeddedGame(game);
-  }
-  if (igdbId) {
-    collectionItem.igdbId = igdbId;
-  }
+  const dateAdded = parseDate(row.Added);
   
-  if (existing && options.updateExisting === true) {
-    // Update existing item
-    await CollectionItems.updateAsync(existing._id, { 
-      $set: {
-        ...collectionItem,
-        createdAt: existing.createdAt // Preserve original creation date
+  return {
+    name: gameName,
+    platform: primaryPlatform,
+    // Darkadia rows are searched even without IGDB so games already cached still match
+    findGame: async () => {
+      try {
+        return await searchAndCacheGameMatch(gameName, primaryPlatform);
+      } catch (error) {
+        console.warn(`IGDB search failed for "${gameName}":`, error.message);
+        return null;
       }
-    });
-    return { success: true, action: 'updated', itemId: existing._id, gameName, matchedName: game?.title || null };
-  }
-  
-  // Insert new item
-  const itemId = await CollectionItems.insertAsync(collectionItem);
-  
-  return { success: true, action: 'inserted', itemId, gameName, gameId, matchedName: game?.title || null };
+    },
+    // Without an Added date the item counts as added when the import is committed
+    newItem: () => ({
+      ...ownershipFields(importedOwnership),
+      ...itemFields,
+      dateAdded
+    }),
+    update: (existing) => {
+      const updateFields = {
+        ...itemFields,
+        // Keep the copies already on record and add any the import doesn't match
+        ...ownershipFields(appendCopies(getOwnedCopies(existing), importedOwnership))
+      };
+      if (dateAdded) {
+        updateFields.dateAdded = dateAdded;
+      }
+      return updateFields;
+    }
+  };
 }
 
-// Main import function
-export async function importDarkadiaCSV(userId, csvContent, options = {}) {
+// Match a Darkadia CSV export against the collection and store an import plan for review
+export async function planDarkadiaImport(userId, csvContent, options = {}) {
   if (!userId) {
     throw new Meteor.Error('not-authorized', 'Must be logged in to import');
   }
@@ -207,108 +172,14 @@ export async function importDarkadiaCSV(userId, csvContent, options = {}) {
     throw new Meteor.Error('invalid-csv', 'No valid rows found in CSV');
   }
   
-  const results = {
-    total: rows.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-  
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: rows.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'darkadia',
+    progressType: 'darkadia',
+    entries: rows.map(rowEntry),
+    updateExisting: options.updateExisting === true,
+    // Games IGDB doesn't know are still imported, under their Darkadia name
+    requireMatch: false
   });
-  
-  try {
-    // Process rows with rate limiting for IGDB
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      
-      // Update progress before processing each row
-      await updateProgress(userId, {
-        status: 'processing',
-        current: i + 1,
-        total: rows.length,
-        currentGame: row.Name || 'Unknown',
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-      
-      try {
-        const result = await importRow(userId, row, options);
-        
-        if (result.success) {
-          if (result.action === 'updated') {
-            results.updated++;
-          } else {
-            results.imported++;
-          }
-          results.games.push({
-            name: result.gameName,
-            matchedName: result.matchedName,
-            itemId: result.itemId,
-            gameId: result.gameId,
-            action: result.action
-          });
-        } else {
-          results.skipped++;
-          if (result.error !== 'Duplicate') {
-            results.errors.push({
-              row: i + 2, // +2 for header row and 0-indexing
-              name: row.Name,
-              error: result.error
-            });
-          }
-        }
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          row: i + 2,
-          name: row.Name,
-          error: error.message
-        });
-      }
-      
-      // Progress callback if provided
-      if (options.onProgress) {
-        options.onProgress({
-          current: i + 1,
-          total: rows.length,
-          imported: results.imported,
-          skipped: results.skipped
-        });
-      }
-    }
-    
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: rows.length,
-      total: rows.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-  
-  return results;
 }
 
 // Preview import without actually importing
@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // EA GraphQL API endpoint (from EA App / Playnite source)
 const EA_GRAPHQL_URL = 'https://service-aggregation-layer.juno.ea.com/graphql';
@@ -232,23 +229,8 @@ function normalizeEaGameName(name) {
   return normalized;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importEaLibrary(userId, bearerToken, options = {}) {
+// Match an EA App library against the collection and store an import plan for review
+export async function planEaImport(userId, bearerToken, options = {}) {
   const { updateExisting = true, importPlaytime = true } = options;
 
   // Fetch all owned games
@@ -258,14 +240,7 @@ export async function importEaLibrary(userId, bearerToken, options = {}) {
   const gameItems = filterEaGames(allItems);
 
   if (gameItems.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'ea', progressType: 'storefront', entries: [] });
   }
 
   // Fetch playtime if requested
@@ -288,185 +263,17 @@ export async function importEaLibrary(userId, bearerToken, options = {}) {
   // Sort by playtime (most played first) for better UX
   games.sort((a, b) => (b.hoursPlayed || 0) - (a.hoursPlayed || 0));
 
-  // Process the import
-  return processEaImport(userId, games, { updateExisting, importPlaytime });
-}
-
-// Process import - following Epic/Oculus patterns
-async function processEaImport(userId, games, options) {
-  const { updateExisting, importPlaytime } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'ea',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(eaGame => storefrontEntry({
+      name: eaGame.title,
+      searchName: normalizeEaGameName(eaGame.title),
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'origin'),
+      playtimeSource: 'ea',
+      hoursPlayed: importPlaytime ? eaGame.hoursPlayed : null
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const eaGame = games[gameIndex];
-      const gameName = eaGame.title;
-      const normalizedName = normalizeEaGameName(gameName);
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(normalizedName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime data
-        const hoursPlayed = importPlaytime ? eaGame.hoursPlayed : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add origin if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('origin')
-              ? existingStorefronts
-              : [...existingStorefronts, 'origin'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['origin'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // Epic API endpoints (from Playnite's implementation)
 const EPIC_CLIENT_ID = '34a02cf8f4414e29b15921876da36f9a';
@@ -210,23 +207,8 @@ async function fetchPlaytime(accessToken, accountId) {
   return playtimeMap;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importEpicLibrary(userId, authCode, options = {}) {
+// Match an Epic library against the collection and store an import plan for review
+export async function planEpicImport(userId, authCode, options = {}) {
   const { updateExisting = true, importPlaytime = true } = options;
 
   // Exchange auth code for access token
@@ -239,14 +221,7 @@ export async function importEpicLibrary(userId, authCode, options = {}) {
   const gameItems = filterLibraryItems(allItems);
 
   if (gameItems.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'epic', progressType: 'storefront', entries: [] });
   }
 
   // Fetch game titles from catalog
@@ -278,184 +253,16 @@ export async function importEpicLibrary(userId, authCode, options = {}) {
   // Sort by playtime (most played first) for better UX
   games.sort((a, b) => (b.hoursPlayed || 0) - (a.hoursPlayed || 0));
 
-  // Process the import
-  return processEpicImport(userId, games, { updateExisting, importPlaytime });
-}
-
-// Process import - common logic shared with GOG import pattern
-async function processEpicImport(userId, games, options) {
-  const { updateExisting, importPlaytime } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'epic',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(epicGame => storefrontEntry({
+      name: epicGame.title,
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'epic'),
+      playtimeSource: 'epic',
+      hoursPlayed: importPlaytime ? epicGame.hoursPlayed : null
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const epicGame = games[gameIndex];
-      const gameName = epicGame.title;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime data
-        const hoursPlayed = importPlaytime ? epicGame.hoursPlayed : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add epic if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('epic')
-              ? existingStorefronts
-              : [...existingStorefronts, 'epic'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['epic'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
@@ -1,9 +1,7 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
 import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 const GOG_PUBLIC_API = 'https://www.gog.com/u';
 const GOG_ACCOUNT_API = 'https://www.gog.com/account/getFilteredProducts';
@@ -209,21 +207,6 @@ async function fetchGogAuthenticatedLibrary(sessionCookie) {
   return allGames;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
 // Clear progress from the database
 export async function clearGogProgress(userId) {
   await ImportProgress.removeAsync({ userId, type: 'storefront' });
@@ -280,8 +263,8 @@ export async function previewGogLibraryWithAuth(sessionCookie) {
   };
 }
 
-// Import GOG library using public profile
-export async function importGogLibrary(userId, gogUsername, options = {}) {
+// Match a GOG library from a public profile and store an import plan for review
+export async function planGogImport(userId, gogUsername, options = {}) {
   const { updateExisting = true, importPlaytime = true, importLastPlayed = true } = options;
 
   // Extract username from URL if needed
@@ -290,15 +273,15 @@ export async function importGogLibrary(userId, gogUsername, options = {}) {
   // Fetch games from public profile
   const games = await fetchGogPublicLibrary(username);
 
-  return processGogImport(userId, games, {
+  return planGogGames(userId, games, {
     updateExisting,
     importPlaytime,
     importLastPlayed
   });
 }
 
-// Import GOG library using authenticated session
-export async function importGogLibraryWithAuth(userId, sessionCookie, options = {}) {
+// Match a GOG library using an authenticated session and store an import plan for review
+export async function planGogImportWithAuth(userId, sessionCookie, options = {}) {
   const { updateExisting = true } = options;
 
   if (!sessionCookie || typeof sessionCookie !== 'string') {
@@ -309,213 +292,31 @@ export async function importGogLibraryWithAuth(userId, sessionCookie, options =
   const games = await fetchGogAuthenticatedLibrary(sessionCookie);
 
   // Note: Authenticated endpoint doesn't include playtime data
-  return processGogImport(userId, games, {
+  return planGogGames(userId, games, {
     updateExisting,
     importPlaytime: false, // No playtime data available
     importLastPlayed: false // No last played data available
   });
 }
 
-// Common import processing logic
-async function processGogImport(userId, games, options) {
+// Match GOG games against the collection and store the import plan
+async function planGogGames(userId, games, options) {
   const { updateExisting, importPlaytime, importLastPlayed } = options;
 
-  if (games.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
-  }
-
-  // Sort by playtime (most played first) for better UX during import
+  // Sort by playtime (most played first) so the review lists them first
   const sortedGames = [...games].sort((a, b) => (b.playtime || 0) - (a.playtime || 0));
 
-  const results = {
-    total: sortedGames.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: sortedGames.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'gog',
+    progressType: 'storefront',
+    updateExisting,
+    entries: sortedGames.map(gogGame => storefrontEntry({
+      name: gogGame.title,
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'gog'),
+      playtimeSource: 'gog',
+      hoursPlayed: importPlaytime ? formatPlaytimeHours(gogGame.playtime) : null,
+      lastPlayed: importLastPlayed ? formatLastPlayed(gogGame.lastSession) : null
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < sortedGames.length; gameIndex++) {
-      const gogGame = sortedGames[gameIndex];
-      const gameName = gogGame.title;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: sortedGames.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB - we can't properly track them without a gameId
-        // (unique index on userId+gameId would cause duplicates with null gameId)
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime and last played data
-        const hoursPlayed = importPlaytime ? formatPlaytimeHours(gogGame.playtime) : null;
-        const lastPlayed = importLastPlayed ? formatLastPlayed(gogGame.lastSession) : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add gog if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('gog')
-              ? existingStorefronts
-              : [...existingStorefronts, 'gog'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            // Update last played date if importing
-            if (importLastPlayed && lastPlayed !== null) {
-              updateFields.lastPlayed = lastPlayed;
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['gog'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Add last played date if importing
-        if (importLastPlayed && lastPlayed !== null) {
-          collectionItem.lastPlayed = lastPlayed;
-        }
-
-        // Only set gameId/igdbId if found - omitting allows sparse index to work
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: sortedGames.length,
-      total: sortedGames.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
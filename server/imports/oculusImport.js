@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // Oculus/Meta GraphQL API endpoint
 const OCULUS_GRAPHQL_URL = 'https://graph.oculus.com/graphql?locale=en_US';
@@ -130,23 +127,8 @@ function filterLibraryItems(items) {
   });
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importOculusLibrary(userId, accessToken, platform, options = {}) {
+// Match an Oculus / Meta library against the collection and store an import plan for review
+export async function planOculusImport(userId, accessToken, platform, options = {}) {
   const { updateExisting = true } = options;
 
   const config = PLATFORM_CONFIG[platform];
@@ -161,14 +143,7 @@ export async function importOculusLibrary(userId, accessToken, platform, options
   const gameItems = filterLibraryItems(allItems);
 
   if (gameItems.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'oculus', progressType: 'storefront', entries: [] });
   }
 
   // Build games array
@@ -181,174 +156,15 @@ export async function importOculusLibrary(userId, accessToken, platform, options
   // Sort alphabetically for consistent UX
   games.sort((a, b) => a.title.localeCompare(b.title));
 
-  // Process the import
-  return processOculusImport(userId, games, { updateExisting, platformName: config.platformName });
-}
-
-// Process import - following Epic/Amazon patterns
-async function processOculusImport(userId, games, options) {
-  const { updateExisting, platformName } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'oculus',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(oculusGame => storefrontEntry({
+      name: oculusGame.title,
+      platform: oculusGame.platform,
+      copies: importedCopies([oculusGame.platform], 'oculus'),
+      playtimeSource: 'oculus'
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const oculusGame = games[gameIndex];
-      const gameName = oculusGame.title;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, platformName);
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add VR platform if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes(platformName)
-              ? existingPlatforms
-              : [...existingPlatforms, platformName];
-
-            // Merge storefronts: add oculus if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('oculus')
-              ? existingStorefronts
-              : [...existingStorefronts, 'oculus'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: [platformName],
-          storefronts: ['oculus'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: null,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 import {
   exchangeNpssoForAccessCode,
   exchangeAccessCodeForAuthTokens,
@@ -82,21 +79,6 @@ function normalizeForDedup(name) {
   return name.toLowerCase().replace(/[^a-z0-9]/g, '');
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
 // Authenticate with PSN using NPSSO token
 async function authenticatePsn(npssoToken) {
   try {
@@ -243,8 +225,8 @@ function mergeAndDedup(trophyTitles, playedGames) {
   return games;
 }
 
-// Main import function
-export async function importPsnLibrary(userId, npssoToken, options = {}) {
+// Match a PlayStation library against the collection and store an import plan for review
+export async function planPsnImport(userId, npssoToken, options = {}) {
   const { updateExisting = true, importPlaytime = true } = options;
 
   // Step 1: Authenticate with PSN
@@ -265,194 +247,20 @@ export async function importPsnLibrary(userId, npssoToken, options = {}) {
   const games = mergeAndDedup(trophyTitles, playedGames);
 
   if (games.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'psn', progressType: 'storefront', entries: [] });
   }
 
-  // Step 5: Process the import
-  return processPsnImport(userId, games, { updateExisting, importPlaytime });
-}
-
-// Process import - following EA/Xbox patterns
-async function processPsnImport(userId, games, options) {
-  const { updateExisting, importPlaytime } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'psn',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(psnGame => storefrontEntry({
+      name: psnGame.title,
+      searchName: normalizePsnGameName(psnGame.title),
+      platform: psnGame.platforms[0] || 'PS4',
+      copies: importedCopies(psnGame.platforms, 'playstation'),
+      playtimeSource: 'psn',
+      hoursPlayed: importPlaytime ? psnGame.hoursPlayed : null
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const psnGame = games[gameIndex];
-      const gameName = psnGame.title;
-      const normalizedName = normalizePsnGameName(gameName);
-      const searchPlatform = psnGame.platforms[0] || 'PS4';
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(normalizedName, searchPlatform);
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime data
-        const hoursPlayed = importPlaytime ? psnGame.hoursPlayed : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = [...new Set([...existingPlatforms, ...psnGame.platforms])];
-
-            // Merge storefronts
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('playstation')
-              ? existingStorefronts
-              : [...existingStorefronts, 'playstation'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: psnGame.platforms,
-          storefronts: ['playstation'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
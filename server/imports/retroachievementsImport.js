@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { buildCopy } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 const RA_API_BASE = 'https://retroachievements.org/API';
 
@@ -130,23 +127,8 @@ async function fetchCompletionProgress(username, apiKey) {
   return allGames;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Main import function
-export async function importRetroAchievementsLibrary(userId, username, apiKey, options = {}) {
+// Match a RetroAchievements library against the collection and store an import plan for review
+export async function planRetroAchievementsImport(userId, username, apiKey, options = {}) {
   const { updateExisting = true } = options;
 
   // Validate credentials
@@ -156,170 +138,22 @@ export async function importRetroAchievementsLibrary(userId, username, apiKey, o
   const allGames = await fetchCompletionProgress(username, apiKey);
 
   if (allGames.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'retroachievements', progressType: 'storefront', entries: [] });
   }
 
-  const results = {
-    total: allGames.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: allGames.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
-  });
-
-  try {
-    for (let gameIndex = 0; gameIndex < allGames.length; gameIndex++) {
-      const raGame = allGames[gameIndex];
-      const gameName = raGame.Title;
+  return createImportPlan(userId, {
+    source: 'retroachievements',
+    progressType: 'storefront',
+    updateExisting,
+    entries: allGames.map(raGame => {
       const platform = mapPlatform(raGame.ConsoleName);
-      const status = mapStatus(raGame);
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: allGames.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
+      return storefrontEntry({
+        name: raGame.Title,
+        platform,
+        // RetroAchievements doesn't know where the game was bought
+        copies: [buildCopy({ platform })],
+        status: mapStatus(raGame)
       });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, platform);
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add this platform if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes(platform)
-              ? existingPlatforms
-              : [...existingPlatforms, platform];
-
-            await CollectionItems.updateAsync(existing._id, {
-              $set: {
-                platforms: mergedPlatforms,
-                updatedAt: new Date()
-              }
-            });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: [platform],
-          storefronts: [],
-          status,
-          favorite: false,
-          hoursPlayed: null,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: allGames.length,
-      total: allGames.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
+    })
+  });
 }
@@ -1,9 +1,7 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
 import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 const STEAM_API_BASE = 'https://api.steampowered.com';
 const MAX_RETRIES = 5;
@@ -131,21 +129,6 @@ async function fetchSteamGames(apiKey, steamId) {
   return games;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
 // Clear progress from the database
 export async function clearStorefrontProgress(userId) {
   await ImportProgress.removeAsync({ userId, type: 'storefront' });
@@ -206,8 +189,8 @@ export async function previewSteamLibrary(steamUsername) {
   };
 }
 
-// Import Steam library with IGDB matching
-export async function importSteamLibrary(userId, steamUsername, options = {}) {
+// Match a Steam library against the collection and store an import plan for review
+export async function planSteamImport(userId, steamUsername, options = {}) {
   const { updateExisting = true, importPlaytime = true, importLastPlayed = true } = options;
 
   // Get API key from settings
@@ -231,201 +214,23 @@ export async function importSteamLibrary(userId, steamUsername, options = {}) {
   const games = await fetchSteamGames(apiKey, resolvedSteamId);
 
   if (games.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'steam', progressType: 'storefront', entries: [] });
   }
 
-  // Sort by playtime (most played first) for better UX during import
+  // Sort by playtime (most played first) so the review lists them first
   const sortedGames = [...games].sort((a, b) => (b.playtime_forever || 0) - (a.playtime_forever || 0));
 
-  const results = {
-    total: sortedGames.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: sortedGames.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'steam',
+    progressType: 'storefront',
+    updateExisting,
+    entries: sortedGames.map(steamGame => storefrontEntry({
+      name: steamGame.name || `Steam App ${steamGame.appid}`,
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'steam'),
+      playtimeSource: 'steam',
+      hoursPlayed: importPlaytime ? formatPlaytimeHours(steamGame.playtime_forever) : null,
+      lastPlayed: importLastPlayed ? formatLastPlayed(steamGame.rtime_last_played) : null
+    }))
   });
-
-  try {
-    for (let i = 0; i < sortedGames.length; i++) {
-      const steamGame = sortedGames[i];
-      const gameName = steamGame.name || `Steam App ${steamGame.appid}`;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: i + 1,
-        total: sortedGames.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB - we can't properly track them without a gameId
-        // (unique index on userId+gameId would cause duplicates with null gameId)
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime and last played data
-        const hoursPlayed = importPlaytime ? formatPlaytimeHours(steamGame.playtime_forever) : null;
-        const lastPlayed = importLastPlayed ? formatLastPlayed(steamGame.rtime_last_played) : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add steam if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('steam')
-              ? existingStorefronts
-              : [...existingStorefronts, 'steam'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            // Update last played date if importing
-            if (importLastPlayed && lastPlayed !== null) {
-              updateFields.lastPlayed = lastPlayed;
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['steam'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Add last played date if importing
-        if (importLastPlayed && lastPlayed !== null) {
-          collectionItem.lastPlayed = lastPlayed;
-        }
-
-        // Only set gameId/igdbId if found - omitting allows sparse index to work
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: sortedGames.length,
-      total: sortedGames.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
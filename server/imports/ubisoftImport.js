@@ -1,10 +1,7 @@
 import { Meteor } from 'meteor/meteor';
 import yaml from 'yaml';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 import { fetchOwnedGamesViaDemux } from './ubisoftDemux.js';
 
 // Ubisoft Connect API endpoints
@@ -405,191 +402,23 @@ async function fetchUbisoftLibrary(ticket, sessionId) {
   return games;
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
-}
-
-// Process import - following Oculus/Epic patterns
-async function processUbisoftImport(userId, games, options) {
-  const { updateExisting } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+// Store an import plan for the games of a Ubisoft library
+function planUbisoftGames(userId, games, updateExisting) {
+  return createImportPlan(userId, {
+    source: 'ubisoft',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(ubisoftGame => storefrontEntry({
+      name: ubisoftGame.title,
+      platform: 'PC',
+      copies: importedCopies(['PC'], 'ubisoft'),
+      playtimeSource: 'ubisoft'
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const ubisoftGame = games[gameIndex];
-      const gameName = ubisoftGame.title;
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(gameName, 'PC');
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms: add PC if not present
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = existingPlatforms.includes('PC')
-              ? existingPlatforms
-              : [...existingPlatforms, 'PC'];
-
-            // Merge storefronts: add ubisoft if not present
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = existingStorefronts.includes('ubisoft')
-              ? existingStorefronts
-              : [...existingStorefronts, 'ubisoft'];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: ['PC'],
-          storefronts: ['ubisoft'],
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: null,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
 
-// Main import function (no 2FA)
-export async function importUbisoftLibrary(userId, email, password, options = {}) {
+// Match a Ubisoft Connect library against the collection and store an import plan (no 2FA)
+export async function planUbisoftImport(userId, email, password, options = {}) {
   const { updateExisting = true } = options;
 
   // Authenticate with Ubisoft (may throw auth-2fa-required)
@@ -602,14 +431,7 @@ export async function importUbisoftLibrary(userId, email, password, options = {}
   const gameItems = filterLibraryItems(allItems);
 
   if (gameItems.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return planUbisoftGames(userId, [], updateExisting);
   }
 
   // Build games array
@@ -622,11 +444,11 @@ export async function importUbisoftLibrary(userId, email, password, options = {}
   // Sort alphabetically for consistent UX
   games.sort((a, b) => a.title.localeCompare(b.title));
 
-  return processUbisoftImport(userId, games, { updateExisting });
+  return planUbisoftGames(userId, games, updateExisting);
 }
 
-// Import with 2FA (second step after auth-2fa-required)
-export async function importUbisoftLibraryWith2FA(userId, twoFactorTicket, code, options = {}) {
+// Plan the import with a 2FA code (second step after auth-2fa-required)
+export async function planUbisoftImportWith2FA(userId, twoFactorTicket, code, options = {}) {
   const { updateExisting = true } = options;
 
   // Authenticate with 2FA code
@@ -639,14 +461,7 @@ export async function importUbisoftLibraryWith2FA(userId, twoFactorTicket, code,
   const gameItems = filterLibraryItems(allItems);
 
   if (gameItems.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return planUbisoftGames(userId, [], updateExisting);
   }
 
   // Build games array
@@ -659,5 +474,5 @@ export async function importUbisoftLibraryWith2FA(userId, twoFactorTicket, code,
   // Sort alphabetically for consistent UX
   games.sort((a, b) => a.title.localeCompare(b.title));
 
-  return processUbisoftImport(userId, games, { updateExisting });
+  return planUbisoftGames(userId, games, updateExisting);
 }
@@ -1,9 +1,6 @@
 import { Meteor } from 'meteor/meteor';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
-import { isConfigured } from '../igdb/client.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { importedCopies } from '../lib/ownedCopies.js';
+import { createImportPlan, storefrontEntry } from '../lib/importPlans.js';
 
 // Xbox OAuth / API constants (OpenXbox public client - works without app registration)
 const XBOX_CLIENT_ID = '388ea51c-0b25-4029-aae2-17df49d23905';
@@ -342,23 +339,14 @@ function determineStorefronts(platforms) {
   return storefronts.length > 0 ? storefronts : ['microsoft'];
 }
 
-// Update progress in the database
-async function updateProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'storefront' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'storefront',
-        updatedAt: new Date()
-      }
-    }
-  );
+// One digital copy per platform: PC copies come from the Microsoft Store, console copies
+// from the Xbox Store (same split as determineStorefronts)
+function buildXboxCopies(platforms) {
+  return platforms.flatMap(platform => importedCopies([platform], platform === 'PC' ? 'microsoft' : 'xbox'));
 }
 
-// Main import function
-export async function importXboxLibrary(userId, authCode, options = {}) {
+// Match an Xbox / Microsoft Store library against the collection and store an import plan for review
+export async function planXboxImport(userId, authCode, options = {}) {
   const { updateExisting = true, importPlaytime = true } = options;
 
   // Step 1: Exchange auth code for OAuth token
@@ -388,14 +376,7 @@ export async function importXboxLibrary(userId, authCode, options = {}) {
   }
 
   if (uniqueGames.length === 0) {
-    return {
-      total: 0,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
+    return createImportPlan(userId, { source: 'xbox', progressType: 'storefront', entries: [] });
   }
 
   // Fetch playtime if requested
@@ -422,182 +403,17 @@ export async function importXboxLibrary(userId, authCode, options = {}) {
   // Sort by playtime (most played first) for better UX
   games.sort((a, b) => (b.hoursPlayed || 0) - (a.hoursPlayed || 0));
 
-  // Process the import
-  return processXboxImport(userId, games, { updateExisting, importPlaytime });
-}
-
-// Process import - following Epic/EA patterns
-async function processXboxImport(userId, games, options) {
-  const { updateExisting, importPlaytime } = options;
-
-  const results = {
-    total: games.length,
-    imported: 0,
-    updated: 0,
-    skipped: 0,
-    errors: [],
-    games: []
-  };
-
-  const igdbEnabled = isConfigured();
-
-  // Initialize progress
-  await updateProgress(userId, {
-    status: 'processing',
-    current: 0,
-    total: games.length,
-    currentGame: '',
-    imported: 0,
-    updated: 0,
-    skipped: 0
+  return createImportPlan(userId, {
+    source: 'xbox',
+    progressType: 'storefront',
+    updateExisting,
+    entries: games.map(xboxGame => storefrontEntry({
+      name: xboxGame.title,
+      searchName: normalizeXboxGameName(xboxGame.title),
+      platform: xboxGame.platforms.includes('PC') ? 'PC' : xboxGame.platforms[0],
+      copies: buildXboxCopies(xboxGame.platforms),
+      playtimeSource: 'xbox',
+      hoursPlayed: importPlaytime ? xboxGame.hoursPlayed : null
+    }))
   });
-
-  try {
-    for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
-      const xboxGame = games[gameIndex];
-      const gameName = xboxGame.title;
-      const normalizedName = normalizeXboxGameName(gameName);
-      const searchPlatform = xboxGame.platforms.includes('PC') ? 'PC' : xboxGame.platforms[0];
-
-      // Update progress before processing each game
-      await updateProgress(userId, {
-        status: 'processing',
-        current: gameIndex + 1,
-        total: games.length,
-        currentGame: gameName,
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-
-      try {
-        // Search for game in IGDB if configured
-        let cachedGame = null;
-        let gameId = null;
-        let igdbId = null;
-
-        if (igdbEnabled) {
-          try {
-            cachedGame = await searchAndCacheGame(normalizedName, searchPlatform);
-            if (cachedGame) {
-              gameId = cachedGame._id;
-              igdbId = cachedGame.igdbId;
-            }
-          } catch (error) {
-            console.warn(`IGDB search failed for "${gameName}":`, error.message);
-          }
-        }
-
-        // Skip games not found in IGDB
-        if (igdbEnabled && !gameId) {
-          results.skipped++;
-          results.games.push({ name: gameName, action: 'skipped', reason: 'Not found in game database' });
-          continue;
-        }
-
-        // Check for duplicate by gameId or igdbId
-        let existing = null;
-        if (gameId) {
-          existing = await CollectionItems.findOneAsync({ userId, gameId });
-        }
-        if (!existing && igdbId) {
-          existing = await CollectionItems.findOneAsync({ userId, igdbId });
-        }
-
-        // Prepare playtime data
-        const hoursPlayed = importPlaytime ? xboxGame.hoursPlayed : null;
-
-        if (existing) {
-          if (updateExisting) {
-            // Merge platforms
-            const existingPlatforms = existing.platforms || [];
-            const mergedPlatforms = [...new Set([...existingPlatforms, ...xboxGame.platforms])];
-
-            // Merge storefronts
-            const existingStorefronts = existing.storefronts || [];
-            const mergedStorefronts = [...new Set([...existingStorefronts, ...xboxGame.storefronts])];
-
-            const updateFields = {
-              platforms: mergedPlatforms,
-              storefronts: mergedStorefronts,
-              updatedAt: new Date()
-            };
-
-            // Update playtime if importing and greater than existing
-            if (importPlaytime && hoursPlayed !== null) {
-              if (!existing.hoursPlayed || hoursPlayed > existing.hoursPlayed) {
-                updateFields.hoursPlayed = hoursPlayed;
-              }
-            }
-
-            await CollectionItems.updateAsync(existing._id, { $set: updateFields });
-
-            results.updated++;
-            results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'updated' });
-          } else {
-            results.skipped++;
-            results.games.push({ name: gameName, action: 'skipped', reason: 'Already in collection' });
-          }
-          continue;
-        }
-
-        // Create new collection item
-        const collectionItem = {
-          userId,
-          platforms: xboxGame.platforms,
-          storefronts: xboxGame.storefronts,
-          status: 'backlog',
-          favorite: false,
-          hoursPlayed: hoursPlayed,
-          rating: null,
-          notes: '',
-          physical: false,
-          dateAdded: new Date(),
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Only set gameId/igdbId if found
-        if (gameId) {
-          collectionItem.gameId = gameId;
-          collectionItem.game = buildEmbeddedGame(cachedGame);
-        }
-        if (igdbId) {
-          collectionItem.igdbId = igdbId;
-        }
-
-        await CollectionItems.insertAsync(collectionItem);
-
-        results.imported++;
-        results.games.push({ name: gameName, matchedName: cachedGame?.title || null, action: 'imported' });
-      } catch (error) {
-        results.skipped++;
-        results.errors.push({
-          name: gameName,
-          error: error.message
-        });
-        results.games.push({ name: gameName, action: 'error', reason: error.message });
-      }
-    }
-
-    // Mark as complete
-    await updateProgress(userId, {
-      status: 'complete',
-      current: games.length,
-      total: games.length,
-      currentGame: '',
-      imported: results.imported,
-      updated: results.updated,
-      skipped: results.skipped
-    });
-  } catch (error) {
-    // Mark as error
-    await updateProgress(userId, {
-      status: 'error',
-      error: error.message
-    });
-    throw error;
-  }
-
-  return results;
 }
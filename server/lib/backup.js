@@ -0,0 +1,824 @@
+/**
+ * backup.js - Full backup of a user's data and restoring it
+ *
+ * A backup is one EJSON document (so dates survive the round trip) holding every document the
+ * user owns: collection items (trash included), custom games with their cover images, tags,
+ * saved views, goals, item history and preferences. Documents are stored whole apart from the
+ * owner fields, so fields added later are carried along without a format change. The version
+ * only goes up when a change would make older code read a backup wrongly.
+ *
+ * Restoring gives every document a new ID and rewrites the references between them, so a backup
+ * can go back into the same account or a different one. IGDB games are found again by IGDB ID;
+ * games this server does not know are fetched from IGDB, or keep the details saved in the backup.
+ * A backup is checked in full before anything is written, and its documents go in with one
+ * transaction, so a bad file or a failed restore leaves the account as it was.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import { EJSON } from 'meteor/ejson';
+import {
+  CollectionItems,
+  COLLECTION_STATUSES,
+  MAX_OWNED_COPIES,
+  MAX_PLAYTHROUGHS
+} from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { Tags, normalizeTagName, MAX_TAGS_PER_USER, MAX_TAGS_PER_ITEM } from '../../imports/lib/collections/tags.js';
+import { SavedViews, MAX_SAVED_VIEWS } from '../../imports/lib/collections/savedViews.js';
+import { Goals, MAX_GOALS_PER_YEAR } from '../../imports/lib/collections/goals.js';
+import { ItemHistory, HISTORY_TYPES } from '../../imports/lib/collections/itemHistory.js';
+import { isValidRating, isValidRatingScale } from '../../imports/lib/constants/ratings.js';
+import { getOrFetchGames } from '../igdb/gameCache.js';
+import { isConfigured } from '../igdb/client.js';
+import { processCustomCover, deleteCustomCover, readCustomCover } from '../covers/customCovers.js';
+import { validatePlaythrough } from '../methods.js';
+import { buildEmbeddedGame } from './gameHelpers.js';
+import { validateTagName } from './tagHelpers.js';
+import { validateCopy } from './ownedCopies.js';
+import { validatePlaySession, checkSessionNotesTotal, MAX_PLAY_SESSIONS } from './playSessions.js';
+import { validateGoal } from './goals.js';
+import {
+  validateViewName,
+  normalizeFilters,
+  validateViewMode,
+  validateBookshelfTheme
+} from './savedViews.js';
+import { withTransaction } from './transactions.js';
+
+export const BACKUP_FORMAT = 'backlog-beacon-backup';
+export const BACKUP_VERSION = 1;
+export const MAX_BACKUP_SIZE = 50 * 1024 * 1024; // 50MB, covers included
+
+export const RESTORE_MODES = {
+  REPLACE: 'replace',
+  MERGE: 'merge'
+};
+
+// Backup sections holding lists of documents
+const DOCUMENT_SECTIONS = ['items', 'customGames', 'tags', 'savedViews', 'goals', 'history'];
+
+// Fields tying a document to its owner or to this server's storage, left out of backups
+const OWNER_FIELDS = ['userId', 'ownerId', 'normalizedName', 'localCoverId', 'localCoverUrl'];
+
+function withoutOwnerFields(doc) {
+  const copy = { ...doc };
+  for (const field of OWNER_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Collect everything a user owns into a backup document
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+export async function buildBackup(userId) {
+  const user = await Meteor.users.findOneAsync(userId, { fields: { preferences: 1 } });
+  const byUser = { userId };
+
+  const [items, customGames, tags, savedViews, goals, history] = await Promise.all([
+    CollectionItems.find(byUser, { sort: { dateAdded: 1 } }).fetchAsync(),
+    Games.find({ ownerId: userId }, { sort: { createdAt: 1 } }).fetchAsync(),
+    Tags.find(byUser, { sort: { createdAt: 1 } }).fetchAsync(),
+    SavedViews.find(byUser, { sort: { order: 1 } }).fetchAsync(),
+    Goals.find(byUser, { sort: { year: 1, createdAt: 1 } }).fetchAsync(),
+    ItemHistory.find(byUser, { sort: { createdAt: 1 } }).fetchAsync()
+  ]);
+
+  const gamesWithCovers = [];
+  for (const game of customGames) {
+    let cover = null;
+    try {
+      const buffer = await readCustomCover(game);
+      cover = buffer ? `data:image/webp;base64,${buffer.toString('base64')}` : null;
+    } catch (error) {
+      console.error(`Backup: could not read the cover of custom game ${game._id}:`, error);
+    }
+    gamesWithCovers.push({ ...withoutOwnerFields(game), cover });
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(),
+    preferences: user?.preferences || {},
+    // A running session timer means nothing once restored
+    items: items.map(({ activeSession, ...item }) => withoutOwnerFields(item)),
+    customGames: gamesWithCovers,
+    tags: tags.map(withoutOwnerFields),
+    savedViews: savedViews.map(withoutOwnerFields),
+    goals: goals.map(withoutOwnerFields),
+    history: history.map(withoutOwnerFields)
+  };
+}
+
+/**
+ * Serialize a backup for download
+ * @param {Object} backup
+ * @returns {string}
+ */
+export function serializeBackup(backup) {
+  return EJSON.stringify(backup, { indent: true, canonical: false });
+}
+
+const MAX_NOTES_LENGTH = 10000;
+const MAX_CUSTOM_TITLE_LENGTH = 512;
+
+const ITEM_DATE_FIELDS = ['dateAdded', 'dateStarted', 'dateCompleted', 'lastPlayed', 'deletedAt', 'createdAt', 'updatedAt'];
+const ITEM_STRING_LIST_FIELDS = ['platforms', 'storefronts', 'notDuplicateOf'];
+const ITEM_IGDB_LIST_FIELDS = ['ownedEditions', 'ownedDlc'];
+
+// Embedded lists, checked entry by entry with the validators the item methods use
+const ITEM_LISTS = [
+  {
+    field: 'ownedCopies',
+    label: 'copy',
+    max: MAX_OWNED_COPIES,
+    validate: validateCopy,
+    dates: ['purchaseDate', 'createdAt'],
+    strings: ['platform', 'storefront', 'format', 'edition', 'currency', 'source']
+  },
+  {
+    field: 'playthroughs',
+    label: 'playthrough',
+    max: MAX_PLAYTHROUGHS,
+    validate: validatePlaythrough,
+    dates: ['dateStarted', 'dateCompleted', 'createdAt'],
+    strings: ['platform', 'difficulty', 'outcome', 'notes']
+  },
+  {
+    field: 'playSessions',
+    label: 'play session',
+    max: MAX_PLAY_SESSIONS,
+    validate: validatePlaySession,
+    dates: ['date', 'createdAt'],
+    strings: ['platform', 'note']
+  }
+];
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+function isValidDate(value) {
+  return value instanceof Date && !Number.isNaN(value.getTime());
+}
+
+function isHours(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+// Reason a validator shared with the methods gives for rejecting a value, or null
+function rejection(validate, value) {
+  try {
+    validate(value);
+    return null;
+  } catch (error) {
+    if (error instanceof Meteor.Error) {
+      return error.reason;
+    }
+    throw error;
+  }
+}
+
+// First problem with the entries of one of an item's embedded lists
+function describeListProblem(entries, { label, max, validate, dates, strings }) {
+  if (entries.length > max) {
+    return `has more than ${max} ${label} entries`;
+  }
+  for (const entry of entries) {
+    if (!isPlainObject(entry) ||
+        dates.some(field => !isMissing(entry[field]) && !isValidDate(entry[field])) ||
+        strings.some(field => !isMissing(entry[field]) && typeof entry[field] !== 'string')) {
+      return `has an invalid ${label}`;
+    }
+    const reason = rejection(validate, entry);
+    if (reason) {
+      return `has an invalid ${label}: ${reason}`;
+    }
+  }
+  return null;
+}
+
+// First problem with an item, or null when it can be restored
+function describeItemProblem(item, customGameIds) {
+  if (!isPlainObject(item) || typeof item._id !== 'string') {
+    return 'is not a collection item';
+  }
+  if (!Object.values(COLLECTION_STATUSES).includes(item.status)) {
+    return `has an unknown status "${item.status}"`;
+  }
+  if (!isMissing(item.game) && (!isPlainObject(item.game) ||
+      (!isMissing(item.game.title) && typeof item.game.title !== 'string') ||
+      (!isMissing(item.game.releaseYear) && !Number.isInteger(item.game.releaseYear)))) {
+    return 'has invalid game details';
+  }
+  if (item.game?.ownerId && !customGameIds.has(item.gameId)) {
+    return 'refers to a custom game missing from the backup';
+  }
+  if (!item.igdbId && !item.game?.ownerId && !item.game?.title) {
+    return 'has no game';
+  }
+  if (!isMissing(item.igdbId) && (!Number.isInteger(item.igdbId) || item.igdbId < 1)) {
+    return 'has an invalid IGDB ID';
+  }
+  if (!isMissing(item.rating) && !isValidRating(item.rating)) {
+    return 'has an invalid rating';
+  }
+  for (const field of ['hoursPlayed', 'hoursBaseline']) {
+    if (!isMissing(item[field]) && !isHours(item[field])) {
+      return `has an invalid ${field}`;
+    }
+  }
+  if (!isMissing(item.importedHours) &&
+      (!isPlainObject(item.importedHours) || !Object.values(item.importedHours).every(hours => isMissing(hours) || isHours(hours)))) {
+    return 'has invalid importedHours';
+  }
+  for (const field of ITEM_DATE_FIELDS) {
+    if (!isMissing(item[field]) && !isValidDate(item[field])) {
+      return `has an invalid ${field}`;
+    }
+  }
+  for (const field of ['favorite', 'physical']) {
+    if (!isMissing(item[field]) && typeof item[field] !== 'boolean') {
+      return `has an invalid ${field} flag`;
+    }
+  }
+  if (!isMissing(item.notes) && (typeof item.notes !== 'string' || item.notes.length > MAX_NOTES_LENGTH)) {
+    return `has notes that are not text of at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  if (!isMissing(item.queueRank) && typeof item.queueRank !== 'string') {
+    return 'has an invalid queueRank';
+  }
+  for (const field of ITEM_STRING_LIST_FIELDS) {
+    if (!isMissing(item[field]) && !isStringList(item[field])) {
+      return `has an invalid ${field} list`;
+    }
+  }
+  for (const field of ITEM_IGDB_LIST_FIELDS) {
+    if (!isMissing(item[field]) && !(Array.isArray(item[field]) && item[field].every(Number.isInteger))) {
+      return `has an invalid ${field} list`;
+    }
+  }
+
+  if (!isMissing(item.tags)) {
+    if (!isStringList(item.tags)) {
+      return 'has an invalid tags list';
+    }
+    if (item.tags.length > MAX_TAGS_PER_ITEM) {
+      return `has more than ${MAX_TAGS_PER_ITEM} tags`;
+    }
+    const reason = item.tags.map(name => rejection(validateTagName, name)).find(Boolean);
+    if (reason) {
+      return `has an invalid tag: ${reason}`;
+    }
+  }
+
+  for (const list of ITEM_LISTS) {
+    if (isMissing(item[list.field])) {
+      continue;
+    }
+    if (!Array.isArray(item[list.field])) {
+      return `has an invalid ${list.field} list`;
+    }
+    const problem = describeListProblem(item[list.field], list);
+    if (problem) {
+      return problem;
+    }
+  }
+  const notesReason = rejection(checkSessionNotesTotal, item.playSessions);
+  if (notesReason) {
+    return `has too many session notes: ${notesReason}`;
+  }
+
+  return null;
+}
+
+// First problem with a custom game, or null when it can be restored
+function describeCustomGameProblem(game) {
+  if (typeof game._id !== 'string' || typeof game.title !== 'string' || !game.title.trim()) {
+    return 'has no title';
+  }
+  if (game.title.trim().length > MAX_CUSTOM_TITLE_LENGTH) {
+    return `has a title longer than ${MAX_CUSTOM_TITLE_LENGTH} characters`;
+  }
+  if (!isMissing(game.releaseYear) && !Number.isInteger(game.releaseYear)) {
+    return 'has an invalid release year';
+  }
+  for (const field of ['platforms', 'genres']) {
+    if (!isMissing(game[field]) && !isStringList(game[field])) {
+      return `has an invalid ${field} list`;
+    }
+  }
+  for (const field of ['slug', 'developer', 'publisher', 'summary', 'cover']) {
+    if (!isMissing(game[field]) && typeof game[field] !== 'string') {
+      return `has an invalid ${field}`;
+    }
+  }
+  for (const field of ['createdAt', 'updatedAt']) {
+    if (!isMissing(game[field]) && !isValidDate(game[field])) {
+      return `has an invalid ${field}`;
+    }
+  }
+  return null;
+}
+
+// First problem with a saved view, checked like savedViews.create checks a new view
+function describeSavedViewProblem(view) {
+  if (typeof view.name !== 'string') {
+    return 'has no name';
+  }
+  if (!isMissing(view.filters) && !isPlainObject(view.filters)) {
+    return 'has invalid filters';
+  }
+  const filters = view.filters || {};
+  if ((!isMissing(filters.search) && typeof filters.search !== 'string') ||
+      (!isMissing(filters.tags) && !isStringList(filters.tags))) {
+    return 'has invalid filters';
+  }
+  const reason = rejection(validateViewName, view.name) ||
+    rejection(normalizeFilters, view.filters) ||
+    rejection(validateViewMode, view.viewMode) ||
+    rejection(validateBookshelfTheme, view.bookshelfTheme);
+  return reason ? `is invalid: ${reason}` : null;
+}
+
+function describeGoalProblem(goal) {
+  const reason = rejection(validateGoal, goal);
+  return reason ? `is invalid: ${reason}` : null;
+}
+
+// First problem with a history entry, or null when it can be restored
+function describeHistoryProblem(entry) {
+  if (typeof entry.itemId !== 'string') {
+    return 'belongs to no item';
+  }
+  if (!Object.values(HISTORY_TYPES).includes(entry.type)) {
+    return `has an unknown type "${entry.type}"`;
+  }
+  if (!Array.isArray(entry.changes) ||
+      !entry.changes.every(change => isPlainObject(change) && typeof change.field === 'string')) {
+    return 'has an invalid changes list';
+  }
+  if (!isValidDate(entry.createdAt)) {
+    return 'has no date';
+  }
+  for (const field of ['source', 'gameTitle']) {
+    if (!isMissing(entry[field]) && typeof entry[field] !== 'string') {
+      return `has an invalid ${field}`;
+    }
+  }
+  return null;
+}
+
+// Reject the backup with the first record a describe function finds a problem with
+function checkRecords(records, label, describeProblem) {
+  records.forEach((record, index) => {
+    const problem = describeProblem(record);
+    if (problem) {
+      throw new Meteor.Error('invalid-backup', `${label} ${index + 1} in the backup ${problem}`);
+    }
+  });
+}
+
+/**
+ * Parse and check a backup before anything is restored from it
+ *
+ * Every record is checked with the rules the methods apply to the same kind of record, so a
+ * hand-edited or damaged file is rejected as a whole instead of being partly restored.
+ *
+ * @param {string} content - Backup file contents
+ * @returns {Object} - The backup, with every section present
+ * @throws {Meteor.Error} invalid-backup or unsupported-backup-version
+ */
+export function parseBackup(content) {
+  let backup;
+  try {
+    backup = EJSON.parse(content);
+  } catch (error) {
+    throw new Meteor.Error('invalid-backup', 'The file is not a Backlog Beacon backup');
+  }
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Meteor.Error('invalid-backup', 'The file is not a Backlog Beacon backup');
+  }
+
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Meteor.Error('invalid-backup', 'The backup has no valid version');
+  }
+
+  if (backup.version > BACKUP_VERSION) {
+    throw new Meteor.Error('unsupported-backup-version',
+      `This backup was made by a newer version (format ${backup.version}); this server reads up to format ${BACKUP_VERSION}`);
+  }
+
+  const parsed = { ...backup, preferences: isPlainObject(backup.preferences) ? backup.preferences : {} };
+  for (const section of DOCUMENT_SECTIONS) {
+    const documents = backup[section] ?? [];
+    if (!Array.isArray(documents) || !documents.every(isPlainObject)) {
+      throw new Meteor.Error('invalid-backup', `The backup's ${section} are not a list of records`);
+    }
+    parsed[section] = documents;
+  }
+
+  const customGameIds = new Set(parsed.customGames.map(game => game._id));
+  checkRecords(parsed.customGames, 'Custom game', describeCustomGameProblem);
+  checkRecords(parsed.items, 'Item', item => describeItemProblem(item, customGameIds));
+  checkRecords(parsed.savedViews, 'Saved view', describeSavedViewProblem);
+  checkRecords(parsed.goals, 'Goal', describeGoalProblem);
+  checkRecords(parsed.history, 'History entry', describeHistoryProblem);
+
+  return parsed;
+}
+
+/**
+ * What identifies an item's game when matching against a collection: the IGDB ID, or the
+ * normalized title for custom games and games without one
+ * @param {Object} item - Collection item (embedded game for the title)
+ * @returns {string}
+ */
+export function itemMatchKey(item) {
+  if (item.igdbId && !item.game?.ownerId) {
+    return `igdb:${item.igdbId}`;
+  }
+  return `title:${(item.game?.title || '').trim().toLowerCase()}`;
+}
+
+function emptyCounts() {
+  return { items: 0, customGames: 0, covers: 0, tags: 0, savedViews: 0, goals: 0, history: 0 };
+}
+
+async function insertAll(collection, docs, session) {
+  if (docs.length > 0) {
+    await collection.rawCollection().insertMany(docs, { session });
+  }
+}
+
+// Remove everything restore can bring back, as part of the restore's transaction
+async function removeUserData(userId, session, removed) {
+  const byUser = { userId };
+  removed.customGames = (await Games.rawCollection().deleteMany({ ownerId: userId }, { session })).deletedCount;
+  removed.items = (await CollectionItems.rawCollection().deleteMany(byUser, { session })).deletedCount;
+  removed.tags = (await Tags.rawCollection().deleteMany(byUser, { session })).deletedCount;
+  removed.savedViews = (await SavedViews.rawCollection().deleteMany(byUser, { session })).deletedCount;
+  removed.goals = (await Goals.rawCollection().deleteMany(byUser, { session })).deletedCount;
+  removed.history = (await ItemHistory.rawCollection().deleteMany(byUser, { session })).deletedCount;
+}
+
+// What the account already has that a restore adds to; nothing when it is replaced
+async function findExistingData(userId, mode) {
+  if (mode === RESTORE_MODES.REPLACE) {
+    return { customGames: [], itemKeys: new Set(), tags: [], savedViews: [], goals: [] };
+  }
+
+  const byUser = { userId };
+  const [customGames, items, tags, savedViews, goals] = await Promise.all([
+    Games.find({ ownerId: userId }).fetchAsync(),
+    CollectionItems.find(byUser, { fields: { igdbId: 1, 'game.title': 1, 'game.ownerId': 1 } }).fetchAsync(),
+    Tags.find(byUser, { fields: { normalizedName: 1 } }).fetchAsync(),
+    SavedViews.find(byUser).fetchAsync(),
+    Goals.find(byUser).fetchAsync()
+  ]);
+  return { customGames, itemKeys: new Set(items.map(itemMatchKey)), tags, savedViews, goals };
+}
+
+// IGDB games of the backup's items on this server, fetching the ones it does not have yet
+async function findIgdbGames(items, report) {
+  const igdbIds = [...new Set(items.filter(item => item.igdbId && !item.game?.ownerId).map(item => item.igdbId))];
+  if (igdbIds.length === 0) {
+    return new Map();
+  }
+
+  let games = await Games.find({ igdbId: { $in: igdbIds }, ownerId: null }).fetchAsync();
+  if (games.length < igdbIds.length && isConfigured()) {
+    try {
+      games = await getOrFetchGames(igdbIds);
+    } catch (error) {
+      report.warnings.push('Some games could not be fetched from IGDB and keep the details saved in the backup.');
+    }
+  }
+
+  return new Map(games.map(game => [game.igdbId, game]));
+}
+
+// Custom games to insert, where each backup game ID now points, and the covers to store
+function planCustomGames(userId, backupGames, existingGames, now, report) {
+  const existingByTitle = new Map(existingGames.map(game => [game.title.trim().toLowerCase(), game]));
+  const gameIds = new Map();
+  const games = new Map();
+  const docs = [];
+  const covers = [];
+
+  for (const { _id, cover, ...fields } of backupGames) {
+    const match = existingByTitle.get(fields.title.trim().toLowerCase());
+    if (match) {
+      gameIds.set(_id, match._id);
+      games.set(match._id, match);
+      continue;
+    }
+
+    const game = {
+      ...fields,
+      _id: Random.id(),
+      igdbId: null,
+      ownerId: userId,
+      createdAt: fields.createdAt || now,
+      updatedAt: now
+    };
+    docs.push(game);
+    gameIds.set(_id, game._id);
+    games.set(game._id, game);
+    if (cover) {
+      covers.push({ gameId: game._id, title: game.title, cover });
+    }
+  }
+
+  report.added.customGames = docs.length;
+  return { docs, gameIds, games, covers };
+}
+
+function planTags(userId, names, existingTags, now, report) {
+  const existing = new Set(existingTags.map(tag => tag.normalizedName));
+  const docs = [];
+
+  for (const rawName of names) {
+    let name;
+    try {
+      name = validateTagName(rawName);
+    } catch (error) {
+      report.warnings.push(`Tag "${rawName}" was not restored: ${error.reason}`);
+      continue;
+    }
+
+    const normalizedName = normalizeTagName(name);
+    if (existing.has(normalizedName)) {
+      continue;
+    }
+    if (existing.size >= MAX_TAGS_PER_USER) {
+      report.warnings.push(`Tag "${name}" was not restored: you cannot have more than ${MAX_TAGS_PER_USER} tags`);
+      continue;
+    }
+
+    existing.add(normalizedName);
+    docs.push({ _id: Random.id(), userId, name, normalizedName, createdAt: now, updatedAt: now });
+  }
+
+  report.added.tags = docs.length;
+  return docs;
+}
+
+function planSavedViews(userId, views, existingViews, now, report) {
+  const names = new Set(existingViews.map(view => view.name.toLowerCase()));
+  let hasDefault = existingViews.some(view => view.isDefault);
+  let order = existingViews.reduce((max, view) => Math.max(max, view.order ?? 0), -1);
+  let count = existingViews.length;
+  const docs = [];
+
+  for (const view of views) {
+    const name = validateViewName(view.name);
+    if (names.has(name.toLowerCase())) {
+      report.skipped.savedViews += 1;
+      continue;
+    }
+    if (count >= MAX_SAVED_VIEWS) {
+      report.warnings.push(`Saved view "${name}" was not restored: you cannot have more than ${MAX_SAVED_VIEWS}`);
+      continue;
+    }
+
+    order += 1;
+    count += 1;
+    names.add(name.toLowerCase());
+    const isDefault = view.isDefault === true && !hasDefault;
+    hasDefault = hasDefault || isDefault;
+    docs.push({
+      _id: Random.id(),
+      userId,
+      name,
+      filters: normalizeFilters(view.filters),
+      viewMode: validateViewMode(view.viewMode),
+      bookshelfTheme: validateBookshelfTheme(view.bookshelfTheme),
+      order,
+      isDefault,
+      createdAt: isValidDate(view.createdAt) ? view.createdAt : now,
+      updatedAt: now
+    });
+  }
+
+  report.added.savedViews = docs.length;
+  return docs;
+}
+
+function planGoals(userId, goals, existingGoals, now, report) {
+  const keys = new Set(existingGoals.map(goal => EJSON.stringify([goal.year, goal.type, goal.params || {}])));
+  const perYear = new Map();
+  for (const goal of existingGoals) {
+    perYear.set(goal.year, (perYear.get(goal.year) || 0) + 1);
+  }
+  const docs = [];
+
+  for (const goal of goals) {
+    const validated = validateGoal(goal);
+    const key = EJSON.stringify([validated.year, validated.type, validated.params]);
+    if (keys.has(key)) {
+      report.skipped.goals += 1;
+      continue;
+    }
+    if ((perYear.get(validated.year) || 0) >= MAX_GOALS_PER_YEAR) {
+      report.warnings.push(`A goal for ${validated.year} was not restored: you cannot have more than ${MAX_GOALS_PER_YEAR} goals in a year`);
+      continue;
+    }
+
+    keys.add(key);
+    perYear.set(validated.year, (perYear.get(validated.year) || 0) + 1);
+    docs.push({
+      _id: Random.id(),
+      userId,
+      ...validated,
+      createdAt: isValidDate(goal.createdAt) ? goal.createdAt : now,
+      updatedAt: now
+    });
+  }
+
+  report.added.goals = docs.length;
+  return docs;
+}
+
+// Cover files live outside the database, so they change only once the restore is committed.
+// A file that cannot be written or removed costs a cover, not the restore.
+async function deleteCovers(games) {
+  for (const game of games) {
+    try {
+      await deleteCustomCover(game);
+    } catch (error) {
+      console.error(`Restore: could not delete the cover of custom game ${game._id}:`, error);
+    }
+  }
+}
+
+async function restoreCovers(userId, covers, report) {
+  for (const { gameId, title, cover } of covers) {
+    try {
+      const coverFields = await processCustomCover(cover, gameId);
+      await Games.updateAsync(gameId, { $set: coverFields });
+      await CollectionItems.updateAsync(
+        { userId, gameId },
+        { $set: { 'game.localCoverUrl': coverFields.localCoverUrl } },
+        { multi: true }
+      );
+      report.added.covers += 1;
+    } catch (error) {
+      report.warnings.push(`The cover of "${title}" could not be restored.`);
+    }
+  }
+}
+
+/**
+ * Restore a parsed backup into a user's account
+ *
+ * Replace removes the user's items, custom games, tags, saved views, goals and history first
+ * and takes the backup's preferences. Merge adds the games the collection does not have yet
+ * (matched by IGDB ID, or title for custom games), leaves the ones it has untouched, and adds
+ * missing tags, saved views and goals.
+ *
+ * Every document is built before anything is written, and the removals and inserts run in one
+ * transaction, so a failure leaves the account as it was. Custom game covers are stored after
+ * the transaction commits.
+ *
+ * @param {string} userId
+ * @param {Object} backup - Result of parseBackup
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Promise<Object>} - Report of every change: { mode, removed, added, skipped,
+ *   addedTitles, skippedTitles, unmatchedTitles, preferencesRestored, warnings }
+ */
+export async function restoreBackup(userId, backup, mode) {
+  if (!Object.values(RESTORE_MODES).includes(mode)) {
+    throw new Meteor.Error('invalid-mode', 'Restore mode must be replace or merge');
+  }
+
+  const report = {
+    mode,
+    removed: emptyCounts(),
+    added: emptyCounts(),
+    skipped: { items: 0, savedViews: 0, goals: 0 },
+    addedTitles: [],
+    skippedTitles: [],
+    unmatchedTitles: [],
+    preferencesRestored: false,
+    warnings: []
+  };
+
+  const now = new Date();
+  const igdbGames = await findIgdbGames(backup.items, report);
+  const existing = await findExistingData(userId, mode);
+  const oldCustomGames = mode === RESTORE_MODES.REPLACE
+    ? await Games.find({ ownerId: userId }).fetchAsync()
+    : [];
+
+  const customGames = planCustomGames(userId, backup.customGames, existing.customGames, now, report);
+
+  // Give the items their new IDs first, so references between items (notDuplicateOf) and
+  // from history can be rewritten
+  const itemIds = new Map();
+  const toAdd = [];
+  for (const item of backup.items) {
+    const key = itemMatchKey(item);
+    if (existing.itemKeys.has(key)) {
+      report.skipped.items += 1;
+      report.skippedTitles.push(item.game?.title || 'Unknown Game');
+      continue;
+    }
+    existing.itemKeys.add(key);
+    itemIds.set(item._id, Random.id());
+    toAdd.push(item);
+  }
+
+  const tagNames = backup.tags.map(tag => tag.name).filter(name => typeof name === 'string');
+  const restoredGameIds = new Map();
+  const items = toAdd.map(item => {
+    const { _id, activeSession, ...fields } = item;
+    let gameId = null;
+    let game = item.game || null;
+
+    if (item.game?.ownerId) {
+      gameId = customGames.gameIds.get(item.gameId);
+      game = buildEmbeddedGame(customGames.games.get(gameId));
+    } else if (item.igdbId && igdbGames.has(item.igdbId)) {
+      const localGame = igdbGames.get(item.igdbId);
+      gameId = localGame._id;
+      game = buildEmbeddedGame(localGame);
+    } else {
+      report.unmatchedTitles.push(item.game?.title || 'Unknown Game');
+    }
+
+    const restoredItem = {
+      ...fields,
+      _id: itemIds.get(_id),
+      userId,
+      gameId,
+      game,
+      notDuplicateOf: (item.notDuplicateOf || []).filter(id => itemIds.has(id)).map(id => itemIds.get(id)),
+      updatedAt: now
+    };
+    // Ranks from the backup would interleave with the queue the user has now
+    if (mode === RESTORE_MODES.MERGE) {
+      delete restoredItem.queueRank;
+    }
+
+    restoredGameIds.set(restoredItem._id, gameId);
+    tagNames.push(...(item.tags || []));
+    report.addedTitles.push(game?.title || 'Unknown Game');
+    return restoredItem;
+  });
+  report.added.items = items.length;
+
+  const tags = planTags(userId, [...new Set(tagNames)], existing.tags, now, report);
+  const savedViews = planSavedViews(userId, backup.savedViews, existing.savedViews, now, report);
+  const goals = planGoals(userId, backup.goals, existing.goals, now, report);
+
+  const history = backup.history
+    .filter(entry => itemIds.has(entry.itemId))
+    .map(({ _id, ...entry }) => {
+      const itemId = itemIds.get(entry.itemId);
+      return { ...entry, _id: Random.id(), userId, itemId, gameId: restoredGameIds.get(itemId) };
+    });
+  report.added.history = history.length;
+
+  const restoreRatingScale = mode === RESTORE_MODES.REPLACE && isValidRatingScale(backup.preferences.ratingScale);
+
+  await withTransaction(async (session) => {
+    if (mode === RESTORE_MODES.REPLACE) {
+      await removeUserData(userId, session, report.removed);
+    }
+
+    await insertAll(Games, customGames.docs, session);
+    await insertAll(CollectionItems, items, session);
+    await insertAll(Tags, tags, session);
+    await insertAll(SavedViews, savedViews, session);
+    await insertAll(Goals, goals, session);
+    await insertAll(ItemHistory, history, session);
+
+    if (restoreRatingScale) {
+      await Meteor.users.rawCollection().updateOne(
+        { _id: userId },
+        { $set: { 'preferences.ratingScale': backup.preferences.ratingScale } },
+        { session }
+      );
+    }
+  });
+  report.preferencesRestored = restoreRatingScale;
+
+  await deleteCovers(oldCustomGames);
+  await restoreCovers(userId, customGames.covers, report);
+
+  return report;
+}
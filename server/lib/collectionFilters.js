@@ -0,0 +1,161 @@
+/**
+ * collectionFilters.js - The collection query shared by the grid, its count and bulk edits
+ *
+ * collection.getItemsChunk, collection.getCount and collection.bulkUpdate all build their
+ * match here, so the items shown, the total and a "select all matching" edit always agree.
+ * Each then hides editions grouped under their base game (see groupEditionsMatch).
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { Match } from 'meteor/check';
+import { MAX_FILTER_VALUES, toFilterList } from '../../imports/lib/constants/filters.js';
+import { DEFAULT_RATING_SCALE } from '../../imports/lib/constants/ratings.js';
+import { NOT_TRASHED } from './trash.js';
+import { buildSearchConditions } from './searchQuery.js';
+
+const MAX_TAG_FILTERS = 50;
+
+const StringOrList = Match.Maybe(Match.OneOf(String, [String]));
+const OptionalNumber = Match.Maybe(Match.OneOf(Number, null));
+
+export const collectionFiltersPattern = {
+  status: StringOrList,
+  platform: StringOrList,
+  storefront: StringOrList,
+  genre: StringOrList,
+  favorite: Match.Maybe(Boolean),
+  physical: Match.Maybe(Boolean),
+  rated: Match.Maybe(Boolean),
+  queued: Match.Maybe(Boolean),
+  yearMin: OptionalNumber,
+  yearMax: OptionalNumber,
+  hoursMin: OptionalNumber,
+  hoursMax: OptionalNumber,
+  beatMin: OptionalNumber,
+  beatMax: OptionalNumber,
+  search: Match.Maybe(String),
+  tagsAny: Match.Maybe([String]),
+  tagsAll: Match.Maybe([String])
+};
+
+// Item field matched by each list filter
+const LIST_FILTER_FIELDS = {
+  status: 'status',
+  platform: 'platforms',
+  storefront: 'storefronts',
+  genre: 'game.genres'
+};
+
+const RANGE_FILTER_FIELDS = [
+  { path: 'game.releaseYear', min: 'yearMin', max: 'yearMax' },
+  { path: 'hoursPlayed', min: 'hoursMin', max: 'hoursMax' },
+  // IGDB's time-to-beat estimate (see imports/lib/constants/timeToBeat.js)
+  { path: 'game.hoursToBeat', min: 'beatMin', max: 'beatMax' }
+];
+
+function invalidFilters(message) {
+  return new Meteor.Error('invalid-filters', message);
+}
+
+// Adds tag conditions to a collection query: tagsAny matches items with at least one of
+// the tags, tagsAll matches items with every tag
+export function applyTagFilters(query, filters) {
+  const tagsAny = (filters.tagsAny || []).slice(0, MAX_TAG_FILTERS);
+  const tagsAll = (filters.tagsAll || []).slice(0, MAX_TAG_FILTERS);
+
+  if (tagsAny.length === 0 && tagsAll.length === 0) {
+    return query;
+  }
+
+  query.tags = {};
+  if (tagsAny.length > 0) {
+    query.tags.$in = tagsAny;
+  }
+  if (tagsAll.length > 0) {
+    query.tags.$all = tagsAll;
+  }
+
+  return query;
+}
+
+function applyListFilters(query, filters) {
+  for (const [key, path] of Object.entries(LIST_FILTER_FIELDS)) {
+    const values = toFilterList(filters[key]);
+    if (values.length > MAX_FILTER_VALUES) {
+      throw invalidFilters(`Choose at most ${MAX_FILTER_VALUES} values for the ${key} filter`);
+    }
+    if (values.length === 1) {
+      query[path] = values[0];
+    } else if (values.length > 1) {
+      query[path] = { $in: values };
+    }
+  }
+}
+
+function applyRangeFilters(query, filters) {
+  for (const { path, min, max } of RANGE_FILTER_FIELDS) {
+    const condition = {};
+    for (const [key, operator] of [[min, '$gte'], [max, '$lte']]) {
+      const value = filters[key];
+      if (value === null || value === undefined) {
+        continue;
+      }
+      if (!Number.isFinite(value) || value < 0) {
+        throw invalidFilters(`${key} must be zero or a positive number`);
+      }
+      condition[operator] = value;
+    }
+    if (Object.keys(condition).length > 0) {
+      query[path] = condition;
+    }
+  }
+}
+
+/**
+ * Build the Mongo match for a user's collection with the given filters
+ * @param {string} userId
+ * @param {Object} filters - Matches collectionFiltersPattern
+ * @param {string} ratingScale - The user's rating scale, for ratings in the search query
+ * @returns {Object}
+ */
+export function buildCollectionMatch(userId, filters = {}, ratingScale = DEFAULT_RATING_SCALE) {
+  const match = { userId, ...NOT_TRASHED };
+
+  applyListFilters(match, filters);
+
+  if (filters.favorite === true) {
+    match.favorite = true;
+  }
+
+  // Physical copy or not; items saved without the flag count as digital
+  if (filters.physical === true) {
+    match.physical = true;
+  } else if (filters.physical === false) {
+    match.physical = { $ne: true };
+  }
+
+  if (filters.rated === true) {
+    match.rating = { $gt: 0 };
+  } else if (filters.rated === false) {
+    match.rating = { $not: { $gt: 0 } };
+  }
+
+  // In the Up Next queue or not (see server/methods/queueMethods.js)
+  if (filters.queued === true) {
+    match.queueRank = { $type: 'string' };
+  } else if (filters.queued === false) {
+    match.queueRank = null;
+  }
+
+  applyRangeFilters(match, filters);
+
+  // Search box query language (see server/lib/searchQuery.js)
+  const searchConditions = buildSearchConditions(filters.search, ratingScale);
+  if (searchConditions.length > 0) {
+    match.$and = searchConditions;
+  }
+
+  applyTagFilters(match, filters);
+
+  return match;
+}
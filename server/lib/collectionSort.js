@@ -0,0 +1,97 @@
+/**
+ * collectionSort.js - Sort stages for collection.getItemsChunk
+ *
+ * Every sort ends with _id so items with equal values always come back in the same order
+ * and skip/limit paging never repeats or drops an item between chunks. Missing values
+ * (an unrated game, a game never started) sort last in both directions.
+ */
+
+import { DEFAULT_SORT, RANDOM_SORT, isValidSort } from '../../imports/lib/constants/sorts.js';
+
+// Sort key (the part of the sort value before -asc/-desc) to item field
+const SORT_FIELDS = {
+  date: { path: 'dateAdded', alwaysSet: true },
+  rating: { path: 'rating' },
+  hours: { path: 'hoursPlayed' },
+  release: { path: 'game.releaseYear' },
+  started: { path: 'dateStarted' },
+  completed: { path: 'dateCompleted' },
+  updated: { path: 'updatedAt', alwaysSet: true },
+  'igdb-rating': { path: 'game.rating' },
+  queue: { path: 'queueRank' }
+};
+
+// Computed fields added for sorting, removed again before items are returned
+export const SORT_HELPER_FIELDS = ['sortTitle', 'sortMissing'];
+
+/**
+ * Split a sort value such as 'rating-desc' into its key and direction
+ * @param {string} sort
+ * @returns {{ key: string, direction: number, random: boolean }}
+ */
+export function parseSort(sort) {
+  const value = isValidSort(sort) ? sort : DEFAULT_SORT;
+  if (value === RANDOM_SORT) {
+    return { key: RANDOM_SORT, direction: 1, random: true };
+  }
+
+  const separator = value.lastIndexOf('-');
+  return {
+    key: value.slice(0, separator),
+    direction: value.slice(separator + 1) === 'desc' ? -1 : 1,
+    random: false
+  };
+}
+
+/**
+ * Aggregation stages that order items for a sort value (not used for the random sort)
+ * @param {string} sort
+ * @returns {Array<Object>}
+ */
+export function buildSortStages(sort) {
+  const { key, direction } = parseSort(sort);
+
+  if (key === 'name') {
+    return [
+      { $addFields: { sortTitle: { $toLower: { $ifNull: ['$game.title', ''] } } } },
+      { $sort: { sortTitle: direction, _id: direction } }
+    ];
+  }
+
+  const { path, alwaysSet } = SORT_FIELDS[key];
+
+  // Descending already puts null and missing values last, and can use the
+  // { userId, field, _id } indexes directly
+  if (alwaysSet || direction === -1) {
+    return [{ $sort: { [path]: direction, _id: direction } }];
+  }
+
+  return [
+    { $addFields: { sortMissing: { $cond: [{ $eq: [{ $ifNull: [`$${path}`, null] }, null] }, 1, 0] } } },
+    { $sort: { sortMissing: 1, [path]: direction, _id: direction } }
+  ];
+}
+
+// 32-bit FNV-1a hash
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Shuffle item ids in an order fixed by the seed. Adding or removing an item does not move
+ * the others relative to each other.
+ * @param {string[]} ids
+ * @param {string} seed
+ * @returns {string[]}
+ */
+export function seededOrder(ids, seed) {
+  return ids
+    .map(id => ({ id, hash: hashString(`${seed}:${id}`) }))
+    .sort((a, b) => a.hash - b.hash || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .map(entry => entry.id);
+}
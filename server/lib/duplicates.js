@@ -0,0 +1,213 @@
+/**
+ * duplicates.js - Finding and merging duplicate collection items
+ *
+ * Imports from several sources can add the same game twice: one IGDB game cached under two
+ * game documents, a custom game for a game IGDB also has, or titles that only differ by an
+ * edition suffix. Items are paired when they share an igdbId, or when their titles match
+ * after normalizing and their release years do not disagree.
+ */
+
+import {
+  COLLECTION_STATUSES,
+  MAX_OWNED_COPIES,
+  MAX_PLAYTHROUGHS
+} from '../../imports/lib/collections/collectionItems.js';
+import { MAX_TAGS_PER_ITEM } from '../../imports/lib/collections/tags.js';
+import { DUPLICATE_REASONS } from '../../imports/lib/constants/duplicates.js';
+import { normalizeForComparison } from '../igdb/client.js';
+import { getOwnedCopies, ownershipFields, appendCopies } from './ownedCopies.js';
+import { MAX_PLAY_SESSIONS, getHoursBaseline, playtimeFields } from './playSessions.js';
+
+// Same limit collection.updateItem enforces
+const MAX_NOTES_LENGTH = 10000;
+
+// Edition words dropped from the end of normalized titles, e.g. "deluxe edition", "goty"
+const EDITION_SUFFIX = /(\s(game of the year|goty|deluxe|definitive|complete|ultimate|gold|standard|special|premium|enhanced|anniversary|collector s|digital|directors|director s)( edition| cut)?)+$/;
+
+// Least to most progress; merging keeps the status furthest along
+const STATUS_PROGRESS = [
+  COLLECTION_STATUSES.WISHLIST,
+  COLLECTION_STATUSES.BACKLOG,
+  COLLECTION_STATUSES.ABANDONED,
+  COLLECTION_STATUSES.PLAYING,
+  COLLECTION_STATUSES.COMPLETED
+];
+
+/**
+ * Title used to compare items, without punctuation, case or edition suffixes
+ * @param {string} title
+ * @returns {string}
+ */
+export function duplicateTitleKey(title) {
+  if (!title) {
+    return '';
+  }
+  const normalized = normalizeForComparison(title);
+  const stripped = normalized.replace(EDITION_SUFFIX, '').trim();
+  return stripped || normalized;
+}
+
+function pairKey(first, second) {
+  return first < second ? `${first}|${second}` : `${second}|${first}`;
+}
+
+function isDismissed(first, second) {
+  return (first.notDuplicateOf || []).includes(second._id) ||
+    (second.notDuplicateOf || []).includes(first._id);
+}
+
+/**
+ * Pairs of items that look like the same game
+ *
+ * @param {Array<Object>} items - The user's items with igdbId, game.title, game.releaseYear
+ *   and notDuplicateOf
+ * @returns {Array<{ itemIds: string[], reason: string }>}
+ */
+export function findDuplicatePairs(items) {
+  const pairs = new Map();
+
+  const addGroupPairs = (group, reason, matches = () => true) => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [first, second] = [group[i], group[j]];
+        const key = pairKey(first._id, second._id);
+        if (!pairs.has(key) && !isDismissed(first, second) && matches(first, second)) {
+          pairs.set(key, { itemIds: [first._id, second._id], reason });
+        }
+      }
+    }
+  };
+
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      if (key) {
+        groups.set(key, [...(groups.get(key) || []), item]);
+      }
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+  };
+
+  for (const group of groupBy(item => item.igdbId)) {
+    addGroupPairs(group, DUPLICATE_REASONS.SAME_IGDB_GAME);
+  }
+
+  // Remakes share their original's title, so a known release year has to agree. Editions
+  // IGDB links to their base game are grouped with it instead (see gameRelations.js)
+  const isEditionOf = (edition, base) => Boolean(base.igdbId) && edition.game?.editionOf === base.igdbId;
+  for (const group of groupBy(item => duplicateTitleKey(item.game?.title))) {
+    addGroupPairs(group, DUPLICATE_REASONS.SAME_TITLE, (first, second) => {
+      if (isEditionOf(first, second) || isEditionOf(second, first)) {
+        return false;
+      }
+      const firstYear = first.game?.releaseYear;
+      const secondYear = second.game?.releaseYear;
+      return !firstYear || !secondYear || firstYear === secondYear;
+    });
+  }
+
+  return [...pairs.values()];
+}
+
+function earlier(first, second) {
+  if (!first || !second) {
+    return first || second || null;
+  }
+  return first <= second ? first : second;
+}
+
+function later(first, second) {
+  if (!first || !second) {
+    return first || second || null;
+  }
+  return first >= second ? first : second;
+}
+
+function mergeNotes(first, second) {
+  const notes = [first, second]
+    .map(note => (note || '').trim())
+    .filter(Boolean);
+  const combined = notes.length === 2 && notes[0] === notes[1] ? notes[0] : notes.join('\n\n');
+  return combined.slice(0, MAX_NOTES_LENGTH);
+}
+
+// Sessions from both; imported playtime and entered hours usually count the same play time
+// on both items, so the higher figure of each is kept
+function mergePlaytime(keeper, loser) {
+  const playSessions = [...(keeper.playSessions || []), ...(loser.playSessions || [])].slice(0, MAX_PLAY_SESSIONS);
+
+  const importedHours = { ...(loser.importedHours || {}) };
+  for (const [source, hours] of Object.entries(keeper.importedHours || {})) {
+    importedHours[source] = Math.max(hours, importedHours[source] ?? 0);
+  }
+
+  const baselines = [getHoursBaseline(keeper), getHoursBaseline(loser)].filter(value => typeof value === 'number');
+
+  return {
+    playSessions,
+    ...playtimeFields({}, {
+      hoursBaseline: baselines.length > 0 ? Math.max(...baselines) : null,
+      playSessions,
+      importedHours
+    })
+  };
+}
+
+/**
+ * Fields to set on the kept item when the other is merged into it (see MERGE_RULES)
+ *
+ * @param {Object} keeper - Item that stays, with its game
+ * @param {Object} loser - Item merged into it and then removed
+ * @returns {Object}
+ */
+export function mergeItemFields(keeper, loser) {
+  const keeperProgress = STATUS_PROGRESS.indexOf(keeper.status);
+  const loserProgress = STATUS_PROGRESS.indexOf(loser.status);
+
+  const fields = {
+    status: loserProgress > keeperProgress ? loser.status : keeper.status,
+    rating: keeper.rating || loser.rating || null,
+    ...mergePlaytime(keeper, loser),
+    dateAdded: earlier(keeper.dateAdded, loser.dateAdded),
+    dateStarted: earlier(keeper.dateStarted, loser.dateStarted),
+    dateCompleted: later(keeper.dateCompleted, loser.dateCompleted),
+    ...ownershipFields(appendCopies(getOwnedCopies(keeper), getOwnedCopies(loser)).slice(0, MAX_OWNED_COPIES)),
+    playthroughs: [...(keeper.playthroughs || []), ...(loser.playthroughs || [])].slice(0, MAX_PLAYTHROUGHS),
+    notes: mergeNotes(keeper.notes, loser.notes),
+    tags: [...new Set([...(keeper.tags || []), ...(loser.tags || [])])].slice(0, MAX_TAGS_PER_ITEM),
+    ownedEditions: [...new Set([...(keeper.ownedEditions || []), ...(loser.ownedEditions || [])])],
+    ownedDlc: [...new Set([...(keeper.ownedDlc || []), ...(loser.ownedDlc || [])])],
+    favorite: Boolean(keeper.favorite || loser.favorite),
+    physical: Boolean(keeper.physical || loser.physical)
+  };
+
+  const queueRank = keeper.queueRank || loser.queueRank;
+  if (queueRank) {
+    fields.queueRank = queueRank;
+  }
+
+  return fields;
+}
+
+/**
+ * Which of two duplicates to keep by default: an IGDB game over a custom one, then the item
+ * with more recorded, then the older item
+ * @param {Object} first
+ * @param {Object} second
+ * @returns {Object} - first or second
+ */
+export function suggestKeeper(first, second) {
+  const score = (item) =>
+    (item.game?.ownerId ? 0 : 100) +
+    (item.rating ? 10 : 0) +
+    (item.hoursPlayed ? 10 : 0) +
+    (item.playthroughs || []).length +
+    (item.notes ? 1 : 0);
+
+  const difference = score(first) - score(second);
+  if (difference !== 0) {
+    return difference > 0 ? first : second;
+  }
+  return (second.dateAdded || 0) < (first.dateAdded || 0) ? second : first;
+}
@@ -2,6 +2,8 @@
  * gameHelpers.js - Shared utilities for game data manipulation
  */
 
+import { estimateHoursToBeat } from '../../imports/lib/constants/timeToBeat.js';
+
 /**
  * Build the embedded game subdocument for denormalization in collectionItems.
  * This contains frequently-accessed game fields to avoid $lookup aggregations.
@@ -18,10 +20,16 @@ export function buildEmbeddedGame(game) {
     title: game.title || null,
     slug: game.slug || null,
     releaseYear: game.releaseYear || null,
+    rating: game.rating ?? null,
     ownerId: game.ownerId || null,
     genres: game.genres || [],
     localCoverUrl: game.localCoverUrl || null,
     coverImageId: game.coverImageId || null,
-    igdbCoverUrl: game.igdbCoverUrl || null
+    igdbCoverUrl: game.igdbCoverUrl || null,
+    editionOf: game.versionParent?.igdbId || null,
+    franchises: game.franchises || [],
+    series: game.series || [],
+    timeToBeat: game.timeToBeat || null,
+    hoursToBeat: estimateHoursToBeat(game.timeToBeat)
   };
 }
@@ -0,0 +1,191 @@
+/**
+ * gameRelations.js - Editions, DLC, expansions, franchises and series of IGDB games
+ *
+ * IGDB links an edition (e.g. a Deluxe Edition) to its base game through version_parent, and
+ * lists a game's DLC, expansions, franchises and series (IGDB "collections"). Games store these
+ * as { igdbId, title } references; items carry game.editionOf so editions can be grouped with
+ * their base game in the collection, and game.franchises and game.series for the series view.
+ */
+
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { NOT_TRASHED } from './trash.js';
+
+export const ADDON_TYPES = {
+  DLC: 'dlc',
+  EXPANSION: 'expansion'
+};
+
+// Editions cached for one base game that are listed in the detail view
+const MAX_EDITIONS = 50;
+
+/**
+ * Reference to a related IGDB game. IGDB returns plain ids for fields that were not expanded.
+ * @param {Object|number} ref - { id, name } or an id
+ * @returns {Object|null} - { igdbId, title }
+ */
+export function toGameRef(ref) {
+  if (typeof ref === 'number') {
+    return { igdbId: ref, title: null };
+  }
+  if (!ref?.id) {
+    return null;
+  }
+  return { igdbId: ref.id, title: ref.name || null };
+}
+
+/**
+ * Relationship fields stored on Games for one IGDB game
+ * @param {Object} igdbGame - Game from the IGDB API
+ * @returns {Object}
+ */
+export function transformGameRelations(igdbGame) {
+  const refs = (list) => (list || []).map(toGameRef).filter(Boolean);
+
+  return {
+    versionParent: toGameRef(igdbGame.version_parent),
+    versionTitle: igdbGame.version_title || null,
+    parentGame: toGameRef(igdbGame.parent_game),
+    dlcs: refs(igdbGame.dlcs),
+    expansions: refs(igdbGame.expansions),
+    franchises: refs(igdbGame.franchises),
+    series: refs(igdbGame.collections)
+  };
+}
+
+/**
+ * Editions, DLC and expansions of an item's game, marked with what the user owns. DLC counts
+ * as owned when it is recorded on the item or is an item of its own in the collection.
+ *
+ * @param {Object} item - Collection item with igdbId, ownedEditions and ownedDlc
+ * @param {Object} game - The item's game
+ * @param {Array<Object>} editionGames - Cached games that are editions of the same base game
+ * @param {Set<number>} collectionIgdbIds - IGDB ids of the user's other items
+ * @returns {Object} - { baseGame, editions, addons }
+ */
+export function buildRelatedContent(item, game, editionGames, collectionIgdbIds) {
+  const ownedEditions = new Set(item.ownedEditions || []);
+  const ownedDlc = new Set(item.ownedDlc || []);
+  const baseGame = game.versionParent || null;
+
+  const editions = [
+    ...(baseGame ? [{ igdbId: baseGame.igdbId, title: baseGame.title, versionTitle: null }] : []),
+    ...editionGames.map(edition => ({
+      igdbId: edition.igdbId,
+      title: edition.title,
+      versionTitle: edition.versionTitle || null
+    }))
+  ]
+    .filter(edition => edition.igdbId !== game.igdbId)
+    .map(edition => ({
+      ...edition,
+      owned: ownedEditions.has(edition.igdbId),
+      inCollection: collectionIgdbIds.has(edition.igdbId)
+    }));
+
+  const addons = [
+    ...(game.dlcs || []).map(ref => ({ ...ref, type: ADDON_TYPES.DLC })),
+    ...(game.expansions || []).map(ref => ({ ...ref, type: ADDON_TYPES.EXPANSION }))
+  ].map(addon => ({
+    ...addon,
+    owned: ownedDlc.has(addon.igdbId) || collectionIgdbIds.has(addon.igdbId),
+    inCollection: collectionIgdbIds.has(addon.igdbId)
+  }));
+
+  return { baseGame, parentGame: game.parentGame || null, editions, addons };
+}
+
+/**
+ * Load the related content for one item
+ * @param {Object} item - The user's collection item
+ * @returns {Promise<Object>} - See buildRelatedContent
+ */
+export async function getRelatedContent(item) {
+  const game = item.gameId ? await Games.findOneAsync(item.gameId) : null;
+  if (!game?.igdbId) {
+    return { baseGame: null, parentGame: null, editions: [], addons: [] };
+  }
+
+  const baseIgdbId = game.versionParent?.igdbId || game.igdbId;
+  const editionGames = await Games.find(
+    { 'versionParent.igdbId': baseIgdbId },
+    { fields: { igdbId: 1, title: 1, versionTitle: 1 }, sort: { title: 1 }, limit: MAX_EDITIONS }
+  ).fetchAsync();
+
+  const relatedIds = [
+    baseIgdbId,
+    ...editionGames.map(edition => edition.igdbId),
+    ...(game.dlcs || []).map(ref => ref.igdbId),
+    ...(game.expansions || []).map(ref => ref.igdbId)
+  ];
+  const collectionItems = await CollectionItems.find(
+    { userId: item.userId, igdbId: { $in: relatedIds }, _id: { $ne: item._id }, ...NOT_TRASHED },
+    { fields: { igdbId: 1 } }
+  ).fetchAsync();
+
+  return buildRelatedContent(item, game, editionGames, new Set(collectionItems.map(entry => entry.igdbId)));
+}
+
+/**
+ * Hide editions whose base game also matches, so both show as one card. Returns the match
+ * to use and the IGDB ids of the base games that have editions grouped under them.
+ *
+ * @param {Object} match - Collection match from buildCollectionMatch
+ * @returns {Promise<{ match: Object, groupedBaseIds: number[] }>}
+ */
+export async function groupEditionsMatch(match) {
+  const rawCollection = CollectionItems.rawCollection();
+
+  const editionBaseIds = await rawCollection.distinct('game.editionOf', {
+    ...match,
+    'game.editionOf': { $type: 'number' }
+  });
+  if (editionBaseIds.length === 0) {
+    return { match, groupedBaseIds: [] };
+  }
+
+  const groupedBaseIds = await rawCollection.distinct('igdbId', {
+    ...match,
+    igdbId: { $in: editionBaseIds }
+  });
+  if (groupedBaseIds.length === 0) {
+    return { match, groupedBaseIds };
+  }
+
+  return {
+    match: {
+      ...match,
+      $and: [...(match.$and || []), { 'game.editionOf': { $nin: groupedBaseIds } }]
+    },
+    groupedBaseIds
+  };
+}
+
+/**
+ * Add the grouped editions to each base game item in a page, as item.editions
+ *
+ * @param {Array<Object>} items - Page of items
+ * @param {Object} match - The match before grouping
+ * @param {number[]} groupedBaseIds - From groupEditionsMatch
+ * @returns {Promise<Array<Object>>}
+ */
+export async function attachEditions(items, match, groupedBaseIds) {
+  const grouped = new Set(groupedBaseIds);
+  const baseIds = [...new Set(items.map(item => item.igdbId).filter(igdbId => grouped.has(igdbId)))];
+  if (baseIds.length === 0) {
+    return items;
+  }
+
+  const editions = await CollectionItems.find(
+    { ...match, 'game.editionOf': { $in: baseIds } },
+    { fields: { _id: 1, 'game.title': 1, 'game.editionOf': 1, status: 1, platforms: 1 }, sort: { 'game.title': 1 } }
+  ).fetchAsync();
+
+  const byBase = new Map();
+  for (const edition of editions) {
+    const baseId = edition.game.editionOf;
+    byBase.set(baseId, [...(byBase.get(baseId) || []), edition]);
+  }
+
+  return items.map(item => (byBase.has(item.igdbId) ? { ...item, editions: byBase.get(item.igdbId) } : item));
+}
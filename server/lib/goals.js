@@ -0,0 +1,278 @@
+/**
+ * goals.js - Yearly goals and the progress made on them
+ *
+ * A goal is a stored rule such as "complete 24 games in 2026". Progress is worked out from the
+ * collection each time goals are shown, so it follows status changes, sessions and purchases
+ * without any bookkeeping. Years run on UTC dates, like the dates entered in the item form.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import {
+  CollectionItems,
+  COLLECTION_STATUSES,
+  PLAYTHROUGH_OUTCOMES
+} from '../../imports/lib/collections/collectionItems.js';
+import { GOAL_TYPES, GOAL_PACES } from '../../imports/lib/constants/goals.js';
+import { NOT_TRASHED } from './trash.js';
+
+export const MIN_GOAL_YEAR = 1970;
+export const MAX_GOAL_YEAR = 2100;
+
+const MAX_GOAL_COUNT = 10000;
+const MAX_GOAL_HOURS = 100000;
+const MAX_GOAL_BUDGET = 1000000000;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const COUNT_GOALS = [GOAL_TYPES.COMPLETE_GAMES, GOAL_TYPES.COMPLETE_OLD_BACKLOG, GOAL_TYPES.PLAY_OLD_GAMES];
+
+const MS_PER_YEAR_OWNED = 365.25 * 24 * 60 * 60 * 1000;
+
+function yearStart(year) {
+  return new Date(Date.UTC(year, 0, 1));
+}
+
+function inYear(date, year) {
+  return date instanceof Date && date >= yearStart(year) && date < yearStart(year + 1);
+}
+
+/**
+ * Share of the year that has passed, from 0 before it starts to 1 once it is over
+ * @param {number} year
+ * @param {Date} now
+ * @returns {number}
+ */
+export function yearElapsed(year, now) {
+  const start = yearStart(year).getTime();
+  const end = yearStart(year + 1).getTime();
+  return Math.min(Math.max((now.getTime() - start) / (end - start), 0), 1);
+}
+
+/**
+ * Check a goal before it is stored and keep only the params its type uses. Throws
+ * Meteor.Error on the first problem.
+ *
+ * @param {Object} goal - { year, type, target, params }
+ * @returns {Object} - The goal to store
+ */
+export function validateGoal(goal) {
+  if (!Number.isInteger(goal.year) || goal.year < MIN_GOAL_YEAR || goal.year > MAX_GOAL_YEAR) {
+    throw new Meteor.Error('invalid-year', `Year must be between ${MIN_GOAL_YEAR} and ${MAX_GOAL_YEAR}`);
+  }
+
+  if (!Object.values(GOAL_TYPES).includes(goal.type)) {
+    throw new Meteor.Error('invalid-goal-type', 'Unknown goal type');
+  }
+
+  const target = goal.target;
+  if (COUNT_GOALS.includes(goal.type)) {
+    if (!Number.isInteger(target) || target < 1 || target > MAX_GOAL_COUNT) {
+      throw new Meteor.Error('invalid-target', `Target must be a whole number from 1 to ${MAX_GOAL_COUNT}`);
+    }
+  } else if (goal.type === GOAL_TYPES.PLAY_HOURS) {
+    if (!Number.isFinite(target) || target <= 0 || target > MAX_GOAL_HOURS) {
+      throw new Meteor.Error('invalid-target', `Target must be more than 0 and at most ${MAX_GOAL_HOURS} hours`);
+    }
+  } else if (!Number.isFinite(target) || target < 0 || target > MAX_GOAL_BUDGET) {
+    throw new Meteor.Error('invalid-target', 'Budget must be zero or a positive amount');
+  }
+
+  const params = goal.params || {};
+  const stored = {};
+  if (goal.type === GOAL_TYPES.COMPLETE_OLD_BACKLOG) {
+    if (!Number.isInteger(params.minYearsOwned) || params.minYearsOwned < 1 || params.minYearsOwned > 50) {
+      throw new Meteor.Error('invalid-params', 'Years owned must be a whole number from 1 to 50');
+    }
+    stored.minYearsOwned = params.minYearsOwned;
+  }
+  if (goal.type === GOAL_TYPES.PLAY_OLD_GAMES) {
+    if (!Number.isInteger(params.releasedBefore) || params.releasedBefore < MIN_GOAL_YEAR - 100 ||
+        params.releasedBefore > MAX_GOAL_YEAR) {
+      throw new Meteor.Error('invalid-params', 'Choose the release year games must be older than');
+    }
+    stored.releasedBefore = params.releasedBefore;
+  }
+  if (goal.type === GOAL_TYPES.SPEND_AT_MOST) {
+    const currency = (params.currency || '').trim().toUpperCase();
+    if (!CURRENCY_PATTERN.test(currency)) {
+      throw new Meteor.Error('invalid-currency', 'Currency must be a three-letter code such as USD or EUR');
+    }
+    stored.currency = currency;
+  }
+
+  return { year: goal.year, type: goal.type, target, params: stored };
+}
+
+/**
+ * Dates in the year an item was completed: the item's own completion while it is completed,
+ * and the end of every completed playthrough
+ * @param {Object} item
+ * @param {number} year
+ * @returns {Array<Date>} - Earliest first
+ */
+export function completionsInYear(item, year) {
+  const dates = [];
+  if (item.status === COLLECTION_STATUSES.COMPLETED && item.dateCompleted) {
+    dates.push(item.dateCompleted);
+  }
+  for (const playthrough of item.playthroughs || []) {
+    if (playthrough.outcome === PLAYTHROUGH_OUTCOMES.COMPLETED && playthrough.dateCompleted) {
+      dates.push(playthrough.dateCompleted);
+    }
+  }
+  return dates.filter(date => inYear(date, year)).sort((a, b) => a - b);
+}
+
+// Started, completed or logged a session during the year
+function playedInYear(item, year) {
+  return inYear(item.dateStarted, year) ||
+    completionsInYear(item, year).length > 0 ||
+    (item.playthroughs || []).some(playthrough => inYear(playthrough.dateStarted, year)) ||
+    (item.playSessions || []).some(session => inYear(session.date, year));
+}
+
+function measureGoal(goal, items) {
+  const { year, params } = goal;
+
+  switch (goal.type) {
+    case GOAL_TYPES.COMPLETE_GAMES:
+      return items.filter(item => completionsInYear(item, year).length > 0).length;
+
+    case GOAL_TYPES.COMPLETE_OLD_BACKLOG:
+      // Owned for the given number of years when it was first completed that year
+      return items.filter(item => {
+        const [completed] = completionsInYear(item, year);
+        return completed && item.dateAdded &&
+          completed.getTime() - item.dateAdded.getTime() >= params.minYearsOwned * MS_PER_YEAR_OWNED;
+      }).length;
+
+    case GOAL_TYPES.PLAY_OLD_GAMES:
+      return items.filter(item =>
+        typeof item.game?.releaseYear === 'number' &&
+        item.game.releaseYear < params.releasedBefore &&
+        playedInYear(item, year)
+      ).length;
+
+    case GOAL_TYPES.PLAY_HOURS: {
+      const minutes = items
+        .flatMap(item => item.playSessions || [])
+        .filter(session => inYear(session.date, year))
+        .reduce((total, session) => total + session.minutes, 0);
+      return Math.round(minutes / 6) / 10;
+    }
+
+    case GOAL_TYPES.SPEND_AT_MOST: {
+      const spent = items
+        .flatMap(item => item.ownedCopies || [])
+        .filter(copy => copy.currency === params.currency && typeof copy.price === 'number' &&
+          inYear(copy.purchaseDate, year))
+        .reduce((total, copy) => total + copy.price, 0);
+      return Math.round(spent * 100) / 100;
+    }
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Progress on one goal. For a budget, current is the amount spent and staying at or under
+ * the target is the goal; for the others, reaching the target is.
+ *
+ * @param {Object} goal - Stored goal
+ * @param {Array<Object>} items - Items with activity in the goal's year (see loadYearActivity)
+ * @param {Date} [now]
+ * @returns {Object} - { current, target, percent, expected, projected, pace }
+ */
+export function evaluateGoal(goal, items, now = new Date()) {
+  const current = measureGoal(goal, items);
+  const { target } = goal;
+  const elapsed = yearElapsed(goal.year, now);
+  const yearOver = elapsed >= 1;
+  const percent = target > 0 ? Math.min(Math.round((current / target) * 100), 100) : (current > 0 ? 100 : 0);
+
+  // Where the year's pace ends up; unknown before the year starts
+  const projected = elapsed > 0 ? Math.round((current / elapsed) * 10) / 10 : null;
+  const expected = Math.round(target * elapsed * 10) / 10;
+
+  let pace;
+  if (goal.type === GOAL_TYPES.SPEND_AT_MOST) {
+    if (current > target) {
+      pace = GOAL_PACES.MISSED;
+    } else if (yearOver) {
+      pace = GOAL_PACES.ACHIEVED;
+    } else if (elapsed === 0) {
+      pace = GOAL_PACES.UPCOMING;
+    } else {
+      pace = projected > target ? GOAL_PACES.BEHIND : GOAL_PACES.ON_TRACK;
+    }
+  } else if (current >= target) {
+    pace = GOAL_PACES.ACHIEVED;
+  } else if (yearOver) {
+    pace = GOAL_PACES.MISSED;
+  } else if (elapsed === 0) {
+    pace = GOAL_PACES.UPCOMING;
+  } else if (current < Math.floor(target * elapsed)) {
+    // Whole games and hours, so being a fraction behind the ideal line still counts as on track
+    pace = GOAL_PACES.BEHIND;
+  } else if (current > Math.ceil(target * elapsed)) {
+    pace = GOAL_PACES.AHEAD;
+  } else {
+    pace = GOAL_PACES.ON_TRACK;
+  }
+
+  return { current, target, percent, expected, projected: yearOver ? null : projected, pace };
+}
+
+/**
+ * A user's items with anything recorded during the year: completions, starts, sessions or
+ * purchases
+ * @param {string} userId
+ * @param {number} year
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadYearActivity(userId, year) {
+  const during = { $gte: yearStart(year), $lt: yearStart(year + 1) };
+
+  return CollectionItems.find(
+    {
+      userId,
+      ...NOT_TRASHED,
+      $or: [
+        { dateCompleted: during },
+        { dateStarted: during },
+        { 'playthroughs.dateCompleted': during },
+        { 'playthroughs.dateStarted': during },
+        { 'playSessions.date': during },
+        { 'ownedCopies.purchaseDate': during }
+      ]
+    },
+    {
+      fields: {
+        status: 1,
+        dateAdded: 1,
+        dateStarted: 1,
+        dateCompleted: 1,
+        'game.releaseYear': 1,
+        playthroughs: 1,
+        playSessions: 1,
+        ownedCopies: 1
+      }
+    }
+  ).fetchAsync();
+}
+
+/**
+ * Goals with their progress, in the order given
+ * @param {string} userId
+ * @param {number} year
+ * @param {Array<Object>} goals - The user's goals for the year
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>} - Each goal with a progress field
+ */
+export async function withProgress(userId, year, goals, now = new Date()) {
+  if (goals.length === 0) {
+    return [];
+  }
+  const items = await loadYearActivity(userId, year);
+  return goals.map(goal => ({ ...goal, progress: evaluateGoal(goal, items, now) }));
+}
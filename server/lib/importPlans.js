@@ -0,0 +1,537 @@
+/**
+ * importPlans.js - Reviewable import plans
+ *
+ * Every importer works in two phases. Matching looks each game from the source up and works out
+ * what importing it would do - add a new item, update one already in the collection, skip it, or
+ * leave it out because no game matched - and stores that as a plan. The user reviews the plan,
+ * unticks the rows they don't want, and commits it; only then is the collection written.
+ *
+ * New items remember how confidently IGDB matched them (see matchReview.js), so weak matches
+ * end up in the match review queue.
+ *
+ * Importers describe each game as an entry:
+ *   name: String            - Title as the source has it
+ *   searchName: String      - Title to search IGDB with, defaults to name
+ *   platform: String        - Platform to narrow the IGDB search
+ *   findGame: async () => Object|null - Replaces the IGDB search, resolves to { game, score, candidates }
+ *   igdbId: Number          - IGDB ID the source already knows, matched even without a game
+ *   skipReason: String      - The entry can't be imported at all
+ *   newItem: () => Object   - Fields of the item to add, without the owner or game
+ *   update: (existing) => Object - Fields to set on the item already in the collection
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { ImportProgress } from '../../imports/lib/collections/importProgress.js';
+import {
+  ImportPlans,
+  IMPORT_PLAN_ACTIONS,
+  IMPORT_PLAN_FIELDS
+} from '../../imports/lib/collections/importPlans.js';
+import { searchAndCacheGameMatch } from '../igdb/gameCache.js';
+import { isConfigured } from '../igdb/client.js';
+import { buildEmbeddedGame } from './gameHelpers.js';
+import { buildMatchRecord } from './matchReview.js';
+import { diffItemFields, describeNewItem, recordItemAdded, recordItemChanges } from './itemHistory.js';
+import { getOwnedCopies, ownershipFields, appendCopies } from './ownedCopies.js';
+import { importedPlaytimeFields, newItemPlaytimeFields } from './playSessions.js';
+
+const ALREADY_IN_COLLECTION = 'Already in collection';
+const RESTORED_FROM_TRASH = 'Restored from the trash';
+
+async function updateProgress(userId, type, progressData) {
+  await ImportProgress.upsertAsync(
+    { userId, type },
+    {
+      $set: {
+        ...progressData,
+        userId,
+        type,
+        updatedAt: new Date()
+      }
+    }
+  );
+}
+
+function emptyCounts() {
+  return { add: 0, update: 0, skip: 0, unmatched: 0 };
+}
+
+// The user's item for the game, preferring one in the collection over one in the trash
+async function findExistingItem(userId, gameId, igdbId) {
+  const selectors = [];
+  if (gameId) {
+    selectors.push({ gameId });
+  }
+  if (igdbId) {
+    selectors.push({ igdbId });
+  }
+  if (selectors.length === 0) {
+    return null;
+  }
+
+  const items = await CollectionItems.find({ userId, $or: selectors }).fetchAsync();
+  return items.find(item => !item.deletedAt) || items[0] || null;
+}
+
+function sameTime(left, right) {
+  return (left ? new Date(left).getTime() : null) === (right ? new Date(right).getTime() : null);
+}
+
+// Work out what importing one entry would do
+async function planEntry(userId, entry, context) {
+  if (entry.skipReason) {
+    return { action: IMPORT_PLAN_ACTIONS.SKIP, reason: entry.skipReason };
+  }
+
+  let match = null;
+  if (entry.findGame) {
+    match = await entry.findGame();
+  } else if (context.igdbEnabled) {
+    try {
+      match = await searchAndCacheGameMatch(entry.searchName || entry.name, entry.platform || null);
+    } catch (error) {
+      console.warn(`IGDB search failed for "${entry.name}":`, error.message);
+    }
+  }
+
+  const game = match?.game || null;
+  const gameId = game?._id || null;
+  const igdbId = game?.igdbId || entry.igdbId || null;
+  const matchedName = game?.title || null;
+
+  // Without IGDB there is nothing to review a match against
+  const matchRecord = context.igdbEnabled ? buildMatchRecord(entry.searchName || entry.name, match) : null;
+
+  // Without a game the item can't be told apart from other unmatched imports
+  if (context.requireMatch && context.igdbEnabled && !gameId) {
+    return { action: IMPORT_PLAN_ACTIONS.UNMATCHED, reason: 'Not found in game database' };
+  }
+
+  // Two entries for the same game only import the first
+  const gameKey = gameId || (igdbId ? `igdb:${igdbId}` : null);
+  if (gameKey) {
+    if (context.plannedGames.has(gameKey)) {
+      return {
+        action: IMPORT_PLAN_ACTIONS.SKIP,
+        matchedName,
+        reason: `Same game as "${context.plannedGames.get(gameKey)}" in this import`
+      };
+    }
+    context.plannedGames.set(gameKey, entry.name);
+  }
+
+  const existing = await findExistingItem(userId, gameId, igdbId);
+  // A match the user already reviewed stays as they left it
+  const updateMatch = existing?.igdbMatch?.reviewedAt ? null : matchRecord;
+
+  // Importing a game that is in the trash brings the old item back, like adding it by hand does
+  if (existing?.deletedAt) {
+    const set = entry.update(existing);
+    return {
+      action: IMPORT_PLAN_ACTIONS.UPDATE,
+      matchedName,
+      gameId,
+      igdbId,
+      itemId: existing._id,
+      itemUpdatedAt: existing.updatedAt || null,
+      restore: true,
+      match: updateMatch,
+      set,
+      changes: diffItemFields(existing, set, IMPORT_PLAN_FIELDS)
+    };
+  }
+
+  if (existing) {
+    if (!context.updateExisting) {
+      return { action: IMPORT_PLAN_ACTIONS.SKIP, matchedName, itemId: existing._id, reason: ALREADY_IN_COLLECTION };
+    }
+
+    const set = entry.update(existing);
+    const changes = diffItemFields(existing, set, IMPORT_PLAN_FIELDS);
+    if (changes.length === 0) {
+      return { action: IMPORT_PLAN_ACTIONS.SKIP, matchedName, itemId: existing._id, reason: 'Already up to date' };
+    }
+
+    return {
+      action: IMPORT_PLAN_ACTIONS.UPDATE,
+      matchedName,
+      gameId,
+      igdbId,
+      itemId: existing._id,
+      itemUpdatedAt: existing.updatedAt || null,
+      match: updateMatch,
+      set,
+      changes
+    };
+  }
+
+  const item = entry.newItem();
+  return {
+    action: IMPORT_PLAN_ACTIONS.ADD,
+    matchedName,
+    gameId,
+    igdbId,
+    item,
+    match: matchRecord,
+    changes: describeNewItem(item, IMPORT_PLAN_FIELDS)
+  };
+}
+
+/**
+ * Entry for a game from a store library. A new item goes in the backlog (or the status the store
+ * reports) with the store's copies and playtime; an item already in the collection gains the
+ * copies it doesn't have yet and the store's playtime.
+ *
+ * @param {Object} game
+ * @param {string} game.name - Title as the store has it
+ * @param {string} game.searchName - Cleaned-up title to search IGDB with
+ * @param {string} game.platform - Platform to narrow the IGDB search
+ * @param {Array<Object>} game.copies - Copies the library entry stands for
+ * @param {string} game.playtimeSource - Key the store's hours are recorded under
+ * @param {number|null} game.hoursPlayed - Store playtime, null when not imported
+ * @param {Date|null} game.lastPlayed - Last played date, null when not imported
+ * @param {string} game.status - Status of a new item
+ * @returns {Object}
+ */
+export function storefrontEntry({
+  name,
+  searchName,
+  platform,
+  copies,
+  playtimeSource,
+  hoursPlayed = null,
+  lastPlayed = null,
+  status = 'backlog'
+}) {
+  return {
+    name,
+    searchName,
+    platform,
+    newItem: () => {
+      const item = {
+        ...ownershipFields(copies),
+        status,
+        favorite: false,
+        ...newItemPlaytimeFields(playtimeSource, hoursPlayed),
+        rating: null,
+        notes: '',
+        physical: false
+      };
+      if (lastPlayed) {
+        item.lastPlayed = lastPlayed;
+      }
+      return item;
+    },
+    update: (existing) => {
+      const updateFields = ownershipFields(appendCopies(getOwnedCopies(existing), copies));
+
+      // Record this store's playtime next to hours logged elsewhere
+      if (hoursPlayed !== null) {
+        Object.assign(updateFields, importedPlaytimeFields(existing, playtimeSource, hoursPlayed));
+      }
+      if (lastPlayed) {
+        updateFields.lastPlayed = lastPlayed;
+      }
+      return updateFields;
+    }
+  };
+}
+
+/**
+ * The part of a plan the client shows, without the fields to write
+ * @param {Object} plan
+ * @returns {Object} - { _id, source, counts, rows: [{ rowId, name, matchedName, action, reason, restore, needsReview, changes }], createdAt }
+ */
+export function summarizePlan(plan) {
+  return {
+    _id: plan._id,
+    source: plan.source,
+    counts: plan.counts,
+    rows: plan.rows.map(row => ({
+      rowId: row.rowId,
+      name: row.name,
+      matchedName: row.matchedName || null,
+      action: row.action,
+      reason: row.reason || null,
+      restore: row.restore || false,
+      needsReview: row.match?.needsReview || false,
+      changes: row.changes || []
+    })),
+    createdAt: plan.createdAt
+  };
+}
+
+/**
+ * Match entries against a user's collection and store the result as an import plan
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.source - Importer name, used as the history source
+ * @param {string} options.progressType - importProgress type to report matching progress to
+ * @param {Array<Object>} options.entries - Games from the source (see the top of this file)
+ * @param {boolean} options.updateExisting - Plan updates for games already in the collection
+ * @param {boolean} options.requireMatch - Leave out games IGDB doesn't know (storefront imports)
+ * @returns {Promise<Object>} - Summary of the stored plan (see summarizePlan)
+ */
+export async function createImportPlan(userId, { source, progressType, entries, updateExisting = true, requireMatch = true }) {
+  const context = {
+    igdbEnabled: isConfigured(),
+    updateExisting,
+    requireMatch,
+    plannedGames: new Map()
+  };
+  const rows = [];
+  const counts = emptyCounts();
+
+  const progressCounts = () => ({ imported: counts.add, updated: counts.update, skipped: counts.skip + counts.unmatched });
+
+  await updateProgress(userId, progressType, {
+    status: 'processing',
+    current: 0,
+    total: entries.length,
+    currentGame: '',
+    ...progressCounts()
+  });
+
+  try {
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const name = entry.name || 'Unknown';
+
+      await updateProgress(userId, progressType, {
+        status: 'processing',
+        current: index + 1,
+        total: entries.length,
+        currentGame: name,
+        ...progressCounts()
+      });
+
+      let row;
+      try {
+        row = await planEntry(userId, entry, context);
+      } catch (error) {
+        row = { action: IMPORT_PLAN_ACTIONS.SKIP, reason: error.message, error: true };
+      }
+
+      rows.push({ rowId: String(index), name, ...row });
+      counts[row.action] += 1;
+    }
+
+    await updateProgress(userId, progressType, {
+      status: 'complete',
+      current: entries.length,
+      total: entries.length,
+      currentGame: '',
+      ...progressCounts()
+    });
+  } catch (error) {
+    await updateProgress(userId, progressType, {
+      status: 'error',
+      error: error.message
+    });
+    throw error;
+  }
+
+  // Matching again replaces the plan the user had not committed yet
+  await ImportPlans.removeAsync({ userId, progressType });
+
+  const plan = { userId, source, progressType, counts, rows, createdAt: new Date() };
+  plan._id = await ImportPlans.insertAsync(plan);
+
+  return summarizePlan(plan);
+}
+
+async function commitAdd(userId, plan, row, games) {
+  // The collection may have changed since the plan was made
+  const existing = await findExistingItem(userId, row.gameId, row.igdbId);
+  if (existing) {
+    return { action: 'skipped', reason: existing.deletedAt ? 'Moved to the trash since the preview' : ALREADY_IN_COLLECTION };
+  }
+
+  const now = new Date();
+  const collectionItem = {
+    ...row.item,
+    userId,
+    dateAdded: row.item.dateAdded || now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Only set gameId/igdbId if found; the unique userId+gameId index only covers items with a game
+  if (row.gameId) {
+    collectionItem.gameId = row.gameId;
+    collectionItem.game = buildEmbeddedGame(games.get(row.gameId));
+  }
+  if (row.igdbId) {
+    collectionItem.igdbId = row.igdbId;
+  }
+  if (row.match) {
+    collectionItem.igdbMatch = row.match;
+  }
+
+  const itemId = await CollectionItems.insertAsync(collectionItem);
+  await recordItemAdded({ _id: itemId, ...collectionItem }, plan.source);
+
+  return { action: 'imported', needsReview: row.match?.needsReview || false };
+}
+
+async function commitUpdate(userId, plan, row) {
+  const existing = await CollectionItems.findOneAsync({ _id: row.itemId, userId });
+  if (!existing) {
+    return { action: 'skipped', reason: 'No longer in collection' };
+  }
+
+  // Updates were worked out from the item as it was; don't overwrite edits made since
+  if (!sameTime(existing.updatedAt, row.itemUpdatedAt) || Boolean(existing.deletedAt) !== Boolean(row.restore)) {
+    return { action: 'skipped', reason: 'Changed since the preview' };
+  }
+
+  const updateFields = {
+    ...row.set,
+    updatedAt: new Date()
+  };
+
+  const modifier = { $set: { ...updateFields } };
+  if (row.restore) {
+    modifier.$unset = { deletedAt: '' };
+  }
+
+  // A weak match on an item already in the collection still goes to the review queue
+  if (row.match) {
+    modifier.$set.igdbMatch = row.match;
+  }
+
+  await CollectionItems.updateAsync(existing._id, modifier);
+  await recordItemChanges(existing, updateFields, plan.source);
+
+  const needsReview = row.match?.needsReview || false;
+  return row.restore ? { action: 'updated', reason: RESTORED_FROM_TRASH, needsReview } : { action: 'updated', needsReview };
+}
+
+/**
+ * Apply a stored import plan, leaving out the rows the user unticked. The plan is removed.
+ *
+ * @param {string} userId
+ * @param {string} planId
+ * @param {string[]} excludedRowIds - rowIds of add and update rows not to apply
+ * @returns {Promise<Object>} - { total, imported, updated, skipped, needsReview, errors, games }
+ */
+export async function commitImportPlan(userId, planId, excludedRowIds = []) {
+  const plan = await ImportPlans.findOneAsync({ _id: planId, userId });
+
+  // Removing the plan first means a second commit of the same plan finds nothing
+  const removed = plan ? await ImportPlans.removeAsync({ _id: planId, userId }) : 0;
+  if (!plan || removed === 0) {
+    throw new Meteor.Error('plan-not-found', 'This import preview has expired or was already imported. Please start the import again.');
+  }
+
+  const excluded = new Set(excludedRowIds);
+  const gameIds = [...new Set(plan.rows.filter(row => row.action === IMPORT_PLAN_ACTIONS.ADD && row.gameId).map(row => row.gameId))];
+  const games = new Map(
+    (await Games.find({ _id: { $in: gameIds } }).fetchAsync()).map(game => [game._id, game])
+  );
+
+  const results = {
+    total: plan.rows.length,
+    imported: 0,
+    updated: 0,
+    skipped: 0,
+    needsReview: 0,
+    errors: [],
+    games: []
+  };
+
+  await updateProgress(userId, plan.progressType, {
+    status: 'processing',
+    current: 0,
+    total: plan.rows.length,
+    currentGame: '',
+    imported: 0,
+    updated: 0,
+    skipped: 0
+  });
+
+  try {
+    for (let index = 0; index < plan.rows.length; index++) {
+      const row = plan.rows[index];
+      const isWrite = row.action === IMPORT_PLAN_ACTIONS.ADD || row.action === IMPORT_PLAN_ACTIONS.UPDATE;
+
+      if (isWrite && !excluded.has(row.rowId)) {
+        await updateProgress(userId, plan.progressType, {
+          status: 'processing',
+          current: index + 1,
+          total: plan.rows.length,
+          currentGame: row.name,
+          imported: results.imported,
+          updated: results.updated,
+          skipped: results.skipped
+        });
+      }
+
+      let outcome;
+      try {
+        if (isWrite && excluded.has(row.rowId)) {
+          outcome = { action: 'skipped', reason: 'Left out of the import' };
+        } else if (row.action === IMPORT_PLAN_ACTIONS.ADD) {
+          outcome = await commitAdd(userId, plan, row, games);
+        } else if (row.action === IMPORT_PLAN_ACTIONS.UPDATE) {
+          outcome = await commitUpdate(userId, plan, row);
+        } else {
+          outcome = { action: row.error ? 'error' : 'skipped', reason: row.reason };
+        }
+      } catch (error) {
+        outcome = { action: 'error', reason: error.message };
+      }
+
+      if (outcome.action === 'imported') {
+        results.imported++;
+      } else if (outcome.action === 'updated') {
+        results.updated++;
+      } else {
+        results.skipped++;
+      }
+      if (outcome.needsReview) {
+        results.needsReview++;
+      }
+      if (outcome.action === 'error') {
+        results.errors.push({ name: row.name, error: outcome.reason });
+      }
+
+      results.games.push({
+        name: row.name,
+        matchedName: row.matchedName || null,
+        action: outcome.action,
+        reason: outcome.reason
+      });
+    }
+
+    await updateProgress(userId, plan.progressType, {
+      status: 'complete',
+      current: plan.rows.length,
+      total: plan.rows.length,
+      currentGame: '',
+      imported: results.imported,
+      updated: results.updated,
+      skipped: results.skipped
+    });
+  } catch (error) {
+    await updateProgress(userId, plan.progressType, {
+      status: 'error',
+      error: error.message
+    });
+    throw error;
+  }
+
+  return results;
+}
+
+/**
+ * Throw away a plan the user decided not to import
+ * @param {string} userId
+ * @param {string} planId
+ */
+export async function discardImportPlan(userId, planId) {
+  await ImportPlans.removeAsync({ _id: planId, userId });
+}
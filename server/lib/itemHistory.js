@@ -0,0 +1,133 @@
+/**
+ * itemHistory.js - Append-only change history for collection items
+ *
+ * Every write path that changes a collection item (methods and importers) records what changed
+ * and where the change came from. History is best effort: a failed write is logged and never
+ * fails the change it describes.
+ */
+
+import {
+  ItemHistory,
+  HISTORY_TYPES,
+  HISTORY_FIELDS,
+  HISTORY_SOURCE_MANUAL
+} from '../../imports/lib/collections/itemHistory.js';
+
+function normalizeValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return value;
+}
+
+function valuesEqual(left, right) {
+  if (left instanceof Date && right instanceof Date) {
+    return left.getTime() === right.getTime();
+  }
+  if (Array.isArray(left) || Array.isArray(right)) {
+    return JSON.stringify(left || []) === JSON.stringify(right || []);
+  }
+  return normalizeValue(left) === normalizeValue(right);
+}
+
+/**
+ * List the tracked fields that differ between an item and the fields being written to it.
+ * Fields missing from `updates` are left out.
+ *
+ * @param {Object} before - Item document before the write
+ * @param {Object} updates - Fields being set
+ * @param {string[]} fields - Fields to compare, the tracked history fields by default
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+export function diffItemFields(before, updates, fields = HISTORY_FIELDS) {
+  const changes = [];
+
+  for (const field of fields) {
+    if (!(field in updates)) {
+      continue;
+    }
+    if (!valuesEqual(before[field], updates[field])) {
+      changes.push({
+        field,
+        from: normalizeValue(before[field]),
+        to: normalizeValue(updates[field])
+      });
+    }
+  }
+
+  return changes;
+}
+
+async function insertEntry(item, type, source, changes, now) {
+  try {
+    await ItemHistory.insertAsync({
+      userId: item.userId,
+      itemId: item._id,
+      gameId: item.gameId || null,
+      gameTitle: item.game?.title || null,
+      type,
+      source: source || HISTORY_SOURCE_MANUAL,
+      changes,
+      createdAt: now
+    });
+  } catch (error) {
+    console.error('Failed to record item history:', error);
+  }
+}
+
+/**
+ * List the fields a new item starts with a value in, as changes from nothing.
+ *
+ * @param {Object} item - New item document
+ * @param {string[]} fields - Fields to list, the tracked history fields by default
+ * @returns {Array<Object>} - [{ field, from: null, to }]
+ */
+export function describeNewItem(item, fields = HISTORY_FIELDS) {
+  return fields
+    .filter(field => {
+      const value = item[field];
+      return value !== null && value !== undefined && value !== false && value !== '' &&
+        !(Array.isArray(value) && value.length === 0);
+    })
+    .map(field => ({ field, from: null, to: item[field] }));
+}
+
+/**
+ * Record that an item was added to a collection, with its initial tracked values.
+ *
+ * @param {Object} item - Inserted item document, including _id
+ * @param {string} source - 'manual' or the importer name
+ */
+export async function recordItemAdded(item, source = HISTORY_SOURCE_MANUAL) {
+  const changes = describeNewItem(item);
+
+  await insertEntry(item, HISTORY_TYPES.ADDED, source, changes, item.createdAt || new Date());
+}
+
+/**
+ * Record the tracked fields changed by a write. Nothing is recorded when no tracked field changed.
+ *
+ * @param {Object} before - Item document before the write
+ * @param {Object} updates - Fields that were set
+ * @param {string} source - 'manual' or the importer name
+ */
+export async function recordItemChanges(before, updates, source = HISTORY_SOURCE_MANUAL) {
+  const changes = diffItemFields(before, updates);
+  if (changes.length === 0) {
+    return;
+  }
+
+  await insertEntry(before, HISTORY_TYPES.UPDATED, source, changes, updates.updatedAt || new Date());
+}
+
+/**
+ * Remove the history of permanently deleted items.
+ *
+ * @param {string[]} itemIds
+ */
+export async function removeItemHistory(itemIds) {
+  if (itemIds.length === 0) {
+    return;
+  }
+  await ItemHistory.removeAsync({ itemId: { $in: itemIds } });
+}
@@ -0,0 +1,39 @@
+/**
+ * matchReview.js - Match confidence for imported games
+ *
+ * Importers take the best scoring IGDB result for each title. The score and the runner-up
+ * results are kept on the imported item so that weak guesses, and titles nothing matched,
+ * can be checked by the owner in the match review queue.
+ */
+
+import {
+  MATCH_REVIEW_THRESHOLD,
+  MAX_MATCH_CANDIDATES
+} from '../../imports/lib/constants/matchReview.js';
+
+/**
+ * Whether a match score is too low to trust without the owner checking it
+ * @param {number|null} score - 0-100, null when nothing matched
+ * @returns {boolean}
+ */
+export function needsMatchReview(score) {
+  return typeof score !== 'number' || score < MATCH_REVIEW_THRESHOLD;
+}
+
+/**
+ * Build the igdbMatch field of an imported item
+ *
+ * @param {string} query - Title the game was searched with
+ * @param {Object|null} match - { game, score, candidates } from searchAndCacheGameMatch, null when no search ran
+ * @returns {Object} - { query, score, candidates, needsReview }
+ */
+export function buildMatchRecord(query, match) {
+  const score = match?.game && typeof match.score === 'number' ? match.score : null;
+
+  return {
+    query,
+    score: score === null ? null : Math.round(score),
+    candidates: (match?.candidates || []).slice(0, MAX_MATCH_CANDIDATES),
+    needsReview: needsMatchReview(score)
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * ownedCopies.js - Per-copy ownership records on collection items
+ *
+ * Each copy says which platform and storefront it is for, plus optional purchase details.
+ * The flat `platforms` and `storefronts` arrays are derived from the copies on every write
+ * (see deriveOwnershipIndex), so filters, search and stats can keep querying them.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import { COPY_FORMATS, deriveOwnershipIndex } from '../../imports/lib/collections/collectionItems.js';
+import { getValidStorefrontIds } from '../../imports/lib/constants/storefronts.js';
+
+const MAX_COPY_LABEL_LENGTH = 100;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const validFormats = Object.values(COPY_FORMATS);
+
+function trimOrNull(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+function normalizeCurrency(currency) {
+  const trimmed = trimOrNull(currency);
+  return trimmed ? trimmed.toUpperCase() : null;
+}
+
+/**
+ * Check a copy before it is stored. Throws Meteor.Error on the first problem.
+ * @param {Object} copy
+ */
+export function validateCopy(copy) {
+  const platform = trimOrNull(copy.platform);
+  const storefront = trimOrNull(copy.storefront);
+
+  if (!platform && !storefront) {
+    throw new Meteor.Error('invalid-copy', 'A copy needs a platform or a storefront');
+  }
+
+  for (const [field, label] of [['platform', 'Platform'], ['edition', 'Edition'], ['source', 'Source']]) {
+    if (copy[field] && copy[field].length > MAX_COPY_LABEL_LENGTH) {
+      throw new Meteor.Error(`invalid-${field}`, `${label} cannot exceed ${MAX_COPY_LABEL_LENGTH} characters`);
+    }
+  }
+
+  if (storefront && !getValidStorefrontIds().includes(storefront)) {
+    throw new Meteor.Error('invalid-storefront', 'Unknown storefront');
+  }
+
+  if (copy.format !== null && copy.format !== undefined && !validFormats.includes(copy.format)) {
+    throw new Meteor.Error('invalid-format', `Format must be one of: ${validFormats.join(', ')}`);
+  }
+
+  if (copy.price !== null && copy.price !== undefined) {
+    if (typeof copy.price !== 'number' || !Number.isFinite(copy.price) || copy.price < 0) {
+      throw new Meteor.Error('invalid-price', 'Price must be zero or a positive number');
+    }
+    if (!normalizeCurrency(copy.currency)) {
+      throw new Meteor.Error('invalid-currency', 'A price needs a currency');
+    }
+  }
+
+  const currency = normalizeCurrency(copy.currency);
+  if (currency && !CURRENCY_PATTERN.test(currency)) {
+    throw new Meteor.Error('invalid-currency', 'Currency must be a three-letter code such as USD or EUR');
+  }
+}
+
+/**
+ * Build a stored copy from validated input, filling defaults for missing fields
+ * @param {Object} input
+ * @param {Date} now
+ * @returns {Object}
+ */
+export function buildCopy(input, now = new Date()) {
+  return {
+    _id: Random.id(),
+    platform: trimOrNull(input.platform),
+    storefront: trimOrNull(input.storefront),
+    format: input.format || null,
+    edition: trimOrNull(input.edition),
+    purchaseDate: input.purchaseDate || null,
+    price: input.price ?? null,
+    currency: normalizeCurrency(input.currency),
+    source: trimOrNull(input.source),
+    createdAt: now
+  };
+}
+
+/**
+ * Copies for flat platform and storefront lists whose pairing is unknown. Storefronts are
+ * only attached to a platform when there is exactly one platform; otherwise each value gets
+ * its own copy so no platform/storefront combination is invented.
+ * @param {string[]} platforms
+ * @param {string[]} storefronts
+ * @param {Date} now
+ * @returns {Array<Object>}
+ */
+export function pairOwnership(platforms, storefronts, now = new Date()) {
+  if (platforms.length === 1 && storefronts.length > 0) {
+    return storefronts.map(storefront => buildCopy({ platform: platforms[0], storefront }, now));
+  }
+
+  return [
+    ...platforms.map(platform => buildCopy({ platform }, now)),
+    ...storefronts.map(storefront => buildCopy({ storefront }, now))
+  ];
+}
+
+/**
+ * An item's copies; items saved before copies existed get them from their flat lists.
+ * @param {Object} item
+ * @returns {Array<Object>}
+ */
+export function getOwnedCopies(item) {
+  if (Array.isArray(item.ownedCopies)) {
+    return item.ownedCopies;
+  }
+  return pairOwnership(item.platforms || [], item.storefronts || [], item.createdAt || new Date());
+}
+
+/**
+ * Fields to $set for a new list of copies: the copies and the flat index derived from them
+ * @param {Array<Object>} copies
+ * @returns {Object}
+ */
+export function ownershipFields(copies) {
+  return {
+    ownedCopies: copies,
+    ...deriveOwnershipIndex(copies)
+  };
+}
+
+/**
+ * Change copies so they match edited flat lists. Copies keep their purchase details when a
+ * platform or storefront is removed from under them, and are dropped once neither is left.
+ * Values that are new to the lists get copies of their own (see pairOwnership); a new
+ * storefront on a single-platform item is attached to that platform.
+ *
+ * @param {Array<Object>} copies - Current copies
+ * @param {string[]} platforms - Platforms the item should have
+ * @param {string[]} storefronts - Storefront IDs the item should have
+ * @returns {Array<Object>} - New copies
+ */
+export function applyFlatOwnership(copies, platforms, storefronts) {
+  const kept = copies
+    .map(copy => ({
+      ...copy,
+      platform: platforms.includes(copy.platform) ? copy.platform : null,
+      storefront: storefronts.includes(copy.storefront) ? copy.storefront : null
+    }))
+    .filter(copy => copy.platform || copy.storefront);
+
+  const current = deriveOwnershipIndex(kept);
+  const missingPlatforms = [...new Set(platforms)].filter(platform => !current.platforms.includes(platform));
+  const missingStorefronts = [...new Set(storefronts)].filter(storefront => !current.storefronts.includes(storefront));
+
+  const pairPlatforms = missingPlatforms.length === 0 && missingStorefronts.length > 0 && platforms.length === 1
+    ? platforms
+    : missingPlatforms;
+
+  return [...kept, ...pairOwnership(pairPlatforms, missingStorefronts)];
+}
+
+/**
+ * Digital copies for an import from one storefront, one per platform
+ * @param {string[]} platforms
+ * @param {string} storefront
+ * @returns {Array<Object>}
+ */
+export function importedCopies(platforms, storefront) {
+  const now = new Date();
+  return platforms.map(platform => buildCopy({ platform, storefront, format: COPY_FORMATS.DIGITAL }, now));
+}
+
+/**
+ * Add imported copies to an item's copies. A copy already on record for the same platform
+ * and storefront (or for the platform alone, when the import has no storefront) is not
+ * duplicated, and a copy missing only the platform or storefront the import knows is
+ * completed instead, so importing again changes nothing.
+ *
+ * @param {Array<Object>} copies - Current copies
+ * @param {Array<Object>} newCopies - Copies from the import
+ * @returns {Array<Object>}
+ */
+export function appendCopies(copies, newCopies) {
+  const result = copies.map(copy => ({ ...copy }));
+
+  for (const newCopy of newCopies) {
+    const covered = result.some(copy =>
+      (!newCopy.platform || copy.platform === newCopy.platform) &&
+      (!newCopy.storefront || copy.storefront === newCopy.storefront)
+    );
+    if (covered) {
+      continue;
+    }
+
+    const partial = result.find(copy =>
+      (copy.platform === newCopy.platform && !copy.storefront && newCopy.storefront) ||
+      (copy.storefront === newCopy.storefront && !copy.platform && newCopy.platform)
+    );
+    if (partial) {
+      partial.platform = partial.platform || newCopy.platform;
+      partial.storefront = partial.storefront || newCopy.storefront;
+      partial.format = partial.format || newCopy.format;
+      continue;
+    }
+
+    result.push(newCopy);
+  }
+
+  return result;
+}
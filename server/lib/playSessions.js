@@ -0,0 +1,216 @@
+/**
+ * playSessions.js - Play session log and the hours played derived from it
+ *
+ * An item's hours played is derived and stored for filters, sorting and stats:
+ *
+ *   hoursPlayed = hoursBaseline + logged sessions + imported playtime
+ *
+ * hoursBaseline is the hours the user entered that no session covers. Importers record their
+ * store's playtime in importedHours, one figure per source, so a Steam re-import replaces the
+ * Steam figure and leaves sessions logged on a console alone. Items saved before sessions
+ * existed have no hoursBaseline; their hoursPlayed is the baseline.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+
+export const MAX_PLAY_SESSIONS = 2000;
+export const MAX_SESSION_MINUTES = 24 * 60;
+
+const MAX_SESSION_PLATFORM_LENGTH = 100;
+const MAX_SESSION_NOTE_LENGTH = 10000;
+// Sessions are stored in the item, which MongoDB limits to 16 MB; this keeps all notes
+// together at a few MB at most, whatever the number of sessions
+export const MAX_SESSION_NOTES_TOTAL = 1000000;
+// Sessions may be dated up to a day ahead, for time zones ahead of the server's
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+// Importers that record their store's playtime in importedHours, by history source
+export const PLAYTIME_IMPORT_SOURCES = ['steam', 'gog', 'epic', 'amazon', 'oculus', 'ea', 'xbox', 'psn', 'ubisoft'];
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Hours the user entered on top of sessions and imported playtime
+ * @param {Object} item
+ * @returns {number|null}
+ */
+export function getHoursBaseline(item) {
+  if (item.hoursBaseline !== undefined) {
+    return item.hoursBaseline;
+  }
+  return typeof item.hoursPlayed === 'number' ? item.hoursPlayed : null;
+}
+
+export function sessionHours(sessions) {
+  return (sessions || []).reduce((total, session) => total + (session.minutes || 0), 0) / 60;
+}
+
+export function importedHoursTotal(importedHours) {
+  return Object.values(importedHours || {})
+    .filter(hours => typeof hours === 'number')
+    .reduce((total, hours) => total + hours, 0);
+}
+
+/**
+ * @param {Object} playtime - { hoursBaseline, playSessions, importedHours }
+ * @returns {number|null} - Total hours, or null when nothing is recorded
+ */
+export function deriveHoursPlayed({ hoursBaseline, playSessions, importedHours }) {
+  const hasImported = Object.values(importedHours || {}).some(hours => typeof hours === 'number');
+  if (typeof hoursBaseline !== 'number' && (playSessions || []).length === 0 && !hasImported) {
+    return null;
+  }
+  return roundHours((hoursBaseline || 0) + sessionHours(playSessions) + importedHoursTotal(importedHours));
+}
+
+/**
+ * Fields to set after any playtime change; parts not being changed are taken from the item.
+ * playSessions itself is left to the caller.
+ *
+ * @param {Object} item - Item before the change
+ * @param {Object} changes - Any of { hoursBaseline, playSessions, importedHours }
+ * @returns {Object} - { hoursBaseline, importedHours, hoursPlayed }
+ */
+export function playtimeFields(item, changes = {}) {
+  const playtime = {
+    hoursBaseline: changes.hoursBaseline !== undefined ? changes.hoursBaseline : getHoursBaseline(item),
+    playSessions: changes.playSessions || item.playSessions || [],
+    importedHours: changes.importedHours || item.importedHours || {}
+  };
+
+  return {
+    hoursBaseline: playtime.hoursBaseline,
+    importedHours: playtime.importedHours,
+    hoursPlayed: deriveHoursPlayed(playtime)
+  };
+}
+
+/**
+ * Baseline that brings the total to the hours the user entered. Sessions and imported
+ * playtime always count, so the total cannot be set below them.
+ *
+ * @param {Object} item
+ * @param {number|null} hoursPlayed - Total entered by the user; null clears the baseline
+ * @returns {number|null}
+ */
+export function baselineForTotal(item, hoursPlayed) {
+  if (hoursPlayed === null) {
+    return null;
+  }
+  const recorded = sessionHours(item.playSessions) + importedHoursTotal(item.importedHours);
+  return Math.max(roundHours(hoursPlayed - recorded), 0);
+}
+
+/**
+ * Fields to set when an importer reports a store's playtime for an item
+ * @param {Object} item - Existing item, or {} for a new one
+ * @param {string} source - Import source, e.g. 'steam'
+ * @param {number} hours
+ * @returns {Object}
+ */
+export function importedPlaytimeFields(item, source, hours) {
+  return playtimeFields(item, { importedHours: { ...(item.importedHours || {}), [source]: hours } });
+}
+
+/**
+ * Fields that split an item saved before imported playtime was kept apart into baseline and
+ * imported hours. Imports used to write the store's figure into hoursPlayed, so when the item's
+ * history shows its hours were last set by such an import, they become that store's figure and
+ * the next import replaces them instead of adding to them. Otherwise they are the user's own.
+ *
+ * @param {Object} item - Item without hoursBaseline
+ * @param {Object|null} lastHoursEntry - Latest history entry that changed hoursPlayed
+ * @returns {Object} - { hoursBaseline, importedHours, hoursPlayed }
+ */
+export function legacyPlaytimeFields(item, lastHoursEntry) {
+  const change = (lastHoursEntry?.changes || []).find(entry => entry.field === 'hoursPlayed');
+  const fromImport = change && PLAYTIME_IMPORT_SOURCES.includes(lastHoursEntry.source) &&
+    change.to === item.hoursPlayed && (item.playSessions || []).length === 0 &&
+    Object.keys(item.importedHours || {}).length === 0;
+
+  if (fromImport) {
+    return playtimeFields(item, { hoursBaseline: null, importedHours: { [lastHoursEntry.source]: item.hoursPlayed } });
+  }
+  return playtimeFields(item);
+}
+
+/**
+ * Check the platform of a session or running timer. Throws Meteor.Error when it is too long.
+ * @param {string|null} platform
+ */
+export function validateSessionPlatform(platform) {
+  if (platform && platform.length > MAX_SESSION_PLATFORM_LENGTH) {
+    throw new Meteor.Error('invalid-platform', `Platform cannot exceed ${MAX_SESSION_PLATFORM_LENGTH} characters`);
+  }
+}
+
+/**
+ * Check a session before it is stored. Throws Meteor.Error on the first problem.
+ * @param {Object} session - { date, minutes, platform, note }
+ * @param {Date} [now]
+ */
+export function validatePlaySession(session, now = new Date()) {
+  if (!(session.date instanceof Date) || Number.isNaN(session.date.getTime())) {
+    throw new Meteor.Error('invalid-date', 'A session needs a date');
+  }
+  if (session.date.getTime() > now.getTime() + MAX_FUTURE_MS) {
+    throw new Meteor.Error('invalid-date', 'A session cannot be in the future');
+  }
+
+  if (!Number.isInteger(session.minutes) || session.minutes < 1 || session.minutes > MAX_SESSION_MINUTES) {
+    throw new Meteor.Error('invalid-duration', `A session lasts from 1 to ${MAX_SESSION_MINUTES} minutes`);
+  }
+
+  validateSessionPlatform(session.platform);
+
+  if (session.note && session.note.length > MAX_SESSION_NOTE_LENGTH) {
+    throw new Meteor.Error('notes-too-long', `Notes cannot exceed ${MAX_SESSION_NOTE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Check that a session list's notes fit in the item. Throws Meteor.Error when they don't.
+ * @param {Array<Object>} sessions
+ */
+export function checkSessionNotesTotal(sessions) {
+  const total = (sessions || []).reduce((sum, session) => sum + (session.note || '').length, 0);
+  if (total > MAX_SESSION_NOTES_TOTAL) {
+    throw new Meteor.Error('notes-too-long', `Session notes for a game cannot exceed ${MAX_SESSION_NOTES_TOTAL} characters in total`);
+  }
+}
+
+// Build a stored session from validated input
+export function buildPlaySession(input, now = new Date()) {
+  return {
+    _id: Random.id(),
+    date: input.date,
+    minutes: input.minutes,
+    platform: input.platform ? input.platform.trim() : null,
+    note: input.note || '',
+    createdAt: now
+  };
+}
+
+/**
+ * Minutes of a timed session, within what a session may last
+ * @param {Date} startedAt
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function timedSessionMinutes(startedAt, now = new Date()) {
+  const minutes = Math.round((now.getTime() - startedAt.getTime()) / 60000);
+  return Math.min(Math.max(minutes, 1), MAX_SESSION_MINUTES);
+}
+
+/**
+ * Playtime fields of an item created by an import
+ * @param {string} source - Import source
+ * @param {number|null} hours - Store playtime, null when not imported
+ * @returns {Object}
+ */
+export function newItemPlaytimeFields(source, hours) {
+  return hours === null ? { hoursPlayed: null } : importedPlaytimeFields({ hoursBaseline: null }, source, hours);
+}
@@ -0,0 +1,89 @@
+/**
+ * queueRanks.js - Fractional ranks for the Up Next queue
+ *
+ * A queued item stores a rank string and the queue is ordered by plain string comparison.
+ * Moving or inserting an item only writes that item's rank, picked between its new
+ * neighbours, so moves made at the same time on two devices never overwrite each other's
+ * positions. Ranks only grow longer when items are packed into the same spot repeatedly.
+ */
+
+import { Meteor } from 'meteor/meteor';
+
+// In ASCII order, so string comparison matches digit order
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+export const QUEUE_RANK_PATTERN = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+// Digit string strictly between a and b; a may be '' (lowest) and b null (no upper bound).
+// Results never end in '0', so there is always room below them.
+function midpoint(a, b) {
+  if (b !== null) {
+    let shared = 0;
+    while ((a[shared] || '0') === b[shared]) {
+      shared++;
+    }
+    if (shared > 0) {
+      return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  if (b !== null && b.length > 1) {
+    return b[0];
+  }
+
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Rank that sorts between two neighbouring ranks
+ * @param {string|null} before - Rank of the item just above, or null at the top
+ * @param {string|null} after - Rank of the item just below, or null at the bottom
+ * @returns {string}
+ */
+export function rankBetween(before, after) {
+  const lower = before || '';
+  const upper = after || null;
+
+  if ((lower && !QUEUE_RANK_PATTERN.test(lower)) || (upper && !QUEUE_RANK_PATTERN.test(upper))) {
+    throw new Meteor.Error('invalid-rank', 'Queue rank is malformed');
+  }
+  if (upper !== null && lower >= upper) {
+    throw new Meteor.Error('invalid-rank', 'Queue ranks are out of order');
+  }
+
+  return midpoint(lower, upper);
+}
+
+/**
+ * Evenly spaced ranks for a whole queue, used to rewrite it when two items ended up with
+ * the same rank (two devices inserting into the same spot at the same moment)
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function spreadRanks(count) {
+  let width = 1;
+  while (BASE ** width <= count) {
+    width++;
+  }
+  const step = BASE ** width / (count + 1);
+
+  const ranks = [];
+  for (let index = 1; index <= count; index++) {
+    let value = Math.floor(step * index);
+    let rank = '';
+    for (let position = 0; position < width; position++) {
+      rank = DIGITS[value % BASE] + rank;
+      value = Math.floor(value / BASE);
+    }
+    ranks.push(rank.replace(/0+$/, ''));
+  }
+  return ranks;
+}
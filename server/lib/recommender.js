@@ -0,0 +1,311 @@
+/**
+ * recommender.js - "What should I play next?" suggestions from the user's own backlog
+ *
+ * Candidates are backlog items and wishlist items the user already owns. Each one is scored
+ * from the rest of the collection: genres and developers the user rated highly, how long it
+ * has been waiting, how long it takes to beat (or how long similar games took the user), the
+ * platforms they are playing on now, and favorites. Every signal that adds to the score also
+ * adds a reason, so the list can explain itself.
+ */
+
+import { CollectionItems, COLLECTION_STATUSES } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { formatRating } from '../../imports/lib/constants/ratings.js';
+import { NOT_TRASHED } from './trash.js';
+import { getOwnedCopies } from './ownedCopies.js';
+import { getUserRatingScale } from './userPreferences.js';
+
+export const DEFAULT_RECOMMENDATIONS = 5;
+export const MAX_RECOMMENDATIONS = 20;
+
+// Stored ratings (out of 5) at or above this count as rated highly
+const HIGH_RATING = 4;
+const MIN_GENRE_RATINGS = 2;
+const SHORT_GAME_HOURS = 10;
+const LONG_GAME_HOURS = 30;
+const MAX_WAITING_YEARS = 5;
+const HIGH_IGDB_RATING = 85;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const CANDIDATE_FIELDS = {
+  gameId: 1,
+  game: 1,
+  status: 1,
+  platforms: 1,
+  storefronts: 1,
+  ownedCopies: 1,
+  favorite: 1,
+  dateAdded: 1,
+  createdAt: 1
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// A wishlist item counts as owned once a copy has purchase details; a storefront alone is
+// often just where the game is wishlisted
+function hasPurchasedCopy(item) {
+  return getOwnedCopies(item).some(copy =>
+    copy.format || copy.purchaseDate || typeof copy.price === 'number'
+  );
+}
+
+/**
+ * What the rest of the collection says about the user's taste
+ *
+ * @param {Array<Object>} items - Items that are not candidates (played, rated, playing...)
+ * @param {Map<string, string>} developers - gameId to developer name
+ * @returns {Object} - { genres, developers, genreHours, playingPlatforms }
+ */
+export function buildTasteProfile(items, developers = new Map()) {
+  const genres = new Map();
+  const developerStats = new Map();
+  const hoursByGenre = new Map();
+  const playingPlatforms = new Set();
+
+  const addRating = (stats, key, item) => {
+    const entry = stats.get(key) || { count: 0, total: 0, title: null };
+    entry.count++;
+    entry.total += item.rating;
+    entry.title = item.game?.title || entry.title;
+    stats.set(key, entry);
+  };
+
+  for (const item of items) {
+    const itemGenres = item.game?.genres || [];
+
+    if (item.rating > 0) {
+      itemGenres.forEach(genre => addRating(genres, genre, item));
+      const developer = developers.get(item.gameId);
+      if (developer) {
+        addRating(developerStats, developer, item);
+      }
+    }
+
+    if (item.status === COLLECTION_STATUSES.COMPLETED && item.hoursPlayed > 0) {
+      for (const genre of itemGenres) {
+        hoursByGenre.set(genre, [...(hoursByGenre.get(genre) || []), item.hoursPlayed]);
+      }
+    }
+
+    if (item.status === COLLECTION_STATUSES.PLAYING) {
+      (item.platforms || []).forEach(platform => playingPlatforms.add(platform));
+    }
+  }
+
+  const withAverages = (stats) => new Map(
+    [...stats].map(([key, entry]) => [key, { ...entry, average: entry.total / entry.count }])
+  );
+
+  const genreHours = new Map();
+  for (const [genre, hours] of hoursByGenre) {
+    genreHours.set(genre, { count: hours.length, hours: median(hours) });
+  }
+
+  return {
+    genres: withAverages(genres),
+    developers: withAverages(developerStats),
+    genreHours,
+    playingPlatforms
+  };
+}
+
+// Length estimate from the game's time to beat, or else from the genre the user has finished
+// the most games in
+function estimateLength(item, profile) {
+  if (item.game?.hoursToBeat > 0) {
+    const hours = item.game.hoursToBeat;
+    return { hours, reason: `About ${plural(Math.round(hours), 'hour')} to beat` };
+  }
+
+  let best = null;
+  for (const genre of item.game?.genres || []) {
+    const entry = profile.genreHours.get(genre);
+    if (entry && (!best || entry.count > best.count)) {
+      best = { genre, ...entry };
+    }
+  }
+  return best && {
+    hours: best.hours,
+    reason: `Similar ${best.genre} games took you about ${plural(Math.round(best.hours), 'hour')}`
+  };
+}
+
+/**
+ * Score one candidate
+ *
+ * @param {Object} item - Candidate collection item
+ * @param {Object} profile - From buildTasteProfile
+ * @param {Object} context - { developer, scale, shortSession, now }
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreCandidate(item, profile, context) {
+  const { developer, scale, shortSession = false, now = new Date() } = context;
+  const signals = [];
+
+  // Best matching genre the user has rated highly more than once
+  let bestGenre = null;
+  for (const genre of item.game?.genres || []) {
+    const stats = profile.genres.get(genre);
+    if (stats && stats.count >= MIN_GENRE_RATINGS && stats.average >= HIGH_RATING) {
+      const points = 10 * (stats.average - 3) * Math.min(stats.count, 5) / 5;
+      if (!bestGenre || points > bestGenre.points) {
+        bestGenre = { genre, stats, points };
+      }
+    }
+  }
+  if (bestGenre) {
+    const { genre, stats } = bestGenre;
+    signals.push({
+      points: bestGenre.points,
+      reason: `You rated ${stats.count} other ${genre} games ${formatRating(stats.average, scale)} on average`
+    });
+  }
+
+  const developerStats = developer ? profile.developers.get(developer) : null;
+  if (developerStats && developerStats.average >= HIGH_RATING) {
+    signals.push({
+      points: 8 * (developerStats.average - 3) * Math.min(developerStats.count, 3) / 3,
+      reason: developerStats.count === 1
+        ? `You rated ${developerStats.title} by ${developer} ${formatRating(developerStats.average, scale)}`
+        : `You rated ${developerStats.count} games by ${developer} ${formatRating(developerStats.average, scale)} on average`
+    });
+  }
+
+  // Time since purchase, or since it was added when no purchase date is known
+  const purchaseDates = getOwnedCopies(item)
+    .map(copy => copy.purchaseDate)
+    .filter(date => date instanceof Date);
+  const bought = purchaseDates.length > 0;
+  const since = bought
+    ? new Date(Math.min(...purchaseDates.map(date => date.getTime())))
+    : (item.dateAdded || item.createdAt);
+  if (since) {
+    const years = Math.floor((now - since) / YEAR_MS);
+    if (years >= 1) {
+      signals.push({
+        points: Math.min(years, MAX_WAITING_YEARS) * 2,
+        reason: bought
+          ? `Bought ${plural(years, 'year')} ago and still waiting`
+          : `Waiting in your backlog for ${plural(years, 'year')}`
+      });
+    }
+  }
+
+  const length = estimateLength(item, profile);
+  if (length) {
+    if (length.hours <= SHORT_GAME_HOURS) {
+      signals.push({ points: shortSession ? 15 : 4, reason: length.reason });
+    } else if (shortSession && length.hours > LONG_GAME_HOURS) {
+      signals.push({ points: -15, reason: null });
+    }
+  }
+
+  const currentPlatform = (item.platforms || []).find(platform => profile.playingPlatforms.has(platform));
+  if (currentPlatform) {
+    signals.push({ points: 6, reason: `On ${currentPlatform}, which you are playing on now` });
+  }
+
+  if (item.favorite) {
+    signals.push({ points: 10, reason: 'Marked as a favorite' });
+  }
+
+  if (item.game?.rating >= HIGH_IGDB_RATING) {
+    signals.push({ points: 3, reason: `Rated ${Math.round(item.game.rating)} on IGDB` });
+  }
+
+  const positive = signals.filter(signal => signal.points > 0 && signal.reason);
+  positive.sort((a, b) => b.points - a.points);
+
+  return {
+    score: Math.round(signals.reduce((total, signal) => total + signal.points, 0) * 10) / 10,
+    reasons: positive.map(signal => signal.reason)
+  };
+}
+
+/**
+ * Ranked suggestions for a user
+ *
+ * @param {string} userId
+ * @param {Object} options - { platform, shortSession, limit }
+ * @returns {Promise<Array<Object>>} - [{ item, score, reasons }], best first
+ */
+export async function getRecommendations(userId, options = {}) {
+  const limit = Math.min(Math.max(options.limit || DEFAULT_RECOMMENDATIONS, 1), MAX_RECOMMENDATIONS);
+
+  // Games already in Up Next have been picked, so they are not suggested again
+  const candidateQuery = {
+    userId,
+    ...NOT_TRASHED,
+    status: { $in: [COLLECTION_STATUSES.BACKLOG, COLLECTION_STATUSES.WISHLIST] },
+    queueRank: null
+  };
+  if (options.platform) {
+    candidateQuery.platforms = options.platform;
+  }
+
+  const candidates = (await CollectionItems.find(candidateQuery, { fields: CANDIDATE_FIELDS }).fetchAsync())
+    .filter(item => item.status !== COLLECTION_STATUSES.WISHLIST || hasPurchasedCopy(item));
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const history = await CollectionItems.find(
+    {
+      userId,
+      ...NOT_TRASHED,
+      $or: [
+        { status: { $nin: [COLLECTION_STATUSES.BACKLOG, COLLECTION_STATUSES.WISHLIST] } },
+        { rating: { $gt: 0 } }
+      ]
+    },
+    { fields: { gameId: 1, 'game.title': 1, 'game.genres': 1, status: 1, rating: 1, hoursPlayed: 1, platforms: 1 } }
+  ).fetchAsync();
+
+  const gameIds = [...new Set([...candidates, ...history].map(item => item.gameId).filter(Boolean))];
+  const games = await Games.find({ _id: { $in: gameIds } }, { fields: { developer: 1 } }).fetchAsync();
+  const developers = new Map(games.filter(game => game.developer).map(game => [game._id, game.developer]));
+
+  const candidateIds = new Set(candidates.map(item => item._id));
+  const profile = buildTasteProfile(history.filter(item => !candidateIds.has(item._id)), developers);
+  const scale = await getUserRatingScale(userId);
+  const now = new Date();
+
+  return candidates
+    .map(item => {
+      const { score, reasons } = scoreCandidate(item, profile, {
+        developer: developers.get(item.gameId),
+        scale,
+        shortSession: options.shortSession === true,
+        now
+      });
+      return {
+        item: {
+          _id: item._id,
+          gameId: item.gameId,
+          game: item.game,
+          status: item.status,
+          platforms: item.platforms
+        },
+        score,
+        reasons
+      };
+    })
+    .sort((a, b) =>
+      b.score - a.score ||
+      (a.item.game?.title || '').localeCompare(b.item.game?.title || '') ||
+      (a.item._id < b.item._id ? -1 : 1)
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,94 @@
+/**
+ * savedViews.js - Checks for saved views before they are stored
+ *
+ * Shared by the saved view methods and by backup restore, so a view from either place is
+ * stored in the same shape.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import {
+  MAX_VIEW_NAME_LENGTH,
+  SAVED_VIEW_MODES,
+  SAVED_VIEW_THEMES
+} from '../../imports/lib/collections/savedViews.js';
+import { DEFAULT_SORT, isValidSort } from '../../imports/lib/constants/sorts.js';
+import { LIST_FILTERS, RANGE_FILTERS, MAX_FILTER_VALUES, toFilterList } from '../../imports/lib/constants/filters.js';
+
+const MAX_FILTER_TAGS = 50;
+
+export function validateViewName(name) {
+  const trimmed = (name || '').trim();
+
+  if (trimmed.length === 0) {
+    throw new Meteor.Error('invalid-name', 'View name cannot be empty');
+  }
+
+  if (trimmed.length > MAX_VIEW_NAME_LENGTH) {
+    throw new Meteor.Error('invalid-name', `View name cannot exceed ${MAX_VIEW_NAME_LENGTH} characters`);
+  }
+
+  return trimmed;
+}
+
+// Store every filter key so applying a view fully replaces the current filters
+export function normalizeFilters(filters = {}) {
+  const tagMode = filters.tagMode || 'any';
+  if (tagMode !== 'any' && tagMode !== 'all') {
+    throw new Meteor.Error('invalid-filters', 'Tag mode must be "any" or "all"');
+  }
+
+  const search = filters.search || '';
+  if (search.length > 200) {
+    throw new Meteor.Error('invalid-filters', 'Search text is too long');
+  }
+
+  const sort = filters.sort || DEFAULT_SORT;
+  if (!isValidSort(sort)) {
+    throw new Meteor.Error('invalid-filters', 'Unknown sort order');
+  }
+
+  const normalized = {};
+  for (const key of LIST_FILTERS) {
+    const values = toFilterList(filters[key]);
+    if (values.length > MAX_FILTER_VALUES) {
+      throw new Meteor.Error('invalid-filters', `Choose at most ${MAX_FILTER_VALUES} values for the ${key} filter`);
+    }
+    normalized[key] = values;
+  }
+  for (const key of RANGE_FILTERS) {
+    const value = filters[key];
+    if (value !== null && value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Meteor.Error('invalid-filters', `${key} must be zero or a positive number`);
+    }
+    normalized[key] = value ?? null;
+  }
+
+  return {
+    ...normalized,
+    favorite: filters.favorite === true ? true : null,
+    physical: typeof filters.physical === 'boolean' ? filters.physical : null,
+    rated: typeof filters.rated === 'boolean' ? filters.rated : null,
+    queued: typeof filters.queued === 'boolean' ? filters.queued : null,
+    search,
+    tags: (filters.tags || []).slice(0, MAX_FILTER_TAGS),
+    tagMode,
+    sort
+  };
+}
+
+export function validateViewMode(viewMode) {
+  if (!SAVED_VIEW_MODES.includes(viewMode)) {
+    throw new Meteor.Error('invalid-view-mode', `View mode must be one of: ${SAVED_VIEW_MODES.join(', ')}`);
+  }
+  return viewMode;
+}
+
+export function validateBookshelfTheme(theme) {
+  if (theme === null || theme === undefined) {
+    return null;
+  }
+  if (!SAVED_VIEW_THEMES.includes(theme)) {
+    throw new Meteor.Error('invalid-theme', `Bookshelf theme must be one of: ${SAVED_VIEW_THEMES.join(', ')}`);
+  }
+  return theme;
+}
@@ -0,0 +1,294 @@
+/**
+ * searchQuery.js - Structured query language for the collection search box
+ *
+ * Example: status:playing platform:"Nintendo Switch" rating>=4 hours<10 genre:RPG year:2015..2020 fav:yes zelda
+ *
+ * Field tokens become Mongo conditions built from a fixed whitelist, so user input is only ever
+ * used as an escaped regex or a validated literal, never as an operator or field name. Ratings
+ * are typed on the user's rating scale and converted to the stored 0-5 value.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { COLLECTION_STATUSES } from '../../imports/lib/collections/collectionItems.js';
+import {
+  DEFAULT_RATING_SCALE,
+  RATING_SCALE_OPTIONS,
+  toStoredRating
+} from '../../imports/lib/constants/ratings.js';
+
+export const MAX_QUERY_LENGTH = 500;
+export const MAX_QUERY_TOKENS = 20;
+
+const validStatuses = Object.values(COLLECTION_STATUSES);
+
+// field kinds: text (substring), exact (case-insensitive whole value), number, rating, boolean, status
+const SEARCH_FIELDS = {
+  title: { path: 'game.title', kind: 'text' },
+  status: { path: 'status', kind: 'status' },
+  platform: { path: 'platforms', kind: 'exact' },
+  storefront: { path: 'storefronts', kind: 'exact' },
+  store: { alias: 'storefront' },
+  genre: { path: 'game.genres', kind: 'text' },
+  tag: { path: 'tags', kind: 'exact' },
+  notes: { path: 'notes', kind: 'text' },
+  rating: { path: 'rating', kind: 'rating' },
+  hours: { path: 'hoursPlayed', kind: 'number', min: 0 },
+  beat: { path: 'game.hoursToBeat', kind: 'number', min: 0 },
+  year: { path: 'game.releaseYear', kind: 'number', integer: true, min: 1950, max: 2100 },
+  fav: { path: 'favorite', kind: 'boolean' },
+  favorite: { alias: 'fav' },
+  physical: { path: 'physical', kind: 'boolean' }
+};
+
+const TRUE_VALUES = ['yes', 'true', '1', 'y'];
+const FALSE_VALUES = ['no', 'false', '0', 'n'];
+
+function invalidQuery(message) {
+  return new Meteor.Error('invalid-query', message);
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function resolveField(name) {
+  const field = SEARCH_FIELDS[name];
+  if (field && field.alias) {
+    return { name: field.alias, ...SEARCH_FIELDS[field.alias] };
+  }
+  return field ? { name, ...field } : null;
+}
+
+/**
+ * Split a query into free-text words and field tokens, honouring double quotes.
+ *
+ * @param {string} query
+ * @returns {Array<Object>} - { type: 'text', value } or { type: 'field', field, operator, value }
+ */
+export function tokenizeSearchQuery(query) {
+  const tokens = [];
+  let position = 0;
+
+  const readValue = () => {
+    if (query[position] === '"') {
+      const closing = query.indexOf('"', position + 1);
+      if (closing === -1) {
+        throw invalidQuery('Missing closing quote in search');
+      }
+      const value = query.slice(position + 1, closing);
+      position = closing + 1;
+      return value;
+    }
+
+    const start = position;
+    while (position < query.length && !/\s/.test(query[position])) {
+      position++;
+    }
+    return query.slice(start, position);
+  };
+
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position++;
+      continue;
+    }
+
+    // Operators are listed longest first so ">=" wins over ">"
+    const fieldMatch = /^([a-zA-Z]+)(>=|<=|:|=|>|<)/.exec(query.slice(position));
+    const fieldName = fieldMatch ? fieldMatch[1].toLowerCase() : null;
+
+    if (fieldMatch) {
+      const wordEnd = position + fieldMatch[0].length;
+      const valueMissing = wordEnd >= query.length || /\s/.test(query[wordEnd]);
+
+      // "Star Wars: Episode I" - a bare "word:" followed by a space is just text
+      if (valueMissing && fieldMatch[2] === ':' && !resolveField(fieldName)) {
+        const value = readValue();
+        tokens.push({ type: 'text', value });
+        continue;
+      }
+
+      if (!resolveField(fieldName)) {
+        throw invalidQuery(`Unknown search field "${fieldMatch[1]}". Put text containing "${fieldMatch[2]}" in quotes, or use one of: ${Object.keys(SEARCH_FIELDS).join(', ')}`);
+      }
+
+      position = wordEnd;
+      const value = readValue();
+      if (value.length === 0) {
+        throw invalidQuery(`Missing value for "${fieldMatch[1]}"`);
+      }
+
+      tokens.push({ type: 'field', field: fieldName, operator: fieldMatch[2], value });
+      continue;
+    }
+
+    const value = readValue();
+    if (value.length > 0) {
+      tokens.push({ type: 'text', value });
+    }
+  }
+
+  return tokens;
+}
+
+function parseNumber(field, rawValue) {
+  const number = Number(rawValue);
+
+  if (rawValue === '' || !Number.isFinite(number)) {
+    throw invalidQuery(`"${rawValue}" is not a number for ${field.name}`);
+  }
+
+  if (field.integer && !Number.isInteger(number)) {
+    throw invalidQuery(`${field.name} must be a whole number`);
+  }
+
+  if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+    const upper = field.max !== undefined ? field.max : 'any';
+    throw invalidQuery(`${field.name} must be between ${field.min} and ${upper}`);
+  }
+
+  return number;
+}
+
+// A rating on the user's scale as a stored rating, e.g. 7 on the 10-point scale is 3.5
+function parseRating(field, rawValue, ratingScale) {
+  const number = Number(rawValue);
+
+  if (rawValue === '' || !Number.isFinite(number)) {
+    throw invalidQuery(`"${rawValue}" is not a number for ${field.name}`);
+  }
+
+  const rating = toStoredRating(number, ratingScale);
+  if (rating === null) {
+    const { label, step, max } = RATING_SCALE_OPTIONS[ratingScale];
+    throw invalidQuery(`${field.name} must be from ${step} to ${max} in steps of ${step} on your rating scale (${label})`);
+  }
+
+  return rating;
+}
+
+// parse turns one value of the token into the number stored in the field
+function buildNumberCondition(field, operator, value, parse) {
+  // Ranges: 2015..2020, 2015.., ..2020
+  if (value.includes('..')) {
+    if (operator !== ':' && operator !== '=') {
+      throw invalidQuery(`Ranges for ${field.name} use "${field.name}:from..to"`);
+    }
+
+    const [fromValue, toValue] = value.split('..');
+    if (value.split('..').length !== 2 || (fromValue === '' && toValue === '')) {
+      throw invalidQuery(`Invalid range "${value}" for ${field.name}`);
+    }
+
+    const range = {};
+    if (fromValue !== '') {
+      range.$gte = parse(fromValue);
+    }
+    if (toValue !== '') {
+      range.$lte = parse(toValue);
+    }
+    if (range.$gte !== undefined && range.$lte !== undefined && range.$gte > range.$lte) {
+      throw invalidQuery(`Range for ${field.name} starts after it ends`);
+    }
+    return { [field.path]: range };
+  }
+
+  const number = parse(value);
+  switch (operator) {
+    case '>':
+      return { [field.path]: { $gt: number } };
+    case '>=':
+      return { [field.path]: { $gte: number } };
+    case '<':
+      return { [field.path]: { $lt: number } };
+    case '<=':
+      return { [field.path]: { $lte: number } };
+    default:
+      return { [field.path]: number };
+  }
+}
+
+function buildFieldCondition(token, ratingScale) {
+  const field = resolveField(token.field);
+  const { operator, value } = token;
+
+  if (field.kind === 'number') {
+    return buildNumberCondition(field, operator, value, rawValue => parseNumber(field, rawValue));
+  }
+
+  if (field.kind === 'rating') {
+    return buildNumberCondition(field, operator, value, rawValue => parseRating(field, rawValue, ratingScale));
+  }
+
+  if (operator !== ':' && operator !== '=') {
+    throw invalidQuery(`${field.name} does not support "${operator}"`);
+  }
+
+  if (field.kind === 'boolean') {
+    const lowered = value.toLowerCase();
+    if (TRUE_VALUES.includes(lowered)) {
+      return { [field.path]: true };
+    }
+    if (FALSE_VALUES.includes(lowered)) {
+      return { [field.path]: { $ne: true } };
+    }
+    throw invalidQuery(`${field.name} must be yes or no`);
+  }
+
+  if (field.kind === 'status') {
+    const statuses = value.toLowerCase().split(',').filter(Boolean);
+    const invalid = statuses.find(status => !validStatuses.includes(status));
+    if (invalid || statuses.length === 0) {
+      throw invalidQuery(`Unknown status "${invalid || value}". Try one of: ${validStatuses.join(', ')}`);
+    }
+    return statuses.length === 1
+      ? { [field.path]: statuses[0] }
+      : { [field.path]: { $in: statuses } };
+  }
+
+  if (field.kind === 'exact') {
+    return { [field.path]: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } };
+  }
+
+  return { [field.path]: { $regex: escapeRegex(value), $options: 'i' } };
+}
+
+/**
+ * Parse a search box query into a list of Mongo conditions to be combined with $and.
+ * Free text is matched as one phrase against the game title.
+ *
+ * @param {string} query - Raw search box input
+ * @param {string} ratingScale - Scale the query's ratings are typed on, one of RATING_SCALES
+ * @returns {Array<Object>} - Mongo conditions (empty for a blank query)
+ * @throws {Meteor.Error} invalid-query with a user-facing message
+ */
+export function buildSearchConditions(query, ratingScale = DEFAULT_RATING_SCALE) {
+  const trimmed = (query || '').trim();
+  if (trimmed.length === 0) {
+    return [];
+  }
+
+  if (trimmed.length > MAX_QUERY_LENGTH) {
+    throw invalidQuery(`Search cannot exceed ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const tokens = tokenizeSearchQuery(trimmed);
+  if (tokens.length > MAX_QUERY_TOKENS) {
+    throw invalidQuery(`Search cannot have more than ${MAX_QUERY_TOKENS} terms`);
+  }
+
+  const conditions = tokens
+    .filter(token => token.type === 'field')
+    .map(token => buildFieldCondition(token, ratingScale));
+
+  const freeText = tokens
+    .filter(token => token.type === 'text')
+    .map(token => token.value)
+    .join(' ');
+
+  if (freeText.length > 0) {
+    conditions.push({ 'game.title': { $regex: escapeRegex(freeText), $options: 'i' } });
+  }
+
+  return conditions;
+}
@@ -0,0 +1,160 @@
+/**
+ * series.js - Franchises and series across the user's collection
+ *
+ * Games store the IGDB franchises and collections (shown as series) they belong to, and items
+ * carry them in the embedded game. The series list is built from the user's items; one
+ * series' entries come from IGDB and are joined with the items the user has for them.
+ */
+
+import { CollectionItems, COLLECTION_STATUSES } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { SERIES_KINDS } from '../../imports/lib/constants/series.js';
+import { getSeriesGameIds } from '../igdb/client.js';
+import { getOrFetchGames } from '../igdb/gameCache.js';
+import { NOT_TRASHED } from './trash.js';
+
+// Field holding each kind of reference, on Games and in the embedded game of items
+export const SERIES_FIELDS = {
+  [SERIES_KINDS.FRANCHISE]: 'franchises',
+  [SERIES_KINDS.SERIES]: 'series'
+};
+
+// Wishlisted games are tracked but not owned
+function isOwned(item) {
+  return item.status !== COLLECTION_STATUSES.WISHLIST;
+}
+
+function isCompleted(item) {
+  return item.status === COLLECTION_STATUSES.COMPLETED;
+}
+
+/**
+ * Franchises and series the user has games from, with how many they own and completed
+ * @param {Array<Object>} items - Items with status and the embedded game's franchises and series
+ * @returns {Array<Object>} - { kind, igdbId, title, itemCount, ownedCount, completedCount },
+ *   most items first
+ */
+export function summarizeSeries(items) {
+  const byKey = new Map();
+
+  for (const item of items) {
+    for (const [kind, field] of Object.entries(SERIES_FIELDS)) {
+      for (const ref of item.game?.[field] || []) {
+        const key = `${kind}:${ref.igdbId}`;
+        const summary = byKey.get(key) ||
+          { kind, igdbId: ref.igdbId, title: ref.title, itemCount: 0, ownedCount: 0, completedCount: 0 };
+        summary.itemCount++;
+        summary.ownedCount += isOwned(item) ? 1 : 0;
+        summary.completedCount += isCompleted(item) ? 1 : 0;
+        summary.title = summary.title || ref.title;
+        byKey.set(key, summary);
+      }
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) =>
+    b.itemCount - a.itemCount || (a.title || '').localeCompare(b.title || '')
+  );
+}
+
+function releaseTime(game) {
+  if (game.releaseDate) {
+    return new Date(game.releaseDate).getTime();
+  }
+  return game.releaseYear ? Date.UTC(game.releaseYear, 0, 1) : Infinity;
+}
+
+/**
+ * Entries of one series in release order, each with the user's item for it. Unreleased and
+ * undated games come last.
+ *
+ * @param {Array<Object>} games - Games in the series
+ * @param {Array<Object>} items - The user's items for those games
+ * @returns {Object} - { entries: [{ game, item }], total, owned, completed }
+ */
+export function buildSeriesEntries(games, items) {
+  const itemsByGameId = new Map(items.map(item => [item.gameId, item]));
+
+  const entries = [...games]
+    .sort((a, b) => releaseTime(a) - releaseTime(b) || (a.title || '').localeCompare(b.title || ''))
+    .map(game => ({ game, item: itemsByGameId.get(game._id) || null }));
+
+  return {
+    entries,
+    total: entries.length,
+    owned: entries.filter(entry => entry.item && isOwned(entry.item)).length,
+    completed: entries.filter(entry => entry.item && isCompleted(entry.item)).length
+  };
+}
+
+/**
+ * Series the user has games from
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} - See summarizeSeries
+ */
+export async function getUserSeries(userId) {
+  const items = await CollectionItems.find(
+    {
+      userId,
+      ...NOT_TRASHED,
+      $or: [{ 'game.franchises.0': { $exists: true } }, { 'game.series.0': { $exists: true } }]
+    },
+    { fields: { status: 1, 'game.franchises': 1, 'game.series': 1 } }
+  ).fetchAsync();
+
+  return summarizeSeries(items);
+}
+
+/**
+ * All entries of a franchise or series with the user's items. Entries are looked up on IGDB
+ * and cached; when IGDB cannot be reached the games already cached are listed.
+ *
+ * @param {string} userId
+ * @param {string} kind - A SERIES_KINDS value
+ * @param {number} igdbId - IGDB id of the franchise or collection
+ * @returns {Promise<Object>} - See buildSeriesEntries, plus { kind, igdbId, title }
+ */
+export async function getSeriesEntries(userId, kind, igdbId) {
+  const field = SERIES_FIELDS[kind];
+
+  let games;
+  try {
+    const igdbIds = await getSeriesGameIds(kind, igdbId);
+    games = await getOrFetchGames(igdbIds);
+  } catch (error) {
+    console.warn(`Series ${kind} ${igdbId}: IGDB lookup failed, listing cached games:`, error.message);
+    games = [];
+  }
+
+  // Cached games of the series, which also covers games IGDB no longer lists
+  const cachedGames = await Games.find({
+    [`${field}.igdbId`]: igdbId,
+    'versionParent.igdbId': { $exists: false },
+    'parentGame.igdbId': { $exists: false }
+  }).fetchAsync();
+  const seen = new Set(games.map(game => game._id));
+  games = [...games, ...cachedGames.filter(game => !seen.has(game._id))];
+
+  const items = await CollectionItems.find(
+    { userId, gameId: { $in: games.map(game => game._id) }, ...NOT_TRASHED },
+    { fields: { gameId: 1, status: 1, platforms: 1, rating: 1, dateCompleted: 1 } }
+  ).fetchAsync();
+
+  const title = games
+    .flatMap(game => game[field] || [])
+    .find(ref => ref.igdbId === igdbId)?.title || null;
+
+  const entryGames = games.map(game => ({
+    _id: game._id,
+    igdbId: game.igdbId,
+    title: game.title,
+    releaseYear: game.releaseYear || null,
+    releaseDate: game.releaseDate || null,
+    platforms: game.platforms || [],
+    localCoverUrl: game.localCoverUrl || null,
+    coverImageId: game.coverImageId || null,
+    igdbCoverUrl: game.igdbCoverUrl || null
+  }));
+
+  return { kind, igdbId, title, ...buildSeriesEntries(entryGames, items) };
+}
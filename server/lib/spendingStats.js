@@ -0,0 +1,142 @@
+/**
+ * spendingStats.js - Spending totals from the prices recorded on owned copies
+ *
+ * Every figure is reported per currency. Amounts in different currencies are never added
+ * together, since there is no exchange rate to convert them with.
+ */
+
+import { CollectionItems, COLLECTION_STATUSES } from '../../imports/lib/collections/collectionItems.js';
+import { NOT_TRASHED } from './trash.js';
+
+const PRICED = {
+  'ownedCopies.price': { $type: 'number' },
+  'ownedCopies.currency': { $type: 'string' }
+};
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Group copy prices by currency and one other copy field
+function breakdownStages(field) {
+  return [
+    { $match: PRICED },
+    {
+      $group: {
+        _id: { currency: '$ownedCopies.currency', key: field },
+        total: { $sum: '$ownedCopies.price' },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+}
+
+// Turn breakdown rows into { currency: [{ [keyName], total, count }] }
+function splitByCurrency(rows, keyName) {
+  const byCurrency = {};
+  for (const row of rows) {
+    const { currency, key } = row._id;
+    if (!byCurrency[currency]) {
+      byCurrency[currency] = [];
+    }
+    byCurrency[currency].push({ [keyName]: key ?? null, total: roundMoney(row.total), count: row.count });
+  }
+  return byCurrency;
+}
+
+/**
+ * Spending statistics for a user's collection
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} - { currencies: [...], unpricedCopies } with one entry per currency,
+ *   the currency used by the most games first
+ */
+export async function getSpendingStats(userId) {
+  const pipeline = [
+    { $match: { userId, ...NOT_TRASHED, 'ownedCopies.0': { $exists: true } } },
+    { $unwind: '$ownedCopies' },
+    {
+      $facet: {
+        unpriced: [
+          { $match: { 'ownedCopies.price': { $not: { $type: 'number' } } } },
+          { $count: 'count' }
+        ],
+        byStorefront: breakdownStages('$ownedCopies.storefront'),
+        byPlatform: breakdownStages('$ownedCopies.platform'),
+        byYear: breakdownStages({
+          $cond: [
+            { $eq: [{ $type: '$ownedCopies.purchaseDate' }, 'date'] },
+            { $year: '$ownedCopies.purchaseDate' },
+            null
+          ]
+        }),
+        // One row per game and currency first, so hours played are counted once per game
+        totals: [
+          { $match: PRICED },
+          {
+            $group: {
+              _id: { currency: '$ownedCopies.currency', itemId: '$_id' },
+              spend: { $sum: '$ownedCopies.price' },
+              copies: { $sum: 1 },
+              hoursPlayed: { $first: { $ifNull: ['$hoursPlayed', 0] } },
+              neverStarted: {
+                $first: {
+                  $and: [
+                    { $eq: ['$status', COLLECTION_STATUSES.BACKLOG] },
+                    { $eq: [{ $ifNull: ['$dateStarted', null] }, null] },
+                    { $eq: [{ $size: { $ifNull: ['$playthroughs', []] } }, 0] }
+                  ]
+                }
+              }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.currency',
+              total: { $sum: '$spend' },
+              copyCount: { $sum: '$copies' },
+              gameCount: { $sum: 1 },
+              hoursPlayed: { $sum: '$hoursPlayed' },
+              backlogSpend: { $sum: { $cond: ['$neverStarted', '$spend', 0] } },
+              backlogGameCount: { $sum: { $cond: ['$neverStarted', 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ];
+
+  const results = await CollectionItems.rawCollection().aggregate(pipeline).toArray();
+  const facets = results[0] || {};
+
+  const byStorefront = splitByCurrency(facets.byStorefront || [], 'storefront');
+  const byPlatform = splitByCurrency(facets.byPlatform || [], 'platform');
+  const byYear = splitByCurrency(facets.byYear || [], 'year');
+
+  const currencies = (facets.totals || []).map(totals => {
+    const currency = totals._id;
+    return {
+      currency,
+      total: roundMoney(totals.total),
+      copyCount: totals.copyCount,
+      gameCount: totals.gameCount,
+      averagePerGame: roundMoney(totals.total / totals.gameCount),
+      hoursPlayed: totals.hoursPlayed,
+      // Spend on every priced game over the hours played across those games
+      costPerHour: totals.hoursPlayed > 0 ? roundMoney(totals.total / totals.hoursPlayed) : null,
+      backlogSpend: roundMoney(totals.backlogSpend),
+      backlogGameCount: totals.backlogGameCount,
+      byStorefront: (byStorefront[currency] || []).sort((a, b) => b.total - a.total),
+      byPlatform: (byPlatform[currency] || []).sort((a, b) => b.total - a.total),
+      // Oldest first, copies without a purchase date last
+      byYear: (byYear[currency] || []).sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity))
+    };
+  });
+
+  currencies.sort((a, b) => b.gameCount - a.gameCount || a.currency.localeCompare(b.currency));
+
+  return {
+    currencies,
+    unpricedCopies: facets.unpriced?.[0]?.count || 0
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * tagHelpers.js - Shared utilities for user-defined collection tags
+ */
+
+import { Meteor } from 'meteor/meteor';
+import {
+  Tags,
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_USER,
+  cleanTagName,
+  normalizeTagName
+} from '../../imports/lib/collections/tags.js';
+
+/**
+ * Validate a tag name and return its cleaned form.
+ *
+ * @param {string} name - Raw tag name from the client
+ * @returns {string} - Trimmed, whitespace-collapsed name
+ */
+export function validateTagName(name) {
+  const cleaned = cleanTagName(name);
+
+  if (cleaned.length === 0) {
+    throw new Meteor.Error('invalid-tag', 'Tag name cannot be empty');
+  }
+
+  if (cleaned.length > MAX_TAG_LENGTH) {
+    throw new Meteor.Error('invalid-tag', `Tag name cannot exceed ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return cleaned;
+}
+
+/**
+ * Insert a new tag for a user, enforcing the per-user cap.
+ * Returns the existing tag instead when one with the same normalized name exists.
+ *
+ * @param {string} userId
+ * @param {string} name - Already validated tag name
+ * @returns {Promise<Object>} - Tag document
+ */
+export async function createUserTag(userId, name) {
+  const normalizedName = normalizeTagName(name);
+
+  const existing = await Tags.findOneAsync({ userId, normalizedName });
+  if (existing) {
+    return existing;
+  }
+
+  const tagCount = await Tags.countDocuments({ userId });
+  if (tagCount >= MAX_TAGS_PER_USER) {
+    throw new Meteor.Error('too-many-tags', `You cannot have more than ${MAX_TAGS_PER_USER} tags`);
+  }
+
+  const now = new Date();
+  try {
+    const tagId = await Tags.insertAsync({
+      userId,
+      name,
+      normalizedName,
+      createdAt: now,
+      updatedAt: now
+    });
+    return Tags.findOneAsync(tagId);
+  } catch (error) {
+    // Handle duplicate key error (race with another insert of the same tag)
+    if (error.message.includes('duplicate key')) {
+      return Tags.findOneAsync({ userId, normalizedName });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve a list of tag names to the user's canonical tag names, creating any that are missing.
+ * Names that differ only by case or spacing resolve to the same tag.
+ *
+ * @param {string} userId
+ * @param {string[]} names - Raw tag names
+ * @returns {Promise<string[]>} - Canonical tag names, deduplicated, in input order
+ */
+export async function ensureUserTags(userId, names) {
+  const canonicalNames = [];
+  const seen = new Set();
+
+  for (const rawName of names) {
+    const name = validateTagName(rawName);
+    const normalizedName = normalizeTagName(name);
+
+    if (!seen.has(normalizedName)) {
+      seen.add(normalizedName);
+      const tag = await createUserTag(userId, name);
+      canonicalNames.push(tag.name);
+    }
+  }
+
+  return canonicalNames;
+}
@@ -0,0 +1,365 @@
+/**
+ * timeSeriesStats.js - Collection statistics over time
+ *
+ * Monthly series (games added, completions, backlog size, days from purchase to completion) and
+ * breakdowns of the games added in a range of months, from one aggregation pass in the style of
+ * collection.getStats. Months are 'YYYY-MM' strings in UTC, so they sort as text.
+ *
+ * Backlog size is rebuilt from dates on the items: a game joins the backlog when it is added
+ * (wishlist games never do) and leaves it when first started or finished. Games that moved on
+ * without any of those dates leave it at their last update.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { CollectionItems, COLLECTION_STATUSES, PLAYTHROUGH_OUTCOMES } from '../../imports/lib/collections/collectionItems.js';
+import {
+  RATING_SCALES,
+  getScaleValues,
+  toDisplayRating
+} from '../../imports/lib/constants/ratings.js';
+import { NOT_TRASHED } from './trash.js';
+
+export const MAX_RANGE_MONTHS = 360;
+export const GENRE_LIMIT = 12;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Ratings on the 100-point scale are shown in bands of ten
+const HUNDRED_POINT_BAND = 10;
+
+/**
+ * Parse a 'YYYY-MM' month
+ * @param {string} value
+ * @returns {{ year: number, month: number }|null}
+ */
+export function parseMonth(value) {
+  const match = typeof value === 'string' ? value.match(MONTH_PATTERN) : null;
+  return match ? { year: parseInt(match[1], 10), month: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Format a date as its 'YYYY-MM' month
+ * @param {Date} date
+ * @returns {string}
+ */
+export function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function monthStart({ year, month }) {
+  return new Date(Date.UTC(year, month - 1, 1));
+}
+
+/**
+ * Every month from one to another, inclusive
+ * @param {string} from - 'YYYY-MM'
+ * @param {string} to - 'YYYY-MM'
+ * @returns {string[]}
+ */
+export function monthsBetween(from, to) {
+  const months = [];
+  const cursor = monthStart(parseMonth(from));
+  const last = monthStart(parseMonth(to));
+  while (cursor <= last) {
+    months.push(monthOf(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Validate a requested range of months. A missing end is the current month; a missing start
+ * means all time, from the user's first game, limited to MAX_RANGE_MONTHS.
+ *
+ * @param {Object} range - { from, to } as 'YYYY-MM' strings, either may be null
+ * @param {Date} now
+ * @param {string|null} firstMonth - Month of the user's first game
+ * @returns {{ from: string, to: string }}
+ */
+export function resolveRange(range, now, firstMonth = null) {
+  const to = range.to ?? monthOf(now);
+
+  if (!parseMonth(to) || (range.from && !parseMonth(range.from))) {
+    throw new Meteor.Error('invalid-range', 'Months must be given as YYYY-MM');
+  }
+
+  const oldest = monthStart(parseMonth(to));
+  oldest.setUTCMonth(oldest.getUTCMonth() - (MAX_RANGE_MONTHS - 1));
+
+  if (!range.from) {
+    const from = firstMonth && firstMonth < to ? firstMonth : to;
+    return { from: from < monthOf(oldest) ? monthOf(oldest) : from, to };
+  }
+
+  if (range.from > to) {
+    throw new Meteor.Error('invalid-range', 'The range must start before it ends');
+  }
+
+  if (range.from < monthOf(oldest)) {
+    throw new Meteor.Error('invalid-range', `A range can cover at most ${MAX_RANGE_MONTHS} months`);
+  }
+
+  return { from: range.from, to };
+}
+
+function monthKey(expression) {
+  return { $dateToString: { format: '%Y-%m', date: expression } };
+}
+
+/**
+ * Aggregation pipeline behind the statistics for a range of months
+ * @param {string} userId
+ * @param {{ from: string, to: string }} range
+ * @returns {Array<Object>}
+ */
+export function buildTimeSeriesPipeline(userId, range) {
+  const start = monthStart(parseMonth(range.from));
+  const end = monthStart(parseMonth(range.to));
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  const inRange = { $gte: start, $lt: end };
+  const isDate = (expression) => ({ $eq: [{ $type: expression }, 'date'] });
+
+  const playthroughs = { $ifNull: ['$playthroughs', []] };
+  const completedRuns = {
+    $filter: { input: playthroughs, cond: { $eq: ['$$this.outcome', PLAYTHROUGH_OUTCOMES.COMPLETED] } }
+  };
+
+  return [
+    { $match: { userId, ...NOT_TRASHED } },
+    {
+      $project: {
+        rating: 1,
+        genres: { $ifNull: ['$game.genres', []] },
+        releaseYear: '$game.releaseYear',
+        addedAt: { $cond: [isDate('$dateAdded'), '$dateAdded', null] },
+        completedAt: {
+          $cond: [{ $eq: ['$status', COLLECTION_STATUSES.COMPLETED] }, '$dateCompleted', null]
+        },
+        // The item's own completion while it is completed, then every completed playthrough
+        completions: {
+          $concatArrays: [
+            {
+              $cond: [
+                { $and: [{ $eq: ['$status', COLLECTION_STATUSES.COMPLETED] }, isDate('$dateCompleted')] },
+                ['$dateCompleted'],
+                []
+              ]
+            },
+            { $map: { input: completedRuns, in: '$$this.dateCompleted' } }
+          ]
+        },
+        inBacklog: { $ne: ['$status', COLLECTION_STATUSES.WISHLIST] },
+        leftBacklogAt: {
+          $ifNull: [
+            {
+              $min: {
+                $concatArrays: [
+                  ['$dateStarted', '$dateCompleted'],
+                  { $map: { input: playthroughs, in: '$$this.dateStarted' } },
+                  { $map: { input: playthroughs, in: '$$this.dateCompleted' } }
+                ]
+              }
+            },
+            { $cond: [{ $eq: ['$status', COLLECTION_STATUSES.BACKLOG] }, null, '$updatedAt'] }
+          ]
+        },
+        // Earliest purchase of any copy, or when it was added
+        purchasedAt: {
+          $ifNull: [
+            { $min: { $map: { input: { $ifNull: ['$ownedCopies', []] }, in: '$$this.purchaseDate' } } },
+            '$dateAdded'
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        added: [
+          { $match: { addedAt: inRange } },
+          { $group: { _id: monthKey('$addedAt'), count: { $sum: 1 } } }
+        ],
+        completed: [
+          { $unwind: '$completions' },
+          { $match: { completions: inRange } },
+          { $group: { _id: monthKey('$completions'), count: { $sum: 1 } } }
+        ],
+        // Joins and departures up to the end of the range, so sizes before it add up too
+        backlogJoined: [
+          { $match: { inBacklog: true, addedAt: { $lt: end } } },
+          { $group: { _id: monthKey('$addedAt'), count: { $sum: 1 } } }
+        ],
+        backlogLeft: [
+          { $match: { inBacklog: true, addedAt: { $lt: end }, leftBacklogAt: { $lt: end } } },
+          {
+            $group: {
+              // A game never leaves before it joined
+              _id: monthKey({ $max: ['$addedAt', '$leftBacklogAt'] }),
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        daysToComplete: [
+          { $match: { completedAt: inRange, purchasedAt: { $type: 'date' } } },
+          { $match: { $expr: { $lte: ['$purchasedAt', '$completedAt'] } } },
+          {
+            $group: {
+              _id: monthKey('$completedAt'),
+              totalMs: { $sum: { $subtract: ['$completedAt', '$purchasedAt'] } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        ratings: [
+          { $match: { addedAt: inRange, rating: { $gt: 0 } } },
+          { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ],
+        genres: [
+          { $match: { addedAt: inRange } },
+          { $unwind: '$genres' },
+          { $group: { _id: '$genres', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        decades: [
+          { $match: { addedAt: inRange, releaseYear: { $type: 'number' } } },
+          {
+            $group: {
+              _id: { $multiply: [{ $floor: { $divide: ['$releaseYear', 10] } }, 10] },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Histogram of stored ratings on a display scale, one bar per scale value. The 100-point
+ * scale is banded into tens so the chart stays readable.
+ *
+ * @param {Array<Object>} rows - { _id: stored rating, count }
+ * @param {string} scale
+ * @returns {Array<{ label: string, count: number }>}
+ */
+export function ratingHistogram(rows, scale) {
+  const isBanded = scale === RATING_SCALES.HUNDRED_POINT;
+  const buckets = isBanded
+    ? Array.from({ length: 100 / HUNDRED_POINT_BAND }, (_, index) => ({
+        label: `${index * HUNDRED_POINT_BAND + 1}-${(index + 1) * HUNDRED_POINT_BAND}`,
+        count: 0
+      }))
+    : getScaleValues(scale).map(value => ({ label: String(value), count: 0 }));
+
+  for (const row of rows) {
+    const value = toDisplayRating(row._id, scale);
+    if (value === null) {
+      continue;
+    }
+    const index = isBanded
+      ? Math.ceil(value / HUNDRED_POINT_BAND) - 1
+      : buckets.findIndex(bucket => bucket.label === String(value));
+    if (index >= 0) {
+      buckets[index].count += row.count;
+    }
+  }
+
+  return buckets;
+}
+
+function countsByMonth(rows) {
+  return new Map((rows || []).map(row => [row._id, row.count]));
+}
+
+/**
+ * Shape the aggregation results into the statistics
+ *
+ * @param {{ from: string, to: string }} range
+ * @param {Object} facets - Result of buildTimeSeriesPipeline
+ * @param {string} ratingScale - The user's rating scale
+ * @returns {Object}
+ */
+export function buildTimeSeriesStats(range, facets, ratingScale) {
+  const added = countsByMonth(facets.added);
+  const completed = countsByMonth(facets.completed);
+  const joined = countsByMonth(facets.backlogJoined);
+  const left = countsByMonth(facets.backlogLeft);
+  const durations = new Map((facets.daysToComplete || []).map(row => [row._id, row]));
+
+  // Backlog size at the start of the range, then month by month
+  let backlog = 0;
+  for (const [month, count] of joined) {
+    if (month < range.from) {
+      backlog += count;
+    }
+  }
+  for (const [month, count] of left) {
+    if (month < range.from) {
+      backlog -= count;
+    }
+  }
+
+  let totalMs = 0;
+  let completedGames = 0;
+
+  const months = monthsBetween(range.from, range.to).map(month => {
+    backlog += (joined.get(month) || 0) - (left.get(month) || 0);
+
+    const duration = durations.get(month);
+    if (duration) {
+      totalMs += duration.totalMs;
+      completedGames += duration.count;
+    }
+
+    return {
+      month,
+      added: added.get(month) || 0,
+      completed: completed.get(month) || 0,
+      backlog,
+      averageDaysToComplete: duration ? Math.round(duration.totalMs / duration.count / MS_PER_DAY) : null
+    };
+  });
+
+  const genres = facets.genres || [];
+
+  return {
+    from: range.from,
+    to: range.to,
+    ratingScale,
+    months,
+    ratings: ratingHistogram(facets.ratings || [], ratingScale),
+    genres: genres.slice(0, GENRE_LIMIT).map(row => ({ genre: row._id, count: row.count })),
+    otherGenres: genres.length - Math.min(genres.length, GENRE_LIMIT),
+    decades: (facets.decades || []).map(row => ({ decade: row._id, count: row.count })),
+    purchaseToCompletion: {
+      averageDays: completedGames > 0 ? Math.round(totalMs / completedGames / MS_PER_DAY) : null,
+      games: completedGames
+    }
+  };
+}
+
+/**
+ * Month of the user's first game, where an all-time range starts
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+export async function getFirstMonth(userId) {
+  const [first] = await CollectionItems.find(
+    { userId, ...NOT_TRASHED, dateAdded: { $type: 'date' } },
+    { sort: { dateAdded: 1 }, limit: 1, fields: { dateAdded: 1 } }
+  ).fetchAsync();
+  return first ? monthOf(first.dateAdded) : null;
+}
+
+/**
+ * Time-series statistics for a user's collection
+ * @param {string} userId
+ * @param {{ from: string, to: string }} range - Resolved with resolveRange
+ * @param {string} ratingScale
+ * @returns {Promise<Object>} - See buildTimeSeriesStats
+ */
+export async function getTimeSeriesStats(userId, range, ratingScale) {
+  const results = await CollectionItems.rawCollection().aggregate(buildTimeSeriesPipeline(userId, range)).toArray();
+  return buildTimeSeriesStats(range, results[0] || {}, ratingScale);
+}
@@ -0,0 +1,59 @@
+/**
+ * timeToBeat.js - IGDB time-to-beat estimates and the backlog forecast built on them
+ *
+ * IGDB reports how long a game takes to beat hastily, normally and completely, in seconds, from
+ * its game_time_to_beats endpoint. Games store the figures in hours. The forecast spreads the
+ * hours left in the backlog over the pace the user completed games at recently.
+ */
+
+const SECONDS_PER_HOUR = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Completions in this many days set the pace of the backlog forecast
+export const FORECAST_WINDOW_DAYS = 180;
+
+function toHours(seconds) {
+  return typeof seconds === 'number' && seconds > 0
+    ? Math.round((seconds / SECONDS_PER_HOUR) * 10) / 10
+    : null;
+}
+
+/**
+ * Time-to-beat fields stored on Games for one IGDB record
+ * @param {Object|null} record - From game_time_to_beats: { hastily, normally, completely } in seconds
+ * @returns {Object|null} - { hastily, normally, completely } in hours, or null when IGDB has none
+ */
+export function transformTimeToBeat(record) {
+  const timeToBeat = {
+    hastily: toHours(record?.hastily),
+    normally: toHours(record?.normally),
+    completely: toHours(record?.completely)
+  };
+
+  return Object.values(timeToBeat).some(hours => hours !== null) ? timeToBeat : null;
+}
+
+/**
+ * When the backlog would be cleared at the recent completion pace
+ *
+ * @param {Object} options
+ * @param {number} options.backlogHours - Estimated hours left in the backlog
+ * @param {number} options.recentHours - Hours of the games completed in the window
+ * @param {number} [options.windowDays] - Length of the window
+ * @param {Date} [options.now]
+ * @returns {Object} - { hoursPerWeek, forecastDate }; forecastDate is null when there is
+ *   nothing left or no recent pace to go by
+ */
+export function forecastBacklog({ backlogHours, recentHours, windowDays = FORECAST_WINDOW_DAYS, now = new Date() }) {
+  const hoursPerDay = recentHours > 0 ? recentHours / windowDays : 0;
+  const hoursPerWeek = Math.round(hoursPerDay * 7 * 10) / 10;
+
+  if (backlogHours <= 0 || hoursPerDay === 0) {
+    return { hoursPerWeek, forecastDate: null };
+  }
+
+  return {
+    hoursPerWeek,
+    forecastDate: new Date(now.getTime() + Math.ceil(backlogHours / hoursPerDay) * DAY_MS)
+  };
+}
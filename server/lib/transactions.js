@@ -0,0 +1,33 @@
+/**
+ * transactions.js - Running a group of writes as one MongoDB transaction
+ *
+ * Meteor's collection methods take no session, so writes inside a transaction go through
+ * rawCollection() with the session passed in their options. Transactions need a replica set;
+ * Meteor's development database and hosted MongoDB both are one.
+ */
+
+import { MongoInternals } from 'meteor/mongo';
+
+/**
+ * Run work in a transaction, committing when it resolves and rolling back when it throws
+ *
+ * The driver may run work again after a transient error, so it should only write and not
+ * change state outside the database.
+ *
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} - What work resolved with
+ */
+export async function withTransaction(work) {
+  const { client } = MongoInternals.defaultRemoteCollectionDriver().mongo;
+  const session = client.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
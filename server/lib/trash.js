@@ -0,0 +1,115 @@
+/**
+ * trash.js - Soft deletion of collection items
+ *
+ * Removing an item only sets deletedAt. Trashed items are excluded from every collection query
+ * and are permanently deleted - together with any custom game and its cover - when the user
+ * deletes them forever or when the scheduled purge finds them past the retention period.
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { Games } from '../../imports/lib/collections/games.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { isUsingB2 } from '../covers/storageClient.js';
+import { deleteFromB2, extractKeyFromB2Url } from '../covers/b2Storage.js';
+import { GameCovers } from '../covers/coversCollection.js';
+import { removeItemHistory } from './itemHistory.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 500;
+
+// Query fragment for items that are not in the trash (missing or null deletedAt)
+export const NOT_TRASHED = { deletedAt: null };
+
+/**
+ * Number of days trashed items are kept before the scheduled purge.
+ * Configurable with Meteor.settings.private.trashRetentionDays.
+ *
+ * @returns {number}
+ */
+export function getTrashRetentionDays() {
+  const configured = Meteor.settings.private?.trashRetentionDays;
+  if (typeof configured === 'number' && configured > 0) {
+    return configured;
+  }
+  return DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Delete the cover file for a custom game (B2 or local).
+ *
+ * @param {Object} game - Custom game document
+ */
+export async function deleteCustomGameCover(game) {
+  if (!game.localCoverUrl && !game.localCoverId) {
+    return;
+  }
+
+  if (isUsingB2() && game.localCoverUrl) {
+    const key = extractKeyFromB2Url(game.localCoverUrl);
+    if (key) {
+      try {
+        await deleteFromB2(key);
+      } catch (error) {
+        console.error('Error deleting cover from B2:', error);
+      }
+    }
+  } else if (game.localCoverId) {
+    try {
+      const coverDoc = await GameCovers.findOneAsync(game.localCoverId);
+      if (coverDoc) {
+        await GameCovers.removeAsync(game.localCoverId);
+      }
+    } catch (error) {
+      console.error('Error deleting local cover:', error);
+    }
+  }
+}
+
+/**
+ * Permanently delete a collection item and its history. If its game is a custom game owned
+ * by the item's user, the game and its cover are deleted too.
+ *
+ * @param {Object} item - Collection item document
+ * @returns {Promise<number>} - Number of items removed
+ */
+export async function permanentlyDeleteItem(item) {
+  const result = await CollectionItems.removeAsync(item._id);
+  await removeItemHistory([item._id]);
+
+  if (item.gameId) {
+    const game = await Games.findOneAsync(item.gameId);
+    if (game && game.ownerId === item.userId) {
+      await deleteCustomGameCover(game);
+      await Games.removeAsync(game._id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Permanently delete every trashed item older than the retention period.
+ *
+ * @param {Date} now - Reference time (for tests)
+ * @returns {Promise<number>} - Number of items purged
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  let purged = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const items = await CollectionItems.find(
+      { deletedAt: { $lt: cutoff } },
+      { fields: { _id: 1, userId: 1, gameId: 1 }, limit: PURGE_BATCH_SIZE }
+    ).fetchAsync();
+
+    for (const item of items) {
+      purged += await permanentlyDeleteItem(item);
+    }
+
+    hasMore = items.length === PURGE_BATCH_SIZE;
+  }
+
+  return purged;
+}
@@ -0,0 +1,17 @@
+/**
+ * userPreferences.js - Per-user display preferences stored on the user document
+ */
+
+import { Meteor } from 'meteor/meteor';
+import { DEFAULT_RATING_SCALE, isValidRatingScale } from '../../imports/lib/constants/ratings.js';
+
+/**
+ * Rating scale the user has chosen, or the default 5-star scale
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+export async function getUserRatingScale(userId) {
+  const user = await Meteor.users.findOneAsync(userId, { fields: { 'preferences.ratingScale': 1 } });
+  const scale = user?.preferences?.ratingScale;
+  return isValidRatingScale(scale) ? scale : DEFAULT_RATING_SCALE;
+}
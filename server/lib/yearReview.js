@@ -0,0 +1,344 @@
+/**
+ * yearReview.js - Summary of one calendar year of a user's collection
+ *
+ * One aggregation pass works out, per item, when in the year it was added, started and
+ * completed and which play sessions fall in the year, then facets count them by month like
+ * collection.getStats does. Abandoning has no date on the item, so it comes from the item
+ * history and from abandoned playthroughs. Years and months are UTC, like the stored dates.
+ */
+
+import {
+  CollectionItems,
+  COLLECTION_STATUSES,
+  PLAYTHROUGH_OUTCOMES
+} from '../../imports/lib/collections/collectionItems.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+import { NOT_TRASHED } from './trash.js';
+import { getUserRatingScale } from './userPreferences.js';
+
+export const TOP_RATED_LIMIT = 5;
+export const MIN_REVIEW_YEAR = 1970;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function yearStart(year) {
+  return new Date(Date.UTC(year, 0, 1));
+}
+
+// Earliest date among playthroughs with the outcome, within the year
+function playthroughDates(outcome, field, within) {
+  return {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$playthroughs', []] },
+          cond: {
+            $and: [
+              ...(outcome ? [{ $eq: ['$$this.outcome', outcome] }] : []),
+              within(`$$this.${field}`)
+            ]
+          }
+        }
+      },
+      in: `$$this.${field}`
+    }
+  };
+}
+
+/**
+ * Aggregation pipeline behind the review
+ * @param {string} userId
+ * @param {number} year
+ * @returns {Array<Object>}
+ */
+export function buildYearReviewPipeline(userId, year) {
+  const start = yearStart(year);
+  const end = yearStart(year + 1);
+  const during = { $gte: start, $lt: end };
+  const within = (expression) => ({ $and: [{ $gte: [expression, start] }, { $lt: [expression, end] }] });
+
+  return [
+    {
+      $match: {
+        userId,
+        ...NOT_TRASHED,
+        $or: [
+          { dateAdded: during },
+          { dateStarted: during },
+          { dateCompleted: during },
+          { 'playthroughs.dateStarted': during },
+          { 'playthroughs.dateCompleted': during },
+          { 'playSessions.date': during }
+        ]
+      }
+    },
+    {
+      $project: {
+        title: '$game.title',
+        releaseYear: '$game.releaseYear',
+        platforms: { $ifNull: ['$platforms', []] },
+        storefronts: { $ifNull: ['$storefronts', []] },
+        rating: 1,
+        dateAdded: 1,
+        addedAt: { $cond: [within('$dateAdded'), '$dateAdded', null] },
+        startedAt: {
+          $min: {
+            $concatArrays: [
+              { $cond: [within('$dateStarted'), ['$dateStarted'], []] },
+              playthroughDates(null, 'dateStarted', within)
+            ]
+          }
+        },
+        // The item's own completion counts while it is completed; replays count through playthroughs
+        completedAt: {
+          $min: {
+            $concatArrays: [
+              {
+                $cond: [
+                  { $and: [{ $eq: ['$status', COLLECTION_STATUSES.COMPLETED] }, within('$dateCompleted')] },
+                  ['$dateCompleted'],
+                  []
+                ]
+              },
+              playthroughDates(PLAYTHROUGH_OUTCOMES.COMPLETED, 'dateCompleted', within)
+            ]
+          }
+        },
+        abandonedAt: { $min: playthroughDates(PLAYTHROUGH_OUTCOMES.ABANDONED, 'dateCompleted', within) },
+        sessions: {
+          $filter: { input: { $ifNull: ['$playSessions', []] }, cond: within('$$this.date') }
+        }
+      }
+    },
+    {
+      $addFields: {
+        played: {
+          $or: [
+            { $ne: ['$startedAt', null] },
+            { $ne: ['$completedAt', null] },
+            { $gt: [{ $size: '$sessions' }, 0] }
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        added: [
+          { $match: { addedAt: { $ne: null } } },
+          { $group: { _id: { $month: '$addedAt' }, count: { $sum: 1 } } }
+        ],
+        started: [
+          { $match: { startedAt: { $ne: null } } },
+          { $group: { _id: { $month: '$startedAt' }, count: { $sum: 1 } } }
+        ],
+        completed: [
+          { $match: { completedAt: { $ne: null } } },
+          { $group: { _id: { $month: '$completedAt' }, count: { $sum: 1 } } }
+        ],
+        abandonedRuns: [
+          { $match: { abandonedAt: { $ne: null } } },
+          { $project: { _id: 1, abandonedAt: 1 } }
+        ],
+        sessions: [
+          { $unwind: '$sessions' },
+          {
+            $group: {
+              _id: { $month: '$sessions.date' },
+              minutes: { $sum: '$sessions.minutes' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        // Sessions without a platform count for the item's first platform
+        sessionPlatforms: [
+          { $unwind: '$sessions' },
+          {
+            $group: {
+              _id: { $ifNull: ['$sessions.platform', { $arrayElemAt: ['$platforms', 0] }] },
+              minutes: { $sum: '$sessions.minutes' }
+            }
+          }
+        ],
+        platformGames: [
+          { $match: { played: true } },
+          { $unwind: '$platforms' },
+          { $group: { _id: '$platforms', games: { $sum: 1 } } }
+        ],
+        storefrontGames: [
+          { $match: { played: true } },
+          { $unwind: '$storefronts' },
+          { $group: { _id: '$storefronts', games: { $sum: 1 } } }
+        ],
+        topRated: [
+          { $match: { completedAt: { $ne: null }, rating: { $gt: 0 } } },
+          { $sort: { rating: -1, completedAt: 1 } },
+          { $limit: TOP_RATED_LIMIT },
+          { $project: { title: 1, releaseYear: 1, rating: 1, completedAt: 1 } }
+        ],
+        longestWait: [
+          { $match: { completedAt: { $ne: null }, dateAdded: { $type: 'date' } } },
+          { $addFields: { waited: { $subtract: ['$completedAt', '$dateAdded'] } } },
+          { $sort: { waited: -1 } },
+          { $limit: 1 },
+          { $project: { title: 1, releaseYear: 1, dateAdded: 1, completedAt: 1, waited: 1 } }
+        ]
+      }
+    }
+  ];
+}
+
+// Twelve monthly counts from { _id: month, [field] } rows
+function byMonth(rows, field = 'count') {
+  const months = new Array(12).fill(0);
+  for (const row of rows || []) {
+    if (row._id >= 1 && row._id <= 12) {
+      months[row._id - 1] = row[field];
+    }
+  }
+  return months;
+}
+
+function roundHours(minutes) {
+  return Math.round(minutes / 6) / 10;
+}
+
+/**
+ * Shape the aggregation results into the review
+ *
+ * @param {number} year
+ * @param {Object} facets - Result of buildYearReviewPipeline
+ * @param {Array<Date>} abandonedDates - When each item was abandoned during the year
+ * @param {string} ratingScale - The user's rating scale, for display
+ * @returns {Object}
+ */
+export function buildYearReview(year, facets, abandonedDates, ratingScale) {
+  const added = byMonth(facets.added);
+  const started = byMonth(facets.started);
+  const completed = byMonth(facets.completed);
+  const sessionMinutes = byMonth(facets.sessions, 'minutes');
+  const sessionCount = byMonth(facets.sessions).reduce((total, count) => total + count, 0);
+
+  const abandoned = new Array(12).fill(0);
+  for (const date of abandonedDates) {
+    abandoned[date.getUTCMonth()] += 1;
+  }
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  // Most-played platform by session hours, then by games played on it
+  const platforms = new Map();
+  for (const row of facets.platformGames || []) {
+    platforms.set(row._id, { name: row._id, games: row.games, minutes: 0 });
+  }
+  for (const row of facets.sessionPlatforms || []) {
+    if (row._id) {
+      const entry = platforms.get(row._id) || { name: row._id, games: 0, minutes: 0 };
+      entry.minutes += row.minutes;
+      platforms.set(row._id, entry);
+    }
+  }
+  const [topPlatform] = [...platforms.values()].sort((a, b) =>
+    b.minutes - a.minutes || b.games - a.games || a.name.localeCompare(b.name));
+
+  const [topStorefront] = [...(facets.storefrontGames || [])].sort((a, b) =>
+    b.games - a.games || a._id.localeCompare(b._id));
+
+  const [wait] = facets.longestWait || [];
+
+  return {
+    year,
+    ratingScale,
+    totals: {
+      added: sum(added),
+      started: sum(started),
+      completed: sum(completed),
+      abandoned: abandonedDates.length,
+      hours: roundHours(sum(sessionMinutes)),
+      sessions: sessionCount
+    },
+    months: added.map((count, index) => ({
+      month: index + 1,
+      added: count,
+      started: started[index],
+      completed: completed[index],
+      abandoned: abandoned[index],
+      hours: roundHours(sessionMinutes[index])
+    })),
+    topRated: (facets.topRated || []).map(row => ({
+      itemId: row._id,
+      title: row.title || 'Unknown Game',
+      releaseYear: row.releaseYear || null,
+      rating: row.rating,
+      completedAt: row.completedAt
+    })),
+    topPlatform: topPlatform
+      ? { name: topPlatform.name, games: topPlatform.games, hours: roundHours(topPlatform.minutes) }
+      : null,
+    topStorefront: topStorefront ? { storefront: topStorefront._id, games: topStorefront.games } : null,
+    longestWait: wait
+      ? {
+          itemId: wait._id,
+          title: wait.title || 'Unknown Game',
+          releaseYear: wait.releaseYear || null,
+          dateAdded: wait.dateAdded,
+          completedAt: wait.completedAt,
+          days: Math.floor(wait.waited / MS_PER_DAY)
+        }
+      : null
+  };
+}
+
+/**
+ * When each item was abandoned during the year: the first status change to abandoned in its
+ * history, or the end of an abandoned playthrough, whichever came first
+ *
+ * @param {string} userId
+ * @param {number} year
+ * @param {Array<Object>} abandonedRuns - { _id, abandonedAt } from the review facets
+ * @returns {Promise<Array<Date>>}
+ */
+async function getAbandonedDates(userId, year, abandonedRuns) {
+  const changes = await ItemHistory.rawCollection().aggregate([
+    {
+      $match: {
+        userId,
+        createdAt: { $gte: yearStart(year), $lt: yearStart(year + 1) },
+        changes: { $elemMatch: { field: 'status', to: COLLECTION_STATUSES.ABANDONED } }
+      }
+    },
+    { $group: { _id: '$itemId', abandonedAt: { $min: '$createdAt' } } }
+  ]).toArray();
+
+  const earliest = new Map(abandonedRuns.map(run => [run._id, run.abandonedAt]));
+  const fromHistory = changes.filter(change => !earliest.has(change._id) || change.abandonedAt < earliest.get(change._id));
+
+  // History outlives items moved to the trash
+  if (fromHistory.length > 0) {
+    const kept = await CollectionItems.find(
+      { _id: { $in: fromHistory.map(change => change._id) }, userId, ...NOT_TRASHED },
+      { fields: { _id: 1 } }
+    ).fetchAsync();
+    const keptIds = new Set(kept.map(item => item._id));
+    for (const change of fromHistory) {
+      if (keptIds.has(change._id)) {
+        earliest.set(change._id, change.abandonedAt);
+      }
+    }
+  }
+
+  return [...earliest.values()];
+}
+
+/**
+ * Year in review for a user
+ * @param {string} userId
+ * @param {number} year
+ * @returns {Promise<Object>} - See buildYearReview
+ */
+export async function getYearReview(userId, year) {
+  const results = await CollectionItems.rawCollection().aggregate(buildYearReviewPipeline(userId, year)).toArray();
+  const facets = results[0] || {};
+
+  const abandonedDates = await getAbandonedDates(userId, year, facets.abandonedRuns || []);
+  return buildYearReview(year, facets, abandonedDates, await getUserRatingScale(userId));
+}
@@ -21,12 +21,25 @@ import { initStorageClient } from './covers/storageClient.js';
 import './methods/igdbMethods.js';
 import './methods/importMethods.js';
 import './methods/customGameMethods.js';
+import './methods/tagMethods.js';
+import './methods/savedViewMethods.js';
+import './methods/bulkMethods.js';
+import './methods/historyMethods.js';
+import './methods/queueMethods.js';
+import './methods/duplicateMethods.js';
+import './methods/matchReviewMethods.js';
+import './methods/gameRelationMethods.js';
+import './methods/seriesMethods.js';
+import './methods/playSessionMethods.js';
+import './methods/goalMethods.js';
+import './methods/yearReviewMethods.js';
 
 // Import additional publications
 import './publications/importProgressPublication.js';
 
 // Import scheduled jobs
 import './scheduled/gameRefresh.js';
+import './scheduled/trashPurge.js';
 
 // Import HTTP routes
 import './routes/imageProxy.js';
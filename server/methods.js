@@ -2,45 +2,72 @@ import { Meteor } from 'meteor/meteor';
 import { Random } from 'meteor/random';
 import { check, Match } from 'meteor/check';
 import { Games } from '../imports/lib/collections/games.js';
-import { CollectionItems, COLLECTION_STATUSES } from '../imports/lib/collections/collectionItems.js';
+import {
+  CollectionItems,
+  COLLECTION_STATUSES,
+  PLAYTHROUGH_OUTCOMES,
+  MAX_OWNED_COPIES,
+  MAX_PLAYTHROUGHS,
+  deriveOwnershipIndex
+} from '../imports/lib/collections/collectionItems.js';
 import { checkSubscription } from '../imports/hub/subscriptions.js';
 import { getValidStorefrontIds } from '../imports/lib/constants/storefronts.js';
 import { checkDistributedRateLimit } from './lib/distributedRateLimit.js';
-import { isUsingB2 } from './covers/storageClient.js';
-import { deleteFromB2, extractKeyFromB2Url } from './covers/b2Storage.js';
-import { GameCovers } from './covers/coversCollection.js';
 import { sanitizeSearchQuery } from './igdb/client.js';
 import { buildEmbeddedGame } from './lib/gameHelpers.js';
+import { buildCollectionMatch, collectionFiltersPattern } from './lib/collectionFilters.js';
+import { groupEditionsMatch, attachEditions } from './lib/gameRelations.js';
+import { NOT_TRASHED, getTrashRetentionDays, permanentlyDeleteItem } from './lib/trash.js';
+import { recordItemAdded, recordItemChanges } from './lib/itemHistory.js';
+import { getUserRatingScale } from './lib/userPreferences.js';
+import { getSpendingStats } from './lib/spendingStats.js';
+import { resolveRange, getFirstMonth, getTimeSeriesStats } from './lib/timeSeriesStats.js';
+import { forecastBacklog, FORECAST_WINDOW_DAYS } from './lib/timeToBeat.js';
+import { getRecommendations } from './lib/recommender.js';
+import { parseSort, buildSortStages, seededOrder, SORT_HELPER_FIELDS } from './lib/collectionSort.js';
+import { playtimeFields, baselineForTotal } from './lib/playSessions.js';
+import {
+  validateCopy,
+  buildCopy,
+  getOwnedCopies,
+  ownershipFields,
+  applyFlatOwnership
+} from './lib/ownedCopies.js';
+import {
+  RATING_MAX,
+  RATING_SCALE_OPTIONS,
+  isValidRating,
+  isValidRatingScale,
+  normalizeRating
+} from '../imports/lib/constants/ratings.js';
 
 const RATE_LIMIT_WINDOW = 1000;
 const RATE_LIMIT_MAX = 10;
-
-// Delete cover file for a custom game (B2 or local)
-async function deleteCustomGameCover(game) {
-  if (!game.localCoverUrl && !game.localCoverId) {
-    return;
-  }
-
-  if (isUsingB2() && game.localCoverUrl) {
-    const key = extractKeyFromB2Url(game.localCoverUrl);
-    if (key) {
-      try {
-        await deleteFromB2(key);
-      } catch (error) {
-        console.error('Error deleting cover from B2:', error);
-      }
-    }
-  } else if (game.localCoverId) {
-    try {
-      const coverDoc = await GameCovers.findOneAsync(game.localCoverId);
-      if (coverDoc) {
-        await GameCovers.removeAsync(game.localCoverId);
-      }
-    } catch (error) {
-      console.error('Error deleting local cover:', error);
-    }
-  }
-}
+const MAX_PLAYTHROUGH_LABEL_LENGTH = 100;
+
+// Lists the collection grid doesn't show; the edit dialog loads them with collection.getItemDetails
+const ITEM_DETAIL_FIELDS = ['ownedCopies', 'playthroughs', 'playSessions'];
+
+const playthroughPattern = {
+  dateStarted: Match.Maybe(Match.OneOf(Date, null)),
+  dateCompleted: Match.Maybe(Match.OneOf(Date, null)),
+  platform: Match.Maybe(Match.OneOf(String, null)),
+  difficulty: Match.Maybe(Match.OneOf(String, null)),
+  outcome: Match.Maybe(Match.OneOf(String, null)),
+  hoursPlayed: Match.Maybe(Match.OneOf(Number, null)),
+  notes: Match.Maybe(String)
+};
+
+const copyPattern = {
+  platform: Match.Maybe(Match.OneOf(String, null)),
+  storefront: Match.Maybe(Match.OneOf(String, null)),
+  format: Match.Maybe(Match.OneOf(String, null)),
+  edition: Match.Maybe(Match.OneOf(String, null)),
+  purchaseDate: Match.Maybe(Match.OneOf(Date, null)),
+  price: Match.Maybe(Match.OneOf(Number, null)),
+  currency: Match.Maybe(Match.OneOf(String, null)),
+  source: Match.Maybe(Match.OneOf(String, null))
+};
 
 async function checkRateLimit(userId, methodName) {
   const key = `method:${userId}:${methodName}`;
@@ -63,12 +90,57 @@ export function validateStatus(status) {
 
 export function validateRating(rating) {
   if (rating !== null && rating !== undefined) {
-    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
-      throw new Meteor.Error('invalid-rating', 'Rating must be an integer between 1 and 5');
+    if (!isValidRating(rating)) {
+      throw new Meteor.Error('invalid-rating', 'Rating must be between 0.05 and 5 stars, in steps of 0.05');
     }
   }
 }
 
+const validOutcomes = Object.values(PLAYTHROUGH_OUTCOMES);
+
+export function validatePlaythrough(playthrough) {
+  if (playthrough.outcome !== null && playthrough.outcome !== undefined && !validOutcomes.includes(playthrough.outcome)) {
+    throw new Meteor.Error('invalid-outcome', `Outcome must be one of: ${validOutcomes.join(', ')}`);
+  }
+
+  if (playthrough.hoursPlayed !== null && playthrough.hoursPlayed !== undefined) {
+    if (typeof playthrough.hoursPlayed !== 'number' || playthrough.hoursPlayed < 0) {
+      throw new Meteor.Error('invalid-hours', 'Hours played must be a positive number');
+    }
+  }
+
+  if (playthrough.platform && playthrough.platform.length > MAX_PLAYTHROUGH_LABEL_LENGTH) {
+    throw new Meteor.Error('invalid-platform', `Platform cannot exceed ${MAX_PLAYTHROUGH_LABEL_LENGTH} characters`);
+  }
+
+  if (playthrough.difficulty && playthrough.difficulty.length > MAX_PLAYTHROUGH_LABEL_LENGTH) {
+    throw new Meteor.Error('invalid-difficulty', `Difficulty cannot exceed ${MAX_PLAYTHROUGH_LABEL_LENGTH} characters`);
+  }
+
+  if (playthrough.notes && playthrough.notes.length > 10000) {
+    throw new Meteor.Error('notes-too-long', 'Notes cannot exceed 10000 characters');
+  }
+
+  if (playthrough.dateStarted && playthrough.dateCompleted && playthrough.dateCompleted < playthrough.dateStarted) {
+    throw new Meteor.Error('invalid-dates', 'A playthrough cannot end before it starts');
+  }
+}
+
+// Build a stored playthrough from validated input, filling defaults for missing fields
+export function buildPlaythrough(input, now = new Date()) {
+  return {
+    _id: Random.id(),
+    dateStarted: input.dateStarted || null,
+    dateCompleted: input.dateCompleted || null,
+    platform: input.platform ? input.platform.trim() : null,
+    difficulty: input.difficulty ? input.difficulty.trim() : null,
+    outcome: input.outcome || null,
+    hoursPlayed: input.hoursPlayed ?? null,
+    notes: input.notes || '',
+    createdAt: now
+  };
+}
+
 export function validateStorefronts(storefronts) {
   if (!storefronts || storefronts.length === 0) {
     return [];
@@ -106,21 +178,38 @@ Meteor.methods({
       gameId: gameId
     });
     
-    if (existing) {
+    if (existing && !existing.deletedAt) {
       throw new Meteor.Error('duplicate-item', 'This game is already in your collection');
     }
     
     const now = new Date();
+
+    // Adding a game that is in the trash brings the old item back with its history intact
+    if (existing) {
+      const restoredPlatforms = options.platforms || [platform];
+      const ownedCopies = applyFlatOwnership(
+        getOwnedCopies(existing),
+        [...new Set([...(existing.platforms || []), ...restoredPlatforms])],
+        existing.storefronts || []
+      );
+      const updateFields = { ...ownershipFields(ownedCopies), status: status, updatedAt: now };
+      await CollectionItems.updateAsync(existing._id, {
+        $unset: { deletedAt: '' },
+        $set: updateFields
+      });
+      await recordItemChanges(existing, updateFields);
+      return existing._id;
+    }
+
     const storefronts = validateStorefronts(options.storefronts || []);
     const platforms = options.platforms || [platform];
     
-    const itemId = await CollectionItems.insertAsync({
+    const newItem = {
       userId: this.userId,
       gameId: gameId,
       igdbId: game.igdbId || null,
       game: buildEmbeddedGame(game),
-      platforms: platforms,
-      storefronts: storefronts,
+      ...ownershipFields(applyFlatOwnership([], platforms, storefronts)),
       status: status,
       rating: null,
       hoursPlayed: null,
@@ -128,11 +217,16 @@ Meteor.methods({
       dateAdded: now,
       dateStarted: null,
       dateCompleted: null,
+      playthroughs: [],
+      tags: [],
       favorite: false,
       physical: false,
       createdAt: now,
       updatedAt: now
-    });
+    };
+
+    const itemId = await CollectionItems.insertAsync(newItem);
+    await recordItemAdded({ _id: itemId, ...newItem });
 
     return itemId;
   },
@@ -159,7 +253,7 @@ Meteor.methods({
     await checkRateLimit(this.userId, 'collection.updateItem');
     
     const item = await CollectionItems.findOneAsync(itemId);
-    if (!item) {
+    if (!item || item.deletedAt) {
       throw new Meteor.Error('item-not-found', 'Collection item not found');
     }
     
@@ -173,6 +267,9 @@ Meteor.methods({
     
     if (updates.rating !== undefined) {
       validateRating(updates.rating);
+      if (updates.rating !== null) {
+        updates.rating = normalizeRating(updates.rating);
+      }
     }
     
     if (updates.hoursPlayed !== undefined && updates.hoursPlayed !== null) {
@@ -191,6 +288,22 @@ Meteor.methods({
     }
     
     const updateFields = { ...updates, updatedAt: new Date() };
+
+    // Flat lists are derived from the copies, so edits to them are applied to the copies
+    if (updates.platforms !== undefined || updates.storefronts !== undefined) {
+      Object.assign(updateFields, ownershipFields(applyFlatOwnership(
+        getOwnedCopies(item),
+        updates.platforms ?? item.platforms ?? [],
+        updates.storefronts ?? item.storefronts ?? []
+      )));
+    }
+
+    // The entered total is kept as the hours no session or import accounts for
+    if (updates.hoursPlayed !== undefined) {
+      Object.assign(updateFields, playtimeFields(item, {
+        hoursBaseline: baselineForTotal(item, updates.hoursPlayed)
+      }));
+    }
     
     // Auto-set dateCompleted when marking as completed
     if (updates.status === 'completed' && !item.dateCompleted && !updates.dateCompleted) {
@@ -198,8 +311,241 @@ Meteor.methods({
     }
     
     const result = await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
     return result;
   },
+
+  async 'collection.addPlaythrough'(itemId, playthrough) {
+    check(itemId, String);
+    check(playthrough, playthroughPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.addPlaythrough');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    if ((item.playthroughs || []).length >= MAX_PLAYTHROUGHS) {
+      throw new Meteor.Error('too-many-playthroughs', `An item cannot have more than ${MAX_PLAYTHROUGHS} playthroughs`);
+    }
+
+    validatePlaythrough(playthrough);
+
+    const newPlaythrough = buildPlaythrough(playthrough);
+
+    await CollectionItems.updateAsync(itemId, {
+      $push: { playthroughs: newPlaythrough },
+      $set: { updatedAt: new Date() }
+    });
+
+    return newPlaythrough._id;
+  },
+
+  async 'collection.updatePlaythrough'(itemId, playthroughId, updates) {
+    check(itemId, String);
+    check(playthroughId, String);
+    check(updates, playthroughPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.updatePlaythrough');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const existing = (item.playthroughs || []).find(playthrough => playthrough._id === playthroughId);
+    if (!existing) {
+      throw new Meteor.Error('playthrough-not-found', 'Playthrough not found');
+    }
+
+    // Validate the merged result so date ordering is checked against unchanged fields too
+    validatePlaythrough({ ...existing, ...updates });
+
+    const updateFields = { updatedAt: new Date() };
+    for (const [field, value] of Object.entries(updates)) {
+      if (value === undefined) {
+        continue;
+      }
+      const isLabel = field === 'platform' || field === 'difficulty';
+      updateFields[`playthroughs.$.${field}`] = isLabel && value ? value.trim() : value;
+    }
+
+    await CollectionItems.updateAsync(
+      { _id: itemId, 'playthroughs._id': playthroughId },
+      { $set: updateFields }
+    );
+
+    return true;
+  },
+
+  async 'collection.removePlaythrough'(itemId, playthroughId) {
+    check(itemId, String);
+    check(playthroughId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.removePlaythrough');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const exists = (item.playthroughs || []).some(playthrough => playthrough._id === playthroughId);
+    if (!exists) {
+      throw new Meteor.Error('playthrough-not-found', 'Playthrough not found');
+    }
+
+    await CollectionItems.updateAsync(itemId, {
+      $pull: { playthroughs: { _id: playthroughId } },
+      $set: { updatedAt: new Date() }
+    });
+
+    return true;
+  },
+  
+  async 'collection.addCopy'(itemId, copy) {
+    check(itemId, String);
+    check(copy, copyPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.addCopy');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const copies = getOwnedCopies(item);
+    if (copies.length >= MAX_OWNED_COPIES) {
+      throw new Meteor.Error('too-many-copies', `An item cannot have more than ${MAX_OWNED_COPIES} copies`);
+    }
+
+    validateCopy(copy);
+
+    const newCopy = buildCopy(copy);
+    const updateFields = { ...ownershipFields([...copies, newCopy]), updatedAt: new Date() };
+
+    await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
+
+    return newCopy._id;
+  },
+
+  async 'collection.updateCopy'(itemId, copyId, updates) {
+    check(itemId, String);
+    check(copyId, String);
+    check(updates, copyPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.updateCopy');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const copies = getOwnedCopies(item);
+    const existing = copies.find(copy => copy._id === copyId);
+    if (!existing) {
+      throw new Meteor.Error('copy-not-found', 'Copy not found');
+    }
+
+    // Validate the merged result so a price is checked against an unchanged currency too
+    const definedUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([, value]) => value !== undefined)
+    );
+    const merged = { ...existing, ...definedUpdates };
+    validateCopy(merged);
+
+    const updatedCopy = { ...buildCopy(merged, existing.createdAt), _id: existing._id };
+    const newCopies = copies.map(copy => (copy._id === copyId ? updatedCopy : copy));
+
+    if (deriveOwnershipIndex(newCopies).platforms.length === 0) {
+      throw new Meteor.Error('last-platform', 'An item needs at least one copy with a platform');
+    }
+
+    const updateFields = { ...ownershipFields(newCopies), updatedAt: new Date() };
+
+    await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
+
+    return true;
+  },
+
+  async 'collection.removeCopy'(itemId, copyId) {
+    check(itemId, String);
+    check(copyId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.removeCopy');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const copies = getOwnedCopies(item);
+    if (!copies.some(copy => copy._id === copyId)) {
+      throw new Meteor.Error('copy-not-found', 'Copy not found');
+    }
+
+    const newCopies = copies.filter(copy => copy._id !== copyId);
+    if (deriveOwnershipIndex(newCopies).platforms.length === 0) {
+      throw new Meteor.Error('last-platform', 'An item needs at least one copy with a platform');
+    }
+
+    const updateFields = { ...ownershipFields(newCopies), updatedAt: new Date() };
+
+    await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
+
+    return true;
+  },
   
   async 'collection.removeItem'(itemId) {
     check(itemId, String);
@@ -219,21 +565,128 @@ Meteor.methods({
       throw new Meteor.Error('not-authorized', 'You can only remove your own collection items');
     }
 
-    const result = await CollectionItems.removeAsync(itemId);
+    if (item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
 
-    // If the game is a custom game owned by this user, delete it and its cover
-    if (item.gameId) {
-      const game = await Games.findOneAsync(item.gameId);
-      if (game && game.ownerId === this.userId) {
-        // Delete cover file if exists
-        await deleteCustomGameCover(game);
-        // Delete the game document
-        await Games.removeAsync(game._id);
+    // Soft delete: the item moves to the trash. Custom games and their covers are
+    // cleaned up when the item is deleted forever or purged (see server/lib/trash.js)
+    const result = await CollectionItems.updateAsync(itemId, {
+      $set: {
+        deletedAt: new Date(),
+        updatedAt: new Date()
       }
-    }
+    });
 
     return result;
   },
+
+  async 'collection.restoreItem'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.restoreItem');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only restore your own collection items');
+    }
+
+    if (!item.deletedAt) {
+      throw new Meteor.Error('item-not-in-trash', 'This item is not in the trash');
+    }
+
+    await CollectionItems.updateAsync(itemId, {
+      $unset: { deletedAt: '' },
+      $set: { updatedAt: new Date() }
+    });
+
+    return true;
+  },
+
+  async 'collection.deleteForever'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.deleteForever');
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only remove your own collection items');
+    }
+
+    // Only trashed items can be deleted forever, so a single click never loses data
+    if (!item.deletedAt) {
+      throw new Meteor.Error('item-not-in-trash', 'Move this item to the trash first');
+    }
+
+    return permanentlyDeleteItem(item);
+  },
+
+  async 'collection.emptyTrash'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.emptyTrash');
+
+    const items = await CollectionItems.find(
+      { userId: this.userId, deletedAt: { $type: 'date' } },
+      { fields: { _id: 1, userId: 1, gameId: 1 } }
+    ).fetchAsync();
+
+    let deleted = 0;
+    for (const item of items) {
+      deleted += await permanentlyDeleteItem(item);
+    }
+
+    return deleted;
+  },
+
+  async 'collection.getTrash'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.getTrash');
+
+    const items = await CollectionItems.find(
+      { userId: this.userId, deletedAt: { $type: 'date' } },
+      {
+        sort: { deletedAt: -1 },
+        limit: 1000,
+        fields: {
+          _id: 1,
+          gameId: 1,
+          game: 1,
+          platforms: 1,
+          status: 1,
+          rating: 1,
+          hoursPlayed: 1,
+          deletedAt: 1
+        }
+      }
+    ).fetchAsync();
+
+    return {
+      items,
+      retentionDays: getTrashRetentionDays()
+    };
+  },
   
   async 'collection.toggleFavorite'(itemId) {
     check(itemId, String);
@@ -245,7 +698,7 @@ Meteor.methods({
     await checkRateLimit(this.userId, 'collection.toggleFavorite');
     
     const item = await CollectionItems.findOneAsync(itemId);
-    if (!item) {
+    if (!item || item.deletedAt) {
       throw new Meteor.Error('item-not-found', 'Collection item not found');
     }
     
@@ -253,12 +706,13 @@ Meteor.methods({
       throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
     }
     
-    await CollectionItems.updateAsync(itemId, {
-      $set: {
-        favorite: !item.favorite,
-        updatedAt: new Date()
-      }
-    });
+    const updateFields = {
+      favorite: !item.favorite,
+      updatedAt: new Date()
+    };
+
+    await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
     
     return !item.favorite;
   },
@@ -275,7 +729,7 @@ Meteor.methods({
     validateStatus(status);
     
     const item = await CollectionItems.findOneAsync(itemId);
-    if (!item) {
+    if (!item || item.deletedAt) {
       throw new Meteor.Error('item-not-found', 'Collection item not found');
     }
     
@@ -294,6 +748,7 @@ Meteor.methods({
     }
     
     await CollectionItems.updateAsync(itemId, { $set: updateFields });
+    await recordItemChanges(item, updateFields);
     
     return true;
   },
@@ -306,10 +761,12 @@ Meteor.methods({
     await checkRateLimit(this.userId, 'collection.getStats');
 
     const rawCollection = CollectionItems.rawCollection();
+    const now = new Date();
+    const forecastWindowStart = new Date(now.getTime() - FORECAST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
 
     // Use $facet to compute all stats in a single aggregation pass
     const pipeline = [
-      { $match: { userId: this.userId } },
+      { $match: { userId: this.userId, ...NOT_TRASHED } },
       {
         $facet: {
           // Total count and status counts
@@ -346,6 +803,30 @@ Meteor.methods({
               }
             }
           ],
+          // Playthrough totals (a replay is every completed run after the first)
+          playthroughs: [
+            {
+              $project: {
+                totalRuns: { $size: { $ifNull: ['$playthroughs', []] } },
+                completedRuns: {
+                  $size: {
+                    $filter: {
+                      input: { $ifNull: ['$playthroughs', []] },
+                      cond: { $eq: ['$$this.outcome', PLAYTHROUGH_OUTCOMES.COMPLETED] }
+                    }
+                  }
+                }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                totalPlaythroughs: { $sum: '$totalRuns' },
+                replays: { $sum: { $max: [{ $subtract: ['$completedRuns', 1] }, 0] } },
+                replayedGames: { $sum: { $cond: [{ $gt: ['$completedRuns', 1] }, 1, 0] } }
+              }
+            }
+          ],
           // Platform counts
           platformCounts: [
             { $unwind: { path: '$platforms', preserveNullAndEmptyArrays: false } },
@@ -366,6 +847,38 @@ Meteor.methods({
               }
             }
           ],
+          // Estimated hours left in the backlog and games being played; hours already
+          // played on a game count towards its estimate
+          backlogEstimate: [
+            { $match: { status: { $in: [COLLECTION_STATUSES.BACKLOG, COLLECTION_STATUSES.PLAYING] } } },
+            {
+              $group: {
+                _id: null,
+                games: { $sum: 1 },
+                estimatedGames: { $sum: { $cond: [{ $gt: ['$game.hoursToBeat', 0] }, 1, 0] } },
+                hours: {
+                  $sum: {
+                    $cond: [
+                      { $gt: ['$game.hoursToBeat', 0] },
+                      { $max: [{ $subtract: ['$game.hoursToBeat', { $ifNull: ['$hoursPlayed', 0] }] }, 0] },
+                      0
+                    ]
+                  }
+                }
+              }
+            }
+          ],
+          // Hours of the games completed recently, the pace of the backlog forecast
+          recentCompletions: [
+            { $match: { status: COLLECTION_STATUSES.COMPLETED, dateCompleted: { $gte: forecastWindowStart } } },
+            {
+              $group: {
+                _id: null,
+                games: { $sum: 1 },
+                hours: { $sum: { $ifNull: ['$hoursPlayed', { $ifNull: ['$game.hoursToBeat', 0] }] } }
+              }
+            }
+          ],
           // Recently added (top 5)
           recentlyAdded: [
             { $sort: { dateAdded: -1 } },
@@ -399,10 +912,15 @@ Meteor.methods({
       favorites: 0,
       totalHoursPlayed: 0,
       averageRating: null,
+      ratingScale: await getUserRatingScale(this.userId),
+      totalPlaythroughs: 0,
+      replays: 0,
+      replayedGames: 0,
       platformCounts: {},
       storefrontCounts: {},
       recentlyAdded: [],
-      recentlyCompleted: []
+      recentlyCompleted: [],
+      backlogForecast: null
     };
 
     // Process totals
@@ -411,7 +929,10 @@ Meteor.methods({
       stats.total = totals.total || 0;
       stats.totalHoursPlayed = totals.totalHours || 0;
       if (totals.ratingCount > 0) {
-        stats.averageRating = Math.round((totals.ratingSum / totals.ratingCount) * 10) / 10;
+        // Ratings are stored in stars; report the average on the user's chosen scale
+        const scaleMax = RATING_SCALE_OPTIONS[stats.ratingScale].max;
+        const average = (totals.ratingSum / totals.ratingCount) * scaleMax / RATING_MAX;
+        stats.averageRating = Math.round(average * 10) / 10;
       }
     }
 
@@ -429,6 +950,14 @@ Meteor.methods({
       stats.favorites = facets.favorites[0].count;
     }
 
+    // Process playthroughs
+    if (facets.playthroughs && facets.playthroughs[0]) {
+      const playthroughs = facets.playthroughs[0];
+      stats.totalPlaythroughs = playthroughs.totalPlaythroughs || 0;
+      stats.replays = playthroughs.replays || 0;
+      stats.replayedGames = playthroughs.replayedGames || 0;
+    }
+
     // Process platform counts
     if (facets.platformCounts) {
       for (const item of facets.platformCounts) {
@@ -447,6 +976,19 @@ Meteor.methods({
       }
     }
 
+    // Process the backlog forecast
+    const backlog = facets.backlogEstimate?.[0] || { games: 0, estimatedGames: 0, hours: 0 };
+    const recent = facets.recentCompletions?.[0] || { games: 0, hours: 0 };
+    const backlogHours = Math.round(backlog.hours);
+    stats.backlogForecast = {
+      games: backlog.games,
+      estimatedGames: backlog.estimatedGames,
+      hours: backlogHours,
+      recentlyCompletedGames: recent.games,
+      windowDays: FORECAST_WINDOW_DAYS,
+      ...forecastBacklog({ backlogHours, recentHours: recent.hours, now })
+    };
+
     // Process recently added
     if (facets.recentlyAdded) {
       stats.recentlyAdded = facets.recentlyAdded.map(item => item._id);
@@ -460,58 +1002,77 @@ Meteor.methods({
     return stats;
   },
 
-  async 'collection.getCount'(filters = {}) {
-    check(filters, {
-      status: Match.Maybe(String),
-      platform: Match.Maybe(String),
-      storefront: Match.Maybe(String),
-      favorite: Match.Maybe(Boolean),
-      search: Match.Maybe(String)
+  async 'collection.getSpendingStats'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.getSpendingStats');
+
+    return getSpendingStats(this.userId);
+  },
+
+  // Monthly series and breakdowns for a range of 'YYYY-MM' months; no start means all time
+  async 'collection.getTimeSeriesStats'(range = {}) {
+    check(range, {
+      from: Match.Maybe(String),
+      to: Match.Maybe(String)
     });
 
     if (!this.userId) {
       throw new Meteor.Error('not-authorized', 'You must be logged in');
     }
 
-    await checkRateLimit(this.userId, 'collection.getCount');
+    await checkRateLimit(this.userId, 'collection.getTimeSeriesStats');
 
-    // Build query using embedded game data (no $lookup needed)
-    const query = { userId: this.userId };
+    const firstMonth = range.from ? null : await getFirstMonth(this.userId);
+    const resolved = resolveRange(range, new Date(), firstMonth);
 
-    if (filters.status) {
-      query.status = filters.status;
-    }
+    return getTimeSeriesStats(this.userId, resolved, await getUserRatingScale(this.userId));
+  },
 
-    if (filters.platform) {
-      query.platforms = filters.platform;
-    }
+  // Ranked backlog suggestions with the reasons behind each (see server/lib/recommender.js)
+  async 'collection.getRecommendations'(options = {}) {
+    check(options, {
+      platform: Match.Maybe(String),
+      shortSession: Match.Maybe(Boolean),
+      limit: Match.Maybe(Match.Integer)
+    });
 
-    if (filters.storefront) {
-      query.storefronts = filters.storefront;
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
     }
 
-    if (filters.favorite === true) {
-      query.favorite = true;
-    }
+    await checkRateLimit(this.userId, 'collection.getRecommendations');
 
-    // Search uses embedded game.title (no $lookup needed)
-    if (filters.search && filters.search.trim().length > 0) {
-      query['game.title'] = { $regex: filters.search.trim(), $options: 'i' };
+    return getRecommendations(this.userId, options);
+  },
+
+  async 'collection.getCount'(filters = {}) {
+    check(filters, collectionFiltersPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
     }
 
+    await checkRateLimit(this.userId, 'collection.getCount');
+
+    // Build query using embedded game data (no $lookup needed); editions shown under their
+    // base game are not counted separately
+    const ratingScale = await getUserRatingScale(this.userId);
+    const { match: query } = await groupEditionsMatch(buildCollectionMatch(this.userId, filters, ratingScale));
+
     const count = await CollectionItems.countDocuments(query);
     return count;
   },
 
   async 'collection.getItemsChunk'(options = {}) {
     check(options, {
+      ...collectionFiltersPattern,
       sort: Match.Maybe(String),
+      seed: Match.Maybe(String),
       limit: Match.Maybe(Number),
-      skip: Match.Maybe(Number),
-      status: Match.Maybe(String),
-      platform: Match.Maybe(String),
-      favorite: Match.Maybe(Boolean),
-      search: Match.Maybe(String)
+      skip: Match.Maybe(Number)
     });
 
     if (!this.userId) {
@@ -520,73 +1081,85 @@ Meteor.methods({
 
     await checkRateLimit(this.userId, 'collection.getItemsChunk');
 
-    const sortValue = options.sort || 'name-asc';
-    const isNameSort = sortValue.startsWith('name');
-    const sortDirection = sortValue.endsWith('desc') ? -1 : 1;
+    const sort = parseSort(options.sort);
     const limit = Math.min(options.limit || 100, 200);
     const skip = options.skip || 0;
 
     // Build match stage using embedded game data (no $lookup needed)
-    const matchStage = { userId: this.userId };
-
-    if (options.status) {
-      matchStage.status = options.status;
-    }
-
-    if (options.platform) {
-      matchStage.platforms = options.platform;
-    }
-
-    if (options.favorite === true) {
-      matchStage.favorite = true;
-    }
+    const ratingScale = await getUserRatingScale(this.userId);
+    const filterMatch = buildCollectionMatch(this.userId, options, ratingScale);
 
     // Filter by embedded game.ownerId for custom game privacy
-    matchStage.$or = [
+    filterMatch.$or = [
       { 'game.ownerId': { $exists: false } },
       { 'game.ownerId': null },
       { 'game.ownerId': this.userId }
     ];
 
-    // Search uses embedded game.title
-    const searchTerm = options.search && options.search.trim().length > 0 ? options.search.trim() : null;
-    if (searchTerm) {
-      matchStage['game.title'] = { $regex: searchTerm, $options: 'i' };
+    // Editions whose base game also matches are shown on the base game's card
+    const { match: matchStage, groupedBaseIds } = await groupEditionsMatch(filterMatch);
+
+    const rawCollection = CollectionItems.rawCollection();
+
+    // Random order: shuffle the matching ids with the client's seed, then load one page of them
+    if (sort.random) {
+      const matching = await rawCollection.aggregate([
+        { $match: matchStage },
+        { $project: { _id: 1 } }
+      ]).toArray();
+      const pageIds = seededOrder(matching.map(item => item._id), options.seed || '').slice(skip, skip + limit);
+      const pageItems = await rawCollection.find(
+        { _id: { $in: pageIds } },
+        { projection: Object.fromEntries(ITEM_DETAIL_FIELDS.map(field => [field, 0])) }
+      ).toArray();
+      const itemsById = new Map(pageItems.map(item => [item._id, item]));
+      return attachEditions(pageIds.map(id => itemsById.get(id)).filter(Boolean), filterMatch, groupedBaseIds);
     }
 
     // Build aggregation pipeline (no $lookup - uses denormalized game data)
     const pipeline = [
-      { $match: matchStage }
+      { $match: matchStage },
+      ...buildSortStages(options.sort)
     ];
 
-    // Add sort field and sort
-    if (isNameSort) {
-      pipeline.push({
-        $addFields: {
-          sortTitle: { $toLower: { $ifNull: ['$game.title', ''] } }
-        }
-      });
-      pipeline.push({ $sort: { sortTitle: sortDirection } });
-    } else {
-      pipeline.push({ $sort: { dateAdded: sortDirection } });
-    }
-
     // Pagination
     pipeline.push({ $skip: skip });
     pipeline.push({ $limit: limit });
 
-    // Remove temporary sort field from results
+    // Remove temporary sort fields and the lists the grid doesn't show from results
     pipeline.push({
-      $project: {
-        sortTitle: 0
-      }
+      $project: Object.fromEntries([...SORT_HELPER_FIELDS, ...ITEM_DETAIL_FIELDS].map(field => [field, 0]))
     });
 
-    const rawCollection = CollectionItems.rawCollection();
     const items = await rawCollection.aggregate(pipeline).toArray();
 
     // Each item has game embedded as item.game (denormalized)
-    return items;
+    return attachEditions(items, filterMatch, groupedBaseIds);
+  },
+
+  // The lists left out of getItemsChunk, for editing one item
+  async 'collection.getItemDetails'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.getItemDetails');
+
+    const item = await CollectionItems.findOneAsync(
+      { _id: itemId, userId: this.userId, ...NOT_TRASHED },
+      { fields: Object.fromEntries(ITEM_DETAIL_FIELDS.map(field => [field, 1])) }
+    );
+    if (!item) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    return {
+      ownedCopies: item.ownedCopies || [],
+      playthroughs: item.playthroughs || [],
+      playSessions: item.playSessions || []
+    };
   },
 
   async 'games.count'(filters = {}) {
@@ -703,13 +1276,40 @@ Meteor.methods({
     return await checkSubscription(this.userId, products);
   },
 
+  async 'user.setPreferences'(preferences) {
+    check(preferences, {
+      ratingScale: Match.Optional(String)
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'user.setPreferences');
+
+    const updateFields = {};
+
+    if (preferences.ratingScale !== undefined) {
+      if (!isValidRatingScale(preferences.ratingScale)) {
+        throw new Meteor.Error('invalid-rating-scale', 'Unknown rating scale');
+      }
+      updateFields['preferences.ratingScale'] = preferences.ratingScale;
+    }
+
+    if (Object.keys(updateFields).length > 0) {
+      await Meteor.users.updateAsync(this.userId, { $set: updateFields });
+    }
+
+    return true;
+  },
+
   async 'collection.getGameIds'() {
     if (!this.userId) {
       throw new Meteor.Error('not-authorized', 'You must be logged in');
     }
 
     const items = await CollectionItems.find(
-      { userId: this.userId, gameId: { $exists: true, $ne: null } },
+      { userId: this.userId, gameId: { $exists: true, $ne: null }, ...NOT_TRASHED },
       { fields: { gameId: 1 } }
     ).fetchAsync();
 
@@ -0,0 +1,276 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { CollectionItems, MAX_BULK_ITEMS } from '../../imports/lib/collections/collectionItems.js';
+import { MAX_TAGS_PER_ITEM } from '../../imports/lib/collections/tags.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { ensureUserTags } from '../lib/tagHelpers.js';
+import { NOT_TRASHED } from '../lib/trash.js';
+import { recordItemChanges } from '../lib/itemHistory.js';
+import { getOwnedCopies, ownershipFields, applyFlatOwnership } from '../lib/ownedCopies.js';
+import { validateStatus, validateStorefronts } from '../methods.js';
+import { buildCollectionMatch, collectionFiltersPattern } from '../lib/collectionFilters.js';
+import { groupEditionsMatch } from '../lib/gameRelations.js';
+import { getUserRatingScale } from '../lib/userPreferences.js';
+import { withTransaction } from '../lib/transactions.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+const MAX_PLATFORM_LENGTH = 100;
+
+export const BULK_ACTIONS = [
+  'setStatus',
+  'addPlatform',
+  'removePlatform',
+  'addStorefront',
+  'removeStorefront',
+  'setFavorite',
+  'setPhysical',
+  'addTag',
+  'delete'
+];
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+function tooManyItems() {
+  return new Meteor.Error('too-many-items', `You can change at most ${MAX_BULK_ITEMS} items at once`);
+}
+
+// Resolve a selection to the ids of the user's items. Explicit ids must all be owned,
+// non-trashed items; a filter selection is resolved with the same match as the grid.
+async function resolveSelection(userId, selection) {
+  if (selection.filters) {
+    const ratingScale = await getUserRatingScale(userId);
+    const { match } = await groupEditionsMatch(buildCollectionMatch(userId, selection.filters, ratingScale));
+    const items = await CollectionItems.find(match, {
+      fields: { _id: 1 },
+      limit: MAX_BULK_ITEMS + 1
+    }).fetchAsync();
+
+    if (items.length > MAX_BULK_ITEMS) {
+      throw tooManyItems();
+    }
+
+    return items.map(item => item._id);
+  }
+
+  const itemIds = [...new Set(selection.itemIds)];
+  if (itemIds.length > MAX_BULK_ITEMS) {
+    throw tooManyItems();
+  }
+
+  const items = await CollectionItems.find(
+    { _id: { $in: itemIds } },
+    { fields: { _id: 1, userId: 1, deletedAt: 1 } }
+  ).fetchAsync();
+
+  if (items.some(item => item.userId !== userId)) {
+    throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+  }
+
+  if (items.length !== itemIds.length || items.some(item => item.deletedAt)) {
+    throw new Meteor.Error('item-not-found', 'One or more collection items were not found');
+  }
+
+  return itemIds;
+}
+
+function validatePlatform(value) {
+  const platform = typeof value === 'string' ? value.trim() : '';
+
+  if (platform.length === 0 || platform.length > MAX_PLATFORM_LENGTH) {
+    throw new Meteor.Error('invalid-platform', `Platform must be between 1 and ${MAX_PLATFORM_LENGTH} characters`);
+  }
+
+  return platform;
+}
+
+function validateStorefront(value) {
+  const storefronts = validateStorefronts(typeof value === 'string' ? [value] : []);
+
+  if (storefronts.length === 0) {
+    throw new Meteor.Error('invalid-storefront', 'Unknown storefront');
+  }
+
+  return storefronts[0];
+}
+
+function validateBoolean(value) {
+  if (typeof value !== 'boolean') {
+    throw new Meteor.Error('invalid-value', 'Value must be true or false');
+  }
+
+  return value;
+}
+
+// Per-item update for platform and storefront changes: the change is applied to the item's
+// copies and the flat lists are derived again (see server/lib/ownedCopies.js)
+function ownershipUpdate(now, changeLists) {
+  return (item) => {
+    const { platforms, storefronts } = changeLists(item.platforms || [], item.storefronts || []);
+    const ownedCopies = applyFlatOwnership(getOwnedCopies(item), platforms, storefronts);
+    return { $set: { ...ownershipFields(ownedCopies), updatedAt: now } };
+  };
+}
+
+function withValue(list, value) {
+  return list.includes(value) ? list : [...list, value];
+}
+
+function withoutValue(list, value) {
+  return list.filter(entry => entry !== value);
+}
+
+/**
+ * Build the update applied to every selected item. Checks that need the current item state
+ * run here, before anything is written, so a rejected change touches no items.
+ *
+ * @returns {Promise<Array<Object>|Object|Function>} - Update pipeline, update document, or a
+ *   function building each item's update document
+ */
+async function buildBulkUpdate(userId, query, change, now) {
+  switch (change.action) {
+    case 'setStatus': {
+      validateStatus(change.value);
+      const fields = { status: change.value, updatedAt: now };
+
+      // Same rule as collection.setStatus: keep an existing completion date
+      if (change.value === 'completed') {
+        fields.dateCompleted = { $ifNull: ['$dateCompleted', now] };
+      }
+
+      return [{ $set: fields }];
+    }
+
+    case 'addPlatform': {
+      const platform = validatePlatform(change.value);
+      return ownershipUpdate(now, (platforms, storefronts) => ({ platforms: withValue(platforms, platform), storefronts }));
+    }
+
+    case 'removePlatform': {
+      const platform = validatePlatform(change.value);
+
+      // Every item keeps at least one platform
+      const wouldBeEmpty = await CollectionItems.countDocuments({
+        ...query,
+        platforms: platform,
+        'platforms.1': { $exists: false }
+      });
+      if (wouldBeEmpty > 0) {
+        throw new Meteor.Error('last-platform', `${wouldBeEmpty} selected item(s) have ${platform} as their only platform`);
+      }
+
+      return ownershipUpdate(now, (platforms, storefronts) => ({ platforms: withoutValue(platforms, platform), storefronts }));
+    }
+
+    case 'addStorefront': {
+      const storefront = validateStorefront(change.value);
+      return ownershipUpdate(now, (platforms, storefronts) => ({ platforms, storefronts: withValue(storefronts, storefront) }));
+    }
+
+    case 'removeStorefront': {
+      const storefront = validateStorefront(change.value);
+      return ownershipUpdate(now, (platforms, storefronts) => ({ platforms, storefronts: withoutValue(storefronts, storefront) }));
+    }
+
+    case 'setFavorite':
+      return { $set: { favorite: validateBoolean(change.value), updatedAt: now } };
+
+    case 'setPhysical':
+      return { $set: { physical: validateBoolean(change.value), updatedAt: now } };
+
+    case 'addTag': {
+      if (typeof change.value !== 'string') {
+        throw new Meteor.Error('invalid-tag', 'Tag name is required');
+      }
+      const [tag] = await ensureUserTags(userId, [change.value]);
+
+      const full = await CollectionItems.countDocuments({
+        ...query,
+        tags: { $ne: tag },
+        [`tags.${MAX_TAGS_PER_ITEM - 1}`]: { $exists: true }
+      });
+      if (full > 0) {
+        throw new Meteor.Error('too-many-tags', `${full} selected item(s) already have ${MAX_TAGS_PER_ITEM} tags`);
+      }
+
+      return { $addToSet: { tags: tag }, $set: { updatedAt: now } };
+    }
+
+    case 'delete':
+      // Soft delete, same as collection.removeItem
+      return { $set: { deletedAt: now, updatedAt: now } };
+
+    default:
+      throw new Meteor.Error('invalid-action', `Unknown bulk action "${change.action}"`);
+  }
+}
+
+Meteor.methods({
+  async 'collection.bulkUpdate'(selection, change) {
+    check(selection, Match.OneOf(
+      { itemIds: [String] },
+      { filters: collectionFiltersPattern }
+    ));
+    check(change, {
+      action: String,
+      value: Match.Maybe(Match.OneOf(String, Boolean))
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.bulkUpdate');
+
+    if (!BULK_ACTIONS.includes(change.action)) {
+      throw new Meteor.Error('invalid-action', `Unknown bulk action "${change.action}"`);
+    }
+
+    const itemIds = await resolveSelection(this.userId, selection);
+    if (itemIds.length === 0) {
+      return 0;
+    }
+
+    const query = { _id: { $in: itemIds }, userId: this.userId, ...NOT_TRASHED };
+    const update = await buildBulkUpdate(this.userId, query, change, new Date());
+
+    // Read and write in one transaction, so every selected item changes or none does and no
+    // edit made in between is overwritten with the state read here
+    const raw = CollectionItems.rawCollection();
+    const { before, matchedCount } = await withTransaction(async (session) => {
+      const items = await raw.find(query, { session }).toArray();
+      if (items.length === 0) {
+        return { before: items, matchedCount: 0 };
+      }
+
+      const result = typeof update === 'function'
+        ? await raw.bulkWrite(
+            items.map(item => ({ updateOne: { filter: { _id: item._id, ...NOT_TRASHED }, update: update(item) } })),
+            { ordered: false, session }
+          )
+        : await raw.updateMany(query, update, { session });
+      return { before: items, matchedCount: result.matchedCount };
+    });
+
+    // Read back by ID alone, so items this change moved to the trash are compared as well
+    const after = await CollectionItems.find({ _id: { $in: before.map(item => item._id) } }).fetchAsync();
+    const afterById = new Map(after.map(item => [item._id, item]));
+    for (const item of before) {
+      const updated = afterById.get(item._id);
+      if (updated) {
+        await recordItemChanges(item, updated);
+      }
+    }
+
+    return matchedCount;
+  }
+});
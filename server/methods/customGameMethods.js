@@ -1,20 +1,15 @@
 import { Meteor } from 'meteor/meteor';
 import { Random } from 'meteor/random';
 import { check, Match } from 'meteor/check';
-import sharp from 'sharp';
 import { Games } from '../../imports/lib/collections/games.js';
 import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
 import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
-import { isUsingB2 } from '../covers/storageClient.js';
-import { uploadToB2, deleteFromB2, extractKeyFromB2Url } from '../covers/b2Storage.js';
-import { GameCovers } from '../covers/coversCollection.js';
-import fs from 'fs';
-import path from 'path';
+import { removeItemHistory } from '../lib/itemHistory.js';
+import { processCustomCover, deleteCustomCover } from '../covers/customCovers.js';
 
 const RATE_LIMIT_WINDOW = 1000;
 const RATE_LIMIT_MAX = 10;
 const MAX_TITLE_LENGTH = 512;
-const MAX_COVER_SIZE = 2 * 1024 * 1024; // 2MB
 
 async function checkRateLimit(userId, methodName) {
   const key = `method:${userId}:${methodName}`;
@@ -45,89 +40,6 @@ function validateTitle(title) {
   return trimmed;
 }
 
-// Process uploaded cover image: resize to 264x352 and convert to WebP
-async function processCustomCover(base64Data, gameId) {
-  // Extract actual base64 data if data URL format
-  let imageData = base64Data;
-  if (base64Data.startsWith('data:')) {
-    const matches = base64Data.match(/^data:image\/\w+;base64,(.+)$/);
-    if (!matches) {
-      throw new Meteor.Error('invalid-image', 'Invalid image data format');
-    }
-    imageData = matches[1];
-  }
-
-  const buffer = Buffer.from(imageData, 'base64');
-
-  if (buffer.length > MAX_COVER_SIZE) {
-    throw new Meteor.Error('image-too-large', `Image must be less than ${MAX_COVER_SIZE / 1024 / 1024}MB`);
-  }
-
-  // Validate image format and resize using sharp
-  const processedBuffer = await sharp(buffer)
-    .resize(264, 352, {
-      fit: 'cover',
-      position: 'center'
-    })
-    .webp({
-      quality: 80,
-      effort: 4
-    })
-    .toBuffer();
-
-  const fileName = `custom_${gameId}.webp`;
-
-  if (isUsingB2()) {
-    // Upload to B2
-    const key = `covers/custom/${gameId.slice(0, 2)}/${fileName}`;
-    const coverUrl = await uploadToB2(processedBuffer, key, 'image/webp');
-    return { localCoverUrl: coverUrl, localCoverId: null };
-  } else {
-    // Store locally
-    const fileObj = await GameCovers.writeAsync(processedBuffer, {
-      fileName: fileName,
-      type: 'image/webp',
-      meta: {
-        gameId: gameId,
-        isCustom: true,
-        uploadedAt: new Date()
-      }
-    });
-
-    return {
-      localCoverId: fileObj._id,
-      localCoverUrl: GameCovers.link(fileObj)
-    };
-  }
-}
-
-// Delete cover file (B2 or local)
-async function deleteCustomCover(game) {
-  if (!game.localCoverUrl && !game.localCoverId) {
-    return;
-  }
-
-  if (isUsingB2() && game.localCoverUrl) {
-    const key = extractKeyFromB2Url(game.localCoverUrl);
-    if (key) {
-      try {
-        await deleteFromB2(key);
-      } catch (error) {
-        console.error('Error deleting cover from B2:', error);
-      }
-    }
-  } else if (game.localCoverId) {
-    try {
-      const coverDoc = await GameCovers.findOneAsync(game.localCoverId);
-      if (coverDoc) {
-        await GameCovers.removeAsync(game.localCoverId);
-      }
-    } catch (error) {
-      console.error('Error deleting local cover:', error);
-    }
-  }
-}
-
 Meteor.methods({
   async 'games.createCustom'(gameData) {
     check(gameData, {
@@ -274,8 +186,13 @@ Meteor.methods({
       throw new Meteor.Error('not-authorized', 'You can only delete your own custom games');
     }
 
-    // Remove from all collection items referencing this game
+    // Remove from all collection items referencing this game, with their history
+    const items = await CollectionItems.find(
+      { gameId: gameId, userId: this.userId },
+      { fields: { _id: 1 } }
+    ).fetchAsync();
     await CollectionItems.removeAsync({ gameId: gameId, userId: this.userId });
+    await removeItemHistory(items.map(item => item._id));
 
     // Delete cover file if exists
     await deleteCustomCover(game);
@@ -0,0 +1,177 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { HISTORY_SOURCE_MERGE } from '../../imports/lib/collections/itemHistory.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { NOT_TRASHED } from '../lib/trash.js';
+import { recordItemChanges } from '../lib/itemHistory.js';
+import { checkSessionNotesTotal } from '../lib/playSessions.js';
+import { findDuplicatePairs, mergeItemFields, suggestKeeper } from '../lib/duplicates.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+// Pairs returned at once; merging or dismissing some brings the next ones up
+const MAX_DUPLICATE_PAIRS = 200;
+
+const DUPLICATE_FIELDS = {
+  gameId: 1,
+  igdbId: 1,
+  game: 1,
+  status: 1,
+  rating: 1,
+  hoursPlayed: 1,
+  hoursBaseline: 1,
+  importedHours: 1,
+  playSessions: 1,
+  platforms: 1,
+  storefronts: 1,
+  ownedCopies: 1,
+  playthroughs: 1,
+  notes: 1,
+  tags: 1,
+  ownedEditions: 1,
+  ownedDlc: 1,
+  favorite: 1,
+  physical: 1,
+  queueRank: 1,
+  dateAdded: 1,
+  dateStarted: 1,
+  dateCompleted: 1,
+  notDuplicateOf: 1,
+  createdAt: 1
+};
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+// Both items of a pair, checked to belong to the user and not be in the trash
+async function getOwnPair(userId, firstId, secondId) {
+  if (firstId === secondId) {
+    throw new Meteor.Error('invalid-pair', 'Choose two different items');
+  }
+
+  const items = [];
+  for (const itemId of [firstId, secondId]) {
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== userId) {
+      throw new Meteor.Error('not-authorized', 'You can only change your own collection items');
+    }
+
+    items.push(item);
+  }
+
+  return items;
+}
+
+Meteor.methods({
+  // Pairs of items that look like the same game, the suggested item to keep first
+  async 'duplicates.find'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'duplicates.find');
+
+    const items = await CollectionItems.find(
+      { userId: this.userId, ...NOT_TRASHED },
+      { fields: DUPLICATE_FIELDS }
+    ).fetchAsync();
+    const itemsById = new Map(items.map(item => [item._id, item]));
+
+    return findDuplicatePairs(items)
+      .slice(0, MAX_DUPLICATE_PAIRS)
+      .map(({ itemIds, reason }) => {
+        const [first, second] = itemIds.map(itemId => itemsById.get(itemId));
+        const keeper = suggestKeeper(first, second);
+        const other = keeper === first ? second : first;
+        return {
+          reason,
+          items: [keeper, other].map(({ notDuplicateOf, ...item }) => item)
+        };
+      });
+  },
+
+  // What the kept item would look like after merging, without changing anything
+  async 'duplicates.previewMerge'(keeperId, loserId) {
+    check(keeperId, String);
+    check(loserId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'duplicates.previewMerge');
+
+    const [keeper, loser] = await getOwnPair(this.userId, keeperId, loserId);
+
+    return {
+      game: keeper.game,
+      ...mergeItemFields(keeper, loser)
+    };
+  },
+
+  // Merge one item into the other under MERGE_RULES; the merged item moves to the trash
+  async 'duplicates.merge'(keeperId, loserId) {
+    check(keeperId, String);
+    check(loserId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'duplicates.merge');
+
+    const [keeper, loser] = await getOwnPair(this.userId, keeperId, loserId);
+
+    const now = new Date();
+    const updates = {
+      ...mergeItemFields(keeper, loser),
+      updatedAt: now
+    };
+    checkSessionNotesTotal(updates.playSessions);
+
+    await CollectionItems.updateAsync(keeperId, { $set: updates });
+    await recordItemChanges(keeper, updates, HISTORY_SOURCE_MERGE);
+
+    // The merged item can still be restored from the trash; it leaves the queue since its
+    // place now belongs to the kept item
+    await CollectionItems.updateAsync(loserId, {
+      $set: { deletedAt: now, updatedAt: now },
+      $unset: { queueRank: '' }
+    });
+
+    return keeperId;
+  },
+
+  // Stop suggesting a pair that is not the same game
+  async 'duplicates.dismiss'(firstId, secondId) {
+    check(firstId, String);
+    check(secondId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'duplicates.dismiss');
+
+    await getOwnPair(this.userId, firstId, secondId);
+
+    await CollectionItems.updateAsync(firstId, { $addToSet: { notDuplicateOf: secondId } });
+    await CollectionItems.updateAsync(secondId, { $addToSet: { notDuplicateOf: firstId } });
+
+    return true;
+  }
+});
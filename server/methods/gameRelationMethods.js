@@ -0,0 +1,83 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { getRelatedContent } from '../lib/gameRelations.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function getOwnItem(userId, itemId) {
+  const item = await CollectionItems.findOneAsync(itemId);
+  if (!item || item.deletedAt) {
+    throw new Meteor.Error('item-not-found', 'Collection item not found');
+  }
+
+  if (item.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only access your own collection items');
+  }
+
+  return item;
+}
+
+Meteor.methods({
+  // Editions, DLC and expansions of an item's game, with what the user owns
+  async 'collection.getRelatedContent'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.getRelatedContent');
+
+    const item = await getOwnItem(this.userId, itemId);
+    return getRelatedContent(item);
+  },
+
+  // Record which other editions and which DLC or expansions of the game the user owns.
+  // Only editions and DLC known for the game are accepted.
+  async 'collection.setOwnedExtras'(itemId, extras) {
+    check(itemId, String);
+    check(extras, {
+      editions: [Match.Integer],
+      dlc: [Match.Integer]
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.setOwnedExtras');
+
+    const item = await getOwnItem(this.userId, itemId);
+    const related = await getRelatedContent(item);
+
+    const knownEditions = new Set(related.editions.map(edition => edition.igdbId));
+    const knownAddons = new Set(related.addons.map(addon => addon.igdbId));
+    if (extras.editions.some(igdbId => !knownEditions.has(igdbId)) ||
+        extras.dlc.some(igdbId => !knownAddons.has(igdbId))) {
+      throw new Meteor.Error('invalid-extras', 'Choose editions and DLC of this game');
+    }
+
+    const ownedEditions = [...new Set(extras.editions)];
+    const ownedDlc = [...new Set(extras.dlc)];
+
+    await CollectionItems.updateAsync(itemId, {
+      $set: { ownedEditions, ownedDlc, updatedAt: new Date() }
+    });
+
+    return { ownedEditions, ownedDlc };
+  }
+});
@@ -0,0 +1,160 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { Goals, MAX_GOALS_PER_YEAR } from '../../imports/lib/collections/goals.js';
+import { GOAL_PACES } from '../../imports/lib/constants/goals.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { validateGoal, withProgress } from '../lib/goals.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+// Past years listed in the goal history, most recent first
+const MAX_HISTORY_YEARS = 20;
+
+const paramsPattern = Match.Maybe({
+  minYearsOwned: Match.Maybe(Match.Integer),
+  releasedBefore: Match.Maybe(Match.Integer),
+  currency: Match.Maybe(String)
+});
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function findOwnGoal(userId, goalId) {
+  const goal = await Goals.findOneAsync(goalId);
+
+  if (!goal) {
+    throw new Meteor.Error('goal-not-found', 'Goal not found');
+  }
+
+  if (goal.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only change your own goals');
+  }
+
+  return goal;
+}
+
+function findYearGoals(userId, year) {
+  return Goals.find({ userId, year }, { sort: { createdAt: 1 } }).fetchAsync();
+}
+
+Meteor.methods({
+  // Goals for one year with their progress
+  async 'goals.getForYear'(year) {
+    check(year, Match.Integer);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'goals.getForYear');
+
+    return withProgress(this.userId, year, await findYearGoals(this.userId, year));
+  },
+
+  // Results of goals set for past years
+  async 'goals.getHistory'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'goals.getHistory');
+
+    const currentYear = new Date().getUTCFullYear();
+    const years = (await Goals.rawCollection().distinct('year', { userId: this.userId, year: { $lt: currentYear } }))
+      .sort((a, b) => b - a)
+      .slice(0, MAX_HISTORY_YEARS);
+
+    const history = [];
+    for (const year of years) {
+      const goals = await withProgress(this.userId, year, await findYearGoals(this.userId, year));
+      history.push({
+        year,
+        goals,
+        achieved: goals.filter(goal => goal.progress.pace === GOAL_PACES.ACHIEVED).length
+      });
+    }
+
+    return history;
+  },
+
+  async 'goals.create'(goal) {
+    check(goal, {
+      year: Match.Integer,
+      type: String,
+      target: Number,
+      params: paramsPattern
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'goals.create');
+
+    const validated = validateGoal(goal);
+
+    const goalCount = await Goals.countDocuments({ userId: this.userId, year: validated.year });
+    if (goalCount >= MAX_GOALS_PER_YEAR) {
+      throw new Meteor.Error('too-many-goals', `You cannot have more than ${MAX_GOALS_PER_YEAR} goals in a year`);
+    }
+
+    const now = new Date();
+    return Goals.insertAsync({
+      userId: this.userId,
+      ...validated,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  // Change the target or params; the year and type stay as created
+  async 'goals.update'(goalId, updates) {
+    check(goalId, String);
+    check(updates, {
+      target: Match.Maybe(Number),
+      params: paramsPattern
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'goals.update');
+
+    const goal = await findOwnGoal(this.userId, goalId);
+    const validated = validateGoal({
+      year: goal.year,
+      type: goal.type,
+      target: updates.target ?? goal.target,
+      params: { ...goal.params, ...(updates.params || {}) }
+    });
+
+    await Goals.updateAsync(goalId, {
+      $set: { target: validated.target, params: validated.params, updatedAt: new Date() }
+    });
+
+    return { ...goal, ...validated };
+  },
+
+  async 'goals.remove'(goalId) {
+    check(goalId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'goals.remove');
+
+    await findOwnGoal(this.userId, goalId);
+    return Goals.removeAsync(goalId);
+  }
+});
@@ -0,0 +1,78 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+const MAX_ITEM_HISTORY = 200;
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+Meteor.methods({
+  async 'collection.getItemHistory'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.getItemHistory');
+
+    const item = await CollectionItems.findOneAsync(itemId, { fields: { userId: 1 } });
+    if (!item) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only view your own collection items');
+    }
+
+    return ItemHistory.find(
+      { itemId, userId: this.userId },
+      { sort: { createdAt: -1 }, limit: MAX_ITEM_HISTORY }
+    ).fetchAsync();
+  },
+
+  // Most recent changes across the user's collection, newest first. Pass the createdAt and _id
+  // of the last entry as `before` and `beforeId` to load the next page.
+  async 'activity.getFeed'(options = {}) {
+    check(options, {
+      limit: Match.Maybe(Match.Integer),
+      before: Match.Maybe(Date),
+      beforeId: Match.Maybe(String)
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'activity.getFeed');
+
+    const limit = Math.min(Math.max(options.limit || DEFAULT_FEED_LIMIT, 1), MAX_FEED_LIMIT);
+    const query = { userId: this.userId };
+    if (options.before && options.beforeId) {
+      // Bulk changes share a timestamp, so _id breaks ties between pages
+      query.$or = [
+        { createdAt: { $lt: options.before } },
+        { createdAt: options.before, _id: { $lt: options.beforeId } }
+      ];
+    } else if (options.before) {
+      query.createdAt = { $lt: options.before };
+    }
+
+    return ItemHistory.find(query, { sort: { createdAt: -1, _id: -1 }, limit }).fetchAsync();
+  }
+});
@@ -1,32 +1,38 @@
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
-import { importDarkadiaCSV, previewDarkadiaImport } from '../imports/darkadiaImport.js';
-import { exportCollectionCSV, importBacklogBeaconCSV, previewBacklogBeaconImport } from '../imports/csvExport.js';
-import { previewSteamLibrary, importSteamLibrary, clearStorefrontProgress, isSteamConfigured } from '../imports/steamImport.js';
+import { planDarkadiaImport, previewDarkadiaImport } from '../imports/darkadiaImport.js';
+import { exportCollectionCSV, planBacklogBeaconImport, previewBacklogBeaconImport } from '../imports/csvExport.js';
+import {
+  buildBackup,
+  serializeBackup,
+  parseBackup,
+  restoreBackup,
+  MAX_BACKUP_SIZE,
+  RESTORE_MODES
+} from '../lib/backup.js';
+import { previewSteamLibrary, planSteamImport, clearStorefrontProgress, isSteamConfigured } from '../imports/steamImport.js';
 import {
   previewGogLibrary,
   previewGogLibraryWithAuth,
-  importGogLibrary,
-  importGogLibraryWithAuth,
+  planGogImport,
+  planGogImportWithAuth,
   clearGogProgress
 } from '../imports/gogImport.js';
-import { importEpicLibrary } from '../imports/epicImport.js';
-import { importAmazonLibrary } from '../imports/amazonImport.js';
-import { importOculusLibrary } from '../imports/oculusImport.js';
-import { importEaLibrary } from '../imports/eaImport.js';
-import { importUbisoftLibrary, importUbisoftLibraryWith2FA } from '../imports/ubisoftImport.js';
-import { importXboxLibrary } from '../imports/xboxImport.js';
-import { importPsnLibrary } from '../imports/psnImport.js';
-import { importBattlenetLibrary } from '../imports/battlenetImport.js';
-import { importLegacyGamesLibrary } from '../imports/legacygamesImport.js';
-import { importRetroAchievementsLibrary } from '../imports/retroachievementsImport.js';
-import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
-import { ImportProgress, clearProgress } from '../../imports/lib/collections/importProgress.js';
-import { searchAndCacheGame } from '../igdb/gameCache.js';
+import { planEpicImport } from '../imports/epicImport.js';
+import { planAmazonImport } from '../imports/amazonImport.js';
+import { planOculusImport } from '../imports/oculusImport.js';
+import { planEaImport } from '../imports/eaImport.js';
+import { planUbisoftImport, planUbisoftImportWith2FA } from '../imports/ubisoftImport.js';
+import { planXboxImport } from '../imports/xboxImport.js';
+import { planPsnImport } from '../imports/psnImport.js';
+import { planBattlenetImport } from '../imports/battlenetImport.js';
+import { planLegacyGamesImport } from '../imports/legacygamesImport.js';
+import { planRetroAchievementsImport } from '../imports/retroachievementsImport.js';
+import { clearProgress } from '../../imports/lib/collections/importProgress.js';
 import { findStorefrontByName } from '../../imports/lib/constants/storefronts.js';
-import { isConfigured } from '../igdb/client.js';
 import { checkCooldownRateLimit } from '../lib/distributedRateLimit.js';
-import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { createImportPlan, commitImportPlan, discardImportPlan } from '../lib/importPlans.js';
+import { getOwnedCopies, ownershipFields, buildCopy, appendCopies } from '../lib/ownedCopies.js';
 
 // Rate limiting for imports (distributed across instances)
 const IMPORT_RATE_LIMIT_MS = 60000; // 1 minute between imports
@@ -39,21 +45,50 @@ async function checkImportRateLimit(userId) {
   }
 }
 
-// Update progress for simple import
-async function updateSimpleProgress(userId, progressData) {
-  await ImportProgress.upsertAsync(
-    { userId, type: 'simple' },
-    {
-      $set: {
-        ...progressData,
-        userId,
-        type: 'simple',
-        updatedAt: new Date()
-      }
-    }
-  );
+// Backups read every document the user owns, so they get their own cooldown
+const BACKUP_RATE_LIMIT_MS = 10000;
+
+async function checkBackupRateLimit(userId) {
+  const result = await checkCooldownRateLimit(`backup:${userId}`, BACKUP_RATE_LIMIT_MS);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Please wait 10 seconds between backups');
+  }
 }
 
+// The copy described by a simple import row (platform and storefront name), if any
+function buildSimpleCopies(game) {
+  const platform = game.platform && game.platform.trim() ? game.platform.trim() : null;
+  const storefront = game.storefront ? findStorefrontByName(game.storefront) : null;
+
+  if (!platform && !storefront) {
+    return [];
+  }
+
+  return [buildCopy({ platform, storefront: storefront ? storefront.id : null })];
+}
+
+// Describe a simple import row as an import plan entry
+function simpleEntry(game) {
+  return {
+    name: game.name,
+    platform: game.platform,
+    newItem: () => ({
+      ...ownershipFields(buildSimpleCopies(game)),
+      status: 'backlog',
+      favorite: false,
+      hoursPlayed: null,
+      rating: null,
+      notes: '',
+      physical: false
+    }),
+    // Add the row's copy unless one is already on record
+    update: (existing) => ownershipFields(appendCopies(getOwnedCopies(existing), buildSimpleCopies(game)))
+  };
+}
+
+// Every import method below only matches the source against the collection and returns the
+// stored import plan; 'import.commitPlan' writes the rows the user kept after reviewing it.
 Meteor.methods({
   // Preview Darkadia CSV import
   async 'import.previewDarkadia'(csvContent) {
@@ -94,7 +129,7 @@ Meteor.methods({
     // Use this.unblock() to allow other methods to run while import is processing
     this.unblock();
     
-    return importDarkadiaCSV(this.userId, csvContent, importOptions);
+    return planDarkadiaImport(this.userId, csvContent, importOptions);
   },
   
   // Clear import progress
@@ -107,6 +142,32 @@ Meteor.methods({
 
     await clearProgress(this.userId, type);
   },
+
+  // Write the rows of a reviewed import plan, leaving out the ones the user unticked
+  async 'import.commitPlan'(planId, excludedRowIds) {
+    check(planId, String);
+    check(excludedRowIds, [String]);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'Must be logged in to import');
+    }
+
+    // Matching the plan was already rate limited
+    this.unblock();
+
+    return commitImportPlan(this.userId, planId, excludedRowIds);
+  },
+
+  // Throw away an import plan without importing anything
+  async 'import.discardPlan'(planId) {
+    check(planId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'Must be logged in to import');
+    }
+
+    await discardImportPlan(this.userId, planId);
+  },
   
   // Export collection to CSV
   async 'export.collection'() {
@@ -119,6 +180,43 @@ Meteor.methods({
     return exportCollectionCSV(this.userId);
   },
   
+  // Full backup of everything the user owns, as versioned EJSON
+  async 'export.backup'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'Must be logged in to export');
+    }
+
+    await checkBackupRateLimit(this.userId);
+
+    this.unblock();
+
+    return serializeBackup(await buildBackup(this.userId));
+  },
+
+  // Restore a backup, replacing the user's data or merging into it
+  async 'import.restoreBackup'(content, options) {
+    check(content, String);
+    check(options, {
+      mode: Match.OneOf(...Object.values(RESTORE_MODES))
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'Must be logged in to import');
+    }
+
+    await checkImportRateLimit(this.userId);
+
+    if (content.length > MAX_BACKUP_SIZE) {
+      throw new Meteor.Error('file-too-large', `Backup file is too large (max ${MAX_BACKUP_SIZE / 1024 / 1024}MB)`);
+    }
+
+    const backup = parseBackup(content);
+
+    this.unblock();
+
+    return restoreBackup(this.userId, backup, options.mode);
+  },
+
   // Preview Backlog Beacon CSV import
   async 'import.previewBacklogBeacon'(csvContent) {
     check(csvContent, String);
@@ -158,7 +256,7 @@ Meteor.methods({
     // Use this.unblock() to allow other methods to run while import is processing
     this.unblock();
 
-    return importBacklogBeaconCSV(this.userId, csvContent, importOptions);
+    return planBacklogBeaconImport(this.userId, csvContent, importOptions);
   },
   
   // Simple import: list of game names with optional storefront
@@ -185,164 +283,14 @@ Meteor.methods({
     // Allow other methods to run while import is processing
     this.unblock();
 
-    const results = {
-      total: games.length,
-      imported: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-      games: []
-    };
-
-    const igdbEnabled = isConfigured();
-
-    // Initialize progress
-    await updateSimpleProgress(this.userId, {
-      status: 'processing',
-      current: 0,
-      total: games.length,
-      currentGame: '',
-      imported: 0,
-      updated: 0,
-      skipped: 0
+    return createImportPlan(this.userId, {
+      source: 'simple',
+      progressType: 'simple',
+      entries: games.map(simpleEntry),
+      updateExisting: options?.updateExisting === true,
+      // Names IGDB doesn't know are still imported as typed
+      requireMatch: false
     });
-
-    try {
-      for (let i = 0; i < games.length; i++) {
-        const game = games[i];
-
-        // Update progress before processing each game
-        await updateSimpleProgress(this.userId, {
-          status: 'processing',
-          current: i + 1,
-          total: games.length,
-          currentGame: game.name || 'Unknown',
-          imported: results.imported,
-          updated: results.updated,
-          skipped: results.skipped
-        });
-
-        try {
-          // Search for game in IGDB if configured
-          let cachedGame = null;
-          let gameId = null;
-          let igdbId = null;
-
-          if (igdbEnabled) {
-            try {
-              cachedGame = await searchAndCacheGame(game.name, game.platform);
-              if (cachedGame) {
-                gameId = cachedGame._id;
-                igdbId = cachedGame.igdbId;
-              }
-            } catch (error) {
-              console.warn(`IGDB search failed for "${game.name}":`, error.message);
-            }
-          }
-
-          // Check for duplicate by gameId or igdbId
-          let existing = null;
-          if (gameId) {
-            existing = await CollectionItems.findOneAsync({ userId: this.userId, gameId });
-          }
-          if (!existing && igdbId) {
-            existing = await CollectionItems.findOneAsync({ userId: this.userId, igdbId });
-          }
-
-          if (existing) {
-            if (options?.updateExisting === true) {
-              // Merge platforms
-              const existingPlatforms = existing.platforms || [];
-              const newPlatform = game.platform && game.platform.trim() ? [game.platform.trim()] : [];
-              const mergedPlatforms = [...new Set([...existingPlatforms, ...newPlatform])].filter(Boolean);
-
-              // Merge storefronts: add new storefront if not already present
-              const existingStorefronts = existing.storefronts || [];
-              let mergedStorefronts = [...existingStorefronts];
-              if (game.storefront) {
-                const storefront = findStorefrontByName(game.storefront);
-                if (storefront && !mergedStorefronts.includes(storefront.id)) {
-                  mergedStorefronts.push(storefront.id);
-                }
-              }
-
-              await CollectionItems.updateAsync(existing._id, {
-                $set: {
-                  platforms: mergedPlatforms,
-                  storefronts: mergedStorefronts,
-                  updatedAt: new Date()
-                }
-              });
-
-              results.updated++;
-              results.games.push({ name: game.name, matchedName: cachedGame?.title || null, action: 'updated' });
-            } else {
-              results.skipped++;
-              results.games.push({ name: game.name, action: 'skipped', reason: 'Already in collection' });
-            }
-            continue;
-          }
-
-          // Parse storefront
-          const storefronts = [];
-          if (game.storefront) {
-            const storefront = findStorefrontByName(game.storefront);
-            if (storefront) {
-              storefronts.push(storefront.id);
-            }
-          }
-
-          // Create collection item
-          await CollectionItems.insertAsync({
-            userId: this.userId,
-            gameId: gameId,
-            igdbId: igdbId,
-            game: buildEmbeddedGame(cachedGame),
-            platforms: game.platform ? [game.platform] : [],
-            storefronts: storefronts,
-            status: 'backlog',
-            favorite: false,
-            hoursPlayed: null,
-            rating: null,
-            notes: '',
-            physical: false,
-            dateAdded: new Date(),
-            createdAt: new Date(),
-            updatedAt: new Date()
-          });
-
-          results.imported++;
-          results.games.push({ name: game.name, matchedName: cachedGame?.title || null, action: 'imported' });
-        } catch (error) {
-          results.skipped++;
-          results.errors.push({
-            name: game.name,
-            error: error.message
-          });
-          results.games.push({ name: game.name, action: 'error', reason: error.message });
-        }
-      }
-
-      // Mark as complete
-      await updateSimpleProgress(this.userId, {
-        status: 'complete',
-        current: games.length,
-        total: games.length,
-        currentGame: '',
-        imported: results.imported,
-        updated: results.updated,
-        skipped: results.skipped
-      });
-    } catch (error) {
-      // Mark as error
-      await updateSimpleProgress(this.userId, {
-        status: 'error',
-        error: error.message
-      });
-      throw error;
-    }
-
-    return results;
   },
 
   // Preview storefront import (Steam, GOG, etc.)
@@ -396,7 +344,7 @@ Meteor.methods({
         importPlaytime: options?.importPlaytime !== false,
         importLastPlayed: options?.importLastPlayed !== false
       };
-      return importSteamLibrary(this.userId, username, importOptions);
+      return planSteamImport(this.userId, username, importOptions);
     }
 
     if (storefront === 'gog') {
@@ -405,7 +353,7 @@ Meteor.methods({
         importPlaytime: options?.importPlaytime !== false,
         importLastPlayed: options?.importLastPlayed !== false
       };
-      return importGogLibrary(this.userId, username, importOptions);
+      return planGogImport(this.userId, username, importOptions);
     }
 
     throw new Meteor.Error('invalid-storefront', `Unknown storefront: ${storefront}`);
@@ -451,7 +399,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importGogLibraryWithAuth(this.userId, sessionCookie, importOptions);
+    return planGogImportWithAuth(this.userId, sessionCookie, importOptions);
   },
 
   // Import Epic Games Store library using authorization code
@@ -476,7 +424,7 @@ Meteor.methods({
       importPlaytime: options?.importPlaytime !== false
     };
 
-    return importEpicLibrary(this.userId, authCode, importOptions);
+    return planEpicImport(this.userId, authCode, importOptions);
   },
 
   // Import Amazon Games library using authorization code and PKCE
@@ -501,7 +449,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importAmazonLibrary(this.userId, authCode, codeVerifier, deviceSerial, importOptions);
+    return planAmazonImport(this.userId, authCode, codeVerifier, deviceSerial, importOptions);
   },
 
   // Import Oculus/Meta library using session cookie
@@ -531,7 +479,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importOculusLibrary(this.userId, accessToken, platform, importOptions);
+    return planOculusImport(this.userId, accessToken, platform, importOptions);
   },
 
   // Import EA App library using bearer token
@@ -560,7 +508,7 @@ Meteor.methods({
       importPlaytime: options?.importPlaytime !== false
     };
 
-    return importEaLibrary(this.userId, bearerToken.trim(), importOptions);
+    return planEaImport(this.userId, bearerToken.trim(), importOptions);
   },
 
   // Import Xbox / Microsoft Store library using authorization code
@@ -589,7 +537,7 @@ Meteor.methods({
       importPlaytime: options?.importPlaytime !== false
     };
 
-    return importXboxLibrary(this.userId, authCode.trim(), importOptions);
+    return planXboxImport(this.userId, authCode.trim(), importOptions);
   },
 
   // Import PlayStation library using NPSSO token
@@ -618,7 +566,7 @@ Meteor.methods({
       importPlaytime: options?.importPlaytime !== false
     };
 
-    return importPsnLibrary(this.userId, npssoToken.trim(), importOptions);
+    return planPsnImport(this.userId, npssoToken.trim(), importOptions);
   },
 
   // Import Battle.net library using pasted JSON
@@ -649,7 +597,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importBattlenetLibrary(this.userId, gamesJson.trim(), classicGamesJson?.trim() || null, importOptions);
+    return planBattlenetImport(this.userId, gamesJson.trim(), classicGamesJson?.trim() || null, importOptions);
   },
 
   // Import Ubisoft Connect library using email/password
@@ -677,7 +625,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importUbisoftLibrary(this.userId, email.trim(), password, importOptions);
+    return planUbisoftImport(this.userId, email.trim(), password, importOptions);
   },
 
   // Import Ubisoft Connect library with 2FA code
@@ -705,7 +653,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importUbisoftLibraryWith2FA(this.userId, twoFactorTicket.trim(), code.trim(), importOptions);
+    return planUbisoftImportWith2FA(this.userId, twoFactorTicket.trim(), code.trim(), importOptions);
   },
 
   // Import Legacy Games library using email/password
@@ -732,7 +680,7 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importLegacyGamesLibrary(this.userId, email.trim(), password, importOptions);
+    return planLegacyGamesImport(this.userId, email.trim(), password, importOptions);
   },
 
   // Import RetroAchievements library using username + API key
@@ -759,6 +707,6 @@ Meteor.methods({
       updateExisting: options?.updateExisting !== false
     };
 
-    return importRetroAchievementsLibrary(this.userId, username.trim(), apiKey.trim(), importOptions);
+    return planRetroAchievementsImport(this.userId, username.trim(), apiKey.trim(), importOptions);
   }
 });
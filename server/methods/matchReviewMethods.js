@@ -0,0 +1,199 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { NOT_TRASHED } from '../lib/trash.js';
+import { buildEmbeddedGame } from '../lib/gameHelpers.js';
+import { getOrFetchGame } from '../igdb/gameCache.js';
+import { isConfigured } from '../igdb/client.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+const MAX_TITLE_LENGTH = 512;
+
+// Items returned at once; reviewing some brings the next ones up
+const MAX_QUEUE_ITEMS = 200;
+
+const QUEUE_FIELDS = {
+  gameId: 1,
+  igdbId: 1,
+  game: 1,
+  platforms: 1,
+  storefronts: 1,
+  igdbMatch: 1,
+  dateAdded: 1
+};
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+// The item, checked to belong to the user and not be in the trash
+async function getOwnItem(userId, itemId) {
+  const item = await CollectionItems.findOneAsync(itemId);
+  if (!item || item.deletedAt) {
+    throw new Meteor.Error('item-not-found', 'Collection item not found');
+  }
+
+  if (item.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only change your own collection items');
+  }
+
+  return item;
+}
+
+function reviewedFields(now) {
+  return {
+    'igdbMatch.needsReview': false,
+    'igdbMatch.reviewedAt': now,
+    updatedAt: now
+  };
+}
+
+Meteor.methods({
+  // Imported items whose match is uncertain, items nothing matched first, then the lowest scores
+  async 'matchReview.getQueue'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'matchReview.getQueue');
+
+    return CollectionItems.find(
+      { userId: this.userId, 'igdbMatch.needsReview': true, ...NOT_TRASHED },
+      {
+        fields: QUEUE_FIELDS,
+        sort: { 'igdbMatch.score': 1, 'game.title': 1 },
+        limit: MAX_QUEUE_ITEMS
+      }
+    ).fetchAsync();
+  },
+
+  // The matched game is right; take the item out of the queue
+  async 'matchReview.confirm'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'matchReview.confirm');
+
+    const item = await getOwnItem(this.userId, itemId);
+    if (!item.gameId) {
+      throw new Meteor.Error('no-match', 'This item has no game to confirm. Choose a game or make it a custom game.');
+    }
+
+    await CollectionItems.updateAsync(itemId, { $set: reviewedFields(new Date()) });
+
+    return true;
+  },
+
+  // Match the item to another IGDB game: one of the candidates or a manual search result
+  async 'matchReview.chooseGame'(itemId, igdbId) {
+    check(itemId, String);
+    check(igdbId, Match.Integer);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'matchReview.chooseGame');
+
+    const item = await getOwnItem(this.userId, itemId);
+
+    let game = await Games.findOneAsync({ igdbId });
+    if (!game) {
+      if (!isConfigured()) {
+        throw new Meteor.Error('igdb-not-configured', 'IGDB is not configured');
+      }
+      game = await getOrFetchGame(igdbId);
+    }
+
+    if (!game) {
+      throw new Meteor.Error('game-not-found', 'Game not found');
+    }
+
+    const existing = await CollectionItems.findOneAsync({
+      _id: { $ne: itemId },
+      userId: this.userId,
+      $or: [{ gameId: game._id }, { igdbId }]
+    });
+    if (existing?.deletedAt) {
+      throw new Meteor.Error('duplicate-item-in-trash', 'This game is in your trash; restore it instead');
+    }
+    if (existing) {
+      throw new Meteor.Error('duplicate-item', 'This game is already in your collection');
+    }
+
+    const now = new Date();
+    await CollectionItems.updateAsync(item._id, {
+      $set: {
+        gameId: game._id,
+        igdbId,
+        game: buildEmbeddedGame(game),
+        ...reviewedFields(now)
+      }
+    });
+
+    return game._id;
+  },
+
+  // IGDB doesn't have the game: match the item to a new custom game instead
+  async 'matchReview.makeCustom'(itemId, title) {
+    check(itemId, String);
+    check(title, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'matchReview.makeCustom');
+
+    const trimmed = title.trim();
+    if (trimmed.length === 0) {
+      throw new Meteor.Error('invalid-title', 'Title cannot be empty');
+    }
+    if (trimmed.length > MAX_TITLE_LENGTH) {
+      throw new Meteor.Error('invalid-title', `Title cannot exceed ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    const item = await getOwnItem(this.userId, itemId);
+
+    // Same fields as games.createCustom; the platforms come from the copies the item has
+    const now = new Date();
+    const gameDoc = {
+      ownerId: this.userId,
+      title: trimmed,
+      slug: trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+      platforms: item.platforms || [],
+      releaseYear: null,
+      developer: '',
+      publisher: '',
+      genres: [],
+      summary: '',
+      createdAt: now,
+      updatedAt: now
+    };
+    const gameId = await Games.insertAsync(gameDoc);
+
+    await CollectionItems.updateAsync(item._id, {
+      $set: {
+        gameId,
+        game: buildEmbeddedGame({ _id: gameId, ...gameDoc }),
+        ...reviewedFields(now)
+      },
+      $unset: { igdbId: '' }
+    });
+
+    return gameId;
+  }
+});
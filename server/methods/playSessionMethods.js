@@ -0,0 +1,254 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { recordItemChanges } from '../lib/itemHistory.js';
+import {
+  MAX_PLAY_SESSIONS,
+  playtimeFields,
+  validatePlaySession,
+  validateSessionPlatform,
+  checkSessionNotesTotal,
+  buildPlaySession,
+  timedSessionMinutes
+} from '../lib/playSessions.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+const SAVE_ATTEMPTS = 3;
+
+const sessionPattern = {
+  date: Date,
+  minutes: Match.Integer,
+  platform: Match.Maybe(Match.OneOf(String, null)),
+  note: Match.Maybe(String)
+};
+
+const sessionUpdatePattern = {
+  date: Match.Maybe(Date),
+  minutes: Match.Maybe(Match.Integer),
+  platform: Match.Maybe(Match.OneOf(String, null)),
+  note: Match.Maybe(String)
+};
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function getOwnItem(userId, itemId) {
+  const item = await CollectionItems.findOneAsync(itemId);
+  if (!item || item.deletedAt) {
+    throw new Meteor.Error('item-not-found', 'Collection item not found');
+  }
+
+  if (item.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+  }
+
+  return item;
+}
+
+function checkSessionRoom(item) {
+  if ((item.playSessions || []).length >= MAX_PLAY_SESSIONS) {
+    throw new Meteor.Error('too-many-sessions', `An item cannot have more than ${MAX_PLAY_SESSIONS} play sessions`);
+  }
+}
+
+/**
+ * Store a changed session list with the hours played derived from it.
+ *
+ * change(item) returns { playSessions, ...result } worked out from the item as stored. The write
+ * only goes through if nothing else changed the item since it was read; otherwise the item is
+ * read again and the change worked out anew, so a session saved at the same time is not lost.
+ *
+ * @returns {Promise<Object>} - result with the new hoursPlayed
+ */
+async function saveSessions(userId, itemId, change, extraUpdate = {}) {
+  for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+    const item = await getOwnItem(userId, itemId);
+    const { playSessions, ...result } = change(item);
+
+    const updateFields = {
+      playSessions,
+      ...playtimeFields(item, { playSessions }),
+      updatedAt: new Date()
+    };
+
+    // lastPlayed only moves forward; removing a session leaves it as it was
+    const latest = playSessions.reduce((max, session) => (!max || session.date > max ? session.date : max), null);
+    if (latest && (!item.lastPlayed || latest > item.lastPlayed)) {
+      updateFields.lastPlayed = latest;
+    }
+
+    const updated = await CollectionItems.updateAsync(
+      { _id: item._id, updatedAt: item.updatedAt || null },
+      { $set: updateFields, ...extraUpdate }
+    );
+    if (updated > 0) {
+      await recordItemChanges(item, updateFields);
+      return { ...result, hoursPlayed: updateFields.hoursPlayed };
+    }
+  }
+
+  throw new Meteor.Error('item-changed', 'This game was changed at the same time. Please try again.');
+}
+
+Meteor.methods({
+  async 'sessions.add'(itemId, session) {
+    check(itemId, String);
+    check(session, sessionPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.add');
+
+    return saveSessions(this.userId, itemId, item => {
+      checkSessionRoom(item);
+      validatePlaySession(session);
+
+      const newSession = buildPlaySession(session);
+      const playSessions = [...(item.playSessions || []), newSession];
+      checkSessionNotesTotal(playSessions);
+      return { playSessions, session: newSession };
+    });
+  },
+
+  async 'sessions.update'(itemId, sessionId, updates) {
+    check(itemId, String);
+    check(sessionId, String);
+    check(updates, sessionUpdatePattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.update');
+
+    return saveSessions(this.userId, itemId, item => {
+      const existing = (item.playSessions || []).find(session => session._id === sessionId);
+      if (!existing) {
+        throw new Meteor.Error('session-not-found', 'Play session not found');
+      }
+
+      const merged = { ...existing };
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined) {
+          merged[field] = field === 'platform' && value ? value.trim() : value;
+        }
+      }
+      validatePlaySession(merged);
+
+      const playSessions = item.playSessions.map(session => (session._id === sessionId ? merged : session));
+      checkSessionNotesTotal(playSessions);
+      return { playSessions, session: merged };
+    });
+  },
+
+  async 'sessions.remove'(itemId, sessionId) {
+    check(itemId, String);
+    check(sessionId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.remove');
+
+    return saveSessions(this.userId, itemId, item => {
+      if (!(item.playSessions || []).some(session => session._id === sessionId)) {
+        throw new Meteor.Error('session-not-found', 'Play session not found');
+      }
+      return { playSessions: item.playSessions.filter(session => session._id !== sessionId) };
+    });
+  },
+
+  // Start a session timer; stopping it logs a session for the time in between
+  async 'sessions.start'(itemId, platform) {
+    check(itemId, String);
+    check(platform, Match.Maybe(Match.OneOf(String, null)));
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.start');
+
+    const item = await getOwnItem(this.userId, itemId);
+    if (item.activeSession) {
+      throw new Meteor.Error('session-running', 'A session is already running for this game');
+    }
+    checkSessionRoom(item);
+
+    const activeSession = {
+      startedAt: new Date(),
+      platform: platform ? platform.trim() : null
+    };
+    validateSessionPlatform(activeSession.platform);
+
+    await CollectionItems.updateAsync(itemId, {
+      $set: { activeSession, updatedAt: new Date() }
+    });
+
+    return activeSession;
+  },
+
+  async 'sessions.stop'(itemId, note) {
+    check(itemId, String);
+    check(note, Match.Maybe(String));
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.stop');
+
+    return saveSessions(this.userId, itemId, item => {
+      if (!item.activeSession) {
+        throw new Meteor.Error('no-session-running', 'No session is running for this game');
+      }
+      checkSessionRoom(item);
+
+      const session = {
+        date: item.activeSession.startedAt,
+        minutes: timedSessionMinutes(item.activeSession.startedAt),
+        platform: item.activeSession.platform,
+        note: note || ''
+      };
+      validatePlaySession(session);
+
+      const newSession = buildPlaySession(session);
+      const playSessions = [...(item.playSessions || []), newSession];
+      checkSessionNotesTotal(playSessions);
+      return { playSessions, session: newSession };
+    }, {
+      $unset: { activeSession: '' }
+    });
+  },
+
+  // Drop a running timer without logging it
+  async 'sessions.cancel'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'sessions.cancel');
+
+    await getOwnItem(this.userId, itemId);
+
+    return CollectionItems.updateAsync(itemId, {
+      $unset: { activeSession: '' },
+      $set: { updatedAt: new Date() }
+    });
+  }
+});
@@ -0,0 +1,198 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import {
+  CollectionItems,
+  COLLECTION_STATUSES,
+  MAX_QUEUE_SIZE
+} from '../../imports/lib/collections/collectionItems.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { NOT_TRASHED } from '../lib/trash.js';
+import { recordItemChanges } from '../lib/itemHistory.js';
+import { rankBetween, spreadRanks } from '../lib/queueRanks.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+// Ranks longer than this are respaced, which only happens after many inserts into one spot
+const MAX_RANK_LENGTH = 20;
+
+const QUEUED = { queueRank: { $type: 'string' } };
+
+const QueuePosition = Match.Where(position => position === 'top' || position === 'bottom');
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function getOwnItem(userId, itemId) {
+  const item = await CollectionItems.findOneAsync(itemId);
+  if (!item || item.deletedAt) {
+    throw new Meteor.Error('item-not-found', 'Collection item not found');
+  }
+
+  if (item.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only queue your own collection items');
+  }
+
+  return item;
+}
+
+// The user's queue in order, _id breaking ties between equal ranks
+function fetchQueue(userId, options = {}) {
+  return CollectionItems.find(
+    { userId, ...QUEUED, ...NOT_TRASHED },
+    { sort: { queueRank: 1, _id: 1 }, ...options }
+  ).fetchAsync();
+}
+
+/**
+ * Put an item at a position in the queue, counted without the item itself. Only the item's
+ * rank is written, unless its neighbours leave no room between them (equal ranks from two
+ * devices inserting at once, or very long ranks); then the whole queue is respaced.
+ */
+async function placeInQueue(userId, itemId, index) {
+  const queue = (await fetchQueue(userId, { fields: { _id: 1, queueRank: 1 } }))
+    .filter(entry => entry._id !== itemId);
+  const position = Math.min(Math.max(index, 0), queue.length);
+
+  const before = queue[position - 1]?.queueRank || null;
+  const after = queue[position]?.queueRank || null;
+
+  if (!(before && after && before >= after)) {
+    const rank = rankBetween(before, after);
+    if (rank.length <= MAX_RANK_LENGTH) {
+      await CollectionItems.updateAsync(itemId, { $set: { queueRank: rank } });
+      return rank;
+    }
+  }
+
+  const orderedIds = queue.map(entry => entry._id);
+  orderedIds.splice(position, 0, itemId);
+  const ranks = spreadRanks(orderedIds.length);
+  await CollectionItems.rawCollection().bulkWrite(
+    orderedIds.map((id, rankIndex) => ({
+      updateOne: { filter: { _id: id, userId }, update: { $set: { queueRank: ranks[rankIndex] } } }
+    })),
+    { ordered: false }
+  );
+  return ranks[position];
+}
+
+Meteor.methods({
+  // Queued items in order, with what the Up Next list shows
+  async 'queue.getItems'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'queue.getItems');
+
+    return fetchQueue(this.userId, {
+      limit: MAX_QUEUE_SIZE,
+      fields: { game: 1, gameId: 1, status: 1, platforms: 1, hoursPlayed: 1, queueRank: 1 }
+    });
+  },
+
+  // Add an item to the top or bottom of the queue. Items already queued stay where they are.
+  async 'queue.enqueue'(itemId, position = 'bottom') {
+    check(itemId, String);
+    check(position, QueuePosition);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'queue.enqueue');
+
+    const item = await getOwnItem(this.userId, itemId);
+    if (item.queueRank) {
+      return item.queueRank;
+    }
+
+    const queueSize = await CollectionItems.countDocuments({ userId: this.userId, ...QUEUED, ...NOT_TRASHED });
+    if (queueSize >= MAX_QUEUE_SIZE) {
+      throw new Meteor.Error('queue-full', `Up Next can hold at most ${MAX_QUEUE_SIZE} games`);
+    }
+
+    return placeInQueue(this.userId, itemId, position === 'top' ? 0 : queueSize);
+  },
+
+  async 'queue.dequeue'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'queue.dequeue');
+
+    await getOwnItem(this.userId, itemId);
+    await CollectionItems.updateAsync(itemId, { $unset: { queueRank: '' } });
+
+    return true;
+  },
+
+  // Move a queued item to just above beforeItemId, or to the bottom when beforeItemId is null.
+  // If beforeItemId has left the queue meanwhile (another device), the item goes to the bottom.
+  async 'queue.move'(itemId, beforeItemId) {
+    check(itemId, String);
+    check(beforeItemId, Match.OneOf(String, null));
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'queue.move');
+
+    const item = await getOwnItem(this.userId, itemId);
+    if (!item.queueRank) {
+      throw new Meteor.Error('not-queued', 'This game is not in Up Next');
+    }
+
+    if (beforeItemId === itemId) {
+      return item.queueRank;
+    }
+
+    const queue = (await fetchQueue(this.userId, { fields: { _id: 1 } }))
+      .filter(entry => entry._id !== itemId);
+    const index = beforeItemId ? queue.findIndex(entry => entry._id === beforeItemId) : -1;
+
+    return placeInQueue(this.userId, itemId, index === -1 ? queue.length : index);
+  },
+
+  // Take a queued item off the queue and start playing it
+  async 'queue.startPlaying'(itemId) {
+    check(itemId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'queue.startPlaying');
+
+    const item = await getOwnItem(this.userId, itemId);
+    if (!item.queueRank) {
+      throw new Meteor.Error('not-queued', 'This game is not in Up Next');
+    }
+
+    const updateFields = {
+      status: COLLECTION_STATUSES.PLAYING,
+      updatedAt: new Date()
+    };
+    if (!item.dateStarted) {
+      updateFields.dateStarted = new Date();
+    }
+
+    await CollectionItems.updateAsync(itemId, { $set: updateFields, $unset: { queueRank: '' } });
+    await recordItemChanges(item, updateFields);
+
+    return true;
+  }
+});
@@ -0,0 +1,232 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { SavedViews, MAX_SAVED_VIEWS } from '../../imports/lib/collections/savedViews.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import {
+  validateViewName,
+  normalizeFilters,
+  validateViewMode,
+  validateBookshelfTheme
+} from '../lib/savedViews.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+const listFilterPattern = Match.Maybe(Match.OneOf(String, [String], null));
+const rangeFilterPattern = Match.Maybe(Match.OneOf(Number, null));
+
+const filtersPattern = {
+  status: listFilterPattern,
+  platform: listFilterPattern,
+  storefront: listFilterPattern,
+  genre: listFilterPattern,
+  favorite: Match.Maybe(Match.OneOf(Boolean, null)),
+  physical: Match.Maybe(Match.OneOf(Boolean, null)),
+  rated: Match.Maybe(Match.OneOf(Boolean, null)),
+  queued: Match.Maybe(Match.OneOf(Boolean, null)),
+  yearMin: rangeFilterPattern,
+  yearMax: rangeFilterPattern,
+  hoursMin: rangeFilterPattern,
+  hoursMax: rangeFilterPattern,
+  beatMin: rangeFilterPattern,
+  beatMax: rangeFilterPattern,
+  search: Match.Maybe(String),
+  tags: Match.Maybe([String]),
+  tagMode: Match.Maybe(String),
+  sort: Match.Maybe(String)
+};
+
+const viewPattern = {
+  name: Match.Maybe(String),
+  filters: Match.Maybe(filtersPattern),
+  viewMode: Match.Maybe(String),
+  bookshelfTheme: Match.Maybe(Match.OneOf(String, null))
+};
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function findOwnView(userId, viewId) {
+  const view = await SavedViews.findOneAsync(viewId);
+
+  if (!view) {
+    throw new Meteor.Error('view-not-found', 'Saved view not found');
+  }
+
+  if (view.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only change your own saved views');
+  }
+
+  return view;
+}
+
+Meteor.methods({
+  async 'savedViews.create'(view) {
+    check(view, {
+      ...viewPattern,
+      name: String,
+      viewMode: String,
+      isDefault: Match.Maybe(Boolean)
+    });
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'savedViews.create');
+
+    const viewCount = await SavedViews.countDocuments({ userId: this.userId });
+    if (viewCount >= MAX_SAVED_VIEWS) {
+      throw new Meteor.Error('too-many-views', `You cannot have more than ${MAX_SAVED_VIEWS} saved views`);
+    }
+
+    const lastView = await SavedViews.findOneAsync(
+      { userId: this.userId },
+      { sort: { order: -1 }, fields: { order: 1 } }
+    );
+
+    if (view.isDefault) {
+      await SavedViews.updateAsync(
+        { userId: this.userId, isDefault: true },
+        { $set: { isDefault: false, updatedAt: new Date() } },
+        { multi: true }
+      );
+    }
+
+    const now = new Date();
+    const viewId = await SavedViews.insertAsync({
+      userId: this.userId,
+      name: validateViewName(view.name),
+      filters: normalizeFilters(view.filters),
+      viewMode: validateViewMode(view.viewMode),
+      bookshelfTheme: validateBookshelfTheme(view.bookshelfTheme),
+      order: lastView ? lastView.order + 1 : 0,
+      isDefault: view.isDefault === true,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return viewId;
+  },
+
+  async 'savedViews.update'(viewId, updates) {
+    check(viewId, String);
+    check(updates, viewPattern);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'savedViews.update');
+
+    await findOwnView(this.userId, viewId);
+
+    const setFields = { updatedAt: new Date() };
+
+    if (updates.name !== undefined) {
+      setFields.name = validateViewName(updates.name);
+    }
+
+    if (updates.filters !== undefined) {
+      setFields.filters = normalizeFilters(updates.filters);
+    }
+
+    if (updates.viewMode !== undefined) {
+      setFields.viewMode = validateViewMode(updates.viewMode);
+    }
+
+    if (updates.bookshelfTheme !== undefined) {
+      setFields.bookshelfTheme = validateBookshelfTheme(updates.bookshelfTheme);
+    }
+
+    await SavedViews.updateAsync(viewId, { $set: setFields });
+
+    return true;
+  },
+
+  async 'savedViews.remove'(viewId) {
+    check(viewId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'savedViews.remove');
+
+    await findOwnView(this.userId, viewId);
+    await SavedViews.removeAsync(viewId);
+
+    return true;
+  },
+
+  async 'savedViews.reorder'(viewIds) {
+    check(viewIds, [String]);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'savedViews.reorder');
+
+    // The new order must list every one of the user's views exactly once
+    const views = await SavedViews.find(
+      { userId: this.userId },
+      { fields: { _id: 1 } }
+    ).fetchAsync();
+    const ownIds = new Set(views.map(view => view._id));
+    const uniqueIds = new Set(viewIds);
+
+    if (uniqueIds.size !== viewIds.length || viewIds.length !== ownIds.size || !viewIds.every(id => ownIds.has(id))) {
+      throw new Meteor.Error('invalid-order', 'The new order must include each of your saved views once');
+    }
+
+    const now = new Date();
+    const bulkOps = viewIds.map((viewId, index) => ({
+      updateOne: {
+        filter: { _id: viewId, userId: this.userId },
+        update: { $set: { order: index, updatedAt: now } }
+      }
+    }));
+
+    if (bulkOps.length > 0) {
+      await SavedViews.rawCollection().bulkWrite(bulkOps, { ordered: false });
+    }
+
+    return true;
+  },
+
+  async 'savedViews.setDefault'(viewId) {
+    check(viewId, Match.OneOf(String, null));
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'savedViews.setDefault');
+
+    if (viewId) {
+      await findOwnView(this.userId, viewId);
+    }
+
+    const now = new Date();
+    await SavedViews.updateAsync(
+      { userId: this.userId, isDefault: true, _id: { $ne: viewId } },
+      { $set: { isDefault: false, updatedAt: now } },
+      { multi: true }
+    );
+
+    if (viewId) {
+      await SavedViews.updateAsync(viewId, { $set: { isDefault: true, updatedAt: now } });
+    }
+
+    return true;
+  }
+});
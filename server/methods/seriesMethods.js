@@ -0,0 +1,48 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { SERIES_KINDS } from '../../imports/lib/constants/series.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { getUserSeries, getSeriesEntries } from '../lib/series.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+const SeriesKind = Match.Where(kind => Object.values(SERIES_KINDS).includes(kind));
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+Meteor.methods({
+  // Franchises and series the user has games from
+  async 'series.getMine'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'series.getMine');
+
+    return getUserSeries(this.userId);
+  },
+
+  // Every entry of a franchise or series in release order, with the user's status for each
+  async 'series.getEntries'(kind, igdbId) {
+    check(kind, SeriesKind);
+    check(igdbId, Match.Integer);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'series.getEntries');
+
+    return getSeriesEntries(this.userId, kind, igdbId);
+  }
+});
@@ -0,0 +1,184 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Tags, MAX_TAGS_PER_ITEM, normalizeTagName } from '../../imports/lib/collections/tags.js';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { validateTagName, createUserTag, ensureUserTags } from '../lib/tagHelpers.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+async function findOwnTag(userId, tagId) {
+  const tag = await Tags.findOneAsync(tagId);
+
+  if (!tag) {
+    throw new Meteor.Error('tag-not-found', 'Tag not found');
+  }
+
+  if (tag.userId !== userId) {
+    throw new Meteor.Error('not-authorized', 'You can only change your own tags');
+  }
+
+  return tag;
+}
+
+Meteor.methods({
+  async 'tags.create'(name) {
+    check(name, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'tags.create');
+
+    const cleanedName = validateTagName(name);
+    const existing = await Tags.findOneAsync({ userId: this.userId, normalizedName: normalizeTagName(cleanedName) });
+    if (existing) {
+      throw new Meteor.Error('tag-exists', `You already have a tag named "${existing.name}"`);
+    }
+
+    const tag = await createUserTag(this.userId, cleanedName);
+    return tag._id;
+  },
+
+  async 'tags.rename'(tagId, newName) {
+    check(tagId, String);
+    check(newName, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'tags.rename');
+
+    const tag = await findOwnTag(this.userId, tagId);
+    const cleanedName = validateTagName(newName);
+    const normalizedName = normalizeTagName(cleanedName);
+
+    // Renaming onto another existing tag is a merge, not a rename
+    const conflict = await Tags.findOneAsync({ userId: this.userId, normalizedName, _id: { $ne: tagId } });
+    if (conflict) {
+      throw new Meteor.Error('tag-exists', `You already have a tag named "${conflict.name}". Merge the tags instead.`);
+    }
+
+    await Tags.updateAsync(tagId, {
+      $set: {
+        name: cleanedName,
+        normalizedName,
+        updatedAt: new Date()
+      }
+    });
+
+    // Tags are unique within an item, so the positional operator replaces the only match
+    const result = await CollectionItems.rawCollection().updateMany(
+      { userId: this.userId, tags: tag.name },
+      { $set: { 'tags.$': cleanedName, updatedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  },
+
+  async 'tags.merge'(sourceTagId, targetTagId) {
+    check(sourceTagId, String);
+    check(targetTagId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'tags.merge');
+
+    if (sourceTagId === targetTagId) {
+      throw new Meteor.Error('invalid-merge', 'Cannot merge a tag into itself');
+    }
+
+    const sourceTag = await findOwnTag(this.userId, sourceTagId);
+    const targetTag = await findOwnTag(this.userId, targetTagId);
+
+    const rawCollection = CollectionItems.rawCollection();
+    const now = new Date();
+
+    // Add the target first so items never end up with neither tag
+    await rawCollection.updateMany(
+      { userId: this.userId, tags: sourceTag.name },
+      { $addToSet: { tags: targetTag.name }, $set: { updatedAt: now } }
+    );
+
+    const result = await rawCollection.updateMany(
+      { userId: this.userId, tags: sourceTag.name },
+      { $pull: { tags: sourceTag.name } }
+    );
+
+    await Tags.removeAsync(sourceTagId);
+
+    return result.modifiedCount;
+  },
+
+  async 'tags.delete'(tagId) {
+    check(tagId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'tags.delete');
+
+    const tag = await findOwnTag(this.userId, tagId);
+
+    const result = await CollectionItems.rawCollection().updateMany(
+      { userId: this.userId, tags: tag.name },
+      { $pull: { tags: tag.name }, $set: { updatedAt: new Date() } }
+    );
+
+    await Tags.removeAsync(tagId);
+
+    return result.modifiedCount;
+  },
+
+  async 'collection.setTags'(itemId, tagNames) {
+    check(itemId, String);
+    check(tagNames, [String]);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    await checkRateLimit(this.userId, 'collection.setTags');
+
+    if (tagNames.length > MAX_TAGS_PER_ITEM) {
+      throw new Meteor.Error('too-many-tags', `An item cannot have more than ${MAX_TAGS_PER_ITEM} tags`);
+    }
+
+    const item = await CollectionItems.findOneAsync(itemId);
+    if (!item || item.deletedAt) {
+      throw new Meteor.Error('item-not-found', 'Collection item not found');
+    }
+
+    if (item.userId !== this.userId) {
+      throw new Meteor.Error('not-authorized', 'You can only update your own collection items');
+    }
+
+    const tags = await ensureUserTags(this.userId, tagNames);
+
+    await CollectionItems.updateAsync(itemId, {
+      $set: {
+        tags: tags,
+        updatedAt: new Date()
+      }
+    });
+
+    return tags;
+  }
+});
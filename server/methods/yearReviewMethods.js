@@ -0,0 +1,38 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { checkDistributedRateLimit } from '../lib/distributedRateLimit.js';
+import { getYearReview, MIN_REVIEW_YEAR } from '../lib/yearReview.js';
+
+const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_MAX = 10;
+
+async function checkRateLimit(userId, methodName) {
+  const key = `method:${userId}:${methodName}`;
+  const result = await checkDistributedRateLimit(key, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+
+  if (!result.allowed) {
+    throw new Meteor.Error('rate-limited', 'Too many requests. Please slow down.');
+  }
+
+  return true;
+}
+
+Meteor.methods({
+  // Summary of one calendar year: activity by month and the year's highlights
+  async 'statistics.getYearReview'(year) {
+    check(year, Match.Integer);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const currentYear = new Date().getUTCFullYear();
+    if (year < MIN_REVIEW_YEAR || year > currentYear) {
+      throw new Meteor.Error('invalid-year', `Year must be between ${MIN_REVIEW_YEAR} and ${currentYear}`);
+    }
+
+    await checkRateLimit(this.userId, 'statistics.getYearReview');
+
+    return getYearReview(this.userId, year);
+  }
+});
@@ -10,3 +10,18 @@ import './6_create_used_nonces_ttl_index.js';
 import './7_schema_cleanup.js';
 import './8_denormalize_game_data.js';
 import './9_backfill_slug.js';
+import './10_backfill_playthroughs.js';
+import './11_create_tag_indexes.js';
+import './12_create_saved_view_indexes.js';
+import './13_create_trash_indexes.js';
+import './14_create_item_history_indexes.js';
+import './15_backfill_owned_copies.js';
+import './16_create_sort_indexes.js';
+import './17_create_queue_index.js';
+import './18_create_edition_indexes.js';
+import './19_create_series_indexes.js';
+import './20_create_goal_indexes.js';
+import './21_create_import_plan_indexes.js';
+import './22_create_match_review_index.js';
+import './23_partial_game_index.js';
+import './24_split_legacy_imported_hours.js';
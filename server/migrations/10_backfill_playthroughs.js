@@ -0,0 +1,94 @@
+console.log('=== LOADING MIGRATION 10_backfill_playthroughs.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { Random } from 'meteor/random';
+import { CollectionItems, COLLECTION_STATUSES, PLAYTHROUGH_OUTCOMES } from '../../imports/lib/collections/collectionItems.js';
+
+const BATCH_SIZE = 500;
+
+// Turn an item's single dateStarted/dateCompleted pair into its first playthrough
+function buildInitialPlaythrough(item) {
+  let outcome = null;
+  if (item.status === COLLECTION_STATUSES.ABANDONED) {
+    outcome = PLAYTHROUGH_OUTCOMES.ABANDONED;
+  } else if (item.status === COLLECTION_STATUSES.COMPLETED || item.dateCompleted) {
+    outcome = PLAYTHROUGH_OUTCOMES.COMPLETED;
+  }
+
+  return {
+    _id: Random.id(),
+    dateStarted: item.dateStarted || null,
+    dateCompleted: item.dateCompleted || null,
+    platform: item.platforms?.[0] || null,
+    difficulty: null,
+    outcome: outcome,
+    hoursPlayed: item.hoursPlayed ?? null,
+    notes: '',
+    createdAt: new Date()
+  };
+}
+
+Migrations.add({
+  version: 10,
+  name: 'Convert existing start and completion dates into a first playthrough',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 10: Backfill playthroughs ===');
+
+    let processed = 0;
+    let converted = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      // Items that have never had a playthrough list
+      const items = await CollectionItems.find(
+        { playthroughs: { $exists: false } },
+        {
+          fields: { _id: 1, status: 1, platforms: 1, hoursPlayed: 1, dateStarted: 1, dateCompleted: 1 },
+          limit: BATCH_SIZE
+        }
+      ).fetchAsync();
+
+      if (items.length === 0) {
+        hasMore = false;
+        break;
+      }
+
+      const bulkOps = [];
+      for (const item of items) {
+        const hasDates = item.dateStarted || item.dateCompleted;
+        const playthroughs = hasDates ? [buildInitialPlaythrough(item)] : [];
+        if (hasDates) {
+          converted++;
+        }
+        bulkOps.push({
+          updateOne: {
+            filter: { _id: item._id },
+            update: { $set: { playthroughs: playthroughs } }
+          }
+        });
+      }
+
+      const rawCollection = CollectionItems.rawCollection();
+      await rawCollection.bulkWrite(bulkOps, { ordered: false });
+
+      processed += items.length;
+      console.log(`Progress: ${processed} items processed, ${converted} converted`);
+    }
+
+    console.log(`✓ Migration complete: ${converted} items received a first playthrough`);
+    console.log('✓ Migration 10 completed successfully');
+  },
+  down: async function() {
+    console.log('Rolling back migration 10 - removing playthroughs from collectionItems');
+
+    // Top-level dateStarted/dateCompleted were never modified, so nothing is lost
+    const rawCollection = CollectionItems.rawCollection();
+    const result = await rawCollection.updateMany(
+      { playthroughs: { $exists: true } },
+      { $unset: { playthroughs: '' } }
+    );
+
+    console.log(`✓ Removed playthroughs from ${result.modifiedCount} collection items`);
+    console.log('✓ Migration 10 rollback complete');
+  }
+});
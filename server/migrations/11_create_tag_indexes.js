@@ -0,0 +1,38 @@
+console.log('=== LOADING MIGRATION 11_create_tag_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { Tags } from '../../imports/lib/collections/tags.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 11,
+  name: 'Create indexes for user tags',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 11: Create tag indexes ===');
+
+    // One tag per name per user, case-insensitive via normalizedName
+    try {
+      await Tags.createIndexAsync(
+        { userId: 1, normalizedName: 1 },
+        { unique: true }
+      );
+      console.log('✓ Created Tags.userId+normalizedName unique index');
+    } catch (error) {
+      console.log('Tags.userId+normalizedName index may already exist:', error.message);
+    }
+
+    // Tag filtering and tag rename/merge/delete on collection items
+    try {
+      await CollectionItems.createIndexAsync({ userId: 1, tags: 1 });
+      console.log('✓ Created CollectionItems.userId+tags index');
+    } catch (error) {
+      console.log('CollectionItems.userId+tags index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 11 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 11 - indexes will remain (safe to keep)');
+  }
+});
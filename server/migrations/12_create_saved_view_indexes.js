@@ -0,0 +1,26 @@
+console.log('=== LOADING MIGRATION 12_create_saved_view_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { SavedViews } from '../../imports/lib/collections/savedViews.js';
+
+Migrations.add({
+  version: 12,
+  name: 'Create indexes for saved collection views',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 12: Create saved view indexes ===');
+
+    // Views are always listed per user in tab order
+    try {
+      await SavedViews.createIndexAsync({ userId: 1, order: 1 });
+      console.log('✓ Created SavedViews.userId+order index');
+    } catch (error) {
+      console.log('SavedViews.userId+order index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 12 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 12 - indexes will remain (safe to keep)');
+  }
+});
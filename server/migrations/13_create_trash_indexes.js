@@ -0,0 +1,37 @@
+console.log('=== LOADING MIGRATION 13_create_trash_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 13,
+  name: 'Create indexes for the collection trash',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 13: Create trash indexes ===');
+
+    // Trash listing per user
+    try {
+      await CollectionItems.createIndexAsync({ userId: 1, deletedAt: 1 });
+      console.log('✓ Created CollectionItems.userId+deletedAt index');
+    } catch (error) {
+      console.log('CollectionItems.userId+deletedAt index may already exist:', error.message);
+    }
+
+    // Scheduled purge across all users; only trashed items are indexed
+    try {
+      await CollectionItems.createIndexAsync(
+        { deletedAt: 1 },
+        { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+      );
+      console.log('✓ Created CollectionItems.deletedAt partial index');
+    } catch (error) {
+      console.log('CollectionItems.deletedAt index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 13 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 13 - indexes will remain (safe to keep)');
+  }
+});
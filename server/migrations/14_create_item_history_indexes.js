@@ -0,0 +1,34 @@
+console.log('=== LOADING MIGRATION 14_create_item_history_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+
+Migrations.add({
+  version: 14,
+  name: 'Create indexes for collection item history',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 14: Create item history indexes ===');
+
+    // Timeline for one item
+    try {
+      await ItemHistory.createIndexAsync({ itemId: 1, createdAt: -1 });
+      console.log('✓ Created ItemHistory.itemId+createdAt index');
+    } catch (error) {
+      console.log('ItemHistory.itemId+createdAt index may already exist:', error.message);
+    }
+
+    // Activity feed per user, paged by createdAt then _id
+    try {
+      await ItemHistory.createIndexAsync({ userId: 1, createdAt: -1, _id: -1 });
+      console.log('✓ Created ItemHistory.userId+createdAt+_id index');
+    } catch (error) {
+      console.log('ItemHistory.userId+createdAt+_id index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 14 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 14 - indexes will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,63 @@
+console.log('=== LOADING MIGRATION 15_backfill_owned_copies.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { getOwnedCopies } from '../lib/ownedCopies.js';
+
+const BATCH_SIZE = 500;
+
+Migrations.add({
+  version: 15,
+  name: 'Turn flat platform and storefront lists into owned copies',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 15: Backfill owned copies ===');
+
+    let processed = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      // Items that have never had a copy list
+      const items = await CollectionItems.find(
+        { ownedCopies: { $exists: false } },
+        {
+          fields: { _id: 1, platforms: 1, storefronts: 1, createdAt: 1 },
+          limit: BATCH_SIZE
+        }
+      ).fetchAsync();
+
+      if (items.length === 0) {
+        hasMore = false;
+        break;
+      }
+
+      // Flat lists are left as they are; they already match the copies built from them
+      const bulkOps = items.map(item => ({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { $set: { ownedCopies: getOwnedCopies(item) } }
+        }
+      }));
+
+      const rawCollection = CollectionItems.rawCollection();
+      await rawCollection.bulkWrite(bulkOps, { ordered: false });
+
+      processed += items.length;
+      console.log(`Progress: ${processed} items received owned copies`);
+    }
+
+    console.log('✓ Migration 15 completed successfully');
+  },
+  down: async function() {
+    console.log('Rolling back migration 15 - removing ownedCopies from collectionItems');
+
+    // platforms and storefronts are kept up to date alongside the copies, so nothing is lost
+    const rawCollection = CollectionItems.rawCollection();
+    const result = await rawCollection.updateMany(
+      { ownedCopies: { $exists: true } },
+      { $unset: { ownedCopies: '' } }
+    );
+
+    console.log(`✓ Removed ownedCopies from ${result.modifiedCount} collection items`);
+    console.log('✓ Migration 15 rollback complete');
+  }
+});
@@ -0,0 +1,90 @@
+console.log('=== LOADING MIGRATION 16_create_sort_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+const BATCH_SIZE = 500;
+
+// Fields collection.getItemsChunk can sort by (see server/lib/collectionSort.js), each
+// indexed with _id as the tiebreaker
+const SORT_INDEX_FIELDS = [
+  'dateAdded',
+  'rating',
+  'hoursPlayed',
+  'game.releaseYear',
+  'dateStarted',
+  'dateCompleted',
+  'updatedAt',
+  'game.rating'
+];
+
+Migrations.add({
+  version: 16,
+  name: 'Embed IGDB ratings and create indexes for collection sort orders',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 16: Create sort indexes ===');
+
+    // Copy the IGDB rating into the embedded game so items can be sorted by it
+    let processed = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const items = await CollectionItems.find(
+        { game: { $type: 'object' }, 'game.rating': { $exists: false } },
+        {
+          fields: { _id: 1, gameId: 1 },
+          limit: BATCH_SIZE
+        }
+      ).fetchAsync();
+
+      if (items.length === 0) {
+        hasMore = false;
+        break;
+      }
+
+      const gameIds = [...new Set(items.map(item => item.gameId).filter(Boolean))];
+      const games = await Games.find(
+        { _id: { $in: gameIds } },
+        { fields: { _id: 1, rating: 1 } }
+      ).fetchAsync();
+      const ratingsByGameId = new Map(games.map(game => [game._id, game.rating ?? null]));
+
+      // Items whose game is gone get null, so the loop always moves on
+      const bulkOps = items.map(item => ({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { $set: { 'game.rating': ratingsByGameId.get(item.gameId) ?? null } }
+        }
+      }));
+
+      const rawCollection = CollectionItems.rawCollection();
+      await rawCollection.bulkWrite(bulkOps, { ordered: false });
+
+      processed += items.length;
+      console.log(`Progress: ${processed} items received IGDB ratings`);
+    }
+
+    for (const field of SORT_INDEX_FIELDS) {
+      try {
+        await CollectionItems.createIndexAsync({ userId: 1, [field]: 1, _id: 1 });
+        console.log(`✓ Created CollectionItems.userId+${field}+_id index`);
+      } catch (error) {
+        console.log(`CollectionItems.userId+${field}+_id index may already exist:`, error.message);
+      }
+    }
+
+    console.log('✓ Migration 16 completed successfully');
+  },
+  down: async function() {
+    console.log('Rolling back migration 16 - removing embedded IGDB ratings, indexes will remain (safe to keep)');
+
+    const rawCollection = CollectionItems.rawCollection();
+    const result = await rawCollection.updateMany(
+      { 'game.rating': { $exists: true } },
+      { $unset: { 'game.rating': '' } }
+    );
+
+    console.log(`✓ Removed game.rating from ${result.modifiedCount} collection items`);
+  }
+});
@@ -0,0 +1,29 @@
+console.log('=== LOADING MIGRATION 17_create_queue_index.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 17,
+  name: 'Create index for the Up Next queue',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 17: Create Up Next queue index ===');
+
+    // Only queued items carry a rank, so the index stays as small as the queues
+    try {
+      await CollectionItems.createIndexAsync(
+        { userId: 1, queueRank: 1, _id: 1 },
+        { partialFilterExpression: { queueRank: { $type: 'string' } } }
+      );
+      console.log('✓ Created CollectionItems.userId+queueRank+_id index');
+    } catch (error) {
+      console.log('CollectionItems.userId+queueRank+_id index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 17 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 17 - index will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,40 @@
+console.log('=== LOADING MIGRATION 18_create_edition_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { Games } from '../../imports/lib/collections/games.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 18,
+  name: 'Create indexes for game editions',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 18: Create game edition indexes ===');
+
+    // Editions of a base game, listed on the item detail view
+    try {
+      await Games.createIndexAsync({ 'versionParent.igdbId': 1 }, { sparse: true });
+      console.log('✓ Created Games.versionParent.igdbId index');
+    } catch (error) {
+      console.log('Games.versionParent.igdbId index may already exist:', error.message);
+    }
+
+    // Editions grouped under their base game in the collection; only editions carry the field
+    try {
+      await CollectionItems.createIndexAsync(
+        { userId: 1, 'game.editionOf': 1 },
+        { partialFilterExpression: { 'game.editionOf': { $type: 'number' } } }
+      );
+      console.log('✓ Created CollectionItems.userId+game.editionOf index');
+    } catch (error) {
+      console.log('CollectionItems.userId+game.editionOf index may already exist:', error.message);
+    }
+
+    // Relationships are filled in as games are refreshed from IGDB (see refreshStaleGames)
+
+    console.log('=== MIGRATION 18 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 18 - indexes will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,30 @@
+console.log('=== LOADING MIGRATION 19_create_series_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { Games } from '../../imports/lib/collections/games.js';
+
+Migrations.add({
+  version: 19,
+  name: 'Create indexes for franchises and series',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 19: Create franchise and series indexes ===');
+
+    // Cached entries of a franchise or series, listed on the series page
+    for (const field of ['franchises', 'series']) {
+      try {
+        await Games.createIndexAsync({ [`${field}.igdbId`]: 1 }, { sparse: true });
+        console.log(`✓ Created Games.${field}.igdbId index`);
+      } catch (error) {
+        console.log(`Games.${field}.igdbId index may already exist:`, error.message);
+      }
+    }
+
+    // Franchises and series are filled in as games are refreshed from IGDB (see refreshStaleGames)
+
+    console.log('=== MIGRATION 19 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 19 - indexes will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,26 @@
+console.log('=== LOADING MIGRATION 20_create_goal_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { Goals } from '../../imports/lib/collections/goals.js';
+
+Migrations.add({
+  version: 20,
+  name: 'Create indexes for yearly goals',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 20: Create goal indexes ===');
+
+    // Goals are always listed per user and year
+    try {
+      await Goals.createIndexAsync({ userId: 1, year: 1 });
+      console.log('✓ Created Goals.userId+year index');
+    } catch (error) {
+      console.log('Goals.userId+year index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 20 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 20 - indexes will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,37 @@
+console.log('=== LOADING MIGRATION 21_create_import_plan_indexes.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { ImportPlans, IMPORT_PLAN_TTL_SECONDS } from '../../imports/lib/collections/importPlans.js';
+
+Migrations.add({
+  version: 21,
+  name: 'Create indexes for import plans',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 21: Create import plan indexes ===');
+
+    // Plans are looked up and replaced per user and import type
+    try {
+      await ImportPlans.createIndexAsync({ userId: 1, progressType: 1 });
+      console.log('✓ Created ImportPlans.userId+progressType index');
+    } catch (error) {
+      console.log('ImportPlans.userId+progressType index may already exist:', error.message);
+    }
+
+    // TTL index removes plans that were never committed
+    try {
+      await ImportPlans.rawCollection().createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: IMPORT_PLAN_TTL_SECONDS, name: 'createdAt_ttl' }
+      );
+      console.log('✓ Created ImportPlans TTL index (expires after 1 day)');
+    } catch (error) {
+      console.log('ImportPlans TTL index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 21 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 21 - indexes will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,32 @@
+console.log('=== LOADING MIGRATION 22_create_match_review_index.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 22,
+  name: 'Create index for the match review queue',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 22: Create match review index ===');
+
+    // Only imported items still waiting for review are indexed
+    try {
+      await CollectionItems.rawCollection().createIndex(
+        { userId: 1, 'igdbMatch.score': 1 },
+        {
+          name: 'userId_matchReview',
+          partialFilterExpression: { 'igdbMatch.needsReview': true }
+        }
+      );
+      console.log('✓ Created CollectionItems match review index');
+    } catch (error) {
+      console.log('CollectionItems match review index may already exist:', error.message);
+    }
+
+    console.log('=== MIGRATION 22 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 22 - index will remain (safe to keep)');
+  }
+});
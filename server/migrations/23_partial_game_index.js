@@ -0,0 +1,43 @@
+console.log('=== LOADING MIGRATION 23_partial_game_index.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+
+Migrations.add({
+  version: 23,
+  name: 'Only keep one item per game for items that have a game',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 23: Partial userId+gameId index ===');
+
+    // The sparse index from migration 1 still indexes items without a game, since userId is
+    // set, so a second unmatched import or restored item failed as a duplicate of the first
+    const rawCollection = CollectionItems.rawCollection();
+
+    try {
+      await rawCollection.dropIndex('userId_1_gameId_1');
+      console.log('✓ Dropped sparse CollectionItems.userId+gameId index');
+    } catch (error) {
+      console.log('userId_1_gameId_1 index may not exist:', error.message);
+    }
+
+    try {
+      await rawCollection.createIndex(
+        { userId: 1, gameId: 1 },
+        {
+          name: 'userId_1_gameId_1',
+          unique: true,
+          partialFilterExpression: { gameId: { $type: 'string' } }
+        }
+      );
+      console.log('✓ Created partial CollectionItems.userId+gameId index');
+    } catch (error) {
+      console.log('Error creating CollectionItems.userId+gameId index:', error.message);
+    }
+
+    console.log('=== MIGRATION 23 COMPLETE ===');
+  },
+
+  down: async function() {
+    console.log('Rolling back migration 23 - index will remain (safe to keep)');
+  }
+});
@@ -0,0 +1,76 @@
+console.log('=== LOADING MIGRATION 24_split_legacy_imported_hours.js ===');
+
+import { Migrations } from 'meteor/quave:migrations';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+import { legacyPlaytimeFields } from '../lib/playSessions.js';
+
+const BATCH_SIZE = 500;
+
+Migrations.add({
+  version: 24,
+  name: 'Split hours written by earlier store imports from hours entered by hand',
+  up: async function() {
+    console.log('=== RUNNING MIGRATION 24: Split legacy imported hours ===');
+
+    let processed = 0;
+    let converted = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      // Items with hours saved before the baseline existed; each one gets a baseline below
+      const items = await CollectionItems.find(
+        { hoursBaseline: { $exists: false }, hoursPlayed: { $type: 'number' } },
+        {
+          fields: { _id: 1, hoursPlayed: 1, playSessions: 1, importedHours: 1 },
+          limit: BATCH_SIZE
+        }
+      ).fetchAsync();
+
+      if (items.length === 0) {
+        hasMore = false;
+        break;
+      }
+
+      // Latest change to each item's hours, newest entries first
+      const entries = await ItemHistory.find(
+        { itemId: { $in: items.map(item => item._id) }, 'changes.field': 'hoursPlayed' },
+        { fields: { itemId: 1, source: 1, changes: 1 }, sort: { createdAt: -1 } }
+      ).fetchAsync();
+      const lastEntries = new Map();
+      for (const entry of entries) {
+        if (!lastEntries.has(entry.itemId)) {
+          lastEntries.set(entry.itemId, entry);
+        }
+      }
+
+      const bulkOps = items.map(item => {
+        const fields = legacyPlaytimeFields(item, lastEntries.get(item._id) || null);
+        if (fields.hoursBaseline === null) {
+          converted++;
+        }
+        return {
+          updateOne: {
+            filter: { _id: item._id },
+            update: { $set: fields }
+          }
+        };
+      });
+
+      const rawCollection = CollectionItems.rawCollection();
+      await rawCollection.bulkWrite(bulkOps, { ordered: false });
+
+      processed += items.length;
+      console.log(`Progress: ${processed} items processed, ${converted} converted`);
+    }
+
+    console.log(`✓ Migration complete: ${converted} items had their hours moved to an import`);
+    console.log('✓ Migration 24 completed successfully');
+  },
+  down: async function() {
+    console.log('Rolling back migration 24 - nothing to undo');
+
+    // hoursPlayed is unchanged, and a baseline equal to it is what items without one already meant
+    console.log('✓ Migration 24 rollback complete');
+  }
+});
@@ -3,6 +3,9 @@ import { check, Match } from 'meteor/check';
 import { Games } from '../imports/lib/collections/games.js';
 import { CollectionItems } from '../imports/lib/collections/collectionItems.js';
 import { Storefronts } from '../imports/lib/collections/storefronts.js';
+import { Tags } from '../imports/lib/collections/tags.js';
+import { SavedViews } from '../imports/lib/collections/savedViews.js';
+import { NOT_TRASHED } from './lib/trash.js';
 
 // Publish games by IDs (for collection display)
 Meteor.publish('gamesByIds', function(gameIds) {
@@ -45,6 +48,7 @@ Meteor.publish('gamesByIds', function(gameIds) {
         publisher: 1,
         coverImageId: 1,
         igdbCoverUrl: 1,
+        timeToBeat: 1,
         localCoverId: 1,
         localCoverUrl: 1,
         rating: 1
@@ -86,6 +90,7 @@ Meteor.publish('game', function(gameId) {
         publisher: 1,
         coverImageId: 1,
         igdbCoverUrl: 1,
+        timeToBeat: 1,
         localCoverId: 1,
         localCoverUrl: 1,
         rating: 1
@@ -145,6 +150,7 @@ Meteor.publish('gamesSearch', function(query = '', options = {}) {
       genres: 1,
       coverImageId: 1,
       igdbCoverUrl: 1,
+      timeToBeat: 1,
       localCoverId: 1,
       localCoverUrl: 1,
       developer: 1
@@ -203,6 +209,7 @@ Meteor.publish('gamesBrowse', function(options = {}) {
       genres: 1,
       coverImageId: 1,
       igdbCoverUrl: 1,
+      timeToBeat: 1,
       localCoverId: 1,
       localCoverUrl: 1,
       developer: 1
@@ -229,33 +236,105 @@ Meteor.publish('userData', function() {
         username: 1,
         emails: 1,
         subscriptions: 1,
+        preferences: 1,
         'services.sso.hubUserId': 1
       } 
     }
   );
 });
 
-// Publish distinct platforms from user's collection (for filters)
+// Publish distinct platforms, storefronts and genres from user's collection (for filters)
 Meteor.publish('collectionPlatforms', async function() {
   if (!this.userId) {
     this.ready();
     return;
   }
 
-  const pipeline = [
-    { $match: { userId: this.userId } },
-    { $unwind: '$platforms' },
-    { $group: { _id: '$platforms' } },
+  const distinctValues = (path) => [
+    { $unwind: `$${path}` },
+    { $group: { _id: `$${path}` } },
     { $sort: { _id: 1 } }
   ];
 
+  const pipeline = [
+    { $match: { userId: this.userId, ...NOT_TRASHED } },
+    {
+      $facet: {
+        platforms: distinctValues('platforms'),
+        storefronts: distinctValues('storefronts'),
+        genres: distinctValues('game.genres')
+      }
+    }
+  ];
+
+  const results = await CollectionItems.rawCollection().aggregate(pipeline).toArray();
+  const facets = results[0] || {};
+  const values = (facet) => (facets[facet] || []).map(result => result._id).filter(Boolean);
+
+  this.added('userPlatforms', this.userId, {
+    platforms: values('platforms'),
+    storefronts: values('storefronts'),
+    genres: values('genres')
+  });
+  this.ready();
+});
+
+// Publish the user's tag vocabulary with per-tag item counts (for filters and tag management)
+Meteor.publish('collectionTags', async function() {
+  if (!this.userId) {
+    this.ready();
+    return;
+  }
+
+  const tagDocs = await Tags.find(
+    { userId: this.userId },
+    { fields: { _id: 1, name: 1 }, sort: { normalizedName: 1 } }
+  ).fetchAsync();
+
+  const pipeline = [
+    { $match: { userId: this.userId, tags: { $exists: true, $ne: [] }, ...NOT_TRASHED } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ];
+
   const results = await CollectionItems.rawCollection().aggregate(pipeline).toArray();
-  const platforms = results.map(result => result._id).filter(Boolean);
+  const countMap = new Map(results.map(result => [result._id, result.count]));
+
+  const tags = tagDocs.map(tag => ({
+    _id: tag._id,
+    name: tag.name,
+    count: countMap.get(tag.name) || 0
+  }));
 
-  this.added('userPlatforms', this.userId, { platforms });
+  this.added('userTags', this.userId, { tags });
   this.ready();
 });
 
+// Publish the user's saved collection views (for the view tabs)
+Meteor.publish('savedViews', function() {
+  if (!this.userId) {
+    this.ready();
+    return;
+  }
+
+  return SavedViews.find(
+    { userId: this.userId },
+    {
+      sort: { order: 1 },
+      fields: {
+        _id: 1,
+        userId: 1,
+        name: 1,
+        filters: 1,
+        viewMode: 1,
+        bookshelfTheme: 1,
+        order: 1,
+        isDefault: 1
+      }
+    }
+  );
+});
+
 // Publish all active storefronts
 Meteor.publish('storefronts', function() {
   return Storefronts.find(
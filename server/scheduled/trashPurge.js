@@ -0,0 +1,44 @@
+import { Meteor } from 'meteor/meteor';
+import { purgeExpiredTrash, getTrashRetentionDays } from '../lib/trash.js';
+
+// Permanently delete trashed collection items past the retention period
+// This runs every 24 hours
+
+let purgeInterval = null;
+
+async function runTrashPurge() {
+  try {
+    const purged = await purgeExpiredTrash();
+    console.log(`Trash purge complete: ${purged} items older than ${getTrashRetentionDays()} days deleted`);
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+  }
+}
+
+function startTrashPurgeJob() {
+  // Run once shortly after startup
+  Meteor.setTimeout(runTrashPurge, 30000);
+
+  const TWENTY_FOUR_HOURS = 24 * 60 * 60 * 1000;
+  purgeInterval = Meteor.setInterval(runTrashPurge, TWENTY_FOUR_HOURS);
+}
+
+function stopTrashPurgeJob() {
+  if (purgeInterval) {
+    Meteor.clearInterval(purgeInterval);
+    purgeInterval = null;
+  }
+}
+
+// Start the job on server startup (only on scheduler instance for multi-instance deployments)
+Meteor.startup(() => {
+  const isSchedulerInstance = Meteor.settings.private?.isSchedulerInstance !== false;
+  if (isSchedulerInstance) {
+    console.log('Starting trash purge scheduler (scheduler instance)...');
+    startTrashPurgeJob();
+  } else {
+    console.log('Trash purge scheduler disabled (not a scheduler instance)');
+  }
+});
+
+export { startTrashPurgeJob, stopTrashPurgeJob };
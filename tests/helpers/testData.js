@@ -1,6 +1,11 @@
 import { Random } from 'meteor/random';
 import { Games } from '../../imports/lib/collections/games.js';
 import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Tags } from '../../imports/lib/collections/tags.js';
+import { SavedViews } from '../../imports/lib/collections/savedViews.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+import { Goals } from '../../imports/lib/collections/goals.js';
+import { ImportPlans } from '../../imports/lib/collections/importPlans.js';
 import { buildEmbeddedGame } from '../../server/lib/gameHelpers.js';
 
 /**
@@ -69,4 +74,9 @@ export async function createTestCollectionItem(userId, gameId, overrides = {}) {
 export async function cleanupUser(userId) {
   await CollectionItems.removeAsync({ userId });
   await Games.removeAsync({ ownerId: userId });
+  await Tags.removeAsync({ userId });
+  await SavedViews.removeAsync({ userId });
+  await ItemHistory.removeAsync({ userId });
+  await Goals.removeAsync({ userId });
+  await ImportPlans.removeAsync({ userId });
 }
@@ -0,0 +1,185 @@
+import assert from 'assert';
+import { EJSON } from 'meteor/ejson';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { Tags } from '../../imports/lib/collections/tags.js';
+import { Goals } from '../../imports/lib/collections/goals.js';
+import { SavedViews } from '../../imports/lib/collections/savedViews.js';
+import { BACKUP_FORMAT, BACKUP_VERSION } from '../../server/lib/backup.js';
+
+describe('Backup Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let game;
+  let secondGame;
+  const currentYear = new Date().getUTCFullYear();
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    game = await createTestGame();
+    secondGame = await createTestGame();
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: [game._id, secondGame._id] } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  async function createBackup() {
+    const customGameId = await Games.insertAsync({
+      title: 'My Homebrew',
+      igdbId: null,
+      ownerId: userId,
+      platforms: ['PC'],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    await createTestCollectionItem(userId, game._id, {
+      status: 'completed',
+      dateCompleted: new Date('2025-02-01T00:00:00Z'),
+      tags: ['Co-op'],
+      playSessions: [{ _id: 'session1', date: new Date('2025-01-20T00:00:00Z'), minutes: 120, createdAt: new Date() }]
+    });
+    await createTestCollectionItem(userId, secondGame._id);
+    await createTestCollectionItem(userId, customGameId);
+    await Tags.insertAsync({ userId, name: 'Co-op', normalizedName: 'co-op', createdAt: new Date() });
+    await callAsUser(userId, 'goals.create', { year: currentYear, type: 'complete-games', target: 12 });
+
+    return callAsUser(userId, 'export.backup');
+  }
+
+  describe('export.backup', function () {
+    it('exports every item, custom game, tag and goal without owner fields', async function () {
+      const backup = EJSON.parse(await createBackup());
+
+      assert.strictEqual(backup.format, BACKUP_FORMAT);
+      assert.strictEqual(backup.version, BACKUP_VERSION);
+      assert.strictEqual(backup.items.length, 3);
+      assert.strictEqual(backup.customGames.length, 1);
+      assert.strictEqual(backup.tags.length, 1);
+      assert.strictEqual(backup.goals.length, 1);
+      assert.ok(backup.items.every(item => item.userId === undefined));
+      assert.ok(backup.customGames[0].ownerId === undefined);
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'export.backup');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('import.restoreBackup', function () {
+    it('replaces an account with the backup', async function () {
+      const content = await createBackup();
+      await createTestCollectionItem(otherUserId, secondGame._id);
+
+      const report = await callAsUser(otherUserId, 'import.restoreBackup', content, { mode: 'replace' });
+
+      assert.strictEqual(report.removed.items, 1);
+      assert.strictEqual(report.added.items, 3);
+      assert.strictEqual(report.added.customGames, 1);
+      assert.strictEqual(report.added.tags, 1);
+      assert.strictEqual(report.added.goals, 1);
+
+      const items = await CollectionItems.find({ userId: otherUserId }).fetchAsync();
+      assert.strictEqual(items.length, 3);
+      const completed = items.find(item => item.gameId === game._id);
+      assert.strictEqual(completed.status, 'completed');
+      assert.ok(completed.playSessions[0].date instanceof Date);
+
+      const customGame = await Games.findOneAsync({ ownerId: otherUserId });
+      assert.strictEqual(customGame.title, 'My Homebrew');
+      assert.ok(items.some(item => item.gameId === customGame._id));
+    });
+
+    it('merges without touching games already in the collection', async function () {
+      const content = await createBackup();
+      const existingId = await createTestCollectionItem(otherUserId, game._id, { status: 'playing' });
+      await callAsUser(otherUserId, 'goals.create', { year: currentYear, type: 'complete-games', target: 5 });
+
+      const report = await callAsUser(otherUserId, 'import.restoreBackup', content, { mode: 'merge' });
+
+      assert.strictEqual(report.added.items, 2);
+      assert.strictEqual(report.skipped.items, 1);
+      assert.deepStrictEqual(report.skippedTitles, [game.title]);
+      assert.strictEqual(report.skipped.goals, 1);
+
+      const existing = await CollectionItems.findOneAsync(existingId);
+      assert.strictEqual(existing.status, 'playing');
+      assert.strictEqual(await CollectionItems.find({ userId: otherUserId }).countAsync(), 3);
+      assert.strictEqual(await Goals.find({ userId: otherUserId }).countAsync(), 1);
+    });
+
+    it('keeps the saved details of games this server does not know', async function () {
+      const content = EJSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        items: [
+          { _id: 'item1', igdbId: 990001, status: 'backlog', game: { title: 'Unknown One' } },
+          { _id: 'item2', igdbId: 990002, status: 'playing', game: { title: 'Unknown Two' } }
+        ]
+      });
+
+      const report = await callAsUser(otherUserId, 'import.restoreBackup', content, { mode: 'replace' });
+
+      assert.strictEqual(report.added.items, 2);
+      assert.deepStrictEqual(report.unmatchedTitles.sort(), ['Unknown One', 'Unknown Two']);
+
+      const items = await CollectionItems.find({ userId: otherUserId }, { sort: { igdbId: 1 } }).fetchAsync();
+      assert.deepStrictEqual(items.map(item => item.game.title), ['Unknown One', 'Unknown Two']);
+      assert.ok(items.every(item => item.gameId === null));
+    });
+
+    it('rejects backups from a newer version and leaves the account alone', async function () {
+      await createTestCollectionItem(otherUserId, game._id);
+      const content = EJSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, items: [] });
+
+      try {
+        await callAsUser(otherUserId, 'import.restoreBackup', content, { mode: 'replace' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'unsupported-backup-version');
+      }
+
+      assert.strictEqual(await CollectionItems.find({ userId: otherUserId }).countAsync(), 1);
+    });
+
+    it('rejects a backup with a malformed record and leaves the account alone', async function () {
+      const backup = EJSON.parse(await createBackup());
+      backup.items[1].playSessions = [{ _id: 'session2', date: 'last week', minutes: 60 }];
+      await createTestCollectionItem(otherUserId, game._id);
+
+      try {
+        await callAsUser(otherUserId, 'import.restoreBackup', EJSON.stringify(backup), { mode: 'replace' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-backup');
+        assert.match(error.reason, /^Item 2 /);
+      }
+
+      assert.strictEqual(await CollectionItems.find({ userId: otherUserId }).countAsync(), 1);
+    });
+
+    it('restores saved views through the saved view rules', async function () {
+      await callAsUser(userId, 'savedViews.create', { name: '  Backlog ', viewMode: 'pages', filters: { status: 'backlog' } });
+      const content = await createBackup();
+
+      await callAsUser(otherUserId, 'import.restoreBackup', content, { mode: 'replace' });
+
+      const views = await SavedViews.find({ userId: otherUserId }).fetchAsync();
+      assert.strictEqual(views.length, 1);
+      assert.strictEqual(views[0].name, 'Backlog');
+      assert.deepStrictEqual(views[0].filters.status, ['backlog']);
+    });
+  });
+});
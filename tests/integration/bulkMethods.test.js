@@ -0,0 +1,218 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems, MAX_BULK_ITEMS } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { Tags } from '../../imports/lib/collections/tags.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+
+describe('Bulk Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let gameA;
+  let gameB;
+  let itemA;
+  let itemB;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    gameA = await createTestGame();
+    gameB = await createTestGame();
+    itemA = await createTestCollectionItem(userId, gameA._id, { platforms: ['PC', 'Switch'] });
+    itemB = await createTestCollectionItem(userId, gameB._id, { status: 'playing' });
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: [gameA._id, gameB._id] } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('collection.bulkUpdate', function () {
+    it('sets status on every selected item', async function () {
+      const updated = await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'setStatus', value: 'completed' });
+      assert.strictEqual(updated, 2);
+
+      const items = await CollectionItems.find({ userId }).fetchAsync();
+      items.forEach(item => {
+        assert.strictEqual(item.status, 'completed');
+        assert.ok(item.dateCompleted instanceof Date);
+      });
+    });
+
+    it('records the change in each item\'s history', async function () {
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'setStatus', value: 'completed' });
+
+      const entries = await ItemHistory.find({ userId, type: 'updated' }).fetchAsync();
+      assert.deepStrictEqual(entries.map(entry => entry.itemId).sort(), [itemA, itemB].sort());
+      entries.forEach(entry => {
+        const change = entry.changes.find(({ field }) => field === 'status');
+        assert.strictEqual(change.to, 'completed');
+      });
+    });
+
+    it('keeps an existing completion date when setting completed', async function () {
+      const completedAt = new Date('2020-01-01');
+      await CollectionItems.updateAsync(itemA, { $set: { dateCompleted: completedAt } });
+
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA] }, { action: 'setStatus', value: 'completed' });
+
+      const item = await CollectionItems.findOneAsync(itemA);
+      assert.strictEqual(item.dateCompleted.getTime(), completedAt.getTime());
+    });
+
+    it('adds and removes platforms and storefronts', async function () {
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'addPlatform', value: 'Switch' });
+      let itemBDoc = await CollectionItems.findOneAsync(itemB);
+      assert.deepStrictEqual(itemBDoc.platforms, ['PC', 'Switch']);
+
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'removePlatform', value: 'PC' });
+      itemBDoc = await CollectionItems.findOneAsync(itemB);
+      assert.deepStrictEqual(itemBDoc.platforms, ['Switch']);
+
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA] }, { action: 'addStorefront', value: 'gog' });
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA] }, { action: 'removeStorefront', value: 'steam' });
+      const itemADoc = await CollectionItems.findOneAsync(itemA);
+      assert.deepStrictEqual(itemADoc.storefronts, ['gog']);
+    });
+
+    it('rejects removing the only platform without changing any item', async function () {
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds: [itemA, itemB] }, { action: 'removePlatform', value: 'PC' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'last-platform');
+      }
+
+      const itemADoc = await CollectionItems.findOneAsync(itemA);
+      assert.deepStrictEqual(itemADoc.platforms, ['PC', 'Switch']);
+    });
+
+    it('rejects unknown storefronts', async function () {
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds: [itemA] }, { action: 'addStorefront', value: 'not-a-store' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-storefront');
+      }
+    });
+
+    it('sets favorite and physical', async function () {
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'setFavorite', value: true });
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'setPhysical', value: true });
+
+      const items = await CollectionItems.find({ userId }).fetchAsync();
+      items.forEach(item => {
+        assert.strictEqual(item.favorite, true);
+        assert.strictEqual(item.physical, true);
+      });
+    });
+
+    it('adds a tag and creates it in the vocabulary', async function () {
+      await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'addTag', value: 'Co-op' });
+
+      const items = await CollectionItems.find({ userId }).fetchAsync();
+      items.forEach(item => assert.deepStrictEqual(item.tags, ['Co-op']));
+
+      const tagCount = await Tags.find({ userId }).countAsync();
+      assert.strictEqual(tagCount, 1);
+    });
+
+    it('moves selected items to the trash', async function () {
+      const updated = await callAsUser(userId, 'collection.bulkUpdate',
+        { itemIds: [itemA, itemB] }, { action: 'delete', value: null });
+      assert.strictEqual(updated, 2);
+
+      const items = await CollectionItems.find({ userId }).fetchAsync();
+      assert.strictEqual(items.length, 2);
+      items.forEach(item => assert.ok(item.deletedAt instanceof Date));
+    });
+
+    it('applies to every item matching a filter', async function () {
+      const updated = await callAsUser(userId, 'collection.bulkUpdate',
+        { filters: { status: 'playing' } }, { action: 'setFavorite', value: true });
+      assert.strictEqual(updated, 1);
+
+      const itemADoc = await CollectionItems.findOneAsync(itemA);
+      const itemBDoc = await CollectionItems.findOneAsync(itemB);
+      assert.strictEqual(itemADoc.favorite, false);
+      assert.strictEqual(itemBDoc.favorite, true);
+    });
+
+    it("rejects a selection containing another user's item", async function () {
+      const otherItem = await createTestCollectionItem(otherUserId, gameA._id);
+
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds: [itemA, otherItem] }, { action: 'setStatus', value: 'abandoned' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+
+      const itemADoc = await CollectionItems.findOneAsync(itemA);
+      const otherDoc = await CollectionItems.findOneAsync(otherItem);
+      assert.strictEqual(itemADoc.status, 'backlog');
+      assert.strictEqual(otherDoc.status, 'backlog');
+    });
+
+    it('rejects trashed items', async function () {
+      await CollectionItems.updateAsync(itemB, { $set: { deletedAt: new Date() } });
+
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds: [itemA, itemB] }, { action: 'setFavorite', value: true });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'item-not-found');
+      }
+    });
+
+    it('rejects selections over the item cap', async function () {
+      const itemIds = Array.from({ length: MAX_BULK_ITEMS + 1 }, (value, index) => `missing-${index}`);
+
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds }, { action: 'setFavorite', value: true });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'too-many-items');
+      }
+    });
+
+    it('rejects unknown actions', async function () {
+      try {
+        await callAsUser(userId, 'collection.bulkUpdate',
+          { itemIds: [itemA] }, { action: 'setRating', value: '5' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-action');
+      }
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'collection.bulkUpdate',
+          { itemIds: [itemA] }, { action: 'setFavorite', value: true });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+});
@@ -1,8 +1,10 @@
 import assert from 'assert';
+import { Meteor } from 'meteor/meteor';
 import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
 import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
 import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
 import { Games } from '../../imports/lib/collections/games.js';
+import { purgeExpiredTrash, getTrashRetentionDays } from '../../server/lib/trash.js';
 
 describe('Collection Methods (Integration)', function () {
   let userId;
@@ -105,6 +107,25 @@ describe('Collection Methods (Integration)', function () {
       }
     });
 
+    it('stores half-star and 100-point ratings', async function () {
+      await callAsUser(userId, 'collection.updateItem', itemId, { rating: 3.5 });
+      let item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.rating, 3.5);
+
+      await callAsUser(userId, 'collection.updateItem', itemId, { rating: 87 * 5 / 100 });
+      item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.rating, 4.35);
+    });
+
+    it('rejects ratings finer than one point out of 100', async function () {
+      try {
+        await callAsUser(userId, 'collection.updateItem', itemId, { rating: 3.33 });
+        assert.fail('Should have thrown invalid rating error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-rating');
+      }
+    });
+
     it('auto-sets dateCompleted when status changes to completed', async function () {
       await callAsUser(userId, 'collection.updateItem', itemId, { status: 'completed' });
       const item = await CollectionItems.findOneAsync(itemId);
@@ -161,11 +182,14 @@ describe('Collection Methods (Integration)', function () {
   });
 
   describe('collection.removeItem', function () {
-    it('removes item from collection', async function () {
+    it('moves item to the trash', async function () {
       const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
       await callAsUser(userId, 'collection.removeItem', itemId);
       const item = await CollectionItems.findOneAsync(itemId);
-      assert.strictEqual(item, undefined);
+      assert.ok(item.deletedAt instanceof Date);
+
+      const count = await callAsUser(userId, 'collection.getCount');
+      assert.strictEqual(count, 0);
     });
 
     it('rejects removal of nonexistent item', async function () {
@@ -190,17 +214,121 @@ describe('Collection Methods (Integration)', function () {
       }
     });
 
-    it('cascade deletes custom game when removing last collection item', async function () {
+    it('keeps custom game until the item is deleted forever', async function () {
       const customGame = await createTestGame({ ownerId: userId });
       const itemId = await callAsUser(userId, 'collection.addItem', customGame._id, 'PC', 'backlog');
 
       await callAsUser(userId, 'collection.removeItem', itemId);
+      assert.ok(await Games.findOneAsync(customGame._id));
+
+      await callAsUser(userId, 'collection.deleteForever', itemId);
 
       const deletedGame = await Games.findOneAsync(customGame._id);
       assert.strictEqual(deletedGame, undefined);
     });
   });
 
+  describe('collection trash', function () {
+    it('restores a trashed item', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      await callAsUser(userId, 'collection.removeItem', itemId);
+
+      await callAsUser(userId, 'collection.restoreItem', itemId);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.deletedAt, undefined);
+      const count = await callAsUser(userId, 'collection.getCount');
+      assert.strictEqual(count, 1);
+    });
+
+    it('lists trashed items with the retention period', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      await callAsUser(userId, 'collection.removeItem', itemId);
+
+      const trash = await callAsUser(userId, 'collection.getTrash');
+      assert.deepStrictEqual(trash.items.map(item => item._id), [itemId]);
+      assert.ok(trash.retentionDays > 0);
+    });
+
+    it('excludes trashed items from stats', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      await callAsUser(userId, 'collection.removeItem', itemId);
+
+      const stats = await callAsUser(userId, 'collection.getStats');
+      assert.strictEqual(stats.total, 0);
+    });
+
+    it('rejects deleting forever an item not in the trash', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      try {
+        await callAsUser(userId, 'collection.deleteForever', itemId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'item-not-in-trash');
+      }
+    });
+
+    it('restores the trashed item when the game is added again', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      await CollectionItems.updateAsync(itemId, { $set: { rating: 4 } });
+      await callAsUser(userId, 'collection.removeItem', itemId);
+
+      const restoredId = await callAsUser(userId, 'collection.addItem', game._id, 'PS5', 'playing');
+
+      assert.strictEqual(restoredId, itemId);
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.deletedAt, undefined);
+      assert.strictEqual(item.rating, 4);
+      assert.strictEqual(item.status, 'playing');
+      assert.deepStrictEqual(item.platforms, ['PC', 'PS5']);
+    });
+
+    it('rejects changes to a trashed item', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      await callAsUser(userId, 'collection.removeItem', itemId);
+
+      const calls = [
+        ['collection.updateItem', itemId, { status: 'playing' }],
+        ['collection.toggleFavorite', itemId],
+        ['collection.setStatus', itemId, 'completed'],
+        ['collection.addPlaythrough', itemId, {}],
+        ['collection.addCopy', itemId, { platform: 'PS5' }],
+        ['collection.setTags', itemId, ['RPG']]
+      ];
+
+      for (const [method, ...args] of calls) {
+        try {
+          await callAsUser(userId, method, ...args);
+          assert.fail(`${method} should have thrown`);
+        } catch (error) {
+          assert.strictEqual(error.error, 'item-not-found', method);
+        }
+      }
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'backlog');
+      assert.strictEqual(item.favorite, false);
+      assert.deepStrictEqual(item.platforms, ['PC']);
+      assert.deepStrictEqual(item.playthroughs, []);
+      assert.deepStrictEqual(item.tags, []);
+    });
+
+    it('purges items trashed before the retention period', async function () {
+      const oldItemId = await createTestCollectionItem(userId, game._id, {
+        deletedAt: new Date(Date.now() - (getTrashRetentionDays() + 1) * 24 * 60 * 60 * 1000)
+      });
+      const game2 = await createTestGame();
+      const recentItemId = await createTestCollectionItem(userId, game2._id, { deletedAt: new Date() });
+
+      await purgeExpiredTrash();
+
+      assert.strictEqual(await CollectionItems.findOneAsync(oldItemId), undefined);
+      assert.ok(await CollectionItems.findOneAsync(recentItemId));
+
+      await Games.removeAsync(game2._id);
+    });
+  });
+
   describe('collection.toggleFavorite', function () {
     it('toggles favorite on', async function () {
       const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
@@ -250,6 +378,199 @@ describe('Collection Methods (Integration)', function () {
     });
   });
 
+  describe('collection playthroughs', function () {
+    let itemId;
+
+    beforeEach(async function () {
+      itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+    });
+
+    it('starts new items with an empty playthrough list', async function () {
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.deepStrictEqual(item.playthroughs, []);
+    });
+
+    it('adds a playthrough', async function () {
+      const playthroughId = await callAsUser(userId, 'collection.addPlaythrough', itemId, {
+        dateStarted: new Date('2024-01-01'),
+        platform: 'PC',
+        difficulty: 'Hard'
+      });
+      assert.ok(playthroughId);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.playthroughs.length, 1);
+      assert.strictEqual(item.playthroughs[0]._id, playthroughId);
+      assert.strictEqual(item.playthroughs[0].difficulty, 'Hard');
+      assert.strictEqual(item.playthroughs[0].outcome, null);
+    });
+
+    it('updates a playthrough', async function () {
+      const playthroughId = await callAsUser(userId, 'collection.addPlaythrough', itemId, {
+        dateStarted: new Date('2024-01-01')
+      });
+      await callAsUser(userId, 'collection.updatePlaythrough', itemId, playthroughId, {
+        dateCompleted: new Date('2024-03-01'),
+        outcome: 'completed',
+        hoursPlayed: 42
+      });
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.playthroughs[0].outcome, 'completed');
+      assert.strictEqual(item.playthroughs[0].hoursPlayed, 42);
+      assert.strictEqual(item.playthroughs[0].dateStarted.getTime(), new Date('2024-01-01').getTime());
+    });
+
+    it('rejects an update that ends before the existing start date', async function () {
+      const playthroughId = await callAsUser(userId, 'collection.addPlaythrough', itemId, {
+        dateStarted: new Date('2024-05-01')
+      });
+      try {
+        await callAsUser(userId, 'collection.updatePlaythrough', itemId, playthroughId, {
+          dateCompleted: new Date('2024-01-01')
+        });
+        assert.fail('Should have thrown invalid dates error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-dates');
+      }
+    });
+
+    it('removes a playthrough', async function () {
+      const playthroughId = await callAsUser(userId, 'collection.addPlaythrough', itemId, {});
+      await callAsUser(userId, 'collection.removePlaythrough', itemId, playthroughId);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.playthroughs.length, 0);
+    });
+
+    it('rejects unknown playthrough id', async function () {
+      try {
+        await callAsUser(userId, 'collection.removePlaythrough', itemId, 'missing');
+        assert.fail('Should have thrown playthrough not found error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'playthrough-not-found');
+      }
+    });
+
+    it('rejects playthrough changes from other user', async function () {
+      const otherUserId = await createTestUser();
+      try {
+        await callAsUser(otherUserId, 'collection.addPlaythrough', itemId, {});
+        assert.fail('Should have thrown not-authorized error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      } finally {
+        await removeTestUser(otherUserId);
+      }
+    });
+
+    it('counts replays in stats', async function () {
+      await callAsUser(userId, 'collection.addPlaythrough', itemId, { outcome: 'completed' });
+      await callAsUser(userId, 'collection.addPlaythrough', itemId, { outcome: 'completed' });
+      await callAsUser(userId, 'collection.addPlaythrough', itemId, { outcome: 'abandoned' });
+
+      const stats = await callAsUser(userId, 'collection.getStats');
+      assert.strictEqual(stats.totalPlaythroughs, 3);
+      assert.strictEqual(stats.replays, 1);
+      assert.strictEqual(stats.replayedGames, 1);
+    });
+  });
+
+  describe('collection owned copies', function () {
+    let itemId;
+
+    beforeEach(async function () {
+      itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog', { storefronts: ['steam'] });
+    });
+
+    it('starts new items with a copy for their platform and storefront', async function () {
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.ownedCopies.length, 1);
+      assert.strictEqual(item.ownedCopies[0].platform, 'PC');
+      assert.strictEqual(item.ownedCopies[0].storefront, 'steam');
+    });
+
+    it('adds a copy and updates the flat lists', async function () {
+      const copyId = await callAsUser(userId, 'collection.addCopy', itemId, {
+        platform: 'Switch',
+        storefront: 'nintendo',
+        format: 'physical',
+        edition: 'Collector\'s Edition',
+        purchaseDate: new Date('2024-02-01'),
+        price: 59.99,
+        currency: 'usd'
+      });
+      assert.ok(copyId);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.ownedCopies.length, 2);
+      assert.strictEqual(item.ownedCopies[1].currency, 'USD');
+      assert.deepStrictEqual(item.platforms, ['PC', 'Switch']);
+      assert.deepStrictEqual(item.storefronts, ['steam', 'nintendo']);
+    });
+
+    it('updates a copy', async function () {
+      const item = await CollectionItems.findOneAsync(itemId);
+      await callAsUser(userId, 'collection.updateCopy', itemId, item.ownedCopies[0]._id, {
+        price: 19.99,
+        currency: 'EUR'
+      });
+
+      const updated = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(updated.ownedCopies[0].price, 19.99);
+      assert.strictEqual(updated.ownedCopies[0].storefront, 'steam');
+    });
+
+    it('rejects a price without a currency', async function () {
+      try {
+        await callAsUser(userId, 'collection.addCopy', itemId, { platform: 'PC', price: 10 });
+        assert.fail('Should have thrown invalid currency error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-currency');
+      }
+    });
+
+    it('removes a copy', async function () {
+      const copyId = await callAsUser(userId, 'collection.addCopy', itemId, { platform: 'PS5' });
+      await callAsUser(userId, 'collection.removeCopy', itemId, copyId);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.ownedCopies.length, 1);
+      assert.deepStrictEqual(item.platforms, ['PC']);
+    });
+
+    it('keeps at least one copy with a platform', async function () {
+      const item = await CollectionItems.findOneAsync(itemId);
+      try {
+        await callAsUser(userId, 'collection.removeCopy', itemId, item.ownedCopies[0]._id);
+        assert.fail('Should have thrown last platform error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'last-platform');
+      }
+    });
+
+    it('keeps copies in step with edited flat lists', async function () {
+      await callAsUser(userId, 'collection.updateItem', itemId, { platforms: ['PC'], storefronts: ['steam', 'gog'] });
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.deepStrictEqual(
+        item.ownedCopies.map(copy => [copy.platform, copy.storefront]),
+        [['PC', 'steam'], ['PC', 'gog']]
+      );
+    });
+
+    it('builds copies for items saved without them', async function () {
+      const legacyId = await createTestCollectionItem(userId, null, { platforms: ['PC'], storefronts: ['gog'] });
+      await callAsUser(userId, 'collection.addCopy', legacyId, { platform: 'PC', storefront: 'steam' });
+
+      const item = await CollectionItems.findOneAsync(legacyId);
+      assert.deepStrictEqual(
+        item.ownedCopies.map(copy => [copy.platform, copy.storefront]),
+        [['PC', 'gog'], ['PC', 'steam']]
+      );
+    });
+  });
+
   describe('collection.getStats', function () {
     it('returns empty stats for user with no items', async function () {
       const stats = await callAsUser(userId, 'collection.getStats');
@@ -280,6 +601,274 @@ describe('Collection Methods (Integration)', function () {
       await Games.removeAsync(game2._id);
       await Games.removeAsync(game3._id);
     });
+
+    it('reports the average rating on the user\'s rating scale', async function () {
+      const game2 = await createTestGame();
+      const item1Id = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'completed');
+      const item2Id = await callAsUser(userId, 'collection.addItem', game2._id, 'PC', 'completed');
+      await callAsUser(userId, 'collection.updateItem', item1Id, { rating: 4 });
+      await callAsUser(userId, 'collection.updateItem', item2Id, { rating: 3 });
+
+      let stats = await callAsUser(userId, 'collection.getStats');
+      assert.strictEqual(stats.ratingScale, 'stars');
+      assert.strictEqual(stats.averageRating, 3.5);
+
+      await callAsUser(userId, 'user.setPreferences', { ratingScale: 'hundred-point' });
+      stats = await callAsUser(userId, 'collection.getStats');
+      assert.strictEqual(stats.ratingScale, 'hundred-point');
+      assert.strictEqual(stats.averageRating, 70);
+
+      await Games.removeAsync(game2._id);
+    });
+
+    it('estimates the hours left in the backlog and when it will be cleared', async function () {
+      const extraGames = [
+        await createTestGame({ timeToBeat: { hastily: 8, normally: 12, completely: 30 } }),
+        await createTestGame({ timeToBeat: { hastily: 20, normally: null, completely: null } }),
+        await createTestGame({ timeToBeat: { hastily: 5, normally: 10, completely: 15 } }),
+        await createTestGame()
+      ];
+      await createTestCollectionItem(userId, extraGames[0]._id, { status: 'backlog' });
+      await createTestCollectionItem(userId, extraGames[1]._id, { status: 'playing', hoursPlayed: 5 });
+      await createTestCollectionItem(userId, extraGames[2]._id, {
+        status: 'completed',
+        hoursPlayed: 26,
+        dateCompleted: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      });
+      await createTestCollectionItem(userId, extraGames[3]._id, { status: 'backlog' });
+
+      const { backlogForecast } = await callAsUser(userId, 'collection.getStats');
+
+      // 12 hours for the backlog game and 15 left of the one being played
+      assert.strictEqual(backlogForecast.games, 3);
+      assert.strictEqual(backlogForecast.estimatedGames, 2);
+      assert.strictEqual(backlogForecast.hours, 27);
+      assert.strictEqual(backlogForecast.recentlyCompletedGames, 1);
+      assert.strictEqual(backlogForecast.hoursPerWeek, 1);
+      assert.ok(backlogForecast.forecastDate > new Date());
+
+      const underTen = await callAsUser(userId, 'collection.getCount', { beatMax: 10 });
+      assert.strictEqual(underTen, 1);
+
+      await Games.removeAsync({ _id: { $in: extraGames.map(extra => extra._id) } });
+    });
+  });
+
+  describe('collection.getRecommendations', function () {
+    let extraGames;
+
+    beforeEach(async function () {
+      extraGames = [];
+      for (const overrides of [
+        { genres: ['Metroidvania'], developer: 'Team Cherry' },
+        { genres: ['Metroidvania'], developer: 'Moon Studios' },
+        { genres: ['Metroidvania'], developer: 'Team Cherry' },
+        { genres: ['Sports'], developer: 'Sports Studio' },
+        { genres: ['Metroidvania'], developer: 'Team Cherry' }
+      ]) {
+        extraGames.push(await createTestGame(overrides));
+      }
+    });
+
+    afterEach(async function () {
+      await Games.removeAsync({ _id: { $in: extraGames.map(extra => extra._id) } });
+    });
+
+    it('ranks backlog games by the genres and developers the user rated highly', async function () {
+      await createTestCollectionItem(userId, extraGames[0]._id, { status: 'completed', rating: 5 });
+      await createTestCollectionItem(userId, extraGames[1]._id, { status: 'completed', rating: 5 });
+      const metroidvania = await createTestCollectionItem(userId, extraGames[2]._id, { status: 'backlog' });
+      const sports = await createTestCollectionItem(userId, extraGames[3]._id, { status: 'backlog' });
+
+      const recommendations = await callAsUser(userId, 'collection.getRecommendations', {});
+
+      assert.deepStrictEqual(recommendations.map(entry => entry.item._id), [metroidvania, sports]);
+      assert.ok(recommendations[0].reasons.includes('You rated 2 other Metroidvania games 5 ★ on average'));
+      assert.ok(recommendations[0].reasons.some(reason => reason.includes('by Team Cherry')));
+    });
+
+    it('leaves out queued games and wishlist games that are not owned', async function () {
+      await createTestCollectionItem(userId, extraGames[2]._id, { status: 'backlog', queueRank: 'V' });
+      await createTestCollectionItem(userId, extraGames[3]._id, { status: 'wishlist' });
+      const owned = await createTestCollectionItem(userId, extraGames[4]._id, {
+        status: 'wishlist',
+        ownedCopies: [{ _id: 'copy1', platform: 'PC', storefront: 'steam', format: 'digital' }]
+      });
+
+      const recommendations = await callAsUser(userId, 'collection.getRecommendations', {});
+
+      assert.deepStrictEqual(recommendations.map(entry => entry.item._id), [owned]);
+    });
+
+    it('only suggests games on the chosen platform', async function () {
+      await createTestCollectionItem(userId, extraGames[2]._id, { status: 'backlog', platforms: ['PC'] });
+      const switchGame = await createTestCollectionItem(userId, extraGames[3]._id, {
+        status: 'backlog',
+        platforms: ['Nintendo Switch']
+      });
+
+      const recommendations = await callAsUser(userId, 'collection.getRecommendations', { platform: 'Nintendo Switch' });
+
+      assert.deepStrictEqual(recommendations.map(entry => entry.item._id), [switchGame]);
+    });
+
+    it('rejects unauthenticated users', async function () {
+      try {
+        await callAsUser(null, 'collection.getRecommendations', {});
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('collection.getSpendingStats', function () {
+    function pricedCopy(platform, storefront, price, currency, purchaseDate = null) {
+      return { _id: `${platform}-${storefront}-${price}`, platform, storefront, price, currency, purchaseDate };
+    }
+
+    it('returns no currencies when no prices are recorded', async function () {
+      await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+      const spending = await callAsUser(userId, 'collection.getSpendingStats');
+      assert.deepStrictEqual(spending.currencies, []);
+      assert.strictEqual(spending.unpricedCopies, 1);
+    });
+
+    it('keeps totals separate per currency', async function () {
+      const game2 = await createTestGame();
+
+      await createTestCollectionItem(userId, game._id, {
+        status: 'playing',
+        hoursPlayed: 10,
+        ownedCopies: [
+          pricedCopy('PC', 'steam', 20, 'USD', new Date('2023-05-01')),
+          pricedCopy('Switch', 'nintendo', 40, 'EUR', new Date('2024-01-10'))
+        ]
+      });
+      await createTestCollectionItem(userId, game2._id, {
+        status: 'backlog',
+        ownedCopies: [pricedCopy('PC', 'gog', 10.5, 'USD')]
+      });
+
+      const spending = await callAsUser(userId, 'collection.getSpendingStats');
+      assert.deepStrictEqual(spending.currencies.map(entry => entry.currency), ['USD', 'EUR']);
+
+      const usd = spending.currencies[0];
+      assert.strictEqual(usd.total, 30.5);
+      assert.strictEqual(usd.gameCount, 2);
+      assert.strictEqual(usd.averagePerGame, 15.25);
+      assert.strictEqual(usd.costPerHour, 3.05);
+      assert.strictEqual(usd.backlogSpend, 10.5);
+      assert.strictEqual(usd.backlogGameCount, 1);
+      assert.deepStrictEqual(usd.byStorefront.map(row => row.storefront), ['steam', 'gog']);
+      assert.deepStrictEqual(usd.byYear.map(row => row.year), [2023, null]);
+
+      const eur = spending.currencies[1];
+      assert.strictEqual(eur.total, 40);
+      assert.deepStrictEqual(eur.byPlatform, [{ platform: 'Switch', total: 40, count: 1 }]);
+    });
+
+    it('does not count started backlog games as unplayed', async function () {
+      await createTestCollectionItem(userId, game._id, {
+        status: 'backlog',
+        dateStarted: new Date('2024-01-01'),
+        ownedCopies: [pricedCopy('PC', 'steam', 15, 'USD')]
+      });
+
+      const spending = await callAsUser(userId, 'collection.getSpendingStats');
+      assert.strictEqual(spending.currencies[0].backlogSpend, 0);
+      assert.strictEqual(spending.currencies[0].costPerHour, null);
+    });
+
+    it('rejects unauthenticated users', async function () {
+      try {
+        await callAsUser(null, 'collection.getSpendingStats');
+        assert.fail('Should have thrown not-authorized error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('collection.getTimeSeriesStats', function () {
+    it('builds monthly series and breakdowns for the range', async function () {
+      await createTestCollectionItem(userId, game._id, {
+        status: 'backlog',
+        rating: 4,
+        dateAdded: new Date('2024-01-15')
+      });
+      await createTestCollectionItem(userId, game._id, {
+        status: 'completed',
+        dateAdded: new Date('2024-02-10'),
+        dateStarted: new Date('2024-03-01'),
+        dateCompleted: new Date('2024-04-20'),
+        ownedCopies: [{ _id: 'copy1', platform: 'PC', purchaseDate: new Date('2024-02-01') }]
+      });
+
+      const stats = await callAsUser(userId, 'collection.getTimeSeriesStats', { from: '2024-01', to: '2024-06' });
+
+      assert.deepStrictEqual(stats.months.map(row => row.month), ['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06']);
+      assert.deepStrictEqual(stats.months.map(row => row.added), [1, 1, 0, 0, 0, 0]);
+      assert.deepStrictEqual(stats.months.map(row => row.completed), [0, 0, 0, 1, 0, 0]);
+      assert.deepStrictEqual(stats.months.map(row => row.backlog), [1, 2, 1, 1, 1, 1]);
+      assert.strictEqual(stats.months[3].averageDaysToComplete, 79);
+      assert.deepStrictEqual(stats.purchaseToCompletion, { averageDays: 79, games: 1 });
+      assert.strictEqual(stats.ratings.find(row => row.label === '4').count, 1);
+      assert.deepStrictEqual(stats.genres, [{ genre: 'Action', count: 2 }]);
+      assert.deepStrictEqual(stats.decades, [{ decade: 2020, count: 2 }]);
+    });
+
+    it('starts an all-time range at the first game', async function () {
+      await createTestCollectionItem(userId, game._id, { dateAdded: new Date('2023-11-05') });
+
+      const stats = await callAsUser(userId, 'collection.getTimeSeriesStats', { to: '2024-02' });
+      assert.strictEqual(stats.from, '2023-11');
+      assert.strictEqual(stats.months.length, 4);
+    });
+
+    it('rejects ranges that end before they start', async function () {
+      try {
+        await callAsUser(userId, 'collection.getTimeSeriesStats', { from: '2024-06', to: '2024-01' });
+        assert.fail('Should have thrown invalid-range error');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-range');
+      }
+    });
+  });
+
+  describe('user.setPreferences', function () {
+    it('stores the rating scale on the user', async function () {
+      await callAsUser(userId, 'user.setPreferences', { ratingScale: 'ten-point' });
+      const user = await Meteor.users.findOneAsync(userId);
+      assert.strictEqual(user.preferences.ratingScale, 'ten-point');
+    });
+
+    it('rejects unknown rating scales', async function () {
+      try {
+        await callAsUser(userId, 'user.setPreferences', { ratingScale: 'thumbs' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-rating-scale');
+      }
+    });
+
+    it('leaves stored ratings unchanged when the scale changes', async function () {
+      const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'completed');
+      await callAsUser(userId, 'collection.updateItem', itemId, { rating: 4 });
+      await callAsUser(userId, 'user.setPreferences', { ratingScale: 'hundred-point' });
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.rating, 4);
+    });
+
+    it('rejects unauthenticated users', async function () {
+      try {
+        await callAsUser(null, 'user.setPreferences', { ratingScale: 'stars' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
   });
 
   describe('collection.getCount', function () {
@@ -320,6 +909,210 @@ describe('Collection Methods (Integration)', function () {
 
       await Games.removeAsync(game2._id);
     });
+
+    it('applies the search query language to count and items alike', async function () {
+      const game2 = await createTestGame({ title: 'Query Language Quest', releaseYear: 2012 });
+      await createTestCollectionItem(userId, game._id, { status: 'playing', rating: 5 });
+      await createTestCollectionItem(userId, game2._id, { status: 'playing', rating: 3 });
+
+      const search = 'status:playing rating>=4';
+      const count = await callAsUser(userId, 'collection.getCount', { search });
+      const items = await callAsUser(userId, 'collection.getItemsChunk', { search });
+      assert.strictEqual(count, 1);
+      assert.strictEqual(items.length, 1);
+      assert.strictEqual(items[0].gameId, game._id);
+
+      const yearCount = await callAsUser(userId, 'collection.getCount', { search: 'quest year:2010..2015' });
+      assert.strictEqual(yearCount, 1);
+
+      await Games.removeAsync(game2._id);
+    });
+
+    it('reads search ratings on the user\'s rating scale', async function () {
+      const game2 = await createTestGame();
+      await createTestCollectionItem(userId, game._id, { rating: 4.5 });
+      await createTestCollectionItem(userId, game2._id, { rating: 3 });
+      await callAsUser(userId, 'user.setPreferences', { ratingScale: 'ten-point' });
+
+      const search = 'rating>=8';
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', { search }), 1);
+      const items = await callAsUser(userId, 'collection.getItemsChunk', { search });
+      assert.deepStrictEqual(items.map(item => item.gameId), [game._id]);
+
+      await Games.removeAsync(game2._id);
+    });
+
+    it('rejects an invalid search query', async function () {
+      try {
+        await callAsUser(userId, 'collection.getCount', { search: 'rating:lots' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-query');
+      }
+    });
+  });
+
+  describe('collection.getItemsChunk sorting', function () {
+    let extraGames;
+    let ids;
+
+    beforeEach(async function () {
+      extraGames = [await createTestGame(), await createTestGame(), await createTestGame()];
+      ids = {
+        rated5: await createTestCollectionItem(userId, game._id, { rating: 5, hoursPlayed: 3 }),
+        rated3a: await createTestCollectionItem(userId, extraGames[0]._id, { rating: 3, hoursPlayed: 40 }),
+        rated3b: await createTestCollectionItem(userId, extraGames[1]._id, { rating: 3 }),
+        unrated: await createTestCollectionItem(userId, extraGames[2]._id, { rating: null, hoursPlayed: 12 })
+      };
+    });
+
+    afterEach(async function () {
+      await Games.removeAsync({ _id: { $in: extraGames.map(extra => extra._id) } });
+    });
+
+    async function sortedIds(sort, extra = {}) {
+      const items = await callAsUser(userId, 'collection.getItemsChunk', { sort, ...extra });
+      return items.map(item => item._id);
+    }
+
+    it('sorts by rating with missing ratings last in both directions', async function () {
+      const [tieFirst, tieSecond] = [ids.rated3a, ids.rated3b].sort();
+
+      assert.deepStrictEqual(await sortedIds('rating-desc'), [ids.rated5, tieSecond, tieFirst, ids.unrated]);
+      assert.deepStrictEqual(await sortedIds('rating-asc'), [tieFirst, tieSecond, ids.rated5, ids.unrated]);
+    });
+
+    it('sorts by hours played', async function () {
+      const order = await sortedIds('hours-desc');
+      assert.deepStrictEqual(order.slice(0, 3), [ids.rated3a, ids.unrated, ids.rated5]);
+      assert.strictEqual(order[3], ids.rated3b);
+    });
+
+    it('pages through a sort without repeating items', async function () {
+      const pages = [];
+      for (let skip = 0; skip < 4; skip += 2) {
+        pages.push(...await sortedIds('rating-desc', { skip, limit: 2 }));
+      }
+      assert.deepStrictEqual(pages, await sortedIds('rating-desc'));
+    });
+
+    it('returns the same random order for the same seed', async function () {
+      const first = await sortedIds('random', { seed: 'abc' });
+      const paged = [
+        ...await sortedIds('random', { seed: 'abc', limit: 2 }),
+        ...await sortedIds('random', { seed: 'abc', skip: 2, limit: 2 })
+      ];
+
+      assert.strictEqual(first.length, 4);
+      assert.deepStrictEqual(paged, first);
+      assert.deepStrictEqual([...first].sort(), Object.values(ids).sort());
+    });
+  });
+
+  describe('collection item details', function () {
+    let itemId;
+
+    beforeEach(async function () {
+      itemId = await createTestCollectionItem(userId, game._id, {
+        ownedCopies: [{ _id: 'copy1', platform: 'PC', storefront: 'steam', format: 'digital', createdAt: new Date() }],
+        playthroughs: [{ _id: 'run1', outcome: 'completed', createdAt: new Date() }],
+        playSessions: [{ _id: 'session1', date: new Date(), minutes: 30, platform: 'PC', note: 'Long note', createdAt: new Date() }]
+      });
+    });
+
+    it('leaves copies, playthroughs and sessions out of grid chunks', async function () {
+      for (const sort of ['name-asc', 'random']) {
+        const [item] = await callAsUser(userId, 'collection.getItemsChunk', { sort });
+        assert.strictEqual(item._id, itemId);
+        assert.strictEqual(item.ownedCopies, undefined);
+        assert.strictEqual(item.playthroughs, undefined);
+        assert.strictEqual(item.playSessions, undefined);
+        assert.deepStrictEqual(item.platforms, ['PC']);
+      }
+    });
+
+    it('returns them for one item', async function () {
+      const details = await callAsUser(userId, 'collection.getItemDetails', itemId);
+
+      assert.deepStrictEqual(details.ownedCopies.map(copy => copy._id), ['copy1']);
+      assert.deepStrictEqual(details.playthroughs.map(run => run._id), ['run1']);
+      assert.deepStrictEqual(details.playSessions.map(session => session._id), ['session1']);
+    });
+
+    it('does not return another user\'s item', async function () {
+      const otherUserId = await createTestUser();
+      try {
+        await callAsUser(otherUserId, 'collection.getItemDetails', itemId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'item-not-found');
+      } finally {
+        await removeTestUser(otherUserId);
+      }
+    });
+  });
+
+  describe('collection filters', function () {
+    let extraGames;
+    let ids;
+
+    beforeEach(async function () {
+      extraGames = [
+        await createTestGame({ releaseYear: 2005, genres: ['RPG'] }),
+        await createTestGame({ releaseYear: 2018, genres: ['Puzzle'] })
+      ];
+      ids = {
+        steamBacklog: await createTestCollectionItem(userId, game._id, { status: 'backlog', storefronts: ['steam'] }),
+        gogPlaying: await createTestCollectionItem(userId, extraGames[0]._id, {
+          status: 'playing',
+          storefronts: ['gog'],
+          physical: true,
+          rating: 4,
+          hoursPlayed: 12
+        }),
+        switchCompleted: await createTestCollectionItem(userId, extraGames[1]._id, {
+          status: 'completed',
+          platforms: ['Switch'],
+          storefronts: ['nintendo'],
+          hoursPlayed: 3
+        })
+      };
+    });
+
+    afterEach(async function () {
+      await Games.removeAsync({ _id: { $in: extraGames.map(extra => extra._id) } });
+    });
+
+    async function countAndIds(filters) {
+      const count = await callAsUser(userId, 'collection.getCount', filters);
+      const items = await callAsUser(userId, 'collection.getItemsChunk', filters);
+      assert.strictEqual(count, items.length, 'count and items should agree');
+      return items.map(item => item._id).sort();
+    }
+
+    it('applies the storefront filter to items as well as the count', async function () {
+      assert.deepStrictEqual(await countAndIds({ storefront: 'gog' }), [ids.gogPlaying]);
+    });
+
+    it('matches any of several statuses', async function () {
+      assert.deepStrictEqual(
+        await countAndIds({ status: ['backlog', 'completed'] }),
+        [ids.steamBacklog, ids.switchCompleted].sort()
+      );
+    });
+
+    it('filters by genre and release year range', async function () {
+      assert.deepStrictEqual(await countAndIds({ genre: ['RPG', 'Puzzle'], yearMax: 2010 }), [ids.gogPlaying]);
+    });
+
+    it('filters by hours played, physical and rated', async function () {
+      assert.deepStrictEqual(await countAndIds({ hoursMin: 2, hoursMax: 10 }), [ids.switchCompleted]);
+      assert.deepStrictEqual(await countAndIds({ physical: true }), [ids.gogPlaying]);
+      assert.deepStrictEqual(
+        await countAndIds({ rated: false }),
+        [ids.steamBacklog, ids.switchCompleted].sort()
+      );
+    });
   });
 
   describe('collection.getGameIds', function () {
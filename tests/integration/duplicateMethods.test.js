@@ -0,0 +1,144 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+
+describe('Duplicate Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let games;
+  let keeperId;
+  let loserId;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    games = [
+      await createTestGame(),
+      await createTestGame(),
+      await createTestGame()
+    ];
+    // Two items pointing at the same IGDB game, e.g. from two imports
+    keeperId = await createTestCollectionItem(userId, games[0]._id, {
+      status: 'playing',
+      hoursPlayed: 5,
+      tags: ['indie']
+    });
+    loserId = await createTestCollectionItem(userId, games[1]._id, {
+      igdbId: games[0].igdbId,
+      status: 'completed',
+      rating: 4,
+      hoursPlayed: 20,
+      tags: ['favorite-music'],
+      platforms: ['Switch'],
+      storefronts: ['nintendo'],
+      queueRank: 'V'
+    });
+    await createTestCollectionItem(userId, games[2]._id);
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: games.map(game => game._id) } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('duplicates.find', function () {
+    it('finds items of the same IGDB game', async function () {
+      const pairs = await callAsUser(userId, 'duplicates.find');
+
+      assert.strictEqual(pairs.length, 1);
+      assert.strictEqual(pairs[0].reason, 'same-igdb-game');
+      assert.deepStrictEqual(pairs[0].items.map(item => item._id).sort(), [keeperId, loserId].sort());
+    });
+
+    it('leaves out items in the trash', async function () {
+      await CollectionItems.updateAsync(loserId, { $set: { deletedAt: new Date() } });
+      assert.deepStrictEqual(await callAsUser(userId, 'duplicates.find'), []);
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'duplicates.find');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('duplicates.previewMerge', function () {
+    it('shows the merged fields without changing anything', async function () {
+      const preview = await callAsUser(userId, 'duplicates.previewMerge', keeperId, loserId);
+
+      assert.strictEqual(preview.status, 'completed');
+      assert.strictEqual(preview.hoursPlayed, 20);
+
+      const keeper = await CollectionItems.findOneAsync(keeperId);
+      assert.strictEqual(keeper.status, 'playing');
+    });
+  });
+
+  describe('duplicates.merge', function () {
+    it('merges into the kept item and moves the other to the trash', async function () {
+      await callAsUser(userId, 'duplicates.merge', keeperId, loserId);
+
+      const keeper = await CollectionItems.findOneAsync(keeperId);
+      assert.strictEqual(keeper.status, 'completed');
+      assert.strictEqual(keeper.rating, 4);
+      assert.strictEqual(keeper.hoursPlayed, 20);
+      assert.strictEqual(keeper.queueRank, 'V');
+      assert.deepStrictEqual(keeper.tags, ['indie', 'favorite-music']);
+      assert.deepStrictEqual(keeper.platforms.sort(), ['PC', 'Switch']);
+
+      const loser = await CollectionItems.findOneAsync(loserId);
+      assert.ok(loser.deletedAt instanceof Date);
+      assert.strictEqual(loser.queueRank, undefined);
+
+      const entry = await ItemHistory.findOneAsync({ itemId: keeperId, source: 'merge' });
+      assert.ok(entry.changes.some(change => change.field === 'status' && change.to === 'completed'));
+    });
+
+    it('rejects merging an item into itself', async function () {
+      try {
+        await callAsUser(userId, 'duplicates.merge', keeperId, keeperId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-pair');
+      }
+    });
+
+    it('rejects items of other users', async function () {
+      try {
+        await callAsUser(otherUserId, 'duplicates.merge', keeperId, loserId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+
+    it('rejects items in the trash', async function () {
+      await CollectionItems.updateAsync(loserId, { $set: { deletedAt: new Date() } });
+      try {
+        await callAsUser(userId, 'duplicates.merge', keeperId, loserId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'item-not-found');
+      }
+    });
+  });
+
+  describe('duplicates.dismiss', function () {
+    it('stops suggesting the pair', async function () {
+      await callAsUser(userId, 'duplicates.dismiss', keeperId, loserId);
+
+      assert.deepStrictEqual(await callAsUser(userId, 'duplicates.find'), []);
+      const keeper = await CollectionItems.findOneAsync(keeperId);
+      assert.deepStrictEqual(keeper.notDuplicateOf, [loserId]);
+    });
+  });
+});
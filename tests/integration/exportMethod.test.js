@@ -2,7 +2,9 @@ import assert from 'assert';
 import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
 import { createTestGame, cleanupUser } from '../helpers/testData.js';
 import { Games } from '../../imports/lib/collections/games.js';
-import { exportCollectionCSV } from '../../server/imports/csvExport.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { exportCollectionCSV, planBacklogBeaconImport } from '../../server/imports/csvExport.js';
+import { commitImportPlan } from '../../server/lib/importPlans.js';
 import { parseCSVToObjects } from '../../server/imports/csvParser.js';
 
 describe('Export Method (Integration)', function () {
@@ -138,4 +140,38 @@ describe('Export Method (Integration)', function () {
     assert.strictEqual(rows[0].Rating, '3');
     assert.ok(rows[0]['Date Added']); // Should have a date
   });
+
+  it('exports ratings on the user\'s rating scale and imports them back', async function () {
+    const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'completed');
+    await callAsUser(userId, 'collection.updateItem', itemId, { rating: 4.35 });
+    await callAsUser(userId, 'user.setPreferences', { ratingScale: 'hundred-point' });
+
+    const csv = await exportCollectionCSV(userId);
+    const rows = parseCSVToObjects(csv);
+
+    assert.strictEqual(rows[0].Rating, '87');
+    assert.strictEqual(rows[0]['Rating Scale'], 'hundred-point');
+
+    const plan = await planBacklogBeaconImport(userId, csv, { updateExisting: true });
+    await commitImportPlan(userId, plan._id);
+    const item = await CollectionItems.findOneAsync(itemId);
+    assert.strictEqual(item.rating, 4.35);
+  });
+
+  it('exports a half-star rating on the 100-point scale when the user rates in whole stars', async function () {
+    const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'completed');
+    await callAsUser(userId, 'collection.updateItem', itemId, { rating: 3.5 });
+
+    const csv = await exportCollectionCSV(userId);
+    const rows = parseCSVToObjects(csv);
+
+    assert.strictEqual(rows[0].Rating, '70');
+    assert.strictEqual(rows[0]['Rating Scale'], 'hundred-point');
+
+    await callAsUser(userId, 'collection.updateItem', itemId, { rating: 1 });
+    const plan = await planBacklogBeaconImport(userId, csv, { updateExisting: true });
+    await commitImportPlan(userId, plan._id);
+    const item = await CollectionItems.findOneAsync(itemId);
+    assert.strictEqual(item.rating, 3.5);
+  });
 });
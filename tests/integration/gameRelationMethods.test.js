@@ -0,0 +1,110 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+describe('Game Relation Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let baseGame;
+  let editionGame;
+  let dlcGame;
+  let baseItemId;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+
+    baseGame = await createTestGame();
+    dlcGame = await createTestGame();
+    await Games.updateAsync(baseGame._id, {
+      $set: {
+        dlcs: [{ igdbId: dlcGame.igdbId, title: dlcGame.title }],
+        expansions: [{ igdbId: 900001, title: 'Test Expansion' }]
+      }
+    });
+    editionGame = await createTestGame({
+      versionParent: { igdbId: baseGame.igdbId, title: baseGame.title },
+      versionTitle: 'Deluxe Edition'
+    });
+
+    baseItemId = await createTestCollectionItem(userId, baseGame._id);
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: [baseGame._id, editionGame._id, dlcGame._id] } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('collection.getRelatedContent', function () {
+    it('lists editions and DLC with what the user owns', async function () {
+      await createTestCollectionItem(userId, dlcGame._id);
+
+      const related = await callAsUser(userId, 'collection.getRelatedContent', baseItemId);
+
+      assert.deepStrictEqual(related.editions.map(edition => edition.igdbId), [editionGame.igdbId]);
+      assert.strictEqual(related.editions[0].versionTitle, 'Deluxe Edition');
+      assert.deepStrictEqual(related.addons.map(addon => [addon.igdbId, addon.owned]), [
+        [dlcGame.igdbId, true],
+        [900001, false]
+      ]);
+    });
+
+    it('rejects items of other users', async function () {
+      try {
+        await callAsUser(otherUserId, 'collection.getRelatedContent', baseItemId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('collection.setOwnedExtras', function () {
+    it('records owned editions and DLC', async function () {
+      await callAsUser(userId, 'collection.setOwnedExtras', baseItemId, {
+        editions: [editionGame.igdbId],
+        dlc: [900001]
+      });
+
+      const item = await CollectionItems.findOneAsync(baseItemId);
+      assert.deepStrictEqual(item.ownedEditions, [editionGame.igdbId]);
+      assert.deepStrictEqual(item.ownedDlc, [900001]);
+
+      const related = await callAsUser(userId, 'collection.getRelatedContent', baseItemId);
+      assert.strictEqual(related.addons.find(addon => addon.igdbId === 900001).owned, true);
+    });
+
+    it('rejects DLC of other games', async function () {
+      try {
+        await callAsUser(userId, 'collection.setOwnedExtras', baseItemId, { editions: [], dlc: [123] });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-extras');
+      }
+    });
+  });
+
+  describe('edition grouping', function () {
+    it('shows an edition on its base game\'s card', async function () {
+      const editionItemId = await createTestCollectionItem(userId, editionGame._id);
+
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', {}), 1);
+
+      const items = await callAsUser(userId, 'collection.getItemsChunk', {});
+      assert.deepStrictEqual(items.map(item => item._id), [baseItemId]);
+      assert.deepStrictEqual(items[0].editions.map(edition => edition._id), [editionItemId]);
+    });
+
+    it('shows the edition on its own when the base game does not match the filters', async function () {
+      await createTestCollectionItem(userId, editionGame._id, { status: 'playing' });
+
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', { status: 'playing' }), 1);
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', {}), 1);
+    });
+  });
+});
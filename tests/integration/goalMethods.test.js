@@ -0,0 +1,107 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { Goals } from '../../imports/lib/collections/goals.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+describe('Goal Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let game;
+  const currentYear = new Date().getUTCFullYear();
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    game = await createTestGame();
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync(game._id);
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('goals.create and goals.getForYear', function () {
+    it('stores a goal and reports progress from the collection', async function () {
+      await callAsUser(userId, 'goals.create', { year: currentYear, type: 'complete-games', target: 10 });
+
+      let [goal] = await callAsUser(userId, 'goals.getForYear', currentYear);
+      assert.strictEqual(goal.progress.current, 0);
+
+      const itemId = await createTestCollectionItem(userId, game._id);
+      await callAsUser(userId, 'collection.updateItem', itemId, { status: 'completed' });
+
+      [goal] = await callAsUser(userId, 'goals.getForYear', currentYear);
+      assert.strictEqual(goal.progress.current, 1);
+      assert.strictEqual(goal.progress.target, 10);
+    });
+
+    it('rejects invalid goals', async function () {
+      try {
+        await callAsUser(userId, 'goals.create', { year: currentYear, type: 'complete-games', target: -1 });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-target');
+      }
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'goals.getForYear', currentYear);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('goals.update and goals.remove', function () {
+    it('changes the target', async function () {
+      const goalId = await callAsUser(userId, 'goals.create', {
+        year: currentYear,
+        type: 'spend-at-most',
+        target: 200,
+        params: { currency: 'EUR' }
+      });
+
+      await callAsUser(userId, 'goals.update', goalId, { target: 150 });
+
+      const goal = await Goals.findOneAsync(goalId);
+      assert.strictEqual(goal.target, 150);
+      assert.deepStrictEqual(goal.params, { currency: 'EUR' });
+    });
+
+    it('rejects goals of other users', async function () {
+      const goalId = await callAsUser(userId, 'goals.create', { year: currentYear, type: 'play-hours', target: 50 });
+
+      try {
+        await callAsUser(otherUserId, 'goals.remove', goalId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+      assert.ok(await Goals.findOneAsync(goalId));
+    });
+  });
+
+  describe('goals.getHistory', function () {
+    it('lists past years with their results', async function () {
+      const lastYear = currentYear - 1;
+      await createTestCollectionItem(userId, game._id, {
+        status: 'completed',
+        dateCompleted: new Date(Date.UTC(lastYear, 5, 1))
+      });
+      await callAsUser(userId, 'goals.create', { year: lastYear, type: 'complete-games', target: 1 });
+      await callAsUser(userId, 'goals.create', { year: lastYear, type: 'complete-games', target: 5 });
+      await callAsUser(userId, 'goals.create', { year: currentYear, type: 'complete-games', target: 5 });
+
+      const history = await callAsUser(userId, 'goals.getHistory');
+
+      assert.deepStrictEqual(history.map(entry => [entry.year, entry.goals.length, entry.achieved]), [[lastYear, 2, 1]]);
+      assert.deepStrictEqual(history[0].goals.map(goal => goal.progress.pace), ['achieved', 'missed']);
+    });
+  });
+});
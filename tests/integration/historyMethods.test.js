@@ -0,0 +1,145 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+import { recordItemChanges } from '../../server/lib/itemHistory.js';
+
+describe('Item History (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let game;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    game = await createTestGame();
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync(game._id);
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  it('records an added entry when an item is added', async function () {
+    const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'wishlist');
+
+    const entries = await ItemHistory.find({ itemId }).fetchAsync();
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].type, 'added');
+    assert.strictEqual(entries[0].source, 'manual');
+    assert.strictEqual(entries[0].userId, userId);
+    assert.strictEqual(entries[0].gameTitle, game.title);
+    assert.ok(entries[0].changes.some(change => change.field === 'status' && change.to === 'wishlist'));
+  });
+
+  it('records status, rating and hours changes from updateItem', async function () {
+    const itemId = await createTestCollectionItem(userId, game._id);
+
+    await callAsUser(userId, 'collection.updateItem', itemId, { status: 'playing', rating: 4, hoursPlayed: 12, notes: 'fun' });
+
+    const entries = await callAsUser(userId, 'collection.getItemHistory', itemId);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].type, 'updated');
+    assert.deepStrictEqual(entries[0].changes.map(change => change.field), ['status', 'rating', 'hoursPlayed']);
+    assert.deepStrictEqual(entries[0].changes[0], { field: 'status', from: 'backlog', to: 'playing' });
+  });
+
+  it('records setStatus and skips writes that change nothing tracked', async function () {
+    const itemId = await createTestCollectionItem(userId, game._id);
+
+    await callAsUser(userId, 'collection.setStatus', itemId, 'completed');
+    await callAsUser(userId, 'collection.updateItem', itemId, { notes: 'only notes' });
+
+    const entries = await callAsUser(userId, 'collection.getItemHistory', itemId);
+    assert.strictEqual(entries.length, 1);
+    const fields = entries[0].changes.map(change => change.field);
+    assert.ok(fields.includes('status'));
+    assert.ok(fields.includes('dateCompleted'));
+  });
+
+  it('records bulk changes per item', async function () {
+    const itemId = await createTestCollectionItem(userId, game._id);
+    const otherGame = await createTestGame();
+    const secondItemId = await createTestCollectionItem(userId, otherGame._id, { favorite: true });
+
+    try {
+      await callAsUser(userId, 'collection.bulkUpdate', { itemIds: [itemId, secondItemId] }, { action: 'setFavorite', value: true });
+
+      const entries = await ItemHistory.find({ userId }).fetchAsync();
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].itemId, itemId);
+    } finally {
+      await Games.removeAsync(otherGame._id);
+    }
+  });
+
+  it('stores the importer name as the source', async function () {
+    const itemId = await createTestCollectionItem(userId, game._id);
+    const item = await CollectionItems.findOneAsync(itemId);
+
+    await recordItemChanges(item, { platforms: ['PC', 'Steam Deck'], updatedAt: new Date() }, 'steam');
+
+    const entry = await ItemHistory.findOneAsync({ itemId });
+    assert.strictEqual(entry.source, 'steam');
+  });
+
+  it("rejects reading another user's item history", async function () {
+    const itemId = await createTestCollectionItem(otherUserId, game._id);
+
+    try {
+      await callAsUser(userId, 'collection.getItemHistory', itemId);
+      assert.fail('Should have thrown');
+    } catch (error) {
+      assert.strictEqual(error.error, 'not-authorized');
+    }
+  });
+
+  it('removes history when an item is deleted forever', async function () {
+    const itemId = await callAsUser(userId, 'collection.addItem', game._id, 'PC', 'backlog');
+    await callAsUser(userId, 'collection.removeItem', itemId);
+    await callAsUser(userId, 'collection.deleteForever', itemId);
+
+    const count = await ItemHistory.find({ itemId }).countAsync();
+    assert.strictEqual(count, 0);
+  });
+
+  it('removes history when a custom game is deleted with its items', async function () {
+    const customGameId = await callAsUser(userId, 'games.createCustom', { title: 'My Homebrew' });
+    const itemId = await callAsUser(userId, 'collection.addItem', customGameId, 'PC', 'backlog');
+    await callAsUser(userId, 'games.deleteCustom', customGameId);
+
+    assert.strictEqual(await CollectionItems.find({ _id: itemId }).countAsync(), 0);
+    assert.strictEqual(await ItemHistory.find({ itemId }).countAsync(), 0);
+  });
+
+  describe('activity.getFeed', function () {
+    it("returns only the user's entries, newest first, in pages", async function () {
+      const itemId = await createTestCollectionItem(userId, game._id);
+      const otherItemId = await createTestCollectionItem(otherUserId, game._id);
+      const item = await CollectionItems.findOneAsync(itemId);
+      const otherItem = await CollectionItems.findOneAsync(otherItemId);
+
+      const sameTime = new Date('2025-01-01T00:00:00Z');
+      await recordItemChanges(item, { rating: 1, updatedAt: sameTime });
+      await recordItemChanges(item, { rating: 2, updatedAt: sameTime });
+      await recordItemChanges(item, { rating: 3, updatedAt: new Date('2025-02-01T00:00:00Z') });
+      await recordItemChanges(otherItem, { rating: 5, updatedAt: new Date() });
+
+      const firstPage = await callAsUser(userId, 'activity.getFeed', { limit: 2 });
+      assert.strictEqual(firstPage.length, 2);
+      assert.strictEqual(firstPage[0].changes[0].to, 3);
+
+      const last = firstPage[firstPage.length - 1];
+      const secondPage = await callAsUser(userId, 'activity.getFeed', { limit: 2, before: last.createdAt, beforeId: last._id });
+      assert.strictEqual(secondPage.length, 1);
+
+      const seen = [...firstPage, ...secondPage].map(entry => entry.changes[0].to).sort();
+      assert.deepStrictEqual(seen, [1, 2, 3]);
+    });
+  });
+});
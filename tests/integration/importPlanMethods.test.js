@@ -0,0 +1,197 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { ImportPlans } from '../../imports/lib/collections/importPlans.js';
+
+describe('Import Plan Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let ownedGame;
+  let newGame;
+  let itemId;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    ownedGame = await createTestGame();
+    newGame = await createTestGame();
+    itemId = await createTestCollectionItem(userId, ownedGame._id, { status: 'backlog' });
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: [ownedGame._id, newGame._id] } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  // One game already owned, one new game and a row without a name
+  function planImport() {
+    const csv = [
+      'Name,Status',
+      `${ownedGame.title},playing`,
+      `${newGame.title},backlog`,
+      ',backlog'
+    ].join('\n');
+
+    return callAsUser(userId, 'import.backlogBeacon', csv, { updateExisting: true });
+  }
+
+  function rowFor(plan, name) {
+    return plan.rows.find(row => row.name === name);
+  }
+
+  describe('planning', function () {
+    it('lists new items, updates with their changes and skips without writing anything', async function () {
+      const plan = await planImport();
+
+      assert.deepStrictEqual(plan.counts, { add: 1, update: 1, skip: 1, unmatched: 0 });
+
+      const update = rowFor(plan, ownedGame.title);
+      assert.strictEqual(update.action, 'update');
+      assert.deepStrictEqual(update.changes, [{ field: 'status', from: 'backlog', to: 'playing' }]);
+
+      const add = rowFor(plan, newGame.title);
+      assert.strictEqual(add.action, 'add');
+      assert.strictEqual(add.matchedName, newGame.title);
+      assert.ok(add.changes.some(change => change.field === 'status' && change.to === 'backlog'));
+
+      assert.strictEqual(plan.rows.find(row => row.action === 'skip').reason, 'No game name');
+
+      assert.strictEqual(await CollectionItems.find({ userId }).countAsync(), 1);
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'backlog');
+    });
+
+    it('does not return the fields to write', async function () {
+      const plan = await planImport();
+      const row = rowFor(plan, newGame.title);
+
+      assert.strictEqual(row.item, undefined);
+      assert.strictEqual(row.set, undefined);
+    });
+  });
+
+  describe('import.commitPlan', function () {
+    it('applies the plan and removes it', async function () {
+      const plan = await planImport();
+      const result = await callAsUser(userId, 'import.commitPlan', plan._id, []);
+
+      assert.strictEqual(result.imported, 1);
+      assert.strictEqual(result.updated, 1);
+      assert.strictEqual(result.skipped, 1);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'playing');
+
+      const added = await CollectionItems.findOneAsync({ userId, gameId: newGame._id });
+      assert.ok(added);
+      assert.strictEqual(added.game.title, newGame.title);
+      assert.ok(added.dateAdded instanceof Date);
+
+      assert.strictEqual(await ImportPlans.find({ userId }).countAsync(), 0);
+    });
+
+    it('leaves out unticked rows', async function () {
+      const plan = await planImport();
+      const add = rowFor(plan, newGame.title);
+      const result = await callAsUser(userId, 'import.commitPlan', plan._id, [add.rowId]);
+
+      assert.strictEqual(result.imported, 0);
+      assert.strictEqual(result.updated, 1);
+      assert.strictEqual(await CollectionItems.find({ userId, gameId: newGame._id }).countAsync(), 0);
+      assert.strictEqual(result.games.find(game => game.name === newGame.title).reason, 'Left out of the import');
+    });
+
+    it('skips updates to items edited since the plan was made', async function () {
+      const plan = await planImport();
+      await callAsUser(userId, 'collection.updateItem', itemId, { status: 'completed' });
+
+      const result = await callAsUser(userId, 'import.commitPlan', plan._id, []);
+
+      assert.strictEqual(result.updated, 0);
+      assert.strictEqual(result.games.find(game => game.name === ownedGame.title).reason, 'Changed since the preview');
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'completed');
+    });
+
+    it('records the IGDB match of updated items for review', async function () {
+      const plan = await planImport();
+      const match = { query: ownedGame.title, score: 70, candidates: [], needsReview: true };
+      await ImportPlans.updateAsync({ _id: plan._id, 'rows.name': ownedGame.title }, { $set: { 'rows.$.match': match } });
+
+      const result = await callAsUser(userId, 'import.commitPlan', plan._id, []);
+
+      assert.strictEqual(result.needsReview, 1);
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'playing');
+      assert.deepStrictEqual(item.igdbMatch, match);
+    });
+
+    it('cannot commit the same plan twice', async function () {
+      const plan = await planImport();
+      await callAsUser(userId, 'import.commitPlan', plan._id, []);
+
+      try {
+        await callAsUser(userId, 'import.commitPlan', plan._id, []);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'plan-not-found');
+      }
+    });
+
+    it('cannot commit another user\'s plan', async function () {
+      const plan = await planImport();
+
+      try {
+        await callAsUser(otherUserId, 'import.commitPlan', plan._id, []);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'plan-not-found');
+      }
+      assert.strictEqual(await ImportPlans.find({ userId }).countAsync(), 1);
+    });
+  });
+
+  describe('trashed games', function () {
+    beforeEach(async function () {
+      await CollectionItems.updateAsync(itemId, { $set: { deletedAt: new Date(), updatedAt: new Date() } });
+    });
+
+    it('plans to restore the trashed item instead of skipping it', async function () {
+      const plan = await callAsUser(userId, 'import.backlogBeacon', `Name,Status\n${ownedGame.title},playing`, { updateExisting: false });
+
+      const row = rowFor(plan, ownedGame.title);
+      assert.strictEqual(row.action, 'update');
+      assert.strictEqual(row.restore, true);
+      assert.deepStrictEqual(row.changes, [{ field: 'status', from: 'backlog', to: 'playing' }]);
+    });
+
+    it('brings the item back when the plan is committed', async function () {
+      const plan = await planImport();
+      const result = await callAsUser(userId, 'import.commitPlan', plan._id, []);
+
+      assert.strictEqual(result.updated, 1);
+      assert.strictEqual(result.games.find(game => game.name === ownedGame.title).reason, 'Restored from the trash');
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.deletedAt, undefined);
+      assert.strictEqual(item.status, 'playing');
+      assert.strictEqual(await CollectionItems.find({ userId, gameId: ownedGame._id }).countAsync(), 1);
+    });
+  });
+
+  describe('import.discardPlan', function () {
+    it('removes the plan without importing', async function () {
+      const plan = await planImport();
+      await callAsUser(userId, 'import.discardPlan', plan._id);
+
+      assert.strictEqual(await ImportPlans.find({ userId }).countAsync(), 0);
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.status, 'backlog');
+    });
+  });
+});
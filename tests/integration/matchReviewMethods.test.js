@@ -0,0 +1,177 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+describe('Match Review Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let guessedGame;
+  let rightGame;
+  let ownedGame;
+  let weakItemId;
+  let unmatchedItemId;
+
+  function igdbMatch(score, needsReview = true) {
+    return {
+      query: 'Imported Title',
+      score,
+      candidates: [{ igdbId: rightGame.igdbId, title: rightGame.title, releaseYear: 2024, coverImageId: null, score: score - 5 }],
+      needsReview
+    };
+  }
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    guessedGame = await createTestGame();
+    rightGame = await createTestGame();
+    ownedGame = await createTestGame();
+
+    weakItemId = await createTestCollectionItem(userId, guessedGame._id, { igdbMatch: igdbMatch(70) });
+    unmatchedItemId = await createTestCollectionItem(userId, null, { igdbMatch: { ...igdbMatch(60), score: null } });
+    await createTestCollectionItem(userId, ownedGame._id, { igdbMatch: igdbMatch(100, false) });
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: [guessedGame._id, rightGame._id, ownedGame._id] } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('matchReview.getQueue', function () {
+    it('lists items waiting for review, unmatched ones first', async function () {
+      const queue = await callAsUser(userId, 'matchReview.getQueue');
+
+      assert.deepStrictEqual(queue.map(item => item._id), [unmatchedItemId, weakItemId]);
+      assert.strictEqual(queue[1].igdbMatch.candidates[0].igdbId, rightGame.igdbId);
+    });
+
+    it('leaves out trashed items and other users\' items', async function () {
+      await CollectionItems.updateAsync(unmatchedItemId, { $set: { deletedAt: new Date() } });
+
+      const queue = await callAsUser(userId, 'matchReview.getQueue');
+      assert.deepStrictEqual(queue.map(item => item._id), [weakItemId]);
+
+      assert.deepStrictEqual(await callAsUser(otherUserId, 'matchReview.getQueue'), []);
+    });
+  });
+
+  describe('matchReview.confirm', function () {
+    it('takes the item out of the queue and keeps its game', async function () {
+      await callAsUser(userId, 'matchReview.confirm', weakItemId);
+
+      const item = await CollectionItems.findOneAsync(weakItemId);
+      assert.strictEqual(item.gameId, guessedGame._id);
+      assert.strictEqual(item.igdbMatch.needsReview, false);
+      assert.ok(item.igdbMatch.reviewedAt instanceof Date);
+      assert.strictEqual(item.igdbMatch.score, 70);
+    });
+
+    it('rejects items without a game', async function () {
+      try {
+        await callAsUser(userId, 'matchReview.confirm', unmatchedItemId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'no-match');
+      }
+    });
+
+    it('rejects another user\'s item', async function () {
+      try {
+        await callAsUser(otherUserId, 'matchReview.confirm', weakItemId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('matchReview.chooseGame', function () {
+    it('matches the item to the chosen game', async function () {
+      const gameId = await callAsUser(userId, 'matchReview.chooseGame', weakItemId, rightGame.igdbId);
+
+      assert.strictEqual(gameId, rightGame._id);
+      const item = await CollectionItems.findOneAsync(weakItemId);
+      assert.strictEqual(item.gameId, rightGame._id);
+      assert.strictEqual(item.igdbId, rightGame.igdbId);
+      assert.strictEqual(item.game.title, rightGame.title);
+      assert.strictEqual(item.igdbMatch.needsReview, false);
+    });
+
+    it('gives an unmatched item a game', async function () {
+      await callAsUser(userId, 'matchReview.chooseGame', unmatchedItemId, rightGame.igdbId);
+
+      const item = await CollectionItems.findOneAsync(unmatchedItemId);
+      assert.strictEqual(item.gameId, rightGame._id);
+      assert.strictEqual(item.game.title, rightGame.title);
+    });
+
+    it('rejects a game already in the collection', async function () {
+      try {
+        await callAsUser(userId, 'matchReview.chooseGame', weakItemId, ownedGame.igdbId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'duplicate-item');
+      }
+
+      const item = await CollectionItems.findOneAsync(weakItemId);
+      assert.strictEqual(item.gameId, guessedGame._id);
+      assert.strictEqual(item.igdbMatch.needsReview, true);
+    });
+
+    it('rejects a game whose item is in the trash', async function () {
+      await createTestCollectionItem(userId, rightGame._id, { deletedAt: new Date() });
+
+      try {
+        await callAsUser(userId, 'matchReview.chooseGame', weakItemId, rightGame.igdbId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'duplicate-item-in-trash');
+      }
+
+      const item = await CollectionItems.findOneAsync(weakItemId);
+      assert.strictEqual(item.gameId, guessedGame._id);
+    });
+  });
+
+  describe('matchReview.makeCustom', function () {
+    it('matches the item to a new custom game', async function () {
+      const gameId = await callAsUser(userId, 'matchReview.makeCustom', weakItemId, '  Imported Title  ');
+
+      const game = await Games.findOneAsync(gameId);
+      assert.strictEqual(game.ownerId, userId);
+      assert.strictEqual(game.title, 'Imported Title');
+      assert.deepStrictEqual(game.platforms, ['PC']);
+
+      const item = await CollectionItems.findOneAsync(weakItemId);
+      assert.strictEqual(item.gameId, gameId);
+      assert.strictEqual(item.igdbId, undefined);
+      assert.strictEqual(item.game.title, 'Imported Title');
+      assert.strictEqual(item.game.ownerId, userId);
+      assert.strictEqual(item.igdbMatch.needsReview, false);
+    });
+
+    it('rejects an empty title', async function () {
+      try {
+        await callAsUser(userId, 'matchReview.makeCustom', weakItemId, '   ');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-title');
+      }
+    });
+
+    it('rejects another user\'s item', async function () {
+      try {
+        await callAsUser(otherUserId, 'matchReview.makeCustom', weakItemId, 'Imported Title');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+      assert.strictEqual(await Games.find({ ownerId: otherUserId }).countAsync(), 0);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+describe('Play Session Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let game;
+  let itemId;
+
+  const session = (overrides = {}) => ({
+    date: new Date('2026-02-01T00:00:00Z'),
+    minutes: 90,
+    platform: 'Switch',
+    note: 'Beat the first boss',
+    ...overrides
+  });
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    game = await createTestGame();
+    itemId = await createTestCollectionItem(userId, game._id, { status: 'playing', hoursPlayed: 2 });
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync(game._id);
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('sessions.add and sessions.remove', function () {
+    it('adds sessions to the hours already played', async function () {
+      const result = await callAsUser(userId, 'sessions.add', itemId, session());
+
+      assert.strictEqual(result.hoursPlayed, 3.5);
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.hoursPlayed, 3.5);
+      assert.strictEqual(item.hoursBaseline, 2);
+      assert.strictEqual(item.playSessions[0].note, 'Beat the first boss');
+      assert.strictEqual(item.lastPlayed.toISOString(), '2026-02-01T00:00:00.000Z');
+
+      await callAsUser(userId, 'sessions.remove', itemId, result.session._id);
+      assert.strictEqual((await CollectionItems.findOneAsync(itemId)).hoursPlayed, 2);
+    });
+
+    it('keeps both sessions when two are added at the same time', async function () {
+      await Promise.all([
+        callAsUser(userId, 'sessions.add', itemId, session()),
+        callAsUser(userId, 'sessions.add', itemId, session({ minutes: 30 }))
+      ]);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.playSessions.length, 2);
+      assert.strictEqual(item.hoursPlayed, 4);
+    });
+
+    it('rejects sessions without a valid length', async function () {
+      try {
+        await callAsUser(userId, 'sessions.add', itemId, session({ minutes: 0 }));
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-duration');
+      }
+    });
+
+    it('rejects items of other users', async function () {
+      try {
+        await callAsUser(otherUserId, 'sessions.add', itemId, session());
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('sessions.update', function () {
+    it('changes a session and the total', async function () {
+      const { session: added } = await callAsUser(userId, 'sessions.add', itemId, session());
+
+      const result = await callAsUser(userId, 'sessions.update', itemId, added._id, { minutes: 30 });
+
+      assert.strictEqual(result.hoursPlayed, 2.5);
+      assert.strictEqual(result.session.platform, 'Switch');
+    });
+  });
+
+  describe('session timer', function () {
+    it('logs a session when stopped', async function () {
+      await callAsUser(userId, 'sessions.start', itemId, 'Switch');
+
+      try {
+        await callAsUser(userId, 'sessions.start', itemId, 'Switch');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'session-running');
+      }
+
+      const result = await callAsUser(userId, 'sessions.stop', itemId, 'Quick session');
+
+      assert.strictEqual(result.session.minutes, 1);
+      assert.strictEqual(result.session.platform, 'Switch');
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.activeSession, undefined);
+      assert.strictEqual(item.playSessions.length, 1);
+    });
+
+    it('rejects a platform too long to log', async function () {
+      try {
+        await callAsUser(userId, 'sessions.start', itemId, 'x'.repeat(101));
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-platform');
+      }
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.activeSession, undefined);
+    });
+
+    it('requires a running timer to stop', async function () {
+      try {
+        await callAsUser(userId, 'sessions.stop', itemId, '');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'no-session-running');
+      }
+    });
+  });
+
+  describe('playtime sources', function () {
+    it('keeps sessions when the total is edited', async function () {
+      await callAsUser(userId, 'sessions.add', itemId, session());
+
+      await callAsUser(userId, 'collection.updateItem', itemId, { hoursPlayed: 10 });
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.strictEqual(item.hoursPlayed, 10);
+      assert.strictEqual(item.hoursBaseline, 8.5);
+      assert.strictEqual(item.playSessions.length, 1);
+    });
+  });
+});
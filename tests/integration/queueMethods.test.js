@@ -0,0 +1,203 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { ItemHistory } from '../../imports/lib/collections/itemHistory.js';
+
+describe('Up Next Queue (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let games;
+  let itemIds;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+    games = [await createTestGame(), await createTestGame(), await createTestGame()];
+    itemIds = [];
+    for (const game of games) {
+      itemIds.push(await createTestCollectionItem(userId, game._id));
+    }
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: games.map(game => game._id) } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  async function queuedIds() {
+    const items = await callAsUser(userId, 'queue.getItems');
+    return items.map(item => item._id);
+  }
+
+  async function queueAll() {
+    for (const itemId of itemIds) {
+      await callAsUser(userId, 'queue.enqueue', itemId);
+    }
+  }
+
+  describe('queue.enqueue', function () {
+    it('adds items to the bottom or the top', async function () {
+      await callAsUser(userId, 'queue.enqueue', itemIds[0]);
+      await callAsUser(userId, 'queue.enqueue', itemIds[1]);
+      await callAsUser(userId, 'queue.enqueue', itemIds[2], 'top');
+
+      assert.deepStrictEqual(await queuedIds(), [itemIds[2], itemIds[0], itemIds[1]]);
+    });
+
+    it('leaves an item that is already queued where it is', async function () {
+      const rank = await callAsUser(userId, 'queue.enqueue', itemIds[0]);
+      await callAsUser(userId, 'queue.enqueue', itemIds[1]);
+
+      assert.strictEqual(await callAsUser(userId, 'queue.enqueue', itemIds[0], 'bottom'), rank);
+      assert.deepStrictEqual(await queuedIds(), [itemIds[0], itemIds[1]]);
+    });
+
+    it('rejects items of other users and unauthenticated calls', async function () {
+      try {
+        await callAsUser(otherUserId, 'queue.enqueue', itemIds[0]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+      try {
+        await callAsUser(null, 'queue.enqueue', itemIds[0]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+
+    it('rejects items in the trash', async function () {
+      await CollectionItems.updateAsync(itemIds[0], { $set: { deletedAt: new Date() } });
+      try {
+        await callAsUser(userId, 'queue.enqueue', itemIds[0]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'item-not-found');
+      }
+    });
+  });
+
+  describe('queue.move', function () {
+    beforeEach(async function () {
+      await queueAll();
+    });
+
+    it('moves an item above another', async function () {
+      await callAsUser(userId, 'queue.move', itemIds[2], itemIds[0]);
+      assert.deepStrictEqual(await queuedIds(), [itemIds[2], itemIds[0], itemIds[1]]);
+    });
+
+    it('moves an item to the bottom', async function () {
+      await callAsUser(userId, 'queue.move', itemIds[0], null);
+      assert.deepStrictEqual(await queuedIds(), [itemIds[1], itemIds[2], itemIds[0]]);
+    });
+
+    it('only writes the rank of the moved item', async function () {
+      const before = await CollectionItems.find({ _id: { $in: [itemIds[0], itemIds[1]] } }, { sort: { _id: 1 } }).fetchAsync();
+
+      await callAsUser(userId, 'queue.move', itemIds[2], itemIds[1]);
+
+      const after = await CollectionItems.find({ _id: { $in: [itemIds[0], itemIds[1]] } }, { sort: { _id: 1 } }).fetchAsync();
+      assert.deepStrictEqual(after.map(item => item.queueRank), before.map(item => item.queueRank));
+    });
+
+    it('keeps moves made from two devices', async function () {
+      // Each device moves a different item based on the order it last loaded
+      await callAsUser(userId, 'queue.move', itemIds[2], itemIds[0]);
+      await callAsUser(userId, 'queue.move', itemIds[0], null);
+
+      assert.deepStrictEqual(await queuedIds(), [itemIds[2], itemIds[1], itemIds[0]]);
+    });
+
+    it('moves to the bottom when the anchor left the queue', async function () {
+      await callAsUser(userId, 'queue.dequeue', itemIds[1]);
+      await callAsUser(userId, 'queue.move', itemIds[0], itemIds[1]);
+
+      assert.deepStrictEqual(await queuedIds(), [itemIds[2], itemIds[0]]);
+    });
+
+    it('respaces the queue when two items share a rank', async function () {
+      const first = await CollectionItems.findOneAsync(itemIds[0]);
+      await CollectionItems.updateAsync(itemIds[1], { $set: { queueRank: first.queueRank } });
+
+      // Moving between the two tied items leaves no rank to pick
+      const anchorId = (await queuedIds())[1];
+      await callAsUser(userId, 'queue.move', itemIds[2], anchorId);
+
+      const order = await queuedIds();
+      assert.strictEqual(order.length, 3);
+      assert.strictEqual(order[1], itemIds[2]);
+      assert.strictEqual(order[2], anchorId);
+      const ranks = (await CollectionItems.find({ _id: { $in: itemIds } }).fetchAsync()).map(item => item.queueRank);
+      assert.strictEqual(new Set(ranks).size, 3);
+    });
+
+    it('rejects items that are not queued', async function () {
+      await callAsUser(userId, 'queue.dequeue', itemIds[0]);
+      try {
+        await callAsUser(userId, 'queue.move', itemIds[0], null);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-queued');
+      }
+    });
+  });
+
+  describe('queue.getItems', function () {
+    it('leaves out items in the trash and of other users', async function () {
+      await queueAll();
+      const otherItemId = await createTestCollectionItem(otherUserId, games[0]._id, { queueRank: 'A' });
+      await CollectionItems.updateAsync(itemIds[1], { $set: { deletedAt: new Date() } });
+
+      const ids = await queuedIds();
+      assert.deepStrictEqual(ids, [itemIds[0], itemIds[2]]);
+      assert.ok(!ids.includes(otherItemId));
+    });
+  });
+
+  describe('queue.startPlaying', function () {
+    it('starts playing the item and takes it off the queue', async function () {
+      await queueAll();
+
+      await callAsUser(userId, 'queue.startPlaying', itemIds[0]);
+
+      const item = await CollectionItems.findOneAsync(itemIds[0]);
+      assert.strictEqual(item.status, 'playing');
+      assert.ok(item.dateStarted instanceof Date);
+      assert.strictEqual(item.queueRank, undefined);
+      assert.deepStrictEqual(await queuedIds(), [itemIds[1], itemIds[2]]);
+
+      const entry = await ItemHistory.findOneAsync({ itemId: itemIds[0] });
+      assert.ok(entry.changes.some(change => change.field === 'status' && change.to === 'playing'));
+    });
+
+    it('keeps an existing start date', async function () {
+      const dateStarted = new Date('2024-01-15');
+      await CollectionItems.updateAsync(itemIds[0], { $set: { dateStarted } });
+      await callAsUser(userId, 'queue.enqueue', itemIds[0]);
+
+      await callAsUser(userId, 'queue.startPlaying', itemIds[0]);
+
+      const item = await CollectionItems.findOneAsync(itemIds[0]);
+      assert.strictEqual(item.dateStarted.getTime(), dateStarted.getTime());
+    });
+  });
+
+  describe('queued filter', function () {
+    it('matches queued or unqueued items in the collection grid', async function () {
+      await callAsUser(userId, 'queue.enqueue', itemIds[1]);
+
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', { queued: true }), 1);
+      assert.strictEqual(await callAsUser(userId, 'collection.getCount', { queued: false }), 2);
+
+      const items = await callAsUser(userId, 'collection.getItemsChunk', { queued: true, sort: 'queue-asc' });
+      assert.deepStrictEqual(items.map(item => item._id), [itemIds[1]]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { cleanupUser } from '../helpers/testData.js';
+import { SavedViews } from '../../imports/lib/collections/savedViews.js';
+
+describe('Saved View Methods (Integration)', function () {
+  let userId;
+
+  const backlogView = {
+    name: 'Backlog on Switch',
+    filters: { status: 'backlog', platform: 'Nintendo Switch', sort: 'date-desc' },
+    viewMode: 'bookshelf',
+    bookshelfTheme: 'gray'
+  };
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await removeTestUser(userId);
+  });
+
+  describe('savedViews.create', function () {
+    it('stores the full filter set with defaults filled in', async function () {
+      const viewId = await callAsUser(userId, 'savedViews.create', backlogView);
+
+      const view = await SavedViews.findOneAsync(viewId);
+      assert.strictEqual(view.userId, userId);
+      assert.strictEqual(view.name, 'Backlog on Switch');
+      assert.strictEqual(view.viewMode, 'bookshelf');
+      assert.strictEqual(view.bookshelfTheme, 'gray');
+      assert.strictEqual(view.order, 0);
+      assert.strictEqual(view.isDefault, false);
+      assert.deepStrictEqual(view.filters, {
+        status: ['backlog'],
+        platform: ['Nintendo Switch'],
+        storefront: [],
+        genre: [],
+        yearMin: null,
+        yearMax: null,
+        hoursMin: null,
+        hoursMax: null,
+        favorite: null,
+        physical: null,
+        rated: null,
+        queued: null,
+        search: '',
+        tags: [],
+        tagMode: 'any',
+        sort: 'date-desc'
+      });
+    });
+
+    it('appends new views at the end', async function () {
+      await callAsUser(userId, 'savedViews.create', backlogView);
+      const secondId = await callAsUser(userId, 'savedViews.create', { ...backlogView, name: 'Second' });
+
+      const second = await SavedViews.findOneAsync(secondId);
+      assert.strictEqual(second.order, 1);
+    });
+
+    it('rejects an unknown view mode', async function () {
+      try {
+        await callAsUser(userId, 'savedViews.create', { ...backlogView, viewMode: 'carousel' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-view-mode');
+      }
+    });
+
+    it('stores multi-value and range filters', async function () {
+      const viewId = await callAsUser(userId, 'savedViews.create', {
+        ...backlogView,
+        filters: { status: ['backlog', 'playing'], genre: ['RPG'], yearMin: 2000, physical: false }
+      });
+
+      const view = await SavedViews.findOneAsync(viewId);
+      assert.deepStrictEqual(view.filters.status, ['backlog', 'playing']);
+      assert.deepStrictEqual(view.filters.genre, ['RPG']);
+      assert.strictEqual(view.filters.yearMin, 2000);
+      assert.strictEqual(view.filters.yearMax, null);
+      assert.strictEqual(view.filters.physical, false);
+    });
+
+    it('rejects an unknown sort order', async function () {
+      try {
+        await callAsUser(userId, 'savedViews.create', { ...backlogView, filters: { sort: 'price-desc' } });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-filters');
+      }
+    });
+
+    it('rejects an empty name', async function () {
+      try {
+        await callAsUser(userId, 'savedViews.create', { ...backlogView, name: '   ' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-name');
+      }
+    });
+  });
+
+  describe('savedViews.update', function () {
+    it('replaces the filters of a view', async function () {
+      const viewId = await callAsUser(userId, 'savedViews.create', backlogView);
+
+      await callAsUser(userId, 'savedViews.update', viewId, { filters: { favorite: true }, name: 'Favorites' });
+
+      const view = await SavedViews.findOneAsync(viewId);
+      assert.strictEqual(view.name, 'Favorites');
+      assert.strictEqual(view.filters.favorite, true);
+      assert.deepStrictEqual(view.filters.status, []);
+      assert.strictEqual(view.filters.sort, 'name-asc');
+    });
+
+    it('rejects updating another user view', async function () {
+      const viewId = await callAsUser(userId, 'savedViews.create', backlogView);
+      const otherUserId = await createTestUser();
+
+      try {
+        await callAsUser(otherUserId, 'savedViews.update', viewId, { name: 'Mine now' });
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      } finally {
+        await removeTestUser(otherUserId);
+      }
+    });
+  });
+
+  describe('savedViews.reorder', function () {
+    it('rewrites tab order', async function () {
+      const firstId = await callAsUser(userId, 'savedViews.create', backlogView);
+      const secondId = await callAsUser(userId, 'savedViews.create', { ...backlogView, name: 'Second' });
+
+      await callAsUser(userId, 'savedViews.reorder', [secondId, firstId]);
+
+      const views = await SavedViews.find({ userId }, { sort: { order: 1 } }).fetchAsync();
+      assert.deepStrictEqual(views.map(view => view._id), [secondId, firstId]);
+    });
+
+    it('rejects an order missing a view', async function () {
+      const firstId = await callAsUser(userId, 'savedViews.create', backlogView);
+      await callAsUser(userId, 'savedViews.create', { ...backlogView, name: 'Second' });
+
+      try {
+        await callAsUser(userId, 'savedViews.reorder', [firstId]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-order');
+      }
+    });
+  });
+
+  describe('savedViews.setDefault', function () {
+    it('keeps a single default view', async function () {
+      await callAsUser(userId, 'savedViews.create', { ...backlogView, isDefault: true });
+      const secondId = await callAsUser(userId, 'savedViews.create', { ...backlogView, name: 'Second' });
+
+      await callAsUser(userId, 'savedViews.setDefault', secondId);
+
+      const defaults = await SavedViews.find({ userId, isDefault: true }).fetchAsync();
+      assert.deepStrictEqual(defaults.map(view => view._id), [secondId]);
+    });
+
+    it('clears the default when passed null', async function () {
+      await callAsUser(userId, 'savedViews.create', { ...backlogView, isDefault: true });
+
+      await callAsUser(userId, 'savedViews.setDefault', null);
+
+      const defaultCount = await SavedViews.find({ userId, isDefault: true }).countAsync();
+      assert.strictEqual(defaultCount, 0);
+    });
+  });
+});
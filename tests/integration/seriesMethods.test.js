@@ -0,0 +1,84 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+// Not a real IGDB collection, so only the cached games below belong to it
+const SERIES_ID = 1999999001;
+
+describe('Series Methods (Integration)', function () {
+  let userId;
+  let otherUserId;
+  let games;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    otherUserId = await createTestUser();
+
+    const series = [{ igdbId: SERIES_ID, title: 'Test Series' }];
+    games = [
+      await createTestGame({ title: 'Test Series 2', releaseYear: 2005, series }),
+      await createTestGame({ title: 'Test Series 1', releaseYear: 2001, series }),
+      await createTestGame({ title: 'Test Series 3', releaseYear: 2010, series })
+    ];
+
+    await createTestCollectionItem(userId, games[0]._id, { status: 'completed' });
+    await createTestCollectionItem(userId, games[1]._id, { status: 'wishlist' });
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await cleanupUser(otherUserId);
+    await Games.removeAsync({ _id: { $in: games.map(game => game._id) } });
+    await removeTestUser(userId);
+    await removeTestUser(otherUserId);
+  });
+
+  describe('series.getMine', function () {
+    it('lists the series the user has games from', async function () {
+      const series = await callAsUser(userId, 'series.getMine');
+
+      assert.deepStrictEqual(series, [
+        { kind: 'series', igdbId: SERIES_ID, title: 'Test Series', itemCount: 2, ownedCount: 1, completedCount: 1 }
+      ]);
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'series.getMine');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+
+  describe('series.getEntries', function () {
+    it('lists every entry in release order with the user\'s status', async function () {
+      const series = await callAsUser(userId, 'series.getEntries', 'series', SERIES_ID);
+
+      assert.strictEqual(series.title, 'Test Series');
+      assert.deepStrictEqual(
+        series.entries.map(entry => [entry.game.title, entry.item?.status || null]),
+        [['Test Series 1', 'wishlist'], ['Test Series 2', 'completed'], ['Test Series 3', null]]
+      );
+      assert.strictEqual(series.owned, 1);
+      assert.strictEqual(series.completed, 1);
+    });
+
+    it('does not show other users\' items', async function () {
+      const series = await callAsUser(otherUserId, 'series.getEntries', 'series', SERIES_ID);
+
+      assert.ok(series.entries.every(entry => entry.item === null));
+    });
+
+    it('rejects unknown kinds', async function () {
+      try {
+        await callAsUser(userId, 'series.getEntries', 'genre', SERIES_ID);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 400);
+      }
+    });
+  });
+});
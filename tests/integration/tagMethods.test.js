@@ -0,0 +1,168 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { CollectionItems } from '../../imports/lib/collections/collectionItems.js';
+import { Games } from '../../imports/lib/collections/games.js';
+import { Tags } from '../../imports/lib/collections/tags.js';
+
+describe('Tag Methods (Integration)', function () {
+  let userId;
+  let game;
+  let itemId;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    game = await createTestGame();
+    itemId = await createTestCollectionItem(userId, game._id);
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await Games.removeAsync(game._id);
+    await removeTestUser(userId);
+  });
+
+  describe('collection.setTags', function () {
+    it('sets tags and creates them in the vocabulary', async function () {
+      const tags = await callAsUser(userId, 'collection.setTags', itemId, ['Co-op', '  Short  ']);
+      assert.deepStrictEqual(tags, ['Co-op', 'Short']);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.deepStrictEqual(item.tags, ['Co-op', 'Short']);
+
+      const tagCount = await Tags.find({ userId }).countAsync();
+      assert.strictEqual(tagCount, 2);
+    });
+
+    it('reuses the existing spelling of a tag', async function () {
+      await callAsUser(userId, 'tags.create', 'Co-op');
+      const tags = await callAsUser(userId, 'collection.setTags', itemId, ['CO-OP', 'co-op']);
+      assert.deepStrictEqual(tags, ['Co-op']);
+    });
+
+    it('rejects tagging another user item', async function () {
+      const otherUserId = await createTestUser();
+      try {
+        await callAsUser(otherUserId, 'collection.setTags', itemId, ['Mine']);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      } finally {
+        await cleanupUser(otherUserId);
+        await removeTestUser(otherUserId);
+      }
+    });
+
+    it('rejects overly long tag names', async function () {
+      try {
+        await callAsUser(userId, 'collection.setTags', itemId, ['x'.repeat(41)]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-tag');
+      }
+    });
+  });
+
+  describe('tags.create', function () {
+    it('rejects a duplicate name regardless of case', async function () {
+      await callAsUser(userId, 'tags.create', 'Cozy');
+      try {
+        await callAsUser(userId, 'tags.create', 'cozy');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'tag-exists');
+      }
+    });
+  });
+
+  describe('tags.rename', function () {
+    it('renames the tag on every item', async function () {
+      await callAsUser(userId, 'collection.setTags', itemId, ['Coop', 'Short']);
+      const tag = await Tags.findOneAsync({ userId, normalizedName: 'coop' });
+
+      await callAsUser(userId, 'tags.rename', tag._id, 'Co-op');
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.deepStrictEqual(item.tags, ['Co-op', 'Short']);
+      const renamed = await Tags.findOneAsync(tag._id);
+      assert.strictEqual(renamed.name, 'Co-op');
+    });
+
+    it('rejects renaming onto another tag', async function () {
+      await callAsUser(userId, 'collection.setTags', itemId, ['Coop', 'Short']);
+      const tag = await Tags.findOneAsync({ userId, normalizedName: 'coop' });
+
+      try {
+        await callAsUser(userId, 'tags.rename', tag._id, 'short');
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'tag-exists');
+      }
+    });
+  });
+
+  describe('tags.merge', function () {
+    it('moves items to the target tag and removes the source', async function () {
+      const otherGame = await createTestGame();
+      const otherItemId = await createTestCollectionItem(userId, otherGame._id);
+      await callAsUser(userId, 'collection.setTags', itemId, ['Coop', 'Co-op']);
+      await callAsUser(userId, 'collection.setTags', otherItemId, ['Coop']);
+      const source = await Tags.findOneAsync({ userId, normalizedName: 'coop' });
+      const target = await Tags.findOneAsync({ userId, normalizedName: 'co-op' });
+
+      await callAsUser(userId, 'tags.merge', source._id, target._id);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      const otherItem = await CollectionItems.findOneAsync(otherItemId);
+      assert.deepStrictEqual(item.tags, ['Co-op']);
+      assert.deepStrictEqual(otherItem.tags, ['Co-op']);
+      assert.strictEqual(await Tags.findOneAsync(source._id), undefined);
+
+      await Games.removeAsync(otherGame._id);
+    });
+  });
+
+  describe('tags.delete', function () {
+    it('removes the tag from items', async function () {
+      await callAsUser(userId, 'collection.setTags', itemId, ['Cozy', 'Short']);
+      const tag = await Tags.findOneAsync({ userId, normalizedName: 'cozy' });
+
+      await callAsUser(userId, 'tags.delete', tag._id);
+
+      const item = await CollectionItems.findOneAsync(itemId);
+      assert.deepStrictEqual(item.tags, ['Short']);
+      assert.strictEqual(await Tags.findOneAsync(tag._id), undefined);
+    });
+
+    it('rejects deleting another user tag', async function () {
+      const tagId = await callAsUser(userId, 'tags.create', 'Cozy');
+      const otherUserId = await createTestUser();
+      try {
+        await callAsUser(otherUserId, 'tags.delete', tagId);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      } finally {
+        await removeTestUser(otherUserId);
+      }
+    });
+  });
+
+  describe('tag filters', function () {
+    it('filters by any or all tags', async function () {
+      const otherGame = await createTestGame();
+      const otherItemId = await createTestCollectionItem(userId, otherGame._id);
+      await callAsUser(userId, 'collection.setTags', itemId, ['Co-op', 'Short']);
+      await callAsUser(userId, 'collection.setTags', otherItemId, ['Co-op']);
+
+      const anyCount = await callAsUser(userId, 'collection.getCount', { tagsAny: ['Short', 'Co-op'] });
+      assert.strictEqual(anyCount, 2);
+
+      const allItems = await callAsUser(userId, 'collection.getItemsChunk', { tagsAll: ['Short', 'Co-op'] });
+      assert.strictEqual(allItems.length, 1);
+      assert.strictEqual(allItems[0]._id, itemId);
+
+      await Games.removeAsync(otherGame._id);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'assert';
+import { createTestUser, callAsUser, removeTestUser } from '../helpers/testUser.js';
+import { createTestGame, createTestCollectionItem, cleanupUser } from '../helpers/testData.js';
+import { Games } from '../../imports/lib/collections/games.js';
+
+describe('Year Review Methods (Integration)', function () {
+  let userId;
+  let game;
+  const currentYear = new Date().getUTCFullYear();
+  const lastYear = currentYear - 1;
+
+  beforeEach(async function () {
+    userId = await createTestUser();
+    game = await createTestGame();
+  });
+
+  afterEach(async function () {
+    await cleanupUser(userId);
+    await Games.removeAsync(game._id);
+    await removeTestUser(userId);
+  });
+
+  describe('statistics.getYearReview', function () {
+    it('summarizes the activity of one year', async function () {
+      const itemId = await createTestCollectionItem(userId, game._id, {
+        status: 'completed',
+        rating: 80,
+        platforms: ['Switch'],
+        dateAdded: new Date(Date.UTC(lastYear - 3, 0, 1)),
+        dateStarted: new Date(Date.UTC(lastYear, 1, 10)),
+        dateCompleted: new Date(Date.UTC(lastYear, 2, 5)),
+        playSessions: [
+          { _id: 's1', date: new Date(Date.UTC(lastYear, 1, 10)), minutes: 120, createdAt: new Date() },
+          { _id: 's2', date: new Date(Date.UTC(currentYear, 0, 2)), minutes: 60, createdAt: new Date() }
+        ]
+      });
+      await createTestCollectionItem(userId, game._id, { dateAdded: new Date(Date.UTC(lastYear, 5, 1)) });
+      await createTestCollectionItem(userId, game._id, {
+        dateAdded: new Date(Date.UTC(lastYear, 6, 1)),
+        deletedAt: new Date()
+      });
+
+      const review = await callAsUser(userId, 'statistics.getYearReview', lastYear);
+
+      assert.deepStrictEqual(review.totals, { added: 1, started: 1, completed: 1, abandoned: 0, hours: 2, sessions: 1 });
+      assert.strictEqual(review.months[2].completed, 1);
+      assert.deepStrictEqual(review.topRated.map(entry => entry.itemId), [itemId]);
+      assert.strictEqual(review.topPlatform.name, 'Switch');
+      assert.strictEqual(review.longestWait.itemId, itemId);
+    });
+
+    it('counts games abandoned during the year from their history', async function () {
+      const itemId = await createTestCollectionItem(userId, game._id, { status: 'playing' });
+      await callAsUser(userId, 'collection.updateItem', itemId, { status: 'abandoned' });
+
+      const review = await callAsUser(userId, 'statistics.getYearReview', currentYear);
+
+      assert.strictEqual(review.totals.abandoned, 1);
+      assert.strictEqual(review.months[new Date().getUTCMonth()].abandoned, 1);
+    });
+
+    it('rejects years in the future', async function () {
+      try {
+        await callAsUser(userId, 'statistics.getYearReview', currentYear + 1);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'invalid-year');
+      }
+    });
+
+    it('requires login', async function () {
+      try {
+        await callAsUser(null, 'statistics.getYearReview', currentYear);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'not-authorized');
+      }
+    });
+  });
+});
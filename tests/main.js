@@ -17,6 +17,19 @@ describe("backlog_beacon", function () {
   if (Meteor.isServer) {
     // Import server methods so they're registered during tests
     require('../server/methods.js');
+    require('../server/methods/tagMethods.js');
+    require('../server/methods/savedViewMethods.js');
+    require('../server/methods/bulkMethods.js');
+    require('../server/methods/historyMethods.js');
+    require('../server/methods/queueMethods.js');
+    require('../server/methods/duplicateMethods.js');
+    require('../server/methods/matchReviewMethods.js');
+    require('../server/methods/gameRelationMethods.js');
+    require('../server/methods/seriesMethods.js');
+    require('../server/methods/playSessionMethods.js');
+    require('../server/methods/goalMethods.js');
+    require('../server/methods/yearReviewMethods.js');
+    require('../server/methods/importMethods.js');
 
     // Unit tests
     require('./unit/csvParser.test.js');
@@ -26,10 +39,42 @@ describe("backlog_beacon", function () {
     require('./unit/gameHelpers.test.js');
     require('./unit/coverHelpers.test.js');
     require('./unit/validation.test.js');
+    require('./unit/searchQuery.test.js');
+    require('./unit/itemHistory.test.js');
+    require('./unit/ratings.test.js');
+    require('./unit/ownedCopies.test.js');
+    require('./unit/collectionSort.test.js');
+    require('./unit/collectionFilters.test.js');
+    require('./unit/queueRanks.test.js');
+    require('./unit/recommender.test.js');
+    require('./unit/duplicates.test.js');
+    require('./unit/gameRelations.test.js');
+    require('./unit/series.test.js');
+    require('./unit/timeToBeat.test.js');
+    require('./unit/playSessions.test.js');
+    require('./unit/goals.test.js');
+    require('./unit/yearReview.test.js');
+    require('./unit/timeSeriesStats.test.js');
+    require('./unit/backup.test.js');
+    require('./unit/matchReview.test.js');
 
     // Integration tests
     require('./integration/collectionMethods.test.js');
     require('./integration/exportMethod.test.js');
+    require('./integration/tagMethods.test.js');
+    require('./integration/savedViewMethods.test.js');
+    require('./integration/bulkMethods.test.js');
+    require('./integration/historyMethods.test.js');
+    require('./integration/queueMethods.test.js');
+    require('./integration/duplicateMethods.test.js');
+    require('./integration/matchReviewMethods.test.js');
+    require('./integration/gameRelationMethods.test.js');
+    require('./integration/seriesMethods.test.js');
+    require('./integration/playSessionMethods.test.js');
+    require('./integration/goalMethods.test.js');
+    require('./integration/yearReviewMethods.test.js');
+    require('./integration/backupMethods.test.js');
+    require('./integration/importPlanMethods.test.js');
 
     it("server is not client", function () {
       assert.strictEqual(Meteor.isClient, false);
@@ -0,0 +1,121 @@
+import assert from 'assert';
+import { EJSON } from 'meteor/ejson';
+import { parseBackup, itemMatchKey, BACKUP_FORMAT, BACKUP_VERSION } from '../../server/lib/backup.js';
+
+describe('Backup', function () {
+  const backupContent = (overrides = {}) => EJSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    items: [{ _id: 'item1', igdbId: 1942, status: 'backlog', game: { title: 'The Witcher 3' } }],
+    ...overrides
+  });
+
+  describe('parseBackup', function () {
+    it('fills in missing sections and keeps dates', function () {
+      const backup = parseBackup(backupContent({
+        items: [{ _id: 'item1', igdbId: 1942, status: 'completed', dateCompleted: new Date('2025-03-01T00:00:00Z') }]
+      }));
+
+      assert.deepStrictEqual(backup.preferences, {});
+      assert.deepStrictEqual(backup.customGames, []);
+      assert.deepStrictEqual(backup.tags, []);
+      assert.deepStrictEqual(backup.history, []);
+      assert.ok(backup.items[0].dateCompleted instanceof Date);
+    });
+
+    it('rejects files that are not backups', function () {
+      const cases = [
+        'not json',
+        JSON.stringify({ format: 'something-else', version: 1 }),
+        JSON.stringify([1, 2, 3]),
+        backupContent({ version: 'one' }),
+        backupContent({ tags: 'action' }),
+        backupContent({ customGames: [{ _id: 'custom1', title: ' ' }] }),
+        backupContent({ items: [{ _id: 'item1', igdbId: 1942, status: 'finished' }] }),
+        backupContent({ items: [{ _id: 'item1', status: 'backlog' }] }),
+        backupContent({ items: [{ _id: 'item1', igdbId: 1942, status: 'backlog', playSessions: {} }] }),
+        backupContent({ items: [{ _id: 'item1', gameId: 'custom1', status: 'backlog', game: { ownerId: 'user1', title: 'Mine' } }] })
+      ];
+
+      for (const content of cases) {
+        try {
+          parseBackup(content);
+          assert.fail('Should have thrown');
+        } catch (error) {
+          assert.strictEqual(error.error, 'invalid-backup');
+        }
+      }
+    });
+
+    it('rejects records the methods would not accept', function () {
+      const item = (fields) => ({ _id: 'item1', igdbId: 1942, status: 'backlog', game: { title: 'The Witcher 3' }, ...fields });
+      const cases = [
+        { items: [item({ rating: 7 })] },
+        { items: [item({ hoursPlayed: -3 })] },
+        { items: [item({ dateAdded: 'yesterday' })] },
+        { items: [item({ deletedAt: { when: 'now' } })] },
+        { items: [item({ favorite: 'yes' })] },
+        { items: [item({ notes: 'x'.repeat(10001) })] },
+        { items: [item({ tags: ['ok', 42] })] },
+        { items: [item({ ownedCopies: [{ _id: 'copy1', platform: 'PC', price: 20 }] })] },
+        { items: [item({ playthroughs: [{ _id: 'run1', outcome: 'won' }] })] },
+        { items: [item({ playSessions: [{ _id: 'session1', date: new Date('2025-01-01T00:00:00Z'), minutes: 0 }] })] },
+        { items: [item({ igdbId: 'witcher' })] },
+        { customGames: [{ _id: 'custom1', title: 'Mine', releaseYear: 'soon' }] },
+        { savedViews: [{ name: 'Backlog', viewMode: 'carousel' }] },
+        { savedViews: [{ name: 'Backlog', viewMode: 'pages', filters: { sort: 'loudest' } }] },
+        { goals: [{ year: 2026, type: 'complete-everything', target: 5 }] },
+        { history: [{ itemId: 'item1', type: 'updated', changes: 'status', createdAt: new Date() }] }
+      ];
+
+      for (const overrides of cases) {
+        try {
+          parseBackup(backupContent(overrides));
+          assert.fail('Should have thrown');
+        } catch (error) {
+          assert.strictEqual(error.error, 'invalid-backup', EJSON.stringify(overrides));
+        }
+      }
+    });
+
+    it('accepts records with valid details', function () {
+      const backup = parseBackup(backupContent({
+        items: [{
+          _id: 'item1',
+          igdbId: 1942,
+          status: 'completed',
+          game: { title: 'The Witcher 3' },
+          rating: 4.5,
+          hoursPlayed: 120,
+          favorite: true,
+          tags: ['RPG'],
+          ownedCopies: [{ _id: 'copy1', platform: 'PC', format: 'digital', price: 29.99, currency: 'USD' }],
+          playthroughs: [{ _id: 'run1', outcome: 'completed', hoursPlayed: 120 }],
+          playSessions: [{ _id: 'session1', date: new Date('2025-01-01T00:00:00Z'), minutes: 90, note: '' }]
+        }],
+        savedViews: [{ name: 'Backlog', viewMode: 'pages', filters: { status: ['backlog'] } }],
+        history: [{ itemId: 'item1', type: 'added', changes: [], createdAt: new Date('2025-01-01T00:00:00Z') }]
+      }));
+
+      assert.strictEqual(backup.items.length, 1);
+      assert.strictEqual(backup.savedViews.length, 1);
+    });
+
+    it('rejects backups from a newer format version', function () {
+      try {
+        parseBackup(backupContent({ version: BACKUP_VERSION + 1 }));
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'unsupported-backup-version');
+      }
+    });
+  });
+
+  describe('itemMatchKey', function () {
+    it('matches IGDB games by ID and custom games by title', function () {
+      assert.strictEqual(itemMatchKey({ igdbId: 1942, game: { title: 'The Witcher 3' } }), 'igdb:1942');
+      assert.strictEqual(itemMatchKey({ gameId: 'custom1', game: { ownerId: 'user1', title: ' My Game ' } }), 'title:my game');
+      assert.strictEqual(itemMatchKey({ game: { title: 'Unknown' } }), 'title:unknown');
+    });
+  });
+});
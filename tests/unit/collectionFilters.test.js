@@ -0,0 +1,56 @@
+import assert from 'assert';
+import { buildCollectionMatch } from '../../server/lib/collectionFilters.js';
+
+describe('Collection Filters', function () {
+  describe('buildCollectionMatch', function () {
+    it('matches only the user and items outside the trash by default', function () {
+      assert.deepStrictEqual(buildCollectionMatch('user1'), { userId: 'user1', deletedAt: null });
+    });
+
+    it('accepts a single value or a list for list filters', function () {
+      const match = buildCollectionMatch('user1', {
+        status: 'backlog',
+        platform: ['PC', 'Switch'],
+        storefront: ['steam'],
+        genre: ['RPG', 'Puzzle']
+      });
+      assert.strictEqual(match.status, 'backlog');
+      assert.deepStrictEqual(match.platforms, { $in: ['PC', 'Switch'] });
+      assert.strictEqual(match.storefronts, 'steam');
+      assert.deepStrictEqual(match['game.genres'], { $in: ['RPG', 'Puzzle'] });
+    });
+
+    it('ignores empty lists', function () {
+      const match = buildCollectionMatch('user1', { status: [], genre: [] });
+      assert.strictEqual(match.status, undefined);
+      assert.strictEqual(match['game.genres'], undefined);
+    });
+
+    it('builds inclusive ranges with open ends', function () {
+      const match = buildCollectionMatch('user1', { yearMin: 2000, yearMax: 2010, hoursMax: 5 });
+      assert.deepStrictEqual(match['game.releaseYear'], { $gte: 2000, $lte: 2010 });
+      assert.deepStrictEqual(match.hoursPlayed, { $lte: 5 });
+    });
+
+    it('filters on the time-to-beat estimate', function () {
+      const match = buildCollectionMatch('user1', { beatMax: 10 });
+      assert.deepStrictEqual(match['game.hoursToBeat'], { $lte: 10 });
+    });
+
+    it('rejects negative ranges', function () {
+      assert.throws(() => buildCollectionMatch('user1', { hoursMin: -1 }), { error: 'invalid-filters' });
+    });
+
+    it('filters physical or digital and rated or unrated', function () {
+      assert.deepStrictEqual(buildCollectionMatch('user1', { physical: false }).physical, { $ne: true });
+      assert.strictEqual(buildCollectionMatch('user1', { physical: true }).physical, true);
+      assert.deepStrictEqual(buildCollectionMatch('user1', { rated: true }).rating, { $gt: 0 });
+      assert.deepStrictEqual(buildCollectionMatch('user1', { rated: false }).rating, { $not: { $gt: 0 } });
+    });
+
+    it('filters items in or out of the Up Next queue', function () {
+      assert.deepStrictEqual(buildCollectionMatch('user1', { queued: true }).queueRank, { $type: 'string' });
+      assert.strictEqual(buildCollectionMatch('user1', { queued: false }).queueRank, null);
+    });
+  });
+});
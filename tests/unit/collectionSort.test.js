@@ -0,0 +1,62 @@
+import assert from 'assert';
+import { parseSort, buildSortStages, seededOrder } from '../../server/lib/collectionSort.js';
+
+describe('Collection Sort', function () {
+  describe('parseSort', function () {
+    it('splits key and direction', function () {
+      assert.deepStrictEqual(parseSort('igdb-rating-desc'), { key: 'igdb-rating', direction: -1, random: false });
+      assert.deepStrictEqual(parseSort('hours-asc'), { key: 'hours', direction: 1, random: false });
+    });
+
+    it('falls back to name order for unknown sorts', function () {
+      assert.deepStrictEqual(parseSort('price-desc'), { key: 'name', direction: 1, random: false });
+      assert.deepStrictEqual(parseSort(undefined), { key: 'name', direction: 1, random: false });
+    });
+
+    it('recognizes the random sort', function () {
+      assert.strictEqual(parseSort('random').random, true);
+    });
+  });
+
+  describe('buildSortStages', function () {
+    it('ends every sort with _id as tiebreaker', function () {
+      for (const sort of ['name-asc', 'date-desc', 'rating-asc', 'rating-desc', 'completed-asc']) {
+        const stages = buildSortStages(sort);
+        const sortKeys = Object.keys(stages[stages.length - 1].$sort);
+        assert.strictEqual(sortKeys[sortKeys.length - 1], '_id', sort);
+      }
+    });
+
+    it('sorts descending directly on the field', function () {
+      assert.deepStrictEqual(buildSortStages('rating-desc'), [{ $sort: { rating: -1, _id: -1 } }]);
+    });
+
+    it('puts missing values last when ascending', function () {
+      const stages = buildSortStages('release-asc');
+      assert.strictEqual(stages.length, 2);
+      assert.deepStrictEqual(stages[1], { $sort: { sortMissing: 1, 'game.releaseYear': 1, _id: 1 } });
+    });
+  });
+
+  describe('seededOrder', function () {
+    const ids = ['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7', 'h8'];
+
+    it('returns the same order for the same seed', function () {
+      assert.deepStrictEqual(seededOrder(ids, 'seed'), seededOrder([...ids].reverse(), 'seed'));
+    });
+
+    it('keeps every id', function () {
+      assert.deepStrictEqual([...seededOrder(ids, 'seed')].sort(), ids);
+    });
+
+    it('orders differently for another seed', function () {
+      assert.notDeepStrictEqual(seededOrder(ids, 'one'), seededOrder(ids, 'two'));
+    });
+
+    it('keeps the relative order of the other ids when one is removed', function () {
+      const full = seededOrder(ids, 'seed');
+      const without = seededOrder(ids.filter(id => id !== 'c3'), 'seed');
+      assert.deepStrictEqual(without, full.filter(id => id !== 'c3'));
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import assert from 'assert';
-import { escapeCSV, formatDate, escapeRegex } from '../../server/imports/csvExport.js';
+import { escapeCSV, formatDate, escapeRegex, parseCSVRating, getCSVRatingScale, toCSVRating } from '../../server/imports/csvExport.js';
 
 describe('CSV Export Helpers', function () {
   describe('escapeCSV', function () {
@@ -89,4 +89,54 @@ describe('CSV Export Helpers', function () {
       assert.strictEqual(result, 'file\\.name \\(v2\\)');
     });
   });
+
+  describe('parseCSVRating', function () {
+    it('returns null for an empty cell', function () {
+      assert.strictEqual(parseCSVRating('', 'stars'), null);
+    });
+
+    it('keeps whole-star ratings unchanged', function () {
+      assert.strictEqual(parseCSVRating('4', 'stars'), 4);
+    });
+
+    it('converts 10-point and 100-point ratings to stars', function () {
+      assert.strictEqual(parseCSVRating('7', 'ten-point'), 3.5);
+      assert.strictEqual(parseCSVRating('87', 'hundred-point'), 4.35);
+    });
+
+    it('drops ratings that do not fit the scale', function () {
+      assert.strictEqual(parseCSVRating('7', 'stars'), null);
+      assert.strictEqual(parseCSVRating('3.5', 'stars'), null);
+      assert.strictEqual(parseCSVRating('great', 'stars'), null);
+    });
+  });
+
+  describe('toCSVRating', function () {
+    it('writes ratings that fit the user\'s scale on that scale', function () {
+      assert.deepStrictEqual(toCSVRating(4, 'stars'), { value: 4, scale: 'stars' });
+      assert.deepStrictEqual(toCSVRating(3.5, 'ten-point'), { value: 7, scale: 'ten-point' });
+    });
+
+    it('writes other ratings on the 100-point scale so they import unchanged', function () {
+      const { value, scale } = toCSVRating(3.5, 'stars');
+
+      assert.deepStrictEqual({ value, scale }, { value: 70, scale: 'hundred-point' });
+      assert.strictEqual(parseCSVRating(String(value), getCSVRatingScale({ 'Rating Scale': scale })), 3.5);
+    });
+
+    it('leaves both cells empty without a rating', function () {
+      assert.deepStrictEqual(toCSVRating(null, 'stars'), { value: '', scale: '' });
+    });
+  });
+
+  describe('getCSVRatingScale', function () {
+    it('reads the Rating Scale column', function () {
+      assert.strictEqual(getCSVRatingScale({ 'Rating Scale': 'ten-point' }), 'ten-point');
+    });
+
+    it('treats files without the column as whole stars', function () {
+      assert.strictEqual(getCSVRatingScale({ Rating: '4' }), 'stars');
+      assert.strictEqual(getCSVRatingScale({ 'Rating Scale': 'bogus' }), 'stars');
+    });
+  });
 });
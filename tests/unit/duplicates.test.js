@@ -0,0 +1,181 @@
+import assert from 'assert';
+import {
+  duplicateTitleKey,
+  findDuplicatePairs,
+  mergeItemFields,
+  suggestKeeper
+} from '../../server/lib/duplicates.js';
+
+function item(_id, title, overrides = {}) {
+  return {
+    _id,
+    igdbId: null,
+    game: { title, releaseYear: null, ownerId: null },
+    status: 'backlog',
+    ...overrides
+  };
+}
+
+describe('Duplicates', function () {
+  describe('duplicateTitleKey', function () {
+    it('ignores case and punctuation', function () {
+      assert.strictEqual(duplicateTitleKey('Hollow Knight!'), duplicateTitleKey('hollow knight'));
+    });
+
+    it('drops edition suffixes', function () {
+      const key = duplicateTitleKey('The Witcher 3: Wild Hunt');
+      assert.strictEqual(duplicateTitleKey('The Witcher 3: Wild Hunt - Game of the Year Edition'), key);
+      assert.strictEqual(duplicateTitleKey('The Witcher 3: Wild Hunt GOTY'), key);
+      assert.strictEqual(duplicateTitleKey('The Witcher 3: Wild Hunt Complete Edition'), key);
+      assert.strictEqual(duplicateTitleKey("Death Stranding Director's Cut"), duplicateTitleKey('Death Stranding'));
+    });
+
+    it('keeps titles that are only an edition word', function () {
+      assert.strictEqual(duplicateTitleKey('Ultimate'), 'ultimate');
+    });
+  });
+
+  describe('findDuplicatePairs', function () {
+    it('pairs items of the same IGDB game', function () {
+      const pairs = findDuplicatePairs([
+        item('a', 'Celeste', { igdbId: 26226 }),
+        item('b', 'Celeste (Steam)', { igdbId: 26226 }),
+        item('c', 'Hades', { igdbId: 113112 })
+      ]);
+
+      assert.deepStrictEqual(pairs, [{ itemIds: ['a', 'b'], reason: 'same-igdb-game' }]);
+    });
+
+    it('pairs matching titles when release years agree or are unknown', function () {
+      const pairs = findDuplicatePairs([
+        item('a', 'Doom', { game: { title: 'Doom', releaseYear: 1993 } }),
+        item('b', 'DOOM', { game: { title: 'DOOM', releaseYear: 2016 } }),
+        item('c', 'Doom', { game: { title: 'Doom', releaseYear: null } })
+      ]);
+
+      assert.deepStrictEqual(pairs.map(pair => pair.itemIds), [['a', 'c'], ['b', 'c']]);
+      assert.ok(pairs.every(pair => pair.reason === 'same-title'));
+    });
+
+    it('reports a pair once, as the same IGDB game', function () {
+      const pairs = findDuplicatePairs([
+        item('a', 'Celeste', { igdbId: 26226 }),
+        item('b', 'Celeste', { igdbId: 26226 })
+      ]);
+
+      assert.strictEqual(pairs.length, 1);
+      assert.strictEqual(pairs[0].reason, 'same-igdb-game');
+    });
+
+    it('leaves editions linked to their base game out', function () {
+      const pairs = findDuplicatePairs([
+        item('a', 'Hades', { igdbId: 113112 }),
+        item('b', 'Hades Deluxe Edition', { igdbId: 200000, game: { title: 'Hades Deluxe Edition', editionOf: 113112 } })
+      ]);
+
+      assert.deepStrictEqual(pairs, []);
+    });
+
+    it('skips pairs marked as not duplicates', function () {
+      const pairs = findDuplicatePairs([
+        item('a', 'Celeste', { notDuplicateOf: ['b'] }),
+        item('b', 'Celeste')
+      ]);
+
+      assert.deepStrictEqual(pairs, []);
+    });
+  });
+
+  describe('mergeItemFields', function () {
+    const keeper = item('a', 'Celeste', {
+      status: 'playing',
+      rating: null,
+      hoursPlayed: 4,
+      notes: 'Chapter 3',
+      tags: ['indie'],
+      dateAdded: new Date('2022-01-01'),
+      dateCompleted: null,
+      ownedCopies: [{ _id: 'c1', platform: 'PC', storefront: 'steam', format: 'digital' }],
+      playthroughs: [{ _id: 'p1' }]
+    });
+    const loser = item('b', 'Celeste', {
+      status: 'completed',
+      rating: 4.5,
+      hoursPlayed: 12,
+      notes: 'Great soundtrack',
+      tags: ['indie', 'platformer'],
+      favorite: true,
+      dateAdded: new Date('2020-05-01'),
+      dateCompleted: new Date('2021-02-01'),
+      ownedCopies: [
+        { _id: 'c2', platform: 'PC', storefront: 'steam', format: 'digital' },
+        { _id: 'c3', platform: 'Switch', storefront: null, format: 'physical' }
+      ],
+      playthroughs: [{ _id: 'p2' }],
+      queueRank: 'V'
+    });
+
+    it('combines fields under the merge rules', function () {
+      const fields = mergeItemFields(keeper, loser);
+
+      assert.strictEqual(fields.status, 'completed');
+      assert.strictEqual(fields.rating, 4.5);
+      assert.strictEqual(fields.hoursPlayed, 12);
+      assert.strictEqual(fields.dateAdded.getTime(), new Date('2020-05-01').getTime());
+      assert.strictEqual(fields.dateCompleted.getTime(), new Date('2021-02-01').getTime());
+      assert.strictEqual(fields.notes, 'Chapter 3\n\nGreat soundtrack');
+      assert.deepStrictEqual(fields.tags, ['indie', 'platformer']);
+      assert.strictEqual(fields.favorite, true);
+      assert.strictEqual(fields.queueRank, 'V');
+      assert.deepStrictEqual(fields.playthroughs.map(entry => entry._id), ['p1', 'p2']);
+    });
+
+    it('keeps the editions and DLC owned on either item', function () {
+      const fields = mergeItemFields(
+        { ...keeper, ownedEditions: [101], ownedDlc: [201, 202] },
+        { ...loser, ownedEditions: [102, 101], ownedDlc: [202] }
+      );
+
+      assert.deepStrictEqual(fields.ownedEditions, [101, 102]);
+      assert.deepStrictEqual(fields.ownedDlc, [201, 202]);
+    });
+
+    it('leaves owned editions and DLC empty when neither item has any', function () {
+      const fields = mergeItemFields(keeper, loser);
+
+      assert.deepStrictEqual(fields.ownedEditions, []);
+      assert.deepStrictEqual(fields.ownedDlc, []);
+    });
+
+    it('keeps one copy per platform and storefront, the kept item first', function () {
+      const fields = mergeItemFields(keeper, loser);
+
+      assert.deepStrictEqual(fields.ownedCopies.map(copy => copy._id), ['c1', 'c3']);
+      assert.deepStrictEqual(fields.platforms, ['PC', 'Switch']);
+    });
+
+    it('keeps the rating of the kept item', function () {
+      const fields = mergeItemFields({ ...keeper, rating: 3 }, loser);
+      assert.strictEqual(fields.rating, 3);
+    });
+
+    it('leaves queueRank out when neither item is queued', function () {
+      const fields = mergeItemFields(keeper, { ...loser, queueRank: undefined });
+      assert.ok(!('queueRank' in fields));
+    });
+  });
+
+  describe('suggestKeeper', function () {
+    it('prefers an IGDB game over a custom one', function () {
+      const custom = item('a', 'Celeste', { game: { title: 'Celeste', ownerId: 'user' }, rating: 5 });
+      const igdb = item('b', 'Celeste');
+      assert.strictEqual(suggestKeeper(custom, igdb), igdb);
+    });
+
+    it('prefers the older item when both have as much recorded', function () {
+      const newer = item('a', 'Celeste', { dateAdded: new Date('2024-01-01') });
+      const older = item('b', 'Celeste', { dateAdded: new Date('2020-01-01') });
+      assert.strictEqual(suggestKeeper(newer, older), older);
+    });
+  });
+});
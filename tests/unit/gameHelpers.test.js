@@ -17,6 +17,7 @@ describe('Game Helpers', function () {
         title: 'Zelda',
         slug: 'zelda-tears-of-the-kingdom',
         releaseYear: 2023,
+        rating: 91.5,
         ownerId: 'user1',
         genres: ['Action', 'Adventure'],
         localCoverUrl: '/covers/zelda.webp',
@@ -31,6 +32,7 @@ describe('Game Helpers', function () {
       assert.strictEqual(result.title, 'Zelda');
       assert.strictEqual(result.slug, 'zelda-tears-of-the-kingdom');
       assert.strictEqual(result.releaseYear, 2023);
+      assert.strictEqual(result.rating, 91.5);
       assert.strictEqual(result.ownerId, 'user1');
       assert.deepStrictEqual(result.genres, ['Action', 'Adventure']);
       assert.strictEqual(result.localCoverUrl, '/covers/zelda.webp');
@@ -58,6 +60,7 @@ describe('Game Helpers', function () {
       assert.strictEqual(result.title, 'Minimal');
       assert.strictEqual(result.slug, null);
       assert.strictEqual(result.releaseYear, null);
+      assert.strictEqual(result.rating, null);
       assert.strictEqual(result.ownerId, null);
       assert.deepStrictEqual(result.genres, []);
       assert.strictEqual(result.localCoverUrl, null);
@@ -65,6 +68,38 @@ describe('Game Helpers', function () {
       assert.strictEqual(result.igdbCoverUrl, null);
     });
 
+    it('embeds the IGDB id of the base game for editions', function () {
+      const edition = { title: 'Hades Deluxe', versionParent: { igdbId: 113112, title: 'Hades' } };
+
+      assert.strictEqual(buildEmbeddedGame(edition).editionOf, 113112);
+      assert.strictEqual(buildEmbeddedGame({ title: 'Hades' }).editionOf, null);
+    });
+
+    it('embeds franchises and series', function () {
+      const game = {
+        title: 'Final Fantasy X',
+        franchises: [{ igdbId: 1, title: 'Final Fantasy' }],
+        series: [{ igdbId: 2, title: 'Final Fantasy' }]
+      };
+
+      const result = buildEmbeddedGame(game);
+
+      assert.deepStrictEqual(result.franchises, [{ igdbId: 1, title: 'Final Fantasy' }]);
+      assert.deepStrictEqual(result.series, [{ igdbId: 2, title: 'Final Fantasy' }]);
+      assert.deepStrictEqual(buildEmbeddedGame({ title: 'Celeste' }).series, []);
+    });
+
+    it('embeds time to beat with the single estimate', function () {
+      const result = buildEmbeddedGame({
+        title: 'Celeste',
+        timeToBeat: { hastily: 7.5, normally: null, completely: 38 }
+      });
+
+      assert.deepStrictEqual(result.timeToBeat, { hastily: 7.5, normally: null, completely: 38 });
+      assert.strictEqual(result.hoursToBeat, 7.5);
+      assert.strictEqual(buildEmbeddedGame({ title: 'Celeste' }).hoursToBeat, null);
+    });
+
     it('handles empty object', function () {
       const result = buildEmbeddedGame({});
 
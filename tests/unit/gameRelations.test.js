@@ -0,0 +1,79 @@
+import assert from 'assert';
+import { toGameRef, transformGameRelations, buildRelatedContent } from '../../server/lib/gameRelations.js';
+
+describe('Game Relations', function () {
+  describe('toGameRef', function () {
+    it('reads expanded and plain IGDB references', function () {
+      assert.deepStrictEqual(toGameRef({ id: 7, name: 'Hades' }), { igdbId: 7, title: 'Hades' });
+      assert.deepStrictEqual(toGameRef(7), { igdbId: 7, title: null });
+      assert.strictEqual(toGameRef(undefined), null);
+    });
+  });
+
+  describe('transformGameRelations', function () {
+    it('stores editions, DLC and expansions', function () {
+      const relations = transformGameRelations({
+        version_parent: { id: 1, name: 'The Witcher 3' },
+        version_title: 'Game of the Year Edition',
+        dlcs: [{ id: 2, name: 'Hearts of Stone' }],
+        expansions: [{ id: 3, name: 'Blood and Wine' }],
+        franchises: [{ id: 10, name: 'The Witcher' }],
+        collections: [{ id: 11, name: 'The Witcher' }]
+      });
+
+      assert.deepStrictEqual(relations, {
+        versionParent: { igdbId: 1, title: 'The Witcher 3' },
+        versionTitle: 'Game of the Year Edition',
+        parentGame: null,
+        dlcs: [{ igdbId: 2, title: 'Hearts of Stone' }],
+        expansions: [{ igdbId: 3, title: 'Blood and Wine' }],
+        franchises: [{ igdbId: 10, title: 'The Witcher' }],
+        series: [{ igdbId: 11, title: 'The Witcher' }]
+      });
+    });
+
+    it('leaves games without relationships empty', function () {
+      const relations = transformGameRelations({ id: 5, name: 'Celeste' });
+
+      assert.strictEqual(relations.versionParent, null);
+      assert.deepStrictEqual(relations.dlcs, []);
+      assert.deepStrictEqual(relations.expansions, []);
+    });
+  });
+
+  describe('buildRelatedContent', function () {
+    const game = {
+      igdbId: 1,
+      dlcs: [{ igdbId: 2, title: 'Hearts of Stone' }],
+      expansions: [{ igdbId: 3, title: 'Blood and Wine' }]
+    };
+    const editionGames = [{ igdbId: 4, title: 'The Witcher 3 GOTY', versionTitle: 'Game of the Year Edition' }];
+
+    it('marks recorded DLC and editions as owned', function () {
+      const item = { ownedDlc: [2], ownedEditions: [4] };
+      const related = buildRelatedContent(item, game, editionGames, new Set());
+
+      assert.deepStrictEqual(related.addons.map(addon => [addon.igdbId, addon.type, addon.owned]), [
+        [2, 'dlc', true],
+        [3, 'expansion', false]
+      ]);
+      assert.deepStrictEqual(related.editions.map(edition => [edition.igdbId, edition.owned]), [[4, true]]);
+    });
+
+    it('counts DLC in the collection as owned', function () {
+      const related = buildRelatedContent({}, game, [], new Set([3]));
+      const expansion = related.addons.find(addon => addon.igdbId === 3);
+
+      assert.strictEqual(expansion.owned, true);
+      assert.strictEqual(expansion.inCollection, true);
+    });
+
+    it('lists the base game and other editions for an edition', function () {
+      const edition = { igdbId: 4, versionParent: { igdbId: 1, title: 'The Witcher 3' } };
+      const related = buildRelatedContent({}, edition, editionGames, new Set([1]));
+
+      assert.deepStrictEqual(related.baseGame, { igdbId: 1, title: 'The Witcher 3' });
+      assert.deepStrictEqual(related.editions.map(entry => [entry.igdbId, entry.inCollection]), [[1, true]]);
+    });
+  });
+});
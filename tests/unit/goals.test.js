@@ -0,0 +1,131 @@
+import assert from 'assert';
+import { validateGoal, evaluateGoal, completionsInYear, yearElapsed } from '../../server/lib/goals.js';
+
+describe('Goals', function () {
+  const date = (value) => new Date(`${value}T00:00:00Z`);
+  const midYear = date('2026-07-02');
+
+  describe('validateGoal', function () {
+    it('keeps only the params the type uses', function () {
+      const goal = validateGoal({
+        year: 2026,
+        type: 'spend-at-most',
+        target: 200,
+        params: { currency: 'usd', minYearsOwned: 3 }
+      });
+
+      assert.deepStrictEqual(goal, { year: 2026, type: 'spend-at-most', target: 200, params: { currency: 'USD' } });
+    });
+
+    it('rejects bad targets and missing params', function () {
+      const cases = [
+        [{ year: 2026, type: 'complete-games', target: 2.5 }, 'invalid-target'],
+        [{ year: 2026, type: 'complete-games', target: 0 }, 'invalid-target'],
+        [{ year: 2026, type: 'complete-old-backlog', target: 5, params: {} }, 'invalid-params'],
+        [{ year: 2026, type: 'spend-at-most', target: 100, params: { currency: 'dollars' } }, 'invalid-currency'],
+        [{ year: 2026, type: 'beat-everything', target: 1 }, 'invalid-goal-type'],
+        [{ year: 1800, type: 'complete-games', target: 1 }, 'invalid-year']
+      ];
+
+      for (const [goal, expected] of cases) {
+        try {
+          validateGoal(goal);
+          assert.fail('Should have thrown');
+        } catch (error) {
+          assert.strictEqual(error.error, expected);
+        }
+      }
+    });
+  });
+
+  describe('completionsInYear', function () {
+    it('counts the item and its completed playthroughs in the year', function () {
+      const item = {
+        status: 'completed',
+        dateCompleted: date('2026-03-01'),
+        playthroughs: [
+          { outcome: 'completed', dateCompleted: date('2025-05-01') },
+          { outcome: 'completed', dateCompleted: date('2026-01-15') },
+          { outcome: 'abandoned', dateCompleted: date('2026-02-01') }
+        ]
+      };
+
+      assert.deepStrictEqual(completionsInYear(item, 2026), [date('2026-01-15'), date('2026-03-01')]);
+    });
+  });
+
+  describe('yearElapsed', function () {
+    it('runs from 0 to 1 over the year', function () {
+      assert.strictEqual(yearElapsed(2027, midYear), 0);
+      assert.strictEqual(yearElapsed(2025, midYear), 1);
+      assert.ok(Math.abs(yearElapsed(2026, midYear) - 0.5) < 0.01);
+    });
+  });
+
+  describe('evaluateGoal', function () {
+    const completed = (day, overrides = {}) => ({ status: 'completed', dateCompleted: date(day), ...overrides });
+
+    it('compares completions with the pace for the time of year', function () {
+      const goal = { year: 2026, type: 'complete-games', target: 24, params: {} };
+
+      const behind = evaluateGoal(goal, [completed('2026-01-10')], midYear);
+      assert.strictEqual(behind.current, 1);
+      assert.strictEqual(behind.pace, 'behind');
+
+      const items = Array.from({ length: 12 }, () => completed('2026-02-01'));
+      const onTrack = evaluateGoal(goal, items, midYear);
+      assert.strictEqual(onTrack.pace, 'on-track');
+      assert.strictEqual(onTrack.percent, 50);
+    });
+
+    it('is achieved at the target and missed when the year ends short', function () {
+      const goal = { year: 2025, type: 'complete-games', target: 2, params: {} };
+
+      assert.strictEqual(evaluateGoal(goal, [completed('2025-03-01'), completed('2025-04-01')], midYear).pace, 'achieved');
+      assert.strictEqual(evaluateGoal(goal, [completed('2025-03-01')], midYear).pace, 'missed');
+    });
+
+    it('counts old backlog games by how long they were owned', function () {
+      const goal = { year: 2026, type: 'complete-old-backlog', target: 5, params: { minYearsOwned: 3 } };
+      const items = [
+        completed('2026-03-01', { dateAdded: date('2020-01-01') }),
+        completed('2026-03-01', { dateAdded: date('2025-01-01') })
+      ];
+
+      assert.strictEqual(evaluateGoal(goal, items, midYear).current, 1);
+    });
+
+    it('counts older games played during the year', function () {
+      const goal = { year: 2026, type: 'play-old-games', target: 5, params: { releasedBefore: 2000 } };
+      const items = [
+        { status: 'playing', dateStarted: date('2026-02-01'), game: { releaseYear: 1998 } },
+        { status: 'backlog', playSessions: [{ date: date('2026-05-01'), minutes: 60 }], game: { releaseYear: 1995 } },
+        { status: 'playing', dateStarted: date('2026-02-01'), game: { releaseYear: 2004 } },
+        { status: 'backlog', ownedCopies: [{ purchaseDate: date('2026-02-01') }], game: { releaseYear: 1990 } }
+      ];
+
+      assert.strictEqual(evaluateGoal(goal, items, midYear).current, 2);
+    });
+
+    it('adds up session hours in the year', function () {
+      const goal = { year: 2026, type: 'play-hours', target: 100, params: {} };
+      const items = [{ playSessions: [{ date: date('2026-01-05'), minutes: 90 }, { date: date('2025-12-30'), minutes: 60 }] }];
+
+      assert.strictEqual(evaluateGoal(goal, items, midYear).current, 1.5);
+    });
+
+    it('tracks a budget in one currency', function () {
+      const goal = { year: 2026, type: 'spend-at-most', target: 200, params: { currency: 'USD' } };
+      const copies = (price, currency = 'USD') => ({
+        ownedCopies: [{ price, currency, purchaseDate: date('2026-02-01') }]
+      });
+
+      const onTrack = evaluateGoal(goal, [copies(60), copies(500, 'EUR')], midYear);
+      assert.strictEqual(onTrack.current, 60);
+      assert.strictEqual(onTrack.pace, 'on-track');
+
+      assert.strictEqual(evaluateGoal(goal, [copies(150)], midYear).pace, 'behind');
+      assert.strictEqual(evaluateGoal(goal, [copies(250)], midYear).pace, 'missed');
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import assert from 'assert';
-import { mapStatus, parsePlatforms, parseDate } from '../../server/imports/darkadiaImport.js';
+import { mapStatus, parsePlatforms, parseRating, parseDate } from '../../server/imports/darkadiaImport.js';
 import { validateSteamId, extractSteamUsername, formatPlaytimeHours } from '../../server/imports/steamImport.js';
 import { extractGogUsername } from '../../server/imports/gogImport.js';
 
@@ -73,6 +73,23 @@ describe('Import Parser Helpers', function () {
       });
     });
 
+    describe('parseRating', function () {
+      it('returns null for an empty rating', function () {
+        assert.strictEqual(parseRating(''), null);
+        assert.strictEqual(parseRating(undefined), null);
+      });
+
+      it('keeps half stars', function () {
+        assert.strictEqual(parseRating('3.5'), 3.5);
+        assert.strictEqual(parseRating('4'), 4);
+      });
+
+      it('drops ratings outside five stars', function () {
+        assert.strictEqual(parseRating('0'), null);
+        assert.strictEqual(parseRating('7'), null);
+      });
+    });
+
     describe('parseDate', function () {
       it('returns null for null', function () {
         assert.strictEqual(parseDate(null), null);
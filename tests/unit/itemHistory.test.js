@@ -0,0 +1,84 @@
+import assert from 'assert';
+import { diffItemFields, describeNewItem } from '../../server/lib/itemHistory.js';
+
+describe('Item History', function () {
+  describe('diffItemFields', function () {
+    const before = {
+      status: 'backlog',
+      rating: null,
+      hoursPlayed: 5,
+      platforms: ['PC'],
+      favorite: false,
+      dateCompleted: new Date('2024-01-01'),
+      notes: 'old notes'
+    };
+
+    it('lists changed tracked fields with old and new values', function () {
+      const changes = diffItemFields(before, { status: 'playing', rating: 4 });
+      assert.deepStrictEqual(changes, [
+        { field: 'status', from: 'backlog', to: 'playing' },
+        { field: 'rating', from: null, to: 4 }
+      ]);
+    });
+
+    it('ignores fields that did not change', function () {
+      const changes = diffItemFields(before, {
+        status: 'backlog',
+        hoursPlayed: 5,
+        platforms: ['PC'],
+        dateCompleted: new Date('2024-01-01'),
+        updatedAt: new Date()
+      });
+      assert.deepStrictEqual(changes, []);
+    });
+
+    it('ignores untracked fields', function () {
+      assert.deepStrictEqual(diffItemFields(before, { notes: 'new notes' }), []);
+    });
+
+    it('compares arrays by value', function () {
+      const changes = diffItemFields(before, { platforms: ['PC', 'Switch'] });
+      assert.deepStrictEqual(changes, [
+        { field: 'platforms', from: ['PC'], to: ['PC', 'Switch'] }
+      ]);
+    });
+
+    it('treats a missing value as null', function () {
+      const changes = diffItemFields({}, { physical: true, storefronts: [] });
+      assert.deepStrictEqual(changes, [
+        { field: 'physical', from: null, to: true }
+      ]);
+    });
+
+    it('compares only the given fields', function () {
+      const changes = diffItemFields(before, { status: 'playing', notes: 'new notes' }, ['notes']);
+      assert.deepStrictEqual(changes, [
+        { field: 'notes', from: 'old notes', to: 'new notes' }
+      ]);
+    });
+  });
+
+  describe('describeNewItem', function () {
+    it('lists the tracked fields that have a value', function () {
+      const changes = describeNewItem({
+        status: 'backlog',
+        rating: null,
+        platforms: ['PC'],
+        storefronts: [],
+        favorite: false,
+        notes: 'untracked'
+      });
+      assert.deepStrictEqual(changes, [
+        { field: 'status', from: null, to: 'backlog' },
+        { field: 'platforms', from: null, to: ['PC'] }
+      ]);
+    });
+
+    it('leaves out empty text in the given fields', function () {
+      const changes = describeNewItem({ status: 'backlog', notes: '' }, ['status', 'notes']);
+      assert.deepStrictEqual(changes, [
+        { field: 'status', from: null, to: 'backlog' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { buildMatchRecord, needsMatchReview } from '../../server/lib/matchReview.js';
+import { MATCH_REVIEW_THRESHOLD, MAX_MATCH_CANDIDATES } from '../../imports/lib/constants/matchReview.js';
+
+describe('Match review', function () {
+  const candidate = (igdbId, score) => ({
+    igdbId,
+    title: `Game ${igdbId}`,
+    releaseYear: 2020,
+    coverImageId: null,
+    score
+  });
+
+  describe('needsMatchReview', function () {
+    it('queues scores below the threshold and missing matches', function () {
+      assert.strictEqual(needsMatchReview(100), false);
+      assert.strictEqual(needsMatchReview(MATCH_REVIEW_THRESHOLD), false);
+      assert.strictEqual(needsMatchReview(MATCH_REVIEW_THRESHOLD - 1), true);
+      assert.strictEqual(needsMatchReview(0), true);
+      assert.strictEqual(needsMatchReview(null), true);
+    });
+  });
+
+  describe('buildMatchRecord', function () {
+    it('keeps the score and candidates of a confident match', function () {
+      const record = buildMatchRecord('Hades', {
+        game: { _id: 'game1', title: 'Hades' },
+        score: 100,
+        candidates: [candidate(2, 60)]
+      });
+
+      assert.deepStrictEqual(record, {
+        query: 'Hades',
+        score: 100,
+        candidates: [candidate(2, 60)],
+        needsReview: false
+      });
+    });
+
+    it('queues a weak match and rounds its score', function () {
+      const record = buildMatchRecord('Doom', { game: { _id: 'game1' }, score: 72.4, candidates: [] });
+
+      assert.strictEqual(record.score, 72);
+      assert.strictEqual(record.needsReview, true);
+    });
+
+    it('queues entries nothing matched but keeps what the search found', function () {
+      const record = buildMatchRecord('Obscure Game', { game: null, score: null, candidates: [candidate(3, 40)] });
+
+      assert.strictEqual(record.score, null);
+      assert.strictEqual(record.needsReview, true);
+      assert.deepStrictEqual(record.candidates, [candidate(3, 40)]);
+    });
+
+    it('queues entries that were not searched at all', function () {
+      assert.deepStrictEqual(buildMatchRecord('Obscure Game', null), {
+        query: 'Obscure Game',
+        score: null,
+        candidates: [],
+        needsReview: true
+      });
+    });
+
+    it('keeps at most MAX_MATCH_CANDIDATES candidates', function () {
+      const candidates = Array.from({ length: MAX_MATCH_CANDIDATES + 3 }, (_, index) => candidate(index, 50));
+      const record = buildMatchRecord('Doom', { game: { _id: 'game1' }, score: 95, candidates });
+
+      assert.strictEqual(record.candidates.length, MAX_MATCH_CANDIDATES);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import assert from 'assert';
+import {
+  validateCopy,
+  buildCopy,
+  pairOwnership,
+  getOwnedCopies,
+  applyFlatOwnership,
+  importedCopies,
+  appendCopies
+} from '../../server/lib/ownedCopies.js';
+import { deriveOwnershipIndex } from '../../imports/lib/collections/collectionItems.js';
+
+function summarize(copies) {
+  return copies.map(copy => [copy.platform, copy.storefront]);
+}
+
+describe('Owned Copies', function () {
+  describe('validateCopy', function () {
+    it('accepts a copy with a platform only', function () {
+      assert.doesNotThrow(() => validateCopy({ platform: 'PC' }));
+    });
+
+    it('rejects a copy with neither platform nor storefront', function () {
+      assert.throws(() => validateCopy({ edition: 'Deluxe' }), { error: 'invalid-copy' });
+    });
+
+    it('rejects unknown storefronts and formats', function () {
+      assert.throws(() => validateCopy({ platform: 'PC', storefront: 'nope' }), { error: 'invalid-storefront' });
+      assert.throws(() => validateCopy({ platform: 'PC', format: 'cartridge' }), { error: 'invalid-format' });
+    });
+
+    it('requires a currency with a price', function () {
+      assert.throws(() => validateCopy({ platform: 'PC', price: 10 }), { error: 'invalid-currency' });
+      assert.throws(() => validateCopy({ platform: 'PC', price: 10, currency: 'dollars' }), { error: 'invalid-currency' });
+      assert.doesNotThrow(() => validateCopy({ platform: 'PC', price: 10, currency: 'usd' }));
+    });
+
+    it('rejects negative prices', function () {
+      assert.throws(() => validateCopy({ platform: 'PC', price: -1, currency: 'USD' }), { error: 'invalid-price' });
+    });
+  });
+
+  describe('buildCopy', function () {
+    it('trims fields and upper-cases the currency', function () {
+      const copy = buildCopy({ platform: ' PC ', edition: '  ', price: 9.99, currency: 'eur' });
+      assert.ok(copy._id);
+      assert.strictEqual(copy.platform, 'PC');
+      assert.strictEqual(copy.edition, null);
+      assert.strictEqual(copy.currency, 'EUR');
+      assert.strictEqual(copy.storefront, null);
+    });
+  });
+
+  describe('pairOwnership', function () {
+    it('pairs storefronts with a single platform', function () {
+      assert.deepStrictEqual(summarize(pairOwnership(['PC'], ['steam', 'gog'])), [
+        ['PC', 'steam'],
+        ['PC', 'gog']
+      ]);
+    });
+
+    it('does not guess pairings for several platforms', function () {
+      assert.deepStrictEqual(summarize(pairOwnership(['PC', 'Switch'], ['steam'])), [
+        ['PC', null],
+        ['Switch', null],
+        [null, 'steam']
+      ]);
+    });
+  });
+
+  describe('getOwnedCopies', function () {
+    it('builds copies for items without a copy list', function () {
+      const copies = getOwnedCopies({ platforms: ['PC'], storefronts: ['steam'] });
+      assert.deepStrictEqual(summarize(copies), [['PC', 'steam']]);
+    });
+
+    it('returns stored copies as they are', function () {
+      const ownedCopies = [buildCopy({ platform: 'Switch' })];
+      assert.strictEqual(getOwnedCopies({ ownedCopies, platforms: ['PC'] }), ownedCopies);
+    });
+  });
+
+  describe('applyFlatOwnership', function () {
+    it('keeps purchase details when a storefront is removed', function () {
+      const copies = [buildCopy({ platform: 'PC', storefront: 'steam', price: 20, currency: 'USD' })];
+      const result = applyFlatOwnership(copies, ['PC'], []);
+      assert.deepStrictEqual(summarize(result), [['PC', null]]);
+      assert.strictEqual(result[0].price, 20);
+    });
+
+    it('drops copies left with neither platform nor storefront', function () {
+      const copies = [buildCopy({ platform: 'PC' }), buildCopy({ platform: 'Switch' })];
+      assert.deepStrictEqual(summarize(applyFlatOwnership(copies, ['Switch'], [])), [['Switch', null]]);
+    });
+
+    it('attaches a new storefront to the only platform', function () {
+      const copies = [buildCopy({ platform: 'PC', storefront: 'steam' })];
+      assert.deepStrictEqual(summarize(applyFlatOwnership(copies, ['PC'], ['steam', 'gog'])), [
+        ['PC', 'steam'],
+        ['PC', 'gog']
+      ]);
+    });
+
+    it('derives the flat lists it was given', function () {
+      const copies = [buildCopy({ platform: 'PC', storefront: 'steam' })];
+      const result = applyFlatOwnership(copies, ['PC', 'Switch'], ['steam', 'nintendo']);
+      assert.deepStrictEqual(deriveOwnershipIndex(result), {
+        platforms: ['PC', 'Switch'],
+        storefronts: ['steam', 'nintendo']
+      });
+    });
+  });
+
+  describe('appendCopies', function () {
+    it('adds a copy from a new storefront', function () {
+      const copies = [buildCopy({ platform: 'PC', storefront: 'steam' })];
+      const result = appendCopies(copies, importedCopies(['PC'], 'gog'));
+      assert.deepStrictEqual(summarize(result), [['PC', 'steam'], ['PC', 'gog']]);
+      assert.strictEqual(result[1].format, 'digital');
+    });
+
+    it('does not duplicate a copy already on record', function () {
+      const copies = [buildCopy({ platform: 'PC', storefront: 'steam' })];
+      assert.strictEqual(appendCopies(copies, importedCopies(['PC'], 'steam')).length, 1);
+      assert.strictEqual(appendCopies(copies, [buildCopy({ platform: 'PC' })]).length, 1);
+    });
+
+    it('completes a copy that was missing the storefront', function () {
+      const copies = [buildCopy({ platform: 'PC', edition: 'Deluxe' })];
+      const result = appendCopies(copies, importedCopies(['PC'], 'epic'));
+      assert.deepStrictEqual(summarize(result), [['PC', 'epic']]);
+      assert.strictEqual(result[0].edition, 'Deluxe');
+      assert.strictEqual(copies[0].storefront, null);
+    });
+  });
+});
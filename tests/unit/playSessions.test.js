@@ -0,0 +1,158 @@
+import assert from 'assert';
+import {
+  deriveHoursPlayed,
+  playtimeFields,
+  baselineForTotal,
+  importedPlaytimeFields,
+  newItemPlaytimeFields,
+  legacyPlaytimeFields,
+  validatePlaySession,
+  checkSessionNotesTotal,
+  timedSessionMinutes,
+  MAX_SESSION_NOTES_TOTAL
+} from '../../server/lib/playSessions.js';
+
+describe('Play Sessions', function () {
+  const sessions = [{ minutes: 90 }, { minutes: 30 }];
+
+  describe('deriveHoursPlayed', function () {
+    it('adds the baseline, sessions and imported playtime', function () {
+      assert.strictEqual(deriveHoursPlayed({
+        hoursBaseline: 3,
+        playSessions: sessions,
+        importedHours: { steam: 10.5, gog: 1 }
+      }), 16.5);
+    });
+
+    it('is null when nothing is recorded', function () {
+      assert.strictEqual(deriveHoursPlayed({ hoursBaseline: null, playSessions: [], importedHours: {} }), null);
+    });
+  });
+
+  describe('playtimeFields', function () {
+    it('treats hours of items without a baseline as the baseline', function () {
+      const fields = playtimeFields({ hoursPlayed: 12 }, { playSessions: sessions });
+
+      assert.strictEqual(fields.hoursBaseline, 12);
+      assert.strictEqual(fields.hoursPlayed, 14);
+    });
+  });
+
+  describe('baselineForTotal', function () {
+    const item = { hoursBaseline: 1, playSessions: sessions, importedHours: { steam: 5 } };
+
+    it('keeps the hours no session or import covers', function () {
+      assert.strictEqual(baselineForTotal(item, 10), 3);
+    });
+
+    it('does not go below what is recorded', function () {
+      assert.strictEqual(baselineForTotal(item, 4), 0);
+      assert.strictEqual(baselineForTotal(item, null), null);
+    });
+  });
+
+  describe('importedPlaytimeFields', function () {
+    it('replaces the figure of the same store and keeps sessions', function () {
+      const item = { hoursBaseline: null, playSessions: sessions, importedHours: { steam: 5 } };
+      const fields = importedPlaytimeFields(item, 'steam', 8);
+
+      assert.deepStrictEqual(fields.importedHours, { steam: 8 });
+      assert.strictEqual(fields.hoursPlayed, 10);
+    });
+
+    it('keeps hand-entered hours below the store figure', function () {
+      const fields = importedPlaytimeFields({ hoursPlayed: 6 }, 'steam', 8);
+
+      assert.strictEqual(fields.hoursBaseline, 6);
+      assert.strictEqual(fields.hoursPlayed, 14);
+    });
+
+    it('keeps hand-entered hours above the store figure', function () {
+      const fields = importedPlaytimeFields({ hoursPlayed: 20 }, 'steam', 8);
+
+      assert.strictEqual(fields.hoursBaseline, 20);
+      assert.strictEqual(fields.hoursPlayed, 28);
+    });
+
+    it('sets up new items', function () {
+      assert.deepStrictEqual(newItemPlaytimeFields('gog', 4), {
+        hoursBaseline: null,
+        importedHours: { gog: 4 },
+        hoursPlayed: 4
+      });
+      assert.deepStrictEqual(newItemPlaytimeFields('gog', null), { hoursPlayed: null });
+    });
+  });
+
+  describe('legacyPlaytimeFields', function () {
+    const steamEntry = { source: 'steam', changes: [{ field: 'hoursPlayed', from: 2, to: 6 }] };
+
+    it('moves hours last written by a store import to that store', function () {
+      assert.deepStrictEqual(legacyPlaytimeFields({ hoursPlayed: 6 }, steamEntry), {
+        hoursBaseline: null,
+        importedHours: { steam: 6 },
+        hoursPlayed: 6
+      });
+    });
+
+    it('keeps hours entered by hand or changed since the import', function () {
+      const manualEntry = { source: 'manual', changes: [{ field: 'hoursPlayed', from: 2, to: 6 }] };
+
+      assert.strictEqual(legacyPlaytimeFields({ hoursPlayed: 6 }, manualEntry).hoursBaseline, 6);
+      assert.strictEqual(legacyPlaytimeFields({ hoursPlayed: 9 }, steamEntry).hoursBaseline, 9);
+      assert.strictEqual(legacyPlaytimeFields({ hoursPlayed: 6 }, null).hoursBaseline, 6);
+    });
+  });
+
+  describe('validatePlaySession', function () {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    it('accepts a valid session', function () {
+      validatePlaySession({ date: new Date('2026-02-28T00:00:00Z'), minutes: 45, platform: 'PC', note: '' }, now);
+    });
+
+    it('rejects bad dates and durations', function () {
+      const cases = [
+        [{ date: null, minutes: 45 }, 'invalid-date'],
+        [{ date: new Date('2026-03-05T00:00:00Z'), minutes: 45 }, 'invalid-date'],
+        [{ date: now, minutes: 0 }, 'invalid-duration'],
+        [{ date: now, minutes: 1.5 }, 'invalid-duration'],
+        [{ date: now, minutes: 24 * 60 + 1 }, 'invalid-duration']
+      ];
+
+      for (const [session, expected] of cases) {
+        try {
+          validatePlaySession(session, now);
+          assert.fail('Should have thrown');
+        } catch (error) {
+          assert.strictEqual(error.error, expected);
+        }
+      }
+    });
+  });
+
+  describe('checkSessionNotesTotal', function () {
+    it('accepts notes up to the total', function () {
+      checkSessionNotesTotal([{ note: 'a'.repeat(MAX_SESSION_NOTES_TOTAL - 1) }, { note: 'b' }, {}]);
+    });
+
+    it('rejects notes over the total', function () {
+      try {
+        checkSessionNotesTotal([{ note: 'a'.repeat(MAX_SESSION_NOTES_TOTAL) }, { note: 'b' }]);
+        assert.fail('Should have thrown');
+      } catch (error) {
+        assert.strictEqual(error.error, 'notes-too-long');
+      }
+    });
+  });
+
+  describe('timedSessionMinutes', function () {
+    it('rounds and clamps the elapsed time', function () {
+      const startedAt = new Date('2026-03-01T10:00:00Z');
+
+      assert.strictEqual(timedSessionMinutes(startedAt, new Date('2026-03-01T11:29:40Z')), 90);
+      assert.strictEqual(timedSessionMinutes(startedAt, new Date('2026-03-01T10:00:10Z')), 1);
+      assert.strictEqual(timedSessionMinutes(startedAt, new Date('2026-03-03T10:00:00Z')), 24 * 60);
+    });
+  });
+});
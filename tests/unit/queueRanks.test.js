@@ -0,0 +1,54 @@
+import assert from 'assert';
+import { rankBetween, spreadRanks, QUEUE_RANK_PATTERN } from '../../server/lib/queueRanks.js';
+
+function assertOrdered(ranks) {
+  for (let index = 1; index < ranks.length; index++) {
+    assert.ok(ranks[index - 1] < ranks[index], `${ranks[index - 1]} should sort before ${ranks[index]}`);
+    assert.ok(QUEUE_RANK_PATTERN.test(ranks[index]), `${ranks[index]} is not a valid rank`);
+  }
+}
+
+describe('Queue Ranks', function () {
+  describe('rankBetween', function () {
+    it('starts an empty queue in the middle of the range', function () {
+      assert.strictEqual(rankBetween(null, null), 'V');
+    });
+
+    it('places ranks between their neighbours', function () {
+      const rank = rankBetween('F', 'V');
+      assert.ok(rank > 'F' && rank < 'V');
+    });
+
+    it('keeps finding room when inserting at the top, bottom and one spot repeatedly', function () {
+      const ranks = [rankBetween(null, null)];
+      for (let count = 0; count < 50; count++) {
+        ranks.unshift(rankBetween(null, ranks[0]));
+        ranks.push(rankBetween(ranks[ranks.length - 1], null));
+        ranks.splice(2, 0, rankBetween(ranks[1], ranks[2]));
+      }
+      assertOrdered(ranks);
+    });
+
+    it('rejects neighbours that are equal or out of order', function () {
+      assert.throws(() => rankBetween('V', 'V'), { error: 'invalid-rank' });
+      assert.throws(() => rankBetween('k', 'V'), { error: 'invalid-rank' });
+    });
+
+    it('rejects malformed ranks', function () {
+      assert.throws(() => rankBetween('V0', null), { error: 'invalid-rank' });
+      assert.throws(() => rankBetween(null, 'a-b'), { error: 'invalid-rank' });
+    });
+  });
+
+  describe('spreadRanks', function () {
+    it('returns evenly spaced ranks in order', function () {
+      assert.deepStrictEqual(spreadRanks(3), ['F', 'V', 'k']);
+    });
+
+    it('uses longer ranks when one digit is not enough', function () {
+      const ranks = spreadRanks(100);
+      assert.strictEqual(ranks.length, 100);
+      assertOrdered(ranks);
+    });
+  });
+});
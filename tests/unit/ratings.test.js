@@ -0,0 +1,89 @@
+import assert from 'assert';
+import {
+  isValidRating,
+  normalizeRating,
+  toStoredRating,
+  toDisplayRating,
+  formatRating,
+  getScaleValues
+} from '../../imports/lib/constants/ratings.js';
+
+describe('Rating Scales', function () {
+  describe('isValidRating', function () {
+    it('accepts whole and half stars', function () {
+      assert.strictEqual(isValidRating(1), true);
+      assert.strictEqual(isValidRating(5), true);
+      assert.strictEqual(isValidRating(2.5), true);
+    });
+
+    it('accepts the 1/20 star resolution, including float noise', function () {
+      assert.strictEqual(isValidRating(0.05), true);
+      assert.strictEqual(isValidRating(87 / 20), true);
+    });
+
+    it('rejects out of range and off-grid values', function () {
+      assert.strictEqual(isValidRating(0), false);
+      assert.strictEqual(isValidRating(5.05), false);
+      assert.strictEqual(isValidRating(3.33), false);
+      assert.strictEqual(isValidRating(NaN), false);
+    });
+  });
+
+  describe('normalizeRating', function () {
+    it('removes floating point noise', function () {
+      assert.strictEqual(normalizeRating(0.1 + 0.2), 0.3);
+    });
+  });
+
+  describe('toStoredRating', function () {
+    it('stores whole stars exactly', function () {
+      assert.strictEqual(toStoredRating(4, 'stars'), 4);
+    });
+
+    it('converts each scale to stars', function () {
+      assert.strictEqual(toStoredRating(3.5, 'half-stars'), 3.5);
+      assert.strictEqual(toStoredRating(7, 'ten-point'), 3.5);
+      assert.strictEqual(toStoredRating(87, 'hundred-point'), 4.35);
+    });
+
+    it('returns null for values not on the scale', function () {
+      assert.strictEqual(toStoredRating(3.5, 'stars'), null);
+      assert.strictEqual(toStoredRating(0, 'ten-point'), null);
+      assert.strictEqual(toStoredRating(101, 'hundred-point'), null);
+    });
+  });
+
+  describe('toDisplayRating', function () {
+    it('shows existing whole-star ratings unchanged on the star scale', function () {
+      for (const rating of [1, 2, 3, 4, 5]) {
+        assert.strictEqual(toDisplayRating(rating, 'stars'), rating);
+      }
+    });
+
+    it('round-trips every value on each scale', function () {
+      for (const scale of ['stars', 'half-stars', 'ten-point', 'hundred-point']) {
+        for (const value of getScaleValues(scale)) {
+          assert.strictEqual(toDisplayRating(toStoredRating(value, scale), scale), value);
+        }
+      }
+    });
+
+    it('rounds to the scale step and never below the lowest value', function () {
+      assert.strictEqual(toDisplayRating(4.35, 'stars'), 4);
+      assert.strictEqual(toDisplayRating(4.35, 'half-stars'), 4.5);
+      assert.strictEqual(toDisplayRating(0.05, 'stars'), 1);
+    });
+
+    it('returns null when unrated', function () {
+      assert.strictEqual(toDisplayRating(null, 'ten-point'), null);
+    });
+  });
+
+  describe('formatRating', function () {
+    it('formats stars and points', function () {
+      assert.strictEqual(formatRating(3.5, 'half-stars'), '3.5 ★');
+      assert.strictEqual(formatRating(3.5, 'ten-point'), '7/10');
+      assert.strictEqual(formatRating(3.5, 'hundred-point'), '70/100');
+    });
+  });
+});
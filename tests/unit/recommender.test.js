@@ -0,0 +1,122 @@
+import assert from 'assert';
+import { buildTasteProfile, scoreCandidate } from '../../server/lib/recommender.js';
+
+const NOW = new Date('2026-06-01');
+
+function rated(genres, rating, overrides = {}) {
+  return { gameId: null, game: { title: 'Rated Game', genres }, status: 'completed', rating, ...overrides };
+}
+
+function candidate(overrides = {}) {
+  return {
+    _id: 'candidate',
+    game: { title: 'Candidate', genres: ['Metroidvania'] },
+    status: 'backlog',
+    platforms: ['PC'],
+    storefronts: [],
+    dateAdded: new Date('2026-05-01'),
+    ...overrides
+  };
+}
+
+function score(item, profile, context = {}) {
+  return scoreCandidate(item, profile, { scale: 'stars', now: NOW, ...context });
+}
+
+describe('Recommender', function () {
+  describe('buildTasteProfile', function () {
+    it('averages ratings per genre and developer', function () {
+      const developers = new Map([['g1', 'Team Cherry'], ['g2', 'Team Cherry']]);
+      const profile = buildTasteProfile([
+        rated(['Metroidvania'], 5, { gameId: 'g1' }),
+        rated(['Metroidvania', 'Platform'], 4, { gameId: 'g2' })
+      ], developers);
+
+      assert.strictEqual(profile.genres.get('Metroidvania').count, 2);
+      assert.strictEqual(profile.genres.get('Metroidvania').average, 4.5);
+      assert.strictEqual(profile.developers.get('Team Cherry').count, 2);
+    });
+
+    it('takes the median hours of completed games per genre', function () {
+      const profile = buildTasteProfile([
+        rated(['Puzzle'], 0, { hoursPlayed: 4 }),
+        rated(['Puzzle'], 0, { hoursPlayed: 8 }),
+        rated(['Puzzle'], 0, { hoursPlayed: 40 }),
+        rated(['Puzzle'], 0, { hoursPlayed: 50, status: 'abandoned' })
+      ]);
+      assert.deepStrictEqual(profile.genreHours.get('Puzzle'), { count: 3, hours: 8 });
+    });
+
+    it('collects the platforms being played on now', function () {
+      const profile = buildTasteProfile([rated([], 0, { status: 'playing', platforms: ['Nintendo Switch'] })]);
+      assert.ok(profile.playingPlatforms.has('Nintendo Switch'));
+    });
+  });
+
+  describe('scoreCandidate', function () {
+    it('explains a highly rated genre', function () {
+      const profile = buildTasteProfile([
+        rated(['Metroidvania'], 5),
+        rated(['Metroidvania'], 5),
+        rated(['Metroidvania'], 5)
+      ]);
+      const result = score(candidate(), profile);
+      assert.ok(result.score > 0);
+      assert.deepStrictEqual(result.reasons, ['You rated 3 other Metroidvania games 5 ★ on average']);
+    });
+
+    it('ignores genres rated only once or rated low', function () {
+      const profile = buildTasteProfile([rated(['Metroidvania'], 5), rated(['Shooter'], 2), rated(['Shooter'], 2)]);
+      assert.deepStrictEqual(score(candidate({ game: { genres: ['Metroidvania', 'Shooter'] } }), profile).reasons, []);
+    });
+
+    it('names the developer of a single highly rated game', function () {
+      const profile = buildTasteProfile([rated([], 5, { gameId: 'g1', game: { title: 'Hades', genres: [] } })], new Map([['g1', 'Supergiant Games']]));
+      const result = score(candidate({ game: { genres: [] } }), profile, { developer: 'Supergiant Games' });
+      assert.deepStrictEqual(result.reasons, ['You rated Hades by Supergiant Games 5 ★']);
+    });
+
+    it('counts years waiting since the earliest purchase', function () {
+      const item = candidate({
+        ownedCopies: [{ platform: 'PC', purchaseDate: new Date('2022-01-10') }, { platform: 'PC', purchaseDate: new Date('2024-03-01') }]
+      });
+      assert.deepStrictEqual(score(item, buildTasteProfile([])).reasons, ['Bought 4 years ago and still waiting']);
+    });
+
+    it('prefers short games for a short session and sinks long ones', function () {
+      const profile = buildTasteProfile([
+        rated(['Puzzle'], 0, { hoursPlayed: 5 }),
+        rated(['RPG'], 0, { hoursPlayed: 60 })
+      ]);
+      const short = candidate({ game: { genres: ['Puzzle'] } });
+      const long = candidate({ game: { genres: ['RPG'] } });
+
+      assert.ok(score(short, profile, { shortSession: true }).score > score(short, profile).score);
+      assert.ok(score(long, profile, { shortSession: true }).score < 0);
+      assert.deepStrictEqual(score(short, profile).reasons, ['Similar Puzzle games took you about 5 hours']);
+    });
+
+    it('estimates length from the game\'s time to beat before the genre', function () {
+      const profile = buildTasteProfile([rated(['RPG'], 0, { hoursPlayed: 60 })]);
+      const short = candidate({ game: { genres: ['RPG'], hoursToBeat: 6 } });
+      const long = candidate({ game: { genres: ['Puzzle'], hoursToBeat: 80 } });
+
+      assert.deepStrictEqual(score(short, profile).reasons, ['About 6 hours to beat']);
+      assert.ok(score(short, profile, { shortSession: true }).score > score(short, profile).score);
+      assert.ok(score(long, profile, { shortSession: true }).score < 0);
+    });
+
+    it('falls back to the genre when the game has no time to beat', function () {
+      const profile = buildTasteProfile([rated(['Puzzle'], 0, { hoursPlayed: 5 })]);
+      const item = candidate({ game: { genres: ['Puzzle'], hoursToBeat: null } });
+
+      assert.deepStrictEqual(score(item, profile).reasons, ['Similar Puzzle games took you about 5 hours']);
+    });
+
+    it('favours favorites and platforms being played on', function () {
+      const profile = buildTasteProfile([rated([], 0, { status: 'playing', platforms: ['PC'] })]);
+      const result = score(candidate({ favorite: true }), profile);
+      assert.deepStrictEqual(result.reasons, ['Marked as a favorite', 'On PC, which you are playing on now']);
+    });
+  });
+});
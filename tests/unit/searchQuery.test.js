@@ -0,0 +1,119 @@
+import assert from 'assert';
+import { buildSearchConditions, tokenizeSearchQuery } from '../../server/lib/searchQuery.js';
+
+describe('Search Query Language', function () {
+  describe('tokenizeSearchQuery', function () {
+    it('splits fields, quoted values and free text', function () {
+      const tokens = tokenizeSearchQuery('zelda platform:"Nintendo Switch" rating>=4');
+      assert.deepStrictEqual(tokens, [
+        { type: 'text', value: 'zelda' },
+        { type: 'field', field: 'platform', operator: ':', value: 'Nintendo Switch' },
+        { type: 'field', field: 'rating', operator: '>=', value: '4' }
+      ]);
+    });
+
+    it('treats a bare word ending in a colon as text', function () {
+      const tokens = tokenizeSearchQuery('Star Wars: Episode I');
+      assert.ok(tokens.every(token => token.type === 'text'));
+    });
+
+    it('throws for an unterminated quote', function () {
+      assert.throws(() => tokenizeSearchQuery('notes:"boss'), /invalid-query/);
+    });
+  });
+
+  describe('buildSearchConditions', function () {
+    it('returns no conditions for a blank query', function () {
+      assert.deepStrictEqual(buildSearchConditions('   '), []);
+    });
+
+    it('matches free text as one title phrase', function () {
+      assert.deepStrictEqual(buildSearchConditions('super mario'), [
+        { 'game.title': { $regex: 'super mario', $options: 'i' } }
+      ]);
+    });
+
+    it('escapes regex characters in free text', function () {
+      const [condition] = buildSearchConditions('what.*');
+      assert.strictEqual(condition['game.title'].$regex, 'what\\.\\*');
+    });
+
+    it('builds status, platform and favorite conditions', function () {
+      assert.deepStrictEqual(buildSearchConditions('status:playing platform:"Nintendo Switch" fav:yes'), [
+        { status: 'playing' },
+        { platforms: { $regex: '^Nintendo Switch$', $options: 'i' } },
+        { favorite: true }
+      ]);
+    });
+
+    it('supports multiple statuses', function () {
+      assert.deepStrictEqual(buildSearchConditions('status:backlog,playing'), [
+        { status: { $in: ['backlog', 'playing'] } }
+      ]);
+    });
+
+    it('builds numeric comparisons and ranges', function () {
+      assert.deepStrictEqual(buildSearchConditions('rating>=4 hours<10 year:2015..2020'), [
+        { rating: { $gte: 4 } },
+        { hoursPlayed: { $lt: 10 } },
+        { 'game.releaseYear': { $gte: 2015, $lte: 2020 } }
+      ]);
+    });
+
+    it('compares the time-to-beat estimate', function () {
+      assert.deepStrictEqual(buildSearchConditions('beat<10'), [
+        { 'game.hoursToBeat': { $lt: 10 } }
+      ]);
+    });
+
+    it('supports open-ended ranges', function () {
+      assert.deepStrictEqual(buildSearchConditions('year:..2000'), [
+        { 'game.releaseYear': { $lte: 2000 } }
+      ]);
+    });
+
+    it('throws for unknown fields', function () {
+      assert.throws(() => buildSearchConditions('foo:bar'), /Unknown search field/);
+    });
+
+    it('throws for unknown statuses', function () {
+      assert.throws(() => buildSearchConditions('status:finished'), /Unknown status/);
+    });
+
+    it('throws for out of range ratings', function () {
+      assert.throws(() => buildSearchConditions('rating>=9'), /invalid-query/);
+    });
+
+    it('reads ratings on the user\'s rating scale', function () {
+      assert.deepStrictEqual(buildSearchConditions('rating>=4', 'stars'), [{ rating: { $gte: 4 } }]);
+      assert.deepStrictEqual(buildSearchConditions('rating>=3.5', 'half-stars'), [{ rating: { $gte: 3.5 } }]);
+      assert.deepStrictEqual(buildSearchConditions('rating>=7', 'ten-point'), [{ rating: { $gte: 3.5 } }]);
+      assert.deepStrictEqual(buildSearchConditions('rating:60..85', 'hundred-point'), [
+        { rating: { $gte: 3, $lte: 4.25 } }
+      ]);
+    });
+
+    it('throws for ratings that are not on the user\'s scale', function () {
+      assert.throws(() => buildSearchConditions('rating>=3.5', 'stars'), /rating scale/);
+      assert.throws(() => buildSearchConditions('rating>=11', 'ten-point'), /rating scale/);
+      assert.doesNotThrow(() => buildSearchConditions('rating>=90', 'hundred-point'));
+    });
+
+    it('throws for comparisons on text fields', function () {
+      assert.throws(() => buildSearchConditions('genre>RPG'), /does not support/);
+    });
+
+    it('throws for inverted ranges', function () {
+      assert.throws(() => buildSearchConditions('year:2020..2010'), /starts after it ends/);
+    });
+
+    it('never passes operators through from the query', function () {
+      const conditions = buildSearchConditions('notes:$where title:"{$gt: 1}"');
+      for (const condition of conditions) {
+        const [path] = Object.keys(condition);
+        assert.ok(!path.startsWith('$'));
+        assert.deepStrictEqual(Object.keys(condition[path]).sort(), ['$options', '$regex']);
+      }
+    });
+  });
+});
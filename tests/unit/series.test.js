@@ -0,0 +1,59 @@
+import assert from 'assert';
+import { summarizeSeries, buildSeriesEntries } from '../../server/lib/series.js';
+
+const FF = { igdbId: 1, title: 'Final Fantasy' };
+const FF_FRANCHISE = { igdbId: 2, title: 'Final Fantasy' };
+
+describe('Series', function () {
+  describe('summarizeSeries', function () {
+    it('counts items, owned and completed games per series', function () {
+      const items = [
+        { status: 'completed', game: { series: [FF], franchises: [FF_FRANCHISE] } },
+        { status: 'backlog', game: { series: [FF], franchises: [FF_FRANCHISE] } },
+        { status: 'wishlist', game: { series: [FF], franchises: [] } },
+        { status: 'playing', game: { series: [{ igdbId: 3, title: 'Zelda' }] } }
+      ];
+
+      assert.deepStrictEqual(summarizeSeries(items), [
+        { kind: 'series', igdbId: 1, title: 'Final Fantasy', itemCount: 3, ownedCount: 2, completedCount: 1 },
+        { kind: 'franchise', igdbId: 2, title: 'Final Fantasy', itemCount: 2, ownedCount: 2, completedCount: 1 },
+        { kind: 'series', igdbId: 3, title: 'Zelda', itemCount: 1, ownedCount: 1, completedCount: 0 }
+      ]);
+    });
+
+    it('ignores items without series', function () {
+      assert.deepStrictEqual(summarizeSeries([{ status: 'backlog', game: { title: 'Celeste' } }]), []);
+    });
+  });
+
+  describe('buildSeriesEntries', function () {
+    const games = [
+      { _id: 'ff10', title: 'Final Fantasy X', releaseDate: new Date('2001-07-19') },
+      { _id: 'ff16', title: 'Final Fantasy XVI', releaseYear: 2023 },
+      { _id: 'ff1', title: 'Final Fantasy', releaseDate: new Date('1987-12-18') },
+      { _id: 'ff17', title: 'Final Fantasy XVII' }
+    ];
+
+    it('lists entries in release order, undated games last', function () {
+      const series = buildSeriesEntries(games, []);
+
+      assert.deepStrictEqual(series.entries.map(entry => entry.game._id), ['ff1', 'ff10', 'ff16', 'ff17']);
+      assert.ok(series.entries.every(entry => entry.item === null));
+    });
+
+    it('joins the user\'s items and counts owned and completed entries', function () {
+      const items = [
+        { gameId: 'ff1', status: 'completed' },
+        { gameId: 'ff10', status: 'backlog' },
+        { gameId: 'ff16', status: 'wishlist' }
+      ];
+
+      const series = buildSeriesEntries(games, items);
+
+      assert.strictEqual(series.entries[1].item.status, 'backlog');
+      assert.strictEqual(series.total, 4);
+      assert.strictEqual(series.owned, 2);
+      assert.strictEqual(series.completed, 1);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'assert';
+import {
+  resolveRange,
+  monthsBetween,
+  ratingHistogram,
+  buildTimeSeriesStats,
+  MAX_RANGE_MONTHS
+} from '../../server/lib/timeSeriesStats.js';
+
+describe('Time Series Stats', function () {
+  const now = new Date('2026-03-15T12:00:00Z');
+
+  describe('monthsBetween', function () {
+    it('lists every month across a year boundary', function () {
+      assert.deepStrictEqual(monthsBetween('2025-11', '2026-02'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+      assert.deepStrictEqual(monthsBetween('2026-02', '2026-02'), ['2026-02']);
+    });
+  });
+
+  describe('resolveRange', function () {
+    it('ends at the current month and starts all-time ranges at the first game', function () {
+      assert.deepStrictEqual(resolveRange({ from: '2025-04' }, now), { from: '2025-04', to: '2026-03' });
+      assert.deepStrictEqual(resolveRange({}, now, '2019-07'), { from: '2019-07', to: '2026-03' });
+      assert.deepStrictEqual(resolveRange({}, now, null), { from: '2026-03', to: '2026-03' });
+    });
+
+    it('limits all-time ranges and rejects bad ones', function () {
+      const { from, to } = resolveRange({}, now, '1950-01');
+      assert.strictEqual(monthsBetween(from, to).length, MAX_RANGE_MONTHS);
+
+      const cases = [
+        { from: '2026-13' },
+        { from: '2026', to: '2026-02' },
+        { from: '2026-02', to: '2025-12' },
+        { from: '1950-01', to: '2026-01' }
+      ];
+      for (const range of cases) {
+        try {
+          resolveRange(range, now);
+          assert.fail('Should have thrown');
+        } catch (error) {
+          assert.strictEqual(error.error, 'invalid-range');
+        }
+      }
+    });
+  });
+
+  describe('ratingHistogram', function () {
+    it('counts ratings per value of the scale', function () {
+      const rows = [{ _id: 4, count: 2 }, { _id: 4.5, count: 1 }, { _id: 1, count: 3 }];
+
+      assert.deepStrictEqual(ratingHistogram(rows, 'stars').map(row => row.count), [3, 0, 0, 2, 1]);
+      assert.deepStrictEqual(
+        ratingHistogram(rows, 'half-stars').filter(row => row.count > 0),
+        [{ label: '1', count: 3 }, { label: '4', count: 2 }, { label: '4.5', count: 1 }]
+      );
+    });
+
+    it('bands the 100-point scale into tens', function () {
+      const histogram = ratingHistogram([{ _id: 4.5, count: 1 }, { _id: 0.05, count: 1 }], 'hundred-point');
+
+      assert.strictEqual(histogram.length, 10);
+      assert.deepStrictEqual(histogram[0], { label: '1-10', count: 1 });
+      assert.deepStrictEqual(histogram[8], { label: '81-90', count: 1 });
+    });
+  });
+
+  describe('buildTimeSeriesStats', function () {
+    it('carries the backlog size from before the range', function () {
+      const stats = buildTimeSeriesStats({ from: '2026-01', to: '2026-03' }, {
+        added: [{ _id: '2026-02', count: 2 }],
+        backlogJoined: [{ _id: '2024-05', count: 5 }, { _id: '2026-02', count: 2 }],
+        backlogLeft: [{ _id: '2025-01', count: 1 }, { _id: '2026-03', count: 3 }],
+        daysToComplete: [{ _id: '2026-03', totalMs: 30 * 24 * 60 * 60 * 1000, count: 2 }]
+      }, 'stars');
+
+      assert.deepStrictEqual(stats.months.map(row => row.backlog), [4, 6, 3]);
+      assert.deepStrictEqual(stats.months.map(row => row.added), [0, 2, 0]);
+      assert.deepStrictEqual(stats.months.map(row => row.averageDaysToComplete), [null, null, 15]);
+      assert.deepStrictEqual(stats.purchaseToCompletion, { averageDays: 15, games: 2 });
+    });
+
+    it('keeps the largest genres', function () {
+      const genres = Array.from({ length: 15 }, (_, index) => ({ _id: `Genre ${index}`, count: 15 - index }));
+      const stats = buildTimeSeriesStats({ from: '2026-01', to: '2026-01' }, { genres }, 'stars');
+
+      assert.strictEqual(stats.genres.length, 12);
+      assert.deepStrictEqual(stats.genres[0], { genre: 'Genre 0', count: 15 });
+      assert.strictEqual(stats.otherGenres, 3);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'assert';
+import { transformTimeToBeat, forecastBacklog } from '../../server/lib/timeToBeat.js';
+import { estimateHoursToBeat } from '../../imports/lib/constants/timeToBeat.js';
+
+describe('Time To Beat', function () {
+  describe('transformTimeToBeat', function () {
+    it('converts IGDB seconds to hours', function () {
+      assert.deepStrictEqual(transformTimeToBeat({ game_id: 1, hastily: 36000, normally: 54180, completely: null }), {
+        hastily: 10,
+        normally: 15.1,
+        completely: null
+      });
+    });
+
+    it('returns null when IGDB has no figures', function () {
+      assert.strictEqual(transformTimeToBeat(null), null);
+      assert.strictEqual(transformTimeToBeat({ game_id: 1, hastily: 0 }), null);
+    });
+  });
+
+  describe('estimateHoursToBeat', function () {
+    it('prefers the normal playthrough', function () {
+      assert.strictEqual(estimateHoursToBeat({ hastily: 8, normally: 12, completely: 30 }), 12);
+      assert.strictEqual(estimateHoursToBeat({ hastily: null, normally: null, completely: 30 }), 30);
+      assert.strictEqual(estimateHoursToBeat(null), null);
+    });
+  });
+
+  describe('forecastBacklog', function () {
+    const now = new Date('2026-01-01T00:00:00Z');
+
+    it('spreads the backlog over the recent pace', function () {
+      // 90 hours in 180 days is half an hour a day, so 100 hours take 200 days
+      const forecast = forecastBacklog({ backlogHours: 100, recentHours: 90, windowDays: 180, now });
+
+      assert.strictEqual(forecast.hoursPerWeek, 3.5);
+      assert.strictEqual(forecast.forecastDate.toISOString(), '2026-07-20T00:00:00.000Z');
+    });
+
+    it('has no date without a recent pace or a backlog', function () {
+      assert.strictEqual(forecastBacklog({ backlogHours: 100, recentHours: 0, now }).forecastDate, null);
+      assert.strictEqual(forecastBacklog({ backlogHours: 0, recentHours: 50, now }).forecastDate, null);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import assert from 'assert';
-import { validateStatus, validateRating, validateStorefronts } from '../../server/methods.js';
+import { validateStatus, validateRating, validateStorefronts, validatePlaythrough } from '../../server/methods.js';
 
 describe('Method Validation Functions', function () {
   describe('validateStatus', function () {
@@ -65,8 +65,20 @@ describe('Method Validation Functions', function () {
       assert.throws(() => validateRating(6), /invalid-rating/);
     });
 
-    it('throws for non-integer rating', function () {
-      assert.throws(() => validateRating(3.5), /invalid-rating/);
+    it('accepts half-star rating of 3.5', function () {
+      assert.doesNotThrow(() => validateRating(3.5));
+    });
+
+    it('accepts 100-point resolution rating of 4.35', function () {
+      assert.doesNotThrow(() => validateRating(4.35));
+    });
+
+    it('throws for rating off the 1/20 star grid', function () {
+      assert.throws(() => validateRating(3.33), /invalid-rating/);
+    });
+
+    it('throws for non-number rating', function () {
+      assert.throws(() => validateRating('4'), /invalid-rating/);
     });
 
     it('throws for negative rating', function () {
@@ -99,4 +111,42 @@ describe('Method Validation Functions', function () {
       assert.deepStrictEqual(validateStorefronts(undefined), []);
     });
   });
+
+  describe('validatePlaythrough', function () {
+    it('accepts an empty playthrough', function () {
+      assert.doesNotThrow(() => validatePlaythrough({}));
+    });
+
+    it('accepts a completed playthrough', function () {
+      assert.doesNotThrow(() => validatePlaythrough({
+        dateStarted: new Date('2024-01-01'),
+        dateCompleted: new Date('2024-02-01'),
+        outcome: 'completed',
+        hoursPlayed: 30
+      }));
+    });
+
+    it('accepts null outcome for a run in progress', function () {
+      assert.doesNotThrow(() => validatePlaythrough({ outcome: null }));
+    });
+
+    it('throws for invalid outcome', function () {
+      assert.throws(() => validatePlaythrough({ outcome: 'wishlist' }), /invalid-outcome/);
+    });
+
+    it('throws for negative hours', function () {
+      assert.throws(() => validatePlaythrough({ hoursPlayed: -1 }), /invalid-hours/);
+    });
+
+    it('throws when completion is before start', function () {
+      assert.throws(() => validatePlaythrough({
+        dateStarted: new Date('2024-02-01'),
+        dateCompleted: new Date('2024-01-01')
+      }), /invalid-dates/);
+    });
+
+    it('throws for overly long difficulty', function () {
+      assert.throws(() => validatePlaythrough({ difficulty: 'x'.repeat(101) }), /invalid-difficulty/);
+    });
+  });
 });
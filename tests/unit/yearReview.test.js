@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { buildYearReview, buildYearReviewPipeline } from '../../server/lib/yearReview.js';
+
+describe('Year in Review', function () {
+  const date = (value) => new Date(`${value}T00:00:00Z`);
+
+  describe('buildYearReview', function () {
+    it('spreads activity over the months and adds it up', function () {
+      const review = buildYearReview(2025, {
+        added: [{ _id: 1, count: 3 }, { _id: 12, count: 1 }],
+        started: [{ _id: 2, count: 2 }],
+        completed: [{ _id: 3, count: 1 }, { _id: 4, count: 2 }],
+        sessions: [{ _id: 3, minutes: 90, count: 2 }, { _id: 4, minutes: 30, count: 1 }]
+      }, [date('2025-05-10'), date('2025-05-20')], '5-star');
+
+      assert.deepStrictEqual(review.totals, { added: 4, started: 2, completed: 3, abandoned: 2, hours: 2, sessions: 3 });
+      assert.strictEqual(review.months.length, 12);
+      assert.deepStrictEqual(review.months[2], { month: 3, added: 0, started: 0, completed: 1, abandoned: 0, hours: 1.5 });
+      assert.strictEqual(review.months[4].abandoned, 2);
+      assert.strictEqual(review.months[11].added, 1);
+      assert.strictEqual(review.ratingScale, '5-star');
+    });
+
+    it('picks the platform with the most session hours, then the most games', function () {
+      const facets = {
+        platformGames: [{ _id: 'PC', games: 5 }, { _id: 'Switch', games: 2 }],
+        sessionPlatforms: [{ _id: 'Switch', minutes: 600 }, { _id: null, minutes: 60 }],
+        storefrontGames: [{ _id: 'gog', games: 1 }, { _id: 'steam', games: 4 }]
+      };
+
+      const review = buildYearReview(2025, facets, [], '5-star');
+      assert.deepStrictEqual(review.topPlatform, { name: 'Switch', games: 2, hours: 10 });
+      assert.deepStrictEqual(review.topStorefront, { storefront: 'steam', games: 4 });
+
+      const withoutSessions = buildYearReview(2025, { ...facets, sessionPlatforms: [] }, [], '5-star');
+      assert.deepStrictEqual(withoutSessions.topPlatform, { name: 'PC', games: 5, hours: 0 });
+    });
+
+    it('reports the longest wait in days and nothing for an empty year', function () {
+      const review = buildYearReview(2025, {
+        longestWait: [{
+          _id: 'item1',
+          title: 'Old Game',
+          releaseYear: 2010,
+          dateAdded: date('2020-01-01'),
+          completedAt: date('2025-01-01'),
+          waited: date('2025-01-01') - date('2020-01-01')
+        }]
+      }, [], '5-star');
+      assert.strictEqual(review.longestWait.days, 1827);
+      assert.strictEqual(review.longestWait.title, 'Old Game');
+
+      const empty = buildYearReview(2025, {}, [], '5-star');
+      assert.strictEqual(empty.totals.hours, 0);
+      assert.deepStrictEqual(empty.topRated, []);
+      assert.strictEqual(empty.topPlatform, null);
+      assert.strictEqual(empty.topStorefront, null);
+      assert.strictEqual(empty.longestWait, null);
+    });
+  });
+
+  describe('buildYearReviewPipeline', function () {
+    it('only matches the user\'s items with activity in the year', function () {
+      const [{ $match: match }] = buildYearReviewPipeline('user1', 2025);
+
+      assert.strictEqual(match.userId, 'user1');
+      assert.deepStrictEqual(match.$or[0], { dateAdded: { $gte: date('2025-01-01'), $lt: date('2026-01-01') } });
+      assert.ok(match.$or.some(condition => condition['playSessions.date']));
+    });
+  });
+});